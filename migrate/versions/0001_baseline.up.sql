@@ -0,0 +1,387 @@
+-- Migration: Baseline schema
+-- Description: The schema initializeDatabase() used to create on every boot.
+--              Written to be safe against databases that already have it, so the
+--              ADD/DROP COLUMN statements bring older installs up to date.
+--              Irreversible: there is no down migration.
+
+-- Users table (for Replit Auth)
+CREATE TABLE IF NOT EXISTS users (
+  id VARCHAR(255) PRIMARY KEY,
+  email VARCHAR(255) UNIQUE,
+  first_name VARCHAR(255),
+  last_name VARCHAR(255),
+  profile_image_url TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Sessions table (for Replit Auth)
+CREATE TABLE IF NOT EXISTS sessions (
+  sid VARCHAR(255) PRIMARY KEY,
+  sess JSONB NOT NULL,
+  expire TIMESTAMP NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_sessions_expire ON sessions(expire);
+
+-- Inventory table
+CREATE TABLE IF NOT EXISTS inventory (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255),
+  name VARCHAR(255) NOT NULL,
+  set VARCHAR(20),
+  set_name VARCHAR(255),
+  quantity INTEGER DEFAULT 1,
+  purchase_price REAL,
+  purchase_date TEXT,
+  reorder_type VARCHAR(20) DEFAULT 'Normal',
+  image_url TEXT,
+  scryfall_id VARCHAR(255),
+  folder VARCHAR(255) DEFAULT 'Uncategorized',
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS image_url TEXT;
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS scryfall_id VARCHAR(255);
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS folder VARCHAR(255) DEFAULT 'Uncategorized';
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS low_inventory_alert BOOLEAN DEFAULT false;
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS low_inventory_threshold INTEGER DEFAULT 0;
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS foil BOOLEAN DEFAULT false;
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS quality VARCHAR(10) DEFAULT 'NM';
+ALTER TABLE inventory DROP COLUMN IF EXISTS location;
+ALTER TABLE inventory DROP COLUMN IF EXISTS is_shared_location;
+
+-- 'Unsorted' was renamed to 'Uncategorized'
+UPDATE inventory SET folder = 'Uncategorized' WHERE folder = 'Unsorted';
+
+-- Settings table
+CREATE TABLE IF NOT EXISTS settings (
+  key VARCHAR(255) PRIMARY KEY,
+  value TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Decklists table
+CREATE TABLE IF NOT EXISTS decklists (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  decklist TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+ALTER TABLE decklists ADD COLUMN IF NOT EXISTS user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE;
+
+-- Containers table
+CREATE TABLE IF NOT EXISTS containers (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  cards JSONB DEFAULT '[]',
+  created_at TIMESTAMP DEFAULT NOW()
+);
+ALTER TABLE containers ADD COLUMN IF NOT EXISTS user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE containers ADD COLUMN IF NOT EXISTS cards JSONB DEFAULT '[]';
+ALTER TABLE containers DROP COLUMN IF EXISTS decklist_id;
+ALTER TABLE containers DROP COLUMN IF EXISTS location;
+
+-- Container items table
+CREATE TABLE IF NOT EXISTS container_items (
+  id SERIAL PRIMARY KEY,
+  container_id INTEGER REFERENCES containers(id) ON DELETE CASCADE,
+  inventory_id INTEGER REFERENCES inventory(id) ON DELETE CASCADE,
+  quantity INTEGER DEFAULT 1,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Sales table
+CREATE TABLE IF NOT EXISTS sales (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+  container_id INTEGER REFERENCES containers(id) ON DELETE SET NULL,
+  sale_price REAL,
+  sale_date TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE;
+
+-- Imports table
+CREATE TABLE IF NOT EXISTS imports (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  card_list TEXT,
+  source VARCHAR(50),
+  status VARCHAR(50) DEFAULT 'pending',
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+ALTER TABLE imports ADD COLUMN IF NOT EXISTS user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE imports ADD COLUMN IF NOT EXISTS card_list TEXT;
+ALTER TABLE imports ADD COLUMN IF NOT EXISTS source VARCHAR(50);
+ALTER TABLE imports ADD COLUMN IF NOT EXISTS status VARCHAR(50) DEFAULT 'pending';
+ALTER TABLE imports ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP;
+
+-- Usage history table
+CREATE TABLE IF NOT EXISTS usage_history (
+  id SERIAL PRIMARY KEY,
+  action VARCHAR(255) NOT NULL,
+  details TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Purchase history table
+CREATE TABLE IF NOT EXISTS purchase_history (
+  id SERIAL PRIMARY KEY,
+  inventory_id INTEGER REFERENCES inventory(id) ON DELETE RESTRICT,
+  purchase_date TEXT NOT NULL,
+  purchase_price REAL NOT NULL,
+  quantity INTEGER DEFAULT 1,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Purchase lots table - for tracking bulk purchases/packs
+CREATE TABLE IF NOT EXISTS purchase_lots (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  total_cost REAL,
+  card_count INTEGER,
+  per_card_cost REAL,
+  purchase_date DATE DEFAULT CURRENT_DATE,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS lot_id INTEGER REFERENCES purchase_lots(id) ON DELETE SET NULL;
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS lot_name TEXT;
+
+-- Decks table
+CREATE TABLE IF NOT EXISTS decks (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  format VARCHAR(50) DEFAULT 'Casual',
+  description TEXT,
+  cards JSONB DEFAULT '[]',
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+ALTER TABLE decks ADD COLUMN IF NOT EXISTS user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE decks ADD COLUMN IF NOT EXISTS commander VARCHAR(255);
+ALTER TABLE decks ADD COLUMN IF NOT EXISTS format VARCHAR(50) DEFAULT 'Casual';
+ALTER TABLE decks ADD COLUMN IF NOT EXISTS cards JSONB DEFAULT '[]';
+ALTER TABLE decks ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE decks ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP;
+ALTER TABLE decks ADD COLUMN IF NOT EXISTS decklist_id INTEGER;
+ALTER TABLE decks ADD COLUMN IF NOT EXISTS is_deck_instance BOOLEAN DEFAULT FALSE;
+ALTER TABLE decks ADD COLUMN IF NOT EXISTS archidekt_url TEXT;
+ALTER TABLE decks ADD COLUMN IF NOT EXISTS last_synced TIMESTAMP;
+
+-- Deck reservations table
+CREATE TABLE IF NOT EXISTS deck_reservations (
+  id SERIAL PRIMARY KEY,
+  deck_id INTEGER REFERENCES decks(id) ON DELETE CASCADE,
+  inventory_item_id INTEGER REFERENCES inventory(id) ON DELETE CASCADE,
+  quantity_reserved INTEGER NOT NULL,
+  original_folder VARCHAR(255),
+  reserved_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Deck missing cards table
+CREATE TABLE IF NOT EXISTS deck_missing_cards (
+  id SERIAL PRIMARY KEY,
+  deck_id INTEGER REFERENCES decks(id) ON DELETE CASCADE,
+  card_name VARCHAR(255) NOT NULL,
+  set_code VARCHAR(20),
+  quantity_needed INTEGER NOT NULL
+);
+
+-- Folders table - server-side storage
+CREATE TABLE IF NOT EXISTS folders (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(user_id, name)
+);
+ALTER TABLE folders ADD COLUMN IF NOT EXISTS user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE;
+
+-- Inventory transactions table - tracks purchases and sales for analytics
+CREATE TABLE IF NOT EXISTS inventory_transactions (
+  id SERIAL PRIMARY KEY,
+  card_name VARCHAR(255) NOT NULL,
+  transaction_type VARCHAR(20) NOT NULL,
+  quantity INTEGER DEFAULT 1,
+  purchase_price REAL,
+  sale_price REAL,
+  transaction_date DATE DEFAULT CURRENT_DATE,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+ALTER TABLE inventory_transactions ADD COLUMN IF NOT EXISTS user_id VARCHAR(255);
+
+-- Sales history table
+CREATE TABLE IF NOT EXISTS sales_history (
+  id SERIAL PRIMARY KEY,
+  item_type VARCHAR(50) NOT NULL,
+  item_id INTEGER,
+  item_name VARCHAR(255) NOT NULL,
+  purchase_price REAL NOT NULL,
+  sell_price REAL NOT NULL,
+  profit REAL,
+  quantity INTEGER DEFAULT 1,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+ALTER TABLE sales_history ADD COLUMN IF NOT EXISTS user_id VARCHAR(255);
+
+-- Change history table - tracks card edits
+CREATE TABLE IF NOT EXISTS change_history (
+  id SERIAL PRIMARY KEY,
+  card_id INTEGER REFERENCES inventory(id) ON DELETE SET NULL,
+  card_name VARCHAR(255) NOT NULL,
+  field_changed VARCHAR(50) NOT NULL,
+  old_value TEXT,
+  new_value TEXT,
+  changed_at TIMESTAMP DEFAULT NOW(),
+  user_id VARCHAR(255)
+);
+
+-- Audit log table - tracks major system actions
+CREATE TABLE IF NOT EXISTS audit_log (
+  id SERIAL PRIMARY KEY,
+  action_type VARCHAR(50) NOT NULL,
+  description TEXT,
+  entity_type VARCHAR(50),
+  entity_id INTEGER,
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT NOW(),
+  user_id VARCHAR(255)
+);
+
+-- Activity feed table - tracks recent user activity
+CREATE TABLE IF NOT EXISTS activity_feed (
+  id SERIAL PRIMARY KEY,
+  activity_type VARCHAR(50) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  entity_type VARCHAR(50),
+  entity_id INTEGER,
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT NOW(),
+  user_id VARCHAR(255)
+);
+
+-- ========== EBAY INTEGRATION TABLES ==========
+
+-- eBay connections - stores OAuth tokens for each user's eBay account
+CREATE TABLE IF NOT EXISTS ebay_connections (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE UNIQUE,
+  ebay_user_id VARCHAR(255),
+  access_token TEXT,
+  refresh_token TEXT,
+  token_expires_at TIMESTAMP,
+  scope TEXT,
+  connected_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- eBay listings - tracks decks listed on eBay
+-- deck_id references the DECKLIST (template)
+-- deck_instance_id references the pick list created when sold
+CREATE TABLE IF NOT EXISTS ebay_listings (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+  deck_id INTEGER REFERENCES decks(id) ON DELETE SET NULL,
+  deck_instance_id INTEGER REFERENCES decks(id) ON DELETE SET NULL,
+  ebay_listing_id VARCHAR(50),
+  ebay_offer_id VARCHAR(50),
+  title VARCHAR(80),
+  theme VARCHAR(100),
+  description TEXT,
+  price DECIMAL(10,2),
+  quantity INTEGER DEFAULT 1,
+  status VARCHAR(20) DEFAULT 'draft',
+  image_urls JSONB DEFAULT '[]',
+  ai_description_prompt TEXT,
+  listing_url TEXT,
+  listed_at TIMESTAMP,
+  sold_at TIMESTAMP,
+  shipped_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  ebay_buyer_username VARCHAR(255),
+  ebay_order_id VARCHAR(50),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+ALTER TABLE ebay_listings ADD COLUMN IF NOT EXISTS theme VARCHAR(100);
+ALTER TABLE ebay_listings ADD COLUMN IF NOT EXISTS deck_instance_id INTEGER REFERENCES decks(id) ON DELETE SET NULL;
+ALTER TABLE ebay_listings ADD COLUMN IF NOT EXISTS image_urls JSONB DEFAULT '[]';
+ALTER TABLE ebay_listings ADD COLUMN IF NOT EXISTS ai_description_prompt TEXT;
+ALTER TABLE ebay_listings ADD COLUMN IF NOT EXISTS shipped_at TIMESTAMP;
+ALTER TABLE ebay_listings ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP;
+
+-- eBay sync log - for debugging and audit trail
+CREATE TABLE IF NOT EXISTS ebay_sync_log (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255),
+  action VARCHAR(50) NOT NULL,
+  ebay_listing_id VARCHAR(50),
+  deck_id INTEGER,
+  request_payload JSONB,
+  response_payload JSONB,
+  error_message TEXT,
+  success BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- eBay templates - user-configurable templates for titles, descriptions, etc.
+CREATE TABLE IF NOT EXISTS ebay_templates (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+  template_type VARCHAR(50) NOT NULL,
+  template_name VARCHAR(100),
+  template_content TEXT NOT NULL,
+  is_default BOOLEAN DEFAULT false,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Default templates
+INSERT INTO ebay_templates (user_id, template_type, template_name, template_content, is_default)
+SELECT NULL, 'title', 'Default Title', '{commander} - {theme} - 100 Card EDH MTG Commander Deck', true
+WHERE NOT EXISTS (SELECT 1 FROM ebay_templates WHERE template_type = 'title' AND is_default = true AND user_id IS NULL);
+
+INSERT INTO ebay_templates (user_id, template_type, template_name, template_content, is_default)
+SELECT NULL, 'condition', 'Default Condition', 'Cards are in Near Mint to Lightly Played condition.', true
+WHERE NOT EXISTS (SELECT 1 FROM ebay_templates WHERE template_type = 'condition' AND is_default = true AND user_id IS NULL);
+
+INSERT INTO ebay_templates (user_id, template_type, template_name, template_content, is_default)
+SELECT NULL, 'includes', 'Default Includes', 'Includes 100-card Commander deck, sleeved in premium sleeves, shipped in a secure deck box.', true
+WHERE NOT EXISTS (SELECT 1 FROM ebay_templates WHERE template_type = 'includes' AND is_default = true AND user_id IS NULL);
+
+-- ========== PERFORMANCE INDEXES ==========
+
+CREATE INDEX IF NOT EXISTS idx_inventory_name_lower ON inventory(LOWER(TRIM(name)));
+CREATE INDEX IF NOT EXISTS idx_inventory_user_id ON inventory(user_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_folder ON inventory(folder);
+CREATE INDEX IF NOT EXISTS idx_decks_user_id ON decks(user_id);
+CREATE INDEX IF NOT EXISTS idx_decks_is_instance ON decks(is_deck_instance);
+CREATE INDEX IF NOT EXISTS idx_deck_reservations_deck_id ON deck_reservations(deck_id);
+CREATE INDEX IF NOT EXISTS idx_deck_reservations_inventory_id ON deck_reservations(inventory_item_id);
+CREATE INDEX IF NOT EXISTS idx_deck_reservations_composite ON deck_reservations(deck_id, inventory_item_id);
+CREATE INDEX IF NOT EXISTS idx_change_history_card_id ON change_history(card_id);
+CREATE INDEX IF NOT EXISTS idx_change_history_changed_at ON change_history(changed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action_type ON audit_log(action_type);
+CREATE INDEX IF NOT EXISTS idx_activity_feed_created_at ON activity_feed(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_activity_feed_activity_type ON activity_feed(activity_type);
+CREATE INDEX IF NOT EXISTS idx_ebay_connections_user_id ON ebay_connections(user_id);
+CREATE INDEX IF NOT EXISTS idx_ebay_listings_user_id ON ebay_listings(user_id);
+CREATE INDEX IF NOT EXISTS idx_ebay_listings_deck_id ON ebay_listings(deck_id);
+CREATE INDEX IF NOT EXISTS idx_ebay_listings_status ON ebay_listings(status);
+CREATE INDEX IF NOT EXISTS idx_ebay_listings_deck_instance_id ON ebay_listings(deck_instance_id);
+CREATE INDEX IF NOT EXISTS idx_ebay_sync_log_user_id ON ebay_sync_log(user_id);
+CREATE INDEX IF NOT EXISTS idx_ebay_sync_log_created_at ON ebay_sync_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ebay_templates_user_id ON ebay_templates(user_id);
+CREATE INDEX IF NOT EXISTS idx_ebay_templates_type ON ebay_templates(template_type);
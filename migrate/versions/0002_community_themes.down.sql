@@ -0,0 +1,3 @@
+DROP TRIGGER IF EXISTS trg_update_community_themes_ts ON community_themes;
+DROP FUNCTION IF EXISTS update_community_themes_timestamp();
+DROP TABLE IF EXISTS community_themes;
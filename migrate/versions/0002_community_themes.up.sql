@@ -1,4 +1,6 @@
--- Migration: create community_themes table for storing per-community theme data
+-- Migration: Community themes
+-- Description: Per-community theme data. Formerly migrate/2025-12-10-create-community-themes.sql.
+
 CREATE TABLE IF NOT EXISTS community_themes (
   community_id bigint PRIMARY KEY,
   data jsonb NOT NULL,
@@ -14,6 +16,8 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- The trigger may already exist where the old file was applied by hand
+DROP TRIGGER IF EXISTS trg_update_community_themes_ts ON community_themes;
 CREATE TRIGGER trg_update_community_themes_ts
 BEFORE UPDATE ON community_themes
 FOR EACH ROW EXECUTE PROCEDURE update_community_themes_timestamp();
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS substitution_group_cards;
+DROP TABLE IF EXISTS substitution_groups;
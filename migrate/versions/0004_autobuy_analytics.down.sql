@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS autobuy_metrics;
+DROP TABLE IF EXISTS autobuy_run_items;
+DROP TABLE IF EXISTS autobuy_runs;
@@ -0,0 +1,8 @@
+ALTER TABLE deck_missing_cards DROP COLUMN IF EXISTS oracle_id;
+DROP INDEX IF EXISTS idx_inventory_printing_id;
+DROP INDEX IF EXISTS idx_inventory_user_oracle;
+ALTER TABLE inventory DROP COLUMN IF EXISTS printing_id;
+ALTER TABLE inventory DROP COLUMN IF EXISTS oracle_id;
+DROP TABLE IF EXISTS printings;
+DROP TABLE IF EXISTS card_aliases;
+DROP TABLE IF EXISTS cards;
@@ -0,0 +1,69 @@
+-- Migration: Card catalog
+-- Description: Normalized cards (one row per oracle_id) and printings (one row per
+--              Scryfall printing), populated from MTGJSON AllIdentifiers. Inventory
+--              and missing deck cards link to them so matching no longer depends on
+--              the exact spelling of a name. Column names follow migrate/scripts so
+--              databases populated by those scripts keep working.
+
+CREATE TABLE IF NOT EXISTS cards (
+  id SERIAL PRIMARY KEY,
+  oracle_id VARCHAR(36) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  normalized_name VARCHAR(255) NOT NULL,
+  type_line TEXT,
+  mana_cost VARCHAR(100),
+  cmc REAL,
+  colors TEXT[] DEFAULT '{}',
+  color_identity TEXT[] DEFAULT '{}',
+  keywords TEXT[] DEFAULT '{}',
+  oracle_text TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cards_oracle_id ON cards(oracle_id);
+CREATE INDEX IF NOT EXISTS idx_cards_normalized_name ON cards(normalized_name);
+CREATE INDEX IF NOT EXISTS idx_cards_name ON cards(name);
+
+-- Every spelling a card is known by: full name, each face of split/DFC cards and the
+-- ASCII form of accented names, all normalized with normalizeCardName
+CREATE TABLE IF NOT EXISTS card_aliases (
+  card_id INTEGER NOT NULL REFERENCES cards(id) ON DELETE CASCADE,
+  normalized_name VARCHAR(255) NOT NULL,
+  PRIMARY KEY (normalized_name, card_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_card_aliases_card_id ON card_aliases(card_id);
+
+CREATE TABLE IF NOT EXISTS printings (
+  id SERIAL PRIMARY KEY,
+  card_id INTEGER NOT NULL REFERENCES cards(id) ON DELETE CASCADE,
+  scryfall_id VARCHAR(36) NOT NULL,
+  mtgjson_uuid VARCHAR(36),
+  set_code VARCHAR(20) NOT NULL,
+  set_name VARCHAR(255),
+  collector_number VARCHAR(20),
+  rarity VARCHAR(20),
+  finish VARCHAR(20),
+  image_uri_small TEXT,
+  image_uri_normal TEXT,
+  image_uri_large TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+ALTER TABLE printings ADD COLUMN IF NOT EXISTS mtgjson_uuid VARCHAR(36);
+
+-- Unique indexes rather than inline constraints so tables created by the scripts get them too
+CREATE UNIQUE INDEX IF NOT EXISTS idx_printings_scryfall_id ON printings(scryfall_id);
+CREATE INDEX IF NOT EXISTS idx_printings_card_id ON printings(card_id);
+CREATE INDEX IF NOT EXISTS idx_printings_set_code ON printings(set_code);
+CREATE INDEX IF NOT EXISTS idx_printings_set_collector ON printings(set_code, collector_number);
+
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS oracle_id VARCHAR(36);
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS printing_id INTEGER REFERENCES printings(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_inventory_user_oracle ON inventory(user_id, oracle_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_printing_id ON inventory(printing_id);
+
+ALTER TABLE deck_missing_cards ADD COLUMN IF NOT EXISTS oracle_id VARCHAR(36);
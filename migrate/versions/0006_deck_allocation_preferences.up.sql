@@ -0,0 +1,5 @@
+-- Migration: Deck allocation preferences
+-- Description: Per-deck rules for which inventory copies a deck instance reserves
+--              (foil, minimum condition, decklist set, cheapest or oldest first).
+
+ALTER TABLE decks ADD COLUMN IF NOT EXISTS allocation_preferences JSONB DEFAULT '{}';
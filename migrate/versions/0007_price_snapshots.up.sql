@@ -0,0 +1,20 @@
+-- Migration: Price snapshots
+-- Description: One row per card per day with the TCGplayer and Card Kingdom prices
+--              MTGJSON reported that day, so price history survives the daily
+--              AllPricesToday refresh. Keyed by Scryfall id like inventory.
+
+CREATE TABLE IF NOT EXISTS price_snapshots (
+  id SERIAL PRIMARY KEY,
+  scryfall_id VARCHAR(36) NOT NULL,
+  snapshot_date DATE NOT NULL,
+  tcg_retail NUMERIC(10,2),
+  tcg_retail_foil NUMERIC(10,2),
+  tcg_buylist NUMERIC(10,2),
+  ck_retail NUMERIC(10,2),
+  ck_retail_foil NUMERIC(10,2),
+  ck_buylist NUMERIC(10,2),
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(scryfall_id, snapshot_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_snapshots_date ON price_snapshots(snapshot_date);
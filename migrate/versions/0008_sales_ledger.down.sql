@@ -0,0 +1,19 @@
+DROP INDEX IF EXISTS idx_purchase_history_inventory_id;
+ALTER TABLE purchase_history DROP COLUMN IF EXISTS quantity_sold;
+
+ALTER TABLE inventory_transactions DROP COLUMN IF EXISTS sale_id;
+
+DROP INDEX IF EXISTS idx_sales_history_sale_id;
+DROP INDEX IF EXISTS idx_sales_history_user_created;
+ALTER TABLE sales_history DROP COLUMN IF EXISTS inventory_id;
+ALTER TABLE sales_history DROP COLUMN IF EXISTS sale_id;
+
+DROP INDEX IF EXISTS idx_sales_user_created;
+ALTER TABLE sales DROP COLUMN IF EXISTS notes;
+ALTER TABLE sales DROP COLUMN IF EXISTS lot_id;
+ALTER TABLE sales DROP COLUMN IF EXISTS deck_id;
+ALTER TABLE sales DROP COLUMN IF EXISTS profit;
+ALTER TABLE sales DROP COLUMN IF EXISTS cost_basis;
+ALTER TABLE sales DROP COLUMN IF EXISTS quantity;
+ALTER TABLE sales DROP COLUMN IF EXISTS item_name;
+ALTER TABLE sales DROP COLUMN IF EXISTS sale_type;
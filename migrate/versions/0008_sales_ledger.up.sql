@@ -0,0 +1,26 @@
+-- Migration: Sales ledger
+-- Description: Sales recorded through /api/sales. Each sale gets a header row in
+--              sales and one sales_history line per inventory row it drew from,
+--              costed FIFO. purchase_history.quantity_sold tracks how much of each
+--              purchase layer has already been matched against a sale.
+
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS sale_type VARCHAR(20);
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS item_name VARCHAR(255);
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS quantity INTEGER;
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS cost_basis NUMERIC(12,2);
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS profit NUMERIC(12,2);
+-- Deck instances are deleted once sold, so no foreign key
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS deck_id INTEGER;
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS lot_id INTEGER REFERENCES purchase_lots(id) ON DELETE SET NULL;
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS notes TEXT;
+CREATE INDEX IF NOT EXISTS idx_sales_user_created ON sales(user_id, created_at);
+
+ALTER TABLE sales_history ADD COLUMN IF NOT EXISTS sale_id INTEGER REFERENCES sales(id) ON DELETE CASCADE;
+ALTER TABLE sales_history ADD COLUMN IF NOT EXISTS inventory_id INTEGER REFERENCES inventory(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_sales_history_user_created ON sales_history(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_sales_history_sale_id ON sales_history(sale_id);
+
+ALTER TABLE inventory_transactions ADD COLUMN IF NOT EXISTS sale_id INTEGER REFERENCES sales(id) ON DELETE SET NULL;
+
+ALTER TABLE purchase_history ADD COLUMN IF NOT EXISTS quantity_sold INTEGER NOT NULL DEFAULT 0;
+CREATE INDEX IF NOT EXISTS idx_purchase_history_inventory_id ON purchase_history(inventory_id);
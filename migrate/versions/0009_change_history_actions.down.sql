@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS idx_change_history_user_changed_at;
+
+ALTER TABLE change_history DROP COLUMN IF EXISTS reverted_by;
+ALTER TABLE change_history DROP COLUMN IF EXISTS reverted_at;
+ALTER TABLE change_history DROP COLUMN IF EXISTS context;
+ALTER TABLE change_history DROP COLUMN IF EXISTS action;
@@ -0,0 +1,12 @@
+-- Migration: Change history actions
+-- Description: Record which kind of mutation produced each change_history row
+--              (create, update, delete, import, lot_add, reserve, release, sale, revert),
+--              optional context such as the deck or lot involved, and whether the
+--              change has since been reverted.
+
+ALTER TABLE change_history ADD COLUMN IF NOT EXISTS action VARCHAR(20) NOT NULL DEFAULT 'update';
+ALTER TABLE change_history ADD COLUMN IF NOT EXISTS context JSONB;
+ALTER TABLE change_history ADD COLUMN IF NOT EXISTS reverted_at TIMESTAMP;
+ALTER TABLE change_history ADD COLUMN IF NOT EXISTS reverted_by INTEGER REFERENCES change_history(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_change_history_user_changed_at ON change_history(user_id, changed_at DESC);
@@ -0,0 +1,13 @@
+-- Migration: Per-user settings
+-- Description: Settings scoped to a user, one JSON value per key. Keys and their
+--              shapes are defined by USER_SETTING_SCHEMAS in server/utils/validation.js.
+--              The global settings table keeps app-wide configuration (eBay credentials).
+
+CREATE TABLE IF NOT EXISTS user_settings (
+  user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  key VARCHAR(100) NOT NULL,
+  value JSONB NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (user_id, key)
+);
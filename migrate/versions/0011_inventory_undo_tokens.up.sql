@@ -0,0 +1,17 @@
+-- Migration: Inventory undo tokens
+-- Description: What each POST /api/inventory/bulk operation changed, keyed by the
+--              token returned to the client. POST /api/inventory/bulk/undo uses the
+--              payload (previous field values, or the deleted rows with their deck
+--              reservations and container entries) to reverse the whole operation.
+
+CREATE TABLE IF NOT EXISTS inventory_undo_tokens (
+  token VARCHAR(64) PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  operation VARCHAR(20) NOT NULL,
+  payload JSONB NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_undo_tokens_user_expires ON inventory_undo_tokens(user_id, expires_at);
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS import_job_rows;
+
+ALTER TABLE imports DROP COLUMN IF EXISTS error;
+ALTER TABLE imports DROP COLUMN IF EXISTS folder;
+ALTER TABLE imports DROP COLUMN IF EXISTS format;
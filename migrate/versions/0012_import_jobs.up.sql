@@ -0,0 +1,33 @@
+-- Migration: Import jobs
+-- Description: Server-side import jobs on the imports table. An uploaded file is parsed
+--              into import_job_rows, each row is resolved against Scryfall, and committed
+--              rows record the inventory row they created or merged into. Row status is
+--              the job's progress, so a job interrupted mid-resolve or mid-commit picks up
+--              with the rows still pending.
+
+ALTER TABLE imports ADD COLUMN IF NOT EXISTS format VARCHAR(20);
+ALTER TABLE imports ADD COLUMN IF NOT EXISTS folder VARCHAR(255);
+ALTER TABLE imports ADD COLUMN IF NOT EXISTS error TEXT;
+
+CREATE TABLE IF NOT EXISTS import_job_rows (
+  id SERIAL PRIMARY KEY,
+  import_id INTEGER NOT NULL REFERENCES imports(id) ON DELETE CASCADE,
+  row_number INTEGER NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  set_code VARCHAR(20),
+  set_name VARCHAR(255),
+  collector_number VARCHAR(20),
+  quantity INTEGER NOT NULL,
+  quality VARCHAR(10) NOT NULL DEFAULT 'NM',
+  foil BOOLEAN NOT NULL DEFAULT false,
+  purchase_price REAL,
+  scryfall_id VARCHAR(255),
+  image_url TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  error TEXT,
+  inventory_id INTEGER REFERENCES inventory(id) ON DELETE SET NULL,
+  merged BOOLEAN NOT NULL DEFAULT false,
+  UNIQUE (import_id, row_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_job_rows_import_status ON import_job_rows(import_id, status);
@@ -0,0 +1,6 @@
+-- Migration: Deck companion
+-- Description: The companion a deck declares, stored next to decks.commander so the
+--              legality validator can check its deckbuilding condition. The companion
+--              sits outside the main deck and doesn't count toward its size.
+
+ALTER TABLE decks ADD COLUMN IF NOT EXISTS companion VARCHAR(255);
@@ -0,0 +1,18 @@
+-- Migration: Deck revisions
+-- Description: A revision for every change to a deck's card list, with who made it, where
+--              it came from (manual edit, Archidekt sync, AI builder, import or a revert)
+--              and the card-level diff against the previous revision. The snapshot lets
+--              any two revisions be compared and an old list be restored.
+
+CREATE TABLE IF NOT EXISTS deck_revisions (
+  id SERIAL PRIMARY KEY,
+  deck_id INTEGER NOT NULL REFERENCES decks(id) ON DELETE CASCADE,
+  revision_number INTEGER NOT NULL,
+  author_id VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+  source VARCHAR(20) NOT NULL CHECK (source IN ('manual', 'archidekt', 'ai', 'import', 'revert')),
+  cards JSONB NOT NULL DEFAULT '[]',
+  diff JSONB NOT NULL DEFAULT '{}',
+  reverted_to INTEGER,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (deck_id, revision_number)
+);
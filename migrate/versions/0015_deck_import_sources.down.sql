@@ -0,0 +1,3 @@
+ALTER TABLE decks DROP COLUMN IF EXISTS maybeboard;
+ALTER TABLE decks DROP COLUMN IF EXISTS sideboard;
+ALTER TABLE decks DROP COLUMN IF EXISTS source_url;
@@ -0,0 +1,11 @@
+-- Migration: Deck import sources
+-- Description: Decks imported from a deck site keep the URL they came from so they can be
+--              synced again, along with the site's sideboard and maybeboard, which stay out
+--              of decks.cards. Archidekt links saved before other sites were supported move
+--              to source_url.
+
+ALTER TABLE decks ADD COLUMN IF NOT EXISTS source_url TEXT;
+ALTER TABLE decks ADD COLUMN IF NOT EXISTS sideboard JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE decks ADD COLUMN IF NOT EXISTS maybeboard JSONB NOT NULL DEFAULT '[]';
+
+UPDATE decks SET source_url = archidekt_url WHERE source_url IS NULL AND archidekt_url IS NOT NULL;
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS ai_chat_actions;
+DROP TABLE IF EXISTS ai_chat_conversations;
@@ -0,0 +1,30 @@
+-- Migration: AI chat conversations
+-- Description: Each user's chat conversations with the assistant, stored as the message
+--              list sent to the model (including tool calls and tool results), and the
+--              deck edits and folder moves the assistant proposed. A proposal changes
+--              nothing until the user applies it from the chat.
+
+CREATE TABLE IF NOT EXISTS ai_chat_conversations (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  messages JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_chat_conversations_user ON ai_chat_conversations(user_id, updated_at DESC);
+
+CREATE TABLE IF NOT EXISTS ai_chat_actions (
+  id SERIAL PRIMARY KEY,
+  conversation_id INTEGER NOT NULL REFERENCES ai_chat_conversations(id) ON DELETE CASCADE,
+  user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type VARCHAR(20) NOT NULL CHECK (type IN ('deck_edit', 'folder_move')),
+  summary TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'applied', 'dismissed')),
+  result JSONB,
+  created_at TIMESTAMP DEFAULT NOW(),
+  resolved_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_chat_actions_conversation ON ai_chat_actions(conversation_id);
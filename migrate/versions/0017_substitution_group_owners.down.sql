@@ -0,0 +1,7 @@
+ALTER TABLE deck_reservations DROP COLUMN IF EXISTS substitute_for;
+DROP INDEX IF EXISTS idx_substitution_group_cards_group_name;
+DELETE FROM substitution_group_cards WHERE scryfall_id IS NULL;
+ALTER TABLE substitution_group_cards ALTER COLUMN scryfall_id SET NOT NULL;
+DROP INDEX IF EXISTS idx_substitution_groups_user_id;
+DELETE FROM substitution_groups WHERE user_id IS NOT NULL;
+ALTER TABLE substitution_groups DROP COLUMN IF EXISTS user_id;
@@ -0,0 +1,16 @@
+-- Migration: Substitution group owners
+-- Description: Users keep their own substitution groups (cards they treat as
+--              interchangeable when filling a deck), matched by card name. Groups without
+--              an owner stay the shared groups used in autobuy scoring, matched by
+--              scryfall_id. Reservations that stand in for a missing decklist card record
+--              the card they replace.
+
+ALTER TABLE substitution_groups ADD COLUMN IF NOT EXISTS user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_substitution_groups_user_id ON substitution_groups(user_id);
+
+-- User groups are matched by name and may have no printing
+ALTER TABLE substitution_group_cards ALTER COLUMN scryfall_id DROP NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_substitution_group_cards_group_name
+  ON substitution_group_cards(group_id, LOWER(TRIM(card_name)));
+
+ALTER TABLE deck_reservations ADD COLUMN IF NOT EXISTS substitute_for VARCHAR(255);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS ai_response_cache;
+DROP TABLE IF EXISTS ai_usage;
@@ -0,0 +1,32 @@
+-- Migration: AI usage accounting and response cache
+-- Description: One row per model call with the tokens used and what they cost, so
+--              spend can be reported per user, feature and provider. Responses to
+--              cacheable prompts are kept by prompt hash until they expire; a cache
+--              hit is recorded as a usage row with no cost.
+
+CREATE TABLE IF NOT EXISTS ai_usage (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+  feature VARCHAR(50) NOT NULL,
+  provider VARCHAR(50) NOT NULL,
+  model VARCHAR(100) NOT NULL,
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+  cached BOOLEAN NOT NULL DEFAULT FALSE,
+  latency_ms INTEGER,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_user_created ON ai_usage(user_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS ai_response_cache (
+  prompt_hash CHAR(64) PRIMARY KEY,
+  provider VARCHAR(50) NOT NULL,
+  model VARCHAR(100) NOT NULL,
+  response JSONB NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_response_cache_expires ON ai_response_cache(expires_at);
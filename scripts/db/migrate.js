@@ -0,0 +1,83 @@
+/**
+ * Versioned schema migrations (migrate/versions)
+ * Usage:
+ *   node scripts/db/migrate.js status
+ *   node scripts/db/migrate.js up [--to <version>] [--dry-run]
+ *   node scripts/db/migrate.js down [--steps <n>] [--dry-run]
+ */
+import { pool } from '../../server/db/pool.js';
+import { createMigrator } from '../../server/db/migrator.js';
+
+const USAGE = 'Usage: node scripts/db/migrate.js <status|up|down> [--to <version>] [--steps <n>] [--dry-run]';
+
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    const options = { command, dryRun: false };
+
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--to' || arg === '--steps') {
+            const value = parseInt(rest[++i], 10);
+            if (!Number.isInteger(value) || value < 1) {
+                throw new Error(`${arg} needs a positive integer`);
+            }
+            options[arg.slice(2)] = value;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    const migrator = createMigrator({ pool });
+
+    switch (options.command) {
+        case 'status': {
+            const entries = await migrator.status();
+            if (entries.length === 0) console.log('No migrations found');
+            for (const entry of entries) {
+                const appliedAt = entry.appliedAt ? ` (${new Date(entry.appliedAt).toISOString()})` : '';
+                const irreversible = entry.reversible ? '' : ' [irreversible]';
+                console.log(`${entry.state.padEnd(8)} ${entry.id}${appliedAt}${irreversible}`);
+            }
+            break;
+        }
+        case 'up': {
+            const { applied } = await migrator.migrate({ dryRun: options.dryRun, to: options.to });
+            if (applied.length === 0) console.log('✅ Nothing to migrate');
+            else console.log(`✅ ${options.dryRun ? 'Would apply' : 'Applied'} ${applied.length} migration(s)`);
+            break;
+        }
+        case 'down': {
+            const { rolledBack } = await migrator.rollback({ dryRun: options.dryRun, steps: options.steps });
+            if (rolledBack.length === 0) console.log('✅ Nothing to roll back');
+            else console.log(`✅ ${options.dryRun ? 'Would roll back' : 'Rolled back'} ${rolledBack.length} migration(s)`);
+            break;
+        }
+        default:
+            console.error(USAGE);
+            process.exitCode = 1;
+    }
+}
+
+main()
+    .catch(error => {
+        console.error('❌ Migration failed:', error.message);
+        if (error.cause?.detail) console.error('   Detail:', error.cause.detail);
+        if (error.cause?.hint) console.error('   Hint:', error.cause.hint);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -10,10 +10,21 @@ if (!fs.existsSync(jsPath)) {
   process.exit(1);
 }
 
+// tsc does not copy JSON; the seasonality service reads its calendar from next to itself
+const eventsSrc = path.join(__dirname, '..', 'server', 'autobuy', 'seasonalEvents.json');
+const eventsDest = path.join(distDir, 'seasonalEvents.json');
+// ...and the fake marketplace adapters read their fixtures the same way
+const fixturesSrc = path.join(__dirname, '..', 'server', 'marketplace', 'fixtures');
+const fixturesDest = path.join(__dirname, '..', 'dist', 'server', 'marketplace', 'fixtures');
+
 try {
   fs.copyFileSync(jsPath, cjsPath);
   console.log('postbuild-autobuy: wrote', cjsPath);
+  fs.copyFileSync(eventsSrc, eventsDest);
+  console.log('postbuild-autobuy: wrote', eventsDest);
+  fs.cpSync(fixturesSrc, fixturesDest, { recursive: true });
+  console.log('postbuild-autobuy: wrote', fixturesDest);
 } catch (err) {
-  console.error('postbuild-autobuy: failed to write .cjs file:', err.message);
+  console.error('postbuild-autobuy: failed to write build assets:', err.message);
   process.exit(1);
 }
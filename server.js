@@ -54,6 +54,9 @@ console.log('[BOOT] Route imports loaded');
 
 // Services
 import { mtgjsonService } from './server/mtgjsonPriceService.js';
+import { syncCardCatalog, countCatalogCards } from './server/services/cardCatalogService.js';
+import { schedulePriceSnapshots } from './server/jobs/priceSnapshots.js';
+import { resumeImportJobs } from './server/jobs/importJobs.js';
 
 console.log('[BOOT] All imports loaded successfully');
 
@@ -208,13 +211,34 @@ async function startServer() {
     await initializeDatabase();
 
     console.log('[APP] Initializing MTGJSON price service...');
+    // Keep the cards/printings catalog in step with every identifiers download
+    mtgjsonService.onIdentifiersLoaded(async (records) => {
+      const { cards, printings, linked } = await syncCardCatalog(pool, records);
+      console.log(`[CATALOG] ✓ Synced ${cards} cards and ${printings} printings, linked ${linked} inventory rows`);
+    });
     try {
       await mtgjsonService.initialize();
+
+      // A fresh cache skips the identifiers download, so an empty catalog needs one
+      if (!mtgjsonService.isLoading && await countCatalogCards(pool) === 0) {
+        console.log('[CATALOG] Card catalog is empty, downloading MTGJSON identifiers...');
+        mtgjsonService.refreshIdentifiers().catch(err => {
+          console.error('[CATALOG] Initial catalog sync failed:', err.message);
+        });
+      }
     } catch (error) {
       console.error('[APP] ✗ Failed to initialize MTGJSON price service:', error);
       console.warn('[APP] Continuing startup without MTGJSON price service. Some features may be unavailable.');
     }
 
+    // Daily price snapshots for price history and portfolio value charts
+    schedulePriceSnapshots();
+
+    // Import jobs carry on where a restart interrupted them
+    resumeImportJobs().catch(err => {
+      console.error('[IMPORT-JOB] Failed to resume import jobs:', err.message);
+    });
+
     // ========== START SERVER ==========
     const PORT = process.env.PORT || 5000;
     const server = app.listen(PORT, () => {
@@ -0,0 +1,310 @@
+import express from 'express';
+import request from 'supertest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// The inventory-facing services have their own tests; here they only feed the tools
+vi.mock('../services/inventoryQueryService.js', () => ({
+  queryInventory: vi.fn(async () => ({
+    total: 1,
+    cards: [{
+      name: 'Sol Ring',
+      totalQuantity: 3,
+      reservedQuantity: 1,
+      items: [{ id: 11, set: 'C21', folder: 'Binder', quantity: 3, reserved_quantity: 1, foil: false, quality: 'NM' }]
+    }]
+  }))
+}));
+vi.mock('../services/deckReservationService.js', () => ({
+  resolveAllocationPreferences: vi.fn(() => ({})),
+  allocateDeckCards: vi.fn(async () => ({
+    allocation: [
+      { name: 'Sol Ring', quantity: 1, reserved: 1, missing: 0 },
+      { name: 'Mana Crypt', quantity: 1, reserved: 0, missing: 1 }
+    ]
+  }))
+}));
+vi.mock('../services/inventoryBulkService.js', () => ({
+  applyBulkOperation: vi.fn(async (db, userId, { ids }) => ({ count: ids.length, undoToken: 'undo-1', undoExpiresAt: '2026-10-20' }))
+}));
+
+import { createAIChatRouter } from '../routes/aiChat.js';
+import { createScriptedChatModel } from '../services/aiChat/scriptedChatModel.js';
+import { trimMessages, editDeckCards } from '../services/aiChat/index.js';
+import { applyBulkOperation } from '../services/inventoryBulkService.js';
+import { createMockPool } from './helpers/mockPool.js';
+
+// In-memory conversations, actions, decks and revisions, dispatching on SQL text
+function createDb() {
+  const state = {
+    conversations: [],
+    actions: [],
+    decks: [{ id: 5, user_id: 'test-user', name: 'Artifacts', format: 'Commander', cards: [{ name: 'Sol Ring', quantity: 1 }, { name: 'Island', quantity: 10 }] }],
+    revisions: [],
+    inventory: [{ id: 11, user_id: 'test-user', name: 'Sol Ring' }]
+  };
+  state.pool = createMockPool((text, params) => {
+    if (text.startsWith('INSERT INTO ai_chat_conversations')) {
+      const row = { id: state.conversations.length + 1, user_id: params[0], messages: [], created_at: 'now', updated_at: 'now' };
+      state.conversations.push(row);
+      return { rows: [row] };
+    }
+    if (text.includes('FROM ai_chat_conversations WHERE id = $1')) {
+      return { rows: state.conversations.filter(c => c.id === params[0] && c.user_id === params[1]) };
+    }
+    if (text.includes('FROM ai_chat_conversations WHERE user_id = $1')) {
+      return { rows: state.conversations.filter(c => c.user_id === params[0]).slice(-1) };
+    }
+    if (text.startsWith('UPDATE ai_chat_conversations')) {
+      state.conversations.find(c => c.id === params[1]).messages = JSON.parse(params[0]);
+      return { rows: [] };
+    }
+    if (text.startsWith('DELETE FROM ai_chat_conversations')) {
+      const index = state.conversations.findIndex(c => c.id === params[0] && c.user_id === params[1]);
+      return { rows: index === -1 ? [] : state.conversations.splice(index, 1) };
+    }
+    if (text.includes('INSERT INTO ai_chat_actions')) {
+      const [conversation_id, user_id, type, summary, payload] = params;
+      const row = { id: state.actions.length + 1, conversation_id, user_id, type, summary, payload: JSON.parse(payload), status: 'pending', result: null, created_at: 'now' };
+      state.actions.push(row);
+      return { rows: [row] };
+    }
+    if (text.includes('FROM ai_chat_actions WHERE conversation_id')) {
+      return { rows: state.actions.filter(a => a.conversation_id === params[0]) };
+    }
+    if (text.includes('FROM ai_chat_actions WHERE id = ANY')) {
+      return { rows: state.actions.filter(a => params[0].includes(a.id)) };
+    }
+    if (text.includes('FROM ai_chat_actions WHERE id = $1 AND user_id = $2')) {
+      return { rows: state.actions.filter(a => a.id === params[0] && a.user_id === params[1]) };
+    }
+    if (text.startsWith('UPDATE ai_chat_actions')) {
+      const dismissed = text.includes('dismissed');
+      const action = state.actions.find(a => a.id === params[dismissed ? 0 : 1]);
+      Object.assign(action, dismissed ? { status: 'dismissed' } : { status: 'applied', result: JSON.parse(params[0]) });
+      return { rows: [action] };
+    }
+    if (text.startsWith('SELECT id, name, format FROM decks WHERE user_id')) {
+      return { rows: state.decks.filter(d => d.user_id === params[0]) };
+    }
+    if (text.includes('FROM decks WHERE id = $1 AND user_id = $2')) {
+      return { rows: state.decks.filter(d => d.id === params[0] && d.user_id === params[1]) };
+    }
+    if (text.startsWith('UPDATE decks SET cards')) {
+      state.decks.find(d => d.id === params[1]).cards = JSON.parse(params[0]);
+      return { rows: [] };
+    }
+    if (text.includes('INSERT INTO deck_revisions')) {
+      const row = { id: state.revisions.length + 1, deck_id: params[0], revision_number: params[1], source: params[3], diff: JSON.parse(params[5]) };
+      state.revisions.push(row);
+      return { rows: [row] };
+    }
+    if (text.startsWith('SELECT id, name FROM inventory')) {
+      return { rows: state.inventory.filter(item => params[0].includes(item.id) && item.user_id === params[1]) };
+    }
+  }).pool;
+  return state;
+}
+
+describe('AI chat routes', () => {
+  let db;
+  let model;
+  let getCardPrices;
+
+  const createApp = ({ getModel = () => model } = {}) => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/ai', createAIChatRouter({
+      pool: db.pool,
+      authenticateMiddleware: (req, res, next) => { req.userId = 'test-user'; next(); },
+      aiLimiterMiddleware: (req, res, next) => next(),
+      getModel,
+      getCardPrices
+    }));
+    return app;
+  };
+
+  const toolResults = (call) => call.messages.filter(m => m.role === 'tool').map(m => JSON.parse(m.content));
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db = createDb();
+    getCardPrices = vi.fn(async () => ({ tcg: 1.5, ck: 2.0, source: 'mtgjson' }));
+  });
+
+  it('answers from inventory after a tool round and keeps the conversation', async () => {
+    model = createScriptedChatModel([
+      { toolCalls: [{ name: 'search_inventory', arguments: { query: 'Sol Ring' } }] },
+      { content: 'You have 3 Sol Rings, 2 of them free.' }
+    ]);
+    const app = createApp();
+
+    const res = await request(app).post('/api/ai/chat').send({ message: 'How many Sol Rings do I have?' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ conversationId: 1, response: 'You have 3 Sol Rings, 2 of them free.', actions: [] });
+    expect(model.calls[0].messages[0].content).toContain('#5 Artifacts (Commander)');
+    expect(model.calls[0].tools.map(tool => tool.function.name)).toEqual([
+      'search_inventory', 'check_deck_availability', 'get_card_price', 'propose_deck_edit', 'propose_folder_move'
+    ]);
+    expect(toolResults(model.calls[1])[0].cards[0]).toMatchObject({
+      name: 'Sol Ring', available: 2, copies: [{ inventoryId: 11, folder: 'Binder' }]
+    });
+
+    const conversation = await request(app).get('/api/ai/chat/conversation');
+    expect(conversation.body.conversation.messages.map(m => [m.role, m.content])).toEqual([
+      ['user', 'How many Sol Rings do I have?'],
+      ['assistant', 'You have 3 Sol Rings, 2 of them free.']
+    ]);
+  });
+
+  it('sends earlier turns, tool calls included, when continuing a conversation', async () => {
+    model = createScriptedChatModel([
+      { toolCalls: [{ name: 'get_card_price', arguments: { name: 'Sol Ring' } }] },
+      { content: 'About $1.50.' },
+      { content: 'It was Sol Ring.' }
+    ]);
+    const app = createApp();
+
+    await request(app).post('/api/ai/chat').send({ message: 'What does Sol Ring cost?' });
+    const res = await request(app).post('/api/ai/chat').send({ message: 'Which card was that?', conversationId: 1 });
+
+    expect(res.body.response).toBe('It was Sol Ring.');
+    expect(getCardPrices).toHaveBeenCalledWith({ name: 'Sol Ring', set: undefined });
+    expect(model.calls[2].messages.map(m => m.role)).toEqual(['system', 'user', 'assistant', 'tool', 'assistant', 'user']);
+    expect(model.calls[2].messages.every(m => m.timestamp === undefined)).toBe(true);
+  });
+
+  it('reports deck availability and returns tool errors to the model', async () => {
+    model = createScriptedChatModel([
+      { toolCalls: [{ name: 'check_deck_availability', arguments: { deckId: 99 } }, { name: 'check_deck_availability', arguments: { deckId: 5 } }] },
+      { content: 'You are missing Mana Crypt.' }
+    ]);
+
+    await request(createApp()).post('/api/ai/chat').send({ message: 'Can I build Artifacts?' });
+
+    expect(toolResults(model.calls[1])).toEqual([
+      { error: 'Deck 99 not found' },
+      { deck: { id: 5, name: 'Artifacts', format: 'Commander' }, cardsNeeded: 2, cardsAvailable: 1, missing: [{ name: 'Mana Crypt', missing: 1 }] }
+    ]);
+  });
+
+  it('stops calling tools after the round limit and asks for a final answer', async () => {
+    const lookup = { toolCalls: [{ name: 'get_card_price', arguments: { name: 'Sol Ring' } }] };
+    model = createScriptedChatModel([lookup, lookup, lookup, lookup, lookup, { content: 'Sol Ring is about $1.50.' }]);
+
+    const res = await request(createApp()).post('/api/ai/chat').send({ message: 'Price check' });
+
+    expect(res.body.response).toBe('Sol Ring is about $1.50.');
+    expect(model.calls).toHaveLength(6);
+    expect(model.calls[5].tools).toEqual([]);
+  });
+
+  it('proposes a deck edit that changes nothing until applied', async () => {
+    model = createScriptedChatModel([
+      { toolCalls: [{ name: 'propose_deck_edit', arguments: { deckId: 5, add: [{ name: 'Arcane Signet' }], remove: [{ name: 'Island', quantity: 1 }], reason: 'More ramp' } }] },
+      { content: 'I proposed swapping an Island for Arcane Signet.' }
+    ]);
+    const app = createApp();
+
+    const res = await request(app).post('/api/ai/chat').send({ message: 'Add some ramp to Artifacts' });
+
+    expect(res.body.actions).toEqual([expect.objectContaining({
+      id: 1,
+      type: 'deck_edit',
+      status: 'pending',
+      summary: 'Artifacts: add 1x Arcane Signet; remove 1x Island'
+    })]);
+    expect(db.decks[0].cards).toHaveLength(2);
+
+    const applied = await request(app).post('/api/ai/chat/actions/1/apply');
+
+    expect(applied.status).toBe(200);
+    expect(applied.body.action).toMatchObject({ status: 'applied', result: { deckId: 5, notInDeck: [] } });
+    expect(db.decks[0].cards).toEqual([{ name: 'Sol Ring', quantity: 1 }, { name: 'Island', quantity: 9 }, { name: 'Arcane Signet', quantity: 1 }]);
+    expect(db.revisions.map(r => r.source)).toContain('ai');
+
+    const again = await request(app).post('/api/ai/chat/actions/1/apply');
+    expect(again.status).toBe(409);
+
+    const conversation = await request(app).get('/api/ai/chat/conversations/1');
+    expect(conversation.body.conversation.messages[1].actions[0]).toMatchObject({ id: 1, status: 'applied' });
+  });
+
+  it('applies a folder move as a bulk move and can dismiss proposals instead', async () => {
+    model = createScriptedChatModel([
+      { toolCalls: [
+        { name: 'propose_folder_move', arguments: { inventoryIds: [11], folder: 'Trade Binder' } },
+        { name: 'propose_folder_move', arguments: { inventoryIds: [11], folder: 'Box' } },
+        { name: 'propose_folder_move', arguments: { inventoryIds: [404], folder: 'Box' } }
+      ] },
+      { content: 'Two options proposed.' }
+    ]);
+    const app = createApp();
+
+    const res = await request(app).post('/api/ai/chat').send({ message: 'Where should my Sol Ring go?' });
+
+    expect(res.body.actions.map(a => a.summary)).toEqual(['Move Sol Ring to Trade Binder', 'Move Sol Ring to Box']);
+    expect(toolResults(model.calls[1])[2]).toEqual({ error: 'Inventory items not found: 404' });
+
+    const applied = await request(app).post('/api/ai/chat/actions/1/apply');
+    expect(applyBulkOperation).toHaveBeenCalledWith(expect.anything(), 'test-user', { ids: [11], operation: { type: 'move', folder: 'Trade Binder' } });
+    expect(applied.body.action.result).toMatchObject({ folder: 'Trade Binder', count: 1, undoToken: 'undo-1' });
+
+    const dismissed = await request(app).post('/api/ai/chat/actions/2/dismiss');
+    expect(dismissed.body.action.status).toBe('dismissed');
+    expect(applyBulkOperation).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps conversations and actions per user', async () => {
+    db.conversations.push({ id: 1, user_id: 'someone-else', messages: [] });
+    db.actions.push({ id: 1, conversation_id: 1, user_id: 'someone-else', type: 'folder_move', payload: {}, status: 'pending' });
+    model = createScriptedChatModel([]);
+    const app = createApp();
+
+    expect((await request(app).post('/api/ai/chat').send({ message: 'hi', conversationId: 1 })).status).toBe(404);
+    expect((await request(app).get('/api/ai/chat/conversations/1')).status).toBe(404);
+    expect((await request(app).post('/api/ai/chat/actions/1/apply')).status).toBe(404);
+    expect(model.calls).toHaveLength(0);
+  });
+
+  it('reports chat as unavailable without a model', async () => {
+    const app = createApp({ getModel: () => null });
+
+    expect((await request(app).get('/api/ai/status')).body).toEqual({ available: false, model: null });
+    expect((await request(app).post('/api/ai/chat').send({ message: 'hi' })).status).toBe(503);
+  });
+
+  it('validates messages', async () => {
+    model = createScriptedChatModel([]);
+    const res = await request(createApp()).post('/api/ai/chat').send({ message: '   ' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+  });
+});
+
+describe('AI chat helpers', () => {
+  it('trims history to start at a user message', () => {
+    const messages = [
+      { role: 'user', content: 'a' },
+      { role: 'assistant', tool_calls: [{ id: '1' }] },
+      { role: 'tool', tool_call_id: '1' },
+      { role: 'assistant', content: 'b' },
+      { role: 'user', content: 'c' },
+      { role: 'assistant', content: 'd' }
+    ];
+
+    expect(trimMessages(messages, 4)).toEqual(messages.slice(4));
+    expect(trimMessages(messages.slice(0, 4), 2)).toEqual(messages.slice(3, 4));
+  });
+
+  it('edits deck cards by name, reporting removals that are not in the deck', () => {
+    const { cards, notInDeck } = editDeckCards(
+      [{ name: 'Forest', quantity: 2, set: 'M21' }, { name: 'Forest', quantity: 3 }, { name: 'Sol Ring', quantity: 1 }],
+      { add: [{ name: 'sol ring', quantity: 1 }], remove: [{ name: 'Forest', quantity: 3 }, { name: 'Mana Crypt', quantity: 1 }] }
+    );
+
+    expect(cards).toEqual([{ name: 'Forest', quantity: 2 }, { name: 'Sol Ring', quantity: 2 }]);
+    expect(notInDeck).toEqual(['Mana Crypt']);
+  });
+});
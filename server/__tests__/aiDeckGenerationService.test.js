@@ -0,0 +1,186 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { generateDeck, validateGenerationRequest, GENERATION_STAGES } from '../services/aiDeckGenerationService.js';
+
+const atraxa = { id: 'c1', name: 'Atraxa, Praetors\' Voice', color_identity: ['W', 'U', 'B', 'G'], keywords: ['Flying'] };
+
+const edhrecPage = {
+  panels: { taglinks: [{ value: '+1/+1 Counters' }, { value: 'Superfriends' }], combocounts: [] },
+  container: {
+    cardlists: [
+      { tag: 'highsynergycards', cardviews: ['Doubling Season', 'Deepglow Skate', 'Evolution Sage'].map(name => ({ name })) },
+      { tag: 'lands', cardviews: ['Command Tower', 'Exotic Orchard'].map(name => ({ name })) }
+    ]
+  }
+};
+
+const json = (data) => ({ ok: true, status: 200, json: async () => data });
+const notFound = { ok: false, status: 404 };
+
+// Scryfall finds the commander, EDHREC has one page, MTGGoldfish has nothing
+function createFetch() {
+  return vi.fn(async (url) => {
+    if (url.includes('cards/named?exact=')) return json(atraxa);
+    if (url.includes('json.edhrec.com')) return json(edhrecPage);
+    if (url.includes('cards/collection')) return json({ data: [] });
+    return notFound;
+  });
+}
+
+// One reply per pass, told apart by the system prompt
+function createLLM() {
+  const cards = (prefix, count) => ({ cards: Array.from({ length: count }, (_, i) => ({ name: `${prefix} ${i + 1}`, category: prefix, quantity: 1 })) });
+  return {
+    isAvailable: () => true,
+    complete: vi.fn(async (feature, { messages }) => {
+      const role = messages[0].content;
+      if (role === 'Expert MTG Deck Advisor') return { content: JSON.stringify({ description: 'Proliferate everything', themes: ['Counters'] }) };
+      if (role === 'Expert MTG Synergy Architect') return { content: JSON.stringify(cards('Synergy', 34)) };
+      return { content: JSON.stringify(cards('Staple', 30)) };
+    })
+  };
+}
+
+const db = {
+  query: async () => ({
+    rows: [{ name: 'Doubling Season', quantity: 1, reserved_quantity: 0, available_quantity: 1 }]
+  })
+};
+
+const request = { commanderMode: 'specific', commander: 'Atraxa', theme: '', budget: null, bracket: 3 };
+
+describe('generateDeck', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.stubGlobal('fetch', createFetch());
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('reports every stage in order and returns a 100-card deck', async () => {
+    const stages = [];
+    const result = await generateDeck(db, request, {
+      userId: 'u1',
+      llm: createLLM(),
+      onStage: (stage, data) => stages.push({ stage, data })
+    });
+
+    expect(stages.map(entry => entry.stage)).toEqual(GENERATION_STAGES);
+    expect(stages[0].data.commander.name).toBe(atraxa.name);
+    expect(stages[1].data).toMatchObject({ archetypes: ['+1/+1 Counters', 'Superfriends'], edhrec: true, mtggoldfish: false, cardCount: 5 });
+    expect(stages[2].data).toEqual({ available: 1, reserved: 0, owned: ['Doubling Season'] });
+    expect(stages[3].data.description).toBe('Proliferate everything');
+    expect(stages[4].data).toMatchObject({ totalCards: 100, withinBudget: true });
+
+    expect(result.commander.name).toBe(atraxa.name);
+    expect(result.deck.cards.reduce((sum, card) => sum + (card.quantity || 1), 0)).toBe(100);
+  });
+
+  it('passes the signal upstream and stops once it is aborted', async () => {
+    const controller = new AbortController();
+    const stages = [];
+
+    await expect(generateDeck(db, request, {
+      userId: 'u1',
+      llm: createLLM(),
+      signal: controller.signal,
+      onStage: (stage) => {
+        stages.push(stage);
+        controller.abort();
+      }
+    })).rejects.toMatchObject({ statusCode: 499 });
+
+    expect(stages).toEqual(['commander']);
+    expect(fetch.mock.calls[0][1].signal).toBe(controller.signal);
+  });
+
+  it('reports a commander Scryfall doesn\'t know', async () => {
+    fetch.mockImplementation(async () => notFound);
+
+    await expect(generateDeck(db, request, { userId: 'u1', llm: createLLM() }))
+      .rejects.toMatchObject({ statusCode: 404, message: 'Could not find commander "Atraxa"' });
+  });
+});
+
+describe('generateDeck with the rules builder', () => {
+  // Scryfall collection answers with a legal card in Atraxa's colors for each name asked
+  const scryfallCard = ({ name }) => ({
+    id: `id-${name}`,
+    name,
+    type_line: name.includes('Tower') || name.includes('Orchard') ? 'Land' : 'Creature — Beast',
+    mana_cost: '{2}{G}',
+    cmc: 3,
+    oracle_text: '',
+    color_identity: ['G'],
+    prices: { usd: '2.00' },
+    legalities: { commander: 'legal' }
+  });
+  const noModel = () => ({ isAvailable: () => false, complete: vi.fn() });
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const base = createFetch();
+    vi.stubGlobal('fetch', vi.fn(async (url, options) => {
+      if (url.includes('cards/collection')) return json({ data: JSON.parse(options.body).identifiers.map(scryfallCard) });
+      if (url.includes('cards/search')) return json({ data: [atraxa] });
+      return base(url, options);
+    }));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('builds the deck without a model when none is configured', async () => {
+    const llm = noModel();
+    const stages = [];
+
+    const result = await generateDeck(db, { ...request, budget: 50 }, {
+      userId: 'u1',
+      llm,
+      onStage: (stage, data) => stages.push({ stage, data })
+    });
+
+    expect(llm.complete).not.toHaveBeenCalled();
+    expect(stages.map(entry => entry.stage)).toEqual(GENERATION_STAGES);
+    expect(stages[4].data).toMatchObject({ totalCards: 100, withinBudget: true });
+    expect(result.deck.builder).toBe('rules');
+    expect(result.deck.description).toContain('+1/+1 Counters');
+    expect(result.deck.cards.reduce((sum, card) => sum + card.quantity, 0)).toBe(100);
+    expect(result.deck.cards.find(card => card.name === 'Doubling Season')).toMatchObject({
+      category: 'Synergy',
+      reason: 'Synergy (1 of 62): recommendation #1, already in your collection, mana value 3',
+      tcgPrice: 2
+    });
+    expect(result.deck.cards.find(card => card.name === 'Command Tower').category).toBe('Land');
+    expect(result.deck.stats.purchaseCost).toBe(8);
+  });
+
+  it('finds a commander for the theme without asking a model', async () => {
+    const llm = createLLM();
+
+    const result = await generateDeck(db, { commanderMode: 'random', theme: 'counters', builder: 'rules' }, { userId: 'u1', llm });
+
+    expect(llm.complete).not.toHaveBeenCalled();
+    expect(result.commander.name).toBe(atraxa.name);
+    expect(fetch.mock.calls.some(([url]) => url.includes('search?q=counters+is:commander'))).toBe(true);
+  });
+});
+
+describe('validateGenerationRequest', () => {
+  it('requires a mode, and a commander in specific mode', () => {
+    expect(() => validateGenerationRequest({})).toThrow('Commander mode is required');
+    expect(() => validateGenerationRequest({ commanderMode: 'specific' })).toThrow('Commander is required');
+    expect(() => validateGenerationRequest({ commanderMode: 'random', theme: 'Dragons' })).not.toThrow();
+  });
+
+  it('checks the builder and its quotas', () => {
+    expect(() => validateGenerationRequest({ commanderMode: 'random', builder: 'magic' })).toThrow('Builder must be one of: ai, rules');
+    expect(() => validateGenerationRequest({ commanderMode: 'random', builder: 'rules', quotas: { lands: 80 } }))
+      .toThrow(expect.objectContaining({ statusCode: 400, message: expect.stringContaining('Quotas add up to') }));
+    expect(() => validateGenerationRequest({ commanderMode: 'random', builder: 'rules', quotas: { lands: 38 }, curve: { 2: 20 } })).not.toThrow();
+  });
+});
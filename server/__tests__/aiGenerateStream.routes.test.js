@@ -0,0 +1,178 @@
+import crypto from 'crypto';
+import express from 'express';
+import request from 'supertest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../middleware/index.js', () => ({
+  authenticate: (req, res, next) => {
+    req.userId = req.get('X-Test-User') || 'test-user';
+    next();
+  }
+}));
+
+// The pipeline has its own tests; here it only reports stages
+vi.mock('../services/aiDeckGenerationService.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  generateDeck: vi.fn()
+}));
+
+import aiRouter from '../routes/ai.js';
+import { generateDeck, DeckGenerationError } from '../services/aiDeckGenerationService.js';
+import { createGenerationStreams } from '../services/generationStreamService.js';
+
+const body = { commanderMode: 'specific', commander: 'Atraxa, Praetors\' Voice', budget: 200 };
+const result = { commander: { name: 'Atraxa, Praetors\' Voice' }, deck: { description: 'Counters', cards: [] } };
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/ai', aiRouter);
+  return app;
+}
+
+// Read an event stream to its end
+const readStream = (res, callback) => {
+  let text = '';
+  res.on('data', chunk => { text += chunk; });
+  res.on('end', () => callback(null, text));
+};
+
+function parseEvents(text) {
+  return text.split('\n\n').filter(block => block.startsWith('id:')).map(block => {
+    const fields = Object.fromEntries(block.split('\n').map(line => {
+      const at = line.indexOf(': ');
+      return [line.slice(0, at), line.slice(at + 2)];
+    }));
+    return { id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) };
+  });
+}
+
+let nextId = 0;
+
+describe('AI generation stream routes', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createApp();
+    generateDeck.mockReset();
+    vi.spyOn(crypto, 'randomUUID').mockImplementation(() => `gen-${++nextId}`);
+  });
+
+  it('streams each stage and then the deck', async () => {
+    generateDeck.mockImplementation(async (db, request, { onStage }) => {
+      onStage('commander', { commander: result.commander });
+      onStage('draft', { description: 'Counters', cards: [{ name: 'Doubling Season' }] });
+      return result;
+    });
+
+    const res = await request(app).post('/api/ai/generate/stream').send(body).buffer(true).parse(readStream).expect(200);
+
+    expect(res.headers['content-type']).toContain('text/event-stream');
+    expect(res.headers['x-generation-id']).toBe(`gen-${nextId}`);
+    expect(parseEvents(res.body)).toEqual([
+      { id: 1, event: 'started', data: { id: `gen-${nextId}` } },
+      { id: 2, event: 'commander', data: { commander: result.commander } },
+      { id: 3, event: 'draft', data: { description: 'Counters', cards: [{ name: 'Doubling Season' }] } },
+      { id: 4, event: 'deck', data: result }
+    ]);
+    expect(generateDeck.mock.calls[0][1]).toEqual(body);
+    expect(generateDeck.mock.calls[0][2].userId).toBe('test-user');
+  });
+
+  it('rejects an invalid request before opening a stream', async () => {
+    const res = await request(app).post('/api/ai/generate/stream').send({ commanderMode: 'specific' }).expect(400);
+
+    expect(res.body).toEqual({ error: 'Commander is required for specific commander mode' });
+    expect(generateDeck).not.toHaveBeenCalled();
+  });
+
+  it('ends with an error event carrying the error\'s details', async () => {
+    generateDeck.mockRejectedValue(new DeckGenerationError('Not enough cards', 400, { availableCount: 12, requiredCount: 50 }));
+
+    const res = await request(app).post('/api/ai/generate/stream').send({ ...body, inventoryOnly: true }).buffer(true).parse(readStream);
+
+    expect(parseEvents(res.body).at(-1)).toEqual({
+      id: 2, event: 'error', data: { error: 'Not enough cards', statusCode: 400, availableCount: 12, requiredCount: 50 }
+    });
+  });
+
+  it('hides unexpected failures', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    generateDeck.mockRejectedValue(new Error('socket hang up'));
+
+    const res = await request(app).post('/api/ai/generate/stream').send(body).buffer(true).parse(readStream);
+
+    expect(parseEvents(res.body).at(-1).data).toEqual({ error: 'Failed to generate deck', statusCode: 500 });
+  });
+
+  it('resumes after the last event the client saw', async () => {
+    generateDeck.mockImplementation(async (db, request, { onStage }) => {
+      onStage('commander', { commander: result.commander });
+      onStage('recommendations', { archetypes: [] });
+      return result;
+    });
+    await request(app).post('/api/ai/generate/stream').send(body).buffer(true).parse(readStream);
+    const id = `gen-${nextId}`;
+
+    const resumed = await request(app).get(`/api/ai/generate/stream/${id}`).set('Last-Event-ID', '2').buffer(true).parse(readStream).expect(200);
+    expect(parseEvents(resumed.body).map(event => [event.id, event.event])).toEqual([[3, 'recommendations'], [4, 'deck']]);
+
+    const fromQuery = await request(app).get(`/api/ai/generate/stream/${id}?after=3`).buffer(true).parse(readStream);
+    expect(parseEvents(fromQuery.body).map(event => event.event)).toEqual(['deck']);
+
+    await request(app).get(`/api/ai/generate/stream/${id}`).set('X-Test-User', 'someone-else').expect(404);
+    await request(app).get('/api/ai/generate/stream/unknown').expect(404);
+  });
+
+  it('cancels a running generation and aborts its upstream calls', async () => {
+    let signal;
+    let markStarted;
+    const started = new Promise(resolve => { markStarted = resolve; });
+    generateDeck.mockImplementation((db, request, options) => new Promise((resolve, reject) => {
+      signal = options.signal;
+      options.onStage('commander', { commander: result.commander });
+      signal.addEventListener('abort', () => reject(new DeckGenerationError('Deck generation was cancelled', 499)));
+      markStarted();
+    }));
+
+    const streaming = request(app).post('/api/ai/generate/stream').send(body).buffer(true).parse(readStream).then(res => res);
+    await started;
+    const id = `gen-${nextId}`;
+
+    const cancel = await request(app).delete(`/api/ai/generate/stream/${id}`).expect(200);
+    expect(cancel.body).toEqual({ id, cancelled: true });
+    expect(signal.aborted).toBe(true);
+
+    const res = await streaming;
+    expect(parseEvents(res.body).map(event => event.event)).toEqual(['started', 'commander', 'cancelled']);
+
+    const again = await request(app).delete(`/api/ai/generate/stream/${id}`).expect(200);
+    expect(again.body.cancelled).toBe(false);
+  });
+
+  it('keeps the plain endpoint returning the deck as JSON', async () => {
+    generateDeck.mockResolvedValueOnce(result);
+    const res = await request(app).post('/api/ai/generate').send(body).expect(200);
+    expect(res.body).toEqual(result);
+
+    generateDeck.mockRejectedValueOnce(new DeckGenerationError('Could not find commander "Nobody"', 404));
+    await request(app).post('/api/ai/generate').send(body).expect(404);
+    await request(app).post('/api/ai/generate').send({}).expect(400);
+  });
+});
+
+describe('generation streams', () => {
+  it('forgets a finished stream after its TTL', async () => {
+    vi.useFakeTimers();
+    const streams = createGenerationStreams({ ttlMs: 1000, createId: () => 'gen-ttl' });
+    const stream = streams.start('u1', async () => result);
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(stream.events.map(event => event.event)).toEqual(['started', 'deck']);
+    expect(streams.get('gen-ttl', 'u1')).toBe(stream);
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(streams.get('gen-ttl', 'u1')).toBeNull();
+    vi.useRealTimers();
+  });
+});
@@ -0,0 +1,191 @@
+import express from 'express';
+import request from 'supertest';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createAutobuyRouter } from '../routes/autobuy.js';
+import { summarizePredictions } from '../services/autobuyRunService.js';
+import { createMockPool } from './helpers/mockPool.js';
+
+describe('autobuy run routes', () => {
+  let app;
+  let queries;
+  let runs;
+  let items;
+
+  beforeEach(() => {
+    runs = [];
+    items = [];
+
+    // Mock pool backed by in-memory run and item rows
+    const db = createMockPool((text, params) => {
+      if (text.startsWith('INSERT INTO autobuy_runs')) {
+        const run = { id: runs.length + 1, user_id: params[0], predicted_total: params[1], notes: params[2], status: 'pending', actual_total: null };
+        runs.push(run);
+        return { rows: [{ ...run }] };
+      }
+      if (text.startsWith('INSERT INTO autobuy_run_items')) {
+        const inserted = [];
+        for (let i = 0; i < params.length; i += 7) {
+          const [runId, cardId, cardName, predictedPrice, quantity, sellerId, marketplace] = params.slice(i, i + 7);
+          const item = {
+            id: items.length + 1, run_id: runId, card_id: cardId, card_name: cardName, predicted_price: predictedPrice,
+            quantity, seller_id: sellerId, marketplace, was_purchased: false, actual_price: null
+          };
+          items.push(item);
+          inserted.push({ ...item });
+        }
+        return { rows: inserted };
+      }
+      if (text.startsWith('SELECT * FROM autobuy_runs WHERE id = $1 AND user_id = $2')) {
+        return { rows: runs.filter(r => r.id === params[0] && r.user_id === params[1]).map(r => ({ ...r })) };
+      }
+      if (text.startsWith('SELECT * FROM autobuy_run_items WHERE run_id = $1')) {
+        return { rows: items.filter(i => i.run_id === params[0]).map(i => ({ ...i })) };
+      }
+      if (text.includes('UPDATE autobuy_run_items')) {
+        const item = items.find(i => i.id === params[1] && i.run_id === params[2]);
+        Object.assign(item, { actual_price: params[0], was_purchased: true });
+        return { rows: [] };
+      }
+      if (text.includes('AS purchased_units')) {
+        return { rows: [{ purchased_units: '5', sold_units: '2' }] };
+      }
+      if (text.startsWith('UPDATE autobuy_runs')) {
+        const run = runs.find(r => r.id === params[2]);
+        Object.assign(run, { status: params[0], actual_total: params[1] });
+        return { rows: [{ ...run }] };
+      }
+    });
+    queries = db.queries;
+
+    const authMiddleware = (req, res, next) => { req.userId = 'test-user'; next(); };
+    const noopLimiter = (req, res, next) => next();
+
+    app = express();
+    app.use(express.json());
+    app.use('/api', createAutobuyRouter({ pool: db.pool, authenticateMiddleware: authMiddleware, apiLimiterMiddleware: noopLimiter }));
+  });
+
+  async function recordRun() {
+    const res = await request(app)
+      .post('/api/autobuy/runs')
+      .send({
+        items: [
+          { cardId: 'bolt', cardName: 'Lightning Bolt', predictedPrice: 2, quantity: 4, sellerId: 's1', marketplace: 'TCG' },
+          { cardId: 'ring', cardName: 'Sol Ring', predictedPrice: 1.5, sellerId: 's2', marketplace: 'TCG' }
+        ]
+      })
+      .expect(201);
+    return res.body;
+  }
+
+  it('records a run with its predictions and derives the predicted total', async () => {
+    const run = await recordRun();
+
+    expect(run.status).toBe('pending');
+    expect(run.predictedTotal).toBe(9.5);
+    expect(run.items).toHaveLength(2);
+    expect(run.items[1]).toMatchObject({ cardId: 'ring', quantity: 1, wasPurchased: false, actualPrice: null });
+    expect(queries.filter(q => q.text === 'BEGIN')).toHaveLength(1);
+    expect(queries.some(q => q.text === 'COMMIT')).toBe(true);
+  });
+
+  it('rejects runs without items', async () => {
+    await request(app).post('/api/autobuy/runs').send({ items: [] }).expect(400);
+    expect(runs).toHaveLength(0);
+  });
+
+  it('marks items purchased and closes a partially purchased run', async () => {
+    const run = await recordRun();
+
+    const purchased = await request(app)
+      .post(`/api/autobuy/runs/${run.id}/purchases`)
+      .send({ purchases: [{ itemId: run.items[0].id, actualPrice: 2.25 }] })
+      .expect(200);
+    expect(purchased.body.items[0]).toMatchObject({ wasPurchased: true, actualPrice: 2.25 });
+
+    const closed = await request(app).post(`/api/autobuy/runs/${run.id}/close`).send({}).expect(200);
+    expect(closed.body.status).toBe('partially_purchased');
+    expect(closed.body.actualTotal).toBe(9);
+
+    const metric = queries.find(q => q.text.includes('INSERT INTO autobuy_metrics'));
+    expect(metric.params[0]).toBe('prediction_accuracy');
+    expect(metric.params[1]).toBe(12.5);
+  });
+
+  it('cancels a run when nothing was bought', async () => {
+    const run = await recordRun();
+
+    const closed = await request(app).post(`/api/autobuy/runs/${run.id}/close`).send({}).expect(200);
+
+    expect(closed.body.status).toBe('cancelled');
+    expect(queries.some(q => q.text.includes('INSERT INTO autobuy_metrics'))).toBe(false);
+  });
+
+  it('refuses purchases on a closed run', async () => {
+    const run = await recordRun();
+    await request(app).post(`/api/autobuy/runs/${run.id}/close`).send({ cancel: true }).expect(200);
+
+    const res = await request(app)
+      .post(`/api/autobuy/runs/${run.id}/purchases`)
+      .send({ purchases: [{ itemId: run.items[0].id, actualPrice: 2 }] })
+      .expect(409);
+
+    expect(res.body.error).toBe('Run is already cancelled');
+    expect(queries.some(q => q.text === 'ROLLBACK')).toBe(true);
+  });
+
+  it('rejects purchases for items from another run', async () => {
+    const run = await recordRun();
+
+    const res = await request(app)
+      .post(`/api/autobuy/runs/${run.id}/purchases`)
+      .send({ purchases: [{ itemId: 999, actualPrice: 2 }] })
+      .expect(400);
+
+    expect(res.body.error).toBe('Items not in this run: 999');
+  });
+
+  it('returns 404 for runs owned by someone else', async () => {
+    runs.push({ id: 50, user_id: 'other-user', predicted_total: 1, status: 'pending' });
+
+    await request(app).get('/api/autobuy/runs/50').expect(404);
+    await request(app).post('/api/autobuy/runs/50/close').send({}).expect(404);
+  });
+
+  it('reports sell-through with each sale attributed to one purchase', async () => {
+    const res = await request(app).get('/api/autobuy/dashboard?days=30').expect(200);
+
+    expect(res.body.sellThrough).toEqual({ purchasedUnits: 5, soldUnits: 2, rate: 40 });
+    const query = queries.find(q => q.text.includes('AS purchased_units'));
+    expect(query.params).toEqual(['test-user', 30]);
+    expect(query.text).toMatch(/ORDER BY p\.purchased_at DESC, p\.id DESC\s+LIMIT 1/);
+  });
+
+  it('validates the run list status filter', async () => {
+    const res = await request(app).get('/api/autobuy/runs?status=done').expect(400);
+    expect(res.body.error).toMatch(/Status must be one of/);
+  });
+});
+
+describe('summarizePredictions', () => {
+  it('weights errors by quantity', () => {
+    const summary = summarizePredictions([
+      { predictedPrice: 2, actualPrice: 3, quantity: 3 },
+      { predictedPrice: 10, actualPrice: 8, quantity: 1 }
+    ]);
+
+    expect(summary).toEqual({
+      items: 2,
+      units: 4,
+      predictedSpend: 16,
+      actualSpend: 17,
+      meanAbsoluteError: 1.25,
+      bias: 0.25,
+      percentError: 31.25
+    });
+  });
+
+  it('handles an empty item list', () => {
+    expect(summarizePredictions([])).toMatchObject({ units: 0, meanAbsoluteError: 0, percentError: 0 });
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+
+import { cardNameAliases, buildCatalog, syncCardCatalog, resolveOracleIds } from '../services/cardCatalogService.js';
+import { allocateDeckCards } from '../services/deckReservationService.js';
+
+const DELVER = 'aaaaaaaa-0000-0000-0000-000000000001';
+const FIRE_ICE = 'aaaaaaaa-0000-0000-0000-000000000002';
+const LIM_DUL = 'aaaaaaaa-0000-0000-0000-000000000003';
+
+// MTGJSON identifier records as mtgjsonPriceService emits them: one per card face
+const RECORDS = [
+  { uuid: 'u1', scryfallId: 's-delver', oracleId: DELVER, name: 'Delver of Secrets // Insectile Aberration', faceName: 'Delver of Secrets', side: 'a', setCode: 'isd', number: '51a', rarity: 'common', manaValue: 1, manaCost: '{U}', colors: ['U'], colorIdentity: ['U'], type: 'Creature — Human Wizard' },
+  { uuid: 'u2', scryfallId: 's-delver', oracleId: DELVER, name: 'Delver of Secrets // Insectile Aberration', faceName: 'Insectile Aberration', side: 'b', setCode: 'isd', number: '51b', rarity: 'common', manaValue: 1, colors: ['U'], colorIdentity: ['U'], type: 'Creature — Human Insect' },
+  { uuid: 'u3', scryfallId: 's-fire-ice', oracleId: FIRE_ICE, name: 'Fire // Ice', faceName: 'Fire', side: 'a', setCode: 'apc', number: '128', rarity: 'uncommon', manaValue: 4, manaCost: '{1}{R}', colors: ['R'], colorIdentity: ['R', 'U'], type: 'Instant' },
+  { uuid: 'u4', scryfallId: 's-fire-ice-2', oracleId: FIRE_ICE, name: 'Fire // Ice', faceName: 'Ice', side: 'b', setCode: 'mh2', number: '290', rarity: 'uncommon', manaValue: 4, colors: ['U'], colorIdentity: ['R', 'U'], type: 'Instant' },
+  { uuid: 'u5', scryfallId: 's-lim-dul', oracleId: LIM_DUL, name: 'Lim-Dûl\'s Vault', asciiName: 'Lim-Dul\'s Vault', setCode: 'all', number: '108', rarity: 'uncommon', manaValue: 2, manaCost: '{U}{B}', colors: ['U', 'B'], colorIdentity: ['U', 'B'], type: 'Instant' },
+  { uuid: 'u6', scryfallId: 's-no-oracle', name: 'Token' }
+];
+
+describe('cardNameAliases', () => {
+  it('includes the full name, each face and the ASCII spelling', () => {
+    expect(cardNameAliases('Fire // Ice')).toEqual(['fire ice', 'fire', 'ice']);
+    expect(cardNameAliases('Lim-Dûl\'s Vault', 'Lim-Dul\'s Vault')).toEqual(['limduls vault']);
+    expect(cardNameAliases(null, '')).toEqual([]);
+  });
+});
+
+describe('buildCatalog', () => {
+  it('folds per-face records into one card per oracle id and one printing per Scryfall id', () => {
+    const { cards, printings } = buildCatalog(RECORDS);
+
+    expect(cards.map(c => c.oracleId)).toEqual([DELVER, FIRE_ICE, LIM_DUL]);
+    expect(cards[0]).toMatchObject({
+      name: 'Delver of Secrets // Insectile Aberration',
+      normalizedName: 'delver of secrets insectile aberration',
+      manaCost: '{U}',
+      typeLine: 'Creature — Human Wizard'
+    });
+    expect(cards[0].aliases).toEqual(expect.arrayContaining(['delver of secrets', 'insectile aberration']));
+    expect(cards[1].aliases).toEqual(expect.arrayContaining(['fire ice', 'fire', 'ice']));
+
+    expect(printings).toHaveLength(4);
+    expect(printings[0]).toEqual({ scryfallId: 's-delver', oracleId: DELVER, mtgjsonUuid: 'u1', setCode: 'ISD', collectorNumber: '51a', rarity: 'common' });
+  });
+
+  it('prefers the front face even when the back face comes first', () => {
+    const { cards, printings } = buildCatalog([RECORDS[1], RECORDS[0]]);
+
+    expect(cards[0].manaCost).toBe('{U}');
+    expect(cards[0].typeLine).toBe('Creature — Human Wizard');
+    expect(cards[0].aliases).toEqual(expect.arrayContaining(['delver of secrets', 'insectile aberration']));
+    expect(printings[0].mtgjsonUuid).toBe('u1');
+  });
+});
+
+describe('syncCardCatalog', () => {
+  it('upserts in batches and links inventory afterwards', async () => {
+    const queries = [];
+    const db = {
+      query: async (text, params = []) => {
+        queries.push({ text, params });
+        if (text.includes('SELECT DISTINCT name FROM inventory')) return { rows: [{ name: 'Fire/Ice' }] };
+        if (text.includes('FROM card_aliases a')) return { rows: [{ normalized_name: 'fireice', oracle_id: FIRE_ICE }] };
+        if (text.includes('UPDATE inventory')) return { rows: [], rowCount: 1 };
+        return { rows: [] };
+      }
+    };
+
+    const result = await syncCardCatalog(db, RECORDS, { batchSize: 2 });
+
+    expect(result).toEqual({ cards: 3, printings: 4, linked: 2 });
+    expect(queries.filter(q => q.text.includes('INSERT INTO cards'))).toHaveLength(2);
+    expect(queries.filter(q => q.text.includes('INSERT INTO printings'))).toHaveLength(2);
+    const cardBatch = JSON.parse(queries.find(q => q.text.includes('INSERT INTO cards')).params[0]);
+    expect(cardBatch[0]).toMatchObject({ oracle_id: DELVER, colors: ['U'], color_identity: ['U'] });
+  });
+});
+
+describe('resolveOracleIds', () => {
+  it('returns an empty map without querying for blank names', async () => {
+    const db = { query: async () => { throw new Error('should not query'); } };
+    expect(await resolveOracleIds(db, ['', null])).toEqual(new Map());
+  });
+});
+
+describe('allocateDeckCards with the catalog', () => {
+  function createDb(inventory) {
+    const aliases = { 'delver of secrets': DELVER, 'insectile aberration': DELVER, 'limduls vault': LIM_DUL };
+    const queries = [];
+    return {
+      queries,
+      query: async (text, params = []) => {
+        queries.push({ text, params });
+        if (text.includes('FROM card_aliases a')) {
+          return { rows: params[0].filter(n => aliases[n]).map(n => ({ normalized_name: n, oracle_id: aliases[n] })) };
+        }
+        if (text.includes('FROM inventory i')) {
+          const [oracleIds, names] = params;
+          return {
+            rows: inventory.filter(i => oracleIds.includes(i.oracle_id) || (!i.oracle_id && names.includes(i.name.toLowerCase().trim())))
+          };
+        }
+        return { rows: [] };
+      }
+    };
+  }
+
+  it('matches face names and accented spellings through oracle ids', async () => {
+    const db = createDb([
+      { id: 1, name: 'Delver of Secrets // Insectile Aberration', oracle_id: DELVER, folder: 'Binder', purchase_price: 1, available_quantity: '1' },
+      { id: 2, name: 'Lim-Dul\'s Vault', oracle_id: LIM_DUL, folder: 'Binder', purchase_price: 3, available_quantity: '1' }
+    ]);
+
+    const { reservations, missingCards } = await allocateDeckCards(db, {
+      deckId: 7,
+      userId: 'u',
+      cards: [{ name: 'Delver of Secrets', quantity: 2 }, { name: 'Lim-Dûl\'s Vault', quantity: 1 }]
+    });
+
+    expect(reservations.map(r => [r.inventory_item_id, r.quantity_reserved])).toEqual([[1, 1], [2, 1]]);
+    expect(missingCards).toEqual([{ deck_id: 7, card_name: 'Delver of Secrets', set_code: null, quantity_needed: 1, oracle_id: DELVER }]);
+  });
+
+  it('falls back to the name for inventory not linked to the catalog, cheapest copy first', async () => {
+    const db = createDb([
+      { id: 3, name: 'Insectile Aberration', oracle_id: DELVER, folder: 'A', purchase_price: 5, available_quantity: '1' },
+      { id: 4, name: 'delver of secrets', oracle_id: null, folder: 'B', purchase_price: 0.5, available_quantity: '1' },
+      { id: 5, name: 'Sol Ring', oracle_id: null, folder: 'C', purchase_price: 2, available_quantity: '1' }
+    ]);
+
+    const { reservations, missingCards } = await allocateDeckCards(db, {
+      deckId: 7,
+      userId: 'u',
+      cards: [{ name: 'Delver of Secrets', quantity: 2 }, { name: 'Sol Ring', quantity: 1 }]
+    });
+
+    expect(reservations.map(r => r.inventory_item_id)).toEqual([4, 3, 5]);
+    expect(missingCards).toEqual([]);
+  });
+});
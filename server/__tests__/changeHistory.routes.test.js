@@ -0,0 +1,130 @@
+import express from 'express';
+import request from 'supertest';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createInventoryRouter } from '../routes/inventory.js';
+import { diffInventoryItem } from '../services/changeHistoryService.js';
+import { createMockPool } from './helpers/mockPool.js';
+
+describe('inventory change history routes', () => {
+  let app;
+  let queries;
+  let item;
+  let history;
+  let reserved;
+
+  beforeEach(() => {
+    item = { id: 5, name: 'Sol Ring', quantity: 3, purchase_price: 1.5, folder: 'Binder', quality: 'NM', foil: false };
+    history = [
+      { id: 40, card_id: 5, card_name: 'Sol Ring', field_changed: 'quantity', old_value: '4', new_value: '3', action: 'update', reverted_at: null },
+      { id: 41, card_id: 5, card_name: 'Sol Ring', field_changed: 'folder', old_value: 'Trade', new_value: 'Box', action: 'update', reverted_at: null },
+      { id: 42, card_id: null, card_name: 'Mox Opal', field_changed: 'quantity', old_value: '1', new_value: null, action: 'delete', reverted_at: null },
+      { id: 43, card_id: 5, card_name: 'Sol Ring', field_changed: 'folder', old_value: 'Binder', new_value: 'Uncategorized', action: 'release', reverted_at: null }
+    ];
+    reserved = 0;
+
+    let nextChangeId = 100;
+    const db = createMockPool((text, params) => {
+      if (text.startsWith('SELECT name, quantity, purchase_price')) return { rows: [{ ...item }] };
+      if (text.startsWith('UPDATE inventory SET quantity = $1, folder = $2')) {
+        return { rows: [{ ...item, quantity: params[0], folder: params[1] }] };
+      }
+      if (text.includes('INSERT INTO change_history')) {
+        return { rows: JSON.parse(params[1]).map(row => ({ id: nextChangeId++, user_id: params[0], ...row })) };
+      }
+      if (text.startsWith('SELECT * FROM change_history WHERE id = $1')) {
+        return { rows: history.filter(h => h.id === params[0]) };
+      }
+      if (text.startsWith('SELECT * FROM change_history')) return { rows: history };
+      if (text.startsWith('SELECT COUNT(*)')) return { rows: [{ total: String(history.length) }] };
+      if (text.startsWith('SELECT id, name, quantity FROM inventory')) return { rows: [{ id: 5, name: 'Sol Ring', quantity: item.quantity }] };
+      if (text.startsWith('UPDATE inventory SET quantity = $1 WHERE')) return { rows: [{ ...item, quantity: params[0] }] };
+      if (text.includes('FROM deck_reservations WHERE inventory_item_id')) return { rows: [{ reserved: String(reserved) }] };
+    });
+    queries = db.queries;
+
+    const authMiddleware = (req, res, next) => { req.userId = 'test-user'; next(); };
+    const noopLimiter = (req, res, next) => next();
+    const validateIdMiddleware = (req, res, next) => { req.validatedId = parseInt(req.params.id, 10); next(); };
+
+    app = express();
+    app.use(express.json());
+    app.use('/api', createInventoryRouter({
+      pool: db.pool,
+      validateIdMiddleware,
+      authenticateMiddleware: authMiddleware,
+      apiLimiterMiddleware: noopLimiter
+    }));
+  });
+
+  const run = (fragment) => queries.filter(q => q.text.includes(fragment));
+
+  it('records one change per edited field on update', async () => {
+    await request(app).put('/api/inventory/5').send({ quantity: 2, folder: 'Deck Box', quality: 'NM' }).expect(200);
+
+    const [insert] = run('INSERT INTO change_history');
+    expect(JSON.parse(insert.params[1])).toEqual([
+      { card_id: 5, card_name: 'Sol Ring', field_changed: 'quantity', old_value: '3', new_value: '2', action: 'update', context: null },
+      { card_id: 5, card_name: 'Sol Ring', field_changed: 'folder', old_value: 'Binder', new_value: 'Deck Box', action: 'update', context: null }
+    ]);
+  });
+
+  it('lists history with filters and marks what can be reverted', async () => {
+    const res = await request(app).get('/api/inventory/history?field=quantity&action=update&cardId=5&days=7&limit=20&offset=40').expect(200);
+
+    expect(res.body.total).toBe(4);
+    expect(res.body.changes.map(c => c.revertible)).toEqual([true, true, false, false]);
+    expect(queries[0].params).toEqual(['test-user', 5, 'quantity', 'update', 7, 20, 40]);
+  });
+
+  it('rejects unknown history filters', async () => {
+    const res = await request(app).get('/api/inventory/history?field=name').expect(400);
+    expect(res.body.error).toMatch(/^field must be one of/);
+    await request(app).get('/api/inventory/history?action=teleport').expect(400);
+    await request(app).get('/api/inventory/history?days=0').expect(400);
+    expect(queries).toHaveLength(0);
+  });
+
+  it('reverts a change when the field still holds the changed value', async () => {
+    const res = await request(app).post('/api/inventory/history/40/revert').expect(200);
+
+    expect(res.body.item.quantity).toBe(4);
+    expect(res.body.change).toMatchObject({ field_changed: 'quantity', old_value: '3', new_value: '4', action: 'revert', context: { revertedChangeId: 40 } });
+    expect(run('UPDATE change_history SET reverted_at').map(q => q.params)).toEqual([[res.body.change.id, 40]]);
+    expect(queries.at(-1).text).toBe('COMMIT');
+  });
+
+  it('refuses stale and non-revertible changes', async () => {
+    item.quantity = 7;
+    const stale = await request(app).post('/api/inventory/history/40/revert').expect(409);
+    expect(stale.body.error).toBe("quantity has changed since (now 7), so this change can't be reverted");
+    expect(run('UPDATE inventory')).toHaveLength(0);
+    expect(queries.at(-1).text).toBe('ROLLBACK');
+
+    await request(app).post('/api/inventory/history/42/revert').expect(409);
+    await request(app).post('/api/inventory/history/99/revert').expect(404);
+
+    const release = await request(app).post('/api/inventory/history/43/revert').expect(409);
+    expect(release.body.error).toBe("release changes to folder can't be reverted");
+  });
+
+  it('refuses to revert quantity below the copies decks have reserved', async () => {
+    item.quantity = 3;
+    history[0] = { ...history[0], old_value: '1' };
+    reserved = 2;
+
+    const res = await request(app).post('/api/inventory/history/40/revert').expect(409);
+
+    expect(res.body.error).toBe("Decks have 2 copies reserved, so quantity can't go back to 1");
+    expect(run('UPDATE inventory')).toHaveLength(0);
+    expect(queries.at(-1).text).toBe('ROLLBACK');
+  });
+});
+
+describe('diffInventoryItem', () => {
+  it('ignores fields that are unchanged apart from their type', () => {
+    const before = { quantity: 2, purchase_price: 1.5, folder: 'Binder', foil: false, quality: 'NM' };
+    expect(diffInventoryItem(before, { quantity: 2, purchase_price: '1.50', foil: false, folder: 'Box' })).toEqual([
+      { field: 'folder', oldValue: 'Binder', newValue: 'Box' }
+    ]);
+  });
+});
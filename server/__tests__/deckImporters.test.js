@@ -0,0 +1,224 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import express from 'express';
+import request from 'supertest';
+import { describe, it, expect, vi } from 'vitest';
+import { createDeckImportsRouter } from '../routes/deckImports.js';
+import {
+  findDeckImporter,
+  importDeckFromUrl,
+  diffSyncCards,
+  diffSyncDeck
+} from '../services/deckImporters/index.js';
+import { parseTextDeck } from '../services/deckImporters/shared.js';
+import { createMockPool } from './helpers/mockPool.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), '../services/deckImporters/fixtures');
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+
+// Recorded responses by the URL each importer requests
+const RESPONSES = {
+  'https://archidekt.com/api/decks/1234567/': fixture('archidekt-deck.json'),
+  'https://api2.moxfield.com/v3/decks/all/Xk2mQ9pLr0abCdEf': fixture('moxfield-deck.json'),
+  'https://www.mtggoldfish.com/deck/download/5550123': fixture('mtggoldfish-deck.txt'),
+  'https://www.mtggoldfish.com/deck/5550123': fixture('mtggoldfish-page.html'),
+  'https://tappedout.net/mtg-decks/atraxa-superfriends/?fmt=txt': fixture('tappedout-deck.txt'),
+  'https://api.scryfall.com/decks/0b3c6b8e-1c2d-4e5f-8a9b-0c1d2e3f4a5b/export/json': fixture('scryfall-deck.json')
+};
+
+const fetchImpl = vi.fn(async (url) => {
+  const body = RESPONSES[url];
+  return {
+    ok: body !== undefined,
+    status: body === undefined ? 404 : 200,
+    json: async () => JSON.parse(body),
+    text: async () => body
+  };
+});
+
+const names = (cards) => cards.map(card => `${card.quantity} ${card.name}`);
+
+describe('findDeckImporter', () => {
+  it('recognizes each site\'s deck URLs', () => {
+    const match = (url) => {
+      const found = findDeckImporter(url);
+      return found && [found.importer.key, found.deckId];
+    };
+
+    expect(match('https://archidekt.com/decks/1234567/thrasios_tymna')).toEqual(['archidekt', '1234567']);
+    expect(match('moxfield.com/decks/Xk2mQ9pLr0abCdEf')).toEqual(['moxfield', 'Xk2mQ9pLr0abCdEf']);
+    expect(match('https://www.mtggoldfish.com/deck/5550123#paper')).toEqual(['mtggoldfish', '5550123']);
+    expect(match('https://tappedout.net/mtg-decks/atraxa-superfriends/')).toEqual(['tappedout', 'atraxa-superfriends']);
+    expect(match('https://scryfall.com/@someone/decks/0b3c6b8e-1c2d-4e5f-8a9b-0c1d2e3f4a5b')).toEqual(['scryfall', '0b3c6b8e-1c2d-4e5f-8a9b-0c1d2e3f4a5b']);
+    expect(match('https://www.mtggoldfish.com/archetype/modern-burn')).toBeNull();
+    expect(match('')).toBeNull();
+  });
+});
+
+describe('importers', () => {
+  it('reads Archidekt categories into commanders, sideboard and maybeboard', async () => {
+    const deck = await importDeckFromUrl('https://archidekt.com/decks/1234567/thrasios_tymna', { fetchImpl });
+
+    expect(deck).toMatchObject({
+      importer: 'archidekt',
+      name: 'Thrasios & Tymna Midrange',
+      format: 'Commander',
+      description: 'Value piles with partners.\n',
+      commander: 'Thrasios, Triton Hero + Tymna the Weaver',
+      companion: null
+    });
+    expect(names(deck.cards)).toEqual(['1 Thrasios, Triton Hero', '1 Tymna the Weaver', '1 Sol Ring', '1 Arcane Signet', '4 Island']);
+    expect(deck.cards[2]).toEqual({ name: 'Sol Ring', quantity: 1, set: 'C21', collector_number: '263', scryfall_id: 'ee6e5a35-fe21-4dee-b0ef-a8f2841511ad' });
+    expect(names(deck.sideboard)).toEqual(['1 Disdainful Stroke']);
+    expect(names(deck.maybeboard)).toEqual(['1 Dauthi Voidwalker', '1 Ancestral Vision']);
+  });
+
+  it('reads Moxfield boards and keeps the companion in the sideboard', async () => {
+    const deck = await importDeckFromUrl('https://www.moxfield.com/decks/Xk2mQ9pLr0abCdEf', { fetchImpl });
+
+    expect(deck).toMatchObject({ importer: 'moxfield', name: 'Lurrus Burn', format: 'Modern', commander: null, companion: 'Lurrus of the Dream-Den' });
+    expect(names(deck.cards)).toEqual(['4 Lightning Bolt', '4 Monastery Swiftspear', '20 Mountain']);
+    expect(names(deck.sideboard)).toEqual(['1 Lurrus of the Dream-Den', '2 Path to Exile']);
+    expect(names(deck.maybeboard)).toEqual(['1 Skewer the Critics']);
+  });
+
+  it('splits the MTGGoldfish download at the blank line and names the deck from its page', async () => {
+    const deck = await importDeckFromUrl('https://www.mtggoldfish.com/deck/5550123', { fetchImpl });
+
+    expect(deck).toMatchObject({ importer: 'mtggoldfish', name: 'Mono-Red Burn', format: 'Modern' });
+    expect(names(deck.cards)).toEqual(['4 Lightning Bolt', '4 Monastery Swiftspear', '4 Goblin Guide', '20 Mountain']);
+    expect(names(deck.sideboard)).toEqual(['3 Smash to Smithereens', '2 Path to Exile']);
+  });
+
+  it('reads TappedOut sections and *CMDR* markers', async () => {
+    const deck = await importDeckFromUrl('https://tappedout.net/mtg-decks/atraxa-superfriends/', { fetchImpl });
+
+    expect(deck).toMatchObject({ importer: 'tappedout', name: 'Atraxa Superfriends', format: 'Commander', commander: 'Atraxa, Praetors\' Voice' });
+    expect(deck.cards[0]).toEqual({ name: 'Atraxa, Praetors\' Voice', quantity: 1, set: 'CM2', collector_number: '10', scryfall_id: null });
+    expect(names(deck.cards)).toEqual(['1 Atraxa, Praetors\' Voice', '1 Sol Ring', '1 Arcane Signet', '10 Forest']);
+    expect(names(deck.sideboard)).toEqual(['1 Heroic Intervention']);
+    expect(deck.maybeboard).toEqual([{ name: 'Doubling Season', quantity: 1, set: '2X2', collector_number: '144', scryfall_id: null }]);
+  });
+
+  it('reads Scryfall entries and skips lines Scryfall could not match to a card', async () => {
+    const deck = await importDeckFromUrl('https://scryfall.com/@someone/decks/0b3c6b8e-1c2d-4e5f-8a9b-0c1d2e3f4a5b', { fetchImpl });
+
+    expect(deck).toMatchObject({ importer: 'scryfall', name: 'Pauper Elves', format: 'Pauper', description: '' });
+    expect(names(deck.cards)).toEqual(['4 Llanowar Elves', '16 Forest']);
+    expect(names(deck.sideboard)).toEqual(['2 Gut Shot']);
+  });
+
+  it('reports unsupported URLs and decks the site doesn\'t have', async () => {
+    await expect(importDeckFromUrl('https://example.com/decks/1', { fetchImpl }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(importDeckFromUrl('https://archidekt.com/decks/999', { fetchImpl }))
+      .rejects.toMatchObject({ statusCode: 404, message: expect.stringContaining('Archidekt') });
+    await expect(importDeckFromUrl('https://moxfield.com/decks/abc', { fetchImpl: async () => { throw new Error('ECONNRESET'); } }))
+      .rejects.toMatchObject({ statusCode: 502 });
+  });
+});
+
+describe('parseTextDeck', () => {
+  it('handles SB: prefixes, headers with counts and Arena-style set codes', () => {
+    const boards = parseTextDeck('Deck\n2 Opt (DOM) 60\nSB: 1 Negate\n\nSideboard (2)\n1x Duress [M20]\n');
+
+    expect(boards.main).toEqual([{ name: 'Opt', quantity: 2, set: 'DOM', collector_number: '60', scryfall_id: null }]);
+    expect(names(boards.sideboard)).toEqual(['1 Negate', '1 Duress']);
+    expect(boards.sideboard[1].set).toBe('M20');
+  });
+});
+
+describe('sync diff', () => {
+  const local = [
+    { name: 'Sol Ring', quantity: 1, set: 'c21', collector_number: '263' },
+    { name: 'Island', quantity: 2, set: 'M21', collector_number: '268' },
+    { name: 'Ponder', quantity: 1, set: 'M12', collector_number: '73' }
+  ];
+  const remote = [
+    { name: 'Sol Ring', quantity: 1, set: 'C21', collector_number: '263' },
+    { name: 'Island', quantity: 4, set: 'M21', collector_number: '268' },
+    { name: 'Brainstorm', quantity: 1, set: 'STA', collector_number: '13' }
+  ];
+
+  it('compares printings, ignoring set code case', () => {
+    expect(diffSyncCards(local, remote)).toEqual({
+      added: [remote[2]],
+      removed: [local[2]],
+      modified: [{ card: remote[1], oldQuantity: 2, newQuantity: 4 }]
+    });
+  });
+
+  it('counts commander and board changes even when the main deck matches', () => {
+    const deck = { cards: remote, commander: null, sideboard: [], maybeboard: [] };
+
+    expect(diffSyncDeck(deck, { cards: remote, commander: null, sideboard: [], maybeboard: [] }))
+      .toMatchObject({ boardsChanged: false, hasChanges: false });
+    expect(diffSyncDeck(deck, { cards: remote, commander: null, sideboard: [{ name: 'Negate', quantity: 1 }], maybeboard: [] }))
+      .toMatchObject({ boardsChanged: true, hasChanges: true });
+  });
+});
+
+describe('deck import routes', () => {
+  function createApp() {
+    const { pool, queries } = createMockPool((text, params) => {
+      if (text.includes('INSERT INTO decks')) {
+        return { rows: [{ id: 42, name: params[1], format: params[2], commander: params[5], source_url: params[9], archidekt_url: params[10] }] };
+      }
+      if (text.includes('INSERT INTO deck_revisions')) {
+        return { rows: [{ id: 1, deck_id: params[0], revision_number: params[1], source: params[3], diff: JSON.parse(params[5]) }] };
+      }
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', createDeckImportsRouter({
+      pool,
+      fetchImpl,
+      authenticateMiddleware: (req, res, next) => { req.userId = 'test-user'; next(); },
+      apiLimiterMiddleware: (req, res, next) => next()
+    }));
+    return { app, queries };
+  }
+
+  it('lists supported sites', async () => {
+    const { app } = createApp();
+    const res = await request(app).get('/api/deck-imports/sources');
+
+    expect(res.status).toBe(200);
+    expect(res.body.map(site => site.label)).toEqual(['Archidekt', 'Moxfield', 'MTGGoldfish', 'TappedOut', 'Scryfall']);
+  });
+
+  it('previews a deck without saving it', async () => {
+    const { app, queries } = createApp();
+    const res = await request(app).post('/api/deck-imports/preview').send({ url: 'https://www.mtggoldfish.com/deck/5550123' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ importer: 'mtggoldfish', name: 'Mono-Red Burn' });
+    expect(queries).toHaveLength(0);
+  });
+
+  it('creates a linked deck with its boards and a first revision', async () => {
+    const { app, queries } = createApp();
+    const url = 'https://www.moxfield.com/decks/Xk2mQ9pLr0abCdEf';
+    const res = await request(app).post('/api/deck-imports').send({ url });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ deck: { id: 42, name: 'Lurrus Burn', source_url: url, archidekt_url: null }, source: { importer: 'moxfield', label: 'Moxfield' } });
+
+    const insert = queries.find(q => q.text.includes('INSERT INTO decks'));
+    expect(names(JSON.parse(insert.params[7]))).toEqual(['1 Lurrus of the Dream-Den', '2 Path to Exile']);
+    const revision = queries.find(q => q.text.includes('INSERT INTO deck_revisions'));
+    expect(revision.params.slice(0, 4)).toEqual([42, 1, 'test-user', 'import']);
+    expect(queries.map(q => q.text).at(-1)).toBe('COMMIT');
+  });
+
+  it('rejects URLs it can\'t import', async () => {
+    const { app } = createApp();
+
+    expect((await request(app).post('/api/deck-imports').send({ url: 'not a url' })).status).toBe(400);
+    const unsupported = await request(app).post('/api/deck-imports').send({ url: 'https://example.com/decks/1' });
+    expect(unsupported.status).toBe(400);
+    expect(unsupported.body.error).toContain('Moxfield');
+  });
+});
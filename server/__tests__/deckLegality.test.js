@@ -0,0 +1,168 @@
+import { describe, it, expect } from 'vitest';
+import { validateDeck, parseCommanders } from '../services/deckLegalityService.js';
+import { extractCardRules } from '../utils/cardRulesMetadata.js';
+
+const legalEverywhere = { commander: 'legal', standard: 'legal', modern: 'legal', pioneer: 'legal', pauper: 'legal' };
+
+// Card metadata as mtgjsonPriceService stores it
+const card = (overrides = {}) => ({
+  cmc: 2,
+  manaCost: '{1}{G}',
+  types: ['Creature'],
+  typeLine: 'Creature — Elf',
+  colorIdentity: ['G'],
+  legalities: legalEverywhere,
+  canBeCommander: false,
+  companion: false,
+  partner: null,
+  partnerWith: null,
+  deckLimit: null,
+  ...overrides
+});
+
+const CARD_DATA = {
+  'forest': card({ cmc: 0, manaCost: '', types: ['Land'], typeLine: 'Basic Land — Forest', colorIdentity: ['G'] }),
+  'llanowar elves': card({ cmc: 1, manaCost: '{G}' }),
+  'tarmogoyf': card(),
+  'lightning bolt': card({ cmc: 1, manaCost: '{R}', types: ['Instant'], typeLine: 'Instant', colorIdentity: ['R'] }),
+  'hogaak, arisen necropolis': card({ legalities: { ...legalEverywhere, modern: 'banned' } }),
+  'relentless rats': card({ colorIdentity: ['B'], deckLimit: 'any' }),
+  'marwyn, the nurturer': card({ typeLine: 'Legendary Creature — Elf Druid', canBeCommander: true }),
+  'thrasios, triton hero': card({ colorIdentity: ['G', 'U'], canBeCommander: true, partner: 'partner' }),
+  'tymna the weaver': card({ colorIdentity: ['W', 'B'], canBeCommander: true, partner: 'partner' }),
+  'lurrus of the dream-den': card({ cmc: 3, colorIdentity: ['W', 'B'], companion: true, legalities: { ...legalEverywhere, modern: 'banned' } }),
+  'keruga, the macrosage': card({ cmc: 5, colorIdentity: ['G', 'U'], companion: true })
+};
+
+const getCardData = (name) => CARD_DATA[name.toLowerCase()] || null;
+
+const deck = (format, cards, extra = {}) => ({ id: 1, format, cards, ...extra });
+const rulesBroken = (result) => result.violations.map(violation => violation.rule);
+
+describe('validateDeck', () => {
+  it('passes a 60-card Modern deck with four-ofs and basics', () => {
+    const result = validateDeck(deck('Modern', [
+      { name: 'Llanowar Elves', quantity: 4 },
+      { name: 'Tarmogoyf', quantity: 4 },
+      { name: 'Forest', quantity: 52 }
+    ]), getCardData);
+
+    expect(result).toMatchObject({ supported: true, legal: true, format: 'Modern', cardCount: 60, violations: [] });
+  });
+
+  it('reports deck size, copy limits and banned cards', () => {
+    const result = validateDeck(deck('modern', [
+      { name: 'Tarmogoyf', quantity: 3, set: 'FUT' },
+      { name: 'Tarmogoyf', quantity: 2, set: 'MM2' },
+      { name: 'Hogaak, Arisen Necropolis', quantity: 1 },
+      { name: 'Relentless Rats', quantity: 20 }
+    ]), getCardData);
+
+    expect(result.legal).toBe(false);
+    expect(rulesBroken(result)).toEqual(['deck-size', 'copy-limit', 'banned']);
+    expect(result.violations[1].cards).toEqual(['5x Tarmogoyf']);
+    expect(result.violations[2].cards).toEqual(['Hogaak, Arisen Necropolis']);
+  });
+
+  it('warns about cards without data and skips formats it does not check', () => {
+    const cards = [{ name: 'Forest', quantity: 59 }, { name: 'Made Up Card', quantity: 1 }];
+
+    const modern = validateDeck(deck('Modern', cards), getCardData);
+    expect(modern.legal).toBe(true);
+    expect(modern.violations).toEqual([
+      expect.objectContaining({ rule: 'unknown-card', severity: 'warning', cards: ['Made Up Card'] })
+    ]);
+
+    expect(validateDeck(deck('Casual', cards), getCardData)).toMatchObject({ supported: false, legal: null, violations: [] });
+  });
+
+  it('checks Commander singleton, color identity and the commander itself', () => {
+    const result = validateDeck(deck('Commander', [
+      { name: 'Marwyn, the Nurturer', quantity: 1 },
+      { name: 'Llanowar Elves', quantity: 2 },
+      { name: 'Lightning Bolt', quantity: 1 },
+      { name: 'Forest', quantity: 96 }
+    ], { commander: 'Marwyn, the Nurturer' }), getCardData);
+
+    expect(result.cardCount).toBe(100);
+    expect(rulesBroken(result)).toEqual(['copy-limit', 'color-identity']);
+    expect(result.violations[1]).toMatchObject({ message: 'Outside the commander\'s color identity (G)', cards: ['Lightning Bolt'] });
+
+    const missing = validateDeck(deck('Commander', [{ name: 'Forest', quantity: 100 }]), getCardData);
+    expect(rulesBroken(missing)).toEqual(['commander']);
+  });
+
+  it('counts partner commanders stored as "First + Second" and combines their identities', () => {
+    expect(parseCommanders('Thrasios, Triton Hero + Tymna the Weaver')).toEqual(['Thrasios, Triton Hero', 'Tymna the Weaver']);
+
+    const result = validateDeck(deck('Commander', [
+      { name: 'Lightning Bolt', quantity: 1 },
+      { name: 'Forest', quantity: 97 }
+    ], { commander: 'Thrasios, Triton Hero + Tymna the Weaver' }), getCardData);
+
+    expect(result.cardCount).toBe(100);
+    expect(rulesBroken(result)).toEqual(['color-identity']);
+
+    const unpaired = validateDeck(deck('Commander', [{ name: 'Forest', quantity: 98 }], {
+      commander: 'Thrasios, Triton Hero + Marwyn, the Nurturer'
+    }), getCardData);
+    expect(rulesBroken(unpaired)).toContain('partner');
+  });
+
+  it('keeps the companion out of the main deck and checks its condition', () => {
+    const cards = [
+      { name: 'Keruga, the Macrosage', quantity: 1 },
+      { name: 'Llanowar Elves', quantity: 4 },
+      { name: 'Forest', quantity: 56 }
+    ];
+
+    const result = validateDeck(deck('Pioneer', cards, { companion: 'Keruga, the Macrosage' }), getCardData);
+    expect(result.cardCount).toBe(60);
+    expect(result.violations).toEqual([
+      expect.objectContaining({ rule: 'companion', cards: ['Llanowar Elves'] })
+    ]);
+
+    const banned = validateDeck(deck('Modern', cards.slice(1), { companion: 'Lurrus of the Dream-Den' }), getCardData);
+    expect(rulesBroken(banned)).toEqual(['banned']);
+
+    const notCompanion = validateDeck(deck('Modern', cards.slice(1), { companion: 'Tarmogoyf' }), getCardData);
+    expect(rulesBroken(notCompanion)).toEqual(['companion']);
+  });
+
+  it('limits restricted cards to one copy', () => {
+    const getRestricted = (name) => (name === 'Tarmogoyf'
+      ? card({ legalities: { standard: 'restricted' } })
+      : getCardData(name));
+    const result = validateDeck(deck('Standard', [
+      { name: 'Tarmogoyf', quantity: 2 },
+      { name: 'Forest', quantity: 58 }
+    ]), getRestricted);
+
+    expect(rulesBroken(result)).toEqual(['copy-limit']);
+  });
+});
+
+describe('extractCardRules', () => {
+  it('reads legalities, commander eligibility, partner and companion abilities from MTGJSON entries', () => {
+    expect(extractCardRules({
+      legalities: { commander: 'Legal', modern: 'Banned', vintage: 'Restricted', oathbreaker: 'Legal' },
+      leadershipSkills: { commander: true, brawl: false, oathbreaker: false },
+      keywords: ['Partner with'],
+      text: 'Partner with Proud Mentor (When this creature enters, target player may put Proud Mentor into their hand from their library, then shuffle.)\n{W}, {T}: Tap target creature.'
+    })).toEqual({
+      legalities: { commander: 'legal', modern: 'banned' },
+      canBeCommander: true,
+      companion: false,
+      partner: 'partner-with',
+      partnerWith: 'Proud Mentor',
+      deckLimit: null
+    });
+
+    expect(extractCardRules({ keywords: ['Companion'], text: 'Companion — Each permanent card in your starting deck has mana value 2 or less.' }))
+      .toMatchObject({ companion: true, canBeCommander: false, legalities: {} });
+    expect(extractCardRules({ text: 'Partner (You can have two commanders if both have partner.)' }).partner).toBe('partner');
+    expect(extractCardRules({ text: 'Choose a Background (You can have a Background as a second commander.)' }).partner).toBe('background');
+    expect(extractCardRules({ text: 'A deck can have any number of cards named Relentless Rats.' }).deckLimit).toBe('any');
+    expect(extractCardRules({ text: 'A deck can have up to seven cards named Seven Dwarves.' }).deckLimit).toBe(7);
+  });
+});
@@ -0,0 +1,180 @@
+import { describe, it, expect } from 'vitest';
+
+import { allocateDeckCards, resolveAllocationPreferences, DEFAULT_ALLOCATION_PREFERENCES } from '../services/deckReservationService.js';
+import { decklistAllocationSchema } from '../utils/validation.js';
+
+// Mock db: no catalog aliases, so every inventory row matches by name.
+// groups are lists of interchangeable card names.
+function createDb(inventory, groups = []) {
+  return {
+    query: async (text, params = []) => {
+      if (text.includes('FROM inventory i')) {
+        return { rows: inventory.filter(i => params[1].includes(i.name.toLowerCase())) };
+      }
+      if (text.includes('FROM substitution_group_cards member')) {
+        return {
+          rows: groups.flatMap(group => group.flatMap(wanted => group
+            .filter(other => other !== wanted && params[1].includes(wanted.toLowerCase()))
+            .map(substitute => ({ wanted: wanted.toLowerCase(), substitute }))))
+        };
+      }
+      return { rows: [] };
+    }
+  };
+}
+
+const copy = (id, fields) => ({
+  id,
+  name: 'Sol Ring',
+  oracle_id: null,
+  set: 'C21',
+  foil: false,
+  quality: 'NM',
+  folder: 'Binder',
+  purchase_price: 2,
+  purchase_date: '2024-01-01',
+  created_at: '2024-01-01T00:00:00Z',
+  available_quantity: '1',
+  ...fields
+});
+
+async function allocate(inventory, cards, preferences, groups) {
+  return allocateDeckCards(createDb(inventory, groups), { deckId: 1, userId: 'u', cards, preferences });
+}
+
+describe('resolveAllocationPreferences', () => {
+  it('layers stored and requested preferences over the defaults', () => {
+    expect(resolveAllocationPreferences({ foil: 'foil', bogus: true }, { strategy: 'oldest', foil: undefined })).toEqual({
+      ...DEFAULT_ALLOCATION_PREFERENCES,
+      foil: 'foil',
+      strategy: 'oldest'
+    });
+  });
+
+  it('accepts decklist preferences alongside the other deck fields', () => {
+    expect(decklistAllocationSchema.parse({ name: 'Atraxa', allocationPreferences: { foil: 'nonfoil', minCondition: 'LP' } }))
+      .toEqual({ name: 'Atraxa', allocationPreferences: { foil: 'nonfoil', minCondition: 'LP' } });
+    expect(decklistAllocationSchema.safeParse({ allocationPreferences: { minCondition: 'Mint' } }).success).toBe(false);
+    expect(decklistAllocationSchema.safeParse({ allocationPreferences: { tutors: true } }).success).toBe(false);
+  });
+});
+
+describe('allocateDeckCards preferences', () => {
+  it('takes the cheapest copy by default and relaxes nothing', async () => {
+    const { reservations, allocation } = await allocate(
+      [copy(1, { purchase_price: 5 }), copy(2, { purchase_price: 1 })],
+      [{ name: 'Sol Ring', quantity: 1 }]
+    );
+
+    expect(reservations.map(r => r.inventory_item_id)).toEqual([2]);
+    expect(allocation).toEqual([{ name: 'Sol Ring', quantity: 1, reserved: 1, missing: 0, relaxed: [] }]);
+  });
+
+  it('takes the oldest acquired copy with the oldest strategy', async () => {
+    const { reservations } = await allocate(
+      [copy(1, { purchase_price: 1, purchase_date: '2024-06-01' }), copy(2, { purchase_price: 5, purchase_date: null, created_at: '2023-02-01T00:00:00Z' })],
+      [{ name: 'Sol Ring', quantity: 1 }],
+      { strategy: 'oldest' }
+    );
+
+    expect(reservations.map(r => r.inventory_item_id)).toEqual([2]);
+  });
+
+  it('prefers the decklist set, foil choice and minimum condition over price', async () => {
+    const { reservations, allocation } = await allocate(
+      [
+        copy(1, { purchase_price: 0.5, set: 'CMR' }),
+        copy(2, { purchase_price: 0.5, foil: true }),
+        copy(3, { purchase_price: 0.5, quality: 'HP' }),
+        copy(4, { purchase_price: 9, quality: 'LP' })
+      ],
+      [{ name: 'Sol Ring', quantity: 1, set: 'c21' }],
+      { foil: 'nonfoil', minCondition: 'LP' }
+    );
+
+    expect(reservations.map(r => r.inventory_item_id)).toEqual([4]);
+    expect(allocation[0].relaxed).toEqual([]);
+  });
+
+  it('relaxes set, then foil, then condition and reports what was given up', async () => {
+    const { reservations, allocation } = await allocate(
+      [
+        copy(1, { set: 'CMR', purchase_price: 3 }),
+        copy(2, { set: 'CMR', foil: true, purchase_price: 1 }),
+        copy(3, { quality: 'DMG', purchase_price: 2 })
+      ],
+      [{ name: 'Sol Ring', quantity: 3, set: 'C21' }],
+      { foil: 'nonfoil', minCondition: 'MP' }
+    );
+
+    expect(reservations.map(r => r.inventory_item_id)).toEqual([1, 2, 3]);
+    expect(allocation[0]).toEqual({ name: 'Sol Ring', quantity: 3, reserved: 3, missing: 0, relaxed: ['set', 'foil', 'condition'] });
+  });
+
+  it('leaves cards missing instead of relaxing in strict mode', async () => {
+    const { reservations, missingCards, allocation } = await allocate(
+      [copy(1, { foil: true }), copy(2)],
+      [{ name: 'Sol Ring', quantity: 2 }],
+      { foil: 'foil', strict: true }
+    );
+
+    expect(reservations.map(r => r.inventory_item_id)).toEqual([1]);
+    expect(missingCards).toMatchObject([{ card_name: 'Sol Ring', quantity_needed: 1 }]);
+    expect(allocation[0]).toMatchObject({ reserved: 1, missing: 1, relaxed: [] });
+  });
+});
+
+describe('allocateDeckCards substitutes', () => {
+  const duals = [['Drowned Catacomb', 'Darkslick Shores', 'Sunken Hollow']];
+
+  it('fills a missing card from its group and records the swap', async () => {
+    const { reservations, missingCards, allocation } = await allocate(
+      [
+        copy(1, { name: 'Drowned Catacomb' }),
+        copy(2, { name: 'Sunken Hollow', purchase_price: 0.5 }),
+        copy(3, { name: 'Darkslick Shores', available_quantity: '2' })
+      ],
+      [{ name: 'Drowned Catacomb', quantity: 2 }, { name: 'Darkslick Shores', quantity: 1 }],
+      { allowSubstitutes: true },
+      duals
+    );
+
+    // Darkslick Shores keeps its own copy; its spare comes first in group order
+    expect(reservations.filter(r => r.substitute_for)).toEqual([
+      expect.objectContaining({ inventory_item_id: 3, name: 'Darkslick Shores', quantity_reserved: 1, substitute_for: 'Drowned Catacomb' })
+    ]);
+    expect(missingCards).toEqual([]);
+    expect(allocation[0]).toEqual({
+      name: 'Drowned Catacomb',
+      quantity: 2,
+      reserved: 2,
+      missing: 0,
+      relaxed: [],
+      substitutes: [{ name: 'Darkslick Shores', quantity: 1 }]
+    });
+    expect(allocation[1]).toEqual({ name: 'Darkslick Shores', quantity: 1, reserved: 1, missing: 0, relaxed: [] });
+  });
+
+  it('leaves the card missing unless substitutes are allowed', async () => {
+    const { reservations, missingCards } = await allocate(
+      [copy(1, { name: 'Sunken Hollow' })],
+      [{ name: 'Drowned Catacomb', quantity: 1 }],
+      {},
+      duals
+    );
+
+    expect(reservations).toEqual([]);
+    expect(missingCards).toMatchObject([{ card_name: 'Drowned Catacomb', quantity_needed: 1 }]);
+  });
+
+  it('applies foil and condition preferences to substitutes', async () => {
+    const { reservations } = await allocate(
+      [copy(1, { name: 'Sunken Hollow', quality: 'HP' }), copy(2, { name: 'Darkslick Shores', purchase_price: 9 })],
+      [{ name: 'Drowned Catacomb', quantity: 1 }],
+      { allowSubstitutes: true, minCondition: 'LP' },
+      duals
+    );
+
+    expect(reservations).toMatchObject([{ inventory_item_id: 2, substitute_for: 'Drowned Catacomb' }]);
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect } from 'vitest';
+
+import {
+  diffDeckCards,
+  recordDeckRevision,
+  listDeckRevisions,
+  diffDeckRevisions,
+  revertDeckRevision
+} from '../services/deckRevisionService.js';
+import { createMockPool } from './helpers/mockPool.js';
+
+// In-memory decks, deck_revisions, reservations and inventory, dispatching on SQL text
+function createDb({ decks = [], revisions = [], reservations = [], inventory = [] } = {}) {
+  const state = { decks, revisions };
+  const { pool, queries } = createMockPool((text, params) => {
+    if (text.includes('FROM inventory i')) {
+      return { rows: inventory.filter(i => params[1].includes(i.name.toLowerCase())) };
+    }
+    if (text.includes('FROM deck_reservations dr')) {
+      return { rows: reservations.filter(r => r.deck_id === params[0]) };
+    }
+    if (text.includes('FROM decks WHERE id = $1 AND user_id = $2')) {
+      return { rows: state.decks.filter(d => d.id === params[0] && d.user_id === params[1]) };
+    }
+    if (text.includes('FROM decks WHERE decklist_id = $1')) {
+      return { rows: state.decks.filter(d => d.decklist_id === params[0] && d.is_deck_instance) };
+    }
+    if (text.startsWith('UPDATE decks SET cards')) {
+      const deck = state.decks.find(d => d.id === params[1]);
+      deck.cards = JSON.parse(params[0]);
+      return { rows: [deck] };
+    }
+    if (text.includes('SELECT revision_number FROM deck_revisions')) {
+      const latest = state.revisions.filter(r => r.deck_id === params[0]).sort((a, b) => b.revision_number - a.revision_number);
+      return { rows: latest.slice(0, 1) };
+    }
+    if (text.includes('INSERT INTO deck_revisions')) {
+      const [deck_id, revision_number, author_id, source, cards, diff, reverted_to] = params;
+      const row = { id: state.revisions.length + 1, deck_id, revision_number, author_id, source, cards: JSON.parse(cards), diff: JSON.parse(diff), reverted_to, created_at: '2026-01-01' };
+      state.revisions.push(row);
+      return { rows: [row] };
+    }
+    if (text.includes('FROM deck_revisions r')) {
+      const rows = state.revisions.filter(r => r.deck_id === params[0] && (params.length < 2 || r.revision_number === params[1]));
+      return { rows: [...rows].sort((a, b) => b.revision_number - a.revision_number) };
+    }
+  });
+  return Object.assign(state, pool, { queries });
+}
+
+const deck = (cards, fields = {}) => ({ id: 1, user_id: 'u1', cards, is_deck_instance: false, ...fields });
+
+describe('diffDeckCards', () => {
+  it('reports added, removed and changed cards, counting printings together', () => {
+    const diff = diffDeckCards(
+      [{ name: 'Sol Ring', quantity: 1 }, { name: 'Forest', quantity: 10 }, { name: 'Island', quantity: 3 }],
+      [{ name: 'Sol Ring', quantity: 1, set: 'C21' }, { name: 'Forest', quantity: 8, set: 'M21' }, { name: 'forest', quantity: 1 }, { name: 'Arcane Signet' }]
+    );
+
+    expect(diff).toEqual({
+      added: [{ name: 'Arcane Signet', quantity: 1 }],
+      removed: [{ name: 'Island', quantity: 3 }],
+      changed: [{ name: 'Forest', from: 10, to: 9 }]
+    });
+  });
+});
+
+describe('recordDeckRevision', () => {
+  it('stores the list a deck had before its first tracked change', async () => {
+    const db = createDb();
+    const revision = await recordDeckRevision(db, {
+      deckId: 1,
+      userId: 'u1',
+      source: 'archidekt',
+      previousCards: [{ name: 'Sol Ring', quantity: 1 }],
+      cards: [{ name: 'Sol Ring', quantity: 1 }, { name: 'Arcane Signet', quantity: 1 }]
+    });
+
+    expect(db.revisions.map(r => [r.revision_number, r.source, r.author_id])).toEqual([[1, 'manual', null], [2, 'archidekt', 'u1']]);
+    expect(revision).toMatchObject({ revision_number: 2, diff: { added: [{ name: 'Arcane Signet', quantity: 1 }], removed: [], changed: [] } });
+  });
+
+  it('skips saves that leave the card list unchanged', async () => {
+    const db = createDb();
+    const cards = [{ name: 'Sol Ring', quantity: 1 }];
+
+    expect(await recordDeckRevision(db, { deckId: 1, userId: 'u1', source: 'manual', previousCards: cards, cards })).toBeNull();
+    expect(db.revisions).toHaveLength(0);
+  });
+});
+
+describe('revision history', () => {
+  const v1 = [{ name: 'Sol Ring', quantity: 1 }, { name: 'Island', quantity: 2 }];
+  const v2 = [{ name: 'Sol Ring', quantity: 1 }, { name: 'Island', quantity: 4 }, { name: 'Ponder', quantity: 1 }];
+
+  async function seeded(extraDecks = [], { decklist = {}, ...tables } = {}) {
+    const db = createDb({ decks: [deck(v1, decklist), ...extraDecks], ...tables });
+    await recordDeckRevision(db, { deckId: 1, userId: 'u1', source: 'import', previousCards: [], cards: v1 });
+    await recordDeckRevision(db, { deckId: 1, userId: 'u1', source: 'manual', previousCards: v1, cards: v2 });
+    db.decks[0].cards = v2;
+    return db;
+  }
+
+  it('lists revisions newest first and diffs any two', async () => {
+    const db = await seeded();
+
+    const revisions = await listDeckRevisions(db, 'u1', 1);
+    expect(revisions.map(r => [r.revision_number, r.source])).toEqual([[2, 'manual'], [1, 'import']]);
+    expect(revisions[0].cards).toBeUndefined();
+
+    const { diff } = await diffDeckRevisions(db, 'u1', 1, { from: 2, to: 1 });
+    expect(diff).toEqual({ added: [], removed: [{ name: 'Ponder', quantity: 1 }], changed: [{ name: 'Island', from: 4, to: 2 }] });
+
+    await expect(listDeckRevisions(db, 'someone-else', 1)).rejects.toMatchObject({ statusCode: 404 });
+    await expect(diffDeckRevisions(db, 'u1', 1, { from: 9 })).rejects.toMatchObject({ statusCode: 404, message: 'Revision 9 not found' });
+  });
+
+  it('reverts as a new revision and reallocates linked deck instances', async () => {
+    const instance = deck(v2, { id: 2, is_deck_instance: true, decklist_id: 1, allocation_preferences: {} });
+    const db = await seeded([instance], {
+      // Only foil copies, and no settling for less: the decklist's rules leave the non-foil Sol Ring free
+      decklist: { allocation_preferences: { foil: 'foil', strict: true } },
+      reservations: [{ deck_id: 2, inventory_item_id: 40, quantity_reserved: 1, name: 'Sol Ring' }],
+      inventory: [{ id: 40, name: 'Sol Ring', set: 'C21', foil: false, quality: 'NM', purchase_price: 2, available_quantity: '1' }]
+    });
+
+    const result = await revertDeckRevision(db, 'u1', 1, 1);
+
+    expect(result.revision).toMatchObject({ revision_number: 3, source: 'revert', reverted_to: 1 });
+    expect(result.deck.cards).toEqual(v1);
+    expect(instance.cards).toEqual(v1);
+    expect(result.instances).toEqual([{ id: 2, reservedCount: 0, missingCount: 3 }]);
+
+    const released = db.queries.findIndex(q => q.text.includes('INSERT INTO change_history'));
+    const deleted = db.queries.findIndex(q => q.text.includes('DELETE FROM deck_reservations') && q.params[0] === 2);
+    expect(released).toBeGreaterThan(-1);
+    expect(released).toBeLessThan(deleted);
+    expect(JSON.parse(db.queries[released].params[1])).toEqual([
+      expect.objectContaining({ card_id: 40, old_value: '1', new_value: null, action: 'release', context: { deckId: 2 } })
+    ]);
+
+    // Restoring the list the deck already has changes nothing
+    const again = await revertDeckRevision(db, 'u1', 1, 3);
+    expect(again).toMatchObject({ revision: null, instances: [] });
+  });
+});
@@ -0,0 +1,203 @@
+import express from 'express';
+import request from 'supertest';
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { createEbayRouter } from '../routes/ebay.js';
+import { createEbayAuthService, TOKEN_REFRESH_MARGIN_MS } from '../services/ebay/ebayAuthService.js';
+import { FakeEbayClient } from '../services/ebay/fakeEbayClient.js';
+
+const ENV_KEYS = ['EBAY_CLIENT_ID', 'EBAY_CLIENT_SECRET', 'EBAY_RUNAME', 'EBAY_AUTH_BASE_URL', 'EBAY_API_BASE_URL', 'EBAY_IDENTITY_BASE_URL', 'EBAY_OAUTH_RETURN_URL', 'ENCRYPTION_KEY'];
+
+describe('eBay OAuth against a mock OAuth server', () => {
+  let server;
+  let baseUrl;
+  let tokenRequests;
+  let savedEnv;
+
+  beforeAll(async () => {
+    // Minimal stand-in for eBay's token and identity endpoints
+    const mock = express();
+    mock.use(express.urlencoded({ extended: false }));
+    mock.post('/identity/v1/oauth2/token', (req, res) => {
+      tokenRequests.push({ authorization: req.headers.authorization, body: req.body });
+      if (req.body.code === 'bad-code') {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'Code expired' });
+      }
+      const n = tokenRequests.length;
+      res.json({
+        access_token: `access-${n}`,
+        expires_in: 7200,
+        ...(req.body.grant_type === 'authorization_code' && { refresh_token: 'refresh-1', refresh_token_expires_in: 47304000 })
+      });
+    });
+    mock.get('/commerce/identity/v1/user/', (req, res) => {
+      res.json({ username: 'bigdeck_seller', userId: 'EBAY-USER-1' });
+    });
+
+    await new Promise(resolve => {
+      server = mock.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    savedEnv = Object.fromEntries(ENV_KEYS.map(k => [k, process.env[k]]));
+    Object.assign(process.env, {
+      EBAY_CLIENT_ID: 'client-id',
+      EBAY_CLIENT_SECRET: 'client-secret',
+      EBAY_RUNAME: 'BigDeck-RuName',
+      EBAY_AUTH_BASE_URL: baseUrl,
+      EBAY_API_BASE_URL: baseUrl,
+      EBAY_IDENTITY_BASE_URL: baseUrl,
+      EBAY_OAUTH_RETURN_URL: '/settings',
+      ENCRYPTION_KEY: 'test-encryption-key-that-is-32-chars!'
+    });
+  });
+
+  afterAll(async () => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  let connections;
+  let syncLog;
+  let clock;
+  let authService;
+  let app;
+
+  beforeEach(() => {
+    tokenRequests = [];
+    connections = new Map();
+    syncLog = [];
+    clock = Date.parse('2026-01-01T00:00:00Z');
+
+    // Mock pool backed by an in-memory ebay_connections table
+    const mockPool = {
+      query: async (text, params = []) => {
+        if (text.includes('INSERT INTO ebay_sync_log')) {
+          syncLog.push({ action: params[1], success: params[7], request: params[4], response: params[5] });
+          return { rows: [] };
+        }
+        if (text.includes('INSERT INTO ebay_connections')) {
+          connections.set(params[0], {
+            ebay_user_id: params[1], access_token: params[2], refresh_token: params[3],
+            token_expires_at: params[4], scope: params[5], connected_at: new Date(clock)
+          });
+          return { rows: [] };
+        }
+        if (text.includes('UPDATE ebay_connections')) {
+          Object.assign(connections.get(params[2]), { access_token: params[0], token_expires_at: params[1] });
+          return { rows: [] };
+        }
+        if (text.includes('DELETE FROM ebay_connections')) {
+          const row = connections.get(params[0]);
+          connections.delete(params[0]);
+          return { rows: row ? [row] : [] };
+        }
+        if (text.includes('FROM ebay_connections')) {
+          const row = connections.get(params[0]);
+          return { rows: row ? [{ ...row }] : [] };
+        }
+        return { rows: [] };
+      }
+    };
+
+    authService = createEbayAuthService({ pool: mockPool, now: () => clock });
+    const authMiddleware = (req, res, next) => { req.userId = 'test-user'; next(); };
+    const noopLimiter = (req, res, next) => next();
+
+    app = express();
+    app.use(express.json());
+    app.use('/api', createEbayRouter({
+      pool: mockPool,
+      ebayClient: new FakeEbayClient(),
+      authService,
+      authenticateMiddleware: authMiddleware,
+      apiLimiterMiddleware: noopLimiter
+    }));
+  });
+
+  async function connect() {
+    const { body } = await request(app).get('/api/ebay/auth').expect(200);
+    const state = new URL(body.authUrl).searchParams.get('state');
+    return request(app).get('/api/ebay/callback').query({ code: 'good-code', state });
+  }
+
+  it('builds the consent URL from the configured auth base URL', async () => {
+    const { body } = await request(app).get('/api/ebay/auth').expect(200);
+    const url = new URL(body.authUrl);
+
+    expect(`${url.origin}${url.pathname}`).toBe(`${baseUrl}/oauth2/authorize`);
+    expect(url.searchParams.get('client_id')).toBe('client-id');
+    expect(url.searchParams.get('redirect_uri')).toBe('BigDeck-RuName');
+    expect(url.searchParams.get('scope')).toContain('sell.inventory');
+    expect(url.searchParams.get('state')).toBeTruthy();
+  });
+
+  it('exchanges the code, stores encrypted tokens and redirects back', async () => {
+    const res = await connect();
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe('/settings?ebay_connected=true');
+    expect(tokenRequests[0].body).toMatchObject({ grant_type: 'authorization_code', code: 'good-code', redirect_uri: 'BigDeck-RuName' });
+    expect(tokenRequests[0].authorization).toBe(`Basic ${Buffer.from('client-id:client-secret').toString('base64')}`);
+
+    const stored = connections.get('test-user');
+    expect(stored.ebay_user_id).toBe('bigdeck_seller');
+    expect(stored.access_token).not.toBe('access-1');
+    expect(await authService.getValidAccessToken('test-user')).toBe('access-1');
+
+    expect(syncLog.map(l => l.action)).toEqual(['oauth_connect', 'identity']);
+    expect(syncLog.some(l => String(l.request).includes('access-1') || String(l.response).includes('access-1'))).toBe(false);
+  });
+
+  it('rejects a tampered state without calling the token endpoint', async () => {
+    const { body } = await request(app).get('/api/ebay/auth').expect(200);
+    const state = new URL(body.authUrl).searchParams.get('state');
+    const [payload] = state.split('.');
+
+    const res = await request(app).get('/api/ebay/callback').query({ code: 'good-code', state: `${payload}.forged` });
+
+    expect(res.headers.location).toMatch(/ebay_error=/);
+    expect(tokenRequests).toHaveLength(0);
+    expect(connections.size).toBe(0);
+  });
+
+  it('logs failed code exchanges and reports them to the browser', async () => {
+    const { body } = await request(app).get('/api/ebay/auth').expect(200);
+    const state = new URL(body.authUrl).searchParams.get('state');
+
+    const res = await request(app).get('/api/ebay/callback').query({ code: 'bad-code', state });
+
+    expect(new URL(res.headers.location, 'http://app').searchParams.get('ebay_error')).toContain('Code expired');
+    expect(syncLog).toEqual([expect.objectContaining({ action: 'oauth_connect', success: false })]);
+  });
+
+  it('refreshes the access token once when it is about to expire', async () => {
+    await connect();
+    clock += 7200 * 1000 - TOKEN_REFRESH_MARGIN_MS + 1000;
+
+    const tokens = await Promise.all([
+      authService.getValidAccessToken('test-user'),
+      authService.getValidAccessToken('test-user')
+    ]);
+
+    expect(tokens).toEqual(['access-2', 'access-2']);
+    expect(tokenRequests).toHaveLength(2);
+    expect(tokenRequests[1].body).toMatchObject({ grant_type: 'refresh_token', refresh_token: 'refresh-1' });
+    expect(syncLog.map(l => l.action)).toContain('oauth_refresh');
+    expect(await authService.getValidAccessToken('test-user')).toBe('access-2');
+  });
+
+  it('reports status and disconnects', async () => {
+    await connect();
+
+    const status = await request(app).get('/api/ebay/status').expect(200);
+    expect(status.body).toMatchObject({ configured: true, connected: true, ebayUserId: 'bigdeck_seller' });
+
+    await request(app).post('/api/ebay/disconnect').expect(200);
+    const after = await request(app).get('/api/ebay/status').expect(200);
+    expect(after.body.connected).toBe(false);
+    expect(syncLog.map(l => l.action)).toContain('oauth_disconnect');
+  });
+});
@@ -0,0 +1,213 @@
+import express from 'express';
+import request from 'supertest';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createEbayRouter } from '../routes/ebay.js';
+import { FakeEbayClient } from '../services/ebay/fakeEbayClient.js';
+import { renderTemplate, buildTemplateContext } from '../services/ebay/templateRenderer.js';
+import { createMockPool } from './helpers/mockPool.js';
+
+const DECK = {
+  id: 7,
+  user_id: 'test-user',
+  name: 'Atraxa Superfriends',
+  commander: "Atraxa, Praetors' Voice",
+  format: 'commander',
+  cards: [{ name: 'Sol Ring', quantity: 1 }, { name: 'Arcane Signet', quantity: 1 }]
+};
+
+describe('ebay routes', () => {
+  let app;
+  let queries;
+  let listing;
+  let ebayClient;
+
+  beforeEach(() => {
+    queries = [];
+    listing = {
+      id: 1,
+      user_id: 'test-user',
+      deck_id: DECK.id,
+      deck_instance_id: null,
+      title: 'Atraxa - Superfriends - 100 Card EDH MTG Commander Deck',
+      price: '150.00',
+      quantity: 1,
+      status: 'draft'
+    };
+
+    // Mock pool that keeps a single listing row
+    const db = createMockPool((text, params) => {
+      if (text.startsWith('SELECT * FROM ebay_listings')) {
+        return { rows: params[0] === listing.id ? [{ ...listing }] : [] };
+      }
+      if (text.includes('UPDATE ebay_listings')) {
+        if (!params[2].includes(listing.status)) return { rows: [] };
+        listing = { ...listing, status: params[0] };
+        if (params[0] === 'active') {
+          Object.assign(listing, { ebay_listing_id: params[3], ebay_offer_id: params[4], listing_url: params[5] });
+        }
+        if (params[0] === 'sold') listing.deck_instance_id = params[3];
+        return { rows: [{ ...listing }] };
+      }
+      if (text.includes('AND is_deck_instance = TRUE FOR UPDATE')) {
+        return { rows: params[0] === 99 ? [{ id: 99, name: 'Atraxa Superfriends (eBay)' }] : [] };
+      }
+      if (text.includes('AS deck_quantity')) {
+        return { rows: [{ id: 501, name: 'Sol Ring', quantity: 3, purchase_price: 2.5, lot_id: null, per_card_cost: null, deck_quantity: '1' }] };
+      }
+      if (text.startsWith('INSERT INTO sales (')) {
+        return { rows: [{ id: 12, sale_date: '2026-10-19' }] };
+      }
+      if (text.includes('FROM decks WHERE id = $1 AND user_id = $2')) {
+        return { rows: params[0] === DECK.id ? [DECK] : [] };
+      }
+      if (text.includes('INSERT INTO decks')) {
+        return { rows: [{ id: 99, name: params[1] }] };
+      }
+      if (text.includes('FROM inventory i')) {
+        return { rows: [{ id: 501, name: 'Sol Ring', folder: 'Binder', purchase_price: 2.5, quantity: 3, available_quantity: '3' }] };
+      }
+      if (text.includes('FROM ebay_templates')) {
+        return { rows: [{ id: 3, template_type: 'title', template_content: '{commander} - {theme} - 100 Card EDH MTG Commander Deck', user_id: null }] };
+      }
+      if (text.includes('FROM ebay_connections')) {
+        return { rows: [] };
+      }
+    });
+    queries = db.queries;
+
+    ebayClient = new FakeEbayClient();
+    const authMiddleware = (req, res, next) => { req.userId = 'test-user'; next(); };
+    const noopLimiter = (req, res, next) => next();
+
+    app = express();
+    app.use(express.json());
+    app.use('/api', createEbayRouter({ pool: db.pool, ebayClient, authenticateMiddleware: authMiddleware, apiLimiterMiddleware: noopLimiter }));
+  });
+
+  it('rejects listing titles longer than eBay allows', async () => {
+    const res = await request(app)
+      .post('/api/ebay/listings')
+      .send({ deckId: DECK.id, title: 'x'.repeat(81), price: 100 })
+      .expect(400);
+
+    expect(res.body.error).toBe('Validation failed');
+    expect(queries.some(q => q.text.includes('INSERT INTO ebay_listings'))).toBe(false);
+  });
+
+  it('publishes a draft through the eBay client and logs the call', async () => {
+    const res = await request(app).post('/api/ebay/listings/1/publish').expect(200);
+
+    expect(res.body.status).toBe('active');
+    expect(res.body.ebay_listing_id).toBe('FAKE-LISTING-1');
+    expect(ebayClient.offers.get('FAKE-OFFER-1').sku).toBe('BDA-1');
+
+    const log = queries.find(q => q.text.includes('INSERT INTO ebay_sync_log'));
+    expect(log.params[1]).toBe('publish');
+    expect(log.params[7]).toBe(true);
+  });
+
+  it('refuses to publish a listing that is already live', async () => {
+    listing.status = 'active';
+    const res = await request(app).post('/api/ebay/listings/1/publish').expect(409);
+
+    expect(res.body.error).toMatch(/active/);
+    expect(ebayClient.offers.size).toBe(0);
+  });
+
+  it('logs the orphaned eBay listing when the draft changes during publish', async () => {
+    const publishListing = ebayClient.publishListing.bind(ebayClient);
+    ebayClient.publishListing = async (args) => {
+      listing.status = 'active';
+      return publishListing(args);
+    };
+
+    const res = await request(app).post('/api/ebay/listings/1/publish').expect(409);
+
+    expect(res.body.error).toBe('The listing changed while it was being published');
+    const logs = queries.filter(q => q.text.includes('INSERT INTO ebay_sync_log'));
+    expect(logs).toHaveLength(2);
+    expect(logs[1].params[2]).toBe('FAKE-LISTING-1');
+    expect(logs[1].params[6]).toMatch(/orphaned/);
+    expect(logs[1].params[7]).toBe(false);
+  });
+
+  it('creates a pick list for an active listing and marks it sold', async () => {
+    listing.status = 'active';
+    const res = await request(app).post('/api/ebay/listings/1/create-picklist').expect(200);
+
+    expect(res.body.listing.status).toBe('sold');
+    expect(res.body.deckInstanceId).toBe(99);
+    expect(res.body.reservedCount).toBe(1);
+    expect(res.body.missingCount).toBe(1);
+    expect(queries.map(q => q.text)).toContain('COMMIT');
+  });
+
+  it('requires a pick list before a sold listing can ship', async () => {
+    listing.status = 'sold';
+    await request(app).post('/api/ebay/listings/1/mark-shipped').expect(409);
+
+    listing.deck_instance_id = 99;
+    const res = await request(app).post('/api/ebay/listings/1/mark-shipped').expect(200);
+    expect(res.body.status).toBe('shipped');
+  });
+
+  it('completes a shipped sale through the sales ledger', async () => {
+    listing.status = 'shipped';
+    await request(app).post('/api/ebay/listings/1/complete').expect(409);
+
+    listing.deck_instance_id = 99;
+    const res = await request(app).post('/api/ebay/listings/1/complete').expect(200);
+
+    expect(res.body.listing.status).toBe('completed');
+    expect(res.body.sale).toMatchObject({ id: 12, saleType: 'deck', quantity: 1, salePrice: 150, costBasis: 2.5, profit: 147.5 });
+    const history = JSON.parse(queries.find(q => q.text.includes('INSERT INTO change_history')).params[1]);
+    expect(history).toEqual([expect.objectContaining({ card_id: 501, old_value: '3', new_value: '2', action: 'sale', context: { saleId: 12 } })]);
+    expect(queries.some(q => q.text.includes('INSERT INTO inventory_transactions'))).toBe(true);
+    expect(queries.some(q => q.text.includes('GREATEST'))).toBe(false);
+    expect(queries.map(q => q.text).at(-1)).toBe('COMMIT');
+  });
+
+  it('reports availability with cost and suggested price', async () => {
+    const res = await request(app).get(`/api/ebay/check-availability/${DECK.id}`).expect(200);
+
+    expect(res.body).toMatchObject({
+      available: false,
+      totalCards: 2,
+      missingCount: 1,
+      missingCards: [{ name: 'Arcane Signet', set: null, quantity: 1 }],
+      deckValue: 2.5,
+      suggestedPrice: 3.25
+    });
+  });
+
+  it('renders a title template against a deck', async () => {
+    const res = await request(app)
+      .post('/api/ebay/templates/render')
+      .send({ templateId: 3, deckId: DECK.id })
+      .expect(200);
+
+    expect(res.body.rendered).toBe("Atraxa, Praetors' Voice - 100 Card EDH MTG Commander Deck");
+  });
+});
+
+describe('renderTemplate', () => {
+  it('fills known placeholders and leaves unknown ones alone', () => {
+    const context = buildTemplateContext(DECK, { theme: 'Superfriends' });
+    expect(renderTemplate('{commander} | {theme} | {cardCount} | {unknown}', context))
+      .toBe("Atraxa, Praetors' Voice | Superfriends | 2 | {unknown}");
+  });
+
+  it('collapses separators around empty values in titles', () => {
+    expect(renderTemplate('{commander} - {theme} - EDH Deck', { commander: '', theme: 'Tokens' }, { title: true })).toBe('Tokens - EDH Deck');
+  });
+
+  it('keeps the line breaks and list items of other templates', () => {
+    const description = '{deckName}\n\nIncludes:\n- {cardCount} cards\n- Sleeves  and box\n';
+    expect(renderTemplate(description, buildTemplateContext(DECK)))
+      .toBe(`${DECK.name}\n\nIncludes:\n- 2 cards\n- Sleeves  and box`);
+  });
+
+  it('truncates to the maximum length', () => {
+    expect(renderTemplate('{deckName}', { deckName: 'a'.repeat(100) }, { maxLength: 80 })).toHaveLength(80);
+  });
+});
@@ -0,0 +1,151 @@
+import express from 'express';
+import request from 'supertest';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createExportsRouter } from '../routes/exports.js';
+import { EXPORT_FORMATS, formatCollectionCsv } from '../services/collectionExportService.js';
+import { parseCSV } from '../../src/hooks/useFileImport.js';
+import { createMockPool } from './helpers/mockPool.js';
+
+const inventoryRows = [
+  {
+    name: 'Lightning Bolt', set: 'M10', set_name: 'Magic 2010', quantity: 3, purchase_price: '1.5',
+    foil: false, quality: 'LP', scryfall_id: 'abc', collector_number: '146', rarity: 'common'
+  },
+  {
+    name: 'Jace, the Mind Sculptor', set: 'WWK', set_name: 'Worldwake', quantity: 1, purchase_price: '80',
+    foil: true, quality: 'HP', scryfall_id: 'def', collector_number: '31', rarity: 'mythic'
+  }
+];
+
+describe('export routes', () => {
+  let app;
+  let queries;
+  let deck;
+
+  beforeEach(() => {
+    deck = null;
+
+    const db = createMockPool((text, params) => {
+      if (text.includes('FROM purchase_lots')) {
+        return { rows: params[0] === 5 ? [{ id: 5, name: 'Estate Sale #2' }] : [] };
+      }
+      if (text.includes('FROM decks')) {
+        return { rows: deck ? [deck] : [] };
+      }
+      if (text.includes('FROM deck_reservations')) {
+        return { rows: [{ ...inventoryRows[0], quantity: 2 }] };
+      }
+      if (text.includes('FROM deck_missing_cards')) {
+        return { rows: [{ name: 'Counterspell', set: 'MMQ', quantity: 1 }] };
+      }
+      if (text.includes('FROM inventory i')) {
+        return { rows: inventoryRows };
+      }
+    });
+    queries = db.queries;
+
+    const authMiddleware = (req, res, next) => { req.userId = 'test-user'; next(); };
+    const noopLimiter = (req, res, next) => next();
+    const validateIdMiddleware = (req, res, next) => { req.validatedId = parseInt(req.params.id, 10); next(); };
+
+    app = express();
+    app.use('/api', createExportsRouter({
+      pool: db.pool,
+      validateIdMiddleware,
+      authenticateMiddleware: authMiddleware,
+      apiLimiterMiddleware: noopLimiter
+    }));
+  });
+
+  it('sends inventory as a CSV download without Trash', async () => {
+    const res = await request(app).get('/api/exports/inventory?format=deckbox').expect(200);
+
+    expect(res.headers['content-type']).toContain('text/csv');
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="inventory-deckbox-\d{4}-\d{2}-\d{2}\.csv"$/);
+    expect(res.text.split('\r\n')[0]).toBe('Count,Name,Edition,Condition,Foil,Language,Price');
+    expect(res.text).toContain('"Jace, the Mind Sculptor",WWK,Heavily Played,true,English,80.00');
+    expect(queries[0].params).toEqual(['test-user', null]);
+  });
+
+  it('exports one folder when asked', async () => {
+    const res = await request(app).get('/api/exports/inventory?format=moxfield&folder=Trade%20Binder').expect(200);
+
+    expect(res.headers['content-disposition']).toContain('filename="trade-binder-moxfield-');
+    expect(queries[0].params).toEqual(['test-user', 'Trade Binder']);
+  });
+
+  it('rejects unknown formats before querying', async () => {
+    const res = await request(app).get('/api/exports/inventory?format=excel').expect(400);
+
+    expect(res.body.error).toBe(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    expect(queries).toHaveLength(0);
+  });
+
+  it('exports a lot by name and 404s for a missing one', async () => {
+    const res = await request(app).get('/api/exports/lots/5?format=tcgplayer').expect(200);
+    expect(res.headers['content-disposition']).toContain('filename="estate-sale-2-tcgplayer-');
+    expect(res.text).toContain('3,Lightning Bolt,Magic 2010,Lightly Played,Normal,1.50');
+
+    const missing = await request(app).get('/api/exports/lots/6?format=tcgplayer').expect(404);
+    expect(missing.body.error).toBe('Lot not found');
+  });
+
+  it('exports a decklist from its card list', async () => {
+    deck = {
+      id: 3, name: 'Mono Red', is_deck_instance: false,
+      cards: [{ name: 'Lightning Bolt', quantity: 4, set: { editioncode: 'm10' } }, { name: 'Mountain', quantity: 0 }]
+    };
+
+    const res = await request(app).get('/api/exports/decks/3?format=archidekt').expect(200);
+
+    expect(res.text.split('\r\n').slice(1, -1)).toEqual(['4,Lightning Bolt,m10,NM,false,,']);
+  });
+
+  it('exports a deck instance as reserved plus missing cards', async () => {
+    deck = { id: 3, name: 'Mono Red', is_deck_instance: true, cards: [] };
+
+    const res = await request(app).get('/api/exports/decks/3?format=moxfield').expect(200);
+
+    expect(res.text.split('\r\n').slice(1, -1)).toEqual([
+      '2,Lightning Bolt,m10,LP,no,1.50',
+      '1,Counterspell,mmq,NM,no,'
+    ]);
+
+    deck = null;
+    await request(app).get('/api/exports/decks/4?format=moxfield').expect(404);
+  });
+});
+
+describe('export round-trip through the importer', () => {
+  const cards = [
+    { name: 'Lightning Bolt', quantity: 3, set: 'M10', setName: 'Magic 2010', collectorNumber: '146', foil: false, quality: 'LP', price: '1.5' },
+    { name: 'Jace, the Mind Sculptor', quantity: 1, set: 'WWK', setName: 'Worldwake', collectorNumber: '31', foil: true, quality: 'HP', price: 80 },
+    { name: 'Sol Ring', quantity: 2, set: 'C21', setName: 'Commander 2021', collectorNumber: '263', foil: false, quality: 'DMG', price: null }
+  ];
+
+  it.each(EXPORT_FORMATS)('%s is detected and read back unchanged', (format) => {
+    const parsed = parseCSV(formatCollectionCsv(cards, format));
+
+    expect(parsed.format).toBe(format);
+    expect(parsed.cards.map(card => ({
+      name: card.name,
+      quantity: card.quantity,
+      condition: card.condition,
+      foil: card.foil,
+      price: card.price
+    }))).toEqual(cards.map(card => ({
+      name: card.name,
+      quantity: card.quantity,
+      condition: card.quality,
+      foil: card.foil,
+      price: card.price === null ? '' : Number(card.price).toFixed(2)
+    })));
+
+    // TCGplayer only carries the set name; every other format carries the code
+    if (format === 'tcgplayer') {
+      expect(parsed.cards.map(card => card.set_name)).toEqual(cards.map(card => card.setName));
+    } else {
+      expect(parsed.cards.map(card => card.set)).toEqual(cards.map(card => card.set));
+    }
+  });
+});
@@ -0,0 +1,16 @@
+/**
+ * Mock pg pool for route and service tests
+ * Records every query and answers it with `respond`; pool.connect() hands out a client that
+ * shares the same query function, so transactions are recorded in order too.
+ * @param {Function} [respond] - (text, params) => result; a result of undefined means { rows: [] }
+ * @returns {{pool: Object, query: Function, queries: Array<{text: string, params: Array}>}}
+ */
+export function createMockPool(respond = () => undefined) {
+  const queries = [];
+  const query = async (text, params = []) => {
+    queries.push({ text, params });
+    return (await respond(text, params)) || { rows: [] };
+  };
+  const pool = { query, connect: async () => ({ query, release: () => {} }) };
+  return { pool, query, queries };
+}
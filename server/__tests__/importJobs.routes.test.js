@@ -0,0 +1,273 @@
+import express from 'express';
+import request from 'supertest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createImportJobsRouter } from '../routes/importJobs.js';
+import { resolveImportChunk, commitImportChunk } from '../services/importJobService.js';
+import { parseImportFile } from '../utils/collectionCsvParser.js';
+import { parseCSV } from '../../src/hooks/useFileImport.js';
+import { createMockPool } from './helpers/mockPool.js';
+import {
+  MOXFIELD_TEMPLATE,
+  DECKBOX_TEMPLATE,
+  TCGPLAYER_TEMPLATE,
+  ARCHIDEKT_TEMPLATE,
+  MANABOX_TEMPLATE
+} from '../../src/utils/csvTemplates.js';
+
+const MANABOX_FILE = [
+  'Name,Set code,Set name,Collector number,Foil,Rarity,Quantity,ManaBox ID,Scryfall ID,Purchase price,Misprint,Altered,Condition,Language,Purchase price currency',
+  'Lightning Bolt,2xm,Double Masters,117,normal,uncommon,2,,,1.50,false,false,near_mint,en,USD',
+  '"Jace, the Mind Sculptor",wwk,Worldwake,31,foil,mythic,1,,,80,false,false,heavily_played,en,USD',
+  'Sol Ring,c21,Commander 2021,263,normal,uncommon,-1,,,,false,false,near_mint,en,USD'
+].join('\r\n');
+
+describe('import job routes', () => {
+  let app;
+  let queries;
+  let job;
+  let rows;
+  let runJob;
+
+  const row = (overrides) => ({
+    set_code: null, set_name: null, quality: 'NM', foil: false, purchase_price: null, scryfall_id: null, error: null,
+    match_id: null, match_quantity: null, ...overrides
+  });
+
+  beforeEach(() => {
+    job = { id: 9, user_id: 'test-user', title: 'collection.csv', format: 'manabox', folder: 'Binder', status: 'ready', error: null };
+    rows = [];
+    runJob = vi.fn();
+
+    const db = createMockPool((text, params) => {
+      if (text.startsWith('INSERT INTO imports')) {
+        return { rows: [{ ...job, id: 9, title: params[0], format: params[2], folder: params[3], status: 'resolving' }] };
+      }
+      if (text.includes('FROM imports') && text.includes('AND user_id = $2')) {
+        return { rows: job && params[0] === job.id ? [job] : [] };
+      }
+      if (text.startsWith('UPDATE imports SET status')) {
+        job = { ...job, status: text.match(/status = '(\w+)'/)?.[1] || params[1] };
+        return { rows: [job] };
+      }
+      if (text.includes('GROUP BY status')) {
+        const counts = {};
+        for (const r of rows) counts[r.status] = (counts[r.status] || 0) + 1;
+        return { rows: Object.entries(counts).map(([status, count]) => ({ status, count })) };
+      }
+      if (text.includes('LEFT JOIN LATERAL')) {
+        return { rows };
+      }
+    });
+    queries = db.queries;
+
+    const authMiddleware = (req, res, next) => { req.userId = 'test-user'; next(); };
+    const noopLimiter = (req, res, next) => next();
+    const validateIdMiddleware = (req, res, next) => { req.validatedId = parseInt(req.params.id, 10); next(); };
+
+    app = express();
+    app.use(express.json());
+    app.use('/api', createImportJobsRouter({
+      pool: db.pool,
+      validateIdMiddleware,
+      authenticateMiddleware: authMiddleware,
+      apiLimiterMiddleware: noopLimiter,
+      runJob
+    }));
+  });
+
+  it('parses an upload into job rows and starts resolving it', async () => {
+    const res = await request(app)
+      .post('/api/import-jobs')
+      .send({ fileName: 'collection.csv', content: MANABOX_FILE, folder: 'Binder' })
+      .expect(202);
+
+    expect(res.body).toMatchObject({
+      id: 9, title: 'collection.csv', format: 'manabox', folder: 'Binder', status: 'resolving',
+      progress: { total: 3, pending: 2, skipped: 1 }
+    });
+    expect(runJob).toHaveBeenCalledWith(9, expect.objectContaining({ db: expect.any(Object) }));
+
+    const insert = queries.find(q => q.text.includes('INSERT INTO import_job_rows'));
+    expect(JSON.parse(insert.params[1])).toEqual([
+      expect.objectContaining({ row_number: 1, name: 'Lightning Bolt', set_code: '2XM', quantity: 2, quality: 'NM', foil: false, purchase_price: 1.5, status: 'pending' }),
+      expect.objectContaining({ row_number: 2, name: 'Jace, the Mind Sculptor', quality: 'HP', foil: true, purchase_price: 80 }),
+      expect.objectContaining({ row_number: 3, name: 'Sol Ring', status: 'skipped', error: 'Quantity must be positive' })
+    ]);
+    expect(queries[queries.length - 1].text).toBe('COMMIT');
+  });
+
+  it('rejects files without cards', async () => {
+    const res = await request(app)
+      .post('/api/import-jobs')
+      .send({ fileName: 'empty.csv', content: 'Count,Name,Edition\n' })
+      .expect(400);
+
+    expect(res.body.error).toBe('No cards found in file');
+    expect(runJob).not.toHaveBeenCalled();
+  });
+
+  it('builds a dry-run diff of new rows, merges and unresolved names', async () => {
+    rows = [
+      row({ row_number: 1, name: 'Lightning Bolt', set_code: '2XM', quantity: 2, status: 'resolved', match_id: 40, match_quantity: 3 }),
+      row({ row_number: 2, name: 'Sol Ring', set_code: 'C21', quantity: 1, status: 'resolved' }),
+      row({ row_number: 3, name: 'sol ring', set_code: 'c21', quantity: 2, status: 'resolved' }),
+      row({ row_number: 4, name: 'Lightening Bolt', quantity: 1, status: 'unresolved', error: 'No Scryfall match' })
+    ];
+
+    const res = await request(app).get('/api/import-jobs/9/diff').expect(200);
+
+    expect(res.body.summary).toEqual({
+      newRows: 1, mergeRows: 2, unresolvedRows: 1, skippedRows: 0, importedRows: 0, cardsToAdd: 5
+    });
+    expect(res.body.new.map(r => r.row_number)).toEqual([2]);
+    expect(res.body.merges).toEqual([
+      expect.objectContaining({ row_number: 1, inventory_id: 40, current_quantity: 3 }),
+      expect.objectContaining({ row_number: 3, merges_into_row: 2 })
+    ]);
+    expect(res.body.unresolved).toEqual([expect.objectContaining({ name: 'Lightening Bolt', error: 'No Scryfall match' })]);
+  });
+
+  it('waits for resolution before a dry run or commit', async () => {
+    job.status = 'resolving';
+
+    await request(app).get('/api/import-jobs/9/diff').expect(409);
+    const res = await request(app).post('/api/import-jobs/9/commit').send({}).expect(409);
+
+    expect(res.body.error).toBe('Cards are still being resolved');
+    expect(runJob).not.toHaveBeenCalled();
+  });
+
+  it('skips unresolved rows on commit unless asked to include them', async () => {
+    const res = await request(app).post('/api/import-jobs/9/commit').send({}).expect(202);
+
+    expect(res.body.status).toBe('committing');
+    expect(queries.some(q => q.text.includes(`SET status = 'skipped'`))).toBe(true);
+    expect(runJob).toHaveBeenCalledWith(9, expect.any(Object));
+
+    job.status = 'ready';
+    queries = [];
+    await request(app).post('/api/import-jobs/9/commit').send({ includeUnresolved: true }).expect(202);
+    expect(queries.some(q => q.text.includes(`SET status = 'skipped'`))).toBe(false);
+  });
+
+  it('resumes failed jobs at the stage they stopped in', async () => {
+    job.status = 'failed';
+    rows = [row({ status: 'imported' }), row({ status: 'resolved' })];
+
+    const res = await request(app).post('/api/import-jobs/9/resume').expect(202);
+    expect(res.body.status).toBe('committing');
+
+    await request(app).post('/api/import-jobs/9/resume').expect(409);
+  });
+
+  it('404s for jobs that belong to someone else', async () => {
+    job = null;
+    const res = await request(app).get('/api/import-jobs/9').expect(404);
+    expect(res.body.error).toBe('Import job not found');
+  });
+});
+
+describe('import job chunks', () => {
+  it('resolves pending rows by name and set, leaving misses unresolved', async () => {
+    const updates = [];
+    const db = {
+      query: async (text, params = []) => {
+        if (text.startsWith('SELECT status FROM imports')) return { rows: [{ status: 'resolving' }] };
+        if (text.includes("status = 'pending'") && text.startsWith('SELECT')) {
+          return {
+            rows: [
+              { id: 1, name: 'Lightning Bolt', set_code: '2XM', scryfall_id: null },
+              { id: 2, name: 'Delver of Secrets', set_code: null, scryfall_id: null },
+              { id: 3, name: 'Lightening Bolt', set_code: null, scryfall_id: null }
+            ]
+          };
+        }
+        if (text.includes('UPDATE import_job_rows')) updates.push(...JSON.parse(params[0]));
+        return { rows: [] };
+      }
+    };
+    const resolver = {
+      batchResolve: vi.fn(async () => ({
+        'lightning bolt|2xm': { name: 'Lightning Bolt', set: '2xm', set_name: 'Double Masters', scryfall_id: 'bolt-2xm', image_uris: { normal: 'bolt.jpg' } },
+        'delver of secrets // insectile aberration|isd': { name: 'Delver of Secrets // Insectile Aberration', set: 'isd', scryfall_id: 'delver' }
+      }))
+    };
+
+    expect(await resolveImportChunk(db, 9, { resolver })).toBe(3);
+
+    expect(resolver.batchResolve).toHaveBeenCalledWith([
+      { name: 'Lightning Bolt', set: '2xm' },
+      { name: 'Delver of Secrets' },
+      { name: 'Lightening Bolt' }
+    ]);
+    expect(updates).toEqual([
+      { id: 1, status: 'resolved', set_name: 'Double Masters', scryfall_id: 'bolt-2xm', image_url: 'bolt.jpg', error: null },
+      { id: 2, status: 'resolved', set_name: null, scryfall_id: 'delver', image_url: null, error: null },
+      { id: 3, status: 'unresolved', error: 'No Scryfall match' }
+    ]);
+  });
+
+  it('commits a chunk, merging matching rows and recording import history', async () => {
+    const { pool, queries } = createMockPool((text, params) => {
+      if (text.includes('FROM imports WHERE id = $1 FOR UPDATE')) {
+        return { rows: [{ id: 9, user_id: 'test-user', folder: 'Binder', status: 'committing' }] };
+      }
+      if (text.startsWith('SELECT * FROM import_job_rows')) {
+        return {
+          rows: [
+            { id: 1, name: 'Lightning Bolt', set_code: '2XM', quantity: 2, quality: 'NM', foil: false, purchase_price: 1.5, scryfall_id: 'bolt' },
+            { id: 2, name: 'Sol Ring', set_code: 'C21', quantity: 1, quality: 'NM', foil: false, purchase_price: null, scryfall_id: 'ring' }
+          ]
+        };
+      }
+      if (text.includes('FOR UPDATE OF i')) {
+        return { rows: params[0] === 1 ? [{ id: 40, name: 'Lightning Bolt', quantity: 3 }] : [] };
+      }
+      if (text.startsWith('UPDATE inventory SET quantity')) return { rows: [{ id: 40, name: 'Lightning Bolt', quantity: 5 }] };
+      if (text.startsWith('INSERT INTO inventory (')) return { rows: [{ id: 41, name: 'Sol Ring', quantity: 1 }] };
+    });
+
+    expect(await commitImportChunk(pool, 9)).toBe(2);
+
+    const history = JSON.parse(queries.find(q => q.text.includes('INSERT INTO change_history')).params[1]);
+    expect(history).toEqual([
+      expect.objectContaining({ card_id: 40, old_value: '3', new_value: '5', action: 'import', context: { importId: 9 } }),
+      expect.objectContaining({ card_id: 41, old_value: null, new_value: '1', action: 'import', context: { importId: 9 } })
+    ]);
+    const marked = queries.find(q => q.text.includes("SET status = 'imported'"));
+    expect(JSON.parse(marked.params[0])).toEqual([
+      { id: 1, inventory_id: 40, merged: true },
+      { id: 2, inventory_id: 41, merged: false }
+    ]);
+    expect(queries.filter(q => q.text.includes('inventory_transactions'))).toHaveLength(1);
+    expect(queries[queries.length - 1].text).toBe('COMMIT');
+  });
+
+  it('completes the job when no rows are left', async () => {
+    const { pool, queries } = createMockPool(text => {
+      if (text.includes('FROM imports WHERE id = $1 FOR UPDATE')) return { rows: [{ id: 9, status: 'committing' }] };
+    });
+
+    expect(await commitImportChunk(pool, 9)).toBe(0);
+    expect(queries.map(q => q.text)).toContain(`UPDATE imports SET status = 'completed', updated_at = NOW() WHERE id = $1`);
+  });
+});
+
+describe('server import parser', () => {
+  it.each([
+    ['moxfield', MOXFIELD_TEMPLATE],
+    ['deckbox', DECKBOX_TEMPLATE],
+    ['tcgplayer', TCGPLAYER_TEMPLATE],
+    ['archidekt', ARCHIDEKT_TEMPLATE],
+    ['manabox', MANABOX_TEMPLATE]
+  ])('reads %s files like the browser importer', (format, template) => {
+    const server = parseImportFile(template.replace(/\n/g, '\r\n'));
+    const browser = parseCSV(template);
+
+    expect(server.format).toBe(format);
+    expect(browser.format).toBe(format);
+    const fields = ({ name, set, set_name, quantity, condition, foil, price, collector_number }) =>
+      ({ name, set, set_name, quantity, condition, foil, price, collector_number });
+    expect(server.rows.map(fields)).toEqual(browser.cards.map(fields));
+  });
+});
@@ -0,0 +1,192 @@
+import express from 'express';
+import request from 'supertest';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createInventoryRouter } from '../routes/inventory.js';
+import { createMockPool } from './helpers/mockPool.js';
+
+describe('inventory bulk routes', () => {
+  let app;
+  let queries;
+  let items;
+  let tokenRow;
+
+  const statements = () => queries.map(q => q.text.trim().split(/\s+/).slice(0, 3).join(' '));
+
+  beforeEach(() => {
+    items = [
+      { id: 1, name: 'Sol Ring', folder: 'Uncategorized', quality: 'NM', foil: false, quantity: 2, reserved_quantity: 0 },
+      { id: 2, name: 'Lightning Bolt', folder: 'Binder', quality: 'LP', foil: false, quantity: 4, reserved_quantity: 3 }
+    ];
+    tokenRow = null;
+
+    const db = createMockPool((text, params) => {
+      if (text.includes('FROM inventory i') && text.includes('FOR UPDATE')) {
+        return { rows: items.filter(item => params[0].includes(item.id)) };
+      }
+      if (text.startsWith('UPDATE inventory i SET')) {
+        const values = JSON.parse(params[0]);
+        const field = text.match(/SET (\w+) =/)[1];
+        return { rows: values.map(({ id, value }) => ({ ...items.find(item => item.id === id), [field]: value })) };
+      }
+      if (text.includes('INSERT INTO change_history')) {
+        return { rows: JSON.parse(params[1]).map((row, index) => ({ id: 100 + index, ...row })) };
+      }
+      if (text.includes('INSERT INTO inventory_undo_tokens')) {
+        return { rows: [{ token: params[0], expires_at: '2026-10-20T00:00:00.000Z' }] };
+      }
+      if (text.includes('FROM inventory_undo_tokens')) {
+        return { rows: tokenRow ? [tokenRow] : [] };
+      }
+      if (text.startsWith('SELECT id, name,')) {
+        return { rows: items.filter(item => params[0].includes(item.id)) };
+      }
+      if (text.startsWith('SELECT * FROM deck_reservations')) {
+        return { rows: [{ id: 7, deck_id: 3, inventory_item_id: 1, quantity_reserved: 1 }] };
+      }
+      if (text.startsWith('DELETE FROM inventory WHERE')) {
+        return { rows: items.filter(item => params[0].includes(item.id)).map(({ reserved_quantity: _r, ...item }) => item) };
+      }
+      if (text.startsWith('INSERT INTO inventory')) {
+        return { rows: JSON.parse(params[0]) };
+      }
+    });
+    queries = db.queries;
+
+    const authMiddleware = (req, res, next) => { req.userId = 'test-user'; next(); };
+    const noopLimiter = (req, res, next) => next();
+    const validateIdMiddleware = (req, res, next) => { req.validatedId = parseInt(req.params.id, 10); next(); };
+
+    app = express();
+    app.use(express.json());
+    app.use('/api', createInventoryRouter({
+      pool: db.pool,
+      validateIdMiddleware,
+      authenticateMiddleware: authMiddleware,
+      apiLimiterMiddleware: noopLimiter
+    }));
+  });
+
+  it('moves many items in one transaction and returns an undo token', async () => {
+    const res = await request(app)
+      .post('/api/inventory/bulk')
+      .send({ ids: [1, 2, 1], operation: { type: 'move', folder: 'Binder' } })
+      .expect(200);
+
+    // Lightning Bolt is already in Binder, so only Sol Ring changes
+    expect(res.body).toMatchObject({ operation: 'move', count: 1, items: [{ id: 1, folder: 'Binder' }] });
+    expect(res.body.undoToken).toEqual(expect.any(String));
+    expect(queries[0].text).toBe('BEGIN');
+    expect(queries[1].params).toEqual([[1, 2], 'test-user']);
+    expect(queries[queries.length - 1].text).toBe('COMMIT');
+
+    const history = queries.find(q => q.text.includes('INSERT INTO change_history'));
+    expect(JSON.parse(history.params[1])).toEqual([expect.objectContaining({
+      card_id: 1, field_changed: 'folder', old_value: 'Uncategorized', new_value: 'Binder', action: 'update', context: { bulkOperation: 'move' }
+    })]);
+
+    const token = queries.find(q => q.text.includes('INSERT INTO inventory_undo_tokens'));
+    expect(token.params[2]).toBe('move');
+    expect(JSON.parse(token.params[3])).toEqual({
+      field: 'folder',
+      items: [{ id: 1, name: 'Sol Ring', before: 'Uncategorized', after: 'Binder' }]
+    });
+  });
+
+  it('changes nothing when any item is missing', async () => {
+    const res = await request(app)
+      .post('/api/inventory/bulk')
+      .send({ ids: [1, 99], operation: { type: 'trash' } })
+      .expect(404);
+
+    expect(res.body.error).toBe('Inventory items not found: 99');
+    expect(statements()).toEqual(['BEGIN', 'SELECT i.*, COALESCE((SELECT', 'ROLLBACK']);
+  });
+
+  it('refuses to take quantity below reserved copies', async () => {
+    const res = await request(app)
+      .post('/api/inventory/bulk')
+      .send({ ids: [1, 2], operation: { type: 'adjustQuantity', delta: -2 } })
+      .expect(409);
+
+    expect(res.body.error).toContain('Lightning Bolt');
+    expect(res.body.error).not.toContain('Sol Ring');
+    expect(queries.some(q => q.text.startsWith('UPDATE inventory i'))).toBe(false);
+  });
+
+  it('keeps deleted rows and their reservations for undo', async () => {
+    const res = await request(app)
+      .post('/api/inventory/bulk')
+      .send({ ids: [1], operation: { type: 'delete' } })
+      .expect(200);
+
+    expect(res.body).toMatchObject({ operation: 'delete', count: 1 });
+    const payload = JSON.parse(queries.find(q => q.text.includes('INSERT INTO inventory_undo_tokens')).params[3]);
+    expect(payload.items).toEqual([expect.objectContaining({ id: 1, name: 'Sol Ring' })]);
+    expect(payload.reservations).toEqual([expect.objectContaining({ deck_id: 3, inventory_item_id: 1 })]);
+  });
+
+  it('validates the operation', async () => {
+    await request(app).post('/api/inventory/bulk').send({ ids: [], operation: { type: 'trash' } }).expect(400);
+    await request(app).post('/api/inventory/bulk').send({ ids: [1], operation: { type: 'shuffle' } }).expect(400);
+    await request(app).post('/api/inventory/bulk').send({ ids: [1], operation: { type: 'adjustQuantity', delta: 0 } }).expect(400);
+    expect(queries).toHaveLength(0);
+  });
+
+  describe('undo', () => {
+    const folderPayload = {
+      field: 'folder',
+      items: [{ id: 1, name: 'Sol Ring', before: 'Uncategorized', after: 'Trash' }]
+    };
+
+    it('restores previous values and uses up the token', async () => {
+      items[0].folder = 'Trash';
+      tokenRow = { token: 'abc', operation: 'trash', payload: folderPayload, used_at: null, expired: false };
+
+      const res = await request(app).post('/api/inventory/bulk/undo').send({ undoToken: 'abc' }).expect(200);
+
+      expect(res.body).toMatchObject({ operation: 'trash', count: 1, items: [{ id: 1, folder: 'Uncategorized' }] });
+      const update = queries.find(q => q.text.startsWith('UPDATE inventory i SET folder'));
+      expect(JSON.parse(update.params[0])).toEqual([{ id: 1, value: 'Uncategorized' }]);
+      const history = JSON.parse(queries.find(q => q.text.includes('INSERT INTO change_history')).params[1]);
+      expect(history[0]).toMatchObject({ action: 'revert', old_value: 'Trash', new_value: 'Uncategorized' });
+      expect(queries.some(q => q.text.includes('SET used_at = NOW()'))).toBe(true);
+      expect(queries[queries.length - 1].text).toBe('COMMIT');
+    });
+
+    it('refuses when a card has changed since', async () => {
+      items[0].folder = 'Binder';
+      tokenRow = { token: 'abc', operation: 'trash', payload: folderPayload, used_at: null, expired: false };
+
+      const res = await request(app).post('/api/inventory/bulk/undo').send({ undoToken: 'abc' }).expect(409);
+      expect(res.body.error).toContain('Sol Ring');
+      expect(queries[queries.length - 1].text).toBe('ROLLBACK');
+    });
+
+    it('puts deleted rows back', async () => {
+      tokenRow = {
+        token: 'abc',
+        operation: 'delete',
+        payload: { items: [{ id: 1, name: 'Sol Ring', quantity: 2 }], reservations: [{ id: 7, deck_id: 3, inventory_item_id: 1 }], containerItems: [] },
+        used_at: null,
+        expired: false
+      };
+
+      const res = await request(app).post('/api/inventory/bulk/undo').send({ undoToken: 'abc' }).expect(200);
+
+      expect(res.body).toMatchObject({ operation: 'delete', count: 1, items: [{ id: 1, name: 'Sol Ring' }] });
+      expect(queries.some(q => q.text.startsWith('INSERT INTO deck_reservations'))).toBe(true);
+      expect(queries.some(q => q.text.startsWith('INSERT INTO container_items'))).toBe(false);
+    });
+
+    it('rejects unknown, used and expired tokens', async () => {
+      await request(app).post('/api/inventory/bulk/undo').send({ undoToken: 'abc' }).expect(404);
+
+      tokenRow = { token: 'abc', operation: 'move', payload: folderPayload, used_at: '2026-10-19T00:00:00.000Z', expired: false };
+      await request(app).post('/api/inventory/bulk/undo').send({ undoToken: 'abc' }).expect(409);
+
+      tokenRow = { token: 'abc', operation: 'move', payload: folderPayload, used_at: null, expired: true };
+      const res = await request(app).post('/api/inventory/bulk/undo').send({ undoToken: 'abc' }).expect(410);
+      expect(res.body.error).toBe('Undo token has expired');
+    });
+  });
+});
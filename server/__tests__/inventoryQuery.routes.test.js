@@ -0,0 +1,113 @@
+import express from 'express';
+import request from 'supertest';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createInventoryRouter } from '../routes/inventory.js';
+import { encodeCursor } from '../services/inventoryQueryService.js';
+import { createMockPool } from './helpers/mockPool.js';
+
+describe('inventory query route', () => {
+  let app;
+  let queries;
+  let groups;
+
+  beforeEach(() => {
+    groups = ['Counterspell', 'Lightning Bolt', 'Sol Ring'].map((name, index) => ({
+      name,
+      sort_value: name.toLowerCase(),
+      cursor_value: name.toLowerCase(),
+      total_quantity: index + 1,
+      reserved_quantity: 0,
+      average_price: 1.5,
+      total_value: 1.5 * (index + 1),
+      date_added: '2026-10-01T00:00:00.000Z',
+      items: [{ id: index + 1, name, quantity: index + 1, color_identity: ['U'], type_line: 'Instant', color_key: 'U' }]
+    }));
+
+    const db = createMockPool((text, params) => {
+      if (text.includes('groups AS (')) {
+        return { rows: groups.slice(0, params[params.length - 1]) };
+      }
+      if (text.includes('AS folders')) {
+        return { rows: [{ cards: 3, items: 3, quantity: 6, folders: { Binder: 3 }, colors: { U: 3 }, reserved: 0, available: 3 }] };
+      }
+    });
+    queries = db.queries;
+
+    const authMiddleware = (req, res, next) => { req.userId = 'test-user'; next(); };
+    const noopLimiter = (req, res, next) => next();
+    const validateIdMiddleware = (req, res, next) => { req.validatedId = parseInt(req.params.id, 10); next(); };
+
+    app = express();
+    app.use(express.json());
+    app.use('/api', createInventoryRouter({
+      pool: db.pool,
+      validateIdMiddleware,
+      authenticateMiddleware: authMiddleware,
+      apiLimiterMiddleware: noopLimiter
+    }));
+  });
+
+  it('returns the first page of card groups with facets and a cursor', async () => {
+    const res = await request(app).get('/api/inventory/query?limit=2').expect(200);
+
+    expect(res.body.cards.map(c => c.name)).toEqual(['Counterspell', 'Lightning Bolt']);
+    expect(res.body.cards[0]).toMatchObject({ totalQuantity: 1, averagePrice: 1.5, colorIdentity: ['U'], typeLine: 'Instant' });
+    expect(res.body.cards[0].items[0]).not.toHaveProperty('color_key');
+    expect(res.body.total).toEqual({ cards: 3, items: 3, quantity: 6 });
+    expect(res.body.facets).toMatchObject({ folders: { Binder: 3 }, colors: { U: 3 }, status: { reserved: 0, available: 3 } });
+    expect(res.body.nextCursor).toBe(encodeCursor({ sort: 'name', direction: 'asc', value: 'lightning bolt', name: 'Lightning Bolt' }));
+
+    // One extra group is fetched to know whether there is another page
+    expect(queries[0].params).toEqual(['test-user', 3]);
+    expect(queries[0].text).toContain('ORDER BY sort_value ASC, name ASC');
+  });
+
+  it('continues after the cursor without recounting facets', async () => {
+    const cursor = encodeCursor({ sort: 'price', direction: 'desc', value: '1.5', name: 'Lightning Bolt' });
+    const res = await request(app).get(`/api/inventory/query?sort=price&direction=desc&cursor=${cursor}`).expect(200);
+
+    expect(res.body.facets).toBeNull();
+    expect(res.body.nextCursor).toBeNull();
+    expect(queries).toHaveLength(1);
+    expect(queries[0].text).toContain('WHERE (sort_value, name) < ($2::float8, $3)');
+    expect(queries[0].text).toContain('AVG(COALESCE(purchase_price, 0))::float8 AS sort_value');
+    expect(queries[0].params).toEqual(['test-user', '1.5', 'Lightning Bolt', 101]);
+  });
+
+  it('turns filters into parameters', async () => {
+    await request(app)
+      .get('/api/inventory/query?search=bolt&folder=Binder&set=lea&foil=true&quality=NM,LP&colors=R,WU&type=instant&minPrice=1&maxPrice=5&status=available')
+      .expect(200);
+
+    const [page, facets] = queries;
+    expect(page.params).toEqual(['test-user', '%bolt%', 'Binder', 'lea', true, ['NM', 'LP'], ['R', 'WU'], '%instant%', 1, 5, 101]);
+    expect(page.text).toContain('COALESCE(i.quantity, 0) - COALESCE(r.reserved, 0) > 0');
+    expect(page.text).toContain('c.type_line ILIKE $8');
+    // Facets share the filters but not the limit
+    expect(facets.params).toEqual(page.params.slice(0, -1));
+  });
+
+  it('can leave out a folder and rows with no copies left', async () => {
+    await request(app).get('/api/inventory/query?excludeFolder=Trash&status=inStock').expect(200);
+
+    const [page] = queries;
+    expect(page.params).toEqual(['test-user', 'Trash', 101]);
+    expect(page.text).toContain("COALESCE(i.folder, 'Uncategorized') <> $2");
+    expect(page.text).toContain('COALESCE(i.quantity, 0) > 0');
+  });
+
+  it('rejects invalid filters and cursors', async () => {
+    await request(app).get('/api/inventory/query?colors=UW').expect(400);
+    await request(app).get('/api/inventory/query?sort=rarity').expect(400);
+    await request(app).get('/api/inventory/query?minPrice=5&maxPrice=1').expect(400);
+    await request(app).get('/api/inventory/query?limit=1000').expect(400);
+
+    const res = await request(app).get('/api/inventory/query?cursor=not-a-cursor').expect(400);
+    expect(res.body.error).toBe('Invalid cursor');
+
+    const nameCursor = encodeCursor({ sort: 'name', direction: 'asc', value: 'sol ring', name: 'Sol Ring' });
+    const mismatch = await request(app).get(`/api/inventory/query?sort=quantity&cursor=${nameCursor}`).expect(400);
+    expect(mismatch.body.error).toBe('Cursor was created for a different sort');
+    expect(queries).toHaveLength(0);
+  });
+});
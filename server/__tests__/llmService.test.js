@@ -0,0 +1,251 @@
+import express from 'express';
+import request from 'supertest';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createLLMService, resolveFeatureConfig, LLMError } from '../services/llm/index.js';
+import { createFakeProvider } from '../services/llm/fakeProvider.js';
+import { toGeminiContents } from '../services/llm/geminiProvider.js';
+import { estimateCost } from '../services/llm/usage.js';
+import { createAIUsageRouter } from '../routes/aiUsage.js';
+import { createMockPool } from './helpers/mockPool.js';
+
+// In-memory ai_usage and ai_response_cache
+function createDb() {
+  const state = { usage: [], cache: new Map() };
+  state.query = async (text, params = []) => {
+    if (text.startsWith('INSERT INTO ai_usage')) {
+      const [user_id, feature, provider, model, input_tokens, output_tokens, cost_usd, cached] = params;
+      state.usage.push({ user_id, feature, provider, model, input_tokens, output_tokens, cost_usd, cached });
+      return { rows: [] };
+    }
+    if (text.startsWith('SELECT response FROM ai_response_cache')) {
+      const response = state.cache.get(params[0]);
+      return { rows: response ? [{ response }] : [] };
+    }
+    if (text.startsWith('INSERT INTO ai_response_cache')) {
+      state.cache.set(params[0], JSON.parse(params[3]));
+      return { rows: [] };
+    }
+    return { rows: [] };
+  };
+  return state;
+}
+
+// A provider whose replies come from `replies` in order: an Error is thrown, anything else returned
+function createQueuedProvider(name, replies) {
+  const provider = {
+    name,
+    defaultModel: 'gpt-4o',
+    calls: 0,
+    async complete() {
+      const reply = replies[provider.calls++];
+      if (reply instanceof Error) throw reply;
+      return { message: { role: 'assistant', content: reply }, usage: { inputTokens: 1000, outputTokens: 500 } };
+    }
+  };
+  return provider;
+}
+
+const statusError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+const ask = { messages: [{ role: 'user', content: 'Suggest a commander' }] };
+
+describe('LLM service', () => {
+  let db;
+
+  beforeEach(() => {
+    db = createDb();
+  });
+
+  const createService = (options) => createLLMService({
+    db,
+    features: {
+      generation: { provider: 'openai', model: null },
+      description: { provider: 'fake', model: null },
+      chat: { provider: 'gemini', model: 'gemini-2.5-pro' }
+    },
+    sleep: async () => {},
+    ...options
+  });
+
+  it('reads each feature\'s provider and model from the environment', () => {
+    expect(resolveFeatureConfig({ AI_PROVIDER: 'Gemini', AI_PROVIDER_CHAT: 'openai', AI_MODEL_CHAT: 'gpt-4o-mini' })).toEqual({
+      generation: { provider: 'gemini', model: null },
+      description: { provider: 'gemini', model: null },
+      chat: { provider: 'openai', model: 'gpt-4o-mini' }
+    });
+    expect(resolveFeatureConfig({}).generation).toEqual({ provider: 'openai', model: null });
+  });
+
+  it('routes features to their providers and reports unconfigured ones', async () => {
+    const openai = createQueuedProvider('openai', ['Atraxa']);
+    const llm = createService({ providers: { openai, fake: createFakeProvider() } });
+
+    expect(llm.describe('generation')).toEqual({ provider: 'openai', model: 'gpt-4o' });
+    expect(llm.describe('description')).toEqual({ provider: 'fake', model: 'fake' });
+    expect(llm.isAvailable('chat')).toBe(false);
+    expect(llm.chatModel('chat')).toBeNull();
+    await expect(llm.complete('chat', ask)).rejects.toMatchObject({ statusCode: 503 });
+  });
+
+  it('records tokens and cost for the user', async () => {
+    const llm = createService({ providers: { openai: createQueuedProvider('openai', ['Atraxa']) } });
+
+    const result = await llm.complete('generation', ask, { userId: 'u1' });
+
+    expect(result).toMatchObject({ content: 'Atraxa', cached: false, provider: 'openai', model: 'gpt-4o', costUsd: 0.0075 });
+    expect(db.usage).toEqual([{
+      user_id: 'u1', feature: 'generation', provider: 'openai', model: 'gpt-4o',
+      input_tokens: 1000, output_tokens: 500, cost_usd: 0.0075, cached: false
+    }]);
+  });
+
+  it('reuses a cached reply to the same prompt at no cost', async () => {
+    const openai = createQueuedProvider('openai', ['{"cards":[]}', '{"cards":["other"]}']);
+    const llm = createService({ providers: { openai } });
+    const prompt = { ...ask, json: true, cache: true };
+
+    await llm.complete('generation', prompt, { userId: 'u1' });
+    const again = await llm.complete('generation', prompt, { userId: 'u1' });
+    const different = await llm.complete('generation', { ...prompt, messages: [{ role: 'user', content: 'Another' }] });
+
+    expect(again).toMatchObject({ content: '{"cards":[]}', cached: true, costUsd: 0 });
+    expect(different.content).toBe('{"cards":["other"]}');
+    expect(openai.calls).toBe(2);
+    expect(db.usage.map(row => [row.cached, row.cost_usd])).toEqual([[false, 0.0075], [true, 0], [false, 0.0075]]);
+  });
+
+  it('only caches when asked to', async () => {
+    const openai = createQueuedProvider('openai', ['a', 'b']);
+    const llm = createService({ providers: { openai } });
+
+    await llm.complete('generation', ask);
+    expect((await llm.complete('generation', ask)).content).toBe('b');
+  });
+
+  it('retries rate limits and server errors but not bad requests', async () => {
+    const flaky = createQueuedProvider('openai', [statusError(429), statusError(503), 'Atraxa']);
+    expect((await createService({ providers: { openai: flaky } }).complete('generation', ask)).content).toBe('Atraxa');
+    expect(flaky.calls).toBe(3);
+
+    const rejected = createQueuedProvider('openai', [statusError(400), 'unused']);
+    await expect(createService({ providers: { openai: rejected } }).complete('generation', ask))
+      .rejects.toEqual(new LLMError('The AI provider failed to respond', 502));
+    expect(rejected.calls).toBe(1);
+
+    const down = createQueuedProvider('openai', [statusError(500), statusError(500), statusError(500)]);
+    await expect(createService({ providers: { openai: down }, maxRetries: 1 }).complete('generation', ask))
+      .rejects.toMatchObject({ statusCode: 502 });
+    expect(down.calls).toBe(2);
+    expect(db.usage).toHaveLength(1);
+  });
+
+  it('times out each attempt and gives up after the retries', async () => {
+    let attempts = 0;
+    const hanging = {
+      name: 'openai',
+      defaultModel: 'gpt-4o',
+      complete: ({ signal }) => new Promise((resolve, reject) => {
+        attempts++;
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      })
+    };
+    const llm = createService({ providers: { openai: hanging }, timeoutMs: 5, maxRetries: 1 });
+
+    await expect(llm.complete('generation', ask)).rejects.toMatchObject({ statusCode: 504 });
+    expect(attempts).toBe(2);
+  });
+
+  it('stops without retrying when the caller cancels', async () => {
+    const controller = new AbortController();
+    let attempts = 0;
+    const slow = {
+      name: 'openai',
+      defaultModel: 'gpt-4o',
+      complete: ({ signal }) => new Promise((resolve, reject) => {
+        attempts++;
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+        controller.abort();
+      })
+    };
+
+    await expect(createService({ providers: { openai: slow } }).complete('generation', { ...ask, signal: controller.signal }))
+      .rejects.toMatchObject({ statusCode: 499 });
+    expect(attempts).toBe(1);
+  });
+
+  it('gives chat a model that accounts each turn', async () => {
+    const gemini = createFakeProvider({ respond: () => ({ toolCalls: [{ name: 'search_inventory', arguments: { query: 'Sol Ring' } }] }) });
+    const llm = createService({ providers: { gemini: { ...gemini, name: 'gemini' } } });
+    const model = llm.chatModel('chat', { userId: 'u1' });
+
+    const message = await model.complete({ messages: [{ role: 'user', content: 'Do I own Sol Ring?' }], tools: [] });
+
+    expect(model.name).toBe('gemini-2.5-pro');
+    expect(message.tool_calls[0].function).toEqual({ name: 'search_inventory', arguments: '{"query":"Sol Ring"}' });
+    expect(db.usage[0]).toMatchObject({ user_id: 'u1', feature: 'chat', provider: 'gemini', model: 'gemini-2.5-pro' });
+  });
+
+  it('fakes deterministic replies', async () => {
+    const fake = createFakeProvider();
+    const first = await fake.complete({ messages: [{ role: 'user', content: 'hello' }] });
+    const second = await fake.complete({ messages: [{ role: 'user', content: 'hello' }] });
+
+    expect(first).toEqual(second);
+    expect(first.message.content).toMatch(/^\[fake [0-9a-f]{8}\] hello$/);
+    expect(JSON.parse((await fake.complete({ messages: [], json: true })).message.content)).toMatchObject({ fake: true });
+  });
+
+  it('prices dated model versions like their base model', () => {
+    expect(estimateCost('gpt-4o-2024-08-06', { inputTokens: 1e6, outputTokens: 0 })).toBe(2.5);
+    expect(estimateCost('gpt-4o-mini', { inputTokens: 1e6, outputTokens: 0 })).toBe(0.15);
+    expect(estimateCost('unknown-model', { inputTokens: 1e6, outputTokens: 1e6 })).toBe(0);
+  });
+});
+
+describe('Gemini message conversion', () => {
+  it('maps system prompts, tool calls and tool results', () => {
+    const { systemInstruction, contents } = toGeminiContents([
+      { role: 'system', content: 'You help with MTG.' },
+      { role: 'user', content: 'Do I own Sol Ring?' },
+      { role: 'assistant', content: null, tool_calls: [{ id: 'c1', type: 'function', function: { name: 'search_inventory', arguments: '{"query":"Sol Ring"}' } }] },
+      { role: 'tool', tool_call_id: 'c1', content: '{"results":[]}' },
+      { role: 'assistant', content: 'You do not.' }
+    ]);
+
+    expect(systemInstruction).toBe('You help with MTG.');
+    expect(contents).toEqual([
+      { role: 'user', parts: [{ text: 'Do I own Sol Ring?' }] },
+      { role: 'model', parts: [{ functionCall: { name: 'search_inventory', args: { query: 'Sol Ring' } } }] },
+      { role: 'function', parts: [{ functionResponse: { name: 'search_inventory', response: { content: { results: [] } } } }] },
+      { role: 'model', parts: [{ text: 'You do not.' }] }
+    ]);
+  });
+});
+
+describe('AI usage route', () => {
+  it('reports the user\'s usage and each feature\'s model', async () => {
+    const { pool, queries } = createMockPool(() => ({
+      rows: [
+        { feature: 'generation', provider: 'openai', model: 'gpt-4o', requests: '3', cached_requests: '1', input_tokens: '3000', output_tokens: '1500', cost_usd: '0.015000' },
+        { feature: 'chat', provider: 'fake', model: 'fake', requests: '2', cached_requests: '0', input_tokens: '40', output_tokens: '10', cost_usd: '0' }
+      ]
+    }));
+    const app = express();
+    app.use('/api/ai', createAIUsageRouter({
+      pool,
+      authenticateMiddleware: (req, res, next) => { req.userId = 'test-user'; next(); },
+      apiLimiterMiddleware: (req, res, next) => next(),
+      getLLM: () => ({ describe: feature => (feature === 'chat' ? { provider: 'fake', model: 'fake' } : null) })
+    }));
+
+    const res = await request(app).get('/api/ai/usage?days=30').expect(200);
+
+    expect(queries[0].params).toEqual(['test-user', 30]);
+    expect(res.body.totals).toEqual({ requests: 5, cachedRequests: 1, inputTokens: 3040, outputTokens: 1510, costUsd: 0.015 });
+    expect(res.body.breakdown[0]).toEqual({
+      feature: 'generation', provider: 'openai', model: 'gpt-4o', requests: 3, cachedRequests: 1, inputTokens: 3000, outputTokens: 1500, costUsd: 0.015
+    });
+    expect(res.body.features).toEqual({ generation: null, description: null, chat: { provider: 'fake', model: 'fake' } });
+
+    await request(app).get('/api/ai/usage?days=0').expect(400);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Tests for the fixture-backed marketplace adapters and the aggregator
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+
+import { FakeTCGPlayerAdapter, createTCGPlayerAdapter, TCGPlayerAdapter } from '../marketplace/tcgplayer'
+import { CardKingdomAdapter, FakeCardKingdomAdapter, createCardKingdomAdapter } from '../marketplace/cardKingdom'
+import { clearCache, createAdapters, fetchAllOffers } from '../marketplace/index'
+import type { MarketplaceAdapter } from '../marketplace/types'
+
+const BOLT = { scryfallId: 'e3285e6b-3e79-4d7c-bf96-d920f973b80c', cardName: 'Lightning Bolt' }
+const SOL_RING = { scryfallId: 'bc71ebf6-2056-41f7-be35-b2e5c34afa99', cardName: 'Sol Ring' }
+
+describe('FakeTCGPlayerAdapter', () => {
+    it('normalizes fixture listings into offers', async () => {
+        const offers = await new FakeTCGPlayerAdapter().fetchOffers([BOLT])
+
+        expect(offers).toHaveLength(2)
+        const foil = offers.find(o => o.sellerId === 'fixture-seller-b')!
+        expect(foil).toMatchObject({
+            marketplace: 'TCG',
+            cardId: BOLT.scryfallId,
+            condition: 'Lightly Played',
+            foil: true,
+            quantityAvailable: 1,
+            shipping: { base: 0.99, freeAt: undefined },
+        })
+    })
+
+    it('drops damaged listings', async () => {
+        const offers = await new FakeTCGPlayerAdapter().fetchOffers([SOL_RING])
+
+        expect(offers.map(o => o.sellerId)).toEqual(['fixture-seller-a'])
+    })
+
+    it('returns nothing for cards missing from the fixture', async () => {
+        const offers = await new FakeTCGPlayerAdapter().fetchOffers([{ scryfallId: 'unknown', cardName: 'Nope' }])
+        expect(offers).toEqual([])
+    })
+})
+
+describe('Card Kingdom adapter', () => {
+    it('builds one near-mint offer per priced card', async () => {
+        const offers = await new FakeCardKingdomAdapter().fetchOffers([BOLT, { scryfallId: 'unknown', cardName: 'Nope' }])
+
+        expect(offers).toHaveLength(1)
+        expect(offers[0]).toMatchObject({
+            marketplace: 'CK',
+            sellerId: 'CardKingdom',
+            cardId: BOLT.scryfallId,
+            price: 2.49,
+            condition: 'Near Mint',
+            foil: false,
+            shipping: { base: 5.99, freeAt: 50 },
+        })
+    })
+
+    it('reads prices from an injected price source', async () => {
+        const adapter = new CardKingdomAdapter({
+            getPricesByScryfallId: id => ({ cardkingdom: id === SOL_RING.scryfallId ? 1.5 : null }),
+        })
+
+        const offers = await adapter.fetchOffers([BOLT, SOL_RING])
+
+        expect(offers.map(o => [o.cardId, o.price])).toEqual([[SOL_RING.scryfallId, 1.5]])
+    })
+})
+
+describe('adapter selection', () => {
+    const originalClient = process.env.MARKETPLACE_CLIENT
+
+    afterEach(() => {
+        if (originalClient === undefined) delete process.env.MARKETPLACE_CLIENT
+        else process.env.MARKETPLACE_CLIENT = originalClient
+    })
+
+    it('uses live adapters by default', () => {
+        delete process.env.MARKETPLACE_CLIENT
+        expect(createTCGPlayerAdapter('key')).toBeInstanceOf(TCGPlayerAdapter)
+        expect(createCardKingdomAdapter()).toBeInstanceOf(CardKingdomAdapter)
+    })
+
+    it('uses fixture adapters when MARKETPLACE_CLIENT=fake', () => {
+        process.env.MARKETPLACE_CLIENT = 'fake'
+        expect(createTCGPlayerAdapter('key')).toBeInstanceOf(FakeTCGPlayerAdapter)
+        expect(createCardKingdomAdapter()).toBeInstanceOf(FakeCardKingdomAdapter)
+    })
+
+    it('only creates adapters for enabled marketplaces', () => {
+        const adapters = createAdapters({
+            tcgplayer: { apiKey: '', enabled: true },
+            cardKingdom: { enabled: true },
+        })
+        expect(adapters.map(a => a.marketplace)).toEqual(['CK'])
+    })
+})
+
+describe('fetchAllOffers', () => {
+    beforeEach(() => {
+        clearCache()
+    })
+
+    it('merges offers from every adapter', async () => {
+        const offers = await fetchAllOffers([BOLT, SOL_RING], {
+            adapters: [new FakeTCGPlayerAdapter(), new FakeCardKingdomAdapter()],
+        })
+
+        expect(offers.filter(o => o.marketplace === 'TCG')).toHaveLength(3)
+        expect(offers.filter(o => o.marketplace === 'CK')).toHaveLength(2)
+    })
+
+    it('keeps the other marketplaces when one fails', async () => {
+        const failing: MarketplaceAdapter = {
+            marketplace: 'TCG',
+            fetchOffers: vi.fn().mockRejectedValue(new Error('boom')),
+        }
+        vi.spyOn(console, 'error').mockImplementation(() => {})
+
+        const offers = await fetchAllOffers([BOLT], { adapters: [failing, new FakeCardKingdomAdapter()] })
+
+        expect(offers.map(o => o.marketplace)).toEqual(['CK'])
+    })
+
+    it('serves repeat requests from the cache', async () => {
+        const adapter = new FakeCardKingdomAdapter()
+        const spy = vi.spyOn(adapter, 'fetchOffers')
+
+        await fetchAllOffers([BOLT, SOL_RING], { adapters: [adapter] })
+        await fetchAllOffers([SOL_RING, BOLT], { adapters: [adapter] })
+
+        expect(spy).toHaveBeenCalledTimes(1)
+    })
+
+    it('keeps separate cache entries per condition filter and marketplace set', async () => {
+        const ck = new FakeCardKingdomAdapter()
+        const tcg = new FakeTCGPlayerAdapter()
+        const ckSpy = vi.spyOn(ck, 'fetchOffers')
+        const tcgSpy = vi.spyOn(tcg, 'fetchOffers')
+
+        await fetchAllOffers([BOLT], { adapters: [ck] })
+        await fetchAllOffers([BOLT], { adapters: [ck], excludeHeavilyPlayed: true })
+        const both = await fetchAllOffers([BOLT], { adapters: [ck, tcg] })
+
+        expect(ckSpy).toHaveBeenCalledTimes(3)
+        expect(ckSpy).toHaveBeenLastCalledWith([BOLT], { excludeHeavilyPlayed: undefined })
+        expect(tcgSpy).toHaveBeenCalledTimes(1)
+        expect(both.some(o => o.marketplace === 'TCG')).toBe(true)
+    })
+})
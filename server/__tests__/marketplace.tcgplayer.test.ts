@@ -308,6 +308,14 @@ describe('Offer Cache', () => {
         expect(key1).not.toBe(key2)
     })
 
+    it('generates different keys for different marketplaces and condition filters', () => {
+        const key = getCacheKey(['card-a'], { marketplaces: ['TCG', 'CK'] })
+
+        expect(getCacheKey(['card-a'], { marketplaces: ['CK', 'TCG'] })).toBe(key)
+        expect(getCacheKey(['card-a'], { marketplaces: ['CK'] })).not.toBe(key)
+        expect(getCacheKey(['card-a'], { marketplaces: ['TCG', 'CK'], excludeHeavilyPlayed: true })).not.toBe(key)
+    })
+
     it('has correct TTL constant', () => {
         expect(CACHE_TTL_MS).toBe(15 * 60 * 1000) // 15 minutes
     })
@@ -0,0 +1,188 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+import { createMigrator, loadMigrations, checksum, MigrationError, MIGRATIONS_DIR } from '../db/migrator.js';
+import { createMockPool } from './helpers/mockPool.js';
+
+/**
+ * Mock pool that keeps schema_migrations rows in memory and can fail on chosen SQL
+ */
+function createMigrationsPool({ failOn } = {}) {
+  const state = { tableExists: false, rows: [], pending: null };
+
+  const { pool, queries } = createMockPool((text, params) => {
+    if (failOn && text.includes(failOn)) throw new Error(`syntax error near "${failOn}"`);
+    if (text.startsWith('SELECT to_regclass')) {
+      return { rows: [{ table_name: state.tableExists ? 'schema_migrations' : null }] };
+    }
+    if (text.includes('CREATE TABLE IF NOT EXISTS schema_migrations')) {
+      state.tableExists = true;
+      return { rows: [] };
+    }
+    if (text.startsWith('SELECT version, name, checksum')) {
+      return { rows: [...state.rows].sort((a, b) => a.version - b.version) };
+    }
+    if (text === 'BEGIN') {
+      state.pending = [...state.rows];
+      return { rows: [] };
+    }
+    if (text.startsWith('INSERT INTO schema_migrations')) {
+      state.pending.push({ version: params[0], name: params[1], checksum: params[2], applied_at: new Date() });
+      return { rows: [] };
+    }
+    if (text.startsWith('DELETE FROM schema_migrations')) {
+      state.pending = state.pending.filter(row => row.version !== params[0]);
+      return { rows: [] };
+    }
+    if (text === 'COMMIT') {
+      state.rows = state.pending;
+      return { rows: [] };
+    }
+  });
+
+  // Statements as the migrator sent them, trimmed of the whitespace around file contents
+  state.statements = () => queries.map(q => q.text.trim());
+  return { ...pool, state };
+}
+
+describe('migrator', () => {
+  let dir;
+
+  const write = (file, sql) => fs.writeFileSync(path.join(dir, file), sql);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    write('0001_create_widgets.up.sql', 'CREATE TABLE widgets (id SERIAL);');
+    write('0002_add_widget_name.up.sql', 'ALTER TABLE widgets ADD COLUMN name TEXT;');
+    write('0002_add_widget_name.down.sql', 'ALTER TABLE widgets DROP COLUMN name;');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('loads migrations in version order with checksums', () => {
+    write('0010_later.up.sql', 'SELECT 1;');
+
+    const migrations = loadMigrations(dir);
+
+    expect(migrations.map(m => m.id)).toEqual(['0001_create_widgets', '0002_add_widget_name', '0010_later']);
+    expect(migrations[0].down).toBeNull();
+    expect(migrations[1].checksum).toBe(checksum('ALTER TABLE widgets ADD COLUMN name TEXT;'));
+  });
+
+  it('rejects badly named and conflicting files', () => {
+    write('notes.sql', 'SELECT 1;');
+    expect(() => loadMigrations(dir)).toThrow(/Unrecognized migration file name: notes.sql/);
+
+    fs.rmSync(path.join(dir, 'notes.sql'));
+    write('0002_other_name.up.sql', 'SELECT 1;');
+    expect(() => loadMigrations(dir)).toThrow(/version 2 is used by both/);
+  });
+
+  it('applies pending migrations in order, each in its own transaction', async () => {
+    const pool = createMigrationsPool();
+    const migrator = createMigrator({ pool, dir, log: () => {} });
+
+    const result = await migrator.migrate();
+
+    expect(result.applied).toEqual(['0001_create_widgets', '0002_add_widget_name']);
+    expect(pool.state.rows.map(r => r.version)).toEqual([1, 2]);
+    expect(pool.state.statements().filter(q => q === 'BEGIN')).toHaveLength(2);
+    expect(pool.state.statements().some(q => q.includes('pg_advisory_lock'))).toBe(true);
+    expect(pool.state.statements().some(q => q.includes('pg_advisory_unlock'))).toBe(true);
+
+    const again = await migrator.migrate();
+    expect(again.applied).toEqual([]);
+  });
+
+  it('stops at the target version', async () => {
+    const pool = createMigrationsPool();
+    const migrator = createMigrator({ pool, dir, log: () => {} });
+
+    const result = await migrator.migrate({ to: 1 });
+
+    expect(result.applied).toEqual(['0001_create_widgets']);
+    expect((await migrator.status()).map(e => e.state)).toEqual(['applied', 'pending']);
+  });
+
+  it('runs nothing in dry-run mode', async () => {
+    const pool = createMigrationsPool();
+    const migrator = createMigrator({ pool, dir, log: () => {} });
+
+    const result = await migrator.migrate({ dryRun: true });
+
+    expect(result).toEqual({ applied: ['0001_create_widgets', '0002_add_widget_name'], dryRun: true });
+    expect(pool.state.tableExists).toBe(false);
+    expect(pool.state.statements().some(q => q.includes('CREATE TABLE widgets'))).toBe(false);
+  });
+
+  it('rolls back a failed migration and throws', async () => {
+    const pool = createMigrationsPool({ failOn: 'ADD COLUMN name' });
+    const migrator = createMigrator({ pool, dir, log: () => {} });
+
+    const error = await migrator.migrate().catch(e => e);
+
+    expect(error).toBeInstanceOf(MigrationError);
+    expect(error.message).toBe('Migration 0002_add_widget_name (up) failed: syntax error near "ADD COLUMN name"');
+    expect(pool.state.statements()).toContain('ROLLBACK');
+    expect(pool.state.rows.map(r => r.version)).toEqual([1]);
+  });
+
+  it('refuses to run when an applied migration was edited', async () => {
+    const pool = createMigrationsPool();
+    const migrator = createMigrator({ pool, dir, log: () => {} });
+    await migrator.migrate({ to: 1 });
+
+    write('0001_create_widgets.up.sql', 'CREATE TABLE widgets (id SERIAL, name TEXT);');
+
+    await expect(migrator.migrate()).rejects.toThrow(/edited after being applied: 0001_create_widgets/);
+    expect((await migrator.status())[0].state).toBe('modified');
+  });
+
+  it('reports applied migrations whose files are gone', async () => {
+    const pool = createMigrationsPool();
+    const migrator = createMigrator({ pool, dir, log: () => {} });
+    await migrator.migrate();
+
+    fs.rmSync(path.join(dir, '0002_add_widget_name.up.sql'));
+    fs.rmSync(path.join(dir, '0002_add_widget_name.down.sql'));
+
+    expect((await migrator.status()).map(e => `${e.id}:${e.state}`)).toEqual(['0001_create_widgets:applied', '0002_add_widget_name:missing']);
+    await expect(migrator.migrate()).rejects.toThrow(/missing from/);
+  });
+
+  it('rolls back the newest migration with its down file', async () => {
+    const pool = createMigrationsPool();
+    const migrator = createMigrator({ pool, dir, log: () => {} });
+    await migrator.migrate();
+
+    const dryRun = await migrator.rollback({ dryRun: true });
+    expect(dryRun.rolledBack).toEqual(['0002_add_widget_name']);
+    expect(pool.state.rows).toHaveLength(2);
+
+    const result = await migrator.rollback();
+    expect(result.rolledBack).toEqual(['0002_add_widget_name']);
+    expect(pool.state.statements()).toContain('ALTER TABLE widgets DROP COLUMN name;');
+    expect(pool.state.rows.map(r => r.version)).toEqual([1]);
+  });
+
+  it('refuses to roll back past an irreversible migration', async () => {
+    const pool = createMigrationsPool();
+    const migrator = createMigrator({ pool, dir, log: () => {} });
+    await migrator.migrate();
+
+    await expect(migrator.rollback({ steps: 2 })).rejects.toThrow('Cannot roll back 0001_create_widgets: no down migration');
+    expect(pool.state.rows).toHaveLength(2);
+  });
+
+  it('ships a valid set of repository migrations', () => {
+    const migrations = loadMigrations(MIGRATIONS_DIR);
+
+    expect(migrations[0].id).toBe('0001_baseline');
+    expect(migrations[0].down).toBeNull();
+    expect(migrations.slice(1).every(m => m.down !== null)).toBe(true);
+  });
+});
@@ -0,0 +1,104 @@
+import express from 'express';
+import request from 'supertest';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createPricesRouter } from '../routes/prices.js';
+import { buildSnapshotRows, snapshotInventoryPrices } from '../services/priceHistoryService.js';
+import { createMockPool } from './helpers/mockPool.js';
+
+const BOLT = 'e3285e6b-3e79-4d7c-bf96-d920f973b122';
+
+describe('price history routes', () => {
+  let app;
+  let queries;
+
+  beforeEach(() => {
+    const db = createMockPool(text => {
+      if (text.includes('FROM price_snapshots\n')) {
+        return {
+          rows: [
+            { snapshot_date: '2026-10-01', tcg_retail: '1.50', tcg_retail_foil: null, tcg_buylist: '0.90', ck_retail: '1.99', ck_retail_foil: '4.99', ck_buylist: '1.10' },
+            { snapshot_date: '2026-10-02', tcg_retail: '1.60', tcg_retail_foil: null, tcg_buylist: null, ck_retail: '1.99', ck_retail_foil: '4.99', ck_buylist: '1.10' }
+          ]
+        };
+      }
+      if (text.includes('FROM inventory i')) {
+        return { rows: [{ snapshot_date: '2026-10-01', value: '12.345', cost_basis: '8', cards: '4', priced_cards: '3' }] };
+      }
+    });
+    queries = db.queries;
+
+    const authMiddleware = (req, res, next) => { req.userId = 'test-user'; next(); };
+    const noopLimiter = (req, res, next) => next();
+
+    app = express();
+    app.use('/api', createPricesRouter({ pool: db.pool, authenticateMiddleware: authMiddleware, priceLimiterMiddleware: noopLimiter }));
+  });
+
+  it('returns daily prices for a card', async () => {
+    const res = await request(app).get(`/api/prices/history/${BOLT.toUpperCase()}?days=30`).expect(200);
+
+    expect(res.body.scryfallId).toBe(BOLT);
+    expect(res.body.history).toHaveLength(2);
+    expect(res.body.history[0]).toEqual({
+      date: '2026-10-01', tcgRetail: 1.5, tcgRetailFoil: null, tcgBuylist: 0.9, ckRetail: 1.99, ckRetailFoil: 4.99, ckBuylist: 1.1
+    });
+    expect(queries[0].params).toEqual([BOLT, 30]);
+  });
+
+  it('rejects malformed ids and day ranges', async () => {
+    await request(app).get('/api/prices/history/not-a-uuid').expect(400);
+    const res = await request(app).get(`/api/prices/history/${BOLT}?days=-3`).expect(400);
+    expect(res.body.error).toMatch(/days must be/);
+    expect(queries).toHaveLength(0);
+  });
+
+  it('replays snapshots against the user inventory', async () => {
+    const res = await request(app).get('/api/prices/portfolio-history?days=all&source=ck').expect(200);
+
+    expect(res.body).toEqual({
+      source: 'ck',
+      days: null,
+      history: [{ date: '2026-10-01', value: 12.35, costBasis: 8, cards: 4, pricedCards: 3 }]
+    });
+    expect(queries[0].text).toContain('s.ck_retail_foil');
+    expect(queries[0].params).toEqual(['test-user', null]);
+  });
+
+  it('validates the portfolio price source', async () => {
+    const res = await request(app).get('/api/prices/portfolio-history?source=ebay').expect(400);
+    expect(res.body.error).toBe('source must be one of: tcg, ck');
+  });
+});
+
+describe('price snapshots', () => {
+  const priceSource = {
+    getPriceSnapshotByScryfallId: (id) => (id === BOLT
+      ? { date: '2026-10-02', tcgRetail: 1.6, tcgRetailFoil: null, tcgBuylist: null, ckRetail: 1.99, ckRetailFoil: 4.99, ckBuylist: 1.1 }
+      : null)
+  };
+
+  it('skips cards without prices', () => {
+    expect(buildSnapshotRows([BOLT, 'unpriced'], priceSource)).toEqual([{
+      scryfall_id: BOLT,
+      snapshot_date: '2026-10-02',
+      tcg_retail: 1.6,
+      tcg_retail_foil: null,
+      tcg_buylist: null,
+      ck_retail: 1.99,
+      ck_retail_foil: 4.99,
+      ck_buylist: 1.1
+    }]);
+  });
+
+  it('snapshots every Scryfall id held in inventory', async () => {
+    const { pool, queries } = createMockPool((text, params) => {
+      if (text.includes('SELECT DISTINCT scryfall_id')) return { rows: [{ scryfall_id: BOLT }, { scryfall_id: 'unpriced' }] };
+      return { rows: [], rowCount: JSON.parse(params[0]).length };
+    });
+
+    const stats = await snapshotInventoryPrices(pool, priceSource);
+
+    expect(stats).toEqual({ cards: 2, stored: 1, dates: ['2026-10-02'] });
+    expect(queries[1].text).toContain('ON CONFLICT (scryfall_id, snapshot_date) DO UPDATE');
+  });
+});
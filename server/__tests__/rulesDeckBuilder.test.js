@@ -0,0 +1,160 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildRulesDeck,
+  classifyCard,
+  resolveQuotas,
+  resolveCurve,
+  DeckBuilderError,
+  DEFAULT_QUOTAS
+} from '../services/rulesDeckBuilder.js';
+
+// Scryfall cards as the collection endpoint returns them
+const card = (name, overrides = {}) => ({
+  id: `id-${name.toLowerCase().replace(/\W+/g, '-')}`,
+  name,
+  type_line: 'Creature — Elf',
+  mana_cost: '{1}{G}',
+  cmc: 2,
+  oracle_text: '',
+  color_identity: ['G'],
+  prices: { usd: '0.50' },
+  legalities: { commander: 'legal' },
+  ...overrides
+});
+
+const commander = card('Meren of Clan Nel Toth', {
+  type_line: 'Legendary Creature — Human Shaman',
+  mana_cost: '{2}{B}{G}',
+  cmc: 4,
+  color_identity: ['B', 'G']
+});
+
+// Mostly green spells; every third one black. Mana values cycle 1 to 6.
+const spell = (name, index, text, type = 'Creature — Elf') => {
+  const black = index % 3 === 0;
+  const cmc = 1 + (index % 6);
+  return card(name, {
+    type_line: type,
+    cmc,
+    mana_cost: `${cmc > 1 ? `{${cmc - 1}}` : ''}{${black ? 'B' : 'G'}}`,
+    color_identity: [black ? 'B' : 'G'],
+    oracle_text: text
+  });
+};
+
+const range = (count, build) => Array.from({ length: count }, (_, index) => build(index));
+
+const pool = [
+  ...range(15, i => spell(`Ramp ${i}`, i, '{T}: Add {G}.', 'Artifact')),
+  ...range(15, i => spell(`Draw ${i}`, i, 'When this enters, draw a card.')),
+  ...range(12, i => spell(`Removal ${i}`, i, 'Destroy target creature.', 'Instant')),
+  ...range(5, i => spell(`Wipe ${i}`, i, 'Destroy all creatures.', 'Sorcery')),
+  ...range(50, i => spell(`Synergy ${i}`, i, 'Whenever another creature you control dies, put a +1/+1 counter on this.')),
+  ...range(20, i => card(`Land ${i}`, { type_line: 'Land', mana_cost: '', cmc: 0, oracle_text: '{T}: Add {B} or {G}.', color_identity: ['B', 'G'] })),
+  card('Lightning Bolt', { type_line: 'Instant', oracle_text: 'Lightning Bolt deals 3 damage to any target.', color_identity: ['R'] }),
+  card('Banned Elf', { legalities: { commander: 'banned' } }),
+  card('Forest', { type_line: 'Basic Land — Forest', mana_cost: '', cmc: 0 }),
+  card('Synergy 0')
+];
+
+const count = (deck, category) => deck.cards
+  .filter(entry => entry.category === category)
+  .reduce((sum, entry) => sum + entry.quantity, 0);
+
+describe('rulesDeckBuilder', () => {
+  it('builds a legal 100-card deck to the default quotas, explaining every card', () => {
+    const deck = buildRulesDeck({ commander, candidates: pool });
+
+    expect(deck.stats.totalCards).toBe(100);
+    expect(deck.legality).toMatchObject({ legal: true, cardCount: 100 });
+    expect(deck.cards[0]).toMatchObject({ name: commander.name, category: 'Commander' });
+    expect(count(deck, 'Ramp')).toBe(DEFAULT_QUOTAS.ramp);
+    expect(count(deck, 'Draw')).toBe(DEFAULT_QUOTAS.draw);
+    expect(count(deck, 'Removal')).toBe(DEFAULT_QUOTAS.removal);
+    expect(count(deck, 'Board Wipe')).toBe(DEFAULT_QUOTAS.wipes);
+    expect(count(deck, 'Synergy')).toBe(DEFAULT_QUOTAS.synergy);
+    expect(count(deck, 'Land')).toBe(DEFAULT_QUOTAS.lands);
+    expect(deck.cards.every(entry => entry.reason)).toBe(true);
+    expect(deck.cards.find(entry => entry.name === 'Removal 0').reason).toBe('Removal (1 of 8): recommendation #31, $0.50, mana value 1');
+
+    const names = deck.cards.map(entry => entry.name);
+    expect(names).not.toContain('Lightning Bolt');
+    expect(names).not.toContain('Banned Elf');
+    expect(new Set(names).size).toBe(names.length);
+    expect(deck.stats.excluded).toEqual({ colorIdentity: 1, notLegal: 1, notOwned: 0 });
+  });
+
+  it('gives the same deck for the same inputs', () => {
+    const options = { commander, candidates: pool, budget: 25, ownedQuantity: name => (name.endsWith('7') ? 1 : 0) };
+
+    expect(buildRulesDeck(options)).toEqual(buildRulesDeck(options));
+  });
+
+  it('weights the basic lands by the colored pips of the spells', () => {
+    const deck = buildRulesDeck({ commander, candidates: pool, maxNonbasicLands: 5 });
+    const forests = deck.cards.find(entry => entry.name === 'Forest');
+    const swamps = deck.cards.find(entry => entry.name === 'Swamp');
+
+    expect(forests.quantity + swamps.quantity).toBe(32);
+    expect(forests.quantity).toBeGreaterThan(swamps.quantity * 1.5);
+    expect(forests.reason).toMatch(/^Basic land: \d+ of 32 basics, for the \d+% of the deck's colored pips that are green$/);
+
+    const colorless = buildRulesDeck({ commander: card('Karn, Silver Golem', { color_identity: [], type_line: 'Legendary Artifact Creature — Golem' }), candidates: [] });
+    expect(colorless.cards.at(-1)).toMatchObject({ name: 'Wastes', quantity: 99 });
+    expect(colorless.warnings).toContain('Only 0 of 62 nonland cards fit; 62 more basic lands fill the deck');
+    expect(colorless.stats.totalCards).toBe(100);
+  });
+
+  it('takes custom quotas and leans toward the curve target', () => {
+    const deck = buildRulesDeck({ commander, candidates: pool, quotas: { lands: 35, ramp: 12, wipes: 0 } });
+    expect(count(deck, 'Ramp')).toBe(12);
+    expect(count(deck, 'Board Wipe')).toBe(0);
+    expect(count(deck, 'Synergy')).toBe(34);
+    expect(count(deck, 'Land')).toBe(35);
+
+    const base = buildRulesDeck({ commander, candidates: pool });
+    const twoDrops = buildRulesDeck({ commander, candidates: pool, curve: { 1: 0, 2: 10, 3: 1, 4: 0, 5: 0, 6: 0 } });
+    expect(twoDrops.stats.curve['2']).toBeGreaterThan(base.stats.curve['2']);
+
+    expect(() => resolveQuotas({ lands: 60, ramp: 50 })).toThrow('Quotas add up to 131 cards');
+    expect(() => resolveQuotas({ lands: 36, synergy: 10 })).toThrow(DeckBuilderError);
+    expect(() => resolveQuotas({ tutors: 3 })).toThrow('Unknown quota "tutors"');
+    expect(() => resolveCurve({ 7: 2 })).toThrow(DeckBuilderError);
+  });
+
+  it('stays within the budget, counting owned cards as free', () => {
+    const pricey = pool.map((entry, index) => (index % 2 === 0 ? { ...entry, prices: { usd: '12.00' } } : entry));
+    const owned = new Set(['Ramp 0', 'Ramp 2']);
+
+    const deck = buildRulesDeck({ commander, candidates: pricey, budget: 20, ownedQuantity: name => (owned.has(name) ? 1 : 0) });
+
+    expect(deck.stats.purchaseCost).toBeLessThanOrEqual(20);
+    expect(deck.stats.totalCards).toBe(100);
+    expect(deck.legality.legal).toBe(true);
+    expect(deck.cards.filter(entry => entry.fromInventory).map(entry => entry.name)).toEqual(['Ramp 0', 'Ramp 2']);
+    expect(deck.cards.find(entry => entry.name === 'Ramp 0').reason).toContain('already in your collection');
+  });
+
+  it('prefers owned cards, or uses only them', () => {
+    const ownedQuantity = name => (name === 'Synergy 49' ? 1 : 0);
+
+    const preferred = buildRulesDeck({ commander, candidates: pool, ownedQuantity, quotas: { synergy: 5, lands: 63, ramp: 10, draw: 10, removal: 8, wipes: 3 } });
+    expect(preferred.cards.map(entry => entry.name)).toContain('Synergy 49');
+
+    const unpreferred = buildRulesDeck({ commander, candidates: pool, ownedQuantity, preferInventory: false, quotas: { synergy: 5, lands: 63, ramp: 10, draw: 10, removal: 8, wipes: 3 } });
+    expect(unpreferred.cards.map(entry => entry.name)).not.toContain('Synergy 49');
+
+    const inventoryOnly = buildRulesDeck({ commander, candidates: pool, ownedQuantity, inventoryOnly: true });
+    expect(inventoryOnly.cards.filter(entry => entry.scryfallId && entry.category !== 'Commander').map(entry => entry.name)).toEqual(['Synergy 49']);
+    expect(inventoryOnly.stats.totalCards).toBe(100);
+  });
+
+  it('classifies cards by what their text does', () => {
+    expect(classifyCard(card('Cultivate', { type_line: 'Sorcery', oracle_text: 'Search your library for up to two basic land cards, reveal those cards, put one onto the battlefield tapped and the other into your hand, then shuffle.' }))).toBe('ramp');
+    expect(classifyCard(card('Toxic Deluge', { type_line: 'Sorcery', oracle_text: 'As an additional cost to cast this spell, pay X life.\nAll creatures get -X/-X until end of turn.' }))).toBe('wipes');
+    expect(classifyCard(card('Damnation', { type_line: 'Sorcery', oracle_text: 'Destroy all creatures. They can\'t be regenerated.' }))).toBe('wipes');
+    expect(classifyCard(card('Beast Within', { type_line: 'Instant', oracle_text: 'Destroy target permanent. Its controller creates a 3/3 green Beast creature token.' }))).toBe('removal');
+    expect(classifyCard(card('Harmonize', { type_line: 'Sorcery', oracle_text: 'Draw three cards.' }))).toBe('draw');
+    expect(classifyCard(card('Dryad Arbor', { type_line: 'Land Creature — Forest Dryad' }))).toBe('lands');
+  });
+});
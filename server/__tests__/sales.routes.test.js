@@ -0,0 +1,174 @@
+import express from 'express';
+import request from 'supertest';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createSalesRouter } from '../routes/sales.js';
+import { costFifoUnits, allocateSalePrice } from '../services/salesService.js';
+import { createMockPool } from './helpers/mockPool.js';
+
+describe('sales routes', () => {
+  let app;
+  let queries;
+  let inventory;
+  let layers;
+  let reservations;
+
+  beforeEach(() => {
+    // Two Lightning Bolt rows, oldest first: a lot copy with a purchase layer, then a priced copy
+    inventory = [
+      { id: 1, name: 'Lightning Bolt', quantity: 2, purchase_price: null, lot_id: 7, per_card_cost: '0.50', reserved_quantity: '1', lot_name: 'Buyout' },
+      { id: 2, name: 'Lightning Bolt', quantity: 2, purchase_price: 1, lot_id: null, per_card_cost: null, reserved_quantity: '0' }
+    ];
+    layers = [{ id: 10, inventory_id: 1, quantity: 1, quantity_sold: 0, purchase_price: 0.25 }];
+    reservations = [{ id: 50, deck_id: 3, inventory_item_id: 1, quantity_reserved: 1, reserved_at: '2026-10-01' }];
+
+    const db = createMockPool((text, params) => {
+      if (text.includes('FROM inventory i LEFT JOIN purchase_lots l')) {
+        if (text.includes('i.lot_id = $1')) return { rows: inventory.filter(i => i.lot_id === params[0]).map(i => ({ ...i })) };
+        return { rows: inventory.filter(i => i.name.toLowerCase() === String(params[2]).toLowerCase()).map(i => ({ ...i })) };
+      }
+      if (text.includes('FROM purchase_history')) {
+        return { rows: layers.filter(l => l.inventory_id === params[0]).map(l => ({ ...l })) };
+      }
+      if (text.startsWith('SELECT id, name FROM decks')) {
+        return { rows: params[0] === 3 ? [{ id: 3, name: 'Mono Red Instance' }] : [] };
+      }
+      if (text.includes('SUM(quantity_reserved) AS deck_quantity')) {
+        const reserved = new Map();
+        for (const r of reservations.filter(r => r.deck_id === params[0])) {
+          reserved.set(r.inventory_item_id, (reserved.get(r.inventory_item_id) || 0) + r.quantity_reserved);
+        }
+        return { rows: [...reserved].map(([id, quantity]) => ({ ...inventory.find(i => i.id === id), deck_quantity: String(quantity) })) };
+      }
+      if (text.includes('FROM deck_reservations\n     WHERE inventory_item_id')) {
+        return { rows: reservations.filter(r => r.inventory_item_id === params[0]) };
+      }
+      if (text.startsWith('INSERT INTO sales (')) {
+        return { rows: [{ id: 99, sale_date: params[9] || '2026-10-19' }] };
+      }
+    });
+    queries = db.queries;
+
+    const authMiddleware = (req, res, next) => { req.userId = 'test-user'; next(); };
+    const noopLimiter = (req, res, next) => next();
+    const validateIdMiddleware = (req, res, next) => { req.validatedId = parseInt(req.params.id, 10); next(); };
+
+    app = express();
+    app.use(express.json());
+    app.use('/api', createSalesRouter({
+      pool: db.pool,
+      validateIdMiddleware,
+      authenticateMiddleware: authMiddleware,
+      apiLimiterMiddleware: noopLimiter
+    }));
+  });
+
+  const run = (prefix) => queries.filter(q => q.text.startsWith(prefix));
+
+  it('costs a card sale FIFO and uses unreserved copies first', async () => {
+    const res = await request(app).post('/api/sales/cards').send({ name: 'lightning bolt', quantity: 3, salePrice: 9, saleDate: '2026-10-18' }).expect(201);
+
+    // Row 1: its one unreserved copy, costed from the purchase layer; row 2: two copies at purchase price
+    expect(res.body).toMatchObject({ id: 99, saleType: 'card', itemName: 'Lightning Bolt', quantity: 3, salePrice: 9, costBasis: 2.25, profit: 6.75 });
+    expect(res.body.lines).toEqual([
+      { inventoryId: 1, name: 'Lightning Bolt', quantity: 1, costBasis: 0.25, sellPrice: 1, profit: 0.75 },
+      { inventoryId: 2, name: 'Lightning Bolt', quantity: 2, costBasis: 2, sellPrice: 8, profit: 6 }
+    ]);
+
+    expect(run('UPDATE purchase_history').map(q => q.params)).toEqual([[1, 10]]);
+    expect(run('UPDATE inventory').map(q => q.params)).toEqual([[1, 1], [0, 2]]);
+    expect(run('DELETE FROM deck_reservations')).toHaveLength(0);
+
+    expect(run('INSERT INTO sales_history').map(q => q.params.slice(2))).toEqual([
+      [1, 'Lightning Bolt', 0.25, 1, 0.75, 1],
+      [2, 'Lightning Bolt', 2, 8, 6, 2]
+    ]);
+    // Unit prices on the SALE transactions feed sales velocity
+    expect(run('INSERT INTO inventory_transactions').map(q => q.params)).toEqual([
+      ['test-user', 99, 'Lightning Bolt', 1, 0.25, 1, '2026-10-18'],
+      ['test-user', 99, 'Lightning Bolt', 2, 1, 4, '2026-10-18']
+    ]);
+    const changes = queries.find(q => q.text.includes('INSERT INTO change_history'));
+    expect(JSON.parse(changes.params[1]).map(c => [c.card_id, c.old_value, c.new_value, c.action, c.context])).toEqual([
+      [1, '2', '1', 'sale', { saleId: 99 }],
+      [2, '2', '0', 'sale', { saleId: 99 }]
+    ]);
+    expect(queries.at(-1).text).toBe('COMMIT');
+  });
+
+  it('releases deck reservations when the sale needs reserved copies', async () => {
+    const res = await request(app).post('/api/sales/cards').send({ name: 'Lightning Bolt', quantity: 4, salePrice: 10 }).expect(201);
+
+    expect(res.body.lines.map(l => [l.inventoryId, l.quantity])).toEqual([[1, 2], [2, 2]]);
+    // The second copy from row 1 has no purchase layer left, so it falls back to the lot cost
+    expect(res.body.lines[0].costBasis).toBe(0.75);
+    expect(run('DELETE FROM deck_reservations').map(q => q.params)).toEqual([[50]]);
+  });
+
+  it('rolls back when there are not enough copies', async () => {
+    const res = await request(app).post('/api/sales/cards').send({ name: 'Lightning Bolt', quantity: 5, salePrice: 10 }).expect(409);
+
+    expect(res.body.error).toBe('Only 4 of 5 copies are in inventory');
+    expect(run('INSERT INTO sales')).toHaveLength(0);
+    expect(queries.at(-1).text).toBe('ROLLBACK');
+  });
+
+  it('sells a deck instance and deletes it', async () => {
+    const res = await request(app).post('/api/sales/decks/3').send({ salePrice: 4 }).expect(201);
+
+    expect(res.body).toMatchObject({ saleType: 'deck', itemName: 'Mono Red Instance', quantity: 1, costBasis: 0.25, profit: 3.75 });
+    expect(run('UPDATE inventory').map(q => q.params)).toEqual([[1, 1]]);
+    expect(run('DELETE FROM deck_reservations WHERE deck_id')).toHaveLength(1);
+    expect(run('DELETE FROM decks').map(q => q.params)).toEqual([[3]]);
+    expect(run('INSERT INTO sales (')[0].params.slice(7, 9)).toEqual([3, null]);
+
+    await request(app).post('/api/sales/decks/4').send({ salePrice: 4 }).expect(404);
+  });
+
+  it('takes each inventory row once when a deck reserves it twice', async () => {
+    reservations.push({ id: 51, deck_id: 3, inventory_item_id: 1, quantity_reserved: 1, reserved_at: '2026-10-02' });
+
+    const res = await request(app).post('/api/sales/decks/3').send({ salePrice: 4 }).expect(201);
+
+    expect(res.body.lines.map(l => [l.inventoryId, l.quantity])).toEqual([[1, 2]]);
+    expect(run('UPDATE inventory').map(q => q.params)).toEqual([[0, 1]]);
+    const changes = queries.find(q => q.text.includes('INSERT INTO change_history'));
+    expect(JSON.parse(changes.params[1]).map(c => [c.card_id, c.old_value, c.new_value])).toEqual([[1, '2', '0']]);
+  });
+
+  it('sells everything left in a lot, reserved copies included', async () => {
+    const res = await request(app).post('/api/sales/lots/7').send({ salePrice: 3 }).expect(201);
+
+    expect(res.body).toMatchObject({ saleType: 'lot', itemName: 'Buyout', quantity: 2, costBasis: 0.75 });
+    expect(run('UPDATE inventory').map(q => q.params)).toEqual([[0, 1]]);
+    expect(run('DELETE FROM deck_reservations').map(q => q.params)).toEqual([[50]]);
+  });
+
+  it('requires a card to sell', async () => {
+    const res = await request(app).post('/api/sales/cards').send({ quantity: 1, salePrice: 1 }).expect(400);
+    expect(res.body.error).toBe('Validation failed');
+    expect(queries).toHaveLength(0);
+  });
+
+  it('lists card sale lines for velocity calculations', async () => {
+    await request(app).get('/api/sales?days=30').expect(200);
+    expect(queries[0].text).toContain("sh.item_type = 'card'");
+    expect(queries[0].params).toEqual(['test-user', 30, 500]);
+
+    await request(app).get('/api/sales?days=soon').expect(400);
+  });
+});
+
+describe('FIFO costing', () => {
+  it('consumes open layers oldest first, then the fallback cost', () => {
+    const layers = [
+      { id: 1, quantity: 2, quantity_sold: 2, purchase_price: 9 },
+      { id: 2, quantity: 3, quantity_sold: 1, purchase_price: 1.5 }
+    ];
+    expect(costFifoUnits(layers, 4, 3)).toEqual({ costBasis: 7, consumed: [{ id: 2, quantity: 2 }] });
+  });
+
+  it('splits the sale price by quantity when nothing has a cost', () => {
+    const lines = allocateSalePrice([{ quantity: 1, costBasis: 0 }, { quantity: 2, costBasis: 0 }], 10);
+    expect(lines.map(l => l.sellPrice)).toEqual([3.33, 6.67]);
+  });
+});
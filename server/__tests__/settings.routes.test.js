@@ -0,0 +1,154 @@
+import express from 'express';
+import request from 'supertest';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createSettingsRouter } from '../routes/settings.js';
+import { USER_SETTING_DEFAULTS } from '../utils/validation.js';
+import { createMockPool } from './helpers/mockPool.js';
+
+describe('settings routes', () => {
+  let app;
+  let queries;
+  let userId;
+  let stored;
+  let appSettings;
+
+  beforeEach(() => {
+    process.env.ADMIN_USER_IDS = 'admin-user';
+    appSettings = new Map([['ebay_client_id', '"My-App-PRD"'], ['ebay_client_secret', '"PRD-secret"']]);
+    userId = 'test-user';
+
+    // user_settings rows by `${userId}:${key}`
+    stored = new Map([
+      ['test-user:theme', { key: 'theme', value: 'parchment', updated_at: '2026-10-01T00:00:00.000Z' }],
+      ['other-user:theme', { key: 'theme', value: 'dark', updated_at: '2026-10-02T00:00:00.000Z' }],
+      // Written before the schema tightened; reads fall back to the default
+      ['test-user:priceCache', { key: 'priceCache', value: { softTtlMinutes: 0 }, updated_at: '2026-09-01T00:00:00.000Z' }]
+    ]);
+
+    const db = createMockPool((text, params) => {
+      if (text.startsWith('SELECT key, value, updated_at FROM user_settings')) {
+        return { rows: [...stored.entries()].filter(([id]) => id.startsWith(`${params[0]}:`)).map(([, row]) => row) };
+      }
+      if (text.startsWith('SELECT value FROM user_settings')) {
+        const row = stored.get(`${params[0]}:${params[1]}`);
+        return { rows: row ? [row] : [] };
+      }
+      if (text.startsWith('SELECT value FROM settings')) {
+        return { rows: appSettings.has(params[0]) ? [{ value: appSettings.get(params[0]) }] : [] };
+      }
+      if (text.includes('INSERT INTO user_settings')) {
+        const written = [];
+        for (const { key, value } of JSON.parse(params[1])) {
+          const id = `${params[0]}:${key}`;
+          if (stored.has(id) && text.includes('DO NOTHING')) continue;
+          stored.set(id, { key, value, updated_at: '2026-10-19T00:00:00.000Z' });
+          written.push({ key });
+        }
+        return { rows: written };
+      }
+    });
+    queries = db.queries;
+
+    const authMiddleware = (req, res, next) => { req.userId = userId; next(); };
+    const noopLimiter = (req, res, next) => next();
+
+    app = express();
+    app.use(express.json());
+    app.use('/api', createSettingsRouter({
+      pool: db.pool,
+      authenticateMiddleware: authMiddleware,
+      apiLimiterMiddleware: noopLimiter
+    }));
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_USER_IDS;
+  });
+
+  it('returns the user\'s settings with defaults for the rest', async () => {
+    const res = await request(app).get('/api/settings').expect(200);
+
+    expect(res.body.settings).toEqual({ ...USER_SETTING_DEFAULTS, theme: 'parchment' });
+    expect(Object.keys(res.body.updatedAt).sort()).toEqual(['priceCache', 'theme']);
+    expect(queries[0].params[0]).toBe('test-user');
+  });
+
+  it('stores a single setting after checking it against its schema', async () => {
+    const res = await request(app).post('/api/settings/thresholdSettings')
+      .send({ value: { baseStock: 12, landMultiplier: 10, velocityWeeks: 4 } })
+      .expect(200);
+    expect(res.body).toEqual({ success: true, key: 'thresholdSettings', value: { baseStock: 12, landMultiplier: 10, velocityWeeks: 4 } });
+
+    const bad = await request(app).post('/api/settings/thresholdSettings')
+      .send({ value: { baseStock: 500, landMultiplier: 10, velocityWeeks: 4 } })
+      .expect(400);
+    expect(bad.body.details[0].field).toBe('value.baseStock');
+
+    const got = await request(app).get('/api/settings/thresholdSettings').expect(200);
+    expect(got.body.baseStock).toBe(12);
+  });
+
+  it('stores null for settings that allow it', async () => {
+    await request(app).post('/api/settings/preferredMarketplace').send({ value: null }).expect(200);
+    await request(app).post('/api/settings/preferredMarketplace').send({ value: 'ebay' }).expect(400);
+  });
+
+  it('rejects keys that are not settings', async () => {
+    const res = await request(app).post('/api/settings/isAdmin').send({ value: true }).expect(404);
+    expect(res.body.error).toMatch(/^Unknown setting: isAdmin/);
+    await request(app).get('/api/settings/isAdmin').expect(404);
+    expect(queries).toHaveLength(0);
+  });
+
+  it('only fills in missing settings when migrating local preferences', async () => {
+    const res = await request(app).patch('/api/settings')
+      .send({ settings: { theme: 'dark', preferredMarketplace: 'manapool' }, onlyMissing: true })
+      .expect(200);
+
+    expect(res.body.updated).toEqual(['preferredMarketplace']);
+    expect(res.body.settings).toMatchObject({ theme: 'parchment', preferredMarketplace: 'manapool' });
+  });
+
+  it('validates bulk updates as a whole', async () => {
+    await request(app).patch('/api/settings').send({ settings: { theme: 'neon' } }).expect(400);
+    await request(app).patch('/api/settings').send({ settings: { fontSize: 12 } }).expect(400);
+    await request(app).patch('/api/settings').send({ settings: {} }).expect(400);
+    expect(queries).toHaveLength(0);
+  });
+
+  it('keeps eBay app credentials in the global settings table for admins', async () => {
+    userId = 'admin-user';
+    await request(app).post('/api/settings/ebay_runame').send({ value: 'My-RuName' }).expect(200);
+    expect(queries[0].text).toMatch(/^INSERT INTO settings \(key, value\)/);
+    expect(queries[0].params).toEqual(['ebay_runame', '"My-RuName"']);
+
+    const clientId = await request(app).get('/api/settings/ebay_client_id').expect(200);
+    expect(clientId.body).toBe('My-App-PRD');
+  });
+
+  it('only says whether the eBay client secret is set', async () => {
+    userId = 'admin-user';
+    const res = await request(app).get('/api/settings/ebay_client_secret').expect(200);
+    expect(res.body).toEqual({ configured: true });
+
+    appSettings.delete('ebay_client_secret');
+    const unset = await request(app).get('/api/settings/ebay_client_secret').expect(200);
+    expect(unset.body).toEqual({ configured: false });
+  });
+
+  it('keeps eBay app credentials from users who are not admins', async () => {
+    const read = await request(app).get('/api/settings/ebay_client_secret').expect(403);
+    expect(read.body.error).toBe('Forbidden: admin access required');
+    await request(app).get('/api/settings/ebay_client_id').expect(403);
+
+    await request(app).post('/api/settings/ebay_client_secret').send({ value: 'stolen' }).expect(403);
+    await request(app).post('/api/settings/ebay_runame').send({ value: 'Other-RuName' }).expect(403);
+    expect(queries).toHaveLength(0);
+  });
+
+  it('resets a setting to its default', async () => {
+    const res = await request(app).delete('/api/settings/theme').expect(200);
+    expect(res.body).toEqual({ success: true, key: 'theme', value: null });
+    expect(queries[0].params).toEqual(['test-user', 'theme']);
+  });
+});
@@ -0,0 +1,5 @@
+import { vi } from 'vitest';
+
+// Server modules import db/pool.js, which throws without DATABASE_URL. Tests inject a mock
+// pool (see helpers/mockPool.js) wherever one is queried.
+vi.mock('../db/pool.js', () => ({ pool: {} }));
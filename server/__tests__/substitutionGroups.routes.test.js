@@ -0,0 +1,182 @@
+import express from 'express';
+import request from 'supertest';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createSubstitutionGroupsRouter } from '../routes/substitutionGroups.js';
+import { createMockPool } from './helpers/mockPool.js';
+
+describe('substitution group routes', () => {
+  let app;
+  let queries;
+  let groups;
+  let cards;
+
+  beforeEach(() => {
+    // Group 1 is the user's, 2 another user's, 3 a shared autobuy group
+    groups = [
+      { id: 1, user_id: 'test-user', name: 'Budget duals', description: null },
+      { id: 2, user_id: 'other-user', name: 'Mana rocks', description: null },
+      { id: 3, user_id: null, name: 'Fetches', description: null }
+    ];
+    cards = [
+      { id: 10, group_id: 1, card_name: 'Drowned Catacomb' },
+      { id: 11, group_id: 1, card_name: 'Darkslick Shores' },
+      { id: 20, group_id: 2, card_name: 'Arcane Signet' }
+    ];
+
+    const db = createMockPool((text, params) => {
+      if (text.startsWith('SELECT * FROM substitution_groups WHERE user_id = $1')) {
+        return { rows: groups.filter(g => g.user_id === params[0]) };
+      }
+      if (text.startsWith('SELECT * FROM substitution_groups WHERE id = $1 AND user_id = $2')) {
+        return { rows: groups.filter(g => g.id === params[0] && g.user_id === params[1]) };
+      }
+      if (text.includes('WHERE group_id = ANY($1::int[])')) {
+        return { rows: cards.filter(c => params[0].includes(c.group_id)) };
+      }
+      if (text.includes('AS group_name')) {
+        return {
+          rows: cards
+            .map(c => ({ card: c, group: groups.find(g => g.id === c.group_id) }))
+            .filter(({ card, group }) => group.user_id === params[0] && params[1].includes(card.card_name.toLowerCase()))
+            .map(({ card, group }) => ({ card_name: card.card_name, group_id: group.id, group_name: group.name }))
+        };
+      }
+      if (text.startsWith('INSERT INTO substitution_groups')) {
+        const group = { id: 4, user_id: params[0], name: params[1], description: params[2] };
+        groups.push(group);
+        return { rows: [group] };
+      }
+      if (text.startsWith('INSERT INTO substitution_group_cards')) {
+        for (let i = 0; i < params.length; i += 2) {
+          cards.push({ id: 100 + cards.length, group_id: params[i], card_name: params[i + 1] });
+        }
+        return { rows: [] };
+      }
+      if (text.startsWith('UPDATE substitution_groups SET name')) {
+        groups.find(g => g.id === params[1]).name = params[0];
+        return { rows: [] };
+      }
+      if (text.startsWith('DELETE FROM substitution_groups')) {
+        const match = groups.filter(g => g.id === params[0] && g.user_id === params[1]);
+        groups = groups.filter(g => !match.includes(g));
+        return { rows: match.map(g => ({ id: g.id })) };
+      }
+      if (text.startsWith('DELETE FROM substitution_group_cards')) {
+        const match = cards.filter(c => c.id === params[0] && c.group_id === params[1]);
+        cards = cards.filter(c => !match.includes(c));
+        return { rows: match.map(c => ({ id: c.id })) };
+      }
+    });
+    queries = db.queries;
+
+    const authMiddleware = (req, res, next) => { req.userId = 'test-user'; next(); };
+    const noopLimiter = (req, res, next) => next();
+    const validateIdMiddleware = (req, res, next) => { req.validatedId = parseInt(req.params.id, 10); next(); };
+
+    app = express();
+    app.use(express.json());
+    app.use('/api', createSubstitutionGroupsRouter({
+      pool: db.pool,
+      validateIdMiddleware,
+      authenticateMiddleware: authMiddleware,
+      apiLimiterMiddleware: noopLimiter
+    }));
+  });
+
+  const statements = () => queries.map(q => q.text).filter(text => ['BEGIN', 'COMMIT', 'ROLLBACK'].includes(text));
+
+  it('lists only the user\'s own groups', async () => {
+    const res = await request(app).get('/api/substitution-groups').expect(200);
+
+    expect(res.body.groups).toEqual([
+      expect.objectContaining({
+        id: 1,
+        name: 'Budget duals',
+        cards: [{ id: 10, name: 'Drowned Catacomb' }, { id: 11, name: 'Darkslick Shores' }]
+      })
+    ]);
+  });
+
+  it('creates a group with its cards in a transaction', async () => {
+    const res = await request(app)
+      .post('/api/substitution-groups')
+      .send({ name: 'Signets', cards: ['Dimir Signet', ' Talisman of Dominance '] })
+      .expect(201);
+
+    expect(res.body.group).toMatchObject({
+      id: 4,
+      name: 'Signets',
+      cards: [{ name: 'Dimir Signet' }, { name: 'Talisman of Dominance' }]
+    });
+    expect(statements()).toEqual(['BEGIN', 'COMMIT']);
+  });
+
+  it('rejects a card that is already in another of the user\'s groups', async () => {
+    const res = await request(app)
+      .post('/api/substitution-groups')
+      .send({ name: 'Dimir lands', cards: ['drowned catacomb'] })
+      .expect(409);
+
+    expect(res.body.error).toBe('Cards already in another group: Drowned Catacomb (Budget duals)');
+    expect(statements()).toEqual(['BEGIN', 'ROLLBACK']);
+    expect(groups).toHaveLength(3);
+  });
+
+  it('allows a card that is only in another user\'s group', async () => {
+    await request(app)
+      .post('/api/substitution-groups')
+      .send({ name: 'Rocks', cards: ['Arcane Signet'] })
+      .expect(201);
+  });
+
+  it('rejects the same card listed twice', async () => {
+    const res = await request(app)
+      .post('/api/substitution-groups')
+      .send({ name: 'Rocks', cards: ['Fellwar Stone', 'fellwar stone'] })
+      .expect(400);
+
+    expect(res.body.error).toBe('Cards listed more than once: fellwar stone');
+  });
+
+  it('validates the group name', async () => {
+    const res = await request(app).post('/api/substitution-groups').send({ name: ' ' }).expect(400);
+    expect(res.body.error).toBe('Validation failed');
+  });
+
+  it('does not expose other users\' or shared groups', async () => {
+    await request(app).get('/api/substitution-groups/2').expect(404);
+    await request(app).put('/api/substitution-groups/3').send({ name: 'Mine now' }).expect(404);
+    await request(app).delete('/api/substitution-groups/3').expect(404);
+    expect(groups.map(g => g.id)).toEqual([1, 2, 3]);
+  });
+
+  it('renames a group', async () => {
+    const res = await request(app).put('/api/substitution-groups/1').send({ name: 'Dimir duals' }).expect(200);
+    expect(res.body.group.name).toBe('Dimir duals');
+  });
+
+  it('adds and removes cards', async () => {
+    const added = await request(app)
+      .post('/api/substitution-groups/1/cards')
+      .send({ cards: ['Sunken Hollow'] })
+      .expect(200);
+    expect(added.body.group.cards.map(c => c.name)).toEqual(['Drowned Catacomb', 'Darkslick Shores', 'Sunken Hollow']);
+
+    const duplicate = await request(app)
+      .post('/api/substitution-groups/1/cards')
+      .send({ cards: ['Darkslick Shores'] })
+      .expect(409);
+    expect(duplicate.body.error).toBe('Already in this group: Darkslick Shores');
+
+    const removed = await request(app).delete('/api/substitution-groups/1/cards/10').expect(200);
+    expect(removed.body.group.cards.map(c => c.name)).toEqual(['Darkslick Shores', 'Sunken Hollow']);
+
+    await request(app).delete('/api/substitution-groups/1/cards/20').expect(404);
+    await request(app).delete('/api/substitution-groups/1/cards/abc').expect(400);
+  });
+
+  it('deletes a group', async () => {
+    await request(app).delete('/api/substitution-groups/1').expect(204);
+    expect(groups.map(g => g.id)).toEqual([2, 3]);
+  });
+});
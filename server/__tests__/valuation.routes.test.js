@@ -0,0 +1,123 @@
+import express from 'express';
+import request from 'supertest';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createAnalyticsRouter } from '../routes/analytics.js';
+import { toCsv } from '../utils/csv.js';
+import { createMockPool } from './helpers/mockPool.js';
+
+const BOLT = 'e3285e6b-3e79-4d7c-bf96-d920f973b122';
+const RING = '58b26011-e103-45c4-a253-900f4e6a4e8a';
+
+const inventoryRows = [
+  // Lot card with no purchase price: costed from the lot
+  { id: 1, name: 'Lightning Bolt', set: 'M11', foil: false, quality: 'NM', folder: 'Binder', quantity: 4, scryfall_id: BOLT, purchase_price: null, lot_id: 7, lot_name: 'Collection buyout', per_card_cost: '0.50', reserved_quantity: '1' },
+  // Foil copy priced from the foil column
+  { id: 2, name: 'Lightning Bolt', set: 'M11', foil: true, quality: 'LP', folder: 'Binder', quantity: 1, scryfall_id: BOLT, purchase_price: 3, lot_id: null, lot_name: null, per_card_cost: null, reserved_quantity: '0' },
+  // Unpriced card still contributes cost basis
+  { id: 3, name: 'Sol Ring, Commander', set: 'C21', foil: false, quality: 'NM', folder: 'Deck: Atraxa', quantity: 2, scryfall_id: RING, purchase_price: 1.25, lot_id: 7, lot_name: 'Collection buyout', per_card_cost: '0.50', reserved_quantity: '5' }
+];
+
+const priceSource = {
+  getPriceSnapshotByScryfallId: (id) => (id === BOLT
+    ? { date: '2026-10-18', tcgRetail: 2, tcgRetailFoil: 6, tcgBuylist: null, ckRetail: 2.5, ckRetailFoil: null, ckBuylist: 1 }
+    : null),
+  getPricesByScryfallId: (id) => (id === BOLT ? { tcgplayer: 2, cardkingdom: 2.5 } : { tcgplayer: null, cardkingdom: null })
+};
+
+describe('inventory valuation route', () => {
+  let app;
+  let queries;
+
+  beforeEach(() => {
+    const db = createMockPool(text => ({ rows: text.includes('LEFT JOIN purchase_lots') ? inventoryRows : [] }));
+    queries = db.queries;
+
+    const authMiddleware = (req, res, next) => { req.userId = 'test-user'; next(); };
+    const noopLimiter = (req, res, next) => next();
+
+    app = express();
+    app.use('/api', createAnalyticsRouter({ pool: db.pool, priceSource, authenticateMiddleware: authMiddleware, apiLimiterMiddleware: noopLimiter }));
+  });
+
+  it('attributes cost basis, gain and reserved value per card, folder and lot', async () => {
+    const res = await request(app).get('/api/analytics/valuation').expect(200);
+
+    expect(res.body.source).toBe('tcg');
+    expect(res.body.items.map(item => item.id)).toEqual([1, 2, 3]);
+    expect(res.body.items[0]).toMatchObject({
+      unitCost: 0.5, unitPrice: 2, costBasis: 2, marketValue: 8, unrealizedGain: 6,
+      reservedQuantity: 1, reservedValue: 2, availableValue: 6
+    });
+    expect(res.body.items[1]).toMatchObject({ unitPrice: 6, marketValue: 6, unrealizedGain: 3 });
+    // Reservations never exceed the quantity held
+    expect(res.body.items[2]).toMatchObject({ reservedQuantity: 2, availableQuantity: 0, marketValue: null, unrealizedGain: null, costBasis: 2.5 });
+
+    expect(res.body.totals).toMatchObject({
+      cards: 7, pricedCards: 5, costedCards: 7,
+      costBasis: 7.5, marketValue: 14, unrealizedGain: 9, reservedValue: 2, availableValue: 12, returnOnCost: 1.2
+    });
+    expect(res.body.byLot).toEqual([expect.objectContaining({ lotId: 7, lotName: 'Collection buyout', cards: 6, costBasis: 4.5, unrealizedGain: 6 })]);
+    expect(res.body.byFolder.map(f => f.folder)).toEqual(['Binder', 'Deck: Atraxa']);
+  });
+
+  it('passes filters to the query and switches price source', async () => {
+    const res = await request(app).get('/api/analytics/valuation?source=ck&folder=Binder&lotId=7&search=%20bolt%20').expect(200);
+
+    expect(queries[0].params).toEqual(['test-user', 'Binder', 7, 'bolt']);
+    expect(res.body.filters).toEqual({ folder: 'Binder', lotId: 7, search: 'bolt' });
+    // CK has no foil price for Bolt, so the foil copy falls back to the normal price
+    expect(res.body.items.find(item => item.id === 2).unitPrice).toBe(2.5);
+  });
+
+  it('exports the valued rows as CSV', async () => {
+    const res = await request(app).get('/api/analytics/valuation?format=csv').expect(200);
+
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename="inventory-valuation-tcg-\d{4}-\d{2}-\d{2}\.csv"/);
+    const lines = res.text.trim().split('\r\n');
+    expect(lines[0]).toMatch(/^Inventory ID,Name,Set,/);
+    expect(lines).toHaveLength(4);
+    expect(lines[3]).toContain('"Sol Ring, Commander"');
+  });
+
+  it('rejects unknown sources, formats and lot ids', async () => {
+    expect((await request(app).get('/api/analytics/valuation?source=ebay').expect(400)).body.error).toBe('source must be one of: tcg, ck');
+    expect((await request(app).get('/api/analytics/valuation?format=xml').expect(400)).body.error).toBe('format must be one of: json, csv');
+    await request(app).get('/api/analytics/valuation?lotId=abc').expect(400);
+    expect(queries).toHaveLength(0);
+  });
+});
+
+describe('top cards route', () => {
+  it('ranks cards by market value, falling back to the purchase price', async () => {
+    const { pool, queries } = createMockPool(() => ({
+      rows: [
+        { id: 1, name: 'Lightning Bolt', quantity: 4, scryfall_id: BOLT, purchase_price: 0.5 },
+        { id: 3, name: 'Sol Ring', quantity: 2, scryfall_id: RING, purchase_price: 1.25 },
+        { id: 5, name: 'Proxy', quantity: 1, scryfall_id: null, purchase_price: null }
+      ]
+    }));
+    const app = express();
+    app.use('/api', createAnalyticsRouter({
+      pool,
+      priceSource,
+      authenticateMiddleware: (req, res, next) => { req.userId = 'test-user'; next(); },
+      apiLimiterMiddleware: (req, res, next) => next()
+    }));
+
+    const res = await request(app).get('/api/analytics/top-cards?limit=2').expect(200);
+
+    expect(queries[0].params).toEqual(['test-user']);
+    expect(res.body).toEqual([
+      { id: 1, name: 'Lightning Bolt', quantity: 4, value: 8, unitPrice: 2, priceSource: 'tcgplayer' },
+      { id: 3, name: 'Sol Ring', quantity: 2, value: 2.5, unitPrice: 1.25, priceSource: 'purchase' }
+    ]);
+  });
+});
+
+describe('toCsv', () => {
+  it('quotes delimiters, quotes and line breaks and blanks nulls', () => {
+    const csv = toCsv([{ key: 'a', header: 'A' }, { key: 'b', header: 'B "quoted"' }], [{ a: 'x,y', b: null }, { a: 'line\nbreak', b: 'say "hi"' }]);
+    expect(csv).toBe('A,"B ""quoted"""\r\n"x,y",\r\n"line\nbreak","say ""hi"""\r\n');
+  });
+});
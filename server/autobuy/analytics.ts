@@ -0,0 +1,92 @@
+/**
+ * Autobuy Analytics
+ * Records optimizer runs, their per-card predictions and free-form metrics so
+ * predicted totals can be compared with what was actually paid.
+ */
+
+export interface Queryable {
+    query(text: string, params?: unknown[]): Promise<{ rows: any[]; rowCount?: number | null }>;
+}
+
+export type RunStatus = 'pending' | 'purchased' | 'partially_purchased' | 'cancelled';
+
+export interface RunItem {
+    cardId: string;
+    cardName?: string;
+    predictedPrice: number;
+    quantity: number;
+    sellerId?: string;
+    marketplace?: string;
+}
+
+export interface Metric {
+    type: string;
+    value: number;
+    cardId?: string | null;
+    metadata?: Record<string, unknown>;
+}
+
+// Rows per multi-row INSERT
+const ITEM_BATCH_SIZE = 50;
+
+export class AnalyticsService {
+    private db: Queryable;
+
+    constructor(db: Queryable) {
+        this.db = db;
+    }
+
+    /**
+     * Record a new optimizer run and return its id
+     */
+    async startRun({ predictedTotal, notes = null }: { predictedTotal: number; notes?: string | null }): Promise<number> {
+        const result = await this.db.query(
+            'INSERT INTO autobuy_runs (predicted_total, notes) VALUES ($1, $2) RETURNING id',
+            [predictedTotal, notes]
+        );
+        return result.rows[0].id;
+    }
+
+    /**
+     * Record the predicted line items of a run
+     */
+    async logRunItems(runId: number, items: RunItem[]): Promise<void> {
+        for (let i = 0; i < items.length; i += ITEM_BATCH_SIZE) {
+            const batch = items.slice(i, i + ITEM_BATCH_SIZE);
+            const params: unknown[] = [];
+            const placeholders = batch.map((item, j) => {
+                const base = j * 7;
+                params.push(runId, item.cardId, item.cardName ?? null, item.predictedPrice, item.quantity, item.sellerId ?? null, item.marketplace ?? null);
+                return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6}, $${base + 7})`;
+            });
+
+            await this.db.query(
+                `INSERT INTO autobuy_run_items (run_id, card_id, card_name, predicted_price, quantity, seller_id, marketplace)
+                 VALUES ${placeholders.join(', ')}`,
+                params
+            );
+        }
+    }
+
+    /**
+     * Close a run with what was actually spent
+     */
+    async completeRun(runId: number, { actualTotal, status }: { actualTotal: number; status: RunStatus }): Promise<void> {
+        await this.db.query(
+            'UPDATE autobuy_runs SET status = $1, actual_total = $2, completed_at = NOW() WHERE id = $3',
+            [status, actualTotal, runId]
+        );
+    }
+
+    /**
+     * Store a metric sample (card-level when cardId is set, global otherwise)
+     */
+    async logMetric({ type, value, cardId = null, metadata = {} }: Metric): Promise<void> {
+        await this.db.query(
+            'INSERT INTO autobuy_metrics (metric_type, value, card_id, metadata) VALUES ($1, $2, $3, $4)',
+            [type, value, cardId, metadata]
+        );
+    }
+}
+
+export default AnalyticsService;
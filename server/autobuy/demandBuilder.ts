@@ -0,0 +1,185 @@
+/**
+ * Demand Builder
+ * Derives optimizer demand from decks and inventory: what active (and optionally
+ * queued) decks need plus low-inventory alert deficits, minus what is on hand.
+ */
+
+import type { Demand } from './types.js';
+
+export interface DeckCard {
+    cardId: string;
+    cardName?: string;
+    quantity: number;
+}
+
+export interface Deck {
+    id: string;
+    name: string;
+    status: string; // 'active', 'queued', 'sold', ...
+    cards: DeckCard[];
+}
+
+export interface InventoryItem {
+    cardId: string;
+    cardName?: string;
+    quantity: number;
+    reserved: number;
+    available: number;
+    lowInventoryAlert: boolean;
+    lowInventoryThreshold: number;
+    ckPrice?: number;
+}
+
+export interface DemandBuilderInput {
+    decks: Deck[];
+    inventory: InventoryItem[];
+    cardKingdomPrices: Map<string, number>;
+    includeQueuedDecks: boolean;
+    priceThresholdPercent: number; // maxPrice = CK price × this / 100
+}
+
+export interface CardDemand {
+    quantity: number;
+    decks: string[]; // Names of the decks (or 'Low inventory alert') driving the demand
+}
+
+export interface DemandBuilderResult {
+    demands: Demand[];
+    summary: {
+        uniqueCardsNeeded: number;
+        totalCardsNeeded: number;
+        deckDemandCards: number;
+        alertDemandCards: number;
+    };
+}
+
+/**
+ * Total copies each card needs across active decks (and queued decks when requested)
+ */
+export function calculateDeckDemand(decks: Deck[], includeQueued: boolean): Map<string, CardDemand> {
+    const demand = new Map<string, CardDemand>();
+
+    for (const deck of decks) {
+        const counts = deck.status === 'active' || (includeQueued && deck.status === 'queued');
+        if (!counts) continue;
+
+        for (const card of deck.cards) {
+            const entry = demand.get(card.cardId) ?? { quantity: 0, decks: [] };
+            entry.quantity += card.quantity;
+            if (!entry.decks.includes(deck.name)) entry.decks.push(deck.name);
+            demand.set(card.cardId, entry);
+        }
+    }
+
+    return demand;
+}
+
+/**
+ * Copies needed to bring alert-enabled cards back up to their threshold
+ */
+export function calculateAlertDemand(inventory: InventoryItem[]): Map<string, CardDemand> {
+    const available = buildInventoryMap(inventory);
+    const thresholds = new Map<string, number>();
+
+    for (const item of inventory) {
+        if (!item.lowInventoryAlert) continue;
+        thresholds.set(item.cardId, Math.max(thresholds.get(item.cardId) ?? 0, item.lowInventoryThreshold));
+    }
+
+    const demand = new Map<string, CardDemand>();
+    for (const [cardId, threshold] of thresholds) {
+        const deficit = threshold - (available.get(cardId) ?? 0);
+        if (deficit > 0) demand.set(cardId, { quantity: deficit, decks: ['Low inventory alert'] });
+    }
+    return demand;
+}
+
+/**
+ * Unreserved copies on hand per card, summed across inventory rows
+ */
+export function buildInventoryMap(inventory: InventoryItem[]): Map<string, number> {
+    const map = new Map<string, number>();
+    for (const item of inventory) {
+        map.set(item.cardId, (map.get(item.cardId) ?? 0) + Math.max(0, item.available));
+    }
+    return map;
+}
+
+/**
+ * Net demand per card: the larger of deck and alert demand, less available stock.
+ * Cards with a CK price get maxPrice = CK × priceThresholdPercent / 100.
+ */
+export function buildDemand(input: DemandBuilderInput): DemandBuilderResult {
+    const deckDemand = calculateDeckDemand(input.decks, input.includeQueuedDecks);
+    const alertDemand = calculateAlertDemand(input.inventory);
+    const available = buildInventoryMap(input.inventory);
+
+    const inventoryCkPrices = new Map<string, number>();
+    for (const item of input.inventory) {
+        if (item.ckPrice !== undefined) inventoryCkPrices.set(item.cardId, item.ckPrice);
+    }
+
+    const cardIds = new Set([...deckDemand.keys(), ...alertDemand.keys()]);
+    const demands: Demand[] = [];
+
+    for (const cardId of cardIds) {
+        const needed = Math.max(deckDemand.get(cardId)?.quantity ?? 0, alertDemand.get(cardId)?.quantity ?? 0);
+        const quantity = needed - (available.get(cardId) ?? 0);
+        if (quantity <= 0) continue;
+
+        const demand: Demand = { cardId, quantity };
+        const ckPrice = input.cardKingdomPrices.get(cardId) ?? inventoryCkPrices.get(cardId);
+        if (ckPrice !== undefined && ckPrice > 0) {
+            demand.maxPrice = Math.round(ckPrice * input.priceThresholdPercent) / 100;
+        }
+        demands.push(demand);
+    }
+
+    demands.sort((a, b) => a.cardId.localeCompare(b.cardId));
+
+    return {
+        demands,
+        summary: {
+            uniqueCardsNeeded: demands.length,
+            totalCardsNeeded: demands.reduce((sum, d) => sum + d.quantity, 0),
+            deckDemandCards: demands.filter(d => deckDemand.has(d.cardId)).length,
+            alertDemandCards: demands.filter(d => alertDemand.has(d.cardId)).length,
+        },
+    };
+}
+
+/**
+ * Convert inventory rows from the API (snake_case, one row per printing/folder)
+ */
+export function normalizeInventory(raw: any[]): InventoryItem[] {
+    return raw.map(row => {
+        const quantity = Number(row.quantity) || 0;
+        const reserved = Number(row.reserved ?? row.reserved_quantity) || 0;
+        return {
+            cardId: String(row.scryfall_id ?? row.cardId ?? row.id),
+            cardName: row.name,
+            quantity,
+            reserved,
+            available: Math.max(0, quantity - reserved),
+            lowInventoryAlert: Boolean(row.low_inventory_alert),
+            lowInventoryThreshold: Number(row.low_inventory_threshold) || 0,
+            ckPrice: row.ck_price !== undefined && row.ck_price !== null ? Number(row.ck_price) : undefined,
+        };
+    });
+}
+
+/**
+ * Convert deck rows from the API, taking cards from deck_cards (or cards)
+ */
+export function normalizeDecks(raw: any[]): Deck[] {
+    return raw.map(row => ({
+        id: String(row.id),
+        name: row.name,
+        status: row.status ?? 'active',
+        cards: (row.deck_cards ?? row.cards ?? []).map((card: any) => ({
+            cardId: String(card.scryfall_id ?? card.cardId),
+            cardName: card.name,
+            quantity: Number(card.quantity) || 1,
+        })),
+    }));
+}
@@ -0,0 +1,258 @@
+/**
+ * Inventory Priority Score (IPS)
+ * Scores how much a card is worth holding in stock:
+ *
+ *   IPS = demandRate × liquidity × substitutability × marginSafety × seasonality
+ *
+ * The hot list (cards sorted by IPS) feeds speculative buys and shipping fillers
+ * in the optimizer.
+ */
+
+export type Tier = 'A' | 'B' | 'C';
+
+export interface CardMetrics {
+    cardId: string;
+    cardName: string;
+    deckUsageCount: number; // Active decks using the card
+    queuedDeckUsageCount: number; // Queued decks using the card
+    salesVelocity: number; // Copies sold per week
+    lowInventoryAlertEnabled: boolean;
+    lowInventoryThreshold: number;
+    currentInventory: number;
+    ckPrice: number; // Card Kingdom retail
+    marketMedianPrice: number; // Median marketplace price we would pay
+    formatBreadth: number; // 0-1, share of popular formats the card is legal and played in
+    priceStability: number; // 0-1, higher is more stable
+}
+
+export interface SubstitutionGroup {
+    groupId: string | number;
+    name: string;
+    cards: string[];
+}
+
+export interface IPSResult {
+    cardId: string;
+    IPS: number;
+    tier: Tier;
+    targetInventory: number;
+    deficit: number;
+    demandRate: number;
+    liquidity: number;
+    substitutability: number;
+    marginSafety: number;
+    reasons: string[];
+}
+
+export interface IPSConfig {
+    demandWeights: {
+        deckUsage: number;
+        queuedUsage: number;
+        salesVelocity: number;
+        lowInventoryAlert: number;
+    };
+    liquidityWeights: {
+        salesVelocity: number;
+        formatBreadth: number;
+        priceStability: number;
+    };
+    normalizationCap: number; // Each demand component is capped at this
+    salesVelocityScale: number; // Weekly sales are multiplied by this before capping
+    liquidSalesVelocity: number; // Weekly sales at which the sales part of liquidity maxes out
+    substitutePenalty: number;
+    minSubstitutability: number;
+    targetInventoryFactor: number; // Copies to hold per point of demand rate
+    tiers: {
+        A: { minIPS: number; minLiquidity: number; minMargin: number };
+        B: { minIPS: number; minLiquidity: number; minMargin: number };
+        minLiquidity: number; // Below this a card is always tier C
+    };
+}
+
+export const DEFAULT_IPS_CONFIG: IPSConfig = {
+    demandWeights: {
+        deckUsage: 0.4,
+        queuedUsage: 0.3,
+        salesVelocity: 0.2,
+        lowInventoryAlert: 0.1,
+    },
+    liquidityWeights: {
+        salesVelocity: 0.5,
+        formatBreadth: 0.3,
+        priceStability: 0.2,
+    },
+    normalizationCap: 10,
+    salesVelocityScale: 10,
+    liquidSalesVelocity: 2,
+    substitutePenalty: 0.5,
+    minSubstitutability: 0.3,
+    targetInventoryFactor: 0.5,
+    tiers: {
+        A: { minIPS: 0.8, minLiquidity: 0.7, minMargin: 0.25 },
+        B: { minIPS: 0.4, minLiquidity: 0.5, minMargin: 0.15 },
+        minLiquidity: 0.4,
+    },
+};
+
+function clamp(value: number, min: number, max: number): number {
+    return Math.min(max, Math.max(min, value));
+}
+
+function isBelowThreshold(card: CardMetrics): boolean {
+    return card.lowInventoryAlertEnabled && card.currentInventory < card.lowInventoryThreshold;
+}
+
+/**
+ * Weighted demand on a 0-10 scale from deck usage, queued decks, sales and alerts
+ */
+export function calculateDemandRate(card: CardMetrics, config: IPSConfig = DEFAULT_IPS_CONFIG): number {
+    const cap = config.normalizationCap;
+    const w = config.demandWeights;
+
+    const deck = Math.min(cap, card.deckUsageCount);
+    const queued = Math.min(cap, card.queuedDeckUsageCount);
+    const sales = Math.min(cap, card.salesVelocity * config.salesVelocityScale);
+    const alert = isBelowThreshold(card) ? cap : 0;
+
+    return deck * w.deckUsage + queued * w.queuedUsage + sales * w.salesVelocity + alert * w.lowInventoryAlert;
+}
+
+/**
+ * How easily a copy turns back into cash, 0-1
+ */
+export function calculateLiquidity(card: CardMetrics, config: IPSConfig = DEFAULT_IPS_CONFIG): number {
+    const w = config.liquidityWeights;
+    const sales = Math.min(1, Math.max(0, card.salesVelocity) / config.liquidSalesVelocity);
+
+    return clamp(
+        sales * w.salesVelocity + clamp(card.formatBreadth, 0, 1) * w.formatBreadth + clamp(card.priceStability, 0, 1) * w.priceStability,
+        0,
+        1
+    );
+}
+
+/**
+ * 1.0 for cards nothing can replace; lower the more substitutes share its demand
+ */
+export function calculateSubstitutability(
+    card: CardMetrics,
+    groups: SubstitutionGroup[],
+    config: IPSConfig = DEFAULT_IPS_CONFIG
+): number {
+    const group = groups.find(g => g.cards.includes(card.cardId));
+    if (!group) return 1.0;
+
+    const substitutes = group.cards.filter(id => id !== card.cardId).length;
+    return Math.max(config.minSubstitutability, 1 / (1 + config.substitutePenalty * substitutes));
+}
+
+/**
+ * Share of the CK price we keep when buying at the market median; 0 when there is no margin
+ */
+export function calculateMarginSafety(card: CardMetrics): number {
+    if (!card.ckPrice || card.ckPrice <= 0) return 0;
+    return Math.max(0, (card.ckPrice - card.marketMedianPrice) / card.ckPrice);
+}
+
+/**
+ * Copies to keep on hand for a given demand rate (always at least one)
+ */
+export function calculateTargetInventory(demandRate: number, config: IPSConfig = DEFAULT_IPS_CONFIG): number {
+    return Math.max(1, Math.ceil(demandRate * config.targetInventoryFactor));
+}
+
+export function determineTier(
+    IPS: number,
+    liquidity: number,
+    marginSafety: number,
+    config: IPSConfig = DEFAULT_IPS_CONFIG
+): Tier {
+    const { A, B, minLiquidity } = config.tiers;
+
+    if (marginSafety <= 0 || liquidity < minLiquidity) return 'C';
+    if (IPS >= A.minIPS && liquidity >= A.minLiquidity && marginSafety >= A.minMargin) return 'A';
+    if (IPS >= B.minIPS && liquidity >= B.minLiquidity && marginSafety >= B.minMargin) return 'B';
+    return 'C';
+}
+
+/**
+ * Score one card. seasonalityFactor comes from the seasonality service (1.0 = no effect).
+ */
+export function calculateCardIPS(
+    card: CardMetrics,
+    groups: SubstitutionGroup[] = [],
+    config: IPSConfig = DEFAULT_IPS_CONFIG,
+    seasonalityFactor = 1.0
+): IPSResult {
+    const demandRate = calculateDemandRate(card, config);
+    const liquidity = calculateLiquidity(card, config);
+    const substitutability = calculateSubstitutability(card, groups, config);
+    const marginSafety = calculateMarginSafety(card);
+    const IPS = demandRate * liquidity * substitutability * marginSafety * seasonalityFactor;
+    const targetInventory = calculateTargetInventory(demandRate, config);
+
+    const reasons: string[] = [];
+    if (card.deckUsageCount > 0) {
+        reasons.push(`Used in ${card.deckUsageCount} active deck${card.deckUsageCount === 1 ? '' : 's'}`);
+    }
+    if (card.queuedDeckUsageCount > 0) {
+        reasons.push(`Needed by ${card.queuedDeckUsageCount} queued deck${card.queuedDeckUsageCount === 1 ? '' : 's'}`);
+    }
+    if (isBelowThreshold(card)) {
+        reasons.push(`Below low-inventory threshold (${card.currentInventory}/${card.lowInventoryThreshold})`);
+    }
+    if (card.salesVelocity > 0) {
+        reasons.push(`Selling ${card.salesVelocity} per week`);
+    }
+    if (marginSafety > 0) {
+        reasons.push(`${Math.round(marginSafety * 100)}% margin below Card Kingdom`);
+    }
+    if (substitutability < 1) {
+        reasons.push(`Has substitutes (substitutability ${substitutability.toFixed(2)})`);
+    }
+    if (seasonalityFactor !== 1.0) {
+        reasons.push(`Seasonality adjustment: ${seasonalityFactor.toFixed(2)}x`);
+    }
+
+    return {
+        cardId: card.cardId,
+        IPS,
+        tier: determineTier(IPS, liquidity, marginSafety, config),
+        targetInventory,
+        deficit: Math.max(0, targetInventory - card.currentInventory),
+        demandRate,
+        liquidity,
+        substitutability,
+        marginSafety,
+        reasons,
+    };
+}
+
+/**
+ * Score every card and sort by IPS, highest first.
+ * seasonality maps cardId to its factor; cards not in the map get 1.0.
+ */
+export function generateHotList(
+    cards: CardMetrics[],
+    groups: SubstitutionGroup[] = [],
+    config: IPSConfig = DEFAULT_IPS_CONFIG,
+    seasonality: Map<string, number> = new Map()
+): IPSResult[] {
+    return cards
+        .map(card => calculateCardIPS(card, groups, config, seasonality.get(card.cardId) ?? 1.0))
+        .sort((a, b) => b.IPS - a.IPS || a.cardId.localeCompare(b.cardId));
+}
+
+/**
+ * Cards worth buying speculatively at all
+ */
+export function filterEligibleHotList(hotList: IPSResult[]): IPSResult[] {
+    return hotList.filter(item => item.IPS > 0);
+}
+
+/**
+ * Cards safe to add to a basket just to reach a free-shipping threshold
+ */
+export function getShippingFillerCandidates(hotList: IPSResult[]): IPSResult[] {
+    return hotList.filter(item => item.tier === 'A' || item.tier === 'B');
+}
@@ -0,0 +1,888 @@
+/**
+ * Autobuy Optimizer
+ * Turns card demand and marketplace offers into a purchase plan of seller baskets.
+ *
+ * Phases:
+ *   1. Greedy allocation of demand to the cheapest marginal offer (price + added shipping)
+ *   2. Shipping optimization: fill baskets up to free-shipping thresholds, then
+ *      speculative hot-list top-ups within the speculative budget
+ *   3. Local improvement: move single units between sellers while it lowers the total
+ *   4. Card Kingdom fallback for demand nobody else could fill
+ *   5. Plan finalization: deterministic ordering, totals, budget summary and warnings
+ */
+
+import type {
+    BudgetConfig,
+    BudgetSummary,
+    BudgetTracker,
+    Demand,
+    Directive,
+    HotListItem,
+    Offer,
+    OptimizerInput,
+    PlanBasket,
+    PriceMap,
+    PurchasePlan,
+    PurchaseReason,
+    SellerBasket,
+    ShippingRule,
+} from './types.js';
+
+// Phase 1 skips offers priced more than this fraction above Card Kingdom retail
+export const DEFAULT_CK_PREMIUM_TOLERANCE = 0.1;
+
+export const CK_SELLER_ID = 'CardKingdom';
+
+// Money comparisons are done to the cent
+const EPSILON = 0.005;
+
+const UTILIZATION_WARNING_PERCENT = 80;
+const UTILIZATION_CRITICAL_PERCENT = 95;
+
+interface BasketUnit {
+    offer: Offer;
+    reason: PurchaseReason;
+    speculative: boolean;
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function round2(value: number): number {
+    return Math.round(value * 100) / 100;
+}
+
+function toMap(prices?: PriceMap): Map<string, number> {
+    if (!prices) return new Map();
+    if (prices instanceof Map) return prices;
+    return new Map(Object.entries(prices));
+}
+
+function sellerKey(marketplace: string, sellerId: string): string {
+    return `${marketplace}:${sellerId}`;
+}
+
+function basketKey(basket: SellerBasket): string {
+    return sellerKey(basket.marketplace, basket.sellerId);
+}
+
+function offerKey(offer: Offer): string {
+    return sellerKey(offer.marketplace, offer.sellerId);
+}
+
+function isStrict(budget?: BudgetConfig): boolean {
+    return (budget?.budgetMode ?? 'STRICT') === 'STRICT';
+}
+
+/**
+ * Spend available before Card Kingdom fallback; the reserve is held back for phase 4
+ */
+function allocatableBudget(budget?: BudgetConfig): number {
+    if (!budget) return Infinity;
+    return budget.maxTotalSpend * (1 - (budget.reserveBudgetPercent || 0) / 100);
+}
+
+function createBudgetTracker(): BudgetTracker {
+    return { demandSpend: 0, speculativeSpend: 0, sellerSpend: {} };
+}
+
+function cloneTracker(tracker?: BudgetTracker): BudgetTracker {
+    if (!tracker) return createBudgetTracker();
+    return { ...tracker, sellerSpend: { ...tracker.sellerSpend } };
+}
+
+function totalTracked(tracker: BudgetTracker): number {
+    return tracker.demandSpend + tracker.speculativeSpend;
+}
+
+function recordSpend(tracker: BudgetTracker, sellerId: string, amount: number, speculative = false): void {
+    if (speculative) {
+        tracker.speculativeSpend = round2(tracker.speculativeSpend + amount);
+    } else {
+        tracker.demandSpend = round2(tracker.demandSpend + amount);
+    }
+    tracker.sellerSpend[sellerId] = round2((tracker.sellerSpend[sellerId] ?? 0) + amount);
+}
+
+function createBasket(sellerId: string, marketplace: SellerBasket['marketplace']): SellerBasket {
+    return {
+        sellerId,
+        marketplace,
+        items: new Map(),
+        cardSubtotal: 0,
+        shippingCost: 0,
+        freeShippingTriggered: false,
+        totalCost: 0,
+        reasons: new Map(),
+    };
+}
+
+function cloneBasket(basket: SellerBasket): SellerBasket {
+    return {
+        ...basket,
+        items: new Map(basket.items),
+        reasons: new Map(Array.from(basket.reasons ?? new Map(), ([cardId, r]) => [cardId, [...r]])),
+    };
+}
+
+function unitCount(basket?: SellerBasket): number {
+    if (!basket) return 0;
+    let count = 0;
+    for (const qty of basket.items.values()) count += qty;
+    return count;
+}
+
+/**
+ * First shipping rule seen per seller; every offer from a seller shares its rule
+ */
+function buildShippingRules(offers: Offer[]): Map<string, ShippingRule> {
+    const rules = new Map<string, ShippingRule>();
+    for (const offer of offers) {
+        const key = offerKey(offer);
+        if (!rules.has(key) && offer.shipping) rules.set(key, offer.shipping);
+    }
+    return rules;
+}
+
+function shippingFor(subtotal: number, rule: ShippingRule | undefined, hasItems: boolean): number {
+    if (!hasItems || !rule) return 0;
+    if (rule.freeAt !== undefined && subtotal >= rule.freeAt - EPSILON) return 0;
+    return rule.base ?? 0;
+}
+
+/**
+ * Cost of a basket with the given subtotal; baskets without a known rule keep their shipping
+ */
+function basketCost(basket: SellerBasket | undefined, subtotal: number, units: number, rule?: ShippingRule): number {
+    if (units <= 0) return 0;
+    if (!rule) return subtotal + (basket?.shippingCost ?? 0);
+    return subtotal + shippingFor(subtotal, rule, true);
+}
+
+function refreshBasket(basket: SellerBasket, rule?: ShippingRule): void {
+    basket.cardSubtotal = round2(basket.cardSubtotal);
+    if (rule) {
+        const hasItems = unitCount(basket) > 0;
+        basket.shippingCost = shippingFor(basket.cardSubtotal, rule, hasItems);
+        basket.freeShippingTriggered = hasItems && rule.freeAt !== undefined && basket.cardSubtotal >= rule.freeAt - EPSILON;
+    }
+    basket.totalCost = round2(basket.cardSubtotal + basket.shippingCost);
+}
+
+function addUnit(basket: SellerBasket, cardId: string, price: number, reason: PurchaseReason | PurchaseReason[]): void {
+    basket.items.set(cardId, (basket.items.get(cardId) ?? 0) + 1);
+    basket.cardSubtotal += price;
+
+    const reasons = basket.reasons.get(cardId) ?? [];
+    for (const r of Array.isArray(reason) ? reason : [reason]) {
+        if (!reasons.includes(r)) reasons.push(r);
+    }
+    basket.reasons.set(cardId, reasons);
+}
+
+function removeUnit(basket: SellerBasket, cardId: string, price: number): PurchaseReason[] {
+    const remaining = (basket.items.get(cardId) ?? 0) - 1;
+    const reasons = basket.reasons.get(cardId) ?? [];
+    basket.cardSubtotal -= price;
+
+    if (remaining > 0) {
+        basket.items.set(cardId, remaining);
+    } else {
+        basket.items.delete(cardId);
+        basket.reasons.delete(cardId);
+    }
+    return reasons;
+}
+
+/**
+ * Cost of adding one unit at `price` to a seller, including any shipping it adds or removes
+ */
+function marginalCost(basket: SellerBasket | undefined, price: number, rule?: ShippingRule): number {
+    const units = unitCount(basket);
+    const subtotal = basket?.cardSubtotal ?? 0;
+    return basketCost(basket, subtotal + price, units + 1, rule) - basketCost(basket, subtotal, units, rule);
+}
+
+function mergeDemands(demands: Demand[]): Map<string, Demand> {
+    const merged = new Map<string, Demand>();
+    for (const demand of demands) {
+        const existing = merged.get(demand.cardId);
+        if (!existing) {
+            merged.set(demand.cardId, { ...demand });
+            continue;
+        }
+        existing.quantity += demand.quantity;
+        if (demand.maxPrice !== undefined) {
+            existing.maxPrice = existing.maxPrice === undefined ? demand.maxPrice : Math.min(existing.maxPrice, demand.maxPrice);
+        }
+    }
+    return merged;
+}
+
+// ---------------------------------------------------------------------------
+// Preprocessing
+// ---------------------------------------------------------------------------
+
+/**
+ * Merge duplicate demands, apply directives and derive a price cap per card.
+ * The cap is the demand's own maxPrice, falling back to the Card Kingdom price.
+ */
+export function preprocessDemands(
+    demands: Demand[],
+    directives: Directive[] = [],
+    ckPrices: Map<string, number> = new Map(),
+    currentInventory: Map<string, number> = new Map()
+): { demands: Demand[]; maxPriceByCard: Map<string, number> } {
+    const merged = mergeDemands(demands);
+
+    for (const directive of directives) {
+        const quantity = directive.quantity ?? 1;
+
+        if (directive.mode === 'SHIP_ONLY') {
+            // Only ever bought as a free-shipping filler in phase 2
+            merged.delete(directive.cardId);
+            continue;
+        }
+
+        const wanted = directive.mode === 'PREFER'
+            ? quantity - (currentInventory.get(directive.cardId) ?? 0)
+            : quantity;
+        const existing = merged.get(directive.cardId);
+        if (!existing) {
+            merged.set(directive.cardId, { cardId: directive.cardId, quantity: wanted });
+        } else if (wanted > existing.quantity) {
+            existing.quantity = wanted;
+        }
+    }
+
+    const maxPriceByCard = new Map(ckPrices);
+    for (const demand of merged.values()) {
+        if (demand.maxPrice !== undefined) maxPriceByCard.set(demand.cardId, demand.maxPrice);
+    }
+
+    return {
+        demands: Array.from(merged.values()).filter(d => d.quantity > 0),
+        maxPriceByCard,
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Phase 1: greedy allocation
+// ---------------------------------------------------------------------------
+
+/**
+ * Scarce cards first so they get first pick of the budget, then cards we hold none of
+ */
+function orderDemands(demands: Demand[], offers: Offer[], currentInventory: Map<string, number>): Demand[] {
+    const supply = new Map<string, number>();
+    for (const offer of offers) {
+        supply.set(offer.cardId, (supply.get(offer.cardId) ?? 0) + Math.max(0, offer.quantityAvailable));
+    }
+
+    return [...demands].sort((a, b) =>
+        (supply.get(a.cardId) ?? 0) - (supply.get(b.cardId) ?? 0) ||
+        (currentInventory.get(a.cardId) ?? 0) - (currentInventory.get(b.cardId) ?? 0) ||
+        a.cardId.localeCompare(b.cardId)
+    );
+}
+
+function fitsBudget(
+    budget: BudgetConfig | undefined,
+    tracker: BudgetTracker,
+    offer: Offer,
+    marginal: number,
+    spendLimit: number
+): boolean {
+    if (!budget) return true;
+    if (offer.price > budget.maxPerCard + EPSILON) return false;
+    if ((tracker.sellerSpend[offer.sellerId] ?? 0) + marginal > budget.maxPerSeller + EPSILON) return false;
+    if (isStrict(budget) && totalTracked(tracker) + marginal > spendLimit + EPSILON) return false;
+    return true;
+}
+
+/**
+ * Allocate each demanded unit to the offer with the lowest marginal cost.
+ * Offers above the card's price cap (maxPrice, or CK price plus tolerance) are skipped.
+ */
+export function greedyAllocatePhase1(
+    demands: Demand[],
+    offers: Offer[],
+    ckPrices: Map<string, number> = new Map(),
+    currentInventory: Map<string, number> = new Map(),
+    ckPremiumTolerance: number = DEFAULT_CK_PREMIUM_TOLERANCE,
+    budget?: BudgetConfig
+): { baskets: SellerBasket[]; unmet: Demand[]; budgetTracker: BudgetTracker; offers: Offer[] } {
+    const pool = offers.map(o => ({ ...o }));
+    const rules = buildShippingRules(pool);
+    const baskets = new Map<string, SellerBasket>();
+    const tracker = createBudgetTracker();
+    const spendLimit = allocatableBudget(budget);
+    const unmet: Demand[] = [];
+
+    for (const demand of orderDemands(demands, pool, currentInventory)) {
+        const ckPrice = ckPrices.get(demand.cardId);
+        const cap = demand.maxPrice ?? (ckPrice !== undefined ? ckPrice * (1 + ckPremiumTolerance) : Infinity);
+        const candidates = pool.filter(o => o.cardId === demand.cardId && o.price <= cap + EPSILON);
+        let remaining = demand.quantity;
+
+        while (remaining > 0) {
+            let best: { offer: Offer; marginal: number } | null = null;
+
+            for (const offer of candidates) {
+                if (offer.quantityAvailable <= 0) continue;
+                const key = offerKey(offer);
+                const marginal = marginalCost(baskets.get(key), offer.price, rules.get(key));
+                if (!fitsBudget(budget, tracker, offer, marginal, spendLimit)) continue;
+
+                if (
+                    !best ||
+                    marginal < best.marginal - EPSILON ||
+                    (Math.abs(marginal - best.marginal) <= EPSILON && (
+                        (offer.sellerRating ?? 0) > (best.offer.sellerRating ?? 0) ||
+                        ((offer.sellerRating ?? 0) === (best.offer.sellerRating ?? 0) && offer.sellerId < best.offer.sellerId)
+                    ))
+                ) {
+                    best = { offer, marginal };
+                }
+            }
+
+            if (!best) break;
+
+            const key = offerKey(best.offer);
+            const basket = baskets.get(key) ?? createBasket(best.offer.sellerId, best.offer.marketplace);
+            baskets.set(key, basket);
+            addUnit(basket, demand.cardId, best.offer.price, 'DECK_DEMAND');
+            refreshBasket(basket, rules.get(key));
+
+            best.offer.quantityAvailable -= 1;
+            recordSpend(tracker, best.offer.sellerId, best.marginal);
+            remaining -= 1;
+        }
+
+        if (remaining > 0) unmet.push({ ...demand, quantity: remaining });
+    }
+
+    return { baskets: Array.from(baskets.values()), unmet, budgetTracker: tracker, offers: pool };
+}
+
+// ---------------------------------------------------------------------------
+// Phase 2: shipping optimization
+// ---------------------------------------------------------------------------
+
+export interface ShippingOptimizationOptions {
+    graceAmount?: number;
+    budget?: BudgetConfig;
+    budgetTracker?: BudgetTracker;
+}
+
+/**
+ * Units a seller could add to a basket, in the order they should be tried:
+ * unmet demand first, then ship-only directives, hot-list deficits and (with a grace
+ * amount) extra copies of cards already in the basket.
+ */
+function fillerCandidates(
+    basket: SellerBasket,
+    sellerOffers: Offer[],
+    unmetByCard: Map<string, number>,
+    shipOnly: Map<string, number>,
+    hotDeficits: Map<string, number>,
+    graceAmount: number,
+    maxPriceByCard: Map<string, number>,
+    budget?: BudgetConfig
+): Array<BasketUnit & { limit: number }> {
+    const demand: Array<BasketUnit & { limit: number }> = [];
+    const speculative: Array<BasketUnit & { limit: number }> = [];
+
+    for (const offer of sellerOffers) {
+        if (offer.quantityAvailable <= 0) continue;
+        if (budget && offer.price > budget.maxPerCard + EPSILON) continue;
+
+        const cap = maxPriceByCard.get(offer.cardId);
+        const unmet = unmetByCard.get(offer.cardId) ?? 0;
+        if (unmet > 0 && (cap === undefined || offer.price <= cap + EPSILON)) {
+            demand.push({ offer, reason: 'DECK_DEMAND', speculative: false, limit: unmet });
+        }
+
+        // Speculative units need a retail reference to be worth holding
+        if (cap === undefined || offer.price > cap + EPSILON) continue;
+        const fillerLimit = shipOnly.get(offer.cardId) ?? 0;
+        if (fillerLimit > 0) {
+            speculative.push({ offer, reason: 'SHIPPING_FILLER', speculative: true, limit: fillerLimit });
+        }
+        const hotLimit = hotDeficits.get(offer.cardId) ?? 0;
+        if (hotLimit > 0) {
+            speculative.push({ offer, reason: 'HOT_LIST', speculative: true, limit: hotLimit });
+        }
+        if (graceAmount > 0 && basket.items.has(offer.cardId)) {
+            speculative.push({ offer, reason: 'SHIPPING_FILLER', speculative: true, limit: offer.quantityAvailable });
+        }
+    }
+
+    const byPrice = (a: BasketUnit, b: BasketUnit) => a.offer.price - b.offer.price || a.offer.cardId.localeCompare(b.offer.cardId);
+    return [...demand.sort(byPrice), ...speculative.sort(byPrice)];
+}
+
+function hotListDeficits(
+    hotList: HotListItem[],
+    currentInventory: Map<string, number>,
+    baskets: SellerBasket[]
+): Map<string, number> {
+    const planned = new Map<string, number>();
+    for (const basket of baskets) {
+        for (const [cardId, qty] of basket.items) planned.set(cardId, (planned.get(cardId) ?? 0) + qty);
+    }
+
+    const deficits = new Map<string, number>();
+    for (const item of hotList) {
+        const deficit = (item.targetInventory ?? 1) - (currentInventory.get(item.cardId) ?? 0) - (planned.get(item.cardId) ?? 0);
+        if (deficit > 0) deficits.set(item.cardId, deficit);
+    }
+    return deficits;
+}
+
+/**
+ * Add units to baskets that fall short of their seller's free-shipping threshold when
+ * the filler costs no more than the shipping it saves (plus graceAmount). Afterwards,
+ * top up hot-list cards in existing baskets while the speculative budget allows.
+ */
+export function phase2OptimizeShipping(
+    baskets: SellerBasket[],
+    offers: Offer[],
+    unmet: Demand[],
+    hotList: HotListItem[] = [],
+    directives: Directive[] = [],
+    maxPriceByCard: Map<string, number> = new Map(),
+    currentInventory: Map<string, number> = new Map(),
+    options: ShippingOptimizationOptions = {}
+): { baskets: SellerBasket[]; offers: Offer[]; unmet: Demand[]; budgetTracker: BudgetTracker } {
+    const { graceAmount = 0, budget } = options;
+    const pool = offers.map(o => ({ ...o }));
+    const rules = buildShippingRules(pool);
+    const tracker = cloneTracker(options.budgetTracker);
+    const spendLimit = allocatableBudget(budget);
+    const out = baskets.map(cloneBasket);
+
+    const unmetByCard = new Map<string, number>();
+    for (const demand of unmet) unmetByCard.set(demand.cardId, (unmetByCard.get(demand.cardId) ?? 0) + demand.quantity);
+
+    const shipOnly = new Map<string, number>();
+    for (const directive of directives) {
+        if (directive.mode === 'SHIP_ONLY') shipOnly.set(directive.cardId, directive.quantity ?? 1);
+    }
+
+    const hotDeficits = hotListDeficits(hotList, currentInventory, out);
+
+    for (const basket of out) {
+        const key = basketKey(basket);
+        const rule = rules.get(key);
+        if (!rule || rule.freeAt === undefined || !rule.base) continue;
+        if (basket.cardSubtotal >= rule.freeAt - EPSILON) continue;
+
+        const sellerOffers = pool.filter(o => offerKey(o) === key);
+        const candidates = fillerCandidates(basket, sellerOffers, unmetByCard, shipOnly, hotDeficits, graceAmount, maxPriceByCard, budget);
+
+        // Pick units until the threshold is reached
+        const picks: BasketUnit[] = [];
+        const usedPerOffer = new Map<Offer, number>();
+        let subtotal = basket.cardSubtotal;
+        for (const candidate of candidates) {
+            let taken = 0;
+            while (
+                subtotal < rule.freeAt - EPSILON &&
+                taken < candidate.limit &&
+                (usedPerOffer.get(candidate.offer) ?? 0) < candidate.offer.quantityAvailable
+            ) {
+                picks.push(candidate);
+                usedPerOffer.set(candidate.offer, (usedPerOffer.get(candidate.offer) ?? 0) + 1);
+                subtotal += candidate.offer.price;
+                taken += 1;
+            }
+        }
+        if (subtotal < rule.freeAt - EPSILON) continue;
+
+        const shippingSaved = basket.shippingCost;
+        const demandCost = picks.filter(p => !p.speculative).reduce((sum, p) => sum + p.offer.price, 0);
+        const specCost = picks.filter(p => p.speculative).reduce((sum, p) => sum + p.offer.price, 0);
+        const added = demandCost + specCost - shippingSaved;
+
+        if (specCost > shippingSaved + graceAmount + EPSILON) continue;
+        if (budget) {
+            if ((tracker.sellerSpend[basket.sellerId] ?? 0) + added > budget.maxPerSeller + EPSILON) continue;
+            if (specCost > 0 && tracker.speculativeSpend + specCost > budget.maxSpeculativeSpend + EPSILON) continue;
+            if ((isStrict(budget) || specCost > 0) && totalTracked(tracker) + added > spendLimit + EPSILON) continue;
+        }
+
+        for (const pick of picks) {
+            addUnit(basket, pick.offer.cardId, pick.offer.price, pick.reason);
+            pick.offer.quantityAvailable -= 1;
+            if (!pick.speculative) {
+                unmetByCard.set(pick.offer.cardId, (unmetByCard.get(pick.offer.cardId) ?? 0) - 1);
+            } else if (pick.reason === 'HOT_LIST') {
+                hotDeficits.set(pick.offer.cardId, (hotDeficits.get(pick.offer.cardId) ?? 0) - 1);
+            } else if (shipOnly.has(pick.offer.cardId)) {
+                shipOnly.set(pick.offer.cardId, (shipOnly.get(pick.offer.cardId) ?? 0) - 1);
+            }
+        }
+        refreshBasket(basket, rule);
+
+        recordSpend(tracker, basket.sellerId, demandCost - shippingSaved);
+        if (specCost > 0) recordSpend(tracker, basket.sellerId, specCost, true);
+    }
+
+    // Speculative top-ups only ride along with baskets we are already paying shipping on
+    if (budget && budget.maxSpeculativeSpend > 0) {
+        const ordered = [...hotList].sort((a, b) => (b.IPS ?? 0) - (a.IPS ?? 0) || a.cardId.localeCompare(b.cardId));
+        const byKey = new Map(out.map(b => [basketKey(b), b]));
+
+        for (const item of ordered) {
+            const cap = maxPriceByCard.get(item.cardId);
+            if (cap === undefined) continue;
+
+            while ((hotDeficits.get(item.cardId) ?? 0) > 0) {
+                let best: { offer: Offer; basket: SellerBasket; marginal: number } | null = null;
+                for (const offer of pool) {
+                    if (offer.cardId !== item.cardId || offer.quantityAvailable <= 0) continue;
+                    if (offer.price > cap + EPSILON || offer.price > budget.maxPerCard + EPSILON) continue;
+                    const basket = byKey.get(offerKey(offer));
+                    if (!basket || unitCount(basket) === 0) continue;
+
+                    const marginal = marginalCost(basket, offer.price, rules.get(offerKey(offer)));
+                    if (!best || marginal < best.marginal - EPSILON) best = { offer, basket, marginal };
+                }
+                if (!best) break;
+
+                const { offer, basket, marginal } = best;
+                if (tracker.speculativeSpend + marginal > budget.maxSpeculativeSpend + EPSILON) break;
+                if (totalTracked(tracker) + marginal > spendLimit + EPSILON) break;
+                if ((tracker.sellerSpend[offer.sellerId] ?? 0) + marginal > budget.maxPerSeller + EPSILON) break;
+
+                addUnit(basket, offer.cardId, offer.price, 'HOT_LIST');
+                refreshBasket(basket, rules.get(offerKey(offer)));
+                offer.quantityAvailable -= 1;
+                hotDeficits.set(item.cardId, (hotDeficits.get(item.cardId) ?? 0) - 1);
+                recordSpend(tracker, offer.sellerId, marginal, true);
+            }
+        }
+    }
+
+    const remainingUnmet = unmet
+        .map(d => d.cardId)
+        .filter((cardId, i, ids) => ids.indexOf(cardId) === i)
+        .map(cardId => {
+            const original = unmet.find(d => d.cardId === cardId)!;
+            return { ...original, quantity: unmetByCard.get(cardId) ?? 0 };
+        })
+        .filter(d => d.quantity > 0);
+
+    return { baskets: out, offers: pool, unmet: remainingUnmet, budgetTracker: tracker };
+}
+
+// ---------------------------------------------------------------------------
+// Phase 3: local improvement
+// ---------------------------------------------------------------------------
+
+interface UnitMove {
+    from: SellerBasket;
+    fromOffer: Offer;
+    toKey: string;
+    toOffer: Offer;
+    cardId: string;
+    delta: number;
+}
+
+function findBestMove(
+    baskets: Map<string, SellerBasket>,
+    pool: Offer[],
+    rules: Map<string, ShippingRule>,
+    ckPrices: Map<string, number>,
+    budget?: BudgetConfig
+): UnitMove | null {
+    let best: UnitMove | null = null;
+
+    for (const [fromKey, from] of baskets) {
+        if (from.marketplace === 'CK') continue;
+        const fromUnits = unitCount(from);
+        const fromRule = rules.get(fromKey);
+        const fromBefore = basketCost(from, from.cardSubtotal, fromUnits, fromRule);
+
+        for (const cardId of from.items.keys()) {
+            const fromOffer = pool.find(o => o.cardId === cardId && offerKey(o) === fromKey);
+            if (!fromOffer) continue;
+            const fromAfter = basketCost(from, from.cardSubtotal - fromOffer.price, fromUnits - 1, fromRule);
+            const retailCap = ckPrices.get(cardId) ?? Infinity;
+
+            for (const toOffer of pool) {
+                const toKey = offerKey(toOffer);
+                if (toOffer.cardId !== cardId || toKey === fromKey || toOffer.quantityAvailable <= 0) continue;
+                if (toOffer.price > retailCap + EPSILON) continue;
+                if (budget && toOffer.price > budget.maxPerCard + EPSILON) continue;
+
+                const to = baskets.get(toKey);
+                const toUnits = unitCount(to);
+                const toSubtotal = to?.cardSubtotal ?? 0;
+                const toRule = rules.get(toKey);
+                const toBefore = basketCost(to, toSubtotal, toUnits, toRule);
+                const toAfter = basketCost(to, toSubtotal + toOffer.price, toUnits + 1, toRule);
+                if (budget && toAfter > budget.maxPerSeller + EPSILON) continue;
+
+                const delta = (fromAfter + toAfter) - (fromBefore + toBefore);
+                if (delta < -EPSILON && (!best || delta < best.delta)) {
+                    best = { from, fromOffer, toKey, toOffer, cardId, delta };
+                }
+            }
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Repeatedly move the single unit whose move to another seller saves the most,
+ * until no move lowers the total. Offer quantities are the remaining supply.
+ */
+export function phase3LocalImprovement(
+    baskets: SellerBasket[],
+    offers: Offer[],
+    ckPrices: Map<string, number> = new Map(),
+    budget?: BudgetConfig
+): { baskets: SellerBasket[]; offers: Offer[] } {
+    const pool = offers.map(o => ({ ...o }));
+    const rules = buildShippingRules(pool);
+    const byKey = new Map<string, SellerBasket>();
+    for (const basket of baskets) byKey.set(basketKey(basket), cloneBasket(basket));
+
+    // Every move strictly lowers the total, but cap the passes to stay linear in plan size
+    const maxMoves = Array.from(byKey.values()).reduce((sum, b) => sum + unitCount(b), 0) * 2;
+
+    for (let i = 0; i < maxMoves; i++) {
+        const move = findBestMove(byKey, pool, rules, ckPrices, budget);
+        if (!move) break;
+
+        const { from, fromOffer, toKey, toOffer, cardId } = move;
+        const reasons = removeUnit(from, cardId, fromOffer.price);
+        refreshBasket(from, rules.get(basketKey(from)));
+        fromOffer.quantityAvailable += 1;
+
+        const to = byKey.get(toKey) ?? createBasket(toOffer.sellerId, toOffer.marketplace);
+        byKey.set(toKey, to);
+        addUnit(to, cardId, toOffer.price, reasons);
+        refreshBasket(to, rules.get(toKey));
+        toOffer.quantityAvailable -= 1;
+    }
+
+    return {
+        baskets: Array.from(byKey.values()).filter(b => unitCount(b) > 0),
+        offers: pool,
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Phase 4: Card Kingdom fallback
+// ---------------------------------------------------------------------------
+
+export interface FallbackOptions {
+    budget?: BudgetConfig;
+    budgetTracker?: BudgetTracker;
+}
+
+/**
+ * Buy remaining demand from Card Kingdom at its retail price. STRICT budgets may spend
+ * the reserve held back in phase 1 but never more than maxTotalSpend.
+ */
+export function phase4CardKingdomFallback(
+    baskets: SellerBasket[],
+    unmet: Demand[],
+    ckPrices: Map<string, number> = new Map(),
+    ckShipping?: ShippingRule,
+    options: FallbackOptions = {}
+): { baskets: SellerBasket[]; unmet: Demand[]; budgetTracker: BudgetTracker } {
+    const { budget } = options;
+    const tracker = cloneTracker(options.budgetTracker);
+    const out = baskets.map(cloneBasket);
+    const stillUnmet: Demand[] = [];
+
+    let ck = out.find(b => b.marketplace === 'CK');
+    if (!ck) {
+        ck = createBasket(CK_SELLER_ID, 'CK');
+        out.push(ck);
+    }
+
+    for (const demand of unmet) {
+        const price = ckPrices.get(demand.cardId);
+        const eligible = price !== undefined && price > 0 &&
+            (demand.maxPrice === undefined || price <= demand.maxPrice + EPSILON) &&
+            (!budget || price <= budget.maxPerCard + EPSILON);
+        let remaining = demand.quantity;
+
+        while (eligible && remaining > 0) {
+            const marginal = marginalCost(ck, price, ckShipping);
+            if (budget) {
+                if ((tracker.sellerSpend[ck.sellerId] ?? 0) + marginal > budget.maxPerSeller + EPSILON) break;
+                if (isStrict(budget) && totalTracked(tracker) + marginal > budget.maxTotalSpend + EPSILON) break;
+            }
+
+            addUnit(ck, demand.cardId, price, 'CK_FALLBACK');
+            refreshBasket(ck, ckShipping ?? {});
+            recordSpend(tracker, ck.sellerId, marginal);
+            remaining -= 1;
+        }
+
+        if (remaining > 0) stillUnmet.push({ ...demand, quantity: remaining });
+    }
+
+    return { baskets: out.filter(b => unitCount(b) > 0), unmet: stillUnmet, budgetTracker: tracker };
+}
+
+// ---------------------------------------------------------------------------
+// Phase 5: finalize
+// ---------------------------------------------------------------------------
+
+export interface FinalizeOptions {
+    unmet?: Demand[];
+}
+
+function summarizeBudget(
+    overallTotal: number,
+    budget: BudgetConfig,
+    tracker: Pick<BudgetTracker, 'demandSpend' | 'speculativeSpend'>
+): BudgetSummary {
+    const warnings: string[] = [];
+    const utilization = budget.maxTotalSpend > 0 ? round2((overallTotal / budget.maxTotalSpend) * 100) : 0;
+    const over = overallTotal > budget.maxTotalSpend + EPSILON;
+    const hardBudgetExceeded = over && isStrict(budget);
+
+    if (over) {
+        const detail = `total $${overallTotal.toFixed(2)} exceeds limit $${budget.maxTotalSpend.toFixed(2)}`;
+        warnings.push(hardBudgetExceeded ? `HARD BUDGET EXCEEDED: ${detail}` : `Soft Budget Limit Exceeded: ${detail}`);
+    } else if (utilization >= UTILIZATION_CRITICAL_PERCENT) {
+        warnings.push(`Budget utilization exceeds ${UTILIZATION_CRITICAL_PERCENT}% (critical)`);
+    } else if (utilization >= UTILIZATION_WARNING_PERCENT) {
+        warnings.push(`Budget utilization exceeds ${UTILIZATION_WARNING_PERCENT}%`);
+    }
+
+    if (tracker.speculativeSpend > budget.maxSpeculativeSpend + EPSILON) {
+        warnings.push(`Speculative spend $${tracker.speculativeSpend.toFixed(2)} exceeds limit $${budget.maxSpeculativeSpend.toFixed(2)}`);
+    }
+
+    return {
+        maxTotalSpend: budget.maxTotalSpend,
+        totalSpend: overallTotal,
+        demandSpend: round2(tracker.demandSpend),
+        speculativeSpend: round2(tracker.speculativeSpend),
+        reservedBudget: round2(budget.maxTotalSpend * (budget.reserveBudgetPercent || 0) / 100),
+        budgetUtilization: utilization,
+        hardBudgetExceeded,
+        warnings,
+    };
+}
+
+/**
+ * Convert baskets into a deterministic plan (sorted by seller, then card) with totals.
+ * With a budget the plan carries utilization and warnings; with CK prices each basket
+ * gets its retail value and cost ratio, and isProfitable when maxCostRatio is set.
+ */
+export function phase5FinalizePlan(
+    baskets: SellerBasket[],
+    options: FinalizeOptions = {},
+    budget?: BudgetConfig,
+    tracker?: Pick<BudgetTracker, 'demandSpend' | 'speculativeSpend'>,
+    ckPrices?: Map<string, number>
+): PurchasePlan {
+    const planBaskets: PlanBasket[] = baskets
+        .filter(b => unitCount(b) > 0)
+        .sort((a, b) => a.sellerId.localeCompare(b.sellerId) || a.marketplace.localeCompare(b.marketplace))
+        .map(basket => {
+            const cardIds = Array.from(basket.items.keys()).sort();
+            const planBasket: PlanBasket = {
+                sellerId: basket.sellerId,
+                marketplace: basket.marketplace,
+                items: cardIds.map(cardId => ({ cardId, quantity: basket.items.get(cardId)! })),
+                reasons: Object.fromEntries(cardIds.map(cardId => [cardId, basket.reasons?.get(cardId) ?? []])),
+                cardSubtotal: round2(basket.cardSubtotal),
+                shippingCost: round2(basket.shippingCost),
+                freeShippingTriggered: basket.freeShippingTriggered,
+                totalCost: round2(basket.cardSubtotal + basket.shippingCost),
+            };
+
+            if (ckPrices) {
+                const retailTotal = round2(cardIds.reduce((sum, cardId) =>
+                    sum + (ckPrices.get(cardId) ?? 0) * basket.items.get(cardId)!, 0));
+                if (retailTotal > 0) {
+                    planBasket.retailTotal = retailTotal;
+                    planBasket.costRatio = planBasket.totalCost / retailTotal;
+                    if (budget?.maxCostRatio !== undefined) {
+                        planBasket.isProfitable = planBasket.costRatio <= budget.maxCostRatio;
+                    }
+                }
+            }
+            return planBasket;
+        });
+
+    const overallTotal = round2(planBaskets.reduce((sum, b) => sum + b.totalCost, 0));
+    const plan: PurchasePlan = {
+        baskets: planBaskets,
+        unmet: [...(options.unmet ?? [])].sort((a, b) => a.cardId.localeCompare(b.cardId)),
+        summary: {
+            totalBaskets: planBaskets.length,
+            totalCards: planBaskets.reduce((sum, b) => sum + b.items.reduce((s, i) => s + i.quantity, 0), 0),
+            totalShipping: round2(planBaskets.reduce((sum, b) => sum + b.shippingCost, 0)),
+            overallTotal,
+        },
+    };
+
+    if (budget) {
+        plan.budget = summarizeBudget(overallTotal, budget, tracker ?? { demandSpend: overallTotal, speculativeSpend: 0 });
+
+        const unprofitable = planBaskets.filter(b => b.isProfitable === false).length;
+        if (unprofitable > 0) {
+            plan.budget.warnings.push(`${unprofitable} basket(s) exceed the max cost ratio of ${budget.maxCostRatio}`);
+        }
+    }
+
+    return plan;
+}
+
+// ---------------------------------------------------------------------------
+// Pipeline
+// ---------------------------------------------------------------------------
+
+/**
+ * Run all phases over one optimizer input. Price and inventory lookups may be Maps or
+ * plain objects (as parsed from JSON).
+ */
+export function runFullPipeline(input: OptimizerInput): PurchasePlan {
+    const ckPrices = toMap(input.cardKingdomPrices);
+    const currentInventory = toMap(input.currentInventory);
+    const { budget, directives = [], hotList = [] } = input;
+
+    const pre = preprocessDemands(input.demands ?? [], directives, ckPrices, currentInventory);
+    const p1 = greedyAllocatePhase1(pre.demands, input.offers ?? [], ckPrices, currentInventory, DEFAULT_CK_PREMIUM_TOLERANCE, budget);
+    const p2 = phase2OptimizeShipping(p1.baskets, p1.offers, p1.unmet, hotList, directives, pre.maxPriceByCard, currentInventory, {
+        graceAmount: input.graceAmount,
+        budget,
+        budgetTracker: p1.budgetTracker,
+    });
+    const p3 = phase3LocalImprovement(p2.baskets, p2.offers, ckPrices, budget);
+    const p4 = phase4CardKingdomFallback(p3.baskets, p2.unmet, ckPrices, input.ckShipping, {
+        budget,
+        budgetTracker: p2.budgetTracker,
+    });
+
+    // Local moves change what was paid, so demand spend is whatever is not speculative
+    const total = p4.baskets.reduce((sum, b) => sum + b.cardSubtotal + b.shippingCost, 0);
+    const speculativeSpend = p4.budgetTracker.speculativeSpend;
+    const tracker = { demandSpend: round2(total - speculativeSpend), speculativeSpend };
+
+    return phase5FinalizePlan(p4.baskets, { unmet: p4.unmet }, budget, tracker, ckPrices);
+}
+
+export default {
+    preprocessDemands,
+    greedyAllocatePhase1,
+    phase2OptimizeShipping,
+    phase3LocalImprovement,
+    phase4CardKingdomFallback,
+    phase5FinalizePlan,
+    runFullPipeline,
+};
@@ -0,0 +1,178 @@
+/**
+ * Seasonality Service
+ * Adjusts card demand around calendar events: Commander product releases and the
+ * holidays raise it, fresh reprints lower it and ban announcements spike it for the
+ * affected formats. The resulting factor multiplies a card's IPS.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export type SeasonalEventType = 'COMMANDER_PRODUCT' | 'HOLIDAY' | 'BAN_ANNOUNCEMENT' | 'SET_RELEASE';
+
+export interface SeasonalEvent {
+    type: SeasonalEventType;
+    date: string; // YYYY-MM-DD
+    name: string;
+    affectedTags: string[]; // 'all' matches every card
+    affectedFormats?: string[];
+}
+
+export interface ReprintEvent {
+    cardId: string; // The new printing
+    originalCardId: string; // The printing whose demand is dampened
+    reprintDate: string; // YYYY-MM-DD
+    setCode: string;
+}
+
+export interface SeasonalEventsConfig {
+    events: SeasonalEvent[];
+    reprints: ReprintEvent[];
+}
+
+export interface CardTags {
+    cardId: string;
+    tags: string[];
+    formats: string[];
+    reprintDate?: string; // YYYY-MM-DD, when known from the catalog
+}
+
+export interface SeasonalityBreakdown {
+    commanderBoost: number;
+    christmasBoost: number;
+    reprintDampening: number;
+    banBoost: number;
+    combinedFactor: number;
+    activeEvents: string[];
+}
+
+const COMMANDER_BOOST = 1.3;
+const COMMANDER_WINDOW_DAYS = 14; // Before release
+const HOLIDAY_BOOST = 1.2;
+const HOLIDAY_WINDOW_DAYS = 7; // Before the holiday
+const REPRINT_DAMPENING = 0.6;
+const REPRINT_WINDOW_DAYS = 30; // After the reprint
+const BAN_BOOST = 1.5;
+const BAN_WINDOW_DAYS = 7; // After the announcement
+
+const MIN_FACTOR = 0.5;
+const MAX_FACTOR = 2.0;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULT_CONFIG_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'seasonalEvents.json');
+
+let cachedConfig: SeasonalEventsConfig | null = null;
+
+/**
+ * Load the events calendar (AUTOBUY_SEASONAL_EVENTS_PATH or seasonalEvents.json next to
+ * this file). Cached after the first read; a missing or broken file means no events.
+ */
+function loadSeasonalEvents(): SeasonalEventsConfig {
+    if (cachedConfig) return cachedConfig;
+
+    const configPath = process.env.AUTOBUY_SEASONAL_EVENTS_PATH || DEFAULT_CONFIG_PATH;
+    try {
+        const parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        cachedConfig = { events: parsed.events ?? [], reprints: parsed.reprints ?? [] };
+    } catch (err) {
+        console.warn(`[Seasonality] Could not load seasonal events from ${configPath}:`, (err as Error).message);
+        cachedConfig = { events: [], reprints: [] };
+    }
+    return cachedConfig;
+}
+
+/**
+ * Drop the cached calendar so the next lookup re-reads it
+ */
+export function clearSeasonalEventsCache(): void {
+    cachedConfig = null;
+}
+
+/**
+ * Whole UTC days from `from` to `to` (positive when `to` is later)
+ */
+function daysBetween(from: Date, to: Date): number {
+    const start = Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate());
+    const end = Date.UTC(to.getUTCFullYear(), to.getUTCMonth(), to.getUTCDate());
+    return Math.round((end - start) / MS_PER_DAY);
+}
+
+function matchesTags(event: SeasonalEvent, cardTags: CardTags): boolean {
+    return event.affectedTags.includes('all') || event.affectedTags.some(tag => cardTags.tags.includes(tag));
+}
+
+function matchesFormats(event: SeasonalEvent, cardTags: CardTags): boolean {
+    if (event.affectedFormats && event.affectedFormats.length > 0) {
+        return event.affectedFormats.some(format => cardTags.formats.includes(format));
+    }
+    return matchesTags(event, cardTags);
+}
+
+/**
+ * Per-event factors for a card on a date, plus the clamped combined factor
+ */
+export function getSeasonalityBreakdown(
+    cardId: string,
+    date: Date,
+    cardTags: CardTags,
+    config: SeasonalEventsConfig = loadSeasonalEvents()
+): SeasonalityBreakdown {
+    let commanderBoost = 1.0;
+    let christmasBoost = 1.0;
+    let reprintDampening = 1.0;
+    let banBoost = 1.0;
+    const activeEvents: string[] = [];
+
+    for (const event of config.events) {
+        const eventDate = new Date(event.date);
+        const daysUntil = daysBetween(date, eventDate);
+        const daysSince = -daysUntil;
+
+        if (event.type === 'COMMANDER_PRODUCT' && commanderBoost === 1.0 &&
+            daysUntil > 0 && daysUntil <= COMMANDER_WINDOW_DAYS && matchesTags(event, cardTags)) {
+            commanderBoost = COMMANDER_BOOST;
+            activeEvents.push('Commander Product Release');
+        } else if (event.type === 'HOLIDAY' && christmasBoost === 1.0 &&
+            daysUntil >= 0 && daysUntil <= HOLIDAY_WINDOW_DAYS && matchesTags(event, cardTags)) {
+            christmasBoost = HOLIDAY_BOOST;
+            activeEvents.push(/christmas/i.test(event.name) ? 'Christmas Season' : event.name);
+        } else if (event.type === 'BAN_ANNOUNCEMENT' && banBoost === 1.0 &&
+            daysSince >= 0 && daysSince <= BAN_WINDOW_DAYS && matchesFormats(event, cardTags)) {
+            banBoost = BAN_BOOST;
+            activeEvents.push('Ban Announcement');
+        }
+    }
+
+    const reprintDates = config.reprints
+        .filter(r => r.originalCardId === cardId || r.cardId === cardId)
+        .map(r => r.reprintDate);
+    if (cardTags.reprintDate) reprintDates.push(cardTags.reprintDate);
+
+    const recentReprint = reprintDates.some(reprintDate => {
+        const daysSince = daysBetween(new Date(reprintDate), date);
+        return daysSince >= 0 && daysSince <= REPRINT_WINDOW_DAYS;
+    });
+    if (recentReprint) {
+        reprintDampening = REPRINT_DAMPENING;
+        activeEvents.push('Recent Reprint');
+    }
+
+    const combined = commanderBoost * christmasBoost * reprintDampening * banBoost;
+    const combinedFactor = Math.round(Math.min(MAX_FACTOR, Math.max(MIN_FACTOR, combined)) * 100) / 100;
+
+    return { commanderBoost, christmasBoost, reprintDampening, banBoost, combinedFactor, activeEvents };
+}
+
+/**
+ * Demand multiplier for a card on a date, between 0.5 and 2.0
+ */
+export function getSeasonalityFactor(
+    cardId: string,
+    date: Date,
+    cardTags: CardTags,
+    config?: SeasonalEventsConfig
+): number {
+    return getSeasonalityBreakdown(cardId, date, cardTags, config).combinedFactor;
+}
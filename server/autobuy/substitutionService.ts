@@ -0,0 +1,234 @@
+/**
+ * Substitution Service
+ * CRUD for substitution groups: sets of functionally equivalent cards that share
+ * demand pressure in IPS scoring. A card belongs to at most one group.
+ * Only the shared groups (no user_id) are managed here; users' own deck-fill groups
+ * live in server/services/substitutionGroupService.js.
+ */
+
+import type { SubstitutionGroup } from './ipsCalculator.js';
+
+export interface Queryable {
+    query(text: string, params?: unknown[]): Promise<{ rows: any[]; rowCount?: number | null }>;
+}
+
+export interface GroupCard {
+    scryfallId: string;
+    cardName?: string | null;
+}
+
+export interface SubstitutionGroupDetails extends SubstitutionGroup {
+    groupId: number;
+    description: string | null;
+    cardDetails: GroupCard[];
+    createdAt?: Date;
+    updatedAt?: Date;
+}
+
+/**
+ * Error raised for invalid group changes, carrying an HTTP status for the route layer
+ */
+export class SubstitutionGroupError extends Error {
+    statusCode: number;
+
+    constructor(message: string, statusCode = 400) {
+        super(message);
+        this.name = 'SubstitutionGroupError';
+        this.statusCode = statusCode;
+    }
+}
+
+function toGroup(row: any, cardRows: any[]): SubstitutionGroupDetails {
+    const cardDetails = cardRows.map(c => ({ scryfallId: c.scryfall_id, cardName: c.card_name ?? null }));
+    return {
+        groupId: row.id,
+        name: row.name,
+        description: row.description ?? null,
+        cards: cardDetails.map(c => c.scryfallId),
+        cardDetails,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+async function getGroupById(db: Queryable, groupId: number): Promise<SubstitutionGroupDetails | null> {
+    const groupResult = await db.query(
+        'SELECT id, name, description, created_at, updated_at FROM substitution_groups WHERE id = $1 AND user_id IS NULL',
+        [groupId]
+    );
+    if (groupResult.rows.length === 0) return null;
+
+    const cardResult = await db.query(
+        'SELECT scryfall_id, card_name FROM substitution_group_cards WHERE group_id = $1 ORDER BY card_name',
+        [groupId]
+    );
+    return toGroup(groupResult.rows[0], cardResult.rows);
+}
+
+/**
+ * Existing group memberships for a set of cards
+ */
+async function findMemberships(db: Queryable, scryfallIds: string[]): Promise<Array<{ scryfall_id: string; group_id: number; group_name: string }>> {
+    const result = await db.query(
+        `SELECT sgc.scryfall_id, sgc.group_id, g.name AS group_name
+         FROM substitution_group_cards sgc
+         JOIN substitution_groups g ON g.id = sgc.group_id
+         WHERE sgc.scryfall_id = ANY($1)`,
+        [scryfallIds]
+    );
+    return result.rows;
+}
+
+/**
+ * All groups with their cards, ordered by name
+ */
+export async function getSubstitutionGroups(db: Queryable): Promise<SubstitutionGroupDetails[]> {
+    const [groupResult, cardResult] = await Promise.all([
+        db.query('SELECT id, name, description, created_at, updated_at FROM substitution_groups WHERE user_id IS NULL ORDER BY name'),
+        db.query('SELECT group_id, scryfall_id, card_name FROM substitution_group_cards ORDER BY card_name'),
+    ]);
+
+    const cardsByGroup = new Map<number, any[]>();
+    for (const card of cardResult.rows) {
+        const list = cardsByGroup.get(card.group_id) ?? [];
+        list.push(card);
+        cardsByGroup.set(card.group_id, list);
+    }
+
+    return groupResult.rows.map(row => toGroup(row, cardsByGroup.get(row.id) ?? []));
+}
+
+/**
+ * Groups in the shape calculateCardIPS expects
+ */
+export async function getSubstitutionGroupsForIPS(db: Queryable): Promise<SubstitutionGroup[]> {
+    const groups = await getSubstitutionGroups(db);
+    return groups.map(({ groupId, name, cards }) => ({ groupId, name, cards }));
+}
+
+/**
+ * The group a card belongs to, or null
+ */
+export async function getGroupForCard(db: Queryable, scryfallId: string): Promise<SubstitutionGroupDetails | null> {
+    const result = await db.query(
+        'SELECT group_id FROM substitution_group_cards WHERE scryfall_id = $1',
+        [scryfallId]
+    );
+    if (result.rows.length === 0) return null;
+    return getGroupById(db, result.rows[0].group_id);
+}
+
+/**
+ * Create a group, optionally with initial cards. Fails if any card is already grouped.
+ */
+export async function createGroup(
+    db: Queryable,
+    name: string,
+    cards: GroupCard[] = [],
+    description: string | null = null
+): Promise<SubstitutionGroupDetails> {
+    if (cards.length > 0) {
+        const conflicts = await findMemberships(db, cards.map(c => c.scryfallId));
+        if (conflicts.length > 0) {
+            const list = conflicts.map(c => `${c.scryfall_id} (${c.group_name})`).join(', ');
+            throw new SubstitutionGroupError(`Cards already in another group: ${list}`, 409);
+        }
+    }
+
+    const groupResult = await db.query(
+        'INSERT INTO substitution_groups (name, description) VALUES ($1, $2) RETURNING *',
+        [name, description]
+    );
+    const group = groupResult.rows[0];
+
+    if (cards.length > 0) {
+        const params: unknown[] = [];
+        const placeholders = cards.map((card, i) => {
+            params.push(group.id, card.scryfallId, card.cardName ?? null);
+            return `($${i * 3 + 1}, $${i * 3 + 2}, $${i * 3 + 3})`;
+        });
+        await db.query(
+            `INSERT INTO substitution_group_cards (group_id, scryfall_id, card_name) VALUES ${placeholders.join(', ')}`,
+            params
+        );
+    }
+
+    return toGroup(group, cards.map(c => ({ scryfall_id: c.scryfallId, card_name: c.cardName ?? null })));
+}
+
+/**
+ * Add a card to a group and return the updated group
+ */
+export async function addCardToGroup(
+    db: Queryable,
+    groupId: number,
+    scryfallId: string,
+    cardName: string | null = null
+): Promise<SubstitutionGroupDetails> {
+    const group = await getGroupById(db, groupId);
+    if (!group) {
+        throw new SubstitutionGroupError(`Substitution group ${groupId} not found`, 404);
+    }
+
+    const [existing] = await findMemberships(db, [scryfallId]);
+    if (existing) {
+        if (existing.group_id === groupId) {
+            throw new SubstitutionGroupError('Card is already in this group', 409);
+        }
+        throw new SubstitutionGroupError(`Card is already in group "${existing.group_name}"`, 409);
+    }
+
+    await db.query(
+        'INSERT INTO substitution_group_cards (group_id, scryfall_id, card_name) VALUES ($1, $2, $3)',
+        [groupId, scryfallId, cardName]
+    );
+
+    return (await getGroupById(db, groupId))!;
+}
+
+/**
+ * Remove a card from whatever group it is in. Returns false if it was not grouped.
+ */
+export async function removeCardFromGroup(db: Queryable, scryfallId: string): Promise<boolean> {
+    const result = await db.query('DELETE FROM substitution_group_cards WHERE scryfall_id = $1', [scryfallId]);
+    return (result.rowCount ?? 0) > 0;
+}
+
+/**
+ * Delete a group; its card memberships cascade
+ */
+export async function deleteGroup(db: Queryable, groupId: number): Promise<boolean> {
+    const result = await db.query('DELETE FROM substitution_groups WHERE id = $1 AND user_id IS NULL', [groupId]);
+    return (result.rowCount ?? 0) > 0;
+}
+
+/**
+ * Rename or re-describe a group. Returns null if the group does not exist.
+ */
+export async function updateGroup(
+    db: Queryable,
+    groupId: number,
+    updates: { name?: string; description?: string | null }
+): Promise<SubstitutionGroupDetails | null> {
+    const sets: string[] = [];
+    const params: unknown[] = [];
+
+    if (updates.name !== undefined) {
+        params.push(updates.name);
+        sets.push(`name = $${params.length}`);
+    }
+    if (updates.description !== undefined) {
+        params.push(updates.description);
+        sets.push(`description = $${params.length}`);
+    }
+    if (sets.length === 0) return getGroupById(db, groupId);
+
+    params.push(groupId);
+    const result = await db.query(
+        `UPDATE substitution_groups SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $${params.length} AND user_id IS NULL RETURNING id`,
+        params
+    );
+    if (result.rows.length === 0) return null;
+
+    return getGroupById(db, groupId);
+}
@@ -0,0 +1,137 @@
+/**
+ * Shared types for the autobuy optimizer
+ */
+
+export type Marketplace = 'TCG' | 'MANABOX' | 'CK';
+
+/**
+ * Why a unit ended up in a basket
+ */
+export type PurchaseReason = 'DECK_DEMAND' | 'HOT_LIST' | 'SHIPPING_FILLER' | 'CK_FALLBACK';
+
+export interface Demand {
+    cardId: string; // Scryfall ID
+    quantity: number;
+    maxPrice?: number;
+}
+
+export interface ShippingRule {
+    base?: number;
+    freeAt?: number;
+}
+
+export interface Offer {
+    marketplace: Marketplace;
+    sellerId: string;
+    cardId: string;
+    price: number;
+    quantityAvailable: number;
+    shipping: ShippingRule;
+    sellerRating?: number; // 0-1 scale
+    sellerName?: string;
+    condition?: string;
+    foil?: boolean;
+}
+
+/**
+ * FORCE buys the quantity regardless of stock, PREFER tops stock up to the
+ * quantity, SHIP_ONLY only buys the card as a free-shipping filler.
+ */
+export type DirectiveMode = 'FORCE' | 'PREFER' | 'SHIP_ONLY';
+
+export interface Directive {
+    cardId: string;
+    mode: DirectiveMode;
+    quantity?: number;
+}
+
+export interface HotListItem {
+    cardId: string;
+    IPS?: number;
+    targetInventory?: number;
+}
+
+export interface SellerBasket {
+    sellerId: string;
+    marketplace: Marketplace;
+    items: Map<string, number>; // cardId -> quantity
+    cardSubtotal: number;
+    shippingCost: number;
+    freeShippingTriggered: boolean;
+    totalCost: number;
+    reasons: Map<string, PurchaseReason[]>;
+}
+
+export type BudgetMode = 'STRICT' | 'SOFT';
+
+export interface BudgetConfig {
+    maxTotalSpend: number;
+    maxPerSeller: number;
+    maxPerCard: number;
+    maxSpeculativeSpend: number;
+    reserveBudgetPercent: number; // Held back from phase 1 for Card Kingdom fallback
+    budgetMode?: BudgetMode; // Defaults to STRICT
+    maxCostRatio?: number; // Basket cost / CK retail at or below this is profitable
+}
+
+export interface BudgetTracker {
+    demandSpend: number;
+    speculativeSpend: number;
+    sellerSpend: Record<string, number>;
+}
+
+export interface BudgetSummary {
+    maxTotalSpend: number;
+    totalSpend: number;
+    demandSpend: number;
+    speculativeSpend: number;
+    reservedBudget: number;
+    budgetUtilization: number; // Percent of maxTotalSpend
+    hardBudgetExceeded: boolean;
+    warnings: string[];
+}
+
+export interface PlanItem {
+    cardId: string;
+    quantity: number;
+}
+
+export interface PlanBasket {
+    sellerId: string;
+    marketplace: Marketplace;
+    items: PlanItem[];
+    reasons: Record<string, PurchaseReason[]>;
+    cardSubtotal: number;
+    shippingCost: number;
+    freeShippingTriggered: boolean;
+    totalCost: number;
+    retailTotal?: number;
+    costRatio?: number;
+    isProfitable?: boolean;
+}
+
+export interface PurchasePlan {
+    baskets: PlanBasket[];
+    unmet: Demand[];
+    summary: {
+        totalBaskets: number;
+        totalCards: number;
+        totalShipping: number;
+        overallTotal: number;
+    };
+    budget?: BudgetSummary;
+}
+
+export type PriceMap = Map<string, number> | Record<string, number>;
+
+export interface OptimizerInput {
+    demands: Demand[];
+    offers: Offer[];
+    cardKingdomPrices?: PriceMap;
+    currentInventory?: PriceMap;
+    hotList?: HotListItem[];
+    directives?: Directive[];
+    budget?: BudgetConfig;
+    graceAmount?: number; // Extra spend allowed on fillers beyond the shipping they save
+    ckShipping?: ShippingRule;
+}
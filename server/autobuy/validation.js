@@ -0,0 +1,71 @@
+import { z } from 'zod';
+
+// Schemas for optimizer input arriving over HTTP. Kept in plain JS so JS routes can
+// validate requests without the TypeScript build.
+
+export const DIRECTIVE_MODES = ['FORCE', 'PREFER', 'SHIP_ONLY'];
+
+export const BUDGET_MODES = ['STRICT', 'SOFT'];
+
+const money = z.number().nonnegative();
+
+const priceRecord = z.record(z.string(), money);
+
+export const shippingSchema = z.object({
+  base: money.optional(),
+  freeAt: money.optional(),
+});
+
+export const demandSchema = z.object({
+  cardId: z.string().min(1),
+  quantity: z.number().int().nonnegative(),
+  maxPrice: money.optional(),
+});
+
+export const directiveSchema = z.object({
+  cardId: z.string().min(1),
+  mode: z.enum(DIRECTIVE_MODES),
+  quantity: z.number().int().positive().optional(),
+});
+
+export const offerSchema = z.object({
+  cardId: z.string().min(1),
+  sellerId: z.string().min(1),
+  price: money,
+  quantityAvailable: z.number().int().nonnegative(),
+  marketplace: z.string().min(1).optional(),
+  shipping: shippingSchema.optional(),
+  sellerRating: z.number().min(0).max(1).optional(),
+});
+
+export const hotListItemSchema = z.object({
+  cardId: z.string().min(1),
+  IPS: z.number().nonnegative().optional(),
+  targetInventory: z.number().int().nonnegative().optional(),
+});
+
+export const budgetSchema = z.object({
+  maxTotalSpend: money,
+  maxPerSeller: money,
+  maxPerCard: money,
+  maxSpeculativeSpend: money,
+  reserveBudgetPercent: z.number().min(0).max(100),
+  budgetMode: z.enum(BUDGET_MODES).optional(),
+  maxCostRatio: z.number().positive().optional(),
+});
+
+/**
+ * Full optimizer request. Unknown top-level keys are rejected so typos such as
+ * "offer" or "budgets" fail loudly instead of being silently ignored.
+ */
+export const inputSchema = z.object({
+  demands: z.array(demandSchema).optional(),
+  directives: z.array(directiveSchema).optional(),
+  offers: z.array(offerSchema).optional(),
+  hotList: z.array(hotListItemSchema).optional(),
+  cardKingdomPrices: priceRecord.optional(),
+  currentInventory: z.record(z.string(), z.number().int().nonnegative()).optional(),
+  budget: budgetSchema.optional(),
+  graceAmount: money.optional(),
+  ckShipping: shippingSchema.optional(),
+}).strict();
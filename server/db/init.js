@@ -1,617 +1,17 @@
 import { pool } from './pool.js';
+import { createMigrator } from './migrator.js';
 
 // ========== DATABASE INITIALIZATION ==========
-export async function initializeDatabase() {
-  try {
-    // Users table (for Replit Auth)
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id VARCHAR(255) PRIMARY KEY,
-        email VARCHAR(255) UNIQUE,
-        first_name VARCHAR(255),
-        last_name VARCHAR(255),
-        profile_image_url TEXT,
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-
-    // Sessions table (for Replit Auth)
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS sessions (
-        sid VARCHAR(255) PRIMARY KEY,
-        sess JSONB NOT NULL,
-        expire TIMESTAMP NOT NULL
-      )
-    `);
-    await pool.query(`CREATE INDEX IF NOT EXISTS idx_sessions_expire ON sessions(expire)`).catch(() => { });
-
-    // Inventory table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS inventory (
-        id SERIAL PRIMARY KEY,
-        user_id VARCHAR(255),
-        name VARCHAR(255) NOT NULL,
-        set VARCHAR(20),
-        set_name VARCHAR(255),
-        quantity INTEGER DEFAULT 1,
-        purchase_price REAL,
-        purchase_date TEXT,
-        reorder_type VARCHAR(20) DEFAULT 'Normal',
-        image_url TEXT,
-        scryfall_id VARCHAR(255),
-        folder VARCHAR(255) DEFAULT 'Uncategorized',
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-
-    // Run inventory table alterations in parallel
-    await Promise.all([
-      pool.query(`ALTER TABLE inventory ADD COLUMN IF NOT EXISTS image_url TEXT`).catch(() => { }),
-      pool.query(`ALTER TABLE inventory ADD COLUMN IF NOT EXISTS scryfall_id VARCHAR(255)`).catch(() => { }),
-      pool.query(`ALTER TABLE inventory ADD COLUMN IF NOT EXISTS user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE`).catch(() => { }),
-      pool.query(`ALTER TABLE inventory ADD COLUMN IF NOT EXISTS folder VARCHAR(255) DEFAULT 'Uncategorized'`).catch(() => { }),
-      pool.query(`ALTER TABLE inventory ADD COLUMN IF NOT EXISTS low_inventory_alert BOOLEAN DEFAULT false`).catch(() => { }),
-      pool.query(`ALTER TABLE inventory ADD COLUMN IF NOT EXISTS low_inventory_threshold INTEGER DEFAULT 0`).catch(() => { }),
-      pool.query(`ALTER TABLE inventory ADD COLUMN IF NOT EXISTS foil BOOLEAN DEFAULT false`).catch(() => { }),
-      pool.query(`ALTER TABLE inventory ADD COLUMN IF NOT EXISTS quality VARCHAR(10) DEFAULT 'NM'`).catch(() => { }),
-      pool.query(`ALTER TABLE inventory DROP COLUMN IF EXISTS location`).catch(() => { }),
-      pool.query(`ALTER TABLE inventory DROP COLUMN IF EXISTS is_shared_location`).catch(() => { }),
-    ]);
-
-    // Migration: Normalize folder names - 'Unsorted' should be 'Uncategorized'
-    const folderMigration = await pool.query(`UPDATE inventory SET folder = 'Uncategorized' WHERE folder = 'Unsorted'`);
-    if (folderMigration.rowCount > 0) {
-      console.log(`[DB] ✓ Migrated ${folderMigration.rowCount} cards from 'Unsorted' to 'Uncategorized' folder`);
-    }
-
-    // Settings table (Step 7: Store user settings in backend)
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS settings (
-        key VARCHAR(255) PRIMARY KEY,
-        value TEXT,
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-
-    // Decklists table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS decklists (
-        id SERIAL PRIMARY KEY,
-        user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
-        name VARCHAR(255) NOT NULL,
-        decklist TEXT,
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-    await pool.query(`ALTER TABLE decklists ADD COLUMN IF NOT EXISTS user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE`).catch(() => { });
-
-    // Containers table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS containers (
-        id SERIAL PRIMARY KEY,
-        user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
-        name VARCHAR(255) NOT NULL,
-        cards JSONB DEFAULT '[]',
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-
-    // Run containers table alterations in parallel
-    await Promise.all([
-      pool.query(`ALTER TABLE containers ADD COLUMN IF NOT EXISTS user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE`).catch(() => { }),
-      pool.query(`ALTER TABLE containers ADD COLUMN IF NOT EXISTS cards JSONB DEFAULT '[]'`).catch(() => { }),
-      pool.query(`ALTER TABLE containers DROP COLUMN IF EXISTS decklist_id`).catch(() => { }),
-      pool.query(`ALTER TABLE containers DROP COLUMN IF EXISTS location`).catch(() => { }),
-    ]);
-
-    // Container items table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS container_items (
-        id SERIAL PRIMARY KEY,
-        container_id INTEGER REFERENCES containers(id) ON DELETE CASCADE,
-        inventory_id INTEGER REFERENCES inventory(id) ON DELETE CASCADE,
-        quantity INTEGER DEFAULT 1,
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-
-    // Sales table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS sales (
-        id SERIAL PRIMARY KEY,
-        user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
-        container_id INTEGER REFERENCES containers(id) ON DELETE SET NULL,
-        sale_price REAL,
-        sale_date TEXT,
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-    await pool.query(`ALTER TABLE sales ADD COLUMN IF NOT EXISTS user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE`).catch(() => { });
-
-    // Imports table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS imports (
-        id SERIAL PRIMARY KEY,
-        user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
-        title VARCHAR(255) NOT NULL,
-        description TEXT,
-        card_list TEXT,
-        source VARCHAR(50),
-        status VARCHAR(50) DEFAULT 'pending',
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-
-    // Run imports table alterations in parallel
-    await Promise.all([
-      pool.query(`ALTER TABLE imports ADD COLUMN IF NOT EXISTS user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE`).catch(() => { }),
-      pool.query(`ALTER TABLE imports ADD COLUMN IF NOT EXISTS card_list TEXT`).catch(() => { }),
-      pool.query(`ALTER TABLE imports ADD COLUMN IF NOT EXISTS source VARCHAR(50)`).catch(() => { }),
-      pool.query(`ALTER TABLE imports ADD COLUMN IF NOT EXISTS status VARCHAR(50) DEFAULT 'pending'`).catch(() => { }),
-      pool.query(`ALTER TABLE imports ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP`).catch(() => { }),
-    ]);
-
-    // Usage history table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS usage_history (
-        id SERIAL PRIMARY KEY,
-        action VARCHAR(255) NOT NULL,
-        details TEXT,
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-
-    // Purchase history table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS purchase_history (
-        id SERIAL PRIMARY KEY,
-        inventory_id INTEGER REFERENCES inventory(id) ON DELETE RESTRICT,
-        purchase_date TEXT NOT NULL,
-        purchase_price REAL NOT NULL,
-        quantity INTEGER DEFAULT 1,
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-
-    // Purchase lots table - for tracking bulk purchases/packs
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS purchase_lots (
-        id SERIAL PRIMARY KEY,
-        name TEXT NOT NULL,
-        total_cost REAL,
-        card_count INTEGER,
-        per_card_cost REAL,
-        purchase_date DATE DEFAULT CURRENT_DATE,
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-
-    // Add lot tracking columns to inventory table (run in parallel)
-    await Promise.all([
-      pool.query(`ALTER TABLE inventory ADD COLUMN IF NOT EXISTS lot_id INTEGER REFERENCES purchase_lots(id) ON DELETE SET NULL`).catch(() => { }),
-      pool.query(`ALTER TABLE inventory ADD COLUMN IF NOT EXISTS lot_name TEXT`).catch(() => { }),
-    ]);
-
-    // Decks table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS decks (
-        id SERIAL PRIMARY KEY,
-        user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
-        name VARCHAR(255) NOT NULL,
-        format VARCHAR(50) DEFAULT 'Casual',
-        description TEXT,
-        cards JSONB DEFAULT '[]',
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-
-    // Run decks table alterations in parallel
-    await Promise.all([
-      pool.query(`ALTER TABLE decks ADD COLUMN IF NOT EXISTS user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE`).catch(() => { }),
-      pool.query(`ALTER TABLE decks ADD COLUMN IF NOT EXISTS commander VARCHAR(255)`).catch(() => { }),
-      pool.query(`ALTER TABLE decks ADD COLUMN IF NOT EXISTS format VARCHAR(50) DEFAULT 'Casual'`).catch(() => { }),
-      pool.query(`ALTER TABLE decks ADD COLUMN IF NOT EXISTS cards JSONB DEFAULT '[]'`).catch(() => { }),
-      pool.query(`ALTER TABLE decks ADD COLUMN IF NOT EXISTS description TEXT`).catch(() => { }),
-      pool.query(`ALTER TABLE decks ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP`).catch(() => { }),
-      pool.query(`ALTER TABLE decks ADD COLUMN IF NOT EXISTS decklist_id INTEGER`).catch(() => { }),
-      pool.query(`ALTER TABLE decks ADD COLUMN IF NOT EXISTS is_deck_instance BOOLEAN DEFAULT FALSE`).catch(() => { }),
-      pool.query(`ALTER TABLE decks ADD COLUMN IF NOT EXISTS archidekt_url TEXT`).catch(() => { }),
-      pool.query(`ALTER TABLE decks ADD COLUMN IF NOT EXISTS last_synced TIMESTAMP`).catch(() => { }),
-    ]);
-
-    // Deck reservations table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS deck_reservations (
-        id SERIAL PRIMARY KEY,
-        deck_id INTEGER REFERENCES decks(id) ON DELETE CASCADE,
-        inventory_item_id INTEGER REFERENCES inventory(id) ON DELETE CASCADE,
-        quantity_reserved INTEGER NOT NULL,
-        original_folder VARCHAR(255),
-        reserved_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-
-    // Deck missing cards table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS deck_missing_cards (
-        id SERIAL PRIMARY KEY,
-        deck_id INTEGER REFERENCES decks(id) ON DELETE CASCADE,
-        card_name VARCHAR(255) NOT NULL,
-        set_code VARCHAR(20),
-        quantity_needed INTEGER NOT NULL
-      )
-    `);
-
-    // Folders table - server-side storage
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS folders (
-        id SERIAL PRIMARY KEY,
-        user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
-        name VARCHAR(255) NOT NULL,
-        description TEXT,
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW(),
-        UNIQUE(user_id, name)
-      )
-    `);
-    await pool.query(`ALTER TABLE folders ADD COLUMN IF NOT EXISTS user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE`).catch(() => { });
-
-    // Inventory transactions table - tracks purchases and sales for analytics
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS inventory_transactions (
-        id SERIAL PRIMARY KEY,
-        card_name VARCHAR(255) NOT NULL,
-        transaction_type VARCHAR(20) NOT NULL,
-        quantity INTEGER DEFAULT 1,
-        purchase_price REAL,
-        sale_price REAL,
-        transaction_date DATE DEFAULT CURRENT_DATE,
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-    await pool.query(`ALTER TABLE inventory_transactions ADD COLUMN IF NOT EXISTS user_id VARCHAR(255)`).catch(() => { });
-
-    // Sales history table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS sales_history (
-        id SERIAL PRIMARY KEY,
-        item_type VARCHAR(50) NOT NULL,
-        item_id INTEGER,
-        item_name VARCHAR(255) NOT NULL,
-        purchase_price REAL NOT NULL,
-        sell_price REAL NOT NULL,
-        profit REAL,
-        quantity INTEGER DEFAULT 1,
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-    await pool.query(`ALTER TABLE sales_history ADD COLUMN IF NOT EXISTS user_id VARCHAR(255)`).catch(() => { });
-
-    // Change history table - tracks card edits
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS change_history (
-        id SERIAL PRIMARY KEY,
-        card_id INTEGER REFERENCES inventory(id) ON DELETE SET NULL,
-        card_name VARCHAR(255) NOT NULL,
-        field_changed VARCHAR(50) NOT NULL,
-        old_value TEXT,
-        new_value TEXT,
-        changed_at TIMESTAMP DEFAULT NOW(),
-        user_id VARCHAR(255)
-      )
-    `);
-
-    // Audit log table - tracks major system actions
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS audit_log (
-        id SERIAL PRIMARY KEY,
-        action_type VARCHAR(50) NOT NULL,
-        description TEXT,
-        entity_type VARCHAR(50),
-        entity_id INTEGER,
-        metadata JSONB DEFAULT '{}',
-        created_at TIMESTAMP DEFAULT NOW(),
-        user_id VARCHAR(255)
-      )
-    `);
-
-    // Activity feed table - tracks recent user activity
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS activity_feed (
-        id SERIAL PRIMARY KEY,
-        activity_type VARCHAR(50) NOT NULL,
-        title VARCHAR(255) NOT NULL,
-        description TEXT,
-        entity_type VARCHAR(50),
-        entity_id INTEGER,
-        metadata JSONB DEFAULT '{}',
-        created_at TIMESTAMP DEFAULT NOW(),
-        user_id VARCHAR(255)
-      )
-    `);
-
-    // ========== EBAY INTEGRATION TABLES ==========
-
-    // eBay connections - stores OAuth tokens for each user's eBay account
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS ebay_connections (
-        id SERIAL PRIMARY KEY,
-        user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE UNIQUE,
-        ebay_user_id VARCHAR(255),
-        access_token TEXT,
-        refresh_token TEXT,
-        token_expires_at TIMESTAMP,
-        scope TEXT,
-        connected_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-
-    // eBay listings - tracks decks listed on eBay
-    // deck_id references the DECKLIST (template)
-    // deck_instance_id references the pick list created when sold
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS ebay_listings (
-        id SERIAL PRIMARY KEY,
-        user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
-        deck_id INTEGER REFERENCES decks(id) ON DELETE SET NULL,
-        deck_instance_id INTEGER REFERENCES decks(id) ON DELETE SET NULL,
-        ebay_listing_id VARCHAR(50),
-        ebay_offer_id VARCHAR(50),
-        title VARCHAR(80),
-        theme VARCHAR(100),
-        description TEXT,
-        price DECIMAL(10,2),
-        quantity INTEGER DEFAULT 1,
-        status VARCHAR(20) DEFAULT 'draft',
-        image_urls JSONB DEFAULT '[]',
-        ai_description_prompt TEXT,
-        listing_url TEXT,
-        listed_at TIMESTAMP,
-        sold_at TIMESTAMP,
-        shipped_at TIMESTAMP,
-        completed_at TIMESTAMP,
-        ebay_buyer_username VARCHAR(255),
-        ebay_order_id VARCHAR(50),
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-
-    // Add new columns if they don't exist (for existing installations)
-    await Promise.all([
-      pool.query(`ALTER TABLE ebay_listings ADD COLUMN IF NOT EXISTS theme VARCHAR(100)`).catch(() => { }),
-      pool.query(`ALTER TABLE ebay_listings ADD COLUMN IF NOT EXISTS deck_instance_id INTEGER REFERENCES decks(id) ON DELETE SET NULL`).catch(() => { }),
-      pool.query(`ALTER TABLE ebay_listings ADD COLUMN IF NOT EXISTS image_urls JSONB DEFAULT '[]'`).catch(() => { }),
-      pool.query(`ALTER TABLE ebay_listings ADD COLUMN IF NOT EXISTS ai_description_prompt TEXT`).catch(() => { }),
-      pool.query(`ALTER TABLE ebay_listings ADD COLUMN IF NOT EXISTS shipped_at TIMESTAMP`).catch(() => { }),
-      pool.query(`ALTER TABLE ebay_listings ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP`).catch(() => { }),
-    ]);
-
-    // eBay sync log - for debugging and audit trail
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS ebay_sync_log (
-        id SERIAL PRIMARY KEY,
-        user_id VARCHAR(255),
-        action VARCHAR(50) NOT NULL,
-        ebay_listing_id VARCHAR(50),
-        deck_id INTEGER,
-        request_payload JSONB,
-        response_payload JSONB,
-        error_message TEXT,
-        success BOOLEAN DEFAULT true,
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-
-    // eBay templates - user-configurable templates for titles, descriptions, etc.
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS ebay_templates (
-        id SERIAL PRIMARY KEY,
-        user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
-        template_type VARCHAR(50) NOT NULL,
-        template_name VARCHAR(100),
-        template_content TEXT NOT NULL,
-        is_default BOOLEAN DEFAULT false,
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-
-    // Insert default templates if they don't exist
-    await pool.query(`
-      INSERT INTO ebay_templates (user_id, template_type, template_name, template_content, is_default)
-      SELECT NULL, 'title', 'Default Title', '{commander} - {theme} - 100 Card EDH MTG Commander Deck', true
-      WHERE NOT EXISTS (SELECT 1 FROM ebay_templates WHERE template_type = 'title' AND is_default = true AND user_id IS NULL)
-    `).catch(() => { });
-
-    await pool.query(`
-      INSERT INTO ebay_templates (user_id, template_type, template_name, template_content, is_default)
-      SELECT NULL, 'condition', 'Default Condition', 'Cards are in Near Mint to Lightly Played condition.', true
-      WHERE NOT EXISTS (SELECT 1 FROM ebay_templates WHERE template_type = 'condition' AND is_default = true AND user_id IS NULL)
-    `).catch(() => { });
-
-    await pool.query(`
-      INSERT INTO ebay_templates (user_id, template_type, template_name, template_content, is_default)
-      SELECT NULL, 'includes', 'Default Includes', 'Includes 100-card Commander deck, sleeved in premium sleeves, shipped in a secure deck box.', true
-      WHERE NOT EXISTS (SELECT 1 FROM ebay_templates WHERE template_type = 'includes' AND is_default = true AND user_id IS NULL)
-    `).catch(() => { });
-
-    // ========== PERFORMANCE INDEXES ==========
-    // Note: Create indexes in parallel for better performance
-    // Using Promise.all for independent index creation operations
-    await Promise.all([
-      // Index for case-insensitive card name lookups
-      pool.query(`
-        CREATE INDEX IF NOT EXISTS idx_inventory_name_lower 
-        ON inventory(LOWER(TRIM(name)));
-      `).catch(() => { }),
-
-      // Index for inventory user_id (frequent WHERE clause)
-      pool.query(`
-        CREATE INDEX IF NOT EXISTS idx_inventory_user_id 
-        ON inventory(user_id);
-      `).catch(() => { }),
-
-      // Index for decks user_id (frequent WHERE clause)
-      pool.query(`
-        CREATE INDEX IF NOT EXISTS idx_decks_user_id 
-        ON decks(user_id);
-      `).catch(() => { }),
-
-      // Index for deck reservation lookups by deck
-      pool.query(`
-        CREATE INDEX IF NOT EXISTS idx_deck_reservations_deck_id 
-        ON deck_reservations(deck_id);
-      `).catch(() => { }),
-
-      // Index for deck reservation lookups by inventory item
-      pool.query(`
-        CREATE INDEX IF NOT EXISTS idx_deck_reservations_inventory_id 
-        ON deck_reservations(inventory_item_id);
-      `).catch(() => { }),
-
-      // Composite index for deck reservations (deck_id, inventory_item_id)
-      pool.query(`
-        CREATE INDEX IF NOT EXISTS idx_deck_reservations_composite 
-        ON deck_reservations(deck_id, inventory_item_id);
-      `).catch(() => { }),
-
-      // Index for inventory folder filtering
-      pool.query(`
-        CREATE INDEX IF NOT EXISTS idx_inventory_folder 
-        ON inventory(folder);
-      `).catch(() => { }),
-
-      // Index for deck instances lookup
-      pool.query(`
-        CREATE INDEX IF NOT EXISTS idx_decks_is_instance 
-        ON decks(is_deck_instance);
-      `).catch(() => { }),
-
-      // Indexes for change history
-      pool.query(`
-        CREATE INDEX IF NOT EXISTS idx_change_history_card_id 
-        ON change_history(card_id);
-      `).catch(() => { }),
-
-      pool.query(`
-        CREATE INDEX IF NOT EXISTS idx_change_history_changed_at 
-        ON change_history(changed_at DESC);
-      `).catch(() => { }),
-
-      // Indexes for audit log
-      pool.query(`
-        CREATE INDEX IF NOT EXISTS idx_audit_log_created_at 
-        ON audit_log(created_at DESC);
-      `).catch(() => { }),
-
-      pool.query(`
-        CREATE INDEX IF NOT EXISTS idx_audit_log_action_type 
-        ON audit_log(action_type);
-      `).catch(() => { }),
-
-      // Indexes for activity feed
-      pool.query(`
-        CREATE INDEX IF NOT EXISTS idx_activity_feed_created_at 
-        ON activity_feed(created_at DESC);
-      `).catch(() => { }),
-
-      pool.query(`
-        CREATE INDEX IF NOT EXISTS idx_activity_feed_activity_type
-        ON activity_feed(activity_type);
-      `).catch(() => { }),
-
-      // Indexes for eBay integration
-      pool.query(`
-        CREATE INDEX IF NOT EXISTS idx_ebay_connections_user_id
-        ON ebay_connections(user_id);
-      `).catch(() => { }),
-
-      pool.query(`
-        CREATE INDEX IF NOT EXISTS idx_ebay_listings_user_id
-        ON ebay_listings(user_id);
-      `).catch(() => { }),
-
-      pool.query(`
-        CREATE INDEX IF NOT EXISTS idx_ebay_listings_deck_id
-        ON ebay_listings(deck_id);
-      `).catch(() => { }),
-
-      pool.query(`
-        CREATE INDEX IF NOT EXISTS idx_ebay_listings_status
-        ON ebay_listings(status);
-      `).catch(() => { }),
-
-      pool.query(`
-        CREATE INDEX IF NOT EXISTS idx_ebay_sync_log_user_id
-        ON ebay_sync_log(user_id);
-      `).catch(() => { }),
-
-      pool.query(`
-        CREATE INDEX IF NOT EXISTS idx_ebay_sync_log_created_at
-        ON ebay_sync_log(created_at DESC);
-      `).catch(() => { }),
-
-      pool.query(`
-        CREATE INDEX IF NOT EXISTS idx_ebay_templates_user_id
-        ON ebay_templates(user_id);
-      `).catch(() => { }),
-
-      pool.query(`
-        CREATE INDEX IF NOT EXISTS idx_ebay_templates_type
-        ON ebay_templates(template_type);
-      `).catch(() => { }),
-
-      pool.query(`
-        CREATE INDEX IF NOT EXISTS idx_ebay_listings_deck_instance_id
-        ON ebay_listings(deck_instance_id);
-      `).catch(() => { }),
-    ]);
-
-    // ========== SUBSTITUTION GROUPS TABLES ==========
-
-    // Substitution groups table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS substitution_groups (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        description TEXT,
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-
-    // Substitution group cards table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS substitution_group_cards (
-        id SERIAL PRIMARY KEY,
-        group_id INTEGER REFERENCES substitution_groups(id) ON DELETE CASCADE,
-        scryfall_id VARCHAR(255) NOT NULL,
-        card_name VARCHAR(255),
-        added_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-
-    // Indexes for substitution groups
-    await Promise.all([
-      pool.query(`
-        CREATE INDEX IF NOT EXISTS idx_substitution_group_cards_group_id 
-        ON substitution_group_cards(group_id);
-      `).catch(() => { }),
-
-      pool.query(`
-        CREATE INDEX IF NOT EXISTS idx_substitution_group_cards_scryfall_id 
-        ON substitution_group_cards(scryfall_id);
-      `).catch(() => { }),
-    ]);
-
-    console.log('[DB] ✓ Database initialized successfully');
-  } catch (err) {
-    console.error('[DB] ✗ Failed to initialize database:', err);
+// The schema is defined by the versioned migrations in migrate/versions.
+// Failures are rethrown so the server refuses to start on a half-migrated schema.
+export async function initializeDatabase({ db = pool } = {}) {
+  const migrator = createMigrator({ pool: db });
+  const { applied } = await migrator.migrate();
+
+  if (applied.length > 0) {
+    console.log(`[DB] ✓ Applied ${applied.length} migration(s): ${applied.join(', ')}`);
+  } else {
+    console.log('[DB] ✓ Schema is up to date');
   }
+  console.log('[DB] ✓ Database initialized successfully');
 }
@@ -0,0 +1,239 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+// ========== VERSIONED SCHEMA MIGRATIONS ==========
+// Migrations live in migrate/versions as <version>_<name>.up.sql with an optional
+// matching .down.sql. Each runs in its own transaction and is recorded in
+// schema_migrations with a checksum, so edits to an applied file are caught.
+
+export const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../migrate/versions');
+
+const MIGRATIONS_TABLE = 'schema_migrations';
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Held while migrating so several instances booting at once don't race
+const ADVISORY_LOCK_KEY = 727274001;
+
+/**
+ * Error raised when migrations can't be loaded, verified or applied
+ */
+export class MigrationError extends Error {
+  constructor(message, { cause } = {}) {
+    super(message, { cause });
+    this.name = 'MigrationError';
+  }
+}
+
+export function checksum(sql) {
+  // Line endings differ between checkouts; they shouldn't count as an edit
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Read the migration files in a directory, ordered by version
+ * @returns {Array<{version: number, name: string, id: string, up: string, down: string|null, checksum: string}>}
+ */
+export function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.sql')).sort()) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) {
+      throw new MigrationError(`Unrecognized migration file name: ${file} (expected <version>_<name>.up.sql or .down.sql)`);
+    }
+
+    const [, versionText, name, direction] = match;
+    const version = parseInt(versionText, 10);
+    const entry = byVersion.get(version) || { version, name, id: `${versionText}_${name}`, up: null, down: null };
+    if (entry.name !== name) {
+      throw new MigrationError(`Migration version ${version} is used by both ${entry.id} and ${versionText}_${name}`);
+    }
+    entry[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, entry);
+  }
+
+  return Array.from(byVersion.values())
+    .sort((a, b) => a.version - b.version)
+    .map(entry => {
+      if (entry.up === null) throw new MigrationError(`Migration ${entry.id} has a down file but no up file`);
+      return { ...entry, checksum: checksum(entry.up) };
+    });
+}
+
+/**
+ * Create a migrator bound to a pool
+ * @param {{pool, dir?: string, log?: Function}} options
+ */
+export function createMigrator({ pool, dir = MIGRATIONS_DIR, log = console.log }) {
+  async function ensureTable(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum VARCHAR(64) NOT NULL,
+        applied_at TIMESTAMP DEFAULT NOW(),
+        execution_ms INTEGER
+      )
+    `);
+  }
+
+  async function getApplied(db) {
+    const exists = await db.query('SELECT to_regclass($1) AS table_name', [MIGRATIONS_TABLE]);
+    if (!exists.rows[0]?.table_name) return [];
+    const result = await db.query(`SELECT version, name, checksum, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY version`);
+    return result.rows;
+  }
+
+  function compare(migrations, applied) {
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+    const fileVersions = new Set(migrations.map(m => m.version));
+
+    const entries = migrations.map(migration => {
+      const row = appliedByVersion.get(migration.version);
+      let state = 'pending';
+      if (row) state = row.checksum === migration.checksum ? 'applied' : 'modified';
+      return {
+        version: migration.version,
+        id: migration.id,
+        state,
+        appliedAt: row?.applied_at ?? null,
+        reversible: migration.down !== null
+      };
+    });
+
+    for (const row of applied) {
+      if (!fileVersions.has(row.version)) {
+        entries.push({ version: row.version, id: `${String(row.version).padStart(4, '0')}_${row.name}`, state: 'missing', appliedAt: row.applied_at, reversible: false });
+      }
+    }
+
+    return entries.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Applied migrations must match the files on disk before anything else runs
+   */
+  function assertConsistent(entries) {
+    const modified = entries.filter(e => e.state === 'modified').map(e => e.id);
+    if (modified.length > 0) {
+      throw new MigrationError(`Applied migrations were edited after being applied: ${modified.join(', ')}. Add a new migration instead.`);
+    }
+    const missing = entries.filter(e => e.state === 'missing').map(e => e.id);
+    if (missing.length > 0) {
+      throw new MigrationError(`Applied migrations are missing from ${dir}: ${missing.join(', ')}`);
+    }
+  }
+
+  async function withLock(work) {
+    const client = await pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [ADVISORY_LOCK_KEY]);
+      try {
+        return await work(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_KEY]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  async function runInTransaction(client, migration, direction, sql) {
+    const started = Date.now();
+    try {
+      await client.query('BEGIN');
+      await client.query(sql);
+      if (direction === 'up') {
+        await client.query(
+          `INSERT INTO ${MIGRATIONS_TABLE} (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)`,
+          [migration.version, migration.name, migration.checksum, Date.now() - started]
+        );
+      } else {
+        await client.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE version = $1`, [migration.version]);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new MigrationError(`Migration ${migration.id} (${direction}) failed: ${error.message}`, { cause: error });
+    }
+    log(`[MIGRATE] ✓ ${direction === 'up' ? 'Applied' : 'Rolled back'} ${migration.id} (${Date.now() - started}ms)`);
+  }
+
+  /**
+   * Every known migration with its state: applied, pending, modified (checksum
+   * differs from the applied file) or missing (applied but the file is gone)
+   */
+  async function status() {
+    const migrations = loadMigrations(dir);
+    return compare(migrations, await getApplied(pool));
+  }
+
+  /**
+   * Apply pending migrations in version order, up to and including `to` when given.
+   * With dryRun nothing is executed; the result lists what would be applied.
+   */
+  async function migrate({ dryRun = false, to = Infinity } = {}) {
+    const migrations = loadMigrations(dir);
+
+    if (dryRun) {
+      const entries = compare(migrations, await getApplied(pool));
+      assertConsistent(entries);
+      const pending = entries.filter(e => e.state === 'pending' && e.version <= to).map(e => e.id);
+      pending.forEach(id => log(`[MIGRATE] Would apply ${id}`));
+      return { applied: pending, dryRun: true };
+    }
+
+    return withLock(async client => {
+      await ensureTable(client);
+      const entries = compare(migrations, await getApplied(client));
+      assertConsistent(entries);
+
+      const pendingVersions = new Set(entries.filter(e => e.state === 'pending' && e.version <= to).map(e => e.version));
+      const applied = [];
+      for (const migration of migrations.filter(m => pendingVersions.has(m.version))) {
+        await runInTransaction(client, migration, 'up', migration.up);
+        applied.push(migration.id);
+      }
+      return { applied, dryRun: false };
+    });
+  }
+
+  /**
+   * Roll back the most recently applied migrations, newest first
+   */
+  async function rollback({ steps = 1, dryRun = false } = {}) {
+    const migrations = loadMigrations(dir);
+    const byVersion = new Map(migrations.map(m => [m.version, m]));
+
+    const plan = (entries) => {
+      assertConsistent(entries);
+      const targets = entries.filter(e => e.state === 'applied').reverse().slice(0, steps);
+      const irreversible = targets.filter(e => !e.reversible).map(e => e.id);
+      if (irreversible.length > 0) {
+        throw new MigrationError(`Cannot roll back ${irreversible.join(', ')}: no down migration`);
+      }
+      return targets.map(e => byVersion.get(e.version));
+    };
+
+    if (dryRun) {
+      const targets = plan(compare(migrations, await getApplied(pool)));
+      targets.forEach(m => log(`[MIGRATE] Would roll back ${m.id}`));
+      return { rolledBack: targets.map(m => m.id), dryRun: true };
+    }
+
+    return withLock(async client => {
+      await ensureTable(client);
+      const targets = plan(compare(migrations, await getApplied(client)));
+      const rolledBack = [];
+      for (const migration of targets) {
+        await runInTransaction(client, migration, 'down', migration.down);
+        rolledBack.push(migration.id);
+      }
+      return { rolledBack, dryRun: false };
+    });
+  }
+
+  return { status, migrate, rollback };
+}
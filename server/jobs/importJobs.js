@@ -0,0 +1,60 @@
+import { pool as defaultPool } from '../db/pool.js';
+import {
+  resolveImportChunk,
+  commitImportChunk,
+  failImportJob,
+  listInterruptedImportJobs
+} from '../services/importJobService.js';
+
+// Jobs running in this process, so a second request for the same job joins the first run
+const runningJobs = new Map();
+
+/**
+ * Work a job through whatever stage it's in: resolve pending rows chunk by chunk (which
+ * leaves it 'ready' for its dry run), or commit chunk by chunk until it's completed.
+ * Never rejects; a failure marks the job 'failed' so it can be resumed.
+ * @param {number} jobId
+ * @param {{db?, resolver?}} options
+ * @returns {Promise<void>}
+ */
+export function runImportJob(jobId, { db = defaultPool, resolver } = {}) {
+  if (runningJobs.has(jobId)) return runningJobs.get(jobId);
+
+  const run = (async () => {
+    try {
+      while (await resolveImportChunk(db, jobId, { resolver }) > 0) {
+        // Next chunk; the Scryfall queue does the pacing
+      }
+      while (await commitImportChunk(db, jobId) > 0) {
+        // Next chunk
+      }
+    } catch (err) {
+      console.error(`[IMPORT-JOB] Job ${jobId} failed:`, err?.message || err);
+      await failImportJob(db, jobId, err?.message || 'Import failed').catch(failError => {
+        console.error(`[IMPORT-JOB] Could not mark job ${jobId} as failed:`, failError.message);
+      });
+    } finally {
+      runningJobs.delete(jobId);
+    }
+  })();
+
+  runningJobs.set(jobId, run);
+  return run;
+}
+
+/**
+ * Pick up jobs a previous server process left resolving or committing
+ * @returns {Promise<Array<number>>} Resumed job ids
+ */
+export async function resumeImportJobs({ db = defaultPool } = {}) {
+  const jobIds = await listInterruptedImportJobs(db);
+  for (const jobId of jobIds) {
+    runImportJob(jobId, { db });
+  }
+  if (jobIds.length > 0) {
+    console.log(`[IMPORT-JOB] Resuming ${jobIds.length} interrupted import job(s)`);
+  }
+  return jobIds;
+}
+
+export default { runImportJob, resumeImportJobs };
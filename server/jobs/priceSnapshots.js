@@ -0,0 +1,39 @@
+import { pool as defaultPool } from '../db/pool.js';
+import { mtgjsonService } from '../mtgjsonPriceService.js';
+import { snapshotInventoryPrices } from '../services/priceHistoryService.js';
+
+const SNAPSHOT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Refresh MTGJSON prices if they're stale, then store today's snapshot.
+ * @param {{db?, priceSource?}} options
+ * @returns {Object} stats
+ */
+export async function runPriceSnapshot({ db = defaultPool, priceSource = mtgjsonService } = {}) {
+  // The service only refreshes on boot; the daily job keeps it current as well
+  if (priceSource.isCacheStale?.()) {
+    await priceSource.refreshPriceData();
+  }
+
+  const stats = await snapshotInventoryPrices(db, priceSource);
+  console.log(`[PRICE-SNAPSHOT] ✓ Stored ${stats.stored} snapshots for ${stats.cards} cards (${stats.dates.join(', ') || 'no prices'})`);
+  return stats;
+}
+
+/**
+ * Run the snapshot now and then once a day for the life of the process
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export function schedulePriceSnapshots({ intervalMs = SNAPSHOT_INTERVAL_MS, ...options } = {}) {
+  const run = () => runPriceSnapshot(options).catch(err => {
+    console.error('[PRICE-SNAPSHOT] Snapshot failed:', err?.message || err);
+  });
+
+  setImmediate(run);
+  const timer = setInterval(run, intervalMs);
+  // Don't keep the process alive just for the schedule
+  timer.unref?.();
+  return timer;
+}
+
+export default { runPriceSnapshot, schedulePriceSnapshots };
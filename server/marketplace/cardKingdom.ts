@@ -0,0 +1,120 @@
+/**
+ * Card Kingdom marketplace adapter
+ * Card Kingdom has no listings API, so offers come from its retail prices in the
+ * MTGJSON price data: one Near Mint, non-foil offer per card from a single seller.
+ * Set MARKETPLACE_CLIENT=fake to use fixture prices instead.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import type { Offer, ShippingRule } from '../autobuy/types.js';
+import { CK_SELLER_ID } from '../autobuy/optimizer.js';
+import type { CardKingdomPriceSource, CardRequest, MarketplaceAdapter } from './types.js';
+
+// MTGJSON has prices but no stock levels
+const DEFAULT_ASSUMED_QUANTITY = 4;
+
+const FIXTURE_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'cardkingdom-prices.json');
+
+/**
+ * Card Kingdom's shipping rule; override with CARDKINGDOM_SHIPPING_BASE and
+ * CARDKINGDOM_FREE_SHIPPING_AT when their policy changes
+ */
+export function getCardKingdomShipping(): ShippingRule {
+    return {
+        base: Number(process.env.CARDKINGDOM_SHIPPING_BASE ?? 5.99),
+        freeAt: Number(process.env.CARDKINGDOM_FREE_SHIPPING_AT ?? 50),
+    };
+}
+
+/**
+ * Build Card Kingdom offers from a scryfallId -> price lookup
+ */
+export function buildCardKingdomOffers(
+    cards: CardRequest[],
+    getPrice: (scryfallId: string) => number | null | undefined,
+    assumedQuantity = DEFAULT_ASSUMED_QUANTITY
+): Offer[] {
+    const shipping = getCardKingdomShipping();
+    const offers: Offer[] = [];
+
+    for (const card of cards) {
+        const price = getPrice(card.scryfallId);
+        if (!price || price <= 0) continue;
+
+        offers.push({
+            marketplace: 'CK',
+            sellerId: CK_SELLER_ID,
+            sellerName: 'Card Kingdom',
+            cardId: card.scryfallId,
+            price,
+            quantityAvailable: assumedQuantity,
+            condition: 'Near Mint',
+            foil: false,
+            shipping,
+            sellerRating: 1,
+        });
+    }
+
+    return offers;
+}
+
+export class CardKingdomAdapter implements MarketplaceAdapter {
+    readonly marketplace = 'CK' as const;
+
+    /**
+     * @param priceSource - Defaults to the shared MTGJSON price service, loaded on first use
+     */
+    constructor(private priceSource?: CardKingdomPriceSource) {}
+
+    private async getPriceSource(): Promise<CardKingdomPriceSource> {
+        if (!this.priceSource) {
+            const { mtgjsonService } = await import('../mtgjsonPriceService.js');
+            this.priceSource = mtgjsonService as CardKingdomPriceSource;
+        }
+        return this.priceSource;
+    }
+
+    async fetchOffers(cards: CardRequest[]): Promise<Offer[]> {
+        try {
+            const source = await this.getPriceSource();
+            return buildCardKingdomOffers(cards, id => source.getPricesByScryfallId(id).cardkingdom);
+        } catch (err) {
+            console.error('[CardKingdom] Price lookup failed:', (err as Error).message);
+            return [];
+        }
+    }
+}
+
+/**
+ * Offline adapter serving prices from fixtures/cardkingdom-prices.json (scryfallId -> price)
+ */
+export class FakeCardKingdomAdapter implements MarketplaceAdapter {
+    readonly marketplace = 'CK' as const;
+    private readonly prices: Record<string, number>;
+
+    constructor(prices?: Record<string, number>) {
+        this.prices = prices ?? JSON.parse(fs.readFileSync(FIXTURE_PATH, 'utf8'));
+    }
+
+    async fetchOffers(cards: CardRequest[]): Promise<Offer[]> {
+        return buildCardKingdomOffers(cards, id => this.prices[id]);
+    }
+}
+
+/**
+ * Create the Card Kingdom adapter selected by MARKETPLACE_CLIENT ('live' by default, or 'fake')
+ */
+export function createCardKingdomAdapter(priceSource?: CardKingdomPriceSource): MarketplaceAdapter {
+    if ((process.env.MARKETPLACE_CLIENT || '').toLowerCase() === 'fake') {
+        return new FakeCardKingdomAdapter();
+    }
+    return new CardKingdomAdapter(priceSource);
+}
+
+export default {
+    buildCardKingdomOffers,
+    getCardKingdomShipping,
+    createCardKingdomAdapter,
+};
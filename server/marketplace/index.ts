@@ -0,0 +1,158 @@
+/**
+ * Marketplace aggregator
+ * Fetches offers from every enabled marketplace, merges and dedupes them,
+ * and caches the result briefly so repeated optimizer runs don't refetch.
+ */
+
+import type { Marketplace, Offer } from '../autobuy/types.js';
+import { createTCGPlayerAdapter } from './tcgplayer.js';
+import { createCardKingdomAdapter } from './cardKingdom.js';
+import type { CardRequest, FetchOffersOptions, MarketplaceAdapter, MarketplaceConfig } from './types.js';
+
+export const CACHE_TTL_MS = 15 * 60 * 1000;
+
+interface CacheEntry {
+    offers: Offer[];
+    expiresAt: number;
+}
+
+const offerCache = new Map<string, CacheEntry>();
+
+/**
+ * Cache key for one fetch: the cards, plus the marketplaces asked and the condition filter,
+ * since either changes which offers come back
+ */
+export function getCacheKey(
+    cardIds: string[],
+    { marketplaces = [], excludeHeavilyPlayed = false }: { marketplaces?: Marketplace[]; excludeHeavilyPlayed?: boolean } = {}
+): string {
+    const scope = `${[...marketplaces].sort().join('+')}|${excludeHeavilyPlayed ? 'no-hp' : 'all'}`;
+    return `${scope}|${[...cardIds].sort().join(',')}`;
+}
+
+export function clearCache(): void {
+    offerCache.clear();
+}
+
+export function getOfferKey(offer: Offer): string {
+    return `${offer.marketplace}:${offer.sellerId}:${offer.cardId}`;
+}
+
+/**
+ * Merge offer lists, keeping one offer per marketplace/seller/card: the cheapest,
+ * or the better-rated seller's when prices tie
+ */
+export function mergeAndDedupeOffers(offerArrays: Offer[][]): Offer[] {
+    const best = new Map<string, Offer>();
+
+    for (const offers of offerArrays) {
+        for (const offer of offers) {
+            const key = getOfferKey(offer);
+            const existing = best.get(key);
+            if (
+                !existing ||
+                offer.price < existing.price ||
+                (offer.price === existing.price && (offer.sellerRating ?? 0) > (existing.sellerRating ?? 0))
+            ) {
+                best.set(key, offer);
+            }
+        }
+    }
+
+    return Array.from(best.values());
+}
+
+export function getConfigFromEnv(): MarketplaceConfig {
+    return {
+        tcgplayer: {
+            apiKey: process.env.TCGPLAYER_API_KEY || '',
+            enabled: process.env.TCGPLAYER_ENABLED === 'true',
+        },
+        manabox: {
+            apiKey: process.env.MANABOX_API_KEY || '',
+            enabled: process.env.MANABOX_ENABLED === 'true',
+        },
+        cardKingdom: {
+            enabled: process.env.CARDKINGDOM_ENABLED === 'true',
+        },
+    };
+}
+
+/**
+ * Marketplaces that are switched on and have the credentials they need
+ */
+export function getEnabledMarketplaces(config: MarketplaceConfig): Marketplace[] {
+    const enabled: Marketplace[] = [];
+    if (config.tcgplayer?.enabled && config.tcgplayer.apiKey) enabled.push('TCG');
+    if (config.manabox?.enabled && config.manabox.apiKey) enabled.push('MANABOX');
+    if (config.cardKingdom?.enabled) enabled.push('CK');
+    return enabled;
+}
+
+export function createAdapters(config: MarketplaceConfig = getConfigFromEnv()): MarketplaceAdapter[] {
+    const adapters: MarketplaceAdapter[] = [];
+
+    for (const marketplace of getEnabledMarketplaces(config)) {
+        switch (marketplace) {
+            case 'TCG':
+                adapters.push(createTCGPlayerAdapter(config.tcgplayer!.apiKey));
+                break;
+            case 'CK':
+                adapters.push(createCardKingdomAdapter());
+                break;
+            default:
+                console.warn(`[Marketplace] No adapter for ${marketplace} yet, skipping`);
+        }
+    }
+
+    return adapters;
+}
+
+/**
+ * Fetch offers for the cards from every enabled marketplace. A failing
+ * marketplace is logged and left out rather than failing the whole fetch.
+ */
+export async function fetchAllOffers(
+    cards: CardRequest[],
+    options: FetchOffersOptions & { config?: MarketplaceConfig; adapters?: MarketplaceAdapter[]; skipCache?: boolean } = {}
+): Promise<Offer[]> {
+    if (cards.length === 0) return [];
+
+    const adapters = options.adapters ?? createAdapters(options.config);
+    const cacheKey = getCacheKey(cards.map(c => c.scryfallId), {
+        marketplaces: adapters.map(adapter => adapter.marketplace),
+        excludeHeavilyPlayed: options.excludeHeavilyPlayed,
+    });
+    if (!options.skipCache) {
+        const cached = offerCache.get(cacheKey);
+        if (cached && cached.expiresAt > Date.now()) return cached.offers;
+    }
+
+    const results = await Promise.allSettled(
+        adapters.map(adapter => adapter.fetchOffers(cards, { excludeHeavilyPlayed: options.excludeHeavilyPlayed }))
+    );
+
+    const offerArrays: Offer[][] = [];
+    results.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+            offerArrays.push(result.value);
+        } else {
+            console.error(`[Marketplace] ${adapters[i].marketplace} fetch failed:`, result.reason?.message || result.reason);
+        }
+    });
+
+    const offers = mergeAndDedupeOffers(offerArrays);
+    offerCache.set(cacheKey, { offers, expiresAt: Date.now() + CACHE_TTL_MS });
+    return offers;
+}
+
+export type { CardRequest, FetchOffersOptions, MarketplaceAdapter, MarketplaceConfig } from './types.js';
+
+export default {
+    getConfigFromEnv,
+    getEnabledMarketplaces,
+    createAdapters,
+    fetchAllOffers,
+    mergeAndDedupeOffers,
+    clearCache,
+};
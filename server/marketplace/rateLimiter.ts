@@ -0,0 +1,48 @@
+/**
+ * Token bucket rate limiter for marketplace APIs
+ */
+export class TokenBucket {
+    private tokens: number;
+    private lastRefill: number;
+
+    /**
+     * @param capacity - Maximum burst size
+     * @param refillPerSecond - Tokens added back per second
+     */
+    constructor(private readonly capacity: number, private readonly refillPerSecond: number) {
+        this.tokens = capacity;
+        this.lastRefill = Date.now();
+    }
+
+    private refill(): void {
+        const now = Date.now();
+        const elapsed = (now - this.lastRefill) / 1000;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+        this.lastRefill = now;
+    }
+
+    /**
+     * Take a token if one is available
+     */
+    tryConsume(): boolean {
+        this.refill();
+        if (this.tokens < 1) return false;
+        this.tokens -= 1;
+        return true;
+    }
+
+    /**
+     * Wait until a token is available, then take it
+     */
+    async acquire(): Promise<void> {
+        while (!this.tryConsume()) {
+            const waitMs = Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000);
+            await new Promise(resolve => setTimeout(resolve, waitMs));
+        }
+    }
+
+    getRemainingTokens(): number {
+        this.refill();
+        return Math.floor(this.tokens);
+    }
+}
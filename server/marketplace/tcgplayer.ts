@@ -0,0 +1,248 @@
+/**
+ * TCGPlayer marketplace adapter
+ * Maps cards to TCGPlayer product IDs, fetches seller listings and normalizes them
+ * into optimizer Offers. Set MARKETPLACE_CLIENT=fake to use fixture listings instead.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import type { Offer } from '../autobuy/types.js';
+import { TokenBucket } from './rateLimiter.js';
+import type {
+    CardRequest,
+    FetchOffersOptions,
+    MarketplaceAdapter,
+    TCGPlayerProductSearchResult,
+    TCGPlayerRawListing,
+} from './types.js';
+
+const API_BASE_URL = (process.env.TCGPLAYER_API_BASE_URL || 'https://api.tcgplayer.com').replace(/\/+$/, '');
+const MAGIC_CATEGORY_ID = 1;
+const LISTINGS_BATCH_SIZE = 50; // Product IDs per listings request
+
+// Sellers need this many sales before their rating is fully trusted
+const RATING_CONFIDENCE_SALES = 100;
+// Share of the rating a seller with no sales keeps
+const MIN_RATING_CONFIDENCE = 0.8;
+
+export const EXCLUDED_CONDITIONS = new Set(['Damaged']);
+
+// TCGPlayer allows 300 requests per minute
+export const rateLimiter = new TokenBucket(300, 300 / 60);
+
+const FIXTURE_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'tcgplayer-listings.json');
+
+/**
+ * Whether a listing condition is never bought (any condition mentioning "Damaged")
+ */
+export function isConditionExcluded(condition: string): boolean {
+    const normalized = (condition || '').toLowerCase();
+    for (const excluded of EXCLUDED_CONDITIONS) {
+        if (normalized.includes(excluded.toLowerCase())) return true;
+    }
+    return false;
+}
+
+/**
+ * Convert a 0-100 feedback percentage to 0-1, discounted for sellers with few sales
+ */
+export function normalizeSellerRating(ratingPercent: number, sales: number): number {
+    const rating = Math.min(1, Math.max(0, (ratingPercent || 0) / 100));
+    const confidence = MIN_RATING_CONFIDENCE + (1 - MIN_RATING_CONFIDENCE) * Math.min(1, (sales || 0) / RATING_CONFIDENCE_SALES);
+    return rating * confidence;
+}
+
+/**
+ * Normalize raw listings into Offers. Listings are matched to cards by their
+ * _scryfallId or through productIdToScryfallId; unmatched, damaged, sold-out and
+ * seller-less listings are dropped.
+ */
+export function normalizeOffers(
+    listings: TCGPlayerRawListing[],
+    productIdToScryfallId: Map<number, string> = new Map(),
+    excludeHeavilyPlayed = false
+): Offer[] {
+    const offers: Offer[] = [];
+
+    for (const listing of listings) {
+        if (isConditionExcluded(listing.condition)) continue;
+        if (excludeHeavilyPlayed && /heavily played/i.test(listing.condition || '')) continue;
+        if (!listing.sellerKey || !(listing.quantity > 0) || !(listing.price > 0)) continue;
+
+        const cardId = listing._scryfallId ?? productIdToScryfallId.get(listing.productId);
+        if (!cardId) continue;
+
+        offers.push({
+            marketplace: 'TCG',
+            sellerId: listing.sellerKey,
+            sellerName: listing.sellerName,
+            cardId,
+            price: listing.price,
+            quantityAvailable: listing.quantity,
+            condition: listing.condition,
+            foil: /foil/i.test(listing.printing || ''),
+            shipping: {
+                base: listing.shippingPrice ?? 0,
+                freeAt: listing.freeShippingMinimum || undefined,
+            },
+            sellerRating: normalizeSellerRating(listing.sellerRating, listing.sellerSales),
+        });
+    }
+
+    return offers;
+}
+
+async function apiRequest(url: string, apiKey: string, init: { method?: string; body?: unknown } = {}): Promise<any> {
+    await rateLimiter.acquire();
+
+    const response = await fetch(url, {
+        method: init.method || 'GET',
+        headers: {
+            'Authorization': `Bearer ${apiKey}`,
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+        },
+        body: init.body ? JSON.stringify(init.body) : undefined,
+    });
+
+    if (!response.ok) {
+        throw new Error(`TCGPlayer API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (data && data.success === false) {
+        throw new Error(`TCGPlayer API error: ${(data.errors || []).join(', ') || 'request failed'}`);
+    }
+    return data;
+}
+
+/**
+ * Look up the TCGPlayer product ID for each card by name
+ * @returns Map of scryfallId -> productId (cards without a match are left out)
+ */
+export async function searchProductIds(cards: CardRequest[], apiKey: string): Promise<Map<string, number>> {
+    const productIds = new Map<string, number>();
+
+    for (const card of cards) {
+        const data = await apiRequest(`${API_BASE_URL}/catalog/categories/${MAGIC_CATEGORY_ID}/search`, apiKey, {
+            method: 'POST',
+            body: {
+                filters: [{ name: 'ProductName', values: [card.cardName] }],
+                limit: 10,
+            },
+        });
+
+        // The search endpoint returns bare product IDs; richer responses carry objects
+        const [first] = (data.results || []) as Array<number | TCGPlayerProductSearchResult>;
+        if (first !== undefined) {
+            productIds.set(card.scryfallId, typeof first === 'number' ? first : first.productId);
+        }
+    }
+
+    return productIds;
+}
+
+async function fetchListings(productIds: number[], apiKey: string): Promise<TCGPlayerRawListing[]> {
+    const listings: TCGPlayerRawListing[] = [];
+    for (let i = 0; i < productIds.length; i += LISTINGS_BATCH_SIZE) {
+        const batch = productIds.slice(i, i + LISTINGS_BATCH_SIZE);
+        const data = await apiRequest(`${API_BASE_URL}/pricing/product/${batch.join(',')}/listings`, apiKey);
+        listings.push(...(data.results || []));
+    }
+    return listings;
+}
+
+/**
+ * Map cards to products, fetch their listings and normalize them.
+ * cardInfo supplies names for the product search; without it the IDs are searched as names.
+ */
+export async function fetchAndNormalizeOffers(
+    cardIds: string[],
+    apiKey: string,
+    cardInfo?: CardRequest[],
+    options: FetchOffersOptions = {}
+): Promise<Offer[]> {
+    if (cardIds.length === 0) return [];
+
+    const cards = cardIds.map(id =>
+        cardInfo?.find(c => c.scryfallId === id) ?? { scryfallId: id, cardName: id }
+    );
+    const productIds = await searchProductIds(cards, apiKey);
+    if (productIds.size === 0) return [];
+
+    const productIdToScryfallId = new Map<number, string>();
+    for (const [scryfallId, productId] of productIds) productIdToScryfallId.set(productId, scryfallId);
+
+    const listings = await fetchListings(Array.from(productIdToScryfallId.keys()), apiKey);
+    return normalizeOffers(listings, productIdToScryfallId, options.excludeHeavilyPlayed);
+}
+
+/**
+ * Like fetchAndNormalizeOffers, but logs failures and returns no offers instead of throwing
+ */
+export async function searchOffers(
+    cardIds: string[],
+    apiKey: string,
+    cardInfo?: CardRequest[],
+    options: FetchOffersOptions = {}
+): Promise<Offer[]> {
+    if (cardIds.length === 0) return [];
+
+    try {
+        return await fetchAndNormalizeOffers(cardIds, apiKey, cardInfo, options);
+    } catch (err) {
+        console.error('[TCGPlayer] Offer search failed:', (err as Error).message);
+        return [];
+    }
+}
+
+export class TCGPlayerAdapter implements MarketplaceAdapter {
+    readonly marketplace = 'TCG' as const;
+
+    constructor(private readonly apiKey: string) {}
+
+    fetchOffers(cards: CardRequest[], options: FetchOffersOptions = {}): Promise<Offer[]> {
+        return searchOffers(cards.map(c => c.scryfallId), this.apiKey, cards, options);
+    }
+}
+
+/**
+ * Offline adapter serving listings from fixtures/tcgplayer-listings.json,
+ * which keys raw listings by Scryfall ID
+ */
+export class FakeTCGPlayerAdapter implements MarketplaceAdapter {
+    readonly marketplace = 'TCG' as const;
+    private readonly listingsByCard: Record<string, TCGPlayerRawListing[]>;
+
+    constructor(listingsByCard?: Record<string, TCGPlayerRawListing[]>) {
+        this.listingsByCard = listingsByCard ?? JSON.parse(fs.readFileSync(FIXTURE_PATH, 'utf8'));
+    }
+
+    async fetchOffers(cards: CardRequest[], options: FetchOffersOptions = {}): Promise<Offer[]> {
+        const listings = cards.flatMap(card =>
+            (this.listingsByCard[card.scryfallId] ?? []).map(l => ({ ...l, _scryfallId: card.scryfallId }))
+        );
+        return normalizeOffers(listings, undefined, options.excludeHeavilyPlayed);
+    }
+}
+
+/**
+ * Create the TCGPlayer adapter selected by MARKETPLACE_CLIENT ('live' by default, or 'fake')
+ */
+export function createTCGPlayerAdapter(apiKey: string): MarketplaceAdapter {
+    if ((process.env.MARKETPLACE_CLIENT || '').toLowerCase() === 'fake') {
+        return new FakeTCGPlayerAdapter();
+    }
+    return new TCGPlayerAdapter(apiKey);
+}
+
+export default {
+    searchProductIds,
+    searchOffers,
+    fetchAndNormalizeOffers,
+    normalizeOffers,
+    normalizeSellerRating,
+    isConditionExcluded,
+    createTCGPlayerAdapter,
+};
@@ -0,0 +1,68 @@
+/**
+ * Marketplace adapter types
+ * Every marketplace adapter turns its source data into optimizer Offers.
+ */
+
+import type { Marketplace, Offer } from '../autobuy/types.js';
+
+export interface CardRequest {
+    scryfallId: string;
+    cardName: string;
+    setCode?: string;
+}
+
+export interface FetchOffersOptions {
+    excludeHeavilyPlayed?: boolean;
+}
+
+export interface MarketplaceAdapter {
+    readonly marketplace: Marketplace;
+    /**
+     * Normalized offers for the requested cards. Adapters log and return what they
+     * could fetch rather than throwing for individual card failures.
+     */
+    fetchOffers(cards: CardRequest[], options?: FetchOffersOptions): Promise<Offer[]>;
+}
+
+export interface MarketplaceConfig {
+    tcgplayer?: { apiKey: string; enabled: boolean };
+    manabox?: { apiKey: string; enabled: boolean };
+    cardKingdom?: { enabled: boolean };
+}
+
+/**
+ * One listing as returned by the TCGPlayer listings API
+ */
+export interface TCGPlayerRawListing {
+    listingId: number;
+    productId: number;
+    productName: string;
+    setName: string;
+    condition: string;
+    printing: string; // 'Normal' | 'Foil'
+    language: string;
+    quantity: number;
+    price: number;
+    sellerKey: string;
+    sellerName: string;
+    sellerRating: number; // Percentage, 0-100
+    sellerSales: number;
+    channelId: number;
+    shippingPrice?: number;
+    freeShippingMinimum?: number;
+    _scryfallId?: string; // Attached once the product is mapped to a card
+}
+
+export interface TCGPlayerProductSearchResult {
+    productId: number;
+    name: string;
+    groupId: number;
+    categoryId: number;
+}
+
+/**
+ * Price lookup the Card Kingdom adapter reads from (the MTGJSON price service)
+ */
+export interface CardKingdomPriceSource {
+    getPricesByScryfallId(scryfallId: string): { cardkingdom: number | null };
+}
@@ -0,0 +1,11 @@
+/**
+ * Whether a user is an admin: their id is listed in the comma-separated ADMIN_USER_IDS env var
+ * @param {string} userId
+ * @returns {boolean}
+ */
+export function isAdmin(userId) {
+  const env = process.env.ADMIN_USER_IDS || '';
+  if (!env) return false;
+  const ids = env.split(',').map(s => s.trim()).filter(Boolean);
+  return ids.includes(userId);
+}
@@ -3,6 +3,7 @@ export { validateId } from './validateId.js';
 export { priceLimiter, aiApiLimiter, apiLimiter } from './rateLimiter.js';
 export { errorHandler } from './errorHandler.js';
 export { authenticate, optionalAuth } from './auth.js';
+export { isAdmin } from './admin.js';
 export { authenticateApiKey } from './apiKeyAuth.js';
 export { requestId } from './requestId.js';
 export { asyncHandler } from './asyncHandler.js';
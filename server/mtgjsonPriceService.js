@@ -7,6 +7,7 @@ import StreamObject from 'stream-json/streamers/StreamObject.js';
 import Pick from 'stream-json/filters/Pick.js';
 import streamChainPkg from 'stream-chain';
 import { Storage } from '@google-cloud/storage';
+import { extractCardRules } from './utils/cardRulesMetadata.js';
 
 const { chain } = streamChainPkg;
 
@@ -46,6 +47,8 @@ class MtgjsonPriceService {
     this.scryfallToMtgjsonMap = new Map();
     // Maps normalized card name -> card metadata
     this.cardDataByName = new Map();
+    // Called with the card catalog records after each identifiers download
+    this.identifiersListeners = [];
     this.lastFetchTime = null;
     this.isLoading = false;
     this.loadPromise = null;
@@ -58,7 +61,7 @@ class MtgjsonPriceService {
     await this.loadCacheFromDisk();
 
     // If cache is stale, empty, or missing metadata, refresh in background
-    if (this.isCacheStale() || this.cardDataByName.size === 0) {
+    if (this.isCacheStale() || this.cardDataByName.size === 0 || !this.hasRulesMetadata()) {
       console.log('[MTGJSON] Cache missing metadata or stale, starting refresh...');
       this.refreshPriceData().catch(err => {
         console.error('[MTGJSON] Background refresh failed:', err.message);
@@ -74,6 +77,14 @@ class MtgjsonPriceService {
     return Date.now() - this.lastFetchTime > CACHE_DURATION_MS;
   }
 
+  /**
+   * Check the card data carries legalities; caches written before they were stored need a refresh
+   */
+  hasRulesMetadata() {
+    const first = this.cardDataByName.values().next().value;
+    return Boolean(first?.legalities);
+  }
+
   /**
    * Check if the service is ready (has loaded Scryfall->MTGJSON mappings and card data)
    */
@@ -192,6 +203,26 @@ class MtgjsonPriceService {
     }
   }
 
+  /**
+   * Register a listener that receives the card catalog records (one per card face:
+   * uuid, scryfallId, oracleId, names, set, number and gameplay fields) each time
+   * AllIdentifiers is downloaded
+   * @param {Function} listener - (records: Array<Object>) => void|Promise<void>
+   */
+  onIdentifiersLoaded(listener) {
+    this.identifiersListeners.push(listener);
+  }
+
+  /**
+   * Download AllIdentifiers now, regardless of cache age
+   */
+  async refreshIdentifiers() {
+    if (this.isLoading) {
+      return this.loadPromise;
+    }
+    await this._fetchIdentifiersData();
+  }
+
   /**
    * Fetch data from a URL with timeout
    */
@@ -287,6 +318,7 @@ class MtgjsonPriceService {
       // Use streaming parser to avoid loading entire file into memory
       const newMap = new Map();
       const newCardDataMap = new Map();
+      const catalogRecords = this.identifiersListeners.length > 0 ? [] : null;
       let processedCount = 0;
 
       return new Promise((resolve, reject) => {
@@ -311,22 +343,46 @@ class MtgjsonPriceService {
 
               // Also store card metadata for local lookups
               if (cardData && cardData.name) {
-                const normalizedKey = cardData.name.toLowerCase().trim();
-                // Store minimal metadata for analysis components
-                if (!newCardDataMap.has(normalizedKey)) {
-                  newCardDataMap.set(normalizedKey, {
-                    nameList: [cardData.name],
-                    cmc: cardData.manaValue ?? 0,
-                    manaCost: cardData.manaCost || '',
-                    colors: cardData.colors || [],
-                    types: cardData.types || [],
-                    typeLine: cardData.type || '',
-                    colorIdentity: cardData.colorIdentity || [],
-                    rarity: cardData.rarity || 'common'
-                  });
+                // Index multi-face cards by each face name too, since decklists often use the front face
+                const keys = [cardData.name, cardData.faceName].filter(Boolean).map(name => name.toLowerCase().trim());
+                for (const normalizedKey of keys) {
+                  // Store minimal metadata for analysis components and deck legality checks
+                  if (!newCardDataMap.has(normalizedKey)) {
+                    newCardDataMap.set(normalizedKey, {
+                      nameList: [cardData.name],
+                      cmc: cardData.manaValue ?? 0,
+                      manaCost: cardData.manaCost || '',
+                      colors: cardData.colors || [],
+                      types: cardData.types || [],
+                      typeLine: cardData.type || '',
+                      colorIdentity: cardData.colorIdentity || [],
+                      rarity: cardData.rarity || 'common',
+                      ...extractCardRules(cardData)
+                    });
+                  }
                 }
               }
 
+              if (catalogRecords && cardData?.identifiers?.scryfallOracleId) {
+                catalogRecords.push({
+                  uuid: mtgjsonUuid,
+                  scryfallId: cardData.identifiers.scryfallId || null,
+                  oracleId: cardData.identifiers.scryfallOracleId,
+                  name: cardData.name,
+                  faceName: cardData.faceName || null,
+                  asciiName: cardData.asciiName || null,
+                  side: cardData.side || null,
+                  setCode: cardData.setCode,
+                  number: cardData.number,
+                  rarity: cardData.rarity,
+                  manaValue: cardData.manaValue,
+                  manaCost: cardData.manaCost,
+                  colors: cardData.colors,
+                  colorIdentity: cardData.colorIdentity,
+                  type: cardData.type
+                });
+              }
+
               processedCount++;
               if (processedCount % 50000 === 0) {
                 console.log(`[MTGJSON] Processed ${processedCount} identifiers...`);
@@ -340,6 +396,11 @@ class MtgjsonPriceService {
             this.scryfallToMtgjsonMap = newMap;
             this.cardDataByName = newCardDataMap;
             console.log(`[MTGJSON] ✓ Built ${this.scryfallToMtgjsonMap.size} ID mappings and ${this.cardDataByName.size} card data entries from ${processedCount} entries`);
+            for (const listener of this.identifiersListeners) {
+              Promise.resolve()
+                .then(() => listener(catalogRecords))
+                .catch(err => console.error('[MTGJSON] Identifiers listener failed:', err.message));
+            }
             resolve();
           });
 
@@ -464,6 +525,41 @@ class MtgjsonPriceService {
     };
   }
 
+  /**
+   * All retail and buylist prices MTGJSON has for a card today, for daily snapshots
+   * @param {string} scryfallId - The Scryfall UUID of the card
+   * @returns {object|null} - { date, tcgRetail, tcgRetailFoil, tcgBuylist, ckRetail, ckRetailFoil, ckBuylist }
+   *   with null for missing prices, or null when MTGJSON has no prices for the card
+   */
+  getPriceSnapshotByScryfallId(scryfallId) {
+    if (!scryfallId) return null;
+    const mtgjsonUuid = this.scryfallToMtgjsonMap.get(scryfallId);
+    const paper = mtgjsonUuid ? this.priceData.get(mtgjsonUuid)?.paper : null;
+    if (!paper) return null;
+
+    let date = null;
+    const latest = (prices) => {
+      if (!prices || typeof prices !== 'object') return null;
+      const dates = Object.keys(prices).sort();
+      if (dates.length === 0) return null;
+      const lastDate = dates[dates.length - 1];
+      const price = parseFloat(prices[lastDate]);
+      if (isNaN(price) || price <= 0) return null;
+      if (!date || lastDate > date) date = lastDate;
+      return price;
+    };
+
+    const snapshot = {
+      tcgRetail: latest(paper.tcgplayer?.retail?.normal),
+      tcgRetailFoil: latest(paper.tcgplayer?.retail?.foil),
+      tcgBuylist: latest(paper.tcgplayer?.buylist?.normal),
+      ckRetail: latest(paper.cardkingdom?.retail?.normal),
+      ckRetailFoil: latest(paper.cardkingdom?.retail?.foil),
+      ckBuylist: latest(paper.cardkingdom?.buylist?.normal)
+    };
+    return date ? { date, ...snapshot } : null;
+  }
+
   /**
    * Get card metadata by its name
    * @param {string} name - The card name
@@ -1,16 +1,11 @@
 import express from 'express';
 import { authenticate } from '../middleware/auth.js';
+import { isAdmin } from '../middleware/admin.js';
 import { runBackfill } from '../jobs/backfillScryfall.js';
+import { runPriceSnapshot } from '../jobs/priceSnapshots.js';
 
 const router = express.Router();
 
-function isAdmin(userId) {
-  const env = process.env.ADMIN_USER_IDS || '';
-  if (!env) return false;
-  const ids = env.split(',').map(s => s.trim()).filter(Boolean);
-  return ids.includes(userId);
-}
-
 // POST /api/admin/backfill-scryfall
 router.post('/admin/backfill-scryfall', authenticate, async (req, res) => {
   try {
@@ -45,6 +40,22 @@ router.post('/admin/backfill-scryfall', authenticate, async (req, res) => {
   }
 });
 
+// POST /api/admin/price-snapshot
+// Store today's price snapshot now instead of waiting for the daily schedule
+router.post('/admin/price-snapshot', authenticate, async (req, res) => {
+  try {
+    if (!isAdmin(req.userId)) {
+      return res.status(403).json({ error: 'Forbidden: admin access required' });
+    }
+
+    const stats = await runPriceSnapshot();
+    return res.json({ success: true, stats });
+  } catch (error) {
+    console.error('[ADMIN] price snapshot endpoint error:', error?.message || error);
+    res.status(500).json({ error: 'Failed to take price snapshot' });
+  }
+});
+
 export default router;
 
 // GET /api/admin/status
@@ -0,0 +1,127 @@
+import express from 'express';
+import { pool as defaultPool } from '../db/pool.js';
+import { authenticate, aiApiLimiter, validateId } from '../middleware/index.js';
+import { validateBody, aiChatMessageSchema } from '../utils/validation.js';
+import { getCardPrices as defaultGetCardPrices } from '../utils/priceResolver.js';
+import { getLLMService } from '../services/llm/index.js';
+import {
+  runChatTurn,
+  getConversation,
+  getLatestConversation,
+  deleteConversation,
+  applyChatAction,
+  dismissChatAction
+} from '../services/aiChat/index.js';
+
+/**
+ * Create the AI chat router with injectable dependencies for easier testing.
+ * Mounted under /api/ai next to the deck generation routes.
+ * @param {{pool, validateIdMiddleware, authenticateMiddleware, aiLimiterMiddleware, getModel, getCardPrices}} deps
+ *   getModel({userId}) returns the chat model, or null when chat is unavailable; by default
+ *   it comes from the LLM service, which accounts each turn to the user
+ */
+export function createAIChatRouter({
+  pool = defaultPool,
+  validateIdMiddleware = validateId,
+  authenticateMiddleware = authenticate,
+  aiLimiterMiddleware = aiApiLimiter,
+  getModel = ({ userId }) => getLLMService(pool).chatModel('chat', { userId }),
+  getCardPrices = defaultGetCardPrices
+} = {}) {
+  const router = express.Router();
+  router.use('/chat', aiLimiterMiddleware);
+
+  function sendError(res, action, error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`[AI-CHAT] Error ${action}:`, error.message);
+    res.status(500).json({ error: `Failed to ${action}` });
+  }
+
+  router.get('/status', authenticateMiddleware, (req, res) => {
+    const model = getModel({ userId: req.userId });
+    res.json({ available: !!model, model: model?.name ?? null });
+  });
+
+  // Send a message; the reply may carry proposed actions for the user to apply
+  router.post('/chat', authenticateMiddleware, validateBody(aiChatMessageSchema), async (req, res) => {
+    const model = getModel({ userId: req.userId });
+    if (!model) {
+      return res.status(503).json({ error: 'AI chat is not configured' });
+    }
+
+    try {
+      const turn = await runChatTurn(pool, {
+        userId: req.userId,
+        conversationId: req.body.conversationId,
+        message: req.body.message,
+        model,
+        getCardPrices
+      });
+      res.json(turn);
+    } catch (error) {
+      sendError(res, 'get chat reply', error);
+    }
+  });
+
+  // The conversation the user last talked in, so the chat can pick up where it left off
+  router.get('/chat/conversation', authenticateMiddleware, async (req, res) => {
+    try {
+      res.json({ conversation: await getLatestConversation(pool, req.userId) });
+    } catch (error) {
+      sendError(res, 'load conversation', error);
+    }
+  });
+
+  router.get('/chat/conversations/:id', authenticateMiddleware, validateIdMiddleware, async (req, res) => {
+    try {
+      res.json({ conversation: await getConversation(pool, req.userId, req.validatedId) });
+    } catch (error) {
+      sendError(res, 'load conversation', error);
+    }
+  });
+
+  router.delete('/chat/conversations/:id', authenticateMiddleware, validateIdMiddleware, async (req, res) => {
+    try {
+      await deleteConversation(pool, req.userId, req.validatedId);
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, 'delete conversation', error);
+    }
+  });
+
+  router.post('/chat/actions/:id/apply', authenticateMiddleware, validateIdMiddleware, async (req, res) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const action = await applyChatAction(client, req.userId, req.validatedId);
+      await client.query('COMMIT');
+      res.json({ action });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      sendError(res, 'apply action', error);
+    } finally {
+      client.release();
+    }
+  });
+
+  router.post('/chat/actions/:id/dismiss', authenticateMiddleware, validateIdMiddleware, async (req, res) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const action = await dismissChatAction(client, req.userId, req.validatedId);
+      await client.query('COMMIT');
+      res.json({ action });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      sendError(res, 'dismiss action', error);
+    } finally {
+      client.release();
+    }
+  });
+
+  return router;
+}
+
+export default createAIChatRouter();
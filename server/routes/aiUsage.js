@@ -0,0 +1,50 @@
+import express from 'express';
+import { pool as defaultPool } from '../db/pool.js';
+import { authenticate, apiLimiter } from '../middleware/index.js';
+import { getLLMService, LLM_FEATURES } from '../services/llm/index.js';
+import { getUsageSummary } from '../services/llm/usage.js';
+
+const MAX_USAGE_DAYS = 3650;
+
+/**
+ * Create the AI usage router with injectable dependencies for easier testing.
+ * Mounted under /api/ai next to the other AI routes.
+ * @param {{pool, authenticateMiddleware, apiLimiterMiddleware, getLLM}} deps
+ */
+export function createAIUsageRouter({
+  pool = defaultPool,
+  authenticateMiddleware = authenticate,
+  apiLimiterMiddleware = apiLimiter,
+  getLLM = () => getLLMService(pool)
+} = {}) {
+  const router = express.Router();
+  router.use('/usage', apiLimiterMiddleware);
+
+  // Tokens and spend per feature and model; no days means all time
+  router.get('/usage', authenticateMiddleware, async (req, res) => {
+    let days = null;
+    if (req.query.days !== undefined) {
+      days = parseInt(req.query.days, 10);
+      if (!Number.isInteger(days) || days <= 0) {
+        return res.status(400).json({ error: 'days must be a positive integer' });
+      }
+      days = Math.min(days, MAX_USAGE_DAYS);
+    }
+
+    try {
+      const llm = getLLM();
+      const summary = await getUsageSummary(pool, req.userId, { days });
+      res.json({
+        ...summary,
+        features: Object.fromEntries(LLM_FEATURES.map(feature => [feature, llm.describe(feature)]))
+      });
+    } catch (error) {
+      console.error('[AI-USAGE] Error fetching usage:', error.message);
+      res.status(500).json({ error: 'Failed to fetch AI usage' });
+    }
+  });
+
+  return router;
+}
+
+export default createAIUsageRouter();
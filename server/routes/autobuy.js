@@ -0,0 +1,125 @@
+import express from 'express';
+import { pool as defaultPool } from '../db/pool.js';
+import { validateId, authenticate, apiLimiter } from '../middleware/index.js';
+import {
+  createAutobuyRunSchema,
+  recordAutobuyPurchasesSchema,
+  closeAutobuyRunSchema,
+  validateBody
+} from '../utils/validation.js';
+import {
+  AUTOBUY_RUN_STATUSES,
+  createRun,
+  getRun,
+  listRuns,
+  recordPurchases,
+  closeRun,
+  getDashboard
+} from '../services/autobuyRunService.js';
+
+const MAX_PAGE_SIZE = 200;
+const MAX_DASHBOARD_DAYS = 3650;
+
+/**
+ * Create the autobuy run tracking router with injectable dependencies for easier testing.
+ * @param {{pool, validateIdMiddleware, authenticateMiddleware, apiLimiterMiddleware}} deps
+ */
+export function createAutobuyRouter({
+  pool = defaultPool,
+  validateIdMiddleware = validateId,
+  authenticateMiddleware = authenticate,
+  apiLimiterMiddleware = apiLimiter
+} = {}) {
+  const router = express.Router();
+  router.use('/autobuy', apiLimiterMiddleware);
+
+  /**
+   * Run a service call inside a transaction, translating service errors to responses
+   */
+  async function inTransaction(res, action, work) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.statusCode) {
+        res.status(error.statusCode).json({ error: error.message });
+        return null;
+      }
+      console.error(`[AUTOBUY] Error ${action}:`, error.message);
+      res.status(500).json({ error: `Failed to ${action}` });
+      return null;
+    } finally {
+      client.release();
+    }
+  }
+
+  // ========== RUNS ==========
+
+  router.get('/autobuy/runs', authenticateMiddleware, async (req, res) => {
+    const { status } = req.query;
+    if (status && !AUTOBUY_RUN_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${AUTOBUY_RUN_STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    try {
+      res.json(await listRuns(pool, req.userId, { status, limit, offset }));
+    } catch (error) {
+      console.error('[AUTOBUY] Error fetching runs:', error.message);
+      res.status(500).json({ error: 'Failed to fetch autobuy runs' });
+    }
+  });
+
+  router.post('/autobuy/runs', authenticateMiddleware, validateBody(createAutobuyRunSchema), async (req, res) => {
+    const run = await inTransaction(res, 'record autobuy run', client => createRun(client, req.userId, req.body));
+    if (run) res.status(201).json(run);
+  });
+
+  router.get('/autobuy/runs/:id', authenticateMiddleware, validateIdMiddleware, async (req, res) => {
+    try {
+      const run = await getRun(pool, req.userId, req.validatedId);
+      if (!run) return res.status(404).json({ error: 'Autobuy run not found' });
+      res.json(run);
+    } catch (error) {
+      console.error('[AUTOBUY] Error fetching run:', error.message);
+      res.status(500).json({ error: 'Failed to fetch autobuy run' });
+    }
+  });
+
+  router.post('/autobuy/runs/:id/purchases', authenticateMiddleware, validateIdMiddleware, validateBody(recordAutobuyPurchasesSchema), async (req, res) => {
+    const run = await inTransaction(res, 'record purchases', client =>
+      recordPurchases(client, req.userId, req.validatedId, req.body.purchases)
+    );
+    if (run) res.json(run);
+  });
+
+  router.post('/autobuy/runs/:id/close', authenticateMiddleware, validateIdMiddleware, validateBody(closeAutobuyRunSchema), async (req, res) => {
+    const run = await inTransaction(res, 'close autobuy run', client =>
+      closeRun(client, req.userId, req.validatedId, req.body)
+    );
+    if (run) res.json(run);
+  });
+
+  // ========== DASHBOARD ==========
+
+  router.get('/autobuy/dashboard', authenticateMiddleware, async (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 90, 1), MAX_DASHBOARD_DAYS);
+
+    try {
+      res.json(await getDashboard(pool, req.userId, { days }));
+    } catch (error) {
+      console.error('[AUTOBUY] Error building dashboard:', error.message);
+      res.status(500).json({ error: 'Failed to load autobuy dashboard' });
+    }
+  });
+
+  return router;
+}
+
+export default createAutobuyRouter();
@@ -0,0 +1,99 @@
+import express from 'express';
+import { pool as defaultPool } from '../db/pool.js';
+import { authenticate, apiLimiter } from '../middleware/index.js';
+import { validateBody, deckImportSchema } from '../utils/validation.js';
+import { importDeckFromUrl, listDeckImporters, importRevisionSource } from '../services/deckImporters/index.js';
+import { recordDeckRevision } from '../services/deckRevisionService.js';
+
+/**
+ * Create the deck URL import router with injectable dependencies for easier testing.
+ * @param {{pool, authenticateMiddleware, apiLimiterMiddleware, fetchImpl}} deps
+ */
+export function createDeckImportsRouter({
+  pool = defaultPool,
+  authenticateMiddleware = authenticate,
+  apiLimiterMiddleware = apiLimiter,
+  fetchImpl = fetch
+} = {}) {
+  const router = express.Router();
+  router.use('/deck-imports', apiLimiterMiddleware);
+
+  function sendError(res, action, error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`[DECK-IMPORTS] Error ${action}:`, error.message);
+    res.status(500).json({ error: `Failed to ${action}` });
+  }
+
+  // Sites we can import from
+  router.get('/deck-imports/sources', authenticateMiddleware, (req, res) => {
+    res.json(listDeckImporters());
+  });
+
+  // Fetch and normalize a deck without saving it
+  router.post('/deck-imports/preview', authenticateMiddleware, validateBody(deckImportSchema), async (req, res) => {
+    try {
+      res.json(await importDeckFromUrl(req.body.url, { fetchImpl }));
+    } catch (error) {
+      sendError(res, 'preview deck import', error);
+    }
+  });
+
+  // Create a deck from a URL, linked to it for later syncs
+  router.post('/deck-imports', authenticateMiddleware, validateBody(deckImportSchema), async (req, res) => {
+    let imported;
+    try {
+      imported = await importDeckFromUrl(req.body.url, { fetchImpl });
+    } catch (error) {
+      return sendError(res, 'import deck', error);
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `INSERT INTO decks (user_id, name, format, description, cards, commander, companion, sideboard, maybeboard,
+                            source_url, archidekt_url, last_synced, is_deck_instance, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), FALSE, NOW(), NOW())
+         RETURNING *`,
+        [
+          req.userId,
+          imported.name,
+          imported.format,
+          imported.description,
+          JSON.stringify(imported.cards),
+          imported.commander,
+          imported.companion,
+          JSON.stringify(imported.sideboard),
+          JSON.stringify(imported.maybeboard),
+          imported.url,
+          imported.importer === 'archidekt' ? imported.url : null
+        ]
+      );
+      const deck = result.rows[0];
+      await recordDeckRevision(client, {
+        deckId: deck.id,
+        userId: req.userId,
+        source: importRevisionSource(imported.importer),
+        previousCards: [],
+        cards: imported.cards
+      });
+      await client.query('COMMIT');
+
+      res.status(201).json({
+        deck,
+        source: { importer: imported.importer, label: imported.importerLabel, url: imported.url }
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      sendError(res, 'import deck', error);
+    } finally {
+      client.release();
+    }
+  });
+
+  return router;
+}
+
+export default createDeckImportsRouter();
@@ -1,9 +1,35 @@
 import express from 'express';
 import { pool } from '../db/pool.js';
 import { validateId, authenticate, apiLimiter } from '../middleware/index.js';
-import { batchInsertReservations, batchInsertMissingCards } from '../utils/index.js';
+import { reserveDeckCards, resolveAllocationPreferences } from '../services/deckReservationService.js';
+import {
+  reoptimizeDeckSchema,
+  copyDeckToInventorySchema,
+  decklistAllocationSchema,
+  deckRevisionDiffQuerySchema,
+  validateBody
+} from '../utils/validation.js';
 import { scryfallServerClient } from '../utils/scryfallClient.server.js';
 import { normalizeCardName } from '../utils/cardHelpers.js';
+import { resolveOracleIds } from '../services/cardCatalogService.js';
+import { recordChanges, reservationChanges, folderReleaseChange } from '../services/changeHistoryService.js';
+import { validateDeck } from '../services/deckLegalityService.js';
+import {
+  DECK_REVISION_SOURCES,
+  recordDeckRevision,
+  listDeckRevisions,
+  getDeckRevision,
+  diffDeckRevisions,
+  revertDeckRevision
+} from '../services/deckRevisionService.js';
+import { mtgjsonService } from '../mtgjsonPriceService.js';
+import {
+  importDeckFromUrl,
+  findDeckImporter,
+  listDeckImporters,
+  importRevisionSource,
+  diffSyncDeck
+} from '../services/deckImporters/index.js';
 
 const router = express.Router();
 
@@ -50,10 +76,13 @@ async function getColorIdentityMap(cardNames) {
     `);
 
     if (tableCheck.rows[0]?.exists) {
+      // Aliases cover face names of split/DFC cards as well as full names
       const result = await pool.query(`
-        SELECT normalized_name, color_identity
-        FROM cards
-        WHERE normalized_name = ANY($1::text[])
+        SELECT DISTINCT ON (a.normalized_name) a.normalized_name, c.color_identity
+        FROM card_aliases a
+        JOIN cards c ON c.id = a.card_id
+        WHERE a.normalized_name = ANY($1::text[])
+        ORDER BY a.normalized_name, (c.normalized_name = a.normalized_name) DESC, c.id
       `, [uncachedNames]);
 
       for (const row of result.rows) {
@@ -133,25 +162,31 @@ router.get('/decks', authenticate, async (req, res) => {
     const allNames = Array.from(allNamesSet).filter(n => n.length > 0);
     const allNormalizedNames = Array.from(allNormalizedNamesSet).filter(n => n.length > 0);
 
+    // Resolve decklist names to oracle ids so split, DFC and accented spellings match inventory
+    const oracleIdByName = await resolveOracleIds(pool, allNormalizedNames);
+    const oracleIdFor = (name) => oracleIdByName.get(normalizeCardName(name)) || null;
+    const allOracleIds = Array.from(new Set(oracleIdByName.values()));
+
     // Fetch color identity data from cards table in parallel with availability
     const [availabilityMap, colorIdentityMap] = await Promise.all([
       (async () => {
         if (allNames.length === 0) return {};
-        // Fetch aggregated available quantities for these names in a single query
+        // Fetch aggregated available quantities in a single query, keyed by oracle id
+        // for catalog-linked rows and by name for rows that aren't linked yet
         const availRes = await pool.query(
-          `SELECT LOWER(TRIM(name)) AS name_key,
+          `SELECT COALESCE(i.oracle_id, LOWER(TRIM(i.name))) AS match_key,
             SUM(
               GREATEST(COALESCE(quantity, 0) - COALESCE((SELECT SUM(dr.quantity_reserved) FROM deck_reservations dr WHERE dr.inventory_item_id = i.id), 0), 0)
             ) AS available
            FROM inventory i
-           WHERE LOWER(TRIM(i.name)) = ANY($1::text[])
-             AND i.user_id = $2
-           GROUP BY LOWER(TRIM(name))`,
-          [allNames, req.userId]
+           WHERE (i.oracle_id = ANY($1::text[]) OR (i.oracle_id IS NULL AND LOWER(TRIM(i.name)) = ANY($2::text[])))
+             AND i.user_id = $3
+           GROUP BY COALESCE(i.oracle_id, LOWER(TRIM(i.name)))`,
+          [allOracleIds, allNames, req.userId]
         );
 
         return (availRes.rows || []).reduce((acc, r) => {
-          acc[String(r.name_key || '')] = parseInt(r.available || 0, 10);
+          acc[String(r.match_key || '')] = parseInt(r.available || 0, 10);
           return acc;
         }, {});
       })(),
@@ -161,7 +196,8 @@ router.get('/decks', authenticate, async (req, res) => {
     // For each deck, calculate totalCards, totalMissing, completionPercentage, and colorIdentity
     const enriched = decks.map(deck => {
       const cards = Array.isArray(deck.cards) ? deck.cards : [];
-      const neededByName = {};
+      const neededByKey = {};
+      const namesByKey = {};
       let totalCards = 0;
       const deckColorIdentitySet = new Set(); // Collect unique color identity letters for the deck
 
@@ -169,8 +205,11 @@ router.get('/decks', authenticate, async (req, res) => {
       const enrichedCards = cards.map(c => {
         const q = parseInt(c.quantity || 1, 10) || 1;
         totalCards += q;
-        const key = normalizeKey(c.name);
-        neededByName[key] = (neededByName[key] || 0) + q;
+        const nameKey = normalizeKey(c.name);
+        const key = oracleIdFor(c.name) || nameKey;
+        neededByKey[key] = (neededByKey[key] || 0) + q;
+        if (!namesByKey[key]) namesByKey[key] = new Set();
+        namesByKey[key].add(nameKey);
 
         // Get color identity from the reference table if card doesn't have it
         let cardColorIdentity = c.color_identity || c.colorIdentity || c.colors || null;
@@ -191,8 +230,10 @@ router.get('/decks', authenticate, async (req, res) => {
       });
 
       let totalMissing = 0;
-      Object.entries(neededByName).forEach(([name, needed]) => {
-        const avail = availabilityMap[name] || 0;
+      Object.entries(neededByKey).forEach(([key, needed]) => {
+        // Linked copies count under the oracle id, unlinked ones under each spelling used
+        let avail = namesByKey[key].has(key) ? 0 : availabilityMap[key] || 0;
+        namesByKey[key].forEach(nameKey => { avail += availabilityMap[nameKey] || 0; });
         if (avail < needed) {
           totalMissing += (needed - avail);
         }
@@ -222,8 +263,8 @@ router.get('/decks', authenticate, async (req, res) => {
   }
 });
 
-router.post('/decks', authenticate, async (req, res) => {
-  const { name, format, description } = req.body;
+router.post('/decks', authenticate, validateBody(decklistAllocationSchema), async (req, res) => {
+  const { name, format, description, allocationPreferences } = req.body;
   
   if (!name || typeof name !== 'string' || name.trim().length === 0) {
     return res.status(400).json({ error: 'Deck name is required' });
@@ -231,10 +272,10 @@ router.post('/decks', authenticate, async (req, res) => {
   
   try {
     const result = await pool.query(
-      `INSERT INTO decks (user_id, name, format, description, cards, is_deck_instance, created_at, updated_at)
-       VALUES ($1, $2, $3, $4, $5, FALSE, NOW(), NOW())
+      `INSERT INTO decks (user_id, name, format, description, cards, allocation_preferences, is_deck_instance, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, FALSE, NOW(), NOW())
        RETURNING *`,
-      [req.userId, name, format || 'Casual', description || '', '[]']
+      [req.userId, name, format || 'Casual', description || '', '[]', JSON.stringify(allocationPreferences || {})]
     );
     res.status(201).json(result.rows[0]);
   } catch (error) {
@@ -243,10 +284,18 @@ router.post('/decks', authenticate, async (req, res) => {
   }
 });
 
-router.put('/decks/:id', authenticate, validateId, async (req, res) => {
+router.put('/decks/:id', authenticate, validateId, validateBody(decklistAllocationSchema), async (req, res) => {
   const id = req.validatedId;
-  const { name, format, description, cards, archidekt_url } = req.body;
+  const { name, format, description, cards, archidekt_url, source_url, allocationPreferences, source = 'manual' } = req.body;
+
+  if (cards !== undefined && !DECK_REVISION_SOURCES.includes(source)) {
+    return res.status(400).json({ error: `source must be one of: ${DECK_REVISION_SOURCES.join(', ')}` });
+  }
+  if (source_url && !findDeckImporter(source_url)) {
+    return res.status(400).json({ error: `Unsupported deck URL. Supported sites: ${listDeckImporters().map(site => site.label).join(', ')}` });
+  }
   
+  const client = await pool.connect();
   try {
     const updates = [];
     const values = [];
@@ -260,6 +309,10 @@ router.put('/decks/:id', authenticate, validateId, async (req, res) => {
       updates.push(`commander = $${paramCount++}`);
       values.push(req.body.commander);
     }
+    if (req.body.companion !== undefined) {
+      updates.push(`companion = $${paramCount++}`);
+      values.push(req.body.companion);
+    }
     if (format !== undefined) {
       updates.push(`format = $${paramCount++}`);
       values.push(format);
@@ -276,6 +329,15 @@ router.put('/decks/:id', authenticate, validateId, async (req, res) => {
       updates.push(`archidekt_url = $${paramCount++}`);
       values.push(archidekt_url);
     }
+    if (source_url !== undefined) {
+      updates.push(`source_url = $${paramCount++}`);
+      values.push(source_url || null);
+    }
+    if (allocationPreferences !== undefined) {
+      // Omitted preferences keep the decklist's current value
+      updates.push(`allocation_preferences = COALESCE(allocation_preferences, '{}'::jsonb) || $${paramCount++}::jsonb`);
+      values.push(JSON.stringify(allocationPreferences));
+    }
     
     updates.push(`updated_at = NOW()`);
     
@@ -285,17 +347,29 @@ router.put('/decks/:id', authenticate, validateId, async (req, res) => {
     
     values.push(id);
     values.push(req.userId);
-    const query = `UPDATE decks SET ${updates.join(', ')} WHERE id = $${paramCount} AND user_id = $${paramCount + 1} RETURNING *`;
-    const result = await pool.query(query, values);
-    
-    if (result.rows.length === 0) {
+    await client.query('BEGIN');
+
+    // Lock the row so the revision diffs against the list this update replaces
+    const current = await client.query('SELECT cards FROM decks WHERE id = $1 AND user_id = $2 FOR UPDATE', [id, req.userId]);
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ error: 'Deck not found' });
     }
+
+    const query = `UPDATE decks SET ${updates.join(', ')} WHERE id = $${paramCount} AND user_id = $${paramCount + 1} RETURNING *`;
+    const result = await client.query(query, values);
+    if (cards !== undefined) {
+      await recordDeckRevision(client, { deckId: id, userId: req.userId, source, previousCards: current.rows[0].cards, cards });
+    }
+    await client.query('COMMIT');
     
     res.json(result.rows[0]);
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('[DECKS] Error updating deck:', error.message);
     res.status(500).json({ error: 'Failed to update deck' });
+  } finally {
+    client.release();
   }
 });
 
@@ -319,12 +393,32 @@ router.post('/decks/:id/set-commander', authenticate, validateId, async (req, re
   }
 });
 
-// POST sync deck from Archidekt
-router.post('/decks/:id/sync-archidekt', authenticate, validateId, async (req, res) => {
+// GET check a deck against its format: size, copy limits, banned cards, commander and companion rules
+router.get('/decks/:id/validate', authenticate, validateId, async (req, res) => {
+  // Legalities come from the MTGJSON card data, which loads in the background after startup
+  if (!mtgjsonService.hasRulesMetadata()) {
+    return res.status(503).json({ error: 'Card data is still loading, try again shortly' });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT id, format, commander, companion, cards FROM decks WHERE id = $1 AND user_id = $2',
+      [req.validatedId, req.userId]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Deck not found' });
+
+    res.json(validateDeck(result.rows[0], name => mtgjsonService.getCardDataByName(name)));
+  } catch (err) {
+    console.error('[DECKS] Error validating deck:', err.message);
+    res.status(500).json({ error: 'Failed to validate deck' });
+  }
+});
+
+// POST fetch the deck's source URL and diff it against the local copy
+router.post('/decks/:id/sync', authenticate, validateId, async (req, res) => {
   const id = req.validatedId;
   
   try {
-    // Get deck with archidekt_url - ensure user owns it
     const deckResult = await pool.query('SELECT * FROM decks WHERE id = $1 AND user_id = $2', [id, req.userId]);
     
     if (deckResult.rows.length === 0) {
@@ -332,105 +426,42 @@ router.post('/decks/:id/sync-archidekt', authenticate, validateId, async (req, r
     }
     
     const deck = deckResult.rows[0];
+    const sourceUrl = deck.source_url || deck.archidekt_url;
     
-    if (!deck.archidekt_url) {
-      return res.status(400).json({ error: 'No Archidekt URL linked to this deck' });
-    }
-    
-    // Extract deck ID from Archidekt URL
-    const archidektIdMatch = deck.archidekt_url.match(/archidekt\.com\/decks\/(\d+)/);
-    if (!archidektIdMatch) {
-      return res.status(400).json({ error: 'Invalid Archidekt URL format' });
+    if (!sourceUrl) {
+      return res.status(400).json({ error: 'No source URL linked to this deck' });
     }
     
-    const archidektId = archidektIdMatch[1];
-    
-    // Fetch deck from Archidekt API
-    const archidektResponse = await fetch(`https://archidekt.com/api/decks/${archidektId}/small/`);
-    
-    if (!archidektResponse.ok) {
-      return res.status(502).json({ error: 'Failed to fetch deck from Archidekt' });
-    }
-    
-    const archidektData = await archidektResponse.json();
-    
-    // Transform Archidekt cards to our format
-    const archidektCards = archidektData.cards.map(card => ({
-      name: card.card.oracleCard.name,
-      quantity: card.quantity,
-      set: card.card.edition.editioncode || '',
-      collector_number: card.card.collectorNumber || '',
-      scryfall_id: card.card.uid || null
-    }));
-    
-    // Get local deck cards
-    const localCards = deck.cards || [];
-    
-    // Create maps for comparison
-    const localCardMap = new Map();
-    localCards.forEach(card => {
-      const key = `${card.name}|${card.set}|${card.collector_number}`;
-      localCardMap.set(key, card);
-    });
-    
-    const archidektCardMap = new Map();
-    archidektCards.forEach(card => {
-      const key = `${card.name}|${card.set}|${card.collector_number}`;
-      archidektCardMap.set(key, card);
-    });
-    
-    // Calculate differences
-    const added = [];
-    const removed = [];
-    const modified = [];
-    
-    // Find added and modified cards
-    archidektCards.forEach(archCard => {
-      const key = `${archCard.name}|${archCard.set}|${archCard.collector_number}`;
-      const localCard = localCardMap.get(key);
-      
-      if (!localCard) {
-        added.push(archCard);
-      } else if (localCard.quantity !== archCard.quantity) {
-        modified.push({
-          card: archCard,
-          oldQuantity: localCard.quantity,
-          newQuantity: archCard.quantity
-        });
-      }
-    });
-    
-    // Find removed cards
-    localCards.forEach(localCard => {
-      const key = `${localCard.name}|${localCard.set}|${localCard.collector_number}`;
-      if (!archidektCardMap.has(key)) {
-        removed.push(localCard);
-      }
-    });
+    const remote = await importDeckFromUrl(sourceUrl);
     
     res.json({
-      archidektName: archidektData.name,
-      archidektFormat: archidektData.formats?.[0] || deck.format,
-      archidektDescription: archidektData.description || '',
-      changes: {
-        added,
-        removed,
-        modified
-      },
-      hasChanges: added.length > 0 || removed.length > 0 || modified.length > 0
+      importer: remote.importer,
+      importerLabel: remote.importerLabel,
+      name: remote.name,
+      format: remote.format,
+      description: remote.description,
+      commander: remote.commander,
+      companion: remote.companion,
+      sideboard: remote.sideboard,
+      maybeboard: remote.maybeboard,
+      ...diffSyncDeck(deck, remote)
     });
     
   } catch (error) {
-    console.error('[DECKS] Error syncing from Archidekt:', error.message);
-    res.status(500).json({ error: 'Failed to sync deck from Archidekt' });
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('[DECKS] Error syncing deck from source:', error.message);
+    res.status(500).json({ error: 'Failed to sync deck' });
   }
 });
 
-// POST apply Archidekt sync changes
+// POST apply sync changes fetched by /decks/:id/sync
 router.post('/decks/:id/apply-sync', authenticate, validateId, async (req, res) => {
   const id = req.validatedId;
-  const { cards, name, format, description } = req.body;
+  const { cards, name, format, description, commander, companion, sideboard, maybeboard } = req.body;
   
+  const client = await pool.connect();
   try {
     const updates = ['cards = $1', 'last_synced = NOW()', 'updated_at = NOW()'];
     const values = [JSON.stringify(cards)];
@@ -448,20 +479,129 @@ router.post('/decks/:id/apply-sync', authenticate, validateId, async (req, res)
       updates.push(`description = $${paramCount++}`);
       values.push(description);
     }
+    if (commander !== undefined) {
+      updates.push(`commander = $${paramCount++}`);
+      values.push(commander);
+    }
+    if (companion !== undefined) {
+      updates.push(`companion = $${paramCount++}`);
+      values.push(companion);
+    }
+    if (sideboard !== undefined) {
+      updates.push(`sideboard = $${paramCount++}`);
+      values.push(JSON.stringify(sideboard));
+    }
+    if (maybeboard !== undefined) {
+      updates.push(`maybeboard = $${paramCount++}`);
+      values.push(JSON.stringify(maybeboard));
+    }
     
     values.push(id);
     values.push(req.userId);
-    const query = `UPDATE decks SET ${updates.join(', ')} WHERE id = $${paramCount} AND user_id = $${paramCount + 1} RETURNING *`;
-    const result = await pool.query(query, values);
-    
-    if (result.rows.length === 0) {
+    await client.query('BEGIN');
+
+    const current = await client.query('SELECT cards, source_url, archidekt_url FROM decks WHERE id = $1 AND user_id = $2 FOR UPDATE', [id, req.userId]);
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ error: 'Deck not found' });
     }
+
+    const query = `UPDATE decks SET ${updates.join(', ')} WHERE id = $${paramCount} AND user_id = $${paramCount + 1} RETURNING *`;
+    const result = await client.query(query, values);
+    const source = findDeckImporter(current.rows[0].source_url || current.rows[0].archidekt_url);
+    await recordDeckRevision(client, {
+      deckId: id,
+      userId: req.userId,
+      source: importRevisionSource(source?.importer.key),
+      previousCards: current.rows[0].cards,
+      cards
+    });
+    await client.query('COMMIT');
     
     res.json(result.rows[0]);
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('[DECKS] Error applying sync:', error.message);
     res.status(500).json({ error: 'Failed to apply sync changes' });
+  } finally {
+    client.release();
+  }
+});
+
+// ========== DECK REVISIONS ==========
+
+function sendRevisionError(res, action, error) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`[DECKS] Error ${action}:`, error.message);
+  res.status(500).json({ error: `Failed to ${action}` });
+}
+
+// Revision numbers come from the path, so check them like validateId does ids
+function parseRevisionNumber(req, res) {
+  const revision = Number(req.params.revision);
+  if (!Number.isInteger(revision) || revision < 1) {
+    res.status(400).json({ error: 'Invalid revision number' });
+    return null;
+  }
+  return revision;
+}
+
+// GET a deck's revisions, newest first
+router.get('/decks/:id/revisions', authenticate, validateId, async (req, res) => {
+  try {
+    res.json(await listDeckRevisions(pool, req.userId, req.validatedId));
+  } catch (error) {
+    sendRevisionError(res, 'fetch deck revisions', error);
+  }
+});
+
+// GET compare two revisions (?from=&to=), or a revision with the current list when `to` is omitted
+router.get('/decks/:id/revisions/diff', authenticate, validateId, async (req, res) => {
+  const parsed = deckRevisionDiffQuerySchema.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: parsed.error.errors.map(err => ({ field: err.path.join('.'), message: err.message }))
+    });
+  }
+
+  try {
+    res.json(await diffDeckRevisions(pool, req.userId, req.validatedId, { from: parsed.data.from, to: parsed.data.to ?? null }));
+  } catch (error) {
+    sendRevisionError(res, 'compare deck revisions', error);
+  }
+});
+
+// GET one revision with its card list
+router.get('/decks/:id/revisions/:revision', authenticate, validateId, async (req, res) => {
+  const revision = parseRevisionNumber(req, res);
+  if (revision === null) return;
+
+  try {
+    res.json(await getDeckRevision(pool, req.userId, req.validatedId, revision));
+  } catch (error) {
+    sendRevisionError(res, 'fetch deck revision', error);
+  }
+});
+
+// POST restore a revision's card list; linked deck instances are reallocated to match
+router.post('/decks/:id/revisions/:revision/revert', authenticate, validateId, async (req, res) => {
+  const revision = parseRevisionNumber(req, res);
+  if (revision === null) return;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await revertDeckRevision(client, req.userId, req.validatedId, revision);
+    await client.query('COMMIT');
+    res.json(result);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    sendRevisionError(res, 'revert deck', error);
+  } finally {
+    client.release();
   }
 });
 
@@ -520,7 +660,7 @@ router.get('/deck-instances/:id/details', authenticate, validateId, async (req,
     // Fetch original decklist if it exists
     let originalDecklist = null;
     if (deck.decklist_id) {
-      const decklistResult = await pool.query('SELECT id, name, cards FROM decks WHERE id = $1', [deck.decklist_id]);
+      const decklistResult = await pool.query('SELECT id, name, cards, allocation_preferences FROM decks WHERE id = $1', [deck.decklist_id]);
       if (decklistResult.rows.length > 0) {
         originalDecklist = decklistResult.rows[0];
       }
@@ -575,7 +715,8 @@ router.get('/deck-instances/:id/details', authenticate, validateId, async (req,
       reservedCount: reservedCount,
       missingCount: missingCount,
       originalDecklist: originalDecklist ? { id: originalDecklist.id, name: originalDecklist.name, cardCount: decklistCardCount } : null,
-      extraCount: extraCount
+      extraCount: extraCount,
+      preferences: resolveAllocationPreferences(originalDecklist?.allocation_preferences, deck.allocation_preferences)
     });
   } catch (error) {
     console.error('[DECKS] Error fetching deck details:', error.message);
@@ -584,9 +725,10 @@ router.get('/deck-instances/:id/details', authenticate, validateId, async (req,
 });
 
 // POST copy decklist to inventory (create deck instance)
-router.post('/decks/:id/copy-to-inventory', authenticate, validateId, async (req, res) => {
+// Body (optional): { name, preferences } - preferences override the decklist's allocation rules for the new instance
+router.post('/decks/:id/copy-to-inventory', authenticate, validateId, validateBody(copyDeckToInventorySchema), async (req, res) => {
   const id = req.validatedId;
-  const { name } = req.body;
+  const { name, preferences } = req.body;
   
   try {
     const decklistResult = await pool.query('SELECT * FROM decks WHERE id = $1 AND user_id = $2', [id, req.userId]);
@@ -597,108 +739,30 @@ router.post('/decks/:id/copy-to-inventory', authenticate, validateId, async (req
     const cards = decklist.cards || [];
     
     const deckName = name || decklist.name;
+    const instancePreferences = { ...(decklist.allocation_preferences || {}), ...(preferences || {}) };
     const newDeckResult = await pool.query(
-      `INSERT INTO decks (user_id, name, format, description, cards, decklist_id, is_deck_instance, created_at, updated_at)
-       VALUES ($1, $2, $3, $4, $5, $6, TRUE, NOW(), NOW())
+      `INSERT INTO decks (user_id, name, format, description, cards, decklist_id, allocation_preferences, is_deck_instance, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, TRUE, NOW(), NOW())
        RETURNING *`,
-      [req.userId, deckName, decklist.format, decklist.description, JSON.stringify(cards), id]
+      [req.userId, deckName, decklist.format, decklist.description, JSON.stringify(cards), id, JSON.stringify(instancePreferences)]
     );
     const newDeck = newDeckResult.rows[0];
     
-    // Step 1: Get all unique, valid card names from the decklist
-    const cardNames = [...new Set(
-      cards
-        .filter(c => typeof c.name === 'string' && c.name.trim().length > 0)
-        .map(c => c.name.toLowerCase().trim())
-    )];
-    
-    // Step 2: Fetch ALL matching inventory items in ONE query, only if cardNames is non-empty
-    let inventoryResult = { rows: [] };
-    if (cardNames.length > 0) {
-      inventoryResult = await pool.query(`
-        SELECT i.id, i.name, i.folder, i.purchase_price, i.quantity,
-          COALESCE(i.quantity, 0) - COALESCE(
-            (SELECT SUM(dr.quantity_reserved) FROM deck_reservations dr WHERE dr.inventory_item_id = i.id), 0
-          ) as available_quantity
-        FROM inventory i
-        WHERE LOWER(TRIM(i.name)) = ANY($1::text[])
-          AND i.user_id = $2
-          AND COALESCE(i.quantity, 0) - COALESCE(
-            (SELECT SUM(dr.quantity_reserved) FROM deck_reservations dr WHERE dr.inventory_item_id = i.id), 0
-          ) > 0
-        ORDER BY LOWER(TRIM(i.name)), COALESCE(i.purchase_price, 999999) ASC
-      `, [cardNames, req.userId]);
-    }
-    
-    // Step 3: Group inventory items by card name for efficient lookup
-    const inventoryByName = {};
-    for (const item of inventoryResult.rows) {
-      const key = item.name.toLowerCase().trim();
-      if (!inventoryByName[key]) inventoryByName[key] = [];
-      inventoryByName[key].push({ ...item, available_quantity: parseInt(item.available_quantity) });
-    }
-    
-    // Step 4: Process each card in the decklist using in-memory data
-    const reservations = [];
-    const missingCards = [];
-    const usedQuantities = {}; // Track quantities used during this operation
-    
-    for (const card of cards) {
-      // Skip cards without valid names
-      if (typeof card.name !== 'string' || card.name.trim().length === 0) continue;
-      
-      const cardKey = card.name.toLowerCase().trim();
-      const quantityNeeded = card.quantity || 1;
-      const availableItems = inventoryByName[cardKey] || [];
-      
-      let remainingNeeded = quantityNeeded;
-      
-      for (const invItem of availableItems) {
-        if (remainingNeeded <= 0) break;
-        
-        // Account for quantities already reserved in this batch
-        const alreadyUsed = usedQuantities[invItem.id] || 0;
-        const actualAvailable = invItem.available_quantity - alreadyUsed;
-        
-        if (actualAvailable <= 0) continue;
-        
-        const reserveQty = Math.min(remainingNeeded, actualAvailable);
-        
-        if (reserveQty > 0) {
-          reservations.push({
-            deck_id: newDeck.id,
-            inventory_item_id: invItem.id,
-            quantity_reserved: reserveQty,
-            original_folder: invItem.folder || 'Uncategorized'
-          });
-          usedQuantities[invItem.id] = alreadyUsed + reserveQty;
-          remainingNeeded -= reserveQty;
-        }
-      }
-      
-      if (remainingNeeded > 0) {
-        missingCards.push({
-          deck_id: newDeck.id,
-          card_name: card.name,
-          set_code: card.set || null,
-          quantity_needed: remainingNeeded
-        });
-      }
-    }
-    
-    // Step 5: Batch insert reservations (if any)
-    await batchInsertReservations(reservations, pool);
-    
-    // Step 6: Batch insert missing cards (if any)
-    await batchInsertMissingCards(missingCards, pool);
+    const { reservations, missingCards, allocation, reservedCount, missingCount } = await reserveDeckCards(pool, {
+      deckId: newDeck.id,
+      userId: req.userId,
+      cards,
+      preferences: newDeck.allocation_preferences
+    });
     
     res.status(201).json({
       deck: newDeck,
       reservations: reservations,
       missingCards: missingCards,
+      allocation,
       totalCards: cards.reduce((sum, c) => sum + (c.quantity || 1), 0),
-      reservedCount: reservations.reduce((sum, r) => sum + r.quantity_reserved, 0),
-      missingCount: missingCards.reduce((sum, m) => sum + m.quantity_needed, 0)
+      reservedCount,
+      missingCount
     });
   } catch (error) {
     console.error('[DECKS] Error copying to inventory:', error.message);
@@ -752,6 +816,10 @@ router.post('/deck-instances/:id/add-card', authenticate, validateId, async (req
         [id, inventory_item_id, quantity, invItem.folder || 'Uncategorized']
       );
     }
+
+    await recordChanges(pool, req.userId, reservationChanges([
+      { inventory_item_id: invItem.id, name: invItem.name, quantity_reserved: quantity, deck_id: id }
+    ]));
     
     res.json({ success: true });
   } catch (error) {
@@ -772,7 +840,12 @@ router.delete('/deck-instances/:id/remove-card', authenticate, validateId, async
       return res.status(404).json({ error: 'Deck not found' });
     }
     
-    const resResult = await pool.query('SELECT * FROM deck_reservations WHERE id = $1 AND deck_id = $2', [reservation_id, id]);
+    const resResult = await pool.query(
+      `SELECT dr.*, i.name, i.folder FROM deck_reservations dr
+       JOIN inventory i ON i.id = dr.inventory_item_id
+       WHERE dr.id = $1 AND dr.deck_id = $2`,
+      [reservation_id, id]
+    );
     
     if (resResult.rows.length === 0) {
       return res.status(404).json({ error: 'Reservation not found' });
@@ -780,16 +853,24 @@ router.delete('/deck-instances/:id/remove-card', authenticate, validateId, async
     
     const reservation = resResult.rows[0];
     
+    const released = Math.min(quantity, reservation.quantity_reserved);
+    const changes = reservationChanges([{ ...reservation, quantity_reserved: released }], 'release');
+
     if (quantity >= reservation.quantity_reserved) {
       // Move card back to unsorted when removing from deck
       await pool.query('UPDATE inventory SET folder = $1 WHERE id = $2', ['Uncategorized', reservation.inventory_item_id]);
       await pool.query('DELETE FROM deck_reservations WHERE id = $1', [reservation_id]);
+      if (reservation.folder !== 'Uncategorized') {
+        changes.push(folderReleaseChange(reservation));
+      }
     } else {
       await pool.query(
         'UPDATE deck_reservations SET quantity_reserved = quantity_reserved - $1 WHERE id = $2',
         [quantity, reservation_id]
       );
     }
+
+    await recordChanges(pool, req.userId, changes);
     
     res.json({ success: true });
   } catch (error) {
@@ -811,7 +892,13 @@ router.post('/deck-instances/:id/release', authenticate, validateId, async (req,
     }
     
     // Get all reservations for this deck before deleting
-    const reservationsResult = await pool.query('SELECT inventory_item_id FROM deck_reservations WHERE deck_id = $1', [id]);
+    const reservationsResult = await pool.query(
+      `SELECT dr.deck_id, dr.inventory_item_id, dr.quantity_reserved, i.name, i.folder
+       FROM deck_reservations dr
+       JOIN inventory i ON i.id = dr.inventory_item_id
+       WHERE dr.deck_id = $1`,
+      [id]
+    );
     
     // Move all reserved cards back to Uncategorized
     if (reservationsResult.rows.length > 0) {
@@ -823,6 +910,11 @@ router.post('/deck-instances/:id/release', authenticate, validateId, async (req,
     await pool.query('DELETE FROM deck_reservations WHERE deck_id = $1', [id]);
     await pool.query('DELETE FROM deck_missing_cards WHERE deck_id = $1', [id]);
     await pool.query('DELETE FROM decks WHERE id = $1 AND is_deck_instance = TRUE', [id]);
+
+    await recordChanges(pool, req.userId, [
+      ...reservationChanges(reservationsResult.rows, 'release'),
+      ...reservationsResult.rows.filter(r => r.folder !== 'Uncategorized').map(folderReleaseChange)
+    ]);
     
     res.json({ success: true });
   } catch (error) {
@@ -832,7 +924,8 @@ router.post('/deck-instances/:id/release', authenticate, validateId, async (req,
 });
 
 // POST reoptimize deck instance
-router.post('/deck-instances/:id/reoptimize', authenticate, validateId, async (req, res) => {
+// Body (optional): { preferences } - allocation rules to save on the deck before reallocating
+router.post('/deck-instances/:id/reoptimize', authenticate, validateId, validateBody(reoptimizeDeckSchema), async (req, res) => {
   const id = req.validatedId;
   
   // Use a transaction to avoid TOCTOU race conditions
@@ -841,109 +934,45 @@ router.post('/deck-instances/:id/reoptimize', authenticate, validateId, async (r
   try {
     await client.query('BEGIN');
     
-    const deckResult = await client.query('SELECT * FROM decks WHERE id = $1 AND is_deck_instance = TRUE AND user_id = $2', [id, req.userId]);
+    // The decklist's rules apply wherever the instance has not set its own
+    const deckResult = await client.query(
+      `SELECT d.*, dl.allocation_preferences AS decklist_preferences
+       FROM decks d
+       LEFT JOIN decks dl ON dl.id = d.decklist_id
+       WHERE d.id = $1 AND d.is_deck_instance = TRUE AND d.user_id = $2`,
+      [id, req.userId]
+    );
     if (deckResult.rows.length === 0) {
       await client.query('ROLLBACK');
       return res.status(404).json({ error: 'Deck not found' });
     }
     const deck = deckResult.rows[0];
     const cards = deck.cards || [];
+    const preferences = resolveAllocationPreferences(deck.decklist_preferences, deck.allocation_preferences, req.body.preferences);
     
-    await client.query('DELETE FROM deck_reservations WHERE deck_id = $1', [id]);
-    await client.query('DELETE FROM deck_missing_cards WHERE deck_id = $1', [id]);
-    
-    // Step 1: Get all unique, valid card names from the decklist
-    const cardNames = [...new Set(
-      cards
-        .filter(c => typeof c.name === 'string' && c.name.trim().length > 0)
-        .map(c => c.name.toLowerCase().trim())
-    )];
-    
-    // Step 2: Fetch ALL matching inventory items in ONE query, only if cardNames is non-empty
-    let inventoryResult = { rows: [] };
-    if (cardNames.length > 0) {
-      inventoryResult = await client.query(`
-        SELECT i.id, i.name, i.folder, i.purchase_price, i.quantity,
-          COALESCE(i.quantity, 0) - COALESCE(
-            (SELECT SUM(dr.quantity_reserved) FROM deck_reservations dr WHERE dr.inventory_item_id = i.id), 0
-          ) as available_quantity
-        FROM inventory i
-        WHERE LOWER(TRIM(i.name)) = ANY($1::text[])
-          AND COALESCE(i.quantity, 0) - COALESCE(
-            (SELECT SUM(dr.quantity_reserved) FROM deck_reservations dr WHERE dr.inventory_item_id = i.id), 0
-          ) > 0
-        ORDER BY LOWER(TRIM(i.name)), COALESCE(i.purchase_price, 999999) ASC
-      `, [cardNames]);
-    }
-    
-    // Step 3: Group inventory items by card name for efficient lookup
-    const inventoryByName = {};
-    for (const item of inventoryResult.rows) {
-      const key = item.name.toLowerCase().trim();
-      if (!inventoryByName[key]) inventoryByName[key] = [];
-      inventoryByName[key].push({ ...item, available_quantity: parseInt(item.available_quantity) });
-    }
-    
-    // Step 4: Process each card in the decklist using in-memory data
-    const reservations = [];
-    const missingCards = [];
-    const usedQuantities = {}; // Track quantities used during this operation
-    
-    for (const card of cards) {
-      // Skip cards without valid names
-      if (typeof card.name !== 'string' || card.name.trim().length === 0) continue;
-      
-      const cardKey = card.name.toLowerCase().trim();
-      const quantityNeeded = card.quantity || 1;
-      const availableItems = inventoryByName[cardKey] || [];
-      
-      let remainingNeeded = quantityNeeded;
-      
-      for (const invItem of availableItems) {
-        if (remainingNeeded <= 0) break;
-        
-        // Account for quantities already reserved in this batch
-        const alreadyUsed = usedQuantities[invItem.id] || 0;
-        const actualAvailable = invItem.available_quantity - alreadyUsed;
-        
-        if (actualAvailable <= 0) continue;
-        
-        const reserveQty = Math.min(remainingNeeded, actualAvailable);
-        
-        if (reserveQty > 0) {
-          reservations.push({
-            deck_id: id,
-            inventory_item_id: invItem.id,
-            quantity_reserved: reserveQty,
-            original_folder: invItem.folder || 'Uncategorized'
-          });
-          usedQuantities[invItem.id] = alreadyUsed + reserveQty;
-          remainingNeeded -= reserveQty;
-        }
-      }
-      
-      if (remainingNeeded > 0) {
-        missingCards.push({
-          deck_id: id,
-          card_name: card.name,
-          set_code: card.set || null,
-          quantity_needed: remainingNeeded
-        });
-      }
+    if (req.body.preferences) {
+      await client.query('UPDATE decks SET allocation_preferences = $1, updated_at = NOW() WHERE id = $2', [JSON.stringify(preferences), id]);
     }
     
-    // Step 5: Batch insert reservations (if any) - pass client for transaction
-    await batchInsertReservations(reservations, client);
+    await client.query('DELETE FROM deck_reservations WHERE deck_id = $1', [id]);
+    await client.query('DELETE FROM deck_missing_cards WHERE deck_id = $1', [id]);
     
-    // Step 6: Batch insert missing cards (if any) - pass client for transaction
-    await batchInsertMissingCards(missingCards, client);
+    // Pass client so the reallocation runs inside the transaction
+    const { allocation, reservedCount, missingCount } = await reserveDeckCards(client, {
+      deckId: id,
+      userId: req.userId,
+      cards,
+      preferences
+    });
     
     await client.query('COMMIT');
     
     res.json({
       success: true,
-      reservedCount: reservations.reduce((sum, r) => sum + r.quantity_reserved, 0),
-      missingCount: missingCards.reduce((sum, m) => sum + m.quantity_needed, 0)
+      reservedCount,
+      missingCount,
+      preferences,
+      allocation
     });
   } catch (error) {
     await client.query('ROLLBACK');
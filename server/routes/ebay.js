@@ -0,0 +1,820 @@
+import express from 'express';
+import { pool as defaultPool } from '../db/pool.js';
+import { validateId, authenticate, apiLimiter } from '../middleware/index.js';
+import {
+  EBAY_LISTING_STATUSES,
+  EBAY_TEMPLATE_TYPES,
+  createEbayListingSchema,
+  updateEbayListingSchema,
+  bulkCreateEbayListingsSchema,
+  createEbayTemplateSchema,
+  updateEbayTemplateSchema,
+  renderEbayTemplateSchema,
+  validateBody
+} from '../utils/validation.js';
+import { allocateDeckCards, reserveDeckCards } from '../services/deckReservationService.js';
+import { sellDeckInstance, SaleError } from '../services/salesService.js';
+import { createEbayClient } from '../services/ebay/ebayClient.js';
+import { createEbayAuthService } from '../services/ebay/ebayAuthService.js';
+import { logEbaySync } from '../services/ebay/syncLog.js';
+import { EBAY_TITLE_MAX_LENGTH, buildTemplateContext, renderTemplate } from '../services/ebay/templateRenderer.js';
+
+// Listings in these statuses still tie up the decklist, so bulk create skips them
+const OPEN_LISTING_STATUSES = ['draft', 'active', 'sold', 'shipped'];
+
+// Suggested eBay price relative to the cost of the copies a deck would use
+const SUGGESTED_PRICE_MARKUP = 1.3;
+
+// User-owned defaults first, then global defaults, then everything else
+const TEMPLATE_ORDER = 'is_default DESC, (user_id IS NULL) ASC, id ASC';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Create an eBay router with injectable dependencies for easier testing.
+ * @param {{pool, ebayClient, authService, validateIdMiddleware, authenticateMiddleware, apiLimiterMiddleware}} deps
+ */
+export function createEbayRouter({
+  pool = defaultPool,
+  ebayClient = createEbayClient(),
+  authService = createEbayAuthService({ pool }),
+  validateIdMiddleware = validateId,
+  authenticateMiddleware = authenticate,
+  apiLimiterMiddleware = apiLimiter
+} = {}) {
+  const router = express.Router();
+  // Apply rate limiting to all eBay routes to prevent abuse
+  router.use(apiLimiterMiddleware);
+
+  // ========== HELPERS ==========
+
+  async function getListing(db, id, userId) {
+    const result = await db.query('SELECT * FROM ebay_listings WHERE id = $1 AND user_id = $2', [id, userId]);
+    return result.rows[0] || null;
+  }
+
+  async function getDecklist(db, id, userId) {
+    const result = await db.query(
+      'SELECT * FROM decks WHERE id = $1 AND user_id = $2 AND COALESCE(is_deck_instance, FALSE) = FALSE',
+      [id, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async function getDefaultTitleTemplate(userId) {
+    const result = await pool.query(
+      `SELECT template_content FROM ebay_templates
+       WHERE template_type = 'title' AND (user_id = $1 OR user_id IS NULL)
+       ORDER BY ${TEMPLATE_ORDER}
+       LIMIT 1`,
+      [userId]
+    );
+    return result.rows[0]?.template_content || '{commander} - {deckName}';
+  }
+
+  /**
+   * Move a listing to a new status if it is currently in one of the allowed statuses.
+   * Returns the updated row, or null when the listing changed underneath us.
+   */
+  async function transitionListing(db, listing, allowedFrom, to, extraSets = '', extraParams = []) {
+    const result = await db.query(
+      `UPDATE ebay_listings
+       SET status = $1, updated_at = NOW()${extraSets}
+       WHERE id = $2 AND status = ANY($3::text[])
+       RETURNING *`,
+      [to, listing.id, allowedFrom, ...extraParams]
+    );
+    return result.rows[0] || null;
+  }
+
+  function rejectStatus(res, listing, action) {
+    return res.status(409).json({ error: `Cannot ${action} a listing with status '${listing.status}'` });
+  }
+
+  // Where the browser lands after the OAuth callback; the settings panel reads the query flags
+  function oauthReturnUrl(params) {
+    const base = process.env.EBAY_OAUTH_RETURN_URL || '/';
+    const separator = base.includes('?') ? '&' : '?';
+    return `${base}${separator}${new URLSearchParams(params).toString()}`;
+  }
+
+  // ========== CONNECTION ==========
+
+  router.get('/ebay/status', authenticateMiddleware, async (req, res) => {
+    try {
+      res.json(await authService.getStatus(req.userId));
+    } catch (error) {
+      console.error('[EBAY] Error fetching status:', error.message);
+      res.status(500).json({ error: 'Failed to fetch eBay status' });
+    }
+  });
+
+  router.get('/ebay/auth', authenticateMiddleware, async (req, res) => {
+    try {
+      const authUrl = await authService.getAuthorizationUrl(req.userId);
+      res.json({ authUrl });
+    } catch (error) {
+      console.error('[EBAY] Error building auth URL:', error.message);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to start eBay connection' });
+    }
+  });
+
+  // eBay redirects the browser here, so there is no auth header; the signed state identifies the user
+  router.get('/ebay/callback', async (req, res) => {
+    const { code, state, error: ebayError, error_description: ebayErrorDescription } = req.query;
+
+    if (ebayError) {
+      return res.redirect(oauthReturnUrl({ ebay_error: ebayErrorDescription || ebayError }));
+    }
+
+    try {
+      await authService.handleCallback({ code, state });
+      res.redirect(oauthReturnUrl({ ebay_connected: 'true' }));
+    } catch (error) {
+      console.error('[EBAY] OAuth callback failed:', error.message);
+      res.redirect(oauthReturnUrl({ ebay_error: error.statusCode ? error.message : 'Connection failed' }));
+    }
+  });
+
+  router.post('/ebay/disconnect', authenticateMiddleware, async (req, res) => {
+    try {
+      const disconnected = await authService.disconnect(req.userId);
+      res.json({ success: true, disconnected });
+    } catch (error) {
+      console.error('[EBAY] Error disconnecting:', error.message);
+      res.status(500).json({ error: 'Failed to disconnect eBay account' });
+    }
+  });
+
+  // ========== LISTINGS ==========
+
+  router.get('/ebay/listings', authenticateMiddleware, async (req, res) => {
+    const { status } = req.query;
+
+    if (status && !EBAY_LISTING_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${EBAY_LISTING_STATUSES.join(', ')}` });
+    }
+
+    try {
+      const params = [req.userId];
+      let statusFilter = '';
+      if (status) {
+        params.push(status);
+        statusFilter = 'AND el.status = $2';
+      }
+
+      const result = await pool.query(
+        `SELECT el.*, d.name as deck_name, d.commander
+         FROM ebay_listings el
+         LEFT JOIN decks d ON d.id = el.deck_id
+         WHERE el.user_id = $1 ${statusFilter}
+         ORDER BY el.created_at DESC`,
+        params
+      );
+      res.json(result.rows);
+    } catch (error) {
+      console.error('[EBAY] Error fetching listings:', error.message);
+      res.status(500).json({ error: 'Failed to fetch listings' });
+    }
+  });
+
+  router.get('/ebay/listings/:id', authenticateMiddleware, validateIdMiddleware, async (req, res) => {
+    try {
+      const listing = await getListing(pool, req.validatedId, req.userId);
+      if (!listing) {
+        return res.status(404).json({ error: 'Listing not found' });
+      }
+      res.json(listing);
+    } catch (error) {
+      console.error('[EBAY] Error fetching listing:', error.message);
+      res.status(500).json({ error: 'Failed to fetch listing' });
+    }
+  });
+
+  router.post('/ebay/listings', authenticateMiddleware, validateBody(createEbayListingSchema), async (req, res) => {
+    const { deckId, title, description, price, quantity, theme, imageUrls } = req.body;
+
+    try {
+      const deck = await getDecklist(pool, deckId, req.userId);
+      if (!deck) {
+        return res.status(404).json({ error: 'Deck not found' });
+      }
+
+      const result = await pool.query(
+        `INSERT INTO ebay_listings (user_id, deck_id, title, description, price, quantity, theme, image_urls, status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'draft')
+         RETURNING *`,
+        [req.userId, deckId, title, description || null, price, quantity, theme || null, JSON.stringify(imageUrls)]
+      );
+      res.status(201).json(result.rows[0]);
+    } catch (error) {
+      console.error('[EBAY] Error creating listing:', error.message);
+      res.status(500).json({ error: 'Failed to create listing' });
+    }
+  });
+
+  router.put('/ebay/listings/:id', authenticateMiddleware, validateIdMiddleware, validateBody(updateEbayListingSchema), async (req, res) => {
+    const columns = {
+      title: 'title',
+      description: 'description',
+      price: 'price',
+      quantity: 'quantity',
+      theme: 'theme',
+      imageUrls: 'image_urls'
+    };
+
+    try {
+      const listing = await getListing(pool, req.validatedId, req.userId);
+      if (!listing) {
+        return res.status(404).json({ error: 'Listing not found' });
+      }
+      if (listing.status !== 'draft') {
+        return rejectStatus(res, listing, 'edit');
+      }
+
+      const sets = [];
+      const params = [];
+      for (const [field, column] of Object.entries(columns)) {
+        if (req.body[field] === undefined) continue;
+        params.push(field === 'imageUrls' ? JSON.stringify(req.body[field]) : req.body[field]);
+        sets.push(`${column} = $${params.length}`);
+      }
+      params.push(listing.id);
+
+      const result = await pool.query(
+        `UPDATE ebay_listings SET ${sets.join(', ')}, updated_at = NOW()
+         WHERE id = $${params.length}
+         RETURNING *`,
+        params
+      );
+      res.json(result.rows[0]);
+    } catch (error) {
+      console.error('[EBAY] Error updating listing:', error.message);
+      res.status(500).json({ error: 'Failed to update listing' });
+    }
+  });
+
+  router.delete('/ebay/listings/:id', authenticateMiddleware, validateIdMiddleware, async (req, res) => {
+    try {
+      const listing = await getListing(pool, req.validatedId, req.userId);
+      if (!listing) {
+        return res.status(404).json({ error: 'Listing not found' });
+      }
+      if (!['draft', 'ended'].includes(listing.status)) {
+        return rejectStatus(res, listing, 'delete');
+      }
+
+      await pool.query('DELETE FROM ebay_listings WHERE id = $1', [listing.id]);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('[EBAY] Error deleting listing:', error.message);
+      res.status(500).json({ error: 'Failed to delete listing' });
+    }
+  });
+
+  // POST publish a draft listing to eBay (draft → active)
+  router.post('/ebay/listings/:id/publish', authenticateMiddleware, validateIdMiddleware, async (req, res) => {
+    try {
+      const listing = await getListing(pool, req.validatedId, req.userId);
+      if (!listing) {
+        return res.status(404).json({ error: 'Listing not found' });
+      }
+      if (listing.status !== 'draft') {
+        return rejectStatus(res, listing, 'publish');
+      }
+      if (!listing.price || parseFloat(listing.price) <= 0) {
+        return res.status(400).json({ error: 'Set a price before publishing' });
+      }
+
+      const accessToken = await authService.getValidAccessToken(req.userId);
+      if (ebayClient.requiresAuth && !accessToken) {
+        return res.status(400).json({ error: 'Connect your eBay account before publishing' });
+      }
+
+      const sku = `BDA-${listing.id}`;
+      let published;
+      try {
+        published = await ebayClient.publishListing({ accessToken, sku, listing });
+      } catch (err) {
+        await logEbaySync(pool, {
+          userId: req.userId,
+          action: 'publish',
+          deckId: listing.deck_id,
+          request: { sku, listingId: listing.id },
+          error: err.message
+        });
+        console.error('[EBAY] Publish failed:', err.message);
+        return res.status(502).json({ error: 'Failed to publish listing to eBay' });
+      }
+
+      await logEbaySync(pool, {
+        userId: req.userId,
+        action: 'publish',
+        ebayListingId: published.listingId,
+        deckId: listing.deck_id,
+        request: { sku, listingId: listing.id },
+        response: published
+      });
+
+      const updated = await transitionListing(
+        pool, listing, ['draft'], 'active',
+        ', ebay_listing_id = $4, ebay_offer_id = $5, listing_url = $6, listed_at = NOW()',
+        [published.listingId, published.offerId, published.listingUrl]
+      );
+      if (!updated) {
+        // Something else moved the listing out of draft while eBay was publishing it,
+        // so the live eBay listing is not linked to any row; record it for cleanup
+        await logEbaySync(pool, {
+          userId: req.userId,
+          action: 'publish',
+          ebayListingId: published.listingId,
+          deckId: listing.deck_id,
+          request: { sku, listingId: listing.id },
+          response: published,
+          error: `Listing ${listing.id} left draft during publish; eBay listing ${published.listingId} is orphaned`
+        });
+        return res.status(409).json({ error: 'The listing changed while it was being published' });
+      }
+      res.json(updated);
+    } catch (error) {
+      console.error('[EBAY] Error publishing listing:', error.message);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to publish listing' });
+    }
+  });
+
+  // POST end an active listing on eBay (active → ended)
+  router.post('/ebay/listings/:id/end', authenticateMiddleware, validateIdMiddleware, async (req, res) => {
+    try {
+      const listing = await getListing(pool, req.validatedId, req.userId);
+      if (!listing) {
+        return res.status(404).json({ error: 'Listing not found' });
+      }
+      if (listing.status !== 'active') {
+        return rejectStatus(res, listing, 'end');
+      }
+
+      const accessToken = await authService.getValidAccessToken(req.userId);
+      try {
+        const response = await ebayClient.withdrawListing({ accessToken, offerId: listing.ebay_offer_id });
+        await logEbaySync(pool, {
+          userId: req.userId,
+          action: 'withdraw',
+          ebayListingId: listing.ebay_listing_id,
+          deckId: listing.deck_id,
+          request: { offerId: listing.ebay_offer_id },
+          response
+        });
+      } catch (err) {
+        await logEbaySync(pool, {
+          userId: req.userId,
+          action: 'withdraw',
+          ebayListingId: listing.ebay_listing_id,
+          deckId: listing.deck_id,
+          request: { offerId: listing.ebay_offer_id },
+          error: err.message
+        });
+        console.error('[EBAY] Withdraw failed:', err.message);
+        return res.status(502).json({ error: 'Failed to end listing on eBay' });
+      }
+
+      const updated = await transitionListing(pool, listing, ['active'], 'ended');
+      res.json(updated);
+    } catch (error) {
+      console.error('[EBAY] Error ending listing:', error.message);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to end listing' });
+    }
+  });
+
+  // POST mark a listing sold and reserve inventory for it (active → sold)
+  router.post('/ebay/listings/:id/create-picklist', authenticateMiddleware, validateIdMiddleware, async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const listing = await getListing(client, req.validatedId, req.userId);
+      if (!listing) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Listing not found' });
+      }
+      const canCreate = listing.status === 'active' || (listing.status === 'sold' && !listing.deck_instance_id);
+      if (!canCreate) {
+        await client.query('ROLLBACK');
+        return rejectStatus(res, listing, 'create a pick list for');
+      }
+
+      const decklist = listing.deck_id ? await getDecklist(client, listing.deck_id, req.userId) : null;
+      if (!decklist) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'The decklist for this listing no longer exists' });
+      }
+      const cards = decklist.cards || [];
+
+      const instanceResult = await client.query(
+        `INSERT INTO decks (user_id, name, format, description, cards, decklist_id, allocation_preferences, is_deck_instance, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, TRUE, NOW(), NOW())
+         RETURNING *`,
+        [req.userId, `${decklist.name} (eBay sale)`, decklist.format, decklist.description, JSON.stringify(cards), decklist.id, JSON.stringify(decklist.allocation_preferences || {})]
+      );
+      const instance = instanceResult.rows[0];
+
+      const { reservedCount, missingCount } = await reserveDeckCards(client, {
+        deckId: instance.id,
+        userId: req.userId,
+        cards,
+        preferences: decklist.allocation_preferences
+      });
+
+      const updated = await transitionListing(
+        client, listing, ['active', 'sold'], 'sold',
+        ', deck_instance_id = $4, sold_at = COALESCE(sold_at, NOW())',
+        [instance.id]
+      );
+
+      await client.query('COMMIT');
+
+      res.json({ listing: updated, deckInstanceId: instance.id, reservedCount, missingCount });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('[EBAY] Error creating pick list:', error.message);
+      res.status(500).json({ error: 'Failed to create pick list' });
+    } finally {
+      client.release();
+    }
+  });
+
+  router.get('/ebay/listings/:id/picklist', authenticateMiddleware, validateIdMiddleware, async (req, res) => {
+    try {
+      const listing = await getListing(pool, req.validatedId, req.userId);
+      if (!listing) {
+        return res.status(404).json({ error: 'Listing not found' });
+      }
+      if (!listing.deck_instance_id) {
+        return res.json({
+          hasPicklist: false,
+          status: listing.status,
+          reservations: [],
+          missingCards: [],
+          substitutions: [],
+          reservedCount: 0,
+          missingCount: 0,
+          totalCost: 0
+        });
+      }
+
+      const instanceResult = await pool.query('SELECT name FROM decks WHERE id = $1', [listing.deck_instance_id]);
+
+      const reservationsResult = await pool.query(`
+        SELECT dr.*, i.name, i.set, i.purchase_price, i.folder
+        FROM deck_reservations dr
+        JOIN inventory i ON dr.inventory_item_id = i.id
+        WHERE dr.deck_id = $1
+        ORDER BY i.folder, i.name, i.purchase_price ASC
+      `, [listing.deck_instance_id]);
+
+      const missingResult = await pool.query(
+        'SELECT * FROM deck_missing_cards WHERE deck_id = $1 ORDER BY card_name',
+        [listing.deck_instance_id]
+      );
+
+      let totalCost = 0;
+      let reservedCount = 0;
+      reservationsResult.rows.forEach(r => {
+        const qty = parseInt(r.quantity_reserved) || 0;
+        totalCost += qty * (parseFloat(r.purchase_price) || 0);
+        reservedCount += qty;
+      });
+      const missingCount = missingResult.rows.reduce((sum, m) => sum + (parseInt(m.quantity_needed) || 0), 0);
+
+      // Cards filled from a substitution group, so the buyer can be told what was swapped
+      const substitutionsByPair = new Map();
+      for (const r of reservationsResult.rows) {
+        if (!r.substitute_for) continue;
+        const key = `${r.substitute_for}\u0000${r.name}`;
+        const entry = substitutionsByPair.get(key) || { card: r.substitute_for, substitute: r.name, quantity: 0 };
+        entry.quantity += parseInt(r.quantity_reserved) || 0;
+        substitutionsByPair.set(key, entry);
+      }
+
+      res.json({
+        hasPicklist: true,
+        instanceName: instanceResult.rows[0]?.name || null,
+        status: listing.status,
+        reservations: reservationsResult.rows,
+        missingCards: missingResult.rows,
+        substitutions: [...substitutionsByPair.values()],
+        reservedCount,
+        missingCount,
+        totalCost: round2(totalCost)
+      });
+    } catch (error) {
+      console.error('[EBAY] Error fetching pick list:', error.message);
+      res.status(500).json({ error: 'Failed to fetch pick list' });
+    }
+  });
+
+  // POST mark a sold listing as shipped (sold → shipped)
+  router.post('/ebay/listings/:id/mark-shipped', authenticateMiddleware, validateIdMiddleware, async (req, res) => {
+    try {
+      const listing = await getListing(pool, req.validatedId, req.userId);
+      if (!listing) {
+        return res.status(404).json({ error: 'Listing not found' });
+      }
+      if (listing.status !== 'sold') {
+        return rejectStatus(res, listing, 'ship');
+      }
+      if (!listing.deck_instance_id) {
+        return res.status(409).json({ error: 'Create a pick list before marking the listing shipped' });
+      }
+
+      const updated = await transitionListing(pool, listing, ['sold'], 'shipped', ', shipped_at = NOW()');
+      res.json(updated);
+    } catch (error) {
+      console.error('[EBAY] Error marking shipped:', error.message);
+      res.status(500).json({ error: 'Failed to mark as shipped' });
+    }
+  });
+
+  // POST complete a shipped sale: remove the picked cards from inventory and record the sale (shipped → completed)
+  router.post('/ebay/listings/:id/complete', authenticateMiddleware, validateIdMiddleware, async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const listing = await getListing(client, req.validatedId, req.userId);
+      if (!listing) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Listing not found' });
+      }
+      if (listing.status !== 'shipped') {
+        await client.query('ROLLBACK');
+        return rejectStatus(res, listing, 'complete');
+      }
+
+      if (!listing.deck_instance_id) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Create a pick list before completing the sale' });
+      }
+
+      // The picked instance is sold through the sales ledger: FIFO cost basis, SALE transactions and change history
+      const sale = await sellDeckInstance(client, req.userId, listing.deck_instance_id, {
+        salePrice: parseFloat(listing.price) || 0,
+        notes: `eBay listing: ${listing.title}`
+      });
+
+      const updated = await transitionListing(client, listing, ['shipped'], 'completed', ', completed_at = NOW()');
+
+      await client.query('COMMIT');
+
+      res.json({ success: true, listing: updated, sale });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error instanceof SaleError) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      console.error('[EBAY] Error completing sale:', error.message);
+      res.status(500).json({ error: 'Failed to complete sale' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // GET check whether inventory can fill a decklist, with a suggested listing price
+  router.get('/ebay/check-availability/:id', authenticateMiddleware, validateIdMiddleware, async (req, res) => {
+    try {
+      const deck = await getDecklist(pool, req.validatedId, req.userId);
+      if (!deck) {
+        return res.status(404).json({ error: 'Deck not found' });
+      }
+      const cards = deck.cards || [];
+
+      const { reservations, missingCards } = await allocateDeckCards(pool, {
+        deckId: deck.id,
+        userId: req.userId,
+        cards,
+        preferences: deck.allocation_preferences
+      });
+
+      const deckValue = round2(reservations.reduce(
+        (sum, r) => sum + r.quantity_reserved * (parseFloat(r.purchase_price) || 0), 0
+      ));
+      const missingCount = missingCards.reduce((sum, m) => sum + m.quantity_needed, 0);
+
+      res.json({
+        available: missingCount === 0,
+        totalCards: cards.reduce((sum, c) => sum + (c.quantity || 1), 0),
+        missingCount,
+        missingCards: missingCards.map(m => ({ name: m.card_name, set: m.set_code, quantity: m.quantity_needed })),
+        deckValue,
+        suggestedPrice: deckValue > 0 ? round2(deckValue * SUGGESTED_PRICE_MARKUP) : null
+      });
+    } catch (error) {
+      console.error('[EBAY] Error checking availability:', error.message);
+      res.status(500).json({ error: 'Failed to check availability' });
+    }
+  });
+
+  // POST create draft listings for several decklists using the default title template
+  router.post('/ebay/bulk-create-listings', authenticateMiddleware, validateBody(bulkCreateEbayListingsSchema), async (req, res) => {
+    const { deckIds, defaultPrice } = req.body;
+    const created = [];
+    const skipped = [];
+    const errors = [];
+
+    try {
+      const titleTemplate = await getDefaultTitleTemplate(req.userId);
+
+      for (const deckId of [...new Set(deckIds)]) {
+        try {
+          const deck = await getDecklist(pool, deckId, req.userId);
+          if (!deck) {
+            skipped.push({ deckId, deckName: null, reason: 'Deck not found' });
+            continue;
+          }
+
+          const existing = await pool.query(
+            'SELECT id FROM ebay_listings WHERE deck_id = $1 AND user_id = $2 AND status = ANY($3::text[]) LIMIT 1',
+            [deckId, req.userId, OPEN_LISTING_STATUSES]
+          );
+          if (existing.rows.length > 0) {
+            skipped.push({ deckId, deckName: deck.name, reason: 'Already listed' });
+            continue;
+          }
+
+          const title = renderTemplate(titleTemplate, buildTemplateContext(deck), { maxLength: EBAY_TITLE_MAX_LENGTH, title: true })
+            || deck.name.slice(0, EBAY_TITLE_MAX_LENGTH);
+
+          const result = await pool.query(
+            `INSERT INTO ebay_listings (user_id, deck_id, title, price, status)
+             VALUES ($1, $2, $3, $4, 'draft')
+             RETURNING id`,
+            [req.userId, deckId, title, defaultPrice ?? null]
+          );
+          created.push({ listingId: result.rows[0].id, deckId, deckName: deck.name, title });
+        } catch (err) {
+          console.error(`[EBAY] Bulk create failed for deck ${deckId}:`, err.message);
+          errors.push({ deckId, error: 'Failed to create listing' });
+        }
+      }
+
+      res.json({
+        created,
+        skipped,
+        errors,
+        summary: { created: created.length, skipped: skipped.length, errors: errors.length }
+      });
+    } catch (error) {
+      console.error('[EBAY] Error bulk creating listings:', error.message);
+      res.status(500).json({ error: 'Failed to create listings' });
+    }
+  });
+
+  // ========== TEMPLATES ==========
+
+  router.get('/ebay/templates', authenticateMiddleware, async (req, res) => {
+    const { type } = req.query;
+
+    if (type && !EBAY_TEMPLATE_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Template type must be one of: ${EBAY_TEMPLATE_TYPES.join(', ')}` });
+    }
+
+    try {
+      const params = [req.userId];
+      let typeFilter = '';
+      if (type) {
+        params.push(type);
+        typeFilter = 'AND template_type = $2';
+      }
+
+      const result = await pool.query(
+        `SELECT * FROM ebay_templates
+         WHERE (user_id = $1 OR user_id IS NULL) ${typeFilter}
+         ORDER BY ${TEMPLATE_ORDER}`,
+        params
+      );
+      res.json(result.rows);
+    } catch (error) {
+      console.error('[EBAY] Error fetching templates:', error.message);
+      res.status(500).json({ error: 'Failed to fetch templates' });
+    }
+  });
+
+  router.post('/ebay/templates', authenticateMiddleware, validateBody(createEbayTemplateSchema), async (req, res) => {
+    const { template_type, template_name, template_content, is_default } = req.body;
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO ebay_templates (user_id, template_type, template_name, template_content, is_default)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [req.userId, template_type, template_name, template_content, is_default]
+      );
+      const template = result.rows[0];
+
+      if (is_default) {
+        await pool.query(
+          'UPDATE ebay_templates SET is_default = FALSE WHERE user_id = $1 AND template_type = $2 AND id <> $3',
+          [req.userId, template_type, template.id]
+        );
+      }
+
+      res.status(201).json(template);
+    } catch (error) {
+      console.error('[EBAY] Error creating template:', error.message);
+      res.status(500).json({ error: 'Failed to create template' });
+    }
+  });
+
+  router.put('/ebay/templates/:id', authenticateMiddleware, validateIdMiddleware, validateBody(updateEbayTemplateSchema), async (req, res) => {
+    const { template_name, template_content, is_default } = req.body;
+
+    try {
+      const existing = await pool.query(
+        'SELECT * FROM ebay_templates WHERE id = $1 AND (user_id = $2 OR user_id IS NULL)',
+        [req.validatedId, req.userId]
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+      if (existing.rows[0].user_id === null) {
+        return res.status(403).json({ error: 'Built-in templates cannot be modified' });
+      }
+
+      const result = await pool.query(
+        `UPDATE ebay_templates
+         SET template_name = COALESCE($1, template_name),
+             template_content = COALESCE($2, template_content),
+             is_default = COALESCE($3, is_default),
+             updated_at = NOW()
+         WHERE id = $4
+         RETURNING *`,
+        [template_name ?? null, template_content ?? null, is_default ?? null, req.validatedId]
+      );
+      const template = result.rows[0];
+
+      if (is_default) {
+        await pool.query(
+          'UPDATE ebay_templates SET is_default = FALSE WHERE user_id = $1 AND template_type = $2 AND id <> $3',
+          [req.userId, template.template_type, template.id]
+        );
+      }
+
+      res.json(template);
+    } catch (error) {
+      console.error('[EBAY] Error updating template:', error.message);
+      res.status(500).json({ error: 'Failed to update template' });
+    }
+  });
+
+  router.delete('/ebay/templates/:id', authenticateMiddleware, validateIdMiddleware, async (req, res) => {
+    try {
+      const result = await pool.query(
+        'DELETE FROM ebay_templates WHERE id = $1 AND user_id = $2 RETURNING id',
+        [req.validatedId, req.userId]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      console.error('[EBAY] Error deleting template:', error.message);
+      res.status(500).json({ error: 'Failed to delete template' });
+    }
+  });
+
+  router.post('/ebay/templates/render', authenticateMiddleware, validateBody(renderEbayTemplateSchema), async (req, res) => {
+    const { templateId, deckId, theme } = req.body;
+
+    try {
+      const templateResult = await pool.query(
+        'SELECT * FROM ebay_templates WHERE id = $1 AND (user_id = $2 OR user_id IS NULL)',
+        [templateId, req.userId]
+      );
+      if (templateResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+      const template = templateResult.rows[0];
+
+      const deck = await getDecklist(pool, deckId, req.userId);
+      if (!deck) {
+        return res.status(404).json({ error: 'Deck not found' });
+      }
+
+      const isTitle = template.template_type === 'title';
+      const rendered = renderTemplate(
+        template.template_content,
+        buildTemplateContext(deck, { theme }),
+        { maxLength: isTitle ? EBAY_TITLE_MAX_LENGTH : undefined, title: isTitle }
+      );
+      res.json({ rendered });
+    } catch (error) {
+      console.error('[EBAY] Error rendering template:', error.message);
+      res.status(500).json({ error: 'Failed to render template' });
+    }
+  });
+
+  return router;
+}
+
+export default createEbayRouter();
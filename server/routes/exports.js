@@ -0,0 +1,74 @@
+import express from 'express';
+import { pool as defaultPool } from '../db/pool.js';
+import { validateId, authenticate, apiLimiter } from '../middleware/index.js';
+import {
+  EXPORT_FORMATS,
+  formatCollectionCsv,
+  getInventoryExport,
+  getLotExport,
+  getDeckExport
+} from '../services/collectionExportService.js';
+
+// File name part from a folder, lot or deck name
+const slugify = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'export';
+
+/**
+ * Create the exports router with injectable dependencies for easier testing.
+ * @param {{pool, validateIdMiddleware, authenticateMiddleware, apiLimiterMiddleware}} deps
+ */
+export function createExportsRouter({
+  pool = defaultPool,
+  validateIdMiddleware = validateId,
+  authenticateMiddleware = authenticate,
+  apiLimiterMiddleware = apiLimiter
+} = {}) {
+  const router = express.Router();
+  router.use('/exports', apiLimiterMiddleware);
+
+  /**
+   * Check ?format=, load the cards and send them as a CSV download
+   */
+  async function sendExport(req, res, label, load) {
+    const format = req.query.format;
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    try {
+      const { name, cards } = await load();
+      const date = new Date().toISOString().slice(0, 10);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${slugify(name)}-${format}-${date}.csv"`);
+      res.send(formatCollectionCsv(cards, format));
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      console.error(`[EXPORTS] Error exporting ${label}:`, error.message);
+      res.status(500).json({ error: `Failed to export ${label}` });
+    }
+  }
+
+  // GET /api/exports/inventory?format=&folder= - Whole inventory (without Trash) or one folder
+  router.get('/exports/inventory', authenticateMiddleware, (req, res) => {
+    const folder = req.query.folder || null;
+    return sendExport(req, res, 'inventory', async () => ({
+      name: folder || 'inventory',
+      cards: await getInventoryExport(pool, req.userId, { folder })
+    }));
+  });
+
+  // GET /api/exports/lots/:id?format= - Cards from a purchase lot still in inventory
+  router.get('/exports/lots/:id', authenticateMiddleware, validateIdMiddleware, (req, res) => {
+    return sendExport(req, res, 'lot', () => getLotExport(pool, req.userId, req.validatedId));
+  });
+
+  // GET /api/exports/decks/:id?format= - A decklist, or a deck instance's reserved and missing cards
+  router.get('/exports/decks/:id', authenticateMiddleware, validateIdMiddleware, (req, res) => {
+    return sendExport(req, res, 'deck', () => getDeckExport(pool, req.userId, req.validatedId));
+  });
+
+  return router;
+}
+
+export default createExportsRouter();
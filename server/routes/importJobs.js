@@ -0,0 +1,116 @@
+import express from 'express';
+import { pool as defaultPool } from '../db/pool.js';
+import { validateId, authenticate, apiLimiter } from '../middleware/index.js';
+import { validateBody, createImportJobSchema, commitImportJobSchema } from '../utils/validation.js';
+import {
+  createImportJob,
+  listImportJobs,
+  getImportJob,
+  getImportJobDiff,
+  startImportCommit,
+  resumeImportJob,
+  cancelImportJob
+} from '../services/importJobService.js';
+import { runImportJob } from '../jobs/importJobs.js';
+
+/**
+ * Create the import jobs router with injectable dependencies for easier testing.
+ * @param {{pool, validateIdMiddleware, authenticateMiddleware, apiLimiterMiddleware, runJob}} deps
+ */
+export function createImportJobsRouter({
+  pool = defaultPool,
+  validateIdMiddleware = validateId,
+  authenticateMiddleware = authenticate,
+  apiLimiterMiddleware = apiLimiter,
+  runJob = runImportJob
+} = {}) {
+  const router = express.Router();
+  router.use('/import-jobs', apiLimiterMiddleware);
+
+  /**
+   * Run a service call inside a transaction, translating service errors to responses
+   */
+  async function inTransaction(res, action, work) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      sendError(res, action, error);
+      return null;
+    } finally {
+      client.release();
+    }
+  }
+
+  function sendError(res, action, error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`[IMPORT-JOBS] Error ${action}:`, error.message);
+    res.status(500).json({ error: `Failed to ${action}` });
+  }
+
+  // Work the job in the background; the client polls GET /import-jobs/:id for progress
+  function startJob(res, job) {
+    runJob(job.id, { db: pool });
+    res.status(202).json(job);
+  }
+
+  router.get('/import-jobs', authenticateMiddleware, async (req, res) => {
+    try {
+      res.json(await listImportJobs(pool, req.userId));
+    } catch (error) {
+      sendError(res, 'fetch import jobs', error);
+    }
+  });
+
+  // Parse the upload now; Scryfall resolution runs in the background
+  router.post('/import-jobs', authenticateMiddleware, validateBody(createImportJobSchema), async (req, res) => {
+    const job = await inTransaction(res, 'create import job', client => createImportJob(client, req.userId, req.body));
+    if (job) startJob(res, job);
+  });
+
+  router.get('/import-jobs/:id', authenticateMiddleware, validateIdMiddleware, async (req, res) => {
+    try {
+      res.json(await getImportJob(pool, req.userId, req.validatedId));
+    } catch (error) {
+      sendError(res, 'fetch import job', error);
+    }
+  });
+
+  // Dry run: new rows, merges and unresolved names
+  router.get('/import-jobs/:id/diff', authenticateMiddleware, validateIdMiddleware, async (req, res) => {
+    try {
+      res.json(await getImportJobDiff(pool, req.userId, req.validatedId));
+    } catch (error) {
+      sendError(res, 'fetch import diff', error);
+    }
+  });
+
+  router.post('/import-jobs/:id/commit', authenticateMiddleware, validateIdMiddleware, validateBody(commitImportJobSchema), async (req, res) => {
+    const job = await inTransaction(res, 'commit import job', client =>
+      startImportCommit(client, req.userId, req.validatedId, req.body)
+    );
+    if (job) startJob(res, job);
+  });
+
+  // Retry a failed job from where it stopped
+  router.post('/import-jobs/:id/resume', authenticateMiddleware, validateIdMiddleware, async (req, res) => {
+    const job = await inTransaction(res, 'resume import job', client => resumeImportJob(client, req.userId, req.validatedId));
+    if (job) startJob(res, job);
+  });
+
+  // Rows already committed stay in inventory
+  router.post('/import-jobs/:id/cancel', authenticateMiddleware, validateIdMiddleware, async (req, res) => {
+    const job = await inTransaction(res, 'cancel import job', client => cancelImportJob(client, req.userId, req.validatedId));
+    if (job) res.json(job);
+  });
+
+  return router;
+}
+
+export default createImportJobsRouter();
@@ -10,6 +10,8 @@ import settingsRouter from './settings.js';
 import authRouter from './auth.js';
 import lotsRouter from './lots.js';
 import aiRouter from './ai.js';
+import aiChatRouter from './aiChat.js';
+import aiUsageRouter from './aiUsage.js';
 import communityThemesRouter from './communityThemes.js';
 import assetsRouter from './assets.js';
 import adminRouter from './admin.js';
@@ -19,6 +21,13 @@ import scryfallProxyRouter from './scryfallProxy.js';
 
 import cardsRouter from './cards.js';
 import tcgplayerRouter from './tcgplayer.js';
+import ebayRouter from './ebay.js';
+import autobuyRouter from './autobuy.js';
+import salesRouter from './sales.js';
+import exportsRouter from './exports.js';
+import importJobsRouter from './importJobs.js';
+import deckImportsRouter from './deckImports.js';
+import substitutionGroupsRouter from './substitutionGroups.js';
 
 export function registerRoutes(app) {
   // Health check (no /api prefix)
@@ -56,6 +65,8 @@ export function registerRoutes(app) {
   }
 
   app.use('/api/ai', aiRouter);
+  app.use('/api/ai', aiChatRouter);
+  app.use('/api/ai', aiUsageRouter);
   console.log('[ROUTES] AI router registered');
 
   app.use('/api', communityThemesRouter);
@@ -65,6 +76,13 @@ export function registerRoutes(app) {
 
   app.use('/api', cardsRouter);
   app.use('/api', tcgplayerRouter);
+  app.use('/api', ebayRouter);
+  app.use('/api', autobuyRouter);
+  app.use('/api', salesRouter);
+  app.use('/api', exportsRouter);
+  app.use('/api', importJobsRouter);
+  app.use('/api', deckImportsRouter);
+  app.use('/api', substitutionGroupsRouter);
   // Internal diagnostics (no API prefix)
   app.use('/internal', diagnosticsRouter);
 }
@@ -86,4 +104,9 @@ export {
   diagnosticsRouter,
 
   tcgplayerRouter,
+  ebayRouter,
+  autobuyRouter,
+  salesRouter,
+  exportsRouter,
+  importJobsRouter,
 };
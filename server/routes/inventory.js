@@ -3,7 +3,29 @@ import { pool as defaultPool } from '../db/pool.js';
 import { validateId, authenticate, apiLimiter } from '../middleware/index.js';
 import { fetchRetry } from '../utils/index.js';
 import { scryfallServerClient as defaultScryfallClient } from '../utils/scryfallClient.server.js';
-import { createInventoryItemSchema, updateInventoryItemSchema, setThresholdSchema, validateBody } from '../utils/validation.js';
+import {
+  createInventoryItemSchema,
+  updateInventoryItemSchema,
+  setThresholdSchema,
+  inventoryQuerySchema,
+  bulkInventorySchema,
+  undoBulkInventorySchema,
+  validateBody
+} from '../utils/validation.js';
+import {
+  CHANGE_ACTIONS,
+  HISTORY_FIELDS,
+  diffInventoryItem,
+  itemAddedChanges,
+  itemDeletedChanges,
+  recordChanges,
+  listChanges,
+  revertChange
+} from '../services/changeHistoryService.js';
+import { queryInventory } from '../services/inventoryQueryService.js';
+import { applyBulkOperation, undoBulkOperation } from '../services/inventoryBulkService.js';
+
+const MAX_HISTORY_PAGE_SIZE = 500;
 
 /**
  * Create an inventory router with injectable dependencies for easier testing.
@@ -42,8 +64,29 @@ export function createInventoryRouter({
     }
   });
 
+  // GET /api/inventory/query - One page of inventory grouped by card name, filtered and sorted server-side
+  router.get('/inventory/query', authenticateMiddleware, async (req, res) => {
+    const parsed = inventoryQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: parsed.error.errors.map(err => ({ field: err.path.join('.'), message: err.message }))
+      });
+    }
+
+    try {
+      res.json(await queryInventory(pool, req.userId, parsed.data));
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      console.error('[INVENTORY] Error querying inventory:', error.message);
+      res.status(500).json({ error: 'Failed to query inventory' });
+    }
+  });
+
   router.post('/inventory', authenticateMiddleware, validateBody(createInventoryItemSchema), async (req, res) => {
-  const { name, set, set_name, quantity, purchase_price, purchase_date, reorder_type, image_url, folder, foil, quality } = req.body;
+  const { name, set, set_name, quantity, purchase_price, purchase_date, reorder_type, image_url, folder, foil, quality, source } = req.body;
   
   try {
     // Fetch Scryfall ID for better market value tracking (non-blocking lookup)
@@ -76,8 +119,11 @@ export function createInventoryRouter({
     // scryfall lookup completed
 
     const result = await pool.query(
-      `INSERT INTO inventory (user_id, name, set, set_name, quantity, purchase_price, purchase_date, reorder_type, image_url, scryfall_id, folder, foil, quality, created_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW())
+      `INSERT INTO inventory (user_id, name, set, set_name, quantity, purchase_price, purchase_date, reorder_type, image_url, scryfall_id, folder, foil, quality, printing_id, oracle_id, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13,
+         (SELECT p.id FROM printings p WHERE p.scryfall_id = $10),
+         (SELECT c.oracle_id FROM printings p JOIN cards c ON c.id = p.card_id WHERE p.scryfall_id = $10),
+         NOW())
        RETURNING *`,
       [req.userId, name, set || null, set_name || null, quantity || 1, purchase_price || null, purchase_date || null, reorder_type || 'normal', image_url || null, scryfallId, folder || 'Uncategorized', foil || false, quality || 'NM']
     );
@@ -86,11 +132,13 @@ export function createInventoryRouter({
     // Record PURCHASE transaction for analytics
     if (purchase_price && (quantity || 1) > 0) {
       await pool.query(
-        `INSERT INTO inventory_transactions (card_name, transaction_type, quantity, purchase_price, transaction_date)
-         VALUES ($1, $2, $3, $4, CURRENT_DATE)`,
-        [name, 'PURCHASE', quantity || 1, purchase_price]
+        `INSERT INTO inventory_transactions (card_name, transaction_type, quantity, purchase_price, transaction_date, user_id)
+         VALUES ($1, $2, $3, $4, CURRENT_DATE, $5)`,
+        [name, 'PURCHASE', quantity || 1, purchase_price, req.userId]
       );
     }
+
+    await recordChanges(pool, req.userId, itemAddedChanges(result.rows[0], source === 'import' ? 'import' : 'create'));
     
     res.status(201).json(result.rows[0]);
   } catch (error) {
@@ -115,7 +163,7 @@ export function createInventoryRouter({
     }
     
     const currentItem = currentResult.rows[0];
-    const changes = [];
+    const changes = diffInventoryItem(currentItem, req.body);
     
     const updates = [];
     const values = [];
@@ -124,16 +172,10 @@ export function createInventoryRouter({
     if (quantity !== undefined) {
       updates.push(`quantity = $${paramCount++}`);
       values.push(quantity);
-      if (currentItem.quantity !== quantity) {
-        changes.push({ field: 'quantity', old: currentItem.quantity, new: quantity });
-      }
     }
     if (purchase_price !== undefined) {
       updates.push(`purchase_price = $${paramCount++}`);
       values.push(purchase_price);
-      if (parseFloat(currentItem.purchase_price || 0) !== parseFloat(purchase_price || 0)) {
-        changes.push({ field: 'purchase_price', old: currentItem.purchase_price, new: purchase_price });
-      }
     }
     if (purchase_date !== undefined) {
       updates.push(`purchase_date = $${paramCount++}`);
@@ -146,23 +188,14 @@ export function createInventoryRouter({
     if (folder !== undefined) {
       updates.push(`folder = $${paramCount++}`);
       values.push(folder);
-      if (currentItem.folder !== folder) {
-        changes.push({ field: 'folder', old: currentItem.folder, new: folder });
-      }
     }
     if (foil !== undefined) {
       updates.push(`foil = $${paramCount++}`);
       values.push(foil);
-      if (currentItem.foil !== foil) {
-        changes.push({ field: 'foil', old: currentItem.foil, new: foil });
-      }
     }
     if (quality !== undefined) {
       updates.push(`quality = $${paramCount++}`);
       values.push(quality);
-      if (currentItem.quality !== quality) {
-        changes.push({ field: 'quality', old: currentItem.quality, new: quality });
-      }
     }
 
     if (updates.length === 0) {
@@ -178,6 +211,13 @@ export function createInventoryRouter({
       return res.status(404).json({ error: 'Inventory item not found' });
     }
 
+    await recordChanges(pool, req.userId, changes.map(change => ({
+      ...change,
+      cardId: id,
+      cardName: currentItem.name,
+      action: 'update'
+    })));
+
     res.json(result.rows[0]);
   } catch (error) {
     console.error('[INVENTORY] Error updating:', error.message);
@@ -185,6 +225,46 @@ export function createInventoryRouter({
   }
   });
 
+  // POST /api/inventory/bulk - Apply one operation to many items in a single transaction
+  router.post('/inventory/bulk', authenticateMiddleware, validateBody(bulkInventorySchema), async (req, res) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await applyBulkOperation(client, req.userId, req.body);
+      await client.query('COMMIT');
+      res.json(result);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      console.error('[INVENTORY] Error applying bulk operation:', error.message);
+      res.status(500).json({ error: 'Failed to apply bulk operation' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // POST /api/inventory/bulk/undo - Reverse a bulk operation with the undo token it returned
+  router.post('/inventory/bulk/undo', authenticateMiddleware, validateBody(undoBulkInventorySchema), async (req, res) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await undoBulkOperation(client, req.userId, req.body.undoToken);
+      await client.query('COMMIT');
+      res.json(result);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      console.error('[INVENTORY] Error undoing bulk operation:', error.message);
+      res.status(500).json({ error: 'Failed to undo bulk operation' });
+    } finally {
+      client.release();
+    }
+  });
+
 // Empty Trash - permanently delete all items in Trash folder
   router.delete('/inventory/trash', authenticateMiddleware, async (req, res) => {
   try {
@@ -193,6 +273,8 @@ export function createInventoryRouter({
       [req.userId]
     );
 
+    await recordChanges(pool, req.userId, result.rows.flatMap(item => itemDeletedChanges(item)));
+
     res.json({ 
       message: 'Trash emptied', 
       deletedCount: result.rows.length,
@@ -217,6 +299,8 @@ export function createInventoryRouter({
       return res.status(404).json({ error: 'Inventory item not found' });
     }
 
+    await recordChanges(pool, req.userId, itemDeletedChanges(result.rows[0]));
+
     res.json({ message: 'Inventory item deleted', item: result.rows[0] });
     } catch (error) {
       console.error('[INVENTORY] Error deleting:', error.message);
@@ -224,6 +308,53 @@ export function createInventoryRouter({
     }
   });
 
+  // ========== CHANGE HISTORY ==========
+
+  router.get('/inventory/history', authenticateMiddleware, async (req, res) => {
+    const { field, action } = req.query;
+    if (field && !HISTORY_FIELDS.includes(field)) {
+      return res.status(400).json({ error: `field must be one of: ${HISTORY_FIELDS.join(', ')}` });
+    }
+    if (action && !CHANGE_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `action must be one of: ${CHANGE_ACTIONS.join(', ')}` });
+    }
+    const cardId = req.query.cardId === undefined ? null : parseInt(req.query.cardId, 10);
+    if (cardId !== null && !(cardId > 0)) {
+      return res.status(400).json({ error: 'cardId must be a positive integer' });
+    }
+    const days = req.query.days === undefined ? null : parseInt(req.query.days, 10);
+    if (days !== null && !(days > 0)) {
+      return res.status(400).json({ error: 'days must be a positive integer' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), MAX_HISTORY_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    try {
+      res.json(await listChanges(pool, req.userId, { cardId, field: field || null, action: action || null, days, limit, offset }));
+    } catch (error) {
+      console.error('[INVENTORY] Error fetching change history:', error.message);
+      res.status(500).json({ error: 'Failed to fetch change history' });
+    }
+  });
+
+  router.post('/inventory/history/:id/revert', authenticateMiddleware, validateIdMiddleware, async (req, res) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await revertChange(client, req.userId, req.validatedId);
+      await client.query('COMMIT');
+      res.json(result);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      console.error('[INVENTORY] Error reverting change:', error.message);
+      res.status(500).json({ error: 'Failed to revert change' });
+    } finally {
+      client.release();
+    }
+  });
 
 // POST /api/inventory/backfill-scryfall-ids - Backfill missing Scryfall IDs for price tracking
   router.post('/inventory/backfill-scryfall-ids', authenticateMiddleware, async (req, res) => {
@@ -3,6 +3,7 @@ import { pool } from '../db/pool.js';
 import { validateId, apiLimiter } from '../middleware/index.js';
 import { authenticate } from '../middleware/auth.js';
 import { fetchRetry } from '../utils/index.js';
+import { itemAddedChanges, recordChanges } from '../services/changeHistoryService.js';
 
 const router = express.Router();
 
@@ -175,8 +176,11 @@ router.post('/lots/:id/cards', authenticate, validateId, async (req, res) => {
       }
 
       const result = await client.query(
-        `INSERT INTO inventory (name, set, set_name, quantity, purchase_price, purchase_date, reorder_type, image_url, scryfall_id, folder, foil, quality, lot_id, lot_name, user_id, created_at)
-         VALUES ($1, $2, $3, $4, $5, CURRENT_DATE, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW())
+        `INSERT INTO inventory (name, set, set_name, quantity, purchase_price, purchase_date, reorder_type, image_url, scryfall_id, folder, foil, quality, lot_id, lot_name, user_id, printing_id, oracle_id, created_at)
+         VALUES ($1, $2, $3, $4, $5, CURRENT_DATE, $6, $7, $8, $9, $10, $11, $12, $13, $14,
+           (SELECT p.id FROM printings p WHERE p.scryfall_id = $8),
+           (SELECT c.oracle_id FROM printings p JOIN cards c ON c.id = p.card_id WHERE p.scryfall_id = $8),
+           NOW())
          RETURNING *`,
         [
           card.name,
@@ -207,6 +211,8 @@ router.post('/lots/:id/cards', authenticate, validateId, async (req, res) => {
         );
       }
     }
+
+    await recordChanges(client, userId, insertedCards.flatMap(item => itemAddedChanges(item, 'lot_add', { lotId })));
     
     await client.query('COMMIT');
     
@@ -1,24 +1,88 @@
 import express from 'express';
-import { priceLimiter } from '../middleware/index.js';
-import { fetchRetry } from '../utils/index.js';
+import { pool as defaultPool } from '../db/pool.js';
+import { authenticate, priceLimiter } from '../middleware/index.js';
 import { getCardPrices } from '../utils/priceResolver.js';
+import { PRICE_SOURCES, getPriceHistory, getPortfolioHistory } from '../services/priceHistoryService.js';
 
-const router = express.Router();
-
-// ========== PRICES ENDPOINT ==========
-router.get('/prices/:cardName/:setCode', priceLimiter, async (req, res) => {
-  const { cardName, setCode } = req.params;
-  try {
-    const prices = await getCardPrices({ name: cardName, set: setCode });
-    // Normalize to expected response shape: use 'N/A' where null
-    const result = { tcg: prices.tcg ?? 'N/A', ck: prices.ck ?? 'N/A' };
-    res.setHeader('Content-Type', 'application/json');
-    return res.status(200).json(result);
-  } catch (err) {
-    console.error('[PRICES] resolver error:', err?.message || err);
-    res.setHeader('Content-Type', 'application/json');
-    return res.status(500).json({ tcg: 'N/A', ck: 'N/A' });
-  }
-});
-
-export default router;
+const MAX_HISTORY_DAYS = 3650;
+const SCRYFALL_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// "all" (or no value) means every stored snapshot
+function parseDays(value) {
+  if (value === undefined || value === 'all') return null;
+  const days = parseInt(value, 10);
+  return Number.isInteger(days) && days > 0 ? Math.min(days, MAX_HISTORY_DAYS) : undefined;
+}
+
+/**
+ * Create the prices router with injectable dependencies for easier testing.
+ * @param {{pool, authenticateMiddleware, priceLimiterMiddleware}} deps
+ */
+export function createPricesRouter({
+  pool = defaultPool,
+  authenticateMiddleware = authenticate,
+  priceLimiterMiddleware = priceLimiter
+} = {}) {
+  const router = express.Router();
+
+  // ========== PRICE HISTORY ==========
+  // Registered before /prices/:cardName/:setCode, which would otherwise match them
+
+  router.get('/prices/history/:scryfallId', priceLimiterMiddleware, authenticateMiddleware, async (req, res) => {
+    const { scryfallId } = req.params;
+    if (!SCRYFALL_ID_PATTERN.test(scryfallId)) {
+      return res.status(400).json({ error: 'Invalid Scryfall ID' });
+    }
+    const days = parseDays(req.query.days);
+    if (days === undefined) {
+      return res.status(400).json({ error: 'days must be a positive integer or "all"' });
+    }
+
+    try {
+      const history = await getPriceHistory(pool, scryfallId.toLowerCase(), { days });
+      res.json({ scryfallId: scryfallId.toLowerCase(), days, history });
+    } catch (error) {
+      console.error('[PRICES] Error fetching price history:', error.message);
+      res.status(500).json({ error: 'Failed to fetch price history' });
+    }
+  });
+
+  router.get('/prices/portfolio-history', priceLimiterMiddleware, authenticateMiddleware, async (req, res) => {
+    const days = parseDays(req.query.days);
+    if (days === undefined) {
+      return res.status(400).json({ error: 'days must be a positive integer or "all"' });
+    }
+    const source = req.query.source || 'tcg';
+    if (!PRICE_SOURCES.includes(source)) {
+      return res.status(400).json({ error: `source must be one of: ${PRICE_SOURCES.join(', ')}` });
+    }
+
+    try {
+      const history = await getPortfolioHistory(pool, req.userId, { days, source });
+      res.json({ source, days, history });
+    } catch (error) {
+      console.error('[PRICES] Error fetching portfolio history:', error.message);
+      res.status(500).json({ error: 'Failed to fetch portfolio history' });
+    }
+  });
+
+  // ========== PRICES ENDPOINT ==========
+  router.get('/prices/:cardName/:setCode', priceLimiterMiddleware, async (req, res) => {
+    const { cardName, setCode } = req.params;
+    try {
+      const prices = await getCardPrices({ name: cardName, set: setCode });
+      // Normalize to expected response shape: use 'N/A' where null
+      const result = { tcg: prices.tcg ?? 'N/A', ck: prices.ck ?? 'N/A' };
+      res.setHeader('Content-Type', 'application/json');
+      return res.status(200).json(result);
+    } catch (err) {
+      console.error('[PRICES] resolver error:', err?.message || err);
+      res.setHeader('Content-Type', 'application/json');
+      return res.status(500).json({ tcg: 'N/A', ck: 'N/A' });
+    }
+  });
+
+  return router;
+}
+
+export default createPricesRouter();
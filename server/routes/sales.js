@@ -0,0 +1,105 @@
+import express from 'express';
+import { pool as defaultPool } from '../db/pool.js';
+import { validateId, authenticate, apiLimiter } from '../middleware/index.js';
+import { sellCardsSchema, sellBundleSchema, validateBody } from '../utils/validation.js';
+import { sellCards, sellDeckInstance, sellLot, listSales, getSalesSummary } from '../services/salesService.js';
+
+const MAX_SALES_DAYS = 3650;
+const MAX_PAGE_SIZE = 2000;
+
+// No value means all time
+function parseDays(value) {
+  if (value === undefined) return null;
+  const days = parseInt(value, 10);
+  return Number.isInteger(days) && days > 0 ? Math.min(days, MAX_SALES_DAYS) : undefined;
+}
+
+/**
+ * Create the sales router with injectable dependencies for easier testing.
+ * @param {{pool, validateIdMiddleware, authenticateMiddleware, apiLimiterMiddleware}} deps
+ */
+export function createSalesRouter({
+  pool = defaultPool,
+  validateIdMiddleware = validateId,
+  authenticateMiddleware = authenticate,
+  apiLimiterMiddleware = apiLimiter
+} = {}) {
+  const router = express.Router();
+  router.use('/sales', apiLimiterMiddleware);
+
+  /**
+   * Run a service call inside a transaction, translating service errors to responses
+   */
+  async function inTransaction(res, action, work) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.statusCode) {
+        res.status(error.statusCode).json({ error: error.message });
+        return null;
+      }
+      console.error(`[SALES] Error ${action}:`, error.message);
+      res.status(500).json({ error: `Failed to ${action}` });
+      return null;
+    } finally {
+      client.release();
+    }
+  }
+
+  // ========== HISTORY ==========
+
+  router.get('/sales', authenticateMiddleware, async (req, res) => {
+    const days = parseDays(req.query.days);
+    if (days === undefined) {
+      return res.status(400).json({ error: 'days must be a positive integer' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 500, 1), MAX_PAGE_SIZE);
+
+    try {
+      res.json(await listSales(pool, req.userId, { days, limit }));
+    } catch (error) {
+      console.error('[SALES] Error fetching sales:', error.message);
+      res.status(500).json({ error: 'Failed to fetch sales' });
+    }
+  });
+
+  router.get('/sales/summary', authenticateMiddleware, async (req, res) => {
+    const days = parseDays(req.query.days);
+    if (days === undefined) {
+      return res.status(400).json({ error: 'days must be a positive integer' });
+    }
+
+    try {
+      res.json(await getSalesSummary(pool, req.userId, { days }));
+    } catch (error) {
+      console.error('[SALES] Error fetching sales summary:', error.message);
+      res.status(500).json({ error: 'Failed to fetch sales summary' });
+    }
+  });
+
+  // ========== RECORDING ==========
+
+  router.post('/sales/cards', authenticateMiddleware, validateBody(sellCardsSchema), async (req, res) => {
+    const sale = await inTransaction(res, 'record card sale', client => sellCards(client, req.userId, req.body));
+    if (sale) res.status(201).json(sale);
+  });
+
+  router.post('/sales/decks/:id', authenticateMiddleware, validateIdMiddleware, validateBody(sellBundleSchema), async (req, res) => {
+    const sale = await inTransaction(res, 'record deck sale', client => sellDeckInstance(client, req.userId, req.validatedId, req.body));
+    if (sale) res.status(201).json(sale);
+  });
+
+  router.post('/sales/lots/:id', authenticateMiddleware, validateIdMiddleware, validateBody(sellBundleSchema), async (req, res) => {
+    const sale = await inTransaction(res, 'record lot sale', client => sellLot(client, req.userId, req.validatedId, req.body));
+    if (sale) res.status(201).json(sale);
+  });
+
+  return router;
+}
+
+export default createSalesRouter();
@@ -1,51 +1,143 @@
 import express from 'express';
-import { pool } from '../db/pool.js';
-import { apiLimiter } from '../middleware/index.js';
+import { pool as defaultPool } from '../db/pool.js';
+import { authenticate, apiLimiter, isAdmin } from '../middleware/index.js';
+import {
+  USER_SETTING_SCHEMAS,
+  setUserSettingSchema,
+  updateUserSettingsSchema,
+  validateBody
+} from '../utils/validation.js';
+import {
+  USER_SETTING_KEYS,
+  isUserSettingKey,
+  getUserSettings,
+  getUserSetting,
+  setUserSettings,
+  resetUserSetting
+} from '../services/userSettingsService.js';
+import { EBAY_CREDENTIAL_SETTING_KEYS } from '../services/ebay/config.js';
 
-const router = express.Router();
+// App-wide configuration kept in the global settings table rather than per user; only admins
+// can read or change it, since every user's eBay connection runs on these credentials
+const APP_SETTING_KEYS = EBAY_CREDENTIAL_SETTING_KEYS;
 
-// Apply rate limiting to prevent abuse
-router.use(apiLimiter);
+// App settings that are never sent back; reads only say whether they are set
+const SECRET_APP_SETTING_KEYS = ['ebay_client_secret'];
 
-// ========== SETTINGS ENDPOINTS ==========
-// GET /api/settings/:key - Retrieve a setting
-router.get('/settings/:key', async (req, res) => {
-  try {
-    const { key } = req.params;
-    const result = await pool.query('SELECT value FROM settings WHERE key = $1', [key]);
-    
-    if (result.rows.length === 0) {
-      return res.json(null);
+/**
+ * Create the settings router with injectable dependencies for easier testing.
+ * @param {{pool, authenticateMiddleware, apiLimiterMiddleware}} deps
+ */
+export function createSettingsRouter({
+  pool = defaultPool,
+  authenticateMiddleware = authenticate,
+  apiLimiterMiddleware = apiLimiter
+} = {}) {
+  const router = express.Router();
+  // Apply rate limiting to prevent abuse
+  router.use('/settings', apiLimiterMiddleware);
+
+  const unknownKey = (res, key) => res.status(404).json({
+    error: `Unknown setting: ${key}. Settings are: ${USER_SETTING_KEYS.join(', ')}`
+  });
+
+  const forbidden = (res) => res.status(403).json({ error: 'Forbidden: admin access required' });
+
+  // ========== SETTINGS ENDPOINTS ==========
+  // GET /api/settings - All of the user's settings, with defaults filled in
+  router.get('/settings', authenticateMiddleware, async (req, res) => {
+    try {
+      res.json(await getUserSettings(pool, req.userId));
+    } catch (error) {
+      console.error('[SETTINGS] Error fetching settings:', error.message);
+      res.status(500).json({ error: 'Failed to fetch settings' });
     }
-    
+  });
+
+  // PATCH /api/settings - Store several settings at once
+  router.patch('/settings', authenticateMiddleware, validateBody(updateUserSettingsSchema), async (req, res) => {
+    const { settings, onlyMissing } = req.body;
     try {
-      res.json(JSON.parse(result.rows[0].value));
-    } catch (parseErr) {
-      res.json(result.rows[0].value);
+      const updated = await setUserSettings(pool, req.userId, settings, { onlyMissing });
+      res.json({ updated, ...(await getUserSettings(pool, req.userId)) });
+    } catch (error) {
+      console.error('[SETTINGS] Error saving settings:', error.message);
+      res.status(500).json({ error: 'Failed to save settings' });
+    }
+  });
+
+  // GET /api/settings/:key - Retrieve a setting
+  router.get('/settings/:key', authenticateMiddleware, async (req, res) => {
+    const { key } = req.params;
+    try {
+      if (APP_SETTING_KEYS.includes(key)) {
+        if (!isAdmin(req.userId)) return forbidden(res);
+        const result = await pool.query('SELECT value FROM settings WHERE key = $1', [key]);
+        let value = null;
+        if (result.rows.length > 0) {
+          try {
+            value = JSON.parse(result.rows[0].value);
+          } catch (_parseErr) {
+            value = result.rows[0].value;
+          }
+        }
+        return res.json(SECRET_APP_SETTING_KEYS.includes(key) ? { configured: Boolean(value) } : value);
+      }
+
+      if (!isUserSettingKey(key)) return unknownKey(res, key);
+      res.json(await getUserSetting(pool, req.userId, key));
+    } catch (error) {
+      console.error('[SETTINGS] Error fetching setting:', error.message);
+      res.status(500).json({ error: 'Failed to fetch setting' });
     }
-  } catch (error) {
-    console.error('[SETTINGS] Error fetching setting:', error.message);
-    res.status(500).json({ error: 'Failed to fetch setting' });
-  }
-});
-
-// POST /api/settings/:key - Store a setting
-router.post('/settings/:key', async (req, res) => {
-  try {
+  });
+
+  // POST /api/settings/:key - Store a setting
+  router.post('/settings/:key', authenticateMiddleware, validateBody(setUserSettingSchema), async (req, res) => {
     const { key } = req.params;
     const { value } = req.body;
-    
-    await pool.query(
-      'INSERT INTO settings (key, value) VALUES ($1, $2) ON CONFLICT (key) DO UPDATE SET value = $2',
-      [key, JSON.stringify(value)]
-    );
-    
-    console.log('[SETTINGS] Setting saved:', key);
-    res.json({ success: true });
-  } catch (error) {
-    console.error('[SETTINGS] Error saving setting:', error.message);
-    res.status(500).json({ error: 'Failed to save setting' });
-  }
-});
-
-export default router;
+    try {
+      if (APP_SETTING_KEYS.includes(key)) {
+        if (!isAdmin(req.userId)) return forbidden(res);
+        await pool.query(
+          'INSERT INTO settings (key, value) VALUES ($1, $2) ON CONFLICT (key) DO UPDATE SET value = $2, updated_at = NOW()',
+          [key, JSON.stringify(value)]
+        );
+        console.log('[SETTINGS] Setting saved:', key);
+        return res.json({ success: true });
+      }
+
+      if (!isUserSettingKey(key)) return unknownKey(res, key);
+      const parsed = USER_SETTING_SCHEMAS[key].safeParse(value);
+      if (!parsed.success) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: parsed.error.errors.map(err => ({ field: ['value', ...err.path].join('.'), message: err.message }))
+        });
+      }
+
+      await setUserSettings(pool, req.userId, { [key]: parsed.data });
+      res.json({ success: true, key, value: parsed.data });
+    } catch (error) {
+      console.error('[SETTINGS] Error saving setting:', error.message);
+      res.status(500).json({ error: 'Failed to save setting' });
+    }
+  });
+
+  // DELETE /api/settings/:key - Reset a setting to its default
+  router.delete('/settings/:key', authenticateMiddleware, async (req, res) => {
+    const { key } = req.params;
+    if (!isUserSettingKey(key)) return unknownKey(res, key);
+    try {
+      const value = await resetUserSetting(pool, req.userId, key);
+      res.json({ success: true, key, value });
+    } catch (error) {
+      console.error('[SETTINGS] Error resetting setting:', error.message);
+      res.status(500).json({ error: 'Failed to reset setting' });
+    }
+  });
+
+  return router;
+}
+
+export default createSettingsRouter();
@@ -0,0 +1,123 @@
+import express from 'express';
+import { pool as defaultPool } from '../db/pool.js';
+import { validateId, authenticate, apiLimiter } from '../middleware/index.js';
+import {
+  validateBody,
+  createSubstitutionGroupSchema,
+  updateSubstitutionGroupSchema,
+  addSubstitutionGroupCardsSchema
+} from '../utils/validation.js';
+import {
+  listSubstitutionGroups,
+  getSubstitutionGroup,
+  createSubstitutionGroup,
+  updateSubstitutionGroup,
+  deleteSubstitutionGroup,
+  addSubstitutionGroupCards,
+  removeSubstitutionGroupCard
+} from '../services/substitutionGroupService.js';
+
+/**
+ * Create the substitution groups router with injectable dependencies for easier testing.
+ * @param {{pool, validateIdMiddleware, authenticateMiddleware, apiLimiterMiddleware}} deps
+ */
+export function createSubstitutionGroupsRouter({
+  pool = defaultPool,
+  validateIdMiddleware = validateId,
+  authenticateMiddleware = authenticate,
+  apiLimiterMiddleware = apiLimiter
+} = {}) {
+  const router = express.Router();
+  router.use('/substitution-groups', apiLimiterMiddleware);
+
+  function sendError(res, action, error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`[SUBSTITUTIONS] Error ${action}:`, error.message);
+    res.status(500).json({ error: `Failed to ${action}` });
+  }
+
+  /**
+   * Run a service call inside a transaction, translating service errors to responses
+   */
+  async function inTransaction(res, action, work) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      sendError(res, action, error);
+      return null;
+    } finally {
+      client.release();
+    }
+  }
+
+  router.get('/substitution-groups', authenticateMiddleware, async (req, res) => {
+    try {
+      res.json({ groups: await listSubstitutionGroups(pool, req.userId) });
+    } catch (error) {
+      sendError(res, 'fetch substitution groups', error);
+    }
+  });
+
+  router.post('/substitution-groups', authenticateMiddleware, validateBody(createSubstitutionGroupSchema), async (req, res) => {
+    const group = await inTransaction(res, 'create substitution group', client =>
+      createSubstitutionGroup(client, req.userId, req.body)
+    );
+    if (group) res.status(201).json({ group });
+  });
+
+  router.get('/substitution-groups/:id', authenticateMiddleware, validateIdMiddleware, async (req, res) => {
+    try {
+      res.json({ group: await getSubstitutionGroup(pool, req.userId, req.validatedId) });
+    } catch (error) {
+      sendError(res, 'fetch substitution group', error);
+    }
+  });
+
+  router.put('/substitution-groups/:id', authenticateMiddleware, validateIdMiddleware, validateBody(updateSubstitutionGroupSchema), async (req, res) => {
+    try {
+      res.json({ group: await updateSubstitutionGroup(pool, req.userId, req.validatedId, req.body) });
+    } catch (error) {
+      sendError(res, 'update substitution group', error);
+    }
+  });
+
+  router.delete('/substitution-groups/:id', authenticateMiddleware, validateIdMiddleware, async (req, res) => {
+    try {
+      await deleteSubstitutionGroup(pool, req.userId, req.validatedId);
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, 'delete substitution group', error);
+    }
+  });
+
+  router.post('/substitution-groups/:id/cards', authenticateMiddleware, validateIdMiddleware, validateBody(addSubstitutionGroupCardsSchema), async (req, res) => {
+    const group = await inTransaction(res, 'add cards to substitution group', client =>
+      addSubstitutionGroupCards(client, req.userId, req.validatedId, req.body.cards)
+    );
+    if (group) res.json({ group });
+  });
+
+  router.delete('/substitution-groups/:id/cards/:cardId', authenticateMiddleware, validateIdMiddleware, async (req, res) => {
+    const cardId = parseInt(req.params.cardId, 10);
+    if (!Number.isInteger(cardId) || cardId <= 0 || String(cardId) !== req.params.cardId) {
+      return res.status(400).json({ error: 'Invalid card ID' });
+    }
+
+    try {
+      res.json({ group: await removeSubstitutionGroupCard(pool, req.userId, req.validatedId, cardId) });
+    } catch (error) {
+      sendError(res, 'remove card from substitution group', error);
+    }
+  });
+
+  return router;
+}
+
+export default createSubstitutionGroupsRouter();
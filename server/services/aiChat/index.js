@@ -0,0 +1,353 @@
+import { CHAT_TOOLS, chatToolDefinitions, runChatTool } from './tools.js';
+import { applyBulkOperation } from '../inventoryBulkService.js';
+import { recordDeckRevision } from '../deckRevisionService.js';
+
+/**
+ * AI chat
+ * Runs inventory-aware chat turns: the model may call tools (inventory search, deck availability,
+ * prices) any number of rounds before answering, and may propose deck edits or folder moves,
+ * which are stored as pending actions the user applies or dismisses. Conversations are kept per
+ * user in OpenAI message format. The model is injected: in the app it is the LLM service's chat
+ * model, and tests drive it with a scripted model.
+ */
+
+export const MAX_TOOL_ROUNDS = 5;
+// Messages kept per conversation, and how many of the latest are sent to the model each turn
+export const MAX_STORED_MESSAGES = 80;
+export const MAX_PROMPT_MESSAGES = 30;
+
+const ROUNDS_EXHAUSTED_REPLY = 'I ran out of steps looking that up. Could you narrow the question down?';
+
+/**
+ * Error raised for missing conversations and actions that can't be resolved, carrying an HTTP status for the route layer
+ */
+export class AIChatError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AIChatError';
+    this.statusCode = statusCode;
+  }
+}
+
+const parseJson = (value, fallback) => {
+  if (value == null) return fallback;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+const toAction = (row) => ({
+  id: row.id,
+  type: row.type,
+  summary: row.summary,
+  payload: parseJson(row.payload, {}),
+  status: row.status,
+  result: parseJson(row.result, null),
+  createdAt: row.created_at,
+  resolvedAt: row.resolved_at ?? null
+});
+
+/**
+ * Keep the latest messages, starting at a user message (or, inside one long turn, at an
+ * assistant message) so no tool reply loses the call it answers
+ */
+export function trimMessages(messages, max) {
+  if (messages.length <= max) return messages;
+  const tail = messages.slice(-max);
+  const userStart = tail.findIndex(message => message.role === 'user');
+  const start = userStart === -1 ? tail.findIndex(message => message.role !== 'tool') : userStart;
+  return start === -1 ? [] : tail.slice(start);
+}
+
+// Stored messages carry display fields the model API doesn't accept
+const toModelMessage = ({ role, content, tool_calls: toolCalls, tool_call_id: toolCallId }) => ({
+  role,
+  content: content ?? null,
+  ...(toolCalls ? { tool_calls: toolCalls } : {}),
+  ...(toolCallId ? { tool_call_id: toolCallId } : {})
+});
+
+/**
+ * The user and assistant messages of a conversation as shown in the chat, with each turn's
+ * proposed actions on its final reply
+ */
+export function toDisplayMessages(messages, actions) {
+  const byId = new Map(actions.map(action => [action.id, action]));
+  return messages
+    .filter(message => (message.role === 'user' || message.role === 'assistant') && message.content)
+    .map(message => ({
+      role: message.role,
+      content: message.content,
+      timestamp: message.timestamp || null,
+      actions: (message.actionIds || []).map(id => byId.get(id)).filter(Boolean)
+    }));
+}
+
+async function loadActions(db, conversationId) {
+  const result = await db.query(
+    'SELECT * FROM ai_chat_actions WHERE conversation_id = $1 ORDER BY id',
+    [conversationId]
+  );
+  return result.rows.map(toAction);
+}
+
+async function findConversation(db, userId, conversationId) {
+  const result = await db.query(
+    'SELECT * FROM ai_chat_conversations WHERE id = $1 AND user_id = $2',
+    [conversationId, userId]
+  );
+  if (result.rows.length === 0) throw new AIChatError('Conversation not found', 404);
+  return result.rows[0];
+}
+
+async function toConversation(db, row) {
+  const actions = await loadActions(db, row.id);
+  return {
+    id: row.id,
+    messages: toDisplayMessages(parseJson(row.messages, []), actions),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * A user's conversation with its displayable messages and their actions
+ */
+export async function getConversation(db, userId, conversationId) {
+  return toConversation(db, await findConversation(db, userId, conversationId));
+}
+
+/**
+ * The conversation the user last talked in, or null when they have none
+ */
+export async function getLatestConversation(db, userId) {
+  const result = await db.query(
+    'SELECT * FROM ai_chat_conversations WHERE user_id = $1 ORDER BY updated_at DESC LIMIT 1',
+    [userId]
+  );
+  return result.rows[0] ? toConversation(db, result.rows[0]) : null;
+}
+
+export async function deleteConversation(db, userId, conversationId) {
+  const result = await db.query(
+    'DELETE FROM ai_chat_conversations WHERE id = $1 AND user_id = $2 RETURNING id',
+    [conversationId, userId]
+  );
+  if (result.rows.length === 0) throw new AIChatError('Conversation not found', 404);
+}
+
+async function buildSystemPrompt(db, userId, actions) {
+  const decks = await db.query(
+    'SELECT id, name, format FROM decks WHERE user_id = $1 ORDER BY updated_at DESC NULLS LAST LIMIT 50',
+    [userId]
+  );
+  const deckLines = decks.rows.map(deck => `- #${deck.id} ${deck.name} (${deck.format || 'Casual'})`);
+  const actionLines = actions.map(action => `- #${action.id} ${action.type} ${action.status}: ${action.summary}`);
+
+  return [
+    'You are the assistant in BigDeck, an app for managing a Magic: The Gathering collection and decks.',
+    'Answer questions about the user\'s cards and decks using the tools; never guess what they own or what cards cost.',
+    'You cannot change anything yourself. To change a deck or move cards between folders, call a propose tool: '
+      + 'the user sees the proposal in the chat and decides whether to apply it.',
+    'Keep answers short and use card names exactly as they appear in tool results.',
+    '',
+    'The user\'s decks:',
+    ...(deckLines.length ? deckLines : ['(none)']),
+    ...(actionLines.length ? ['', 'Proposals made earlier in this conversation:', ...actionLines] : [])
+  ].join('\n');
+}
+
+/**
+ * Run one chat turn: store the user's message, let the model call tools until it answers, and
+ * store the reply. Creates a conversation when conversationId is not given.
+ * @param {Object} db
+ * @param {{userId, conversationId?, message: string, model: {complete: Function}, getCardPrices: Function, maxToolRounds?: number}} turn
+ * @returns {Promise<{conversationId: number, response: string, actions: Array<Object>, timestamp: string}>}
+ */
+export async function runChatTurn(db, { userId, conversationId = null, message, model, getCardPrices, maxToolRounds = MAX_TOOL_ROUNDS }) {
+  let conversation;
+  if (conversationId) {
+    conversation = await findConversation(db, userId, conversationId);
+  } else {
+    const created = await db.query(
+      'INSERT INTO ai_chat_conversations (user_id, messages) VALUES ($1, \'[]\') RETURNING *',
+      [userId]
+    );
+    conversation = created.rows[0];
+  }
+
+  const history = parseJson(conversation.messages, []);
+  const systemPrompt = await buildSystemPrompt(db, userId, await loadActions(db, conversation.id));
+  const context = { db, userId, conversationId: conversation.id, getCardPrices };
+  const tools = chatToolDefinitions(CHAT_TOOLS);
+  const turn = [{ role: 'user', content: message, timestamp: new Date().toISOString() }];
+  const actionIds = [];
+
+  const prompt = () => [
+    { role: 'system', content: systemPrompt },
+    ...trimMessages([...history, ...turn], MAX_PROMPT_MESSAGES).map(toModelMessage)
+  ];
+
+  let reply = null;
+  for (let round = 0; round < maxToolRounds; round++) {
+    const next = await model.complete({ messages: prompt(), tools });
+    if (!next.tool_calls?.length) {
+      reply = next;
+      break;
+    }
+
+    turn.push(next);
+    for (const call of next.tool_calls) {
+      const result = await runChatTool(context, call);
+      if (result?.actionId) actionIds.push(result.actionId);
+      turn.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+    }
+  }
+
+  // Out of rounds: ask for an answer from what the tools returned so far
+  if (!reply) {
+    const next = await model.complete({ messages: prompt(), tools: [] });
+    reply = next.tool_calls?.length ? { role: 'assistant', content: ROUNDS_EXHAUSTED_REPLY } : next;
+  }
+
+  const timestamp = new Date().toISOString();
+  turn.push({
+    role: 'assistant',
+    content: reply.content || ROUNDS_EXHAUSTED_REPLY,
+    timestamp,
+    ...(actionIds.length ? { actionIds } : {})
+  });
+
+  await db.query(
+    'UPDATE ai_chat_conversations SET messages = $1, updated_at = NOW() WHERE id = $2',
+    [JSON.stringify(trimMessages([...history, ...turn], MAX_STORED_MESSAGES)), conversation.id]
+  );
+
+  const actions = actionIds.length
+    ? (await db.query('SELECT * FROM ai_chat_actions WHERE id = ANY($1::int[]) ORDER BY id', [actionIds])).rows.map(toAction)
+    : [];
+
+  return {
+    conversationId: conversation.id,
+    response: turn[turn.length - 1].content,
+    actions,
+    timestamp
+  };
+}
+
+async function lockPendingAction(db, userId, actionId) {
+  const result = await db.query(
+    'SELECT * FROM ai_chat_actions WHERE id = $1 AND user_id = $2 FOR UPDATE',
+    [actionId, userId]
+  );
+  const action = result.rows[0];
+  if (!action) throw new AIChatError('Action not found', 404);
+  if (action.status !== 'pending') throw new AIChatError(`Action was already ${action.status}`, 409);
+  return toAction(action);
+}
+
+/**
+ * Apply a list of additions and removals to deck cards by name
+ * @returns {{cards: Array<Object>, notInDeck: Array<string>}}
+ */
+export function editDeckCards(cards, { add = [], remove = [] }) {
+  const next = parseJson(cards, []).map(card => ({ ...card }));
+  const find = (name) => next.find(card => card.name?.toLowerCase() === name.toLowerCase());
+  const notInDeck = [];
+
+  for (const { name, quantity } of remove) {
+    let remaining = quantity;
+    for (const card of next) {
+      if (remaining === 0) break;
+      if (card.name?.toLowerCase() !== name.toLowerCase()) continue;
+      const taken = Math.min(card.quantity ?? 1, remaining);
+      card.quantity = (card.quantity ?? 1) - taken;
+      remaining -= taken;
+    }
+    if (remaining === quantity) notInDeck.push(name);
+  }
+
+  for (const { name, quantity } of add) {
+    const existing = find(name);
+    if (existing) {
+      existing.quantity = (existing.quantity ?? 1) + quantity;
+    } else {
+      next.push({ name, quantity });
+    }
+  }
+
+  return { cards: next.filter(card => card.quantity > 0), notInDeck };
+}
+
+async function applyDeckEdit(db, userId, { deckId, add, remove }) {
+  const current = await db.query(
+    'SELECT cards FROM decks WHERE id = $1 AND user_id = $2 FOR UPDATE',
+    [deckId, userId]
+  );
+  if (current.rows.length === 0) throw new AIChatError('Deck not found', 404);
+
+  const previousCards = current.rows[0].cards;
+  const { cards, notInDeck } = editDeckCards(previousCards, { add, remove });
+  await db.query(
+    'UPDATE decks SET cards = $1, updated_at = NOW() WHERE id = $2 AND user_id = $3',
+    [JSON.stringify(cards), deckId, userId]
+  );
+  const revision = await recordDeckRevision(db, {
+    deckId,
+    userId,
+    source: 'ai',
+    previousCards,
+    cards
+  });
+  return { deckId, revisionNumber: revision?.revision_number ?? null, notInDeck };
+}
+
+async function applyFolderMove(db, userId, { inventoryIds, folder }) {
+  const { count, undoToken, undoExpiresAt } = await applyBulkOperation(db, userId, {
+    ids: inventoryIds,
+    operation: { type: 'move', folder }
+  });
+  return { folder, count, undoToken, undoExpiresAt };
+}
+
+/**
+ * Carry out an action the model proposed. Run inside a transaction.
+ * @returns {Promise<Object>} The action, now applied, with what it changed in result
+ */
+export async function applyChatAction(db, userId, actionId) {
+  const action = await lockPendingAction(db, userId, actionId);
+  const result = action.type === 'deck_edit'
+    ? await applyDeckEdit(db, userId, action.payload)
+    : await applyFolderMove(db, userId, action.payload);
+
+  const updated = await db.query(
+    `UPDATE ai_chat_actions SET status = 'applied', result = $1, resolved_at = NOW()
+     WHERE id = $2 RETURNING *`,
+    [JSON.stringify(result), action.id]
+  );
+  return toAction(updated.rows[0]);
+}
+
+/**
+ * Decline an action the model proposed
+ */
+export async function dismissChatAction(db, userId, actionId) {
+  await lockPendingAction(db, userId, actionId);
+  const updated = await db.query(
+    `UPDATE ai_chat_actions SET status = 'dismissed', resolved_at = NOW()
+     WHERE id = $1 RETURNING *`,
+    [actionId]
+  );
+  return toAction(updated.rows[0]);
+}
+
+export default {
+  AIChatError,
+  trimMessages,
+  toDisplayMessages,
+  getConversation,
+  getLatestConversation,
+  deleteConversation,
+  runChatTurn,
+  editDeckCards,
+  applyChatAction,
+  dismissChatAction
+};
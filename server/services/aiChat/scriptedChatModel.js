@@ -0,0 +1,45 @@
+/**
+ * Scripted Chat Model
+ * A chat model that replays a fixed list of replies, for tests (local development without an
+ * API key can use AI_PROVIDER_CHAT=fake instead). Each step is either an assistant reply or a
+ * function of the request that returns one:
+ *   { content: 'text' }
+ *   { toolCalls: [{ name: 'search_inventory', arguments: { query: 'Sol Ring' } }] }
+ * Every request is kept in `calls` so tests can inspect what the model was shown.
+ */
+
+function toAssistantMessage(step, callIndex) {
+  const toolCalls = (step.toolCalls || []).map((call, index) => ({
+    id: call.id || `call_${callIndex}_${index}`,
+    type: 'function',
+    function: {
+      name: call.name,
+      arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+    }
+  }));
+  return {
+    role: 'assistant',
+    content: step.content ?? null,
+    ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {})
+  };
+}
+
+/**
+ * @param {Array<Object|Function>} steps - Replies in order; the model throws once they run out
+ */
+export function createScriptedChatModel(steps) {
+  const calls = [];
+  return {
+    name: 'scripted',
+    calls,
+    async complete(request) {
+      calls.push(structuredClone(request));
+      const step = steps[calls.length - 1];
+      if (!step) throw new Error(`Scripted chat model has no reply for call ${calls.length}`);
+      const reply = typeof step === 'function' ? await step(request) : step;
+      return toAssistantMessage(reply, calls.length);
+    }
+  };
+}
+
+export default { createScriptedChatModel };
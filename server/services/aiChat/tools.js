@@ -0,0 +1,254 @@
+/**
+ * AI Chat Tools
+ * Functions the chat model can call. Read tools answer from the user's data; propose tools
+ * only record a pending action, which changes nothing until the user applies it in the chat.
+ * Each tool gets a context of {db, userId, conversationId, getCardPrices}.
+ */
+
+import { queryInventory } from '../inventoryQueryService.js';
+import { allocateDeckCards, resolveAllocationPreferences } from '../deckReservationService.js';
+
+const MAX_SEARCH_RESULTS = 25;
+
+/**
+ * Error a tool reports back to the model, which can correct its arguments and try again
+ */
+export class ChatToolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ChatToolError';
+  }
+}
+
+async function findDeck(db, userId, deckId) {
+  const result = await db.query(
+    'SELECT id, name, format, cards, allocation_preferences FROM decks WHERE id = $1 AND user_id = $2',
+    [deckId, userId]
+  );
+  if (result.rows.length === 0) throw new ChatToolError(`Deck ${deckId} not found`);
+  return result.rows[0];
+}
+
+const cardList = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      quantity: { type: 'integer', minimum: 1 }
+    },
+    required: ['name']
+  }
+};
+
+const normalizeCardList = (cards) => (Array.isArray(cards) ? cards : [])
+  .filter(card => typeof card?.name === 'string' && card.name.trim())
+  .map(card => ({ name: card.name.trim(), quantity: Math.max(1, parseInt(card.quantity ?? 1, 10) || 1) }));
+
+async function insertAction(db, { conversationId, userId, type, summary, payload }) {
+  const result = await db.query(
+    `INSERT INTO ai_chat_actions (conversation_id, user_id, type, summary, payload)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, type, summary, payload, status, created_at`,
+    [conversationId, userId, type, summary, JSON.stringify(payload)]
+  );
+  return result.rows[0];
+}
+
+const describeCards = (cards) => cards.map(card => `${card.quantity}x ${card.name}`).join(', ');
+
+export const CHAT_TOOLS = [
+  {
+    name: 'search_inventory',
+    description: 'Search the user\'s card inventory by card name, optionally within one folder. '
+      + 'Returns each matching card with its copies, folders and how many copies are not reserved for decks.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Part of a card name' },
+        folder: { type: 'string', description: 'Only search this folder' },
+        limit: { type: 'integer', minimum: 1, maximum: MAX_SEARCH_RESULTS }
+      },
+      required: ['query']
+    },
+    async run({ db, userId }, { query, folder, limit = 10 }) {
+      if (!query || typeof query !== 'string') throw new ChatToolError('query is required');
+      const { cards, total } = await queryInventory(db, userId, {
+        search: query,
+        folder: folder || undefined,
+        limit: Math.min(Math.max(parseInt(limit, 10) || 10, 1), MAX_SEARCH_RESULTS)
+      });
+      return {
+        total,
+        cards: cards.map(card => ({
+          name: card.name,
+          quantity: card.totalQuantity,
+          available: card.totalQuantity - card.reservedQuantity,
+          copies: card.items.map(item => ({
+            inventoryId: item.id,
+            set: item.set,
+            folder: item.folder || 'Uncategorized',
+            quantity: item.quantity,
+            reserved: item.reserved_quantity,
+            foil: !!item.foil,
+            condition: item.quality || 'NM'
+          }))
+        }))
+      };
+    }
+  },
+  {
+    name: 'check_deck_availability',
+    description: 'Check how much of one of the user\'s decks can be built from unreserved inventory, and which cards are missing.',
+    parameters: {
+      type: 'object',
+      properties: {
+        deckId: { type: 'integer', description: 'Id of the user\'s deck' }
+      },
+      required: ['deckId']
+    },
+    async run({ db, userId }, { deckId }) {
+      const deck = await findDeck(db, userId, deckId);
+      const { allocation } = await allocateDeckCards(db, {
+        deckId: deck.id,
+        userId,
+        cards: deck.cards || [],
+        preferences: resolveAllocationPreferences(deck.allocation_preferences)
+      });
+      const needed = allocation.reduce((sum, card) => sum + card.quantity, 0);
+      const available = allocation.reduce((sum, card) => sum + card.reserved, 0);
+      return {
+        deck: { id: deck.id, name: deck.name, format: deck.format },
+        cardsNeeded: needed,
+        cardsAvailable: available,
+        missing: allocation
+          .filter(card => card.missing > 0)
+          .map(card => ({ name: card.name, missing: card.missing }))
+      };
+    }
+  },
+  {
+    name: 'get_card_price',
+    description: 'Look up the current market price of a card (TCGplayer and Card Kingdom where known).',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        set: { type: 'string', description: 'Set code, when a specific printing matters' }
+      },
+      required: ['name']
+    },
+    async run({ getCardPrices }, { name, set }) {
+      if (!name || typeof name !== 'string') throw new ChatToolError('name is required');
+      const prices = await getCardPrices({ name, set });
+      return { name, set: set || null, tcgplayer: prices.tcg, cardkingdom: prices.ck, source: prices.source };
+    }
+  },
+  {
+    name: 'propose_deck_edit',
+    description: 'Propose adding and removing cards in one of the user\'s decks. Nothing changes until the user '
+      + 'applies the proposal in the chat, so say what you proposed and ask them to review it.',
+    parameters: {
+      type: 'object',
+      properties: {
+        deckId: { type: 'integer' },
+        add: cardList,
+        remove: cardList,
+        reason: { type: 'string', description: 'One sentence shown to the user with the proposal' }
+      },
+      required: ['deckId']
+    },
+    async run({ db, userId, conversationId }, { deckId, add, remove, reason }) {
+      const deck = await findDeck(db, userId, deckId);
+      const payload = { deckId: deck.id, add: normalizeCardList(add), remove: normalizeCardList(remove), reason: reason || null };
+      if (payload.add.length === 0 && payload.remove.length === 0) {
+        throw new ChatToolError('Propose at least one card to add or remove');
+      }
+
+      const changes = [
+        payload.add.length ? `add ${describeCards(payload.add)}` : null,
+        payload.remove.length ? `remove ${describeCards(payload.remove)}` : null
+      ].filter(Boolean).join('; ');
+      const action = await insertAction(db, {
+        conversationId,
+        userId,
+        type: 'deck_edit',
+        summary: `${deck.name}: ${changes}`,
+        payload
+      });
+      return { actionId: action.id, status: 'pending', summary: action.summary };
+    }
+  },
+  {
+    name: 'propose_folder_move',
+    description: 'Propose moving inventory copies (by inventoryId from search_inventory) to a folder. '
+      + 'Nothing moves until the user applies the proposal in the chat.',
+    parameters: {
+      type: 'object',
+      properties: {
+        inventoryIds: { type: 'array', items: { type: 'integer' }, minItems: 1 },
+        folder: { type: 'string' },
+        reason: { type: 'string', description: 'One sentence shown to the user with the proposal' }
+      },
+      required: ['inventoryIds', 'folder']
+    },
+    async run({ db, userId, conversationId }, { inventoryIds, folder, reason }) {
+      const ids = [...new Set((Array.isArray(inventoryIds) ? inventoryIds : []).map(Number).filter(Number.isInteger))];
+      const target = typeof folder === 'string' ? folder.trim() : '';
+      if (ids.length === 0 || !target) throw new ChatToolError('inventoryIds and folder are required');
+
+      const result = await db.query('SELECT id, name FROM inventory WHERE id = ANY($1::int[]) AND user_id = $2', [ids, userId]);
+      const found = new Set(result.rows.map(row => row.id));
+      const unknown = ids.filter(id => !found.has(id));
+      if (unknown.length > 0) throw new ChatToolError(`Inventory items not found: ${unknown.join(', ')}`);
+
+      const names = [...new Set(result.rows.map(row => row.name))];
+      const action = await insertAction(db, {
+        conversationId,
+        userId,
+        type: 'folder_move',
+        summary: `Move ${names.join(', ')} to ${target}`,
+        payload: { inventoryIds: ids, folder: target, reason: reason || null }
+      });
+      return { actionId: action.id, status: 'pending', summary: action.summary };
+    }
+  }
+];
+
+/**
+ * Tool definitions in the chat completions function-calling format
+ */
+export function chatToolDefinitions(tools = CHAT_TOOLS) {
+  return tools.map(({ name, description, parameters }) => ({
+    type: 'function',
+    function: { name, description, parameters }
+  }));
+}
+
+/**
+ * Run one tool call from the model. Bad arguments and tool errors go back to the model as
+ * {error} so it can recover; anything else is a server fault and is thrown.
+ * @param {Object} context - {db, userId, conversationId, getCardPrices}
+ * @param {{id: string, function: {name: string, arguments: string}}} call
+ * @returns {Promise<Object>}
+ */
+export async function runChatTool(context, call, tools = CHAT_TOOLS) {
+  const tool = tools.find(candidate => candidate.name === call.function?.name);
+  if (!tool) return { error: `Unknown tool: ${call.function?.name}` };
+
+  let args;
+  try {
+    args = JSON.parse(call.function.arguments || '{}');
+  } catch {
+    return { error: 'Arguments must be a JSON object' };
+  }
+
+  try {
+    return await tool.run(context, args || {});
+  } catch (error) {
+    if (error instanceof ChatToolError) return { error: error.message };
+    throw error;
+  }
+}
+
+export default { CHAT_TOOLS, ChatToolError, chatToolDefinitions, runChatTool };
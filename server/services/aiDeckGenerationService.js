@@ -0,0 +1,1248 @@
+/**
+ * AI Deck Generation
+ * Builds a Commander deck from a commander (named, or suggested for a theme), EDHREC and
+ * MTGGoldfish recommendations, the user's inventory and three model passes, then enriches
+ * the list from Scryfall and trims it to budget and 100 cards. With `builder: 'rules'`, or
+ * when no model is configured for generation, the rules-based builder (rulesDeckBuilder.js)
+ * picks the cards from the same recommendations instead.
+ *
+ * Progress is reported through `onStage(stage, data)` as each step finishes, in order:
+ *   commander        { commander }                        - Scryfall card
+ *   recommendations  { archetypes, combos, edhrec, mtggoldfish, cardCount }
+ *   inventory        { available, reserved, owned }       - owned: recommended cards on hand
+ *   draft            { description, themes, cards }       - before Scryfall enrichment
+ *   validation       { totalCards, totalPrice, withinBudget, removedForColorIdentity, inventoryWarning }
+ * and the finished deck is returned. Aborting `signal` cancels the upstream calls.
+ */
+
+import { mtgjsonService } from '../mtgjsonPriceService.js';
+import { cardNameAliases } from './cardCatalogService.js';
+import { normalizeCardName } from '../utils/cardHelpers.js';
+import { buildRulesDeck, resolveQuotas, resolveCurve, DeckBuilderError } from './rulesDeckBuilder.js';
+
+export const GENERATION_STAGES = ['commander', 'recommendations', 'inventory', 'draft', 'validation'];
+
+export const DECK_BUILDERS = ['ai', 'rules'];
+
+// Owned cards the rules builder considers beyond the recommendations in inventory-only mode
+const RULES_INVENTORY_POOL_LIMIT = 300;
+
+/**
+ * Error raised when a deck can't be generated, carrying an HTTP status for the route layer.
+ * `details` are extra response fields (e.g. the inventory-only card counts).
+ */
+export class DeckGenerationError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'DeckGenerationError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Check a generation request before any work starts
+ * @param {Object} body - { commanderMode, commander, theme, budget, bracket, inventoryOnly,
+ *   builder, quotas, curve }
+ */
+export function validateGenerationRequest({ commanderMode, commander, theme, builder, quotas, curve } = {}) {
+  // Validate: commanderMode is required
+  if (!commanderMode) {
+    throw new DeckGenerationError('Commander mode is required (random or specific)');
+  }
+
+  // Validate: Specific mode needs a commander (theme is always optional)
+  // Note: theme is optional for both modes - AI will generate based on commander or random selection
+  if (commanderMode === 'specific' && !commander) {
+    throw new DeckGenerationError('Commander is required for specific commander mode');
+  }
+
+  // Validate: Random mode should have a theme (though we can provide a fallback)
+  if (commanderMode === 'random' && !theme) {
+    console.log('[AI] Warning: Random mode without theme - will use generic fallback');
+  }
+
+  if (builder !== undefined && !DECK_BUILDERS.includes(builder)) {
+    throw new DeckGenerationError(`Builder must be one of: ${DECK_BUILDERS.join(', ')}`);
+  }
+
+  // Rules builder options fail here rather than after the commander lookup
+  try {
+    resolveQuotas(quotas);
+    resolveCurve(curve);
+  } catch (err) {
+    if (err instanceof DeckBuilderError) throw new DeckGenerationError(err.message, err.statusCode);
+    throw err;
+  }
+}
+
+function throwIfCancelled(signal) {
+  if (signal?.aborted) throw new DeckGenerationError('Deck generation was cancelled', 499);
+}
+
+// Every card name EDHREC and MTGGoldfish recommended, once each
+function recommendedCardNames(edhrecPages, goldfish) {
+  const names = new Map();
+  const add = (name) => {
+    if (name && !names.has(name.toLowerCase())) names.set(name.toLowerCase(), name);
+  };
+  for (const page of edhrecPages) {
+    if (!page) continue;
+    for (const [key, value] of Object.entries(page)) {
+      if (key !== 'archetypes' && key !== 'combos' && Array.isArray(value)) value.forEach(add);
+    }
+  }
+  (goldfish?.popularCards || []).forEach(add);
+  return [...names.values()];
+}
+
+// Helper: Fetch Scryfall cards by name, 75 per request (Scryfall's collection limit)
+async function fetchScryfallCards(names, signal) {
+  const cards = [];
+  for (let i = 0; i < names.length; i += 75) {
+    const identifiers = names.slice(i, i + 75).map(name => ({ name }));
+
+    const scryfallRes = await fetch('https://api.scryfall.com/cards/collection', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ identifiers }),
+      signal
+    });
+
+    if (scryfallRes.ok) {
+      const scryfallData = await scryfallRes.json();
+      cards.push(...(scryfallData.data || []));
+    }
+  }
+  return cards;
+}
+
+// Helper: TCGplayer and Card Kingdom prices for a Scryfall card, from MTGJSON with Scryfall's
+// USD price (a string like "1.23") as the TCGplayer fallback
+function cardPrices(card) {
+  const prices = mtgjsonService.getPricesByScryfallId(card.id);
+  const scryfallUsdPrice = card.prices?.usd ? parseFloat(card.prices.usd) : 0;
+  return {
+    tcgPrice: prices.tcgplayer || scryfallUsdPrice || 0,
+    ckPrice: prices.cardkingdom || 0
+  };
+}
+
+// Helper: Get MTGGoldfish popular cards for a Commander
+async function getMtgGoldfishData(commanderName, signal) {
+  try {
+    // Convert "Fire Lord Zuko" to "commander-fire-lord-zuko"
+    const slug = 'commander-' + commanderName
+      .toLowerCase()
+      .replace(/[^a-z0-9\s-]/g, '')
+      .replace(/\s+/g, '-');
+
+    const url = `https://www.mtggoldfish.com/archetype/${slug}`;
+    console.log(`[AI] Fetching MTGGoldfish: ${url}`);
+
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+      console.log(`[AI] MTGGoldfish returned ${response.status}, skipping`);
+      return null;
+    }
+
+    const html = await response.text();
+
+    // Extract card names from the HTML using regex
+    // Cards are in links like: /price/Set+Name/Card+Name
+    const cardMatches = html.matchAll(/\/price\/[^"]+\/([A-Za-z0-9+\-']+)"/g);
+    const cardNames = new Set();
+
+    for (const match of cardMatches) {
+      // Decode the card name (+ becomes space, etc.)
+      const cardName = decodeURIComponent(match[1].replace(/\+/g, ' '));
+      // Skip sets and other non-cards
+      if (cardName.length > 2 && !cardName.includes('Promo') && !cardName.includes('Commander')) {
+        cardNames.add(cardName);
+      }
+    }
+
+    // Also extract percentage-based info
+    const popularCards = Array.from(cardNames).slice(0, 50);
+
+    console.log(`[AI] MTGGoldfish found ${popularCards.length} unique cards`);
+    return { popularCards };
+  } catch (err) {
+    console.error('[AI] MTGGoldfish fetch failed:', err.message);
+    return null;
+  }
+}
+
+
+// Helper: Get Commander Details from Scryfall
+async function getCommanderDetails(query, signal) {
+  try {
+    // Try exact first
+    let response = await fetch(`https://api.scryfall.com/cards/named?exact=${encodeURIComponent(query)}`, { signal });
+    if (response.ok) return await response.json();
+
+    // Try search (Better for "Avatar Aang" -> "Aang, the Last Airbender")
+    // Use order=edhrec to get the most relevant card first
+    response = await fetch(`https://api.scryfall.com/cards/search?q=${encodeURIComponent(query)}&unique=cards&order=edhrec`, { signal });
+    if (response.ok) {
+      const data = await response.json();
+      if (data.data && data.data.length > 0) {
+        console.log(`[AI] Scryfall search found: ${data.data[0].name}`);
+        return data.data[0];
+      }
+    }
+
+    // Try fuzzy (Last resort for typos)
+    response = await fetch(`https://api.scryfall.com/cards/named?fuzzy=${encodeURIComponent(query)}`, { signal });
+    if (response.ok) {
+      return await response.json();
+    }
+
+    return null;
+  } catch (err) {
+    console.error('Scryfall lookup failed:', err);
+    return null;
+  }
+}
+
+// Helper: Get relevant inventory with availability tracking
+async function getInventoryForDeck(db, userId) {
+  // One row per card: printings of the same card are combined through their oracle id
+  // (rows not linked to the catalog yet fall back to their name) and use the canonical name
+  const query = `
+    WITH items AS (
+      SELECT
+        i.oracle_id,
+        i.name,
+        i.image_url,
+        i.purchase_price,
+        COALESCE(i.quantity, 0) AS quantity,
+        COALESCE(
+          (SELECT SUM(dr.quantity_reserved)
+           FROM deck_reservations dr
+           WHERE dr.inventory_item_id = i.id), 0
+        ) AS reserved_quantity
+      FROM inventory i
+      WHERE i.user_id = $1
+    )
+    SELECT
+      COALESCE(MIN(c.name), MIN(items.name)) AS name,
+      SUM(items.quantity)::int AS quantity,
+      SUM(items.reserved_quantity)::int AS reserved_quantity,
+      (SUM(items.quantity) - SUM(items.reserved_quantity))::int AS available_quantity,
+      MIN(items.image_url) AS image_url
+    FROM items
+    LEFT JOIN cards c ON c.oracle_id = items.oracle_id
+    GROUP BY COALESCE(items.oracle_id, LOWER(TRIM(items.name)))
+    ORDER BY MAX(items.purchase_price) DESC NULLS LAST
+  `;
+  const result = await db.query(query, [userId]);
+  console.log(`[AI] Loaded ${result.rows.length} inventory items for User ${userId}`);
+  return result.rows.map(row => ({ ...row, aliases: cardNameAliases(row.name) }));
+}
+
+// Helper: Find the inventory row for a card name, accepting any face or spelling of it
+function findInventoryCard(inventory, name) {
+  const wanted = normalizeCardName(name);
+  return inventory.find(i => i.aliases.includes(wanted));
+}
+
+// Helper: Get EDHREC recommendations for a Commander
+async function getEdhrecRecommendations(commanderName, budgetType = null, signal) {
+  try {
+    // Convert "Atraxa, Praetors' Voice" to "atraxa-praetors-voice"
+    const slug = commanderName
+      .toLowerCase()
+      .replace(/[^a-z0-9\s-]/g, '')
+      .replace(/\s+/g, '-');
+
+    let url = `https://json.edhrec.com/pages/commanders/${slug}.json`;
+    if (budgetType === 'budget' || budgetType === 'expensive') {
+      url = `https://json.edhrec.com/pages/commanders/${slug}/${budgetType}.json`;
+    }
+
+    console.log(`[AI] Fetching EDHREC data (${budgetType || 'standard'}): ${url}`);
+
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+      console.log(`[AI] EDHREC (${budgetType || 'standard'}) returned ${response.status}, skipping...`);
+      return null;
+    }
+
+    const data = await response.json();
+    const cardLists = data?.container?.cardlists || [];
+
+    // Extract archetypes/themes from panels taglinks
+    const taglinks = data?.panels?.taglinks || [];
+    const archetypes = taglinks.slice(0, 10).map(t => t.value);
+
+    // Extract combos from panels
+    const comboCounts = data?.panels?.combocounts || [];
+    const combos = comboCounts
+      .filter(c => c.value && !c.value.includes('See More'))
+      .slice(0, 10)
+      .map(c => c.value);
+
+    // Extract MORE cards from each category (15-20 per category for better coverage)
+    const recommendations = {
+      archetypes: archetypes,
+      combos: combos,  // Popular combos with this commander
+      highSynergy: [],
+      topCards: [],
+      gameChangers: [],  // Expensive staples
+      newCards: [],      // Recent releases
+      creatures: [],
+      instants: [],
+      sorceries: [],
+      utilityArtifacts: [],
+      manaArtifacts: [],
+      enchantments: [],
+      planeswalkers: [],
+      utilityLands: [],
+      lands: []
+    };
+
+    cardLists.forEach(list => {
+      const cards = (list.cardviews || []).slice(0, 20).map(c => c.name);
+      switch (list.tag) {
+        case 'highsynergycards': recommendations.highSynergy = cards; break;
+        case 'topcards': recommendations.topCards = cards; break;
+        case 'gamechangers': recommendations.gameChangers = cards; break;
+        case 'newcards': recommendations.newCards = cards; break;
+        case 'creatures': recommendations.creatures = cards; break;
+        case 'instants': recommendations.instants = cards; break;
+        case 'sorceries': recommendations.sorceries = cards; break;
+        case 'utilityartifacts': recommendations.utilityArtifacts = cards; break;
+        case 'manaartifacts': recommendations.manaArtifacts = cards; break;
+        case 'enchantments': recommendations.enchantments = cards; break;
+        case 'planeswalkers': recommendations.planeswalkers = cards; break;
+        case 'utilitylands': recommendations.utilityLands = cards; break;
+        case 'lands': recommendations.lands = cards; break;
+      }
+    });
+
+    console.log(`[AI] EDHREC found: ${combos.length} combos, archetypes=[${archetypes.slice(0, 3).join(', ')}...], ${recommendations.highSynergy.length} high-synergy`);
+
+    return recommendations;
+  } catch (err) {
+    console.error('[AI] EDHREC fetch failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Build the deck with the rules-based builder instead of model passes: candidates are the
+ * recommendations in order (plus owned cards in inventory-only mode), and the budget only
+ * counts cards the user doesn't own
+ */
+async function buildDeckWithRules({ commanderCard, recommended, inventory, edhrec, request, signal, onStage }) {
+  const { budget, inventoryOnly = false, quotas, curve } = request;
+  const ownedQuantity = (name) => findInventoryCard(inventory, name)?.available_quantity || 0;
+
+  const candidateNames = [...recommended];
+  if (inventoryOnly) {
+    const known = new Set(recommended.map(name => normalizeCardName(name)));
+    inventory
+      .filter(item => item.available_quantity > 0 && !item.aliases.some(alias => known.has(alias)))
+      .slice(0, RULES_INVENTORY_POOL_LIMIT)
+      .forEach(item => candidateNames.push(item.name));
+  }
+
+  console.log(`[AI] Rules builder: fetching ${candidateNames.length} candidate cards for ${commanderCard.name}`);
+  const candidates = await fetchScryfallCards(candidateNames, signal);
+  throwIfCancelled(signal);
+
+  const built = buildRulesDeck({
+    commander: commanderCard,
+    candidates,
+    quotas,
+    curve,
+    budget: budget || null,
+    ownedQuantity,
+    inventoryOnly,
+    priceOf: card => cardPrices(card).tcgPrice
+  });
+  built.warnings.forEach(warning => console.log(`[AI] Rules builder: ${warning}`));
+
+  const archetypes = edhrec?.archetypes.slice(0, 3) || [];
+  const description = archetypes.length > 0
+    ? `${commanderCard.name} built around ${archetypes.join(', ')}, with cards picked by role, mana curve and budget from EDHREC and MTGGoldfish recommendations.`
+    : `${commanderCard.name} with cards picked by role, mana curve and budget from EDHREC and MTGGoldfish recommendations.`;
+
+  const byId = new Map([commanderCard, ...candidates].map(card => [card.id, card]));
+  const cards = built.cards.map(({ name, quantity, category, reason, scryfallId, cmc, price }) => {
+    const card = byId.get(scryfallId);
+    return {
+      name,
+      quantity,
+      category,
+      reason,
+      scryfallId,
+      cmc,
+      colors: (card?.colors || []).join(''),
+      cardType: card?.type_line?.split('—')[0]?.trim() || 'Basic Land',
+      tcgPrice: price,
+      ckPrice: card ? cardPrices(card).ckPrice : 0
+    };
+  });
+  onStage('draft', { description, themes: archetypes, cards: structuredClone(cards) });
+
+  const deckPrice = cards.reduce((s, c) => s + c.tcgPrice * c.quantity, 0);
+  onStage('validation', {
+    totalCards: built.stats.totalCards,
+    totalPrice: Math.round(deckPrice * 100) / 100,
+    withinBudget: !budget || built.stats.purchaseCost <= budget,
+    removedForColorIdentity: built.stats.excluded.colorIdentity,
+    inventoryWarning: null
+  });
+
+  return {
+    commander: commanderCard,
+    deck: {
+      description,
+      cards,
+      builder: 'rules',
+      stats: built.stats,
+      legality: built.legality,
+      warnings: built.warnings
+    }
+  };
+}
+
+/**
+ * Generate a deck
+ * @param {Object} db - Database pool, for the user's inventory
+ * @param {Object} request - { commanderMode, commander, theme, budget, bracket, inventoryOnly,
+ *   builder ('ai' or 'rules'; defaults to 'ai' when a model is configured), quotas, curve }
+ * @param {Object} options
+ * @param {string} options.userId
+ * @param {Object} options.llm - LLM service (see services/llm)
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.onStage] - Called with (stage, data) as each stage finishes
+ * @returns {Promise<{commander: Object, deck: Object}>}
+ */
+export async function generateDeck(db, request, { userId, llm, signal, onStage = () => {} }) {
+  const { commanderMode, commander: providedCommander, theme, budget, bracket, inventoryOnly = false, builder } = request;
+  const account = { userId };
+  const useRules = builder === 'rules' || (builder !== 'ai' && !llm.isAvailable('generation'));
+
+
+  let commanderName = null;
+  let strategyHint = theme || '';
+  let directHit = null;
+
+  if (commanderMode === 'specific') {
+    // SPECIFIC MODE: Use the provided commander name directly
+    console.log(`[AI] Specific Mode: Using provided commander "${providedCommander}"`);
+    commanderName = providedCommander;
+    directHit = await getCommanderDetails(providedCommander, signal);
+
+    if (!directHit) {
+      throw new DeckGenerationError(`Could not find commander "${providedCommander}"`, 404);
+    }
+  } else {
+    // RANDOM MODE: Ask AI to suggest a commander based on theme
+    const effectiveTheme = theme || 'a fun and synergistic Commander deck';
+
+    if (useRules) {
+      // No model to ask: the theme's most popular commander is found below
+      console.log(`[AI] Random Mode: Searching popular commanders for theme "${theme || ''}"`);
+    } else {
+      console.log(`[AI] Random Mode: Suggesting commander for theme "${effectiveTheme}"`);
+
+      // Not cached: asking again for the same theme should be able to suggest someone new
+      const suggestion = await llm.complete('generation', {
+        messages: [{
+          role: "user",
+          content: `Recommend the SINGLE BEST Magic: The Gathering Legendary Creature to be the commander for this deck concept.
+  Return ONLY the exact card name, nothing else.
+
+  Deck Concept: ${effectiveTheme}`
+        }],
+        signal
+      }, account);
+      commanderName = (suggestion.content || '').trim();
+      console.log(`[AI] AI Suggested Commander: "${commanderName}"`);
+
+      directHit = await getCommanderDetails(commanderName, signal);
+
+      // If AI suggestion didn't work, try a fallback search
+      if (!directHit) {
+        console.log(`[AI] AI suggestion "${commanderName}" not found, trying search...`);
+        const searchResponse = await fetch(`https://api.scryfall.com/cards/search?q=${encodeURIComponent(commanderName)}+is:commander&unique=cards&order=edhrec`, { signal });
+        if (searchResponse.ok) {
+          const searchData = await searchResponse.json();
+          if (searchData.data && searchData.data.length > 0) {
+            directHit = searchData.data[0];
+            commanderName = directHit.name;
+            console.log(`[AI] Found via search: "${commanderName}"`);
+          }
+        }
+      }
+    }
+
+    // Last resort: If we still can't find anything, pick a popular commander for the theme
+    if (!directHit) {
+      console.log(`[AI] Using fallback popular commander search for theme`);
+      const fallbackSearch = await fetch(`https://api.scryfall.com/cards/search?q=${encodeURIComponent(theme || '')}+is:commander&unique=cards&order=edhrec`, { signal });
+      if (fallbackSearch.ok) {
+        const fallbackData = await fallbackSearch.json();
+        if (fallbackData.data && fallbackData.data.length > 0) {
+          directHit = fallbackData.data[0];
+          commanderName = directHit.name;
+          console.log(`[AI] Fallback found: "${commanderName}"`);
+        }
+      }
+    }
+
+    if (!directHit) {
+      throw new DeckGenerationError(`Could not find a suitable commander for the theme "${theme}". Try being more specific.`, 404);
+    }
+  }
+
+  // Use the found commander
+  const commanderCard = directHit;
+
+  const colorId = commanderCard.color_identity || [];
+  const colorString = colorId.length > 0 ? colorId.join('') : 'Colorless';
+  const keywords = commanderCard.keywords || [];
+  const keywordsString = keywords.length > 0 ? keywords.join(', ') : 'None';
+
+  console.log(`[AI] Commander: ${commanderCard.name}, Colors: ${colorString}, Keywords: ${keywordsString}`);
+  throwIfCancelled(signal);
+  onStage('commander', { commander: commanderCard });
+
+  // 3. Get User Inventory Context
+  const inventory = await getInventoryForDeck(db, userId);
+
+  // Separate available cards from reserved cards
+  const availableCards = inventory
+    .filter(c => c.available_quantity > 0)
+    .map(c => c.available_quantity > 1 ? `${c.name} (x${c.available_quantity})` : c.name);
+
+  const reservedCards = inventory
+    .filter(c => c.reserved_quantity > 0)
+    .map(c => c.reserved_quantity > 1 ? `${c.name} (x${c.reserved_quantity} reserved)` : `${c.name} (reserved)`);
+
+  // Validate inventory-only mode has enough cards
+  if (inventoryOnly && availableCards.length < 50) {
+    throw new DeckGenerationError(
+      `Inventory-only mode requires at least 50 available cards. You currently have ${availableCards.length} available cards.`,
+      400,
+      { availableCount: availableCards.length, requiredCount: 50 }
+    );
+  }
+
+  const inventoryContext = inventoryOnly
+    ? `
+**STRICT CONSTRAINT - INVENTORY-ONLY MODE:**
+You MUST build this deck using ONLY the cards listed below. Do NOT suggest ANY cards outside this list.
+Use the EXACT card names provided in the list.
+If you cannot build a complete 100-card deck with these cards, include as many as possible and stop.
+
+**YOUR AVAILABLE CARDS (ONLY USE THESE):**
+${availableCards.join(', ') || 'None - CANNOT BUILD DECK'}
+
+**YOUR RESERVED CARDS (DO NOT USE - already in other decks):**
+${reservedCards.join(', ') || 'None'}
+`.trim()
+    : `
+**YOUR AVAILABLE CARDS (Prioritize these - they're ready to use):**
+${availableCards.join(', ') || 'None'}
+
+**YOUR RESERVED CARDS (Avoid these - already in other decks):**
+${reservedCards.join(', ') || 'None'}
+`.trim();
+
+  // 4. Get EDHREC Recommendations (real data!)
+  let edhrecType = null;
+  if (budget && budget <= 250) edhrecType = 'budget';
+  else if (budget && budget >= 1000) edhrecType = 'expensive';
+
+  // Fetch both standard and budget/expensive in parallel for a richer filler pool
+  const [edhrecDefault, edhrecSpecific] = await Promise.all([
+    getEdhrecRecommendations(commanderCard.name, null, signal),
+    edhrecType ? getEdhrecRecommendations(commanderCard.name, edhrecType, signal) : Promise.resolve(null)
+  ]);
+
+  // Primary edhrec for the prompt is Specific, fallback to Default
+  const edhrec = edhrecSpecific || edhrecDefault;
+
+  // 5. Get MTGGoldfish popular cards
+  const goldfish = await getMtgGoldfishData(commanderCard.name, signal);
+  throwIfCancelled(signal);
+
+  const recommended = recommendedCardNames([edhrecSpecific, edhrecDefault], goldfish);
+  onStage('recommendations', {
+    archetypes: edhrec?.archetypes || [],
+    combos: edhrec?.combos || [],
+    edhrec: Boolean(edhrecDefault || edhrecSpecific),
+    mtggoldfish: Boolean(goldfish?.popularCards.length),
+    cardCount: recommended.length
+  });
+  onStage('inventory', {
+    available: availableCards.length,
+    reserved: reservedCards.length,
+    owned: recommended.filter(name => findInventoryCard(inventory, name)?.available_quantity > 0)
+  });
+
+  if (useRules) {
+    return buildDeckWithRules({ commanderCard, recommended, inventory, edhrec, request, signal, onStage });
+  }
+
+  let edhrecContext = '';
+  if (edhrec) {
+    const budgetTitle = edhrecType === 'budget' ? 'LOW BUDGET' : (edhrecType === 'expensive' ? 'EXPENSIVE/OPTIMIZED' : 'STANDARD');
+    edhrecContext = `
+**EDHREC ${budgetTitle} RECOMMENDATIONS - USE THESE CARDS! (Specifically curated for ${budgetTitle} builds):**
+
+DECK ARCHETYPES/THEMES: ${edhrec.archetypes.join(', ')}
+(Build around these themes for maximum synergy!)
+
+POPULAR COMBOS (Include cards from these combos if possible):
+${edhrec.combos.length > 0 ? edhrec.combos.join('\n') : 'No specific combos listed'}
+
+HIGH SYNERGY (MUST INCLUDE MANY OF THESE):
+${edhrec.highSynergy.join(', ')}
+
+TOP CARDS (STAPLES):
+${edhrec.topCards.join(', ')}
+
+GAME CHANGERS (EXPENSIVE/POWERFUL - include if budget allows):
+${edhrec.gameChangers.join(', ')}
+
+NEW/RECENT CARDS (Fresh options):
+${edhrec.newCards.join(', ')}
+
+CREATURES (Pick 20-25):
+${edhrec.creatures.join(', ')}
+
+INSTANTS (Pick 8-12):
+${edhrec.instants.join(', ')}
+
+SORCERIES (Pick 6-10):
+${edhrec.sorceries.join(', ')}
+
+UTILITY ARTIFACTS (Pick 5-8):
+${edhrec.utilityArtifacts.join(', ')}
+
+MANA ROCKS (Pick 8-10):
+${edhrec.manaArtifacts.join(', ')}
+
+ENCHANTMENTS (Pick 5-8):
+${edhrec.enchantments.join(', ')}
+
+PLANESWALKERS (Pick 0-3):
+${edhrec.planeswalkers.join(', ')}
+
+UTILITY LANDS (Pick 5-8):
+${edhrec.utilityLands.join(', ')}
+
+LANDS (Pick ~35 total including basics):
+${edhrec.lands.slice(0, 15).join(', ')}
+`;
+    console.log('[AI] EDHREC data injected into prompt (expanded with archetypes)');
+  }
+
+  // Add MTGGoldfish data if available
+  let goldfishContext = '';
+  if (goldfish && goldfish.popularCards.length > 0) {
+    goldfishContext = `
+
+**MTGGOLDFISH POPULAR CARDS (From real player-submitted decks):**
+${goldfish.popularCards.slice(0, 40).join(', ')}
+
+`;
+    console.log('[AI] MTGGoldfish data injected into prompt');
+  }
+
+  // Combine contexts
+  const combinedContext = inventoryOnly
+    ? edhrecContext + goldfishContext + `
+**INVENTORY-ONLY MODE ACTIVE:**
+The EDHREC and MTGGoldfish data above is for reference only.
+DO NOT suggest these cards unless they appear in YOUR AVAILABLE CARDS.
+Your primary constraint is to use ONLY cards from YOUR AVAILABLE CARDS list.
+`
+    : edhrecContext + goldfishContext + `
+**IMPORTANT: Build the deck primarily from the EDHREC and MTGGoldfish cards listed above! Only use cards NOT in these lists if absolutely necessary.**
+`;
+
+  // 4. PREPARE 3-PASS GENERATION
+  console.log(`[AI] Starting 3-Pass Generation for ${commanderCard.name}...`);
+
+  // --- PASS 1: THE SOUL (Description & Theme) ---
+  const soulPrompt = `You are a Grandmaster MTG Deck Builder. 
+Commander: ${commanderCard.name}
+Colors: ${colorString}
+Keywords: ${keywordsString}
+Target Budget: $${budget || 'No limit'}
+Target Power Bracket: ${bracket || 'Standard'}
+User Request: ${strategyHint}
+Archetypes: ${edhrec?.archetypes.join(', ')}
+
+Task: Generate a brief strategy description (1-2 sentences) and 3 core themes for this deck.
+Format: JSON { "description": "...", "themes": ["theme1", "theme2", "theme3"] }`;
+
+  // --- PASS 2: THE HEART (34 Synergy Cards) ---
+  // Calculate per-card budget guidance
+  let budgetGuidance = '';
+  if (budget) {
+    const avgCardBudget = (budget * 0.7) / 64; // 70% of budget for 64 spells
+    let maxSingleCard = Math.min(avgCardBudget * 4, budget * 0.15); // Max single card is 4x avg or 15% of total
+
+    // Inventory awareness for budget
+    const inventoryBudgetNote = availableCards.length > 0
+      ? `IMPORTANT: Cards from YOUR AVAILABLE CARDS count as $0 towards the budget since you already own them. Only cards you need to purchase count against the $${budget} budget.`
+      : '';
+
+    if (budget <= 100) {
+      budgetGuidance = `STRICT BUDGET: $${budget} total for NEW cards only. ${inventoryBudgetNote} Max $3 per card. NO expensive staples. Use budget alternatives (e.g., Llanowar Elves over Birds of Paradise, Swords to Plowshares over Path to Exile alternatives).`;
+    } else if (budget <= 300) {
+      budgetGuidance = `BUDGET: $${budget} total for NEW cards only. ${inventoryBudgetNote} Average $3-5 per card, max $10 for key pieces. Prefer budget-friendly options. Avoid cards over $10.`;
+    } else if (budget <= 600) {
+      budgetGuidance = `MODERATE BUDGET: $${budget} total for NEW cards only. ${inventoryBudgetNote} Average $5-10 per card, max $20 for key pieces. Can include some mid-range staples.`;
+    } else if (budget <= 1000) {
+      budgetGuidance = `GOOD BUDGET: $${budget} total for NEW cards only. ${inventoryBudgetNote} Average $10-15 per card, max $40 for key pieces. Include quality staples.`;
+    } else {
+      budgetGuidance = `HIGH BUDGET: $${budget}+ total for NEW cards only. ${inventoryBudgetNote} Include premium staples and expensive cards. Optimize for power.`;
+    }
+  }
+
+  const heartPrompt = `You are a Grandmaster MTG Deck Builder.
+Commander: ${commanderCard.name}
+${budgetGuidance}
+Themes: [[THEMES]]
+Strategy: [[DESCRIPTION]]
+
+Task: Generate EXACTLY 34 high-synergy non-land cards that form the core of this deck.
+STRICT RULES:
+1. NO LANDS.
+2. NO MANA ROCKS (Wait for Pass 3).
+3. NO GENERIC DRAW/REMOVAL (Wait for Pass 3).
+4. FOCUS ONLY ON SYNERGY WITH ${commanderCard.name}.
+5. ${budgetGuidance || 'No budget limit - optimize for power.'}
+6. ${inventoryContext}
+7. Context: ${combinedContext}
+
+Format: JSON { "cards": [{ "name": "Card Name", "category": "Synergy", "quantity": 1 }] } (Exactly 34 cards)`;
+
+  // --- PASS 3: THE ENGINE (30 Staples) ---
+  const enginePrompt = `You are a Grandmaster MTG Deck Builder.
+Commander: ${commanderCard.name}
+${budgetGuidance}
+Strategy: [[DESCRIPTION]]
+
+Task: Generate EXACTLY 30 non-land staple cards to power the deck's engine.
+STRICT BREAKDOWN:
+- 10 Ramp Cards (Artifacts/Green spells if in color identity)
+- 10 Draw Cards
+- 10 Removal Cards (Single target/Board wipes)
+
+STRICT RULES:
+1. NO LANDS.
+2. NO SYNERGY CARDS (Wait for Pass 2).
+3. ${budgetGuidance || 'No budget limit - optimize for power.'}
+4. ${inventoryContext}
+5. Context: ${combinedContext}
+
+Format: JSON { "cards": [{ "name": "Card Name", "category": "Ramp/Draw/Removal", "quantity": 1 }] } (Exactly 30 cards)`;
+
+  // 5. EXECUTE PASSES (In Parallel where possible)
+  // First, get the Soul to inform the other passes
+  const soulCompletion = await llm.complete('description', {
+    messages: [{ role: "system", content: "Expert MTG Deck Advisor" }, { role: "user", content: soulPrompt }],
+    json: true,
+    cache: true,
+    signal
+  }, account);
+  const soulData = JSON.parse(soulCompletion.content);
+  // Providers don't all hold to the requested shape
+  soulData.description = typeof soulData.description === 'string' ? soulData.description : '';
+  soulData.themes = Array.isArray(soulData.themes) ? soulData.themes : [];
+  console.log(`[AI] Pass 1 (Soul) Complete: ${soulData.description}`);
+
+  // Inform Heart and Engine with Soul's output
+  const heartPromptFinal = heartPrompt.replace('[[THEMES]]', soulData.themes.join(', ')).replace('[[DESCRIPTION]]', soulData.description);
+  const enginePromptFinal = enginePrompt.replace('[[DESCRIPTION]]', soulData.description);
+
+  const [heartCompletion, engineCompletion] = await Promise.all([
+    llm.complete('generation', {
+      messages: [{ role: "system", content: "Expert MTG Synergy Architect" }, { role: "user", content: heartPromptFinal }],
+      json: true,
+      cache: true,
+      signal
+    }, account),
+    llm.complete('generation', {
+      messages: [{ role: "system", content: "Expert MTG Staples Optimizer" }, { role: "user", content: enginePromptFinal }],
+      json: true,
+      cache: true,
+      signal
+    }, account)
+  ]);
+
+  // Parse and validate AI responses
+  let heartData, engineData;
+  try {
+    const heartContent = heartCompletion.content;
+    console.log(`[AI] Heart response (first 200 chars): ${heartContent.substring(0, 200)}`);
+    heartData = JSON.parse(heartContent);
+
+    if (!heartData || !heartData.cards) {
+      console.warn('[AI] Heart response missing cards array, using empty array');
+      heartData = { cards: [] };
+    }
+  } catch (err) {
+    console.error('[AI] Failed to parse Heart response:', err.message);
+    heartData = { cards: [] };
+  }
+
+  try {
+    const engineContent = engineCompletion.content;
+    console.log(`[AI] Engine response (first 200 chars): ${engineContent.substring(0, 200)}`);
+    engineData = JSON.parse(engineContent);
+
+    if (!engineData || !engineData.cards) {
+      console.warn('[AI] Engine response missing cards array, using empty array');
+      engineData = { cards: [] };
+    }
+  } catch (err) {
+    console.error('[AI] Failed to parse Engine response:', err.message);
+    engineData = { cards: [] };
+  }
+
+  console.log(`[AI] Pass 2 (Heart) generated ${heartData.cards?.length || 0} synergy cards.`);
+  console.log(`[AI] Pass 3 (Engine) generated ${engineData.cards?.length || 0} staples.`);
+
+  // 6. Post-Processing: Assemble the full 100-card deck
+  const targetTotal = 100;
+  const targetSpells = 64;
+  const targetLands = 36;
+
+  // Combine all spells and STRICTLY deduplicate by name (Singleton rule)
+  const rawSpells = [
+    { name: commanderCard.name, quantity: 1, category: 'Commander' },
+    ...(heartData.cards || []),
+    ...(engineData.cards || [])
+  ];
+
+  const seenNames = new Set();
+  let allSpells = [];
+
+  rawSpells.forEach(card => {
+    const normalized = card.name.toLowerCase().trim();
+
+    // STRICT INVENTORY FILTER FOR AI OUTPUT
+    if (inventoryOnly && card.category !== 'Commander') {
+      const invItem = findInventoryCard(inventory, card.name);
+      if (!invItem || invItem.available_quantity < 1) {
+        // AI suggested a card we don't have. Skip it.
+        console.log(`[AI] Strict Mode: Dropped unowned card "${card.name}"`);
+        return;
+      }
+    }
+
+    if (!seenNames.has(normalized)) {
+      seenNames.add(normalized);
+      allSpells.push(card);
+    }
+  });
+
+  // Filter out ANY cards categorized as Land or matching basic names
+  const basicLandNames = ['Plains', 'Island', 'Swamp', 'Mountain', 'Forest', 'Wastes'];
+  allSpells = allSpells.filter(c =>
+    c.category?.toLowerCase() !== 'land' &&
+    !basicLandNames.includes(c.name)
+  );
+
+  let currentSpells = allSpells.reduce((sum, card) => sum + (card.quantity || 1), 0);
+  console.log(`[AI] Total merged unique non-land spells: ${currentSpells}`);
+
+  // STEP A: Force Spell count to exactly 64
+  // Helper to check color identity validity
+  const commanderColors = new Set(colorId);
+  const isValidColorIdentity = async (cardName) => {
+    // Colorless cards (artifacts, etc) are always valid
+    // For now, we'll validate during Scryfall enrichment and skip validation during filling
+    // to avoid API calls for each filler card
+    return true; // We'll filter invalid cards during enrichment
+  };
+
+  if (currentSpells < targetSpells) {
+    console.log(`[AI] Filling spells to 64... (need ${targetSpells - currentSpells} more)`);
+    const fillSources = [
+      ...(edhrecSpecific?.highSynergy || []),
+      ...(edhrecSpecific?.topCards || []),
+      ...(goldfish?.popularCards || []),
+      ...(edhrecDefault?.highSynergy || []),
+      ...(edhrecDefault?.topCards || []),
+      ...(edhrecSpecific?.creatures || []),
+      ...(edhrecDefault?.creatures || []),
+      ...(edhrecSpecific?.instants || []),
+      ...(edhrecDefault?.instants || []),
+      ...(edhrecSpecific?.sorceries || []),
+      ...(edhrecDefault?.sorceries || []),
+      ...(edhrecSpecific?.utilityArtifacts || []),
+      ...(edhrecDefault?.utilityArtifacts || []),
+      ...(edhrecSpecific?.enchantments || []),
+      ...(edhrecDefault?.enchantments || []),
+      ...(edhrecSpecific?.manaArtifacts || []),
+      ...(edhrecDefault?.manaArtifacts || [])
+    ];
+
+    console.log(`[AI] Fill sources available: ${fillSources.length} cards`);
+
+    for (const cardName of fillSources) {
+      if (currentSpells >= targetSpells) break;
+      if (!cardName) continue;
+
+      // STRICT INVENTORY CHECK
+      const normalized = cardName.toLowerCase().trim();
+      let quantityAvailable = 0;
+
+      if (inventoryOnly) {
+        const invItem = findInventoryCard(inventory, cardName);
+        if (invItem) {
+          quantityAvailable = invItem.available_quantity;
+        }
+        // Check if we've already used some of this card in the deck
+        const usedCount = seenNames.has(normalized) ? 1 : 0; // Simplified tracking (since we only add 1s for fillers)
+
+        if (quantityAvailable <= usedCount) {
+          continue; // Skip if we don't have it or already used it
+        }
+      }
+
+      if (!seenNames.has(normalized)) {
+        seenNames.add(normalized);
+        allSpells.push({ name: cardName, quantity: 1, category: 'Synergy', reason: 'Auto-filler synergy' });
+        currentSpells++;
+      }
+    }
+  } else if (currentSpells > targetSpells) {
+    console.log(`[AI] Cutting spells to 64...`);
+    for (let i = allSpells.length - 1; i >= 0 && currentSpells > targetSpells; i--) {
+      if (allSpells[i].category === 'Commander') continue;
+      const toCut = Math.min(allSpells[i].quantity, currentSpells - targetSpells);
+      allSpells[i].quantity -= toCut;
+      currentSpells -= toCut;
+      if (allSpells[i].quantity <= 0) {
+        allSpells.splice(i, 1);
+      }
+    }
+  }
+
+  // STEP B: Force Land count to exactly 36 (Max 26 Non-Basics + Basics)
+  let currentLands = 0;
+  const finalLandList = [];
+  const seenLandNames = new Set();
+  const recLands = [
+    ...(edhrecSpecific?.utilityLands || []),
+    ...(edhrecSpecific?.lands || []),
+    ...(edhrecDefault?.utilityLands || []),
+    ...(edhrecDefault?.lands || [])
+  ];
+
+  for (const landName of recLands) {
+    if (currentLands >= 26) break;
+    const normalized = landName.toLowerCase().trim();
+    if (!seenLandNames.has(normalized) && !basicLandNames.includes(landName)) {
+      seenLandNames.add(normalized);
+      finalLandList.push({ name: landName, quantity: 1, category: 'Land', reason: 'Recommended Land' });
+      currentLands++;
+    }
+  }
+
+  const landsRemaining = targetLands - currentLands;
+  if (landsRemaining > 0) {
+    const basics = { 'W': 'Plains', 'U': 'Island', 'B': 'Swamp', 'R': 'Mountain', 'G': 'Forest', 'C': 'Wastes' };
+    const colors = commanderCard.color_identity || [];
+    if (colors.length === 0) colors.push('C');
+
+    const landsPerColor = Math.floor(landsRemaining / colors.length);
+    let remainder = landsRemaining % colors.length;
+
+    colors.forEach(color => {
+      const landName = basics[color] || 'Wastes';
+      const qty = landsPerColor + (remainder > 0 ? 1 : 0);
+      if (remainder > 0) remainder--;
+
+      if (qty > 0) {
+        const existing = finalLandList.find(l => l.name === landName);
+        if (existing) {
+          existing.quantity += qty;
+        } else {
+          finalLandList.push({ name: landName, quantity: qty, category: 'Land', reason: 'Basic Land' });
+        }
+        currentLands += qty;
+      }
+    });
+  }
+
+  const deckData = {
+    description: soulData.description,
+    cards: [...allSpells, ...finalLandList],
+    builder: 'ai'
+  };
+
+  console.log(`[AI] Final Assembly: ${allSpells.length} Spells, ${finalLandList.length} Lands.`);
+  console.log(`[AI] Final Deck Count: ${deckData.cards.reduce((s, c) => s + (c.quantity || 1), 0)} (target: 100)`);
+  throwIfCancelled(signal);
+  onStage('draft', { description: soulData.description, themes: soulData.themes, cards: structuredClone(deckData.cards) });
+
+
+
+  // 7. Enrich cards with Scryfall metadata (cmc, colors, type, prices)
+  let removedForColorIdentity = 0;
+  try {
+    const cardNames = [...new Set(deckData.cards.map(c => c.name))];
+    const cardMap = new Map();
+
+    // Decks have ~65 unique names (100 total cards); the AI may have generated more
+    const scryfallCards = await fetchScryfallCards(cardNames, signal);
+    scryfallCards.forEach(card => {
+      const { tcgPrice, ckPrice } = cardPrices(card);
+
+      cardMap.set(card.name.toLowerCase(), {
+        scryfallId: card.id,
+        cmc: card.cmc || 0,
+        colors: (card.colors || []).join(''),
+        colorIdentity: card.color_identity || [],
+        cardType: card.type_line?.split('—')[0]?.trim() || 'Unknown',
+        tcgPrice: tcgPrice,
+        ckPrice: ckPrice
+      });
+    });
+
+    // Filter out cards that violate commander color identity
+    const commanderColorSet = new Set(colorId);
+
+    deckData.cards = deckData.cards.filter(card => {
+      // Skip validation for commander and lands
+      if (card.category === 'Commander' || card.category === 'Land') return true;
+
+      const meta = cardMap.get(card.name.toLowerCase());
+      if (!meta) return true; // Keep cards we couldn't validate
+
+      // Check if all colors in the card's color identity are in the commander's
+      const cardColorIdentity = meta.colorIdentity || [];
+      const isValid = cardColorIdentity.every(color => commanderColorSet.has(color) || commanderColorSet.size === 0);
+
+      if (!isValid) {
+        removedForColorIdentity++;
+        console.log(`[AI] Removed ${card.name} - color identity [${cardColorIdentity.join(',')}] violates commander colors [${colorId.join(',')}]`);
+      }
+      return isValid;
+    });
+
+    if (removedForColorIdentity > 0) {
+      console.log(`[AI] Removed ${removedForColorIdentity} cards for color identity violations`);
+    }
+
+    // Apply metadata to remaining deck cards
+    deckData.cards.forEach(card => {
+      const meta = cardMap.get(card.name.toLowerCase());
+      if (meta) {
+        card.scryfallId = meta.scryfallId;
+        card.cmc = meta.cmc;
+        card.colors = meta.colors;
+        card.cardType = meta.cardType;
+        card.tcgPrice = meta.tcgPrice;
+        card.ckPrice = meta.ckPrice;
+      }
+    });
+
+    // ========== VALIDATION & ITERATION LOOP ==========
+    const maxCardPrice = budget ? (budget * 0.7 / 64) * 3 : Infinity; // Max single card = 3x average
+    let validationIterations = 0;
+    const maxValidationIterations = 10; // Increased to allow more aggressive budget cuts
+
+    while (validationIterations < maxValidationIterations) {
+      validationIterations++;
+
+      // Calculate current totals
+      const spellCards = deckData.cards.filter(c => c.category !== 'Land');
+      const landCards = deckData.cards.filter(c => c.category === 'Land');
+      const totalCards = deckData.cards.reduce((s, c) => s + Number(c.quantity || 1), 0);
+      const totalPrice = deckData.cards.reduce((s, c) => s + ((c.tcgPrice || 0) * Number(c.quantity || 1)), 0);
+
+      console.log(`[AI] Validation #${validationIterations}: ${totalCards} cards, $${totalPrice.toFixed(2)} total`);
+
+      // Check if we're within constraints
+      const budgetOk = !budget || totalPrice <= budget * 1.15; // 15% tolerance
+      const countOk = totalCards === 100;
+
+      if (budgetOk && countOk) {
+        console.log(`[AI] Deck passes validation!`);
+        break;
+      }
+
+      // OPTION 2: Price-aware - Remove expensive cards if over budget
+      if (!budgetOk && budget) {
+        console.log(`[AI] Over budget ($${totalPrice.toFixed(2)} > $${budget}), removing expensive cards...`);
+
+        // Sort non-commander spells by price descending
+        const expensiveCards = spellCards
+          .filter(c => c.category !== 'Commander' && c.tcgPrice > maxCardPrice)
+          .sort((a, b) => (b.tcgPrice || 0) - (a.tcgPrice || 0));
+
+        // Remove up to 10 expensive cards per iteration (increased from 5)
+        let removed = 0;
+        for (const card of expensiveCards) {
+          if (removed >= 10) break;
+          const idx = deckData.cards.findIndex(c => c.name === card.name);
+          if (idx !== -1) {
+            console.log(`[AI] Removing expensive card: ${card.name} ($${card.tcgPrice})`);
+            deckData.cards.splice(idx, 1);
+            removed++;
+          }
+        }
+      }
+
+      // Handle Card Count
+      const currentTotal = deckData.cards.reduce((s, c) => s + Number(c.quantity || 1), 0);
+
+      // Case A: Too many cards (rare, but possible)
+      if (currentTotal > 100) {
+        const toRemove = currentTotal - 100;
+        console.log(`[AI] Creating space: Removing ${toRemove} cheapest/weakest cards...`);
+        // Remove cheapest non-synergy/non-land cards first
+        const candidates = deckData.cards
+          .filter(c => c.category !== 'Land' && c.category !== 'Commander' && c.category !== 'Synergy')
+          .sort((a, b) => (a.tcgPrice || 0) - (b.tcgPrice || 0));
+
+        let cut = 0;
+        for (const card of candidates) {
+          if (cut >= toRemove) break;
+          const idx = deckData.cards.findIndex(c => c.name === card.name);
+          if (idx !== -1) {
+            deckData.cards.splice(idx, 1);
+            cut++;
+          }
+        }
+      }
+
+      // Case B: Too few cards (Fill holes)
+      const cardsNeeded = 100 - deckData.cards.reduce((s, c) => s + Number(c.quantity || 1), 0);
+      if (cardsNeeded > 0) {
+        console.log(`[AI] Need ${cardsNeeded} more cards, adding emergency fillers...`);
+
+        // Colorless artifacts that work in any deck (Huge list to prevent dupes)
+        const emergencyFillers = [
+          'Sol Ring', 'Arcane Signet', 'Mind Stone', 'Thought Vessel',
+          'Commander\'s Sphere', 'Fellwar Stone', 'Wayfarer\'s Bauble',
+          'Swiftfoot Boots', 'Lightning Greaves', 'Whispersilk Cloak',
+          'Skullclamp', 'Mask of Memory', 'Rogue\'s Gloves',
+          'Hedron Archive', 'Worn Powerstone', 'Thran Dynamo',
+          'Everflowing Chalice', 'Prismatic Lens', 'Star Compass',
+          'Coldsteel Heart', 'Sky Diamond', 'Fire Diamond', 'Moss Diamond',
+          'Marble Diamond', 'Charcoal Diamond', 'Guardian Idol',
+          'Burnished Hart', 'Solemn Simulacrum', 'Pilgrim\'s Eye',
+          'Palladium Myr', 'Plague Myr', 'Silver Myr', 'Gold Myr',
+          'Iron Myr', 'Copper Myr', 'Leaden Myr', 'Alloy Myr',
+          'Manakin', 'Millikin', 'Ornithopter. of Paradise',
+          'Prophetic Prism', 'Network Terminal', 'Letter of Acceptance',
+          'Spare Supplies', 'Ecologist\'s Terrarium', 'Traveler\'s Amulet',
+          'Renegade Map', 'Expedition Map', 'Soul-Guide Lantern',
+          'Relic of Progenitus', 'Tormod\'s Crypt', 'Scrabbling Claws',
+          'Claws of Gix', 'Dragon\'s Claw', 'Wurmskin Forger',
+          'Bonesplitter', 'Short Sword', 'Darksteel Axe', 'Accorder\'s Shield',
+          'Cathar\'s Shield', 'Kite Shield', 'Spidersilk Net'
+        ];
+
+        const seenFillers = new Set(deckData.cards.map(c => c.name.toLowerCase()));
+        let added = 0;
+
+        for (const filler of emergencyFillers) {
+          if (added >= cardsNeeded) break;
+          if (!seenFillers.has(filler.toLowerCase())) {
+            seenFillers.add(filler.toLowerCase());
+            deckData.cards.push({
+              name: filler,
+              quantity: 1,
+              category: 'Ramp',
+              reason: 'Emergency filler'
+            });
+            added++;
+          }
+        }
+        console.log(`[AI] Added ${added} emergency fillers`);
+      }
+    }
+
+    // Final count verification
+    const finalTotal = deckData.cards.reduce((s, c) => s + (c.quantity || 1), 0);
+    const finalPrice = deckData.cards.reduce((s, c) => s + ((c.tcgPrice || 0) * (c.quantity || 1)), 0);
+    console.log(`[AI] Final deck: ${finalTotal} cards, $${finalPrice.toFixed(2)} TCG Market`);
+
+    // Log price stats for debugging
+    let cardsWithCkPrice = 0, cardsWithTcgPrice = 0;
+    deckData.cards.forEach(card => {
+      if (card.ckPrice && card.ckPrice > 0) cardsWithCkPrice++;
+      if (card.tcgPrice && card.tcgPrice > 0) cardsWithTcgPrice++;
+    });
+    console.log(`[AI] Price coverage: ${cardsWithTcgPrice}/${deckData.cards.length} TCG, ${cardsWithCkPrice}/${deckData.cards.length} CK`);
+
+    console.log(`[AI] Enriched ${cardMap.size} unique cards with Scryfall metadata and prices`);
+  } catch (err) {
+    console.warn('[AI] Scryfall enrichment failed:', err.message);
+  }
+
+  // Validate inventory-only mode compliance
+  if (inventoryOnly) {
+    const invalidCards = [];
+    const insufficientCards = [];
+
+    deckData.cards.forEach(card => {
+      const inventoryCard = findInventoryCard(inventory, card.name);
+
+      if (!inventoryCard) {
+        invalidCards.push(card.name);
+      } else if (inventoryCard.available_quantity < (card.quantity || 1)) {
+        insufficientCards.push({
+          name: card.name,
+          needed: card.quantity || 1,
+          available: inventoryCard.available_quantity
+        });
+      }
+    });
+
+    // If there are violations, add a warning to the response
+    if (invalidCards.length > 0 || insufficientCards.length > 0) {
+      deckData.inventoryWarning = {
+        invalidCards,
+        insufficientCards,
+        message: `Inventory-only mode: ${invalidCards.length} cards not in inventory, ${insufficientCards.length} cards with insufficient quantity.`
+      };
+    }
+
+    // Calculate inventory usage stats
+    const totalCards = deckData.cards.length;
+    const inventoryCards = totalCards - invalidCards.length;
+    deckData.inventoryStats = {
+      total: totalCards,
+      fromInventory: inventoryCards,
+      percentage: Math.round((inventoryCards / totalCards) * 100)
+    };
+
+    console.log(`[AI] Inventory-only mode: ${inventoryCards}/${totalCards} cards from inventory (${deckData.inventoryStats.percentage}%)`);
+  }
+
+  throwIfCancelled(signal);
+  const deckCount = deckData.cards.reduce((s, c) => s + Number(c.quantity || 1), 0);
+  const deckPrice = deckData.cards.reduce((s, c) => s + ((c.tcgPrice || 0) * Number(c.quantity || 1)), 0);
+  onStage('validation', {
+    totalCards: deckCount,
+    totalPrice: Math.round(deckPrice * 100) / 100,
+    withinBudget: !budget || deckPrice <= budget * 1.15,
+    removedForColorIdentity,
+    inventoryWarning: deckData.inventoryWarning || null
+  });
+
+  return {
+    commander: commanderCard,
+    deck: deckData
+  };
+}
+
+export default { GENERATION_STAGES, DECK_BUILDERS, DeckGenerationError, validateGenerationRequest, generateDeck };
@@ -0,0 +1,344 @@
+/**
+ * Autobuy run tracking
+ * Records optimizer runs with their per-card price predictions, what was actually
+ * paid once the cards were bought, and reports how good the predictions were.
+ * Functions take a db handle (pool or transaction client) so routes control transactions.
+ */
+
+export const AUTOBUY_RUN_STATUSES = ['pending', 'purchased', 'partially_purchased', 'cancelled'];
+
+// Cards and sellers listed on the dashboard, worst predictions first
+const DASHBOARD_BREAKDOWN_LIMIT = 20;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Error raised for invalid run changes, carrying an HTTP status for the route layer
+ */
+export class AutobuyRunError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AutobuyRunError';
+    this.statusCode = statusCode;
+  }
+}
+
+function toRun(row, itemRows) {
+  const run = {
+    id: row.id,
+    status: row.status,
+    predictedTotal: Number(row.predicted_total),
+    actualTotal: row.actual_total === null || row.actual_total === undefined ? null : Number(row.actual_total),
+    notes: row.notes ?? null,
+    createdAt: row.created_at,
+    completedAt: row.completed_at ?? null
+  };
+  if (itemRows) run.items = itemRows.map(toRunItem);
+  if (row.item_count !== undefined) {
+    run.itemCount = Number(row.item_count);
+    run.purchasedCount = Number(row.purchased_count || 0);
+  }
+  return run;
+}
+
+function toRunItem(row) {
+  return {
+    id: row.id,
+    cardId: row.card_id,
+    cardName: row.card_name ?? null,
+    quantity: row.quantity,
+    predictedPrice: Number(row.predicted_price),
+    actualPrice: row.actual_price === null || row.actual_price === undefined ? null : Number(row.actual_price),
+    sellerId: row.seller_id ?? null,
+    marketplace: row.marketplace ?? null,
+    wasPurchased: Boolean(row.was_purchased),
+    purchasedAt: row.purchased_at ?? null
+  };
+}
+
+async function getRunRow(db, userId, runId, { forUpdate = false } = {}) {
+  const result = await db.query(
+    `SELECT * FROM autobuy_runs WHERE id = $1 AND user_id = $2${forUpdate ? ' FOR UPDATE' : ''}`,
+    [runId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+async function getRunItems(db, runId) {
+  const result = await db.query('SELECT * FROM autobuy_run_items WHERE run_id = $1 ORDER BY id', [runId]);
+  return result.rows;
+}
+
+/**
+ * Record an optimizer run and its predicted line items.
+ * predictedTotal defaults to the sum of predicted price x quantity.
+ */
+export async function createRun(db, userId, { items, predictedTotal, notes = null }) {
+  const total = predictedTotal ?? round2(items.reduce((sum, item) => sum + item.predictedPrice * item.quantity, 0));
+
+  const runResult = await db.query(
+    'INSERT INTO autobuy_runs (user_id, predicted_total, notes) VALUES ($1, $2, $3) RETURNING *',
+    [userId, total, notes]
+  );
+  const run = runResult.rows[0];
+
+  const params = [];
+  const placeholders = items.map((item, i) => {
+    const base = i * 7;
+    params.push(run.id, item.cardId, item.cardName ?? null, item.predictedPrice, item.quantity, item.sellerId ?? null, item.marketplace ?? null);
+    return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6}, $${base + 7})`;
+  });
+  const itemsResult = await db.query(
+    `INSERT INTO autobuy_run_items (run_id, card_id, card_name, predicted_price, quantity, seller_id, marketplace)
+     VALUES ${placeholders.join(', ')}
+     RETURNING *`,
+    params
+  );
+
+  return toRun(run, itemsResult.rows);
+}
+
+/**
+ * A run with its items, or null if the user has no such run
+ */
+export async function getRun(db, userId, runId) {
+  const row = await getRunRow(db, userId, runId);
+  if (!row) return null;
+  return toRun(row, await getRunItems(db, runId));
+}
+
+/**
+ * The user's runs, newest first, with item and purchase counts
+ */
+export async function listRuns(db, userId, { status, limit = 50, offset = 0 } = {}) {
+  const params = [userId];
+  let statusFilter = '';
+  if (status) {
+    params.push(status);
+    statusFilter = ` AND r.status = $${params.length}`;
+  }
+  params.push(limit, offset);
+
+  const result = await db.query(
+    `SELECT r.*,
+            COUNT(ri.id) AS item_count,
+            COUNT(ri.id) FILTER (WHERE ri.was_purchased) AS purchased_count
+     FROM autobuy_runs r
+     LEFT JOIN autobuy_run_items ri ON ri.run_id = r.id
+     WHERE r.user_id = $1${statusFilter}
+     GROUP BY r.id
+     ORDER BY r.created_at DESC, r.id DESC
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+  return result.rows.map(row => toRun(row));
+}
+
+/**
+ * Mark run items as bought at the given unit price. Only pending runs accept purchases;
+ * recording an item again overwrites its actual price.
+ * @param {Array<{itemId: number, actualPrice: number}>} purchases
+ */
+export async function recordPurchases(db, userId, runId, purchases) {
+  const run = await getRunRow(db, userId, runId, { forUpdate: true });
+  if (!run) throw new AutobuyRunError('Autobuy run not found', 404);
+  if (run.status !== 'pending') {
+    throw new AutobuyRunError(`Run is already ${run.status}`, 409);
+  }
+
+  const itemIds = new Set((await getRunItems(db, runId)).map(item => item.id));
+  const unknown = purchases.filter(p => !itemIds.has(p.itemId)).map(p => p.itemId);
+  if (unknown.length > 0) {
+    throw new AutobuyRunError(`Items not in this run: ${unknown.join(', ')}`, 400);
+  }
+
+  for (const purchase of purchases) {
+    await db.query(
+      `UPDATE autobuy_run_items
+       SET actual_price = $1, was_purchased = TRUE, purchased_at = COALESCE(purchased_at, NOW())
+       WHERE id = $2 AND run_id = $3`,
+      [purchase.actualPrice, purchase.itemId, runId]
+    );
+  }
+
+  return toRun(run, await getRunItems(db, runId));
+}
+
+/**
+ * Close a pending run. The actual total is what was paid for the purchased items, and
+ * the status follows from how many items were bought unless the run is cancelled.
+ * The run's prediction error is also stored as a prediction_accuracy metric.
+ */
+export async function closeRun(db, userId, runId, { cancel = false } = {}) {
+  const run = await getRunRow(db, userId, runId, { forUpdate: true });
+  if (!run) throw new AutobuyRunError('Autobuy run not found', 404);
+  if (run.status !== 'pending') {
+    throw new AutobuyRunError(`Run is already ${run.status}`, 409);
+  }
+
+  const items = (await getRunItems(db, runId)).map(toRunItem);
+  const purchased = items.filter(item => item.wasPurchased);
+  const actualTotal = round2(purchased.reduce((sum, item) => sum + item.actualPrice * item.quantity, 0));
+
+  let status;
+  if (cancel || purchased.length === 0) status = 'cancelled';
+  else if (purchased.length === items.length) status = 'purchased';
+  else status = 'partially_purchased';
+
+  const result = await db.query(
+    `UPDATE autobuy_runs SET status = $1, actual_total = $2, completed_at = NOW()
+     WHERE id = $3
+     RETURNING *`,
+    [status, actualTotal, runId]
+  );
+
+  if (purchased.length > 0) {
+    const accuracy = summarizePredictions(purchased);
+    await db.query(
+      'INSERT INTO autobuy_metrics (metric_type, value, metadata) VALUES ($1, $2, $3)',
+      ['prediction_accuracy', accuracy.percentError, { runId, userId, ...accuracy }]
+    );
+  }
+
+  return toRun(result.rows[0], items);
+}
+
+/**
+ * Quantity-weighted prediction error over purchased items.
+ * bias is the mean signed error per unit: positive means we paid more than predicted.
+ * percentError is total absolute error over total predicted spend (WAPE), in percent.
+ */
+export function summarizePredictions(items) {
+  let units = 0;
+  let predictedSpend = 0;
+  let actualSpend = 0;
+  let absoluteError = 0;
+
+  for (const item of items) {
+    units += item.quantity;
+    predictedSpend += item.predictedPrice * item.quantity;
+    actualSpend += item.actualPrice * item.quantity;
+    absoluteError += Math.abs(item.actualPrice - item.predictedPrice) * item.quantity;
+  }
+
+  return {
+    items: items.length,
+    units,
+    predictedSpend: round2(predictedSpend),
+    actualSpend: round2(actualSpend),
+    meanAbsoluteError: units > 0 ? round2(absoluteError / units) : 0,
+    bias: units > 0 ? round2((actualSpend - predictedSpend) / units) : 0,
+    percentError: predictedSpend > 0 ? round2((absoluteError / predictedSpend) * 100) : 0
+  };
+}
+
+function breakdownBy(items, keyOf, describe) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+
+  return Array.from(groups.values())
+    .map(group => ({ ...describe(group[0]), ...summarizePredictions(group) }))
+    .sort((a, b) => b.meanAbsoluteError - a.meanAbsoluteError || b.units - a.units)
+    .slice(0, DASHBOARD_BREAKDOWN_LIMIT);
+}
+
+/**
+ * Prediction accuracy and sell-through for runs created in the last `days` days.
+ * Sell-through counts card sales recorded in sales_history (matched by card name)
+ * after each purchase, capped at the quantity bought.
+ */
+export async function getDashboard(db, userId, { days = 90 } = {}) {
+  const runsResult = await db.query(
+    `SELECT status, COUNT(*) AS count, SUM(predicted_total) AS predicted_total, SUM(actual_total) AS actual_total
+     FROM autobuy_runs
+     WHERE user_id = $1 AND created_at >= NOW() - make_interval(days => $2)
+     GROUP BY status`,
+    [userId, days]
+  );
+
+  const runs = { total: 0, pending: 0, purchased: 0, partiallyPurchased: 0, cancelled: 0 };
+  let closedPredicted = 0;
+  let closedActual = 0;
+  for (const row of runsResult.rows) {
+    const count = Number(row.count);
+    runs.total += count;
+    if (row.status === 'partially_purchased') runs.partiallyPurchased += count;
+    else if (row.status in runs) runs[row.status] += count;
+    if (row.status === 'purchased' || row.status === 'partially_purchased') {
+      closedPredicted += Number(row.predicted_total || 0);
+      closedActual += Number(row.actual_total || 0);
+    }
+  }
+
+  const itemsResult = await db.query(
+    `SELECT ri.*
+     FROM autobuy_run_items ri
+     JOIN autobuy_runs r ON r.id = ri.run_id
+     WHERE r.user_id = $1 AND r.created_at >= NOW() - make_interval(days => $2)`,
+    [userId, days]
+  );
+  const items = itemsResult.rows.map(toRunItem);
+  const purchased = items.filter(item => item.wasPurchased && item.actualPrice !== null);
+
+  // Each sale counts toward the latest purchase of that card before it, so runs that
+  // bought the same card don't all claim the same sale
+  const sellThroughResult = await db.query(
+    `WITH purchased AS (
+       SELECT ri.id, ri.card_name, ri.quantity, ri.purchased_at
+       FROM autobuy_run_items ri
+       JOIN autobuy_runs r ON r.id = ri.run_id
+       WHERE r.user_id = $1 AND r.created_at >= NOW() - make_interval(days => $2) AND ri.was_purchased
+     ),
+     attributed AS (
+       SELECT latest.id, SUM(sh.quantity) AS units
+       FROM sales_history sh
+       JOIN LATERAL (
+         SELECT p.id
+         FROM purchased p
+         WHERE LOWER(p.card_name) = LOWER(sh.item_name) AND p.purchased_at <= sh.created_at
+         ORDER BY p.purchased_at DESC, p.id DESC
+         LIMIT 1
+       ) latest ON TRUE
+       WHERE sh.user_id = $1 AND sh.item_type = 'card'
+       GROUP BY latest.id
+     )
+     SELECT COALESCE(SUM(p.quantity), 0) AS purchased_units,
+            COALESCE(SUM(LEAST(p.quantity, COALESCE(a.units, 0))), 0) AS sold_units
+     FROM purchased p
+     LEFT JOIN attributed a ON a.id = p.id`,
+    [userId, days]
+  );
+  const purchasedUnits = Number(sellThroughResult.rows[0]?.purchased_units || 0);
+  const soldUnits = Number(sellThroughResult.rows[0]?.sold_units || 0);
+
+  return {
+    days,
+    runs,
+    totals: {
+      predicted: round2(closedPredicted),
+      actual: round2(closedActual),
+      difference: round2(closedActual - closedPredicted)
+    },
+    fillRate: items.length > 0 ? round2((purchased.length / items.length) * 100) : 0,
+    accuracy: summarizePredictions(purchased),
+    sellers: breakdownBy(
+      purchased,
+      item => `${item.marketplace}:${item.sellerId}`,
+      item => ({ sellerId: item.sellerId, marketplace: item.marketplace })
+    ),
+    cards: breakdownBy(
+      purchased,
+      item => item.cardId,
+      item => ({ cardId: item.cardId, cardName: item.cardName })
+    ),
+    sellThrough: {
+      purchasedUnits,
+      soldUnits,
+      rate: purchasedUnits > 0 ? round2((soldUnits / purchasedUnits) * 100) : 0
+    }
+  };
+}
@@ -0,0 +1,245 @@
+import { normalizeCardName } from '../utils/cardHelpers.js';
+
+/**
+ * Card catalog
+ * Keeps the cards (one row per oracle_id), card_aliases and printings tables in sync
+ * with MTGJSON identifiers, links inventory rows to them, and resolves decklist names
+ * to oracle ids. Functions take a db handle (pool or transaction client).
+ */
+
+// Rows per upsert statement; each batch is sent as a single JSON parameter
+const SYNC_BATCH_SIZE = 1000;
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+
+/**
+ * Every normalized spelling a card can be written as: the full name, each face of
+ * split/DFC/adventure cards ("Fire // Ice" -> "fire", "ice") and the ASCII form
+ */
+export function cardNameAliases(...names) {
+  const aliases = new Set();
+  for (const name of names) {
+    if (!name) continue;
+    const parts = [name, ...String(name).split('//')];
+    for (const part of parts) {
+      const normalized = normalizeCardName(part);
+      if (normalized) aliases.add(normalized);
+    }
+  }
+  return [...aliases];
+}
+
+/**
+ * Fold MTGJSON identifier records into catalog cards and printings.
+ * MTGJSON has one record per face, so a DFC printing appears twice with the same
+ * scryfallId; the front face (side "a" or no side) supplies the card fields.
+ * @param {Iterable<Object>} records - { uuid, scryfallId, oracleId, name, faceName, asciiName, side,
+ *   setCode, number, rarity, manaValue, manaCost, colors, colorIdentity, type }
+ * @returns {{cards: Array<Object>, printings: Array<Object>}}
+ */
+export function buildCatalog(records) {
+  const cards = new Map();
+  const printings = new Map();
+
+  for (const record of records) {
+    if (!record?.oracleId || !record.name) continue;
+    const isFront = !record.side || record.side === 'a';
+
+    let card = cards.get(record.oracleId);
+    if (!card || (isFront && !card.isFront)) {
+      card = {
+        oracleId: record.oracleId,
+        name: record.name,
+        normalizedName: normalizeCardName(record.name),
+        typeLine: record.type || null,
+        manaCost: record.manaCost || null,
+        cmc: record.manaValue ?? null,
+        colors: record.colors || [],
+        colorIdentity: record.colorIdentity || [],
+        aliases: new Set(card?.aliases || []),
+        isFront
+      };
+      cards.set(record.oracleId, card);
+    }
+    cardNameAliases(record.name, record.faceName, record.asciiName).forEach(alias => card.aliases.add(alias));
+
+    if (record.scryfallId && (!printings.has(record.scryfallId) || isFront)) {
+      printings.set(record.scryfallId, {
+        scryfallId: record.scryfallId,
+        oracleId: record.oracleId,
+        mtgjsonUuid: record.uuid || null,
+        setCode: String(record.setCode || '').toUpperCase(),
+        collectorNumber: record.number || null,
+        rarity: record.rarity || null
+      });
+    }
+  }
+
+  return {
+    cards: [...cards.values()].map(({ isFront: _isFront, aliases, ...card }) => ({ ...card, aliases: [...aliases] })),
+    printings: [...printings.values()]
+  };
+}
+
+/**
+ * Upsert cards, aliases and printings from MTGJSON identifier records, then link
+ * any inventory rows that aren't linked yet
+ * @returns {Promise<{cards: number, printings: number, linked: number}>}
+ */
+export async function syncCardCatalog(db, records, { batchSize = SYNC_BATCH_SIZE } = {}) {
+  const { cards, printings } = buildCatalog(records);
+
+  for (const batch of chunk(cards, batchSize)) {
+    await db.query(`
+      INSERT INTO cards (oracle_id, name, normalized_name, type_line, mana_cost, cmc, colors, color_identity)
+      SELECT r.oracle_id, r.name, r.normalized_name, r.type_line, r.mana_cost, r.cmc, r.colors, r.color_identity
+      FROM jsonb_to_recordset($1::jsonb) AS r(
+        oracle_id VARCHAR, name VARCHAR, normalized_name VARCHAR, type_line TEXT,
+        mana_cost VARCHAR, cmc REAL, colors TEXT[], color_identity TEXT[]
+      )
+      ON CONFLICT (oracle_id) DO UPDATE SET
+        name = EXCLUDED.name,
+        normalized_name = EXCLUDED.normalized_name,
+        type_line = EXCLUDED.type_line,
+        mana_cost = EXCLUDED.mana_cost,
+        cmc = EXCLUDED.cmc,
+        colors = EXCLUDED.colors,
+        color_identity = EXCLUDED.color_identity,
+        updated_at = NOW()
+    `, [JSON.stringify(batch.map(card => ({
+      oracle_id: card.oracleId,
+      name: card.name,
+      normalized_name: card.normalizedName,
+      type_line: card.typeLine,
+      mana_cost: card.manaCost,
+      cmc: card.cmc,
+      colors: card.colors,
+      color_identity: card.colorIdentity
+    })))]);
+
+    await db.query(`
+      INSERT INTO card_aliases (card_id, normalized_name)
+      SELECT c.id, r.normalized_name
+      FROM jsonb_to_recordset($1::jsonb) AS r(oracle_id VARCHAR, normalized_name VARCHAR)
+      JOIN cards c ON c.oracle_id = r.oracle_id
+      ON CONFLICT DO NOTHING
+    `, [JSON.stringify(batch.flatMap(card => card.aliases.map(alias => ({ oracle_id: card.oracleId, normalized_name: alias }))))]);
+  }
+
+  for (const batch of chunk(printings, batchSize)) {
+    await db.query(`
+      INSERT INTO printings (card_id, scryfall_id, mtgjson_uuid, set_code, collector_number, rarity)
+      SELECT c.id, r.scryfall_id, r.mtgjson_uuid, r.set_code, r.collector_number, r.rarity
+      FROM jsonb_to_recordset($1::jsonb) AS r(
+        oracle_id VARCHAR, scryfall_id VARCHAR, mtgjson_uuid VARCHAR,
+        set_code VARCHAR, collector_number VARCHAR, rarity VARCHAR
+      )
+      JOIN cards c ON c.oracle_id = r.oracle_id
+      ON CONFLICT (scryfall_id) DO UPDATE SET
+        card_id = EXCLUDED.card_id,
+        mtgjson_uuid = EXCLUDED.mtgjson_uuid,
+        set_code = EXCLUDED.set_code,
+        collector_number = EXCLUDED.collector_number,
+        rarity = EXCLUDED.rarity,
+        updated_at = NOW()
+    `, [JSON.stringify(batch.map(printing => ({
+      oracle_id: printing.oracleId,
+      scryfall_id: printing.scryfallId,
+      mtgjson_uuid: printing.mtgjsonUuid,
+      set_code: printing.setCode,
+      collector_number: printing.collectorNumber,
+      rarity: printing.rarity
+    })))]);
+  }
+
+  const linked = await linkInventory(db);
+  return { cards: cards.length, printings: printings.length, linked };
+}
+
+/**
+ * Number of cards in the catalog; zero means it has never been synced
+ */
+export async function countCatalogCards(db) {
+  const result = await db.query('SELECT COUNT(*)::int AS count FROM cards');
+  return result.rows[0]?.count ?? 0;
+}
+
+/**
+ * Resolve card names to oracle ids through card_aliases.
+ * When an alias belongs to several cards, the card whose own name matches wins.
+ * @param {Object} db
+ * @param {Array<string>} names - Card names as written in a decklist or inventory
+ * @returns {Promise<Map<string, string>>} normalized name -> oracle_id
+ */
+export async function resolveOracleIds(db, names) {
+  const normalized = [...new Set((names || []).map(normalizeCardName).filter(Boolean))];
+  if (normalized.length === 0) return new Map();
+
+  const result = await db.query(`
+    SELECT DISTINCT ON (a.normalized_name) a.normalized_name, c.oracle_id
+    FROM card_aliases a
+    JOIN cards c ON c.id = a.card_id
+    WHERE a.normalized_name = ANY($1::text[])
+    ORDER BY a.normalized_name, (c.normalized_name = a.normalized_name) DESC, c.id
+  `, [normalized]);
+
+  return new Map((result.rows || []).map(row => [row.normalized_name, row.oracle_id]));
+}
+
+/**
+ * Link inventory rows that have no oracle_id/printing_id yet: by scryfall_id through
+ * printings first, then by name through card_aliases for rows without a printing
+ * @param {Object} db
+ * @param {{userId?: string}} [options] - Limit to one user's inventory
+ * @returns {Promise<number>} Rows linked
+ */
+export async function linkInventory(db, { userId = null } = {}) {
+  const byPrinting = await db.query(`
+    UPDATE inventory i
+    SET printing_id = p.id, oracle_id = c.oracle_id
+    FROM printings p
+    JOIN cards c ON c.id = p.card_id
+    WHERE i.scryfall_id = p.scryfall_id
+      AND (i.printing_id IS NULL OR i.oracle_id IS NULL)
+      AND ($1::varchar IS NULL OR i.user_id = $1)
+  `, [userId]);
+
+  const unlinked = await db.query(`
+    SELECT DISTINCT name FROM inventory
+    WHERE oracle_id IS NULL AND name IS NOT NULL
+      AND ($1::varchar IS NULL OR user_id = $1)
+  `, [userId]);
+
+  const names = (unlinked.rows || []).map(row => row.name);
+  const oracleIds = await resolveOracleIds(db, names);
+  const matches = names
+    .filter(name => oracleIds.has(normalizeCardName(name)))
+    .map(name => ({ name, oracle_id: oracleIds.get(normalizeCardName(name)) }));
+
+  let byName = 0;
+  for (const batch of chunk(matches, SYNC_BATCH_SIZE)) {
+    const result = await db.query(`
+      UPDATE inventory i
+      SET oracle_id = r.oracle_id
+      FROM jsonb_to_recordset($1::jsonb) AS r(name VARCHAR, oracle_id VARCHAR)
+      WHERE i.name = r.name AND i.oracle_id IS NULL
+        AND ($2::varchar IS NULL OR i.user_id = $2)
+    `, [JSON.stringify(batch), userId]);
+    byName += result.rowCount || 0;
+  }
+
+  return (byPrinting.rowCount || 0) + byName;
+}
+
+export default {
+  cardNameAliases,
+  buildCatalog,
+  syncCardCatalog,
+  countCatalogCards,
+  resolveOracleIds,
+  linkInventory
+};
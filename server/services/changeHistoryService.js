@@ -0,0 +1,284 @@
+/**
+ * Inventory change history
+ * Records one change_history row per changed field for every inventory mutation, lists
+ * them for the change log, and reverts single field changes. Functions take a db handle
+ * (pool or transaction client) so callers can record changes inside their own transaction.
+ */
+
+export const CHANGE_ACTIONS = ['create', 'update', 'delete', 'import', 'lot_add', 'reserve', 'release', 'sale', 'revert'];
+
+// Fields the change log tracks on updates; only these can be reverted
+export const TRACKED_FIELDS = ['quantity', 'purchase_price', 'folder', 'foil', 'quality'];
+
+// Every field a change row can record; 'reserved' tracks deck reservations on the item
+export const HISTORY_FIELDS = [...TRACKED_FIELDS, 'reserved'];
+
+// Creates, deletes, sales and reservation changes are recorded for the log but not undone
+// field by field; reverting a release would not bring the deck reservation back
+const REVERTIBLE_ACTIONS = ['update', 'revert'];
+
+// Rows per insert statement; each batch is sent as a single JSON parameter
+const CHANGE_BATCH_SIZE = 1000;
+
+/**
+ * Error raised for changes that can't be reverted, carrying an HTTP status for the route layer
+ */
+export class ChangeHistoryError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ChangeHistoryError';
+    this.statusCode = statusCode;
+  }
+}
+
+const toText = (value) => (value === null || value === undefined ? null : String(value));
+
+/**
+ * Compare a tracked field's stored value with another value, ignoring type differences
+ * (REAL vs number for prices, boolean vs 'true' for foil)
+ */
+export function sameFieldValue(field, a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a ?? null) === (b ?? null);
+  }
+  if (field === 'purchase_price' || field === 'quantity') return Number(a) === Number(b);
+  return String(a) === String(b);
+}
+
+/**
+ * Parse a stored change value back into the column's type
+ */
+export function parseFieldValue(field, value) {
+  if (value === null || value === undefined) return null;
+  if (field === 'quantity') return parseInt(value, 10);
+  if (field === 'purchase_price') return parseFloat(value);
+  if (field === 'foil') return value === 'true' || value === true;
+  return value;
+}
+
+/**
+ * Changes between an inventory row and the values being written to it
+ * @param {Object} before - Current row
+ * @param {Object} updates - Field values about to be written (undefined fields are skipped)
+ * @returns {Array<{field, oldValue, newValue}>}
+ */
+export function diffInventoryItem(before, updates) {
+  return TRACKED_FIELDS
+    .filter(field => updates[field] !== undefined && !sameFieldValue(field, before[field], updates[field]))
+    .map(field => ({ field, oldValue: before[field] ?? null, newValue: updates[field] }));
+}
+
+/**
+ * Changes recording a new inventory row: its quantity going from nothing to what was added
+ */
+export function itemAddedChanges(item, action = 'create', context = null) {
+  return [{ cardId: item.id, cardName: item.name, field: 'quantity', oldValue: null, newValue: item.quantity, action, context }];
+}
+
+/**
+ * Changes recording a deleted inventory row. The row is gone, so the id is kept in context.
+ */
+export function itemDeletedChanges(item, context = null) {
+  return [{
+    cardId: null,
+    cardName: item.name,
+    field: 'quantity',
+    oldValue: item.quantity,
+    newValue: null,
+    action: 'delete',
+    context: { inventoryId: item.id, folder: item.folder ?? null, ...context }
+  }];
+}
+
+/**
+ * Changes recording deck reservations being made or released
+ * @param {Array<{inventory_item_id, name, quantity_reserved, deck_id}>} reservations
+ * @param {'reserve'|'release'} action
+ */
+export function reservationChanges(reservations, action = 'reserve') {
+  return reservations.map(r => ({
+    cardId: r.inventory_item_id,
+    cardName: r.name,
+    field: 'reserved',
+    oldValue: action === 'reserve' ? null : r.quantity_reserved,
+    newValue: action === 'reserve' ? r.quantity_reserved : null,
+    action,
+    context: { deckId: r.deck_id }
+  }));
+}
+
+/**
+ * Change recording a released card moving back to Uncategorized from the folder it was in
+ * @param {{inventory_item_id, name, folder, deck_id}} reservation
+ */
+export function folderReleaseChange(reservation) {
+  return {
+    cardId: reservation.inventory_item_id,
+    cardName: reservation.name,
+    field: 'folder',
+    oldValue: reservation.folder ?? null,
+    newValue: 'Uncategorized',
+    action: 'release',
+    context: { deckId: reservation.deck_id }
+  };
+}
+
+/**
+ * Insert change rows
+ * @param {Array<{cardId, cardName, field, oldValue, newValue, action, context?}>} changes
+ * @returns {Promise<Array<Object>>} Inserted rows
+ */
+export async function recordChanges(db, userId, changes) {
+  const inserted = [];
+  for (let i = 0; i < changes.length; i += CHANGE_BATCH_SIZE) {
+    const batch = changes.slice(i, i + CHANGE_BATCH_SIZE).map(change => ({
+      card_id: change.cardId ?? null,
+      card_name: change.cardName,
+      field_changed: change.field,
+      old_value: toText(change.oldValue),
+      new_value: toText(change.newValue),
+      action: change.action || 'update',
+      context: change.context ?? null
+    }));
+    const result = await db.query(`
+      INSERT INTO change_history (user_id, card_id, card_name, field_changed, old_value, new_value, action, context)
+      SELECT $1, r.card_id, r.card_name, r.field_changed, r.old_value, r.new_value, r.action, r.context
+      FROM jsonb_to_recordset($2::jsonb) AS r(
+        card_id INTEGER, card_name VARCHAR, field_changed VARCHAR, old_value TEXT, new_value TEXT, action VARCHAR, context JSONB
+      )
+      RETURNING *
+    `, [userId, JSON.stringify(batch)]);
+    inserted.push(...(result.rows || []));
+  }
+  return inserted;
+}
+
+function toChange(row) {
+  return {
+    id: row.id,
+    card_id: row.card_id,
+    card_name: row.card_name,
+    field_changed: row.field_changed,
+    old_value: row.old_value,
+    new_value: row.new_value,
+    action: row.action,
+    context: row.context ?? null,
+    changed_at: row.changed_at,
+    reverted_at: row.reverted_at ?? null,
+    revertible: !row.reverted_at && row.card_id !== null && REVERTIBLE_ACTIONS.includes(row.action) && TRACKED_FIELDS.includes(row.field_changed)
+  };
+}
+
+/**
+ * A user's change history, newest first
+ * @param {{cardId?, field?, action?, days?, limit?, offset?}} [filters]
+ * @returns {Promise<{changes: Array<Object>, total: number}>}
+ */
+export async function listChanges(db, userId, { cardId = null, field = null, action = null, days = null, limit = 100, offset = 0 } = {}) {
+  const params = [userId, cardId, field, action, days];
+  const where = `
+    WHERE user_id = $1
+      AND ($2::int IS NULL OR card_id = $2)
+      AND ($3::text IS NULL OR field_changed = $3)
+      AND ($4::text IS NULL OR action = $4)
+      AND ($5::int IS NULL OR changed_at >= NOW() - make_interval(days => $5::int))
+  `;
+
+  const [rowsResult, countResult] = await Promise.all([
+    db.query(`SELECT * FROM change_history ${where} ORDER BY changed_at DESC, id DESC LIMIT $6 OFFSET $7`, [...params, limit, offset]),
+    db.query(`SELECT COUNT(*) AS total FROM change_history ${where}`, params)
+  ]);
+
+  return {
+    changes: (rowsResult.rows || []).map(toChange),
+    total: Number(countResult.rows[0]?.total || 0)
+  };
+}
+
+/**
+ * Put a field back to the value it had before a change. Refuses when the field has
+ * changed again since, so a stale revert can't overwrite newer edits.
+ * @returns {Promise<{item: Object, change: Object}>} Updated inventory row and the revert's change row
+ */
+export async function revertChange(db, userId, changeId) {
+  const changeResult = await db.query(
+    'SELECT * FROM change_history WHERE id = $1 AND user_id = $2 FOR UPDATE',
+    [changeId, userId]
+  );
+  const change = changeResult.rows[0];
+  if (!change) throw new ChangeHistoryError('Change not found', 404);
+  if (change.reverted_at) throw new ChangeHistoryError('Change has already been reverted', 409);
+  if (!REVERTIBLE_ACTIONS.includes(change.action) || !TRACKED_FIELDS.includes(change.field_changed)) {
+    throw new ChangeHistoryError(`${change.action} changes to ${change.field_changed} can't be reverted`, 409);
+  }
+  if (change.card_id === null) throw new ChangeHistoryError('Inventory item no longer exists', 409);
+
+  const field = change.field_changed;
+  // field is one of TRACKED_FIELDS, so it is safe to interpolate
+  const itemResult = await db.query(
+    `SELECT id, name, ${field} FROM inventory WHERE id = $1 AND user_id = $2 FOR UPDATE`,
+    [change.card_id, userId]
+  );
+  const item = itemResult.rows[0];
+  if (!item) throw new ChangeHistoryError('Inventory item no longer exists', 409);
+
+  if (!sameFieldValue(field, item[field], change.new_value)) {
+    throw new ChangeHistoryError(
+      `${field} has changed since (now ${toText(item[field]) ?? 'empty'}), so this change can't be reverted`,
+      409
+    );
+  }
+
+  const restored = parseFieldValue(field, change.old_value);
+  if (field === 'quantity') {
+    const reservedResult = await db.query(
+      'SELECT COALESCE(SUM(quantity_reserved), 0) AS reserved FROM deck_reservations WHERE inventory_item_id = $1',
+      [item.id]
+    );
+    const reserved = Number(reservedResult.rows[0]?.reserved || 0);
+    if (restored < reserved) {
+      throw new ChangeHistoryError(
+        `Decks have ${reserved} copies reserved, so quantity can't go back to ${restored}`,
+        409
+      );
+    }
+  }
+
+  const updated = await db.query(
+    `UPDATE inventory SET ${field} = $1 WHERE id = $2 AND user_id = $3 RETURNING *`,
+    [restored, item.id, userId]
+  );
+
+  const [revert] = await recordChanges(db, userId, [{
+    cardId: item.id,
+    cardName: item.name,
+    field,
+    oldValue: item[field],
+    newValue: restored,
+    action: 'revert',
+    context: { revertedChangeId: change.id }
+  }]);
+  await db.query(
+    'UPDATE change_history SET reverted_at = NOW(), reverted_by = $1 WHERE id = $2',
+    [revert?.id ?? null, change.id]
+  );
+
+  return { item: updated.rows[0], change: revert ? toChange(revert) : null };
+}
+
+export default {
+  CHANGE_ACTIONS,
+  TRACKED_FIELDS,
+  HISTORY_FIELDS,
+  ChangeHistoryError,
+  sameFieldValue,
+  parseFieldValue,
+  diffInventoryItem,
+  itemAddedChanges,
+  itemDeletedChanges,
+  reservationChanges,
+  folderReleaseChange,
+  recordChanges,
+  listChanges,
+  revertChange
+};
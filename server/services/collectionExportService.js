@@ -0,0 +1,206 @@
+/**
+ * Collection export
+ * Writes inventory, a folder, a purchase lot or a deck as CSV in the layouts of the
+ * collection services we import from (src/utils/csvTemplates.js). Conditions, foil and
+ * language are written the way each service spells them - the reverse of CONDITION_MAP
+ * in src/hooks/useFileImport.js - so an export reads back through our own importer
+ * unchanged. Functions take a db handle (pool or transaction client).
+ */
+
+import { toCsv } from '../utils/csv.js';
+
+export const EXPORT_FORMATS = ['moxfield', 'deckbox', 'tcgplayer', 'manabox', 'archidekt'];
+
+// Condition spellings by style
+const CONDITION_LABELS = {
+  short: { NM: 'NM', LP: 'LP', MP: 'MP', HP: 'HP', DMG: 'DMG' },
+  long: { NM: 'Near Mint', LP: 'Lightly Played', MP: 'Moderately Played', HP: 'Heavily Played', DMG: 'Damaged' },
+  snake: { NM: 'near_mint', LP: 'lightly_played', MP: 'moderately_played', HP: 'heavily_played', DMG: 'damaged' }
+};
+
+// Inventory doesn't record language, so everything exports as English
+const DEFAULT_LANGUAGE = { code: 'en', name: 'English' };
+
+/**
+ * Error raised when the thing being exported doesn't exist, carrying an HTTP status for the route layer
+ */
+export class CollectionExportError extends Error {
+  constructor(message, statusCode = 404) {
+    super(message);
+    this.name = 'CollectionExportError';
+    this.statusCode = statusCode;
+  }
+}
+
+const condition = (style, quality) => CONDITION_LABELS[style][quality] || CONDITION_LABELS[style].NM;
+const price = (value) => (value === null || value === undefined || value === '' ? '' : Number(value).toFixed(2));
+const lowerSet = (set) => (set ? String(set).toLowerCase() : '');
+
+// Column layout and row writer for each format, matching csvTemplates.js
+const FORMATS = {
+  moxfield: {
+    columns: ['Count', 'Name', 'Edition', 'Condition', 'Foil', 'Purchase Price'],
+    row: card => [card.quantity, card.name, lowerSet(card.set), condition('short', card.quality), card.foil ? 'yes' : 'no', price(card.price)]
+  },
+  deckbox: {
+    columns: ['Count', 'Name', 'Edition', 'Condition', 'Foil', 'Language', 'Price'],
+    row: card => [
+      card.quantity, card.name, lowerSet(card.set).toUpperCase(), condition('long', card.quality),
+      card.foil ? 'true' : 'false', DEFAULT_LANGUAGE.name, price(card.price)
+    ]
+  },
+  tcgplayer: {
+    columns: ['Quantity', 'Card Name', 'Set Name', 'Condition', 'Printing', 'TCG Marketplace Price'],
+    row: card => [card.quantity, card.name, card.setName || '', condition('long', card.quality), card.foil ? 'Foil' : 'Normal', price(card.price)]
+  },
+  manabox: {
+    columns: [
+      'Name', 'Set code', 'Set name', 'Collector number', 'Foil', 'Rarity', 'Quantity', 'ManaBox ID', 'Scryfall ID',
+      'Purchase price', 'Misprint', 'Altered', 'Condition', 'Language', 'Purchase price currency'
+    ],
+    row: card => [
+      card.name, lowerSet(card.set), card.setName || '', card.collectorNumber || '', card.foil ? 'foil' : 'normal',
+      card.rarity || '', card.quantity, '', card.scryfallId || '', price(card.price), 'false', 'false',
+      condition('snake', card.quality), DEFAULT_LANGUAGE.code, 'USD'
+    ]
+  },
+  archidekt: {
+    columns: ['Count', 'Name', 'Edition', 'Condition', 'Foil', 'Purchase Price', 'Collector Number'],
+    row: card => [
+      card.quantity, card.name, lowerSet(card.set), condition('short', card.quality), card.foil ? 'true' : 'false',
+      price(card.price), card.collectorNumber || ''
+    ]
+  }
+};
+
+/**
+ * Serialize export cards in one of EXPORT_FORMATS
+ * @param {Array<{name, quantity, set, setName, collectorNumber, rarity, scryfallId, foil, quality, price}>} cards
+ * @param {string} format
+ * @returns {string} CSV text
+ */
+export function formatCollectionCsv(cards, format) {
+  const { columns, row } = FORMATS[format];
+  const keyed = columns.map((header, index) => ({ key: index, header }));
+  // Rows are arrays, so each column's key is its index
+  return toCsv(keyed, cards.map(row));
+}
+
+// Deck cards imported from Archidekt can carry the edition object instead of its code
+const setCode = (set) => (set && typeof set === 'object' ? set.editioncode || set.mtgoCode || null : set || null);
+
+function toExportCard(row) {
+  return {
+    name: row.name,
+    quantity: Number(row.quantity || 0),
+    set: setCode(row.set),
+    setName: row.set_name || null,
+    collectorNumber: row.collector_number || null,
+    rarity: row.rarity || null,
+    scryfallId: row.scryfall_id || null,
+    foil: Boolean(row.foil),
+    quality: row.quality || 'NM',
+    price: row.purchase_price ?? null
+  };
+}
+
+const INVENTORY_EXPORT_COLUMNS = `
+  i.name, i.set, COALESCE(i.set_name, p.set_name) AS set_name, i.quantity, i.purchase_price,
+  i.foil, i.quality, i.scryfall_id, p.collector_number, p.rarity`;
+
+/**
+ * A user's inventory, or one folder of it. Trash is left out unless it is the folder asked for.
+ * @returns {Promise<Array<Object>>} Export cards
+ */
+export async function getInventoryExport(db, userId, { folder = null } = {}) {
+  const result = await db.query(
+    `SELECT ${INVENTORY_EXPORT_COLUMNS}
+     FROM inventory i
+     LEFT JOIN printings p ON p.id = i.printing_id
+     WHERE i.user_id = $1
+       AND COALESCE(i.quantity, 0) > 0
+       AND ($2::text IS NULL OR COALESCE(i.folder, 'Uncategorized') = $2)
+       AND ($2::text IS NOT NULL OR COALESCE(i.folder, 'Uncategorized') <> 'Trash')
+     ORDER BY i.name, i.id`,
+    [userId, folder]
+  );
+  return result.rows.map(toExportCard);
+}
+
+/**
+ * The cards still in inventory from one purchase lot
+ * @returns {Promise<{name: string, cards: Array<Object>}>}
+ */
+export async function getLotExport(db, userId, lotId) {
+  const lotResult = await db.query('SELECT id, name FROM purchase_lots WHERE id = $1 AND user_id = $2', [lotId, userId]);
+  const lot = lotResult.rows[0];
+  if (!lot) throw new CollectionExportError('Lot not found');
+
+  const result = await db.query(
+    `SELECT ${INVENTORY_EXPORT_COLUMNS}
+     FROM inventory i
+     LEFT JOIN printings p ON p.id = i.printing_id
+     WHERE i.lot_id = $1 AND i.user_id = $2 AND COALESCE(i.quantity, 0) > 0
+     ORDER BY i.name, i.id`,
+    [lotId, userId]
+  );
+  return { name: lot.name, cards: result.rows.map(toExportCard) };
+}
+
+/**
+ * A deck's cards. A decklist exports its card list; a deck instance exports the
+ * inventory copies reserved for it plus the cards it is still missing.
+ * @returns {Promise<{name: string, cards: Array<Object>}>}
+ */
+export async function getDeckExport(db, userId, deckId) {
+  const deckResult = await db.query(
+    'SELECT id, name, cards, is_deck_instance FROM decks WHERE id = $1 AND user_id = $2',
+    [deckId, userId]
+  );
+  const deck = deckResult.rows[0];
+  if (!deck) throw new CollectionExportError('Deck not found');
+
+  if (!deck.is_deck_instance) {
+    const cards = (deck.cards || [])
+      .filter(card => card?.name && Number(card.quantity ?? 1) > 0)
+      .map(card => toExportCard({
+        name: card.name,
+        quantity: card.quantity ?? 1,
+        set: card.set || null,
+        set_name: card.set_name || null,
+        collector_number: card.collector_number || null,
+        scryfall_id: card.scryfall_id || null,
+        foil: card.foil,
+        quality: card.quality
+      }));
+    return { name: deck.name, cards };
+  }
+
+  const reserved = await db.query(
+    `SELECT i.name, i.set, COALESCE(i.set_name, p.set_name) AS set_name, dr.quantity_reserved AS quantity,
+            i.purchase_price, i.foil, i.quality, i.scryfall_id, p.collector_number, p.rarity
+     FROM deck_reservations dr
+     JOIN inventory i ON i.id = dr.inventory_item_id AND i.user_id = $2
+     LEFT JOIN printings p ON p.id = i.printing_id
+     WHERE dr.deck_id = $1
+     ORDER BY i.name, i.id`,
+    [deckId, userId]
+  );
+  const missing = await db.query(
+    `SELECT card_name AS name, set_code AS set, quantity_needed AS quantity
+     FROM deck_missing_cards
+     WHERE deck_id = $1
+     ORDER BY card_name`,
+    [deckId]
+  );
+  return { name: deck.name, cards: [...reserved.rows, ...missing.rows].map(toExportCard) };
+}
+
+export default {
+  EXPORT_FORMATS,
+  CollectionExportError,
+  formatCollectionCsv,
+  getInventoryExport,
+  getLotExport,
+  getDeckExport
+};
@@ -7,6 +7,7 @@ import { scryfallService } from './externalApis/scryfallService.js';
 import { edhrecService } from './externalApis/edhrecService.js';
 import { mtggoldfishService } from './externalApis/mtggoldfishService.js';
 import { logger } from '../utils/logger.js';
+import { buildRulesDeck } from './rulesDeckBuilder.js';
 
 class DeckGenerationService {
   /**
@@ -18,6 +19,10 @@ class DeckGenerationService {
    * @param {Array<string>} options.colorIdentity - Color identity (optional)
    * @param {Array<string>} options.themes - Deck themes (optional)
    * @param {Array<Object>} options.userInventory - User's card inventory (optional)
+   * @param {string} options.mode - 'ranked' (default) or 'rules' for the deterministic
+   *   rules-based builder, which needs a commander
+   * @param {Object} options.quotas - Category quotas for the rules builder (optional)
+   * @param {Object} options.curve - Mana curve target for the rules builder (optional)
    * @returns {Promise<Object>} Deck generation result
    */
   async generateDeck(options) {
@@ -27,7 +32,10 @@ class DeckGenerationService {
       budget,
       colorIdentity,
       themes = [],
-      userInventory = []
+      userInventory = [],
+      mode = 'ranked',
+      quotas,
+      curve
     } = options;
 
     logger.info('Starting deck generation', {
@@ -35,7 +43,8 @@ class DeckGenerationService {
       budget,
       colorIdentity,
       themes: themes.length,
-      hasInventory: userInventory.length > 0
+      hasInventory: userInventory.length > 0,
+      mode
     });
 
     try {
@@ -55,6 +64,29 @@ class DeckGenerationService {
         colorIdentity: commanderCard?.color_identity || colorIdentity
       });
 
+      if (mode === 'rules') {
+        const deckList = await this.buildRulesBasedDeck(recommendations, commanderCard, {
+          budget,
+          userInventory,
+          quotas,
+          curve
+        });
+
+        logger.info('Rules-based deck generation completed', {
+          totalCards: deckList.stats.totalCards,
+          fromInventory: deckList.stats.fromInventory,
+          purchaseCost: deckList.stats.purchaseCost,
+          legal: deckList.legality.legal
+        });
+
+        return {
+          success: true,
+          deck: deckList,
+          recommendations,
+          stats: deckList.stats
+        };
+      }
+
       // Step 3: Filter and rank cards based on criteria
       const rankedCards = await this.rankCards(recommendations, {
         budget,
@@ -213,30 +245,7 @@ class DeckGenerationService {
     const rankedCards = [];
 
     try {
-      // Combine all card recommendations
-      const allCards = new Set();
-
-      // Add EDHREC recommendations
-      if (recommendations.edhrec) {
-        recommendations.edhrec.topCards?.forEach(card => allCards.add(card.name));
-        recommendations.edhrec.creatures?.forEach(name => allCards.add(name));
-        recommendations.edhrec.instants?.forEach(name => allCards.add(name));
-        recommendations.edhrec.sorceries?.forEach(name => allCards.add(name));
-        recommendations.edhrec.artifacts?.forEach(name => allCards.add(name));
-        recommendations.edhrec.enchantments?.forEach(name => allCards.add(name));
-        recommendations.edhrec.planeswalkers?.forEach(name => allCards.add(name));
-      }
-
-      // Add MTGGoldfish recommendations
-      if (recommendations.mtggoldfish?.cards) {
-        Object.values(recommendations.mtggoldfish.cards).flat().forEach(name => allCards.add(name));
-      }
-
-      // Add theme cards
-      recommendations.themeCards?.forEach(card => allCards.add(card.name || card));
-
-      // Add staples
-      recommendations.staples?.forEach(name => allCards.add(name));
+      const allCards = this.collectCardNames(recommendations);
 
       logger.debug(`Ranking ${allCards.size} unique card recommendations`);
 
@@ -289,6 +298,83 @@ class DeckGenerationService {
     }
   }
 
+  /**
+   * Combine all card recommendations into one set of names, in source order
+   */
+  collectCardNames(recommendations) {
+    const allCards = new Set();
+
+    // Add EDHREC recommendations
+    if (recommendations.edhrec) {
+      recommendations.edhrec.topCards?.forEach(card => allCards.add(card.name));
+      recommendations.edhrec.creatures?.forEach(name => allCards.add(name));
+      recommendations.edhrec.instants?.forEach(name => allCards.add(name));
+      recommendations.edhrec.sorceries?.forEach(name => allCards.add(name));
+      recommendations.edhrec.artifacts?.forEach(name => allCards.add(name));
+      recommendations.edhrec.enchantments?.forEach(name => allCards.add(name));
+      recommendations.edhrec.planeswalkers?.forEach(name => allCards.add(name));
+    }
+
+    // Add MTGGoldfish recommendations
+    if (recommendations.mtggoldfish?.cards) {
+      Object.values(recommendations.mtggoldfish.cards).flat().forEach(name => allCards.add(name));
+    }
+
+    // Add theme cards
+    recommendations.themeCards?.forEach(card => allCards.add(card.name || card));
+
+    // Add staples
+    recommendations.staples?.forEach(name => allCards.add(name));
+
+    return allCards;
+  }
+
+  /**
+   * Build a deck with the deterministic rules-based builder (see rulesDeckBuilder.js):
+   * category quotas, mana curve, pip-weighted basics, inventory first and a budget cap
+   */
+  async buildRulesBasedDeck(recommendations, commander, { budget, userInventory = [], quotas, curve }) {
+    if (!commander) {
+      throw new Error('The rules-based builder needs a commander');
+    }
+
+    // Fetch card details in bulk (Scryfall allows 75 identifiers per request); the builder
+    // also picks nonbasic lands, so EDHREC's land suggestions join the pool
+    const names = [...new Set([
+      ...this.collectCardNames(recommendations),
+      ...(recommendations.edhrec?.lands || [])
+    ])].filter(Boolean);
+    const candidates = [];
+    for (let i = 0; i < names.length; i += 75) {
+      const identifiers = names.slice(i, i + 75).map(name => ({ name }));
+      try {
+        const collection = await scryfallService.getCollection(identifiers);
+        candidates.push(...(collection?.data || []));
+      } catch (error) {
+        logger.warn('Failed to fetch card details for the rules builder', { error: error.message });
+      }
+    }
+
+    const owned = new Map();
+    userInventory.forEach(item => {
+      if (!item.name) return;
+      const key = item.name.toLowerCase();
+      owned.set(key, (owned.get(key) || 0) + (item.available_quantity ?? item.quantity ?? 1));
+    });
+
+    const deck = buildRulesDeck({
+      commander,
+      candidates,
+      quotas,
+      curve,
+      budget: budget || null,
+      ownedQuantity: name => owned.get(name.toLowerCase()) || 0
+    });
+    deck.warnings.forEach(warning => logger.debug(`Rules builder: ${warning}`));
+
+    return { commander: commander.name, ...deck };
+  }
+
   /**
    * Calculate card score for ranking
    */
@@ -0,0 +1,87 @@
+/**
+ * Archidekt deck importer
+ * Reads the public deck API; boards come from card categories
+ */
+
+import { fetchRemoteDeck, deckCard, buildImportedDeck } from './shared.js';
+
+// Archidekt's numeric deckFormat values
+const ARCHIDEKT_FORMATS = {
+  1: 'Standard',
+  2: 'Modern',
+  3: 'Commander',
+  4: 'Legacy',
+  5: 'Vintage',
+  6: 'Pauper',
+  15: 'Pioneer'
+};
+
+/**
+ * Descriptions may be plain text or a Quill delta ({ops: [{insert}]})
+ */
+function descriptionText(description) {
+  if (!description) return '';
+  if (typeof description === 'string') return description;
+  if (Array.isArray(description.ops)) {
+    return description.ops.map(op => (typeof op.insert === 'string' ? op.insert : '')).join('');
+  }
+  return '';
+}
+
+export const archidektImporter = {
+  key: 'archidekt',
+  label: 'Archidekt',
+  example: 'https://archidekt.com/decks/123456',
+
+  matchUrl(url) {
+    return url.match(/archidekt\.com\/(?:api\/)?decks\/(\d+)/i)?.[1] || null;
+  },
+
+  fetchDeck(deckId, { fetchImpl }) {
+    return fetchRemoteDeck(`https://archidekt.com/api/decks/${deckId}/`, { fetchImpl, label: this.label });
+  },
+
+  normalize(data) {
+    // Categories like Maybeboard are kept out of the deck with includedInDeck: false
+    const excluded = new Set((data.categories || [])
+      .filter(category => category.includedInDeck === false)
+      .map(category => category.name));
+
+    const boards = { commanders: [], main: [], sideboard: [], maybeboard: [] };
+    let companion = null;
+
+    for (const entry of data.cards || []) {
+      if (!entry.card) continue;
+      const categories = entry.categories || [];
+      const card = deckCard({
+        name: entry.card.oracleCard?.name || entry.card.name,
+        quantity: entry.quantity,
+        set: entry.card.edition?.editioncode,
+        collectorNumber: entry.card.collectorNumber,
+        scryfallId: entry.card.uid
+      });
+
+      if (categories.includes('Commander')) {
+        boards.commanders.push(card);
+      } else if (categories.includes('Companion')) {
+        companion = card;
+      } else if (categories.includes('Sideboard')) {
+        boards.sideboard.push(card);
+      } else if (categories.includes('Maybeboard') || (categories.length > 0 && categories.every(name => excluded.has(name)))) {
+        boards.maybeboard.push(card);
+      } else {
+        boards.main.push(card);
+      }
+    }
+
+    return buildImportedDeck({
+      name: data.name,
+      format: ARCHIDEKT_FORMATS[data.deckFormat],
+      description: descriptionText(data.description),
+      companion,
+      ...boards
+    });
+  }
+};
+
+export default archidektImporter;
@@ -0,0 +1,136 @@
+/**
+ * Deck URL Importers
+ * Registry of the deck sites we import from. Each importer recognizes its URLs, fetches the
+ * deck and normalizes it to our deck card shape with commander, sideboard and maybeboard.
+ *
+ * Importer interface:
+ *   key, label, example  - identity and a sample URL for the UI
+ *   matchUrl(url)        - the site's deck id, or null when the URL isn't this site's
+ *   fetchDeck(id, {fetchImpl}) - the raw deck from the site
+ *   normalize(raw, id)   - {name, format, description, commander, companion, cards, sideboard, maybeboard}
+ */
+
+import { archidektImporter } from './archidekt.js';
+import { moxfieldImporter } from './moxfield.js';
+import { mtggoldfishImporter } from './mtggoldfish.js';
+import { tappedoutImporter } from './tappedout.js';
+import { scryfallImporter } from './scryfall.js';
+import { DeckImportError } from './shared.js';
+import { diffDeckCards } from '../deckRevisionService.js';
+
+export { DeckImportError };
+
+export const DECK_IMPORTERS = [
+  archidektImporter,
+  moxfieldImporter,
+  mtggoldfishImporter,
+  tappedoutImporter,
+  scryfallImporter
+];
+
+/**
+ * The importer for a URL and the site's deck id, or null when no importer recognizes it
+ */
+export function findDeckImporter(url) {
+  const text = String(url || '').trim();
+  for (const importer of DECK_IMPORTERS) {
+    const deckId = importer.matchUrl(text);
+    if (deckId) return { importer, deckId };
+  }
+  return null;
+}
+
+/**
+ * Supported sites for the UI
+ */
+export function listDeckImporters() {
+  return DECK_IMPORTERS.map(({ key, label, example }) => ({ key, label, example }));
+}
+
+/**
+ * Fetch and normalize the deck behind a URL
+ * @param {string} url
+ * @param {{fetchImpl?: Function}} options - fetch replacement for tests
+ * @returns {Promise<Object>} The normalized deck plus importer, importerLabel, deckId and url
+ */
+export async function importDeckFromUrl(url, { fetchImpl = fetch } = {}) {
+  const match = findDeckImporter(url);
+  if (!match) {
+    throw new DeckImportError(`Unsupported deck URL. Paste a deck link from ${DECK_IMPORTERS.map(importer => importer.label).join(', ')}.`);
+  }
+
+  const { importer, deckId } = match;
+  const raw = await importer.fetchDeck(deckId, { fetchImpl });
+  const deck = importer.normalize(raw, deckId);
+  if (deck.cards.length === 0) {
+    throw new DeckImportError(`No cards found in this ${importer.label} deck`, 422);
+  }
+
+  return { importer: importer.key, importerLabel: importer.label, deckId, url: String(url).trim(), ...deck };
+}
+
+/**
+ * Revision source for card changes that come from a site; Archidekt syncs keep their own label
+ */
+export function importRevisionSource(importerKey) {
+  return importerKey === 'archidekt' ? 'archidekt' : 'import';
+}
+
+const printingKey = (card) => `${card.name}|${String(card.set || '').toUpperCase()}|${card.collector_number || ''}`;
+
+/**
+ * Printing-level changes between a deck's cards and the copy on the site it was imported from
+ * @returns {{added: Array, removed: Array, modified: Array<{card, oldQuantity, newQuantity}>}}
+ */
+export function diffSyncCards(localCards, remoteCards) {
+  const local = new Map((localCards || []).map(card => [printingKey(card), card]));
+  const remote = new Map((remoteCards || []).map(card => [printingKey(card), card]));
+  const added = [];
+  const removed = [];
+  const modified = [];
+
+  for (const [key, card] of remote) {
+    const localCard = local.get(key);
+    if (!localCard) {
+      added.push(card);
+    } else if ((parseInt(localCard.quantity, 10) || 1) !== card.quantity) {
+      modified.push({ card, oldQuantity: localCard.quantity, newQuantity: card.quantity });
+    }
+  }
+  for (const [key, card] of local) {
+    if (!remote.has(key)) removed.push(card);
+  }
+
+  return { added, removed, modified };
+}
+
+const sameCardNames = (before, after) => {
+  const diff = diffDeckCards(before, after);
+  return diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0;
+};
+
+/**
+ * Everything a sync would change on a deck: printing-level card changes plus whether the
+ * commander, companion, sideboard or maybeboard differ
+ * @returns {{changes: Object, boardsChanged: boolean, hasChanges: boolean}}
+ */
+export function diffSyncDeck(deck, remote) {
+  const changes = diffSyncCards(deck.cards || [], remote.cards);
+  const boardsChanged = !sameCardNames(deck.sideboard, remote.sideboard)
+    || !sameCardNames(deck.maybeboard, remote.maybeboard)
+    || (deck.commander || null) !== (remote.commander || null)
+    || (deck.companion || null) !== (remote.companion || null);
+  const cardsChanged = changes.added.length > 0 || changes.removed.length > 0 || changes.modified.length > 0;
+  return { changes, boardsChanged, hasChanges: cardsChanged || boardsChanged };
+}
+
+export default {
+  DECK_IMPORTERS,
+  DeckImportError,
+  findDeckImporter,
+  listDeckImporters,
+  importDeckFromUrl,
+  importRevisionSource,
+  diffSyncCards,
+  diffSyncDeck
+};
@@ -0,0 +1,46 @@
+/**
+ * Moxfield deck importer
+ * Reads the public deck API, which returns each board as a map of card entries
+ */
+
+import { fetchRemoteDeck, deckCard, buildImportedDeck } from './shared.js';
+
+const boardCards = (board) => Object.values(board?.cards || {})
+  .filter(entry => entry.card?.name)
+  .map(entry => deckCard({
+    name: entry.card.name,
+    quantity: entry.quantity,
+    set: entry.card.set,
+    collectorNumber: entry.card.cn,
+    scryfallId: entry.card.scryfall_id
+  }));
+
+export const moxfieldImporter = {
+  key: 'moxfield',
+  label: 'Moxfield',
+  example: 'https://moxfield.com/decks/AbCdEf123',
+
+  matchUrl(url) {
+    return url.match(/moxfield\.com\/decks\/([A-Za-z0-9_-]+)/i)?.[1] || null;
+  },
+
+  fetchDeck(deckId, { fetchImpl }) {
+    return fetchRemoteDeck(`https://api2.moxfield.com/v3/decks/all/${deckId}`, { fetchImpl, label: this.label });
+  },
+
+  normalize(data) {
+    const boards = data.boards || {};
+    return buildImportedDeck({
+      name: data.name,
+      format: data.format,
+      description: data.description,
+      commanders: boardCards(boards.commanders),
+      companion: boardCards(boards.companions)[0] || null,
+      main: boardCards(boards.mainboard),
+      sideboard: boardCards(boards.sideboard),
+      maybeboard: boardCards(boards.maybeboard)
+    });
+  }
+};
+
+export default moxfieldImporter;
@@ -0,0 +1,58 @@
+/**
+ * MTGGoldfish deck importer
+ * Uses the plain-text download, where a blank line separates the sideboard. The download
+ * has no deck name or format, so those come from the deck page title when it loads.
+ */
+
+import { fetchRemoteDeck, parseTextDeck, buildImportedDeck } from './shared.js';
+
+const MTGGOLDFISH_BASE = 'https://www.mtggoldfish.com';
+
+/**
+ * Deck name and format from the page <title>, e.g. "Mono-Red Aggro by Player - Pioneer Deck - MTGGoldfish"
+ */
+function parsePageTitle(html) {
+  const title = String(html || '').match(/<title>([^<]*)<\/title>/i)?.[1]?.trim();
+  if (!title) return {};
+  const match = title.match(/^(.*?)(?:\s+by\s+.+?)?\s+-\s+(.+?)\s+Deck\s+-\s+MTGGoldfish/i);
+  if (!match) return { name: title.replace(/\s*-\s*MTGGoldfish.*$/i, '') };
+  return { name: match[1], format: match[2] };
+}
+
+export const mtggoldfishImporter = {
+  key: 'mtggoldfish',
+  label: 'MTGGoldfish',
+  example: 'https://www.mtggoldfish.com/deck/1234567',
+
+  matchUrl(url) {
+    return url.match(/mtggoldfish\.com\/deck\/(?:download\/|arena_download\/)?(\d+)/i)?.[1] || null;
+  },
+
+  async fetchDeck(deckId, { fetchImpl }) {
+    const text = await fetchRemoteDeck(`${MTGGOLDFISH_BASE}/deck/download/${deckId}`, { fetchImpl, label: this.label, as: 'text' });
+    // The name is a nicety; a page that fails to load still leaves a usable import
+    let page = '';
+    try {
+      page = await fetchRemoteDeck(`${MTGGOLDFISH_BASE}/deck/${deckId}`, { fetchImpl, label: this.label, as: 'text' });
+    } catch {
+      page = '';
+    }
+    return { text, page };
+  },
+
+  normalize({ text, page }, deckId) {
+    const boards = parseTextDeck(text, { blankLineStartsSideboard: true });
+    const { name, format } = parsePageTitle(page);
+    return buildImportedDeck({
+      name: name || `MTGGoldfish deck ${deckId}`,
+      format,
+      commanders: boards.commander,
+      companion: boards.companion[0] || null,
+      main: boards.main,
+      sideboard: boards.sideboard,
+      maybeboard: boards.maybeboard
+    });
+  }
+};
+
+export default mtggoldfishImporter;
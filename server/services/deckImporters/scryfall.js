@@ -0,0 +1,46 @@
+/**
+ * Scryfall deck importer
+ * Reads the JSON deck export, whose entries are grouped by board with a card_digest per printing
+ */
+
+import { fetchRemoteDeck, deckCard, buildImportedDeck } from './shared.js';
+
+const entryCards = (entries) => (entries || [])
+  .filter(entry => entry.card_digest?.name && entry.count > 0)
+  .map(entry => deckCard({
+    name: entry.card_digest.name,
+    quantity: entry.count,
+    set: entry.card_digest.set,
+    collectorNumber: entry.card_digest.collector_number,
+    scryfallId: entry.card_digest.id
+  }));
+
+export const scryfallImporter = {
+  key: 'scryfall',
+  label: 'Scryfall',
+  example: 'https://scryfall.com/@user/decks/0b3c6b8e-1c2d-4e5f-8a9b-0c1d2e3f4a5b',
+
+  matchUrl(url) {
+    return url.match(/scryfall\.com\/@[^/]+\/decks\/([0-9a-f-]{36})/i)?.[1]?.toLowerCase() || null;
+  },
+
+  fetchDeck(deckId, { fetchImpl }) {
+    return fetchRemoteDeck(`https://api.scryfall.com/decks/${deckId}/export/json`, { fetchImpl, label: this.label });
+  },
+
+  normalize(data) {
+    const entries = data.entries || {};
+    return buildImportedDeck({
+      name: data.name,
+      format: data.format,
+      description: data.description,
+      commanders: entryCards(entries.commanders),
+      companion: entryCards(entries.companions)[0] || null,
+      main: entryCards(entries.mainboard),
+      sideboard: entryCards(entries.sideboard),
+      maybeboard: entryCards(entries.maybeboard)
+    });
+  }
+};
+
+export default scryfallImporter;
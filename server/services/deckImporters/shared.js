@@ -0,0 +1,185 @@
+/**
+ * Deck Importer Helpers
+ * Fetching, format names and the card shape shared by every deck URL importer
+ */
+
+const USER_AGENT = 'BigDeck-App/1.0 (MTG Inventory Manager)';
+
+/**
+ * Error raised when a deck URL can't be imported, carrying an HTTP status for the route layer
+ */
+export class DeckImportError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DeckImportError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * GET a deck from a site. A missing deck is a 404; anything else the site gets wrong is a 502.
+ * @param {string} url
+ * @param {{fetchImpl: Function, label: string, as?: 'json'|'text'}} options
+ */
+export async function fetchRemoteDeck(url, { fetchImpl, label, as = 'json' }) {
+  let response;
+  try {
+    response = await fetchImpl(url, {
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': as === 'json' ? 'application/json' : 'text/plain'
+      }
+    });
+  } catch (error) {
+    throw new DeckImportError(`Couldn't reach ${label}: ${error.message}`, 502);
+  }
+
+  if (response.status === 404) {
+    throw new DeckImportError(`Deck not found on ${label}. Check the URL and that the deck is public.`, 404);
+  }
+  if (!response.ok) {
+    throw new DeckImportError(`${label} returned an error (${response.status})`, 502);
+  }
+
+  try {
+    return as === 'json' ? await response.json() : await response.text();
+  } catch {
+    throw new DeckImportError(`${label} returned a response we couldn't read`, 502);
+  }
+}
+
+// Site format names mapped to the formats our decks use
+const FORMAT_NAMES = {
+  commander: 'Commander',
+  edh: 'Commander',
+  standard: 'Standard',
+  modern: 'Modern',
+  pioneer: 'Pioneer',
+  pauper: 'Pauper',
+  legacy: 'Legacy',
+  vintage: 'Vintage'
+};
+
+/**
+ * Our format name for a site's format, or Casual when we don't track it
+ */
+export function normalizeFormat(format) {
+  const key = String(format || '').toLowerCase().replace(/[^a-z]/g, '');
+  return FORMAT_NAMES[key] || 'Casual';
+}
+
+/**
+ * A card in our deck card shape
+ */
+export function deckCard({ name, quantity = 1, set = '', collectorNumber = '', scryfallId = null }) {
+  return {
+    name: String(name).trim(),
+    quantity: parseInt(quantity, 10) || 1,
+    set: String(set || '').toUpperCase(),
+    collector_number: collectorNumber ? String(collectorNumber) : '',
+    scryfall_id: scryfallId || null
+  };
+}
+
+/**
+ * Combine lines for the same printing of a card
+ */
+export function mergeDeckCards(cards) {
+  const merged = new Map();
+  for (const card of cards) {
+    const key = `${card.name.toLowerCase()}|${card.set}|${card.collector_number}`;
+    const existing = merged.get(key);
+    if (existing) {
+      existing.quantity += card.quantity;
+    } else {
+      merged.set(key, { ...card });
+    }
+  }
+  return [...merged.values()];
+}
+
+// Section headers used by plain-text deck exports
+const TEXT_SECTIONS = {
+  deck: 'main',
+  main: 'main',
+  mainboard: 'main',
+  commander: 'commander',
+  commanders: 'commander',
+  companion: 'companion',
+  sideboard: 'sideboard',
+  maybeboard: 'maybeboard',
+  considering: 'maybeboard'
+};
+
+/**
+ * Parse a plain-text decklist ("4 Lightning Bolt", "1x Sol Ring (C21) 263") into boards.
+ * Lines under "Sideboard", "Maybeboard", "Commander" or "Companion" headers, and lines
+ * prefixed "SB:", go to that board. Lines marked *CMDR* are commanders.
+ * @param {string} text
+ * @param {{blankLineStartsSideboard?: boolean}} options - MTGGoldfish separates the sideboard with a blank line
+ */
+export function parseTextDeck(text, { blankLineStartsSideboard = false } = {}) {
+  const boards = { main: [], commander: [], companion: [], sideboard: [], maybeboard: [] };
+  let section = 'main';
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) {
+      if (blankLineStartsSideboard && section === 'main' && boards.main.length > 0) section = 'sideboard';
+      continue;
+    }
+    if (line.startsWith('//') || line.startsWith('#')) continue;
+
+    const header = TEXT_SECTIONS[line.replace(/[:\s]+$/, '').replace(/\s*\(\d+\)$/, '').toLowerCase()];
+    if (header) {
+      section = header;
+      continue;
+    }
+
+    const match = line.match(/^(SB:\s*)?(\d+)x?\s+(.+)$/i);
+    if (!match) continue;
+
+    let rest = match[3].replace(/\s*\*F\*\s*/gi, ' ').trim();
+    const isCommander = /\*CMDR\*/i.test(rest);
+    rest = rest.replace(/\s*\*CMDR\*\s*/gi, ' ').trim();
+
+    // "Name (SET) 123" or "Name [SET]"
+    let name = rest;
+    let set = '';
+    let collectorNumber = '';
+    const printing = rest.match(/^(.*?)\s+[([]\s*([A-Za-z0-9]+)\s*[)\]](?:\s+(\S+))?$/);
+    if (printing) {
+      [, name, set, collectorNumber = ''] = printing;
+    }
+
+    const card = deckCard({ name, quantity: match[2], set, collectorNumber });
+    const board = match[1] ? 'sideboard' : (isCommander ? 'commander' : section);
+    boards[board].push(card);
+  }
+
+  return boards;
+}
+
+/**
+ * Assemble an importer's boards into the shape every importer returns. Commanders are
+ * stored in decks.commander as "First + Second" and stay in the card list; the companion
+ * lives in the sideboard.
+ */
+export function buildImportedDeck({ name, format, description = '', commanders = [], companion = null, main = [], sideboard = [], maybeboard = [] }) {
+  const commanderNames = [...new Set(commanders.map(card => card.name))];
+  const cards = mergeDeckCards([...commanders, ...main]);
+  const sideboardCards = mergeDeckCards(companion && !sideboard.some(card => card.name === companion.name)
+    ? [companion, ...sideboard]
+    : sideboard);
+
+  return {
+    name: String(name || '').trim() || 'Imported Deck',
+    format: commanderNames.length > 0 && normalizeFormat(format) === 'Casual' ? 'Commander' : normalizeFormat(format),
+    description: description || '',
+    commander: commanderNames.length > 0 ? commanderNames.join(' + ') : null,
+    companion: companion?.name || null,
+    cards,
+    sideboard: sideboardCards,
+    maybeboard: mergeDeckCards(maybeboard)
+  };
+}
@@ -0,0 +1,42 @@
+/**
+ * TappedOut deck importer
+ * Uses the ?fmt=txt export: "Sideboard:" and "Maybeboard:" headers, commanders marked *CMDR*.
+ * The export has no name or format, so the name comes from the URL slug.
+ */
+
+import { fetchRemoteDeck, parseTextDeck, buildImportedDeck } from './shared.js';
+
+const slugToName = (slug) => slug
+  .replace(/^\d+-/, '')
+  .split('-')
+  .filter(Boolean)
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+export const tappedoutImporter = {
+  key: 'tappedout',
+  label: 'TappedOut',
+  example: 'https://tappedout.net/mtg-decks/my-deck-name/',
+
+  matchUrl(url) {
+    return url.match(/tappedout\.net\/mtg-decks\/([a-z0-9_-]+)/i)?.[1]?.toLowerCase() || null;
+  },
+
+  fetchDeck(deckId, { fetchImpl }) {
+    return fetchRemoteDeck(`https://tappedout.net/mtg-decks/${deckId}/?fmt=txt`, { fetchImpl, label: this.label, as: 'text' });
+  },
+
+  normalize(text, deckId) {
+    const boards = parseTextDeck(text);
+    return buildImportedDeck({
+      name: slugToName(deckId),
+      commanders: boards.commander,
+      companion: boards.companion[0] || null,
+      main: boards.main,
+      sideboard: boards.sideboard,
+      maybeboard: boards.maybeboard
+    });
+  }
+};
+
+export default tappedoutImporter;
@@ -0,0 +1,275 @@
+/**
+ * Deck legality validation against a deck's stored format
+ * Card rules come from the MTGJSON card metadata (legalities, commander eligibility,
+ * partner and companion abilities); see utils/cardRulesMetadata.js
+ */
+
+export const FORMAT_RULES = {
+  commander: { label: 'Commander', minCards: 100, maxCards: 100, copyLimit: 1, usesCommander: true },
+  standard: { label: 'Standard', minCards: 60, maxCards: null, copyLimit: 4, usesCommander: false },
+  modern: { label: 'Modern', minCards: 60, maxCards: null, copyLimit: 4, usesCommander: false },
+  pioneer: { label: 'Pioneer', minCards: 60, maxCards: null, copyLimit: 4, usesCommander: false },
+  pauper: { label: 'Pauper', minCards: 60, maxCards: null, copyLimit: 4, usesCommander: false }
+};
+
+// Basic lands by name, for cards missing from the card data
+const BASIC_LAND_NAMES = new Set([
+  'plains', 'island', 'swamp', 'mountain', 'forest', 'wastes',
+  'snow-covered plains', 'snow-covered island', 'snow-covered swamp', 'snow-covered mountain', 'snow-covered forest'
+]);
+
+const PERMANENT_TYPES = ['Artifact', 'Battle', 'Creature', 'Enchantment', 'Land', 'Planeswalker'];
+
+const KAHEERA_TYPES = ['Cat', 'Elemental', 'Nightmare', 'Dinosaur', 'Beast'];
+
+const isLand = (entry) => entry.data.types.includes('Land');
+const isPermanent = (entry) => entry.data.types.some(type => PERMANENT_TYPES.includes(type));
+const subtypes = (entry) => (entry.data.typeLine.split(' — ')[1] || '').split(/\s+/);
+
+/**
+ * Mana symbols that appear more than once in a mana cost ({R}{R}, {X}{X})
+ */
+function repeatsManaSymbol(manaCost) {
+  const symbols = manaCost.match(/\{[^}]+\}/g) || [];
+  return new Set(symbols).size < symbols.length;
+}
+
+const offenders = (entries, test) => entries.filter(test).map(entry => entry.name);
+
+/**
+ * Companion deckbuilding conditions, keyed by lowercased companion name. Each returns the
+ * cards breaking the condition. Zirda's condition needs oracle text, so it isn't checked.
+ */
+const COMPANION_CONDITIONS = {
+  'gyruda, doom of depths': {
+    text: 'each nonland card must have an even mana value',
+    check: (entries) => offenders(entries, entry => !isLand(entry) && entry.data.cmc % 2 !== 0)
+  },
+  'jegantha, the wellspring': {
+    text: 'no card may have more than one of the same mana symbol in its cost',
+    check: (entries) => offenders(entries, entry => repeatsManaSymbol(entry.data.manaCost))
+  },
+  'kaheera, the orphanguard': {
+    text: 'each creature must be a Cat, Elemental, Nightmare, Dinosaur or Beast',
+    check: (entries) => offenders(entries, entry =>
+      entry.data.types.includes('Creature') && !subtypes(entry).some(type => KAHEERA_TYPES.includes(type)))
+  },
+  'keruga, the macrosage': {
+    text: 'each nonland card must have mana value 3 or greater',
+    check: (entries) => offenders(entries, entry => !isLand(entry) && entry.data.cmc < 3)
+  },
+  'lurrus of the dream-den': {
+    text: 'each permanent card must have mana value 2 or less',
+    check: (entries) => offenders(entries, entry => isPermanent(entry) && entry.data.cmc > 2)
+  },
+  'lutri, the spellchaser': {
+    text: 'each nonland card must have a different name',
+    check: (entries) => offenders(entries, entry => !isLand(entry) && entry.quantity > 1)
+  },
+  'obosh, the preypiercer': {
+    text: 'each nonland card must have an odd mana value',
+    check: (entries) => offenders(entries, entry => !isLand(entry) && entry.data.cmc % 2 !== 1)
+  },
+  'umori, the collector': {
+    text: 'each nonland card must share a card type',
+    check: (entries) => {
+      const nonland = entries.filter(entry => !isLand(entry));
+      const shared = nonland.reduce(
+        (types, entry) => types.filter(type => entry.data.types.includes(type)),
+        nonland[0]?.data.types || []
+      );
+      return shared.length > 0 ? [] : nonland.map(entry => entry.name);
+    }
+  },
+  'yorion, sky nomad': {
+    text: 'the deck must have at least 20 cards more than the minimum',
+    check: (entries, { cardCount, rules }) => (cardCount >= rules.minCards + 20 ? [] : ['Yorion, Sky Nomad'])
+  }
+};
+
+/**
+ * Split decks.commander into its commanders; partners are stored as "First + Second"
+ */
+export function parseCommanders(commander) {
+  if (!commander || typeof commander !== 'string') return [];
+  return commander.split(' + ').map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Whether two commanders may share the command zone
+ */
+function canPair(first, second) {
+  const a = first.data;
+  const b = second.data;
+  if (a.partner === 'partner' && b.partner === 'partner') return true;
+  if (a.partner === 'friends-forever' && b.partner === 'friends-forever') return true;
+  if (a.partner === 'partner-with' || b.partner === 'partner-with') {
+    return a.partnerWith?.toLowerCase() === second.name.toLowerCase()
+      && b.partnerWith?.toLowerCase() === first.name.toLowerCase();
+  }
+  const pairs = (ability, typeLine) =>
+    (a.partner === ability && b.typeLine.includes(typeLine)) || (b.partner === ability && a.typeLine.includes(typeLine));
+  return pairs('background', 'Background') || pairs('doctors-companion', 'Time Lord Doctor');
+}
+
+/**
+ * How many copies of a card the format allows
+ */
+function copyLimit(entry, rules, format) {
+  if (entry.data?.deckLimit === 'any') return Infinity;
+  if (entry.data?.deckLimit) return entry.data.deckLimit;
+  const basic = entry.data ? /\bBasic\b/.test(entry.data.typeLine) : BASIC_LAND_NAMES.has(entry.name.toLowerCase());
+  if (basic) return Infinity;
+  if (entry.data?.legalities[format] === 'restricted') return 1;
+  return rules.copyLimit;
+}
+
+/**
+ * Validate a deck against its format
+ * @param {{id, format, commander, companion, cards: Array<{name, quantity}>}} deck
+ * @param {Function} getCardData - name => card metadata (mtgjsonService.getCardDataByName)
+ * @returns {{deckId, format, supported: boolean, legal: boolean|null, cardCount: number,
+ *   violations: Array<{rule: string, severity: 'error'|'warning', message: string, cards: string[]}>}}
+ */
+export function validateDeck(deck, getCardData) {
+  const format = String(deck.format || '').toLowerCase().trim();
+  const rules = FORMAT_RULES[format];
+  const cards = Array.isArray(deck.cards) ? deck.cards : [];
+
+  // Merge duplicate lines (different printings of the same card)
+  const byName = new Map();
+  for (const card of cards) {
+    if (!card?.name) continue;
+    const key = card.name.toLowerCase().trim();
+    const quantity = parseInt(card.quantity ?? 1, 10) || 0;
+    const entry = byName.get(key) || { name: card.name.trim(), quantity: 0 };
+    entry.quantity += quantity;
+    byName.set(key, entry);
+  }
+  const totalQuantity = [...byName.values()].reduce((sum, entry) => sum + entry.quantity, 0);
+
+  if (!rules) {
+    return { deckId: deck.id, format: deck.format || null, supported: false, legal: null, cardCount: totalQuantity, violations: [] };
+  }
+
+  const violations = [];
+  const report = (rule, message, names = [], severity = 'error') => {
+    violations.push({ rule, severity, message, cards: names });
+  };
+  const lookup = (name) => ({ name, data: getCardData(name) || null });
+
+  // The companion sits outside the main deck; commanders not listed in the cards still count
+  const companion = deck.companion ? lookup(deck.companion.trim()) : null;
+  const companionEntry = companion && byName.get(companion.name.toLowerCase());
+  if (companionEntry) companionEntry.quantity -= 1;
+
+  const commanders = rules.usesCommander ? parseCommanders(deck.commander).map(lookup) : [];
+  for (const commander of commanders) {
+    const key = commander.name.toLowerCase();
+    if (!byName.has(key)) byName.set(key, { name: commander.name, quantity: 1 });
+  }
+
+  const entries = [...byName.values()]
+    .filter(entry => entry.quantity > 0)
+    .map(entry => ({ ...entry, data: getCardData(entry.name) || null }));
+  const cardCount = entries.reduce((sum, entry) => sum + entry.quantity, 0);
+
+  const unknown = entries.filter(entry => !entry.data);
+  if (companion && !companion.data) unknown.push(companion);
+  if (unknown.length > 0) {
+    report('unknown-card', 'No card data found, so these cards were not checked', unknown.map(entry => entry.name), 'warning');
+  }
+  const known = entries.filter(entry => entry.data);
+
+  // Deck size
+  if (rules.maxCards !== null && rules.maxCards === rules.minCards && cardCount !== rules.minCards) {
+    report('deck-size', `${rules.label} decks must have exactly ${rules.minCards} cards; this deck has ${cardCount}`);
+  } else if (cardCount < rules.minCards) {
+    report('deck-size', `${rules.label} decks need at least ${rules.minCards} cards; this deck has ${cardCount}`);
+  }
+
+  // Copy limits, including restricted cards
+  const overLimit = entries.filter(entry => entry.quantity > copyLimit(entry, rules, format));
+  if (overLimit.length > 0) {
+    const message = rules.copyLimit === 1
+      ? `${rules.label} is singleton: one copy of each card except basic lands`
+      : `No more than ${rules.copyLimit} copies of a card except basic lands (restricted cards: one)`;
+    report('copy-limit', message, overLimit.map(entry => `${entry.quantity}x ${entry.name}`));
+  }
+
+  // Banned and not-legal cards, the companion included
+  const checked = companion?.data ? [...known, companion] : known;
+  const banned = checked.filter(entry => entry.data.legalities[format] === 'banned');
+  if (banned.length > 0) report('banned', `Banned in ${rules.label}`, banned.map(entry => entry.name));
+  const notLegal = checked.filter(entry => !entry.data.legalities[format]);
+  if (notLegal.length > 0) report('not-legal', `Not legal in ${rules.label}`, notLegal.map(entry => entry.name));
+
+  if (rules.usesCommander) {
+    validateCommanders(commanders, checked, report);
+  }
+
+  if (companion?.data) {
+    validateCompanion(companion, known, { cardCount, rules }, report);
+  }
+
+  return {
+    deckId: deck.id,
+    format: rules.label,
+    supported: true,
+    legal: !violations.some(violation => violation.severity === 'error'),
+    cardCount,
+    violations
+  };
+}
+
+/**
+ * Commander eligibility, partner pairing and color identity
+ */
+function validateCommanders(commanders, entries, report) {
+  if (commanders.length === 0) {
+    report('commander', 'Choose a commander for this deck');
+    return;
+  }
+  if (commanders.length > 2) {
+    report('commander', 'A deck can have at most two commanders', commanders.map(commander => commander.name));
+    return;
+  }
+
+  const known = commanders.filter(commander => commander.data);
+  // A Background is chosen by its partner rather than being able to lead on its own
+  const ineligible = known.filter(commander => !commander.data.canBeCommander
+    && !(commanders.length === 2 && commander.data.typeLine.includes('Background')));
+  if (ineligible.length > 0) {
+    report('commander', 'Can\'t be a commander', ineligible.map(commander => commander.name));
+  }
+  if (known.length === 2 && !canPair(known[0], known[1])) {
+    report('partner', 'These commanders don\'t have partner abilities that let them be played together', known.map(commander => commander.name));
+  }
+
+  // Color identity is checked only when every commander's identity is known
+  if (known.length !== commanders.length) return;
+  const identity = new Set(known.flatMap(commander => commander.data.colorIdentity));
+  const outside = entries.filter(entry => entry.data.colorIdentity.some(color => !identity.has(color)));
+  if (outside.length > 0) {
+    const colors = ['W', 'U', 'B', 'R', 'G'].filter(color => identity.has(color)).join('') || 'colorless';
+    report('color-identity', `Outside the commander's color identity (${colors})`, outside.map(entry => entry.name));
+  }
+}
+
+/**
+ * The companion must have the ability and the deck must meet its condition
+ */
+function validateCompanion(companion, entries, context, report) {
+  if (!companion.data.companion) {
+    report('companion', `${companion.name} doesn't have companion`, [companion.name]);
+    return;
+  }
+  const condition = COMPANION_CONDITIONS[companion.name.toLowerCase()];
+  if (!condition) return;
+  const breaking = condition.check(entries, context);
+  if (breaking.length > 0) {
+    report('companion', `${companion.name}'s condition isn't met: ${condition.text}`, breaking);
+  }
+}
+
+export default { FORMAT_RULES, parseCommanders, validateDeck };
@@ -0,0 +1,277 @@
+import { batchInsertReservations, batchInsertMissingCards } from '../utils/index.js';
+import { normalizeCardName, getSetCode } from '../utils/cardHelpers.js';
+import { VALID_QUALITIES } from '../utils/validation.js';
+import { resolveOracleIds } from './cardCatalogService.js';
+import { recordChanges, reservationChanges } from './changeHistoryService.js';
+import { findSubstitutes } from './substitutionGroupService.js';
+
+/**
+ * Deck Reservation Service
+ * Allocates inventory copies to a deck instance and records what could not be filled
+ */
+
+const normalizeKey = (name) => String(name || '').toLowerCase().trim();
+
+export const DEFAULT_ALLOCATION_PREFERENCES = {
+  foil: 'any',
+  minCondition: null,
+  preferDecklistSet: true,
+  strategy: 'cheapest',
+  strict: false,
+  allowSubstitutes: false
+};
+
+// Preferences are given up in this order when preferred copies run out
+const RELAX_ORDER = ['set', 'foil', 'condition'];
+
+const conditionRank = (quality) => {
+  const rank = VALID_QUALITIES.indexOf(String(quality || 'NM').toUpperCase());
+  return rank === -1 ? VALID_QUALITIES.length : rank;
+};
+
+const acquiredAt = (item) => {
+  const time = Date.parse(item.purchase_date || '') || Date.parse(item.created_at || '');
+  return Number.isNaN(time) ? Infinity : time;
+};
+
+const STRATEGY_ORDER = {
+  cheapest: (a, b) => (a.purchase_price ?? 999999) - (b.purchase_price ?? 999999) || acquiredAt(a) - acquiredAt(b),
+  oldest: (a, b) => acquiredAt(a) - acquiredAt(b) || (a.purchase_price ?? 999999) - (b.purchase_price ?? 999999)
+};
+
+/**
+ * Fill in defaults for a deck's stored allocation preferences
+ */
+export function resolveAllocationPreferences(...sources) {
+  const preferences = { ...DEFAULT_ALLOCATION_PREFERENCES };
+  for (const source of sources) {
+    for (const [key, value] of Object.entries(source || {})) {
+      if (key in DEFAULT_ALLOCATION_PREFERENCES && value !== undefined) preferences[key] = value;
+    }
+  }
+  return preferences;
+}
+
+/**
+ * The preference checks that apply to one decklist card, keyed by RELAX_ORDER name
+ */
+function preferenceChecks(card, preferences) {
+  const checks = {};
+  const setCode = getSetCode(card.set);
+  if (preferences.preferDecklistSet && setCode) {
+    checks.set = (item) => getSetCode(item.set) === setCode;
+  }
+  if (preferences.foil !== 'any') {
+    const wantFoil = preferences.foil === 'foil';
+    checks.foil = (item) => Boolean(item.foil) === wantFoil;
+  }
+  if (preferences.minCondition) {
+    const minRank = conditionRank(preferences.minCondition);
+    checks.condition = (item) => conditionRank(item.quality) <= minRank;
+  }
+  return checks;
+}
+
+/**
+ * Fetch available inventory rows for the given cards.
+ * Rows linked to the catalog match on oracle_id; unlinked rows fall back to their name.
+ * @param {Object} db - Database pool or transaction client
+ * @param {string} userId
+ * @param {Object} match
+ * @param {Array<string>} match.oracleIds - Oracle ids resolved from the decklist
+ * @param {Array<string>} match.names - Normalized (lowercased, trimmed) card names
+ */
+async function fetchAvailableInventory(db, userId, { oracleIds, names }) {
+  if (oracleIds.length === 0 && names.length === 0) return [];
+
+  const result = await db.query(`
+    SELECT i.id, i.name, i.oracle_id, i.set, i.foil, i.quality, i.folder, i.purchase_price,
+      i.purchase_date, i.created_at, i.quantity,
+      COALESCE(i.quantity, 0) - COALESCE(
+        (SELECT SUM(dr.quantity_reserved) FROM deck_reservations dr WHERE dr.inventory_item_id = i.id), 0
+      ) as available_quantity
+    FROM inventory i
+    WHERE (i.oracle_id = ANY($1::text[]) OR (i.oracle_id IS NULL AND LOWER(TRIM(i.name)) = ANY($2::text[])))
+      AND i.user_id = $3
+      AND COALESCE(i.quantity, 0) - COALESCE(
+        (SELECT SUM(dr.quantity_reserved) FROM deck_reservations dr WHERE dr.inventory_item_id = i.id), 0
+      ) > 0
+    ORDER BY COALESCE(i.purchase_price, 999999) ASC
+  `, [oracleIds, names, userId]);
+
+  return result.rows || [];
+}
+
+/**
+ * Work out which inventory copies a decklist would reserve, without writing anything.
+ * Copies meeting every preference are taken first; when they run out the set, then foil,
+ * then condition preference is relaxed (unless preferences.strict), and each card's
+ * entry in `allocation` lists what had to be relaxed. With preferences.allowSubstitutes,
+ * a card still short once every card has had its own copies is filled from spare copies
+ * of the other cards in its substitution group; those reservations carry `substitute_for`
+ * and the card's allocation entry lists them under `substitutes`.
+ * @param {Object} db - Database pool or transaction client
+ * @param {Object} options
+ * @param {number} options.deckId - Deck instance the reservations belong to
+ * @param {string} options.userId - Owner of the inventory
+ * @param {Array<Object>} options.cards - Decklist cards ({ name, quantity, set })
+ * @param {Object} [options.preferences] - See DEFAULT_ALLOCATION_PREFERENCES
+ * @returns {Promise<{reservations: Array, missingCards: Array, allocation: Array}>}
+ */
+export async function allocateDeckCards(db, { deckId, userId, cards, preferences }) {
+  const rules = resolveAllocationPreferences(preferences);
+  const validCards = (cards || []).filter(c => typeof c.name === 'string' && c.name.trim().length > 0);
+  const substitutesByName = rules.allowSubstitutes
+    ? await findSubstitutes(db, userId, validCards.map(c => c.name))
+    : new Map();
+  const substituteNames = [...substitutesByName.values()].flat();
+
+  const wantedNames = [...validCards.map(c => c.name), ...substituteNames];
+  const oracleIdByName = await resolveOracleIds(db, wantedNames);
+  const oracleIdForName = (name) => oracleIdByName.get(normalizeCardName(name)) || null;
+
+  const inventoryRows = await fetchAvailableInventory(db, userId, {
+    oracleIds: [...new Set(wantedNames.map(oracleIdForName).filter(Boolean))],
+    names: [...new Set(wantedNames.map(normalizeKey))]
+  });
+
+  // Group inventory items by oracle id, and unlinked items by name
+  const inventoryByOracleId = {};
+  const inventoryByName = {};
+  for (const item of inventoryRows) {
+    const groups = item.oracle_id ? inventoryByOracleId : inventoryByName;
+    const key = item.oracle_id || normalizeKey(item.name);
+    if (!groups[key]) groups[key] = [];
+    groups[key].push({ ...item, available_quantity: parseInt(item.available_quantity) });
+  }
+  const copiesOf = (name) => {
+    const oracleId = oracleIdForName(name);
+    return [
+      ...(oracleId ? inventoryByOracleId[oracleId] || [] : []),
+      ...(inventoryByName[normalizeKey(name)] || [])
+    ].sort(STRATEGY_ORDER[rules.strategy] || STRATEGY_ORDER.cheapest);
+  };
+
+  const reservations = [];
+  const usedQuantities = {}; // Track quantities used during this operation
+
+  /**
+   * Reserve up to `needed` copies from `items`, relaxing preferences tier by tier.
+   * Returns how many were reserved and which preferences had to be given up.
+   */
+  const reserveFrom = (items, needed, checks, { substituteFor = null } = {}) => {
+    const active = RELAX_ORDER.filter(name => checks[name]);
+    const relaxed = [];
+    let remaining = needed;
+
+    // Tier 0 applies every preference; each later tier drops the next one in RELAX_ORDER
+    const tiers = rules.strict ? 1 : active.length + 1;
+    for (let tier = 0; tier < tiers && remaining > 0; tier++) {
+      const applied = active.slice(tier);
+
+      for (const invItem of items) {
+        if (remaining <= 0) break;
+        if (!applied.every(name => checks[name](invItem))) continue;
+
+        // Account for quantities already reserved in this batch
+        const alreadyUsed = usedQuantities[invItem.id] || 0;
+        const actualAvailable = invItem.available_quantity - alreadyUsed;
+        if (actualAvailable <= 0) continue;
+
+        const reserveQty = Math.min(remaining, actualAvailable);
+        reservations.push({
+          deck_id: deckId,
+          inventory_item_id: invItem.id,
+          name: invItem.name,
+          quantity_reserved: reserveQty,
+          original_folder: invItem.folder || 'Uncategorized',
+          purchase_price: invItem.purchase_price,
+          ...(substituteFor ? { substitute_for: substituteFor } : {})
+        });
+        usedQuantities[invItem.id] = alreadyUsed + reserveQty;
+        remaining -= reserveQty;
+
+        // Report only preferences that were actually given up for this copy
+        for (const name of active.slice(0, tier)) {
+          if (!checks[name](invItem) && !relaxed.includes(name)) relaxed.push(name);
+        }
+      }
+    }
+
+    return { reserved: needed - remaining, relaxed };
+  };
+
+  // Every card takes its own copies before any card falls back to a substitute
+  const allocation = validCards.map(card => {
+    const quantityNeeded = card.quantity || 1;
+    const { reserved, relaxed } = reserveFrom(copiesOf(card.name), quantityNeeded, preferenceChecks(card, rules));
+    return {
+      name: card.name,
+      quantity: quantityNeeded,
+      reserved,
+      missing: quantityNeeded - reserved,
+      relaxed: RELAX_ORDER.filter(name => relaxed.includes(name))
+    };
+  });
+
+  allocation.forEach((entry, index) => {
+    const substitutes = substitutesByName.get(normalizeKey(entry.name)) || [];
+    if (entry.missing === 0 || substitutes.length === 0) return;
+
+    // A substitute is a different card, so the decklist's printing doesn't apply to it
+    const checks = preferenceChecks({ ...validCards[index], set: null }, rules);
+    const used = [];
+    for (const name of substitutes) {
+      if (entry.missing === 0) break;
+      const { reserved } = reserveFrom(copiesOf(name), entry.missing, checks, { substituteFor: entry.name });
+      if (reserved === 0) continue;
+      used.push({ name, quantity: reserved });
+      entry.reserved += reserved;
+      entry.missing -= reserved;
+    }
+    if (used.length > 0) entry.substitutes = used;
+  });
+
+  const missingCards = [];
+  allocation.forEach((entry, index) => {
+    if (entry.missing === 0) return;
+    const card = validCards[index];
+    missingCards.push({
+      deck_id: deckId,
+      card_name: card.name,
+      set_code: card.set || null,
+      quantity_needed: entry.missing,
+      oracle_id: oracleIdForName(card.name)
+    });
+  });
+
+  return { reservations, missingCards, allocation };
+}
+
+/**
+ * Allocate inventory to a deck instance and persist the reservations and missing cards
+ * @param {Object} db - Database pool or transaction client
+ * @param {Object} options - Same as allocateDeckCards
+ */
+export async function reserveDeckCards(db, options) {
+  const { reservations, missingCards, allocation } = await allocateDeckCards(db, options);
+
+  await batchInsertReservations(reservations, db);
+  await batchInsertMissingCards(missingCards, db);
+  await recordChanges(db, options.userId, reservationChanges(reservations));
+
+  return {
+    reservations,
+    missingCards,
+    allocation,
+    reservedCount: reservations.reduce((sum, r) => sum + r.quantity_reserved, 0),
+    missingCount: missingCards.reduce((sum, m) => sum + m.quantity_needed, 0)
+  };
+}
+
+export default {
+  DEFAULT_ALLOCATION_PREFERENCES,
+  resolveAllocationPreferences,
+  allocateDeckCards,
+  reserveDeckCards
+};
@@ -0,0 +1,266 @@
+import { reserveDeckCards, resolveAllocationPreferences } from './deckReservationService.js';
+import { recordChanges, reservationChanges } from './changeHistoryService.js';
+
+/**
+ * Deck Revision Service
+ * Every change to a deck's card list is stored as a numbered revision holding the full list
+ * and its card-level diff against the previous revision
+ */
+
+// Where a change came from; 'revert' revisions are written by revertDeckRevision
+export const DECK_REVISION_SOURCES = ['manual', 'archidekt', 'ai', 'import'];
+
+/**
+ * Error raised for revision requests that can't be served, carrying an HTTP status for the route layer
+ */
+export class DeckRevisionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DeckRevisionError';
+    this.statusCode = statusCode;
+  }
+}
+
+const parseCards = (cards) => {
+  const list = typeof cards === 'string' ? JSON.parse(cards) : cards;
+  return Array.isArray(list) ? list : [];
+};
+
+/**
+ * Total quantity per card name; printings of the same card count together
+ */
+function quantitiesByName(cards) {
+  const totals = new Map();
+  for (const card of parseCards(cards)) {
+    if (!card?.name) continue;
+    const key = card.name.toLowerCase().trim();
+    const entry = totals.get(key) || { name: card.name.trim(), quantity: 0 };
+    entry.quantity += parseInt(card.quantity ?? 1, 10) || 0;
+    totals.set(key, entry);
+  }
+  return totals;
+}
+
+/**
+ * Card-level diff between two card lists
+ * @returns {{added: Array<{name, quantity}>, removed: Array<{name, quantity}>, changed: Array<{name, from, to}>}}
+ */
+export function diffDeckCards(before, after) {
+  const previous = quantitiesByName(before);
+  const next = quantitiesByName(after);
+  const diff = { added: [], removed: [], changed: [] };
+
+  for (const [key, card] of next) {
+    const old = previous.get(key);
+    if (!old || old.quantity === 0) {
+      if (card.quantity > 0) diff.added.push({ name: card.name, quantity: card.quantity });
+    } else if (old.quantity !== card.quantity) {
+      diff.changed.push({ name: card.name, from: old.quantity, to: card.quantity });
+    }
+  }
+  for (const [key, card] of previous) {
+    if (!next.has(key) && card.quantity > 0) diff.removed.push({ name: card.name, quantity: card.quantity });
+  }
+
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  diff.added.sort(byName);
+  diff.removed.sort(byName);
+  diff.changed.sort(byName);
+  return diff;
+}
+
+const isEmptyDiff = (diff) => diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0;
+
+function toRevision(row, { includeCards = false } = {}) {
+  const revision = {
+    id: row.id,
+    deck_id: row.deck_id,
+    revision_number: row.revision_number,
+    source: row.source,
+    author_id: row.author_id,
+    author_email: row.author_email ?? null,
+    diff: row.diff,
+    reverted_to: row.reverted_to ?? null,
+    created_at: row.created_at
+  };
+  if (includeCards) revision.cards = parseCards(row.cards);
+  return revision;
+}
+
+async function requireDeck(db, userId, deckId, { lock = false } = {}) {
+  const result = await db.query(
+    `SELECT * FROM decks WHERE id = $1 AND user_id = $2${lock ? ' FOR UPDATE' : ''}`,
+    [deckId, userId]
+  );
+  if (result.rows.length === 0) throw new DeckRevisionError('Deck not found', 404);
+  return result.rows[0];
+}
+
+async function requireRevision(db, deckId, revisionNumber) {
+  const result = await db.query(
+    `SELECT r.*, u.email AS author_email FROM deck_revisions r
+     LEFT JOIN users u ON u.id = r.author_id
+     WHERE r.deck_id = $1 AND r.revision_number = $2`,
+    [deckId, revisionNumber]
+  );
+  if (result.rows.length === 0) throw new DeckRevisionError(`Revision ${revisionNumber} not found`, 404);
+  return result.rows[0];
+}
+
+async function insertRevision(db, { deckId, revisionNumber, authorId, source, cards, diff, revertedTo = null }) {
+  const result = await db.query(
+    `INSERT INTO deck_revisions (deck_id, revision_number, author_id, source, cards, diff, reverted_to)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [deckId, revisionNumber, authorId, source, JSON.stringify(parseCards(cards)), JSON.stringify(diff), revertedTo]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Store a revision for a change to a deck's card list. Decks edited before revisions were kept
+ * get their previous list stored first, so the first tracked change can still be undone.
+ * Call inside the transaction that updates decks.cards.
+ * @param {{deckId, userId, source, previousCards, cards, revertedTo?}} change
+ * @returns {Promise<Object|null>} The new revision, or null when the card list didn't change
+ */
+export async function recordDeckRevision(db, { deckId, userId, source, previousCards, cards, revertedTo = null }) {
+  const diff = diffDeckCards(previousCards, cards);
+  if (isEmptyDiff(diff)) return null;
+
+  const latestResult = await db.query(
+    'SELECT revision_number FROM deck_revisions WHERE deck_id = $1 ORDER BY revision_number DESC LIMIT 1',
+    [deckId]
+  );
+  let latest = latestResult.rows[0] || null;
+
+  if (!latest && parseCards(previousCards).length > 0) {
+    latest = await insertRevision(db, {
+      deckId,
+      revisionNumber: 1,
+      authorId: null,
+      source: 'manual',
+      cards: previousCards,
+      diff: diffDeckCards([], previousCards)
+    });
+  }
+
+  const revision = await insertRevision(db, {
+    deckId,
+    revisionNumber: (latest?.revision_number || 0) + 1,
+    authorId: userId,
+    source,
+    cards,
+    diff,
+    revertedTo
+  });
+  return toRevision(revision);
+}
+
+/**
+ * A deck's revisions, newest first, without their card lists
+ */
+export async function listDeckRevisions(db, userId, deckId) {
+  await requireDeck(db, userId, deckId);
+  const result = await db.query(
+    `SELECT r.*, u.email AS author_email FROM deck_revisions r
+     LEFT JOIN users u ON u.id = r.author_id
+     WHERE r.deck_id = $1
+     ORDER BY r.revision_number DESC`,
+    [deckId]
+  );
+  return (result.rows || []).map(row => toRevision(row));
+}
+
+/**
+ * One revision with its full card list
+ */
+export async function getDeckRevision(db, userId, deckId, revisionNumber) {
+  await requireDeck(db, userId, deckId);
+  return toRevision(await requireRevision(db, deckId, revisionNumber), { includeCards: true });
+}
+
+/**
+ * Compare two revisions, or a revision with the deck's current list when `to` is omitted
+ * @returns {Promise<{from: Object, to: Object|null, diff: Object}>}
+ */
+export async function diffDeckRevisions(db, userId, deckId, { from, to = null }) {
+  const deck = await requireDeck(db, userId, deckId);
+  const fromRevision = await requireRevision(db, deckId, from);
+  const toRevisionRow = to === null ? null : await requireRevision(db, deckId, to);
+
+  return {
+    from: toRevision(fromRevision),
+    to: toRevisionRow ? toRevision(toRevisionRow) : null,
+    diff: diffDeckCards(fromRevision.cards, toRevisionRow ? toRevisionRow.cards : deck.cards)
+  };
+}
+
+/**
+ * Restore a deck's card list from a revision. The restore is itself a new revision, and deck
+ * instances copied from this deck take the restored list with their reservations reallocated.
+ * @returns {Promise<{deck: Object, revision: Object|null, instances: Array<{id, reservedCount, missingCount}>}>}
+ */
+export async function revertDeckRevision(db, userId, deckId, revisionNumber) {
+  const deck = await requireDeck(db, userId, deckId, { lock: true });
+  const target = await requireRevision(db, deckId, revisionNumber);
+  const cards = parseCards(target.cards);
+
+  const revision = await recordDeckRevision(db, {
+    deckId,
+    userId,
+    source: 'revert',
+    previousCards: deck.cards,
+    cards,
+    revertedTo: revisionNumber
+  });
+  if (!revision) return { deck, revision: null, instances: [] };
+
+  const updated = await db.query(
+    'UPDATE decks SET cards = $1, updated_at = NOW() WHERE id = $2 AND user_id = $3 RETURNING *',
+    [JSON.stringify(cards), deckId, userId]
+  );
+
+  // Same reallocation as POST /deck-instances/:id/reoptimize, against the restored list
+  const instancesResult = await db.query(
+    'SELECT * FROM decks WHERE decklist_id = $1 AND is_deck_instance = TRUE AND user_id = $2 FOR UPDATE',
+    [deckId, userId]
+  );
+  const instances = [];
+  for (const instance of instancesResult.rows || []) {
+    await db.query('UPDATE decks SET cards = $1, updated_at = NOW() WHERE id = $2', [JSON.stringify(cards), instance.id]);
+
+    // The old reservations are logged as released; reserveDeckCards logs the new ones
+    const reservationsResult = await db.query(
+      `SELECT dr.deck_id, dr.inventory_item_id, dr.quantity_reserved, i.name
+       FROM deck_reservations dr
+       JOIN inventory i ON i.id = dr.inventory_item_id
+       WHERE dr.deck_id = $1`,
+      [instance.id]
+    );
+    await recordChanges(db, userId, reservationChanges(reservationsResult.rows || [], 'release'));
+
+    await db.query('DELETE FROM deck_reservations WHERE deck_id = $1', [instance.id]);
+    await db.query('DELETE FROM deck_missing_cards WHERE deck_id = $1', [instance.id]);
+    const { reservedCount, missingCount } = await reserveDeckCards(db, {
+      deckId: instance.id,
+      userId,
+      cards,
+      preferences: resolveAllocationPreferences(deck.allocation_preferences, instance.allocation_preferences)
+    });
+    instances.push({ id: instance.id, reservedCount, missingCount });
+  }
+
+  return { deck: updated.rows[0], revision, instances };
+}
+
+export default {
+  DECK_REVISION_SOURCES,
+  DeckRevisionError,
+  diffDeckCards,
+  recordDeckRevision,
+  listDeckRevisions,
+  getDeckRevision,
+  diffDeckRevisions,
+  revertDeckRevision
+};
@@ -0,0 +1,95 @@
+/**
+ * eBay Configuration
+ * Resolves eBay endpoints and app credentials. Every base URL can be
+ * overridden through the environment so a local mock server can stand in.
+ */
+
+const DEFAULT_BASE_URLS = {
+  production: {
+    authBaseUrl: 'https://auth.ebay.com',
+    apiBaseUrl: 'https://api.ebay.com',
+    identityBaseUrl: 'https://apiz.ebay.com',
+    itemBaseUrl: 'https://www.ebay.com/itm'
+  },
+  sandbox: {
+    authBaseUrl: 'https://auth.sandbox.ebay.com',
+    apiBaseUrl: 'https://api.sandbox.ebay.com',
+    identityBaseUrl: 'https://apiz.sandbox.ebay.com',
+    itemBaseUrl: 'https://sandbox.ebay.com/itm'
+  }
+};
+
+export const EBAY_OAUTH_SCOPES = [
+  'https://api.ebay.com/oauth/api_scope',
+  'https://api.ebay.com/oauth/api_scope/sell.inventory',
+  'https://api.ebay.com/oauth/api_scope/sell.account',
+  'https://api.ebay.com/oauth/api_scope/sell.fulfillment',
+  'https://api.ebay.com/oauth/api_scope/commerce.identity.readonly'
+];
+
+// Settings keys written by the eBay settings panel; env vars take precedence
+const CREDENTIAL_SETTINGS = {
+  clientId: { env: 'EBAY_CLIENT_ID', setting: 'ebay_client_id' },
+  clientSecret: { env: 'EBAY_CLIENT_SECRET', setting: 'ebay_client_secret' },
+  ruName: { env: 'EBAY_RUNAME', setting: 'ebay_runame' }
+};
+
+// App-wide settings keys the settings routes store outside any one user's settings
+export const EBAY_CREDENTIAL_SETTING_KEYS = Object.values(CREDENTIAL_SETTINGS).map(({ setting }) => setting);
+
+/**
+ * Get the eBay environment name ('production' or 'sandbox')
+ */
+export function getEbayEnvironment() {
+  return process.env.EBAY_ENVIRONMENT === 'production' ? 'production' : 'sandbox';
+}
+
+/**
+ * Get eBay base URLs for the configured environment, with per-URL env overrides
+ */
+export function getEbayBaseUrls() {
+  const defaults = DEFAULT_BASE_URLS[getEbayEnvironment()];
+  const strip = (url) => url.replace(/\/+$/, '');
+  return {
+    authBaseUrl: strip(process.env.EBAY_AUTH_BASE_URL || defaults.authBaseUrl),
+    apiBaseUrl: strip(process.env.EBAY_API_BASE_URL || defaults.apiBaseUrl),
+    identityBaseUrl: strip(process.env.EBAY_IDENTITY_BASE_URL || defaults.identityBaseUrl),
+    itemBaseUrl: strip(process.env.EBAY_ITEM_BASE_URL || defaults.itemBaseUrl)
+  };
+}
+
+/**
+ * Resolve app credentials from the environment, falling back to the settings table
+ * @param {Object} db - Database pool
+ * @returns {Promise<{clientId: string|null, clientSecret: string|null, ruName: string|null}>}
+ */
+export async function getEbayCredentials(db) {
+  const credentials = {};
+  const missing = [];
+
+  for (const [field, { env, setting }] of Object.entries(CREDENTIAL_SETTINGS)) {
+    credentials[field] = process.env[env] || null;
+    if (!credentials[field]) missing.push([field, setting]);
+  }
+
+  if (missing.length > 0) {
+    const result = await db.query(
+      'SELECT key, value FROM settings WHERE key = ANY($1::text[])',
+      [missing.map(([, setting]) => setting)]
+    );
+    const byKey = Object.fromEntries(result.rows.map(r => [r.key, r.value]));
+
+    for (const [field, setting] of missing) {
+      const raw = byKey[setting];
+      if (raw === undefined || raw === null) continue;
+      // Settings values are stored JSON-encoded by POST /api/settings/:key
+      try {
+        credentials[field] = JSON.parse(raw) || null;
+      } catch {
+        credentials[field] = raw || null;
+      }
+    }
+  }
+
+  return credentials;
+}
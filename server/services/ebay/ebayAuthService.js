@@ -0,0 +1,310 @@
+/**
+ * eBay Auth Service
+ * OAuth authorization-code flow, token storage in ebay_connections and
+ * automatic refresh of access tokens shortly before they expire.
+ */
+
+import crypto from 'crypto';
+import { encrypt, decrypt } from '../../utils/encryption.js';
+import { logger } from '../../utils/logger.js';
+import { EBAY_OAUTH_SCOPES, getEbayBaseUrls, getEbayCredentials } from './config.js';
+import { logEbaySync } from './syncLog.js';
+
+// Refresh access tokens this long before eBay says they expire
+export const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// How long a connect link stays valid
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Error raised for eBay OAuth failures, carrying an HTTP status for the route layer
+ */
+export class EbayAuthError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'EbayAuthError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Create an eBay auth service bound to a database pool.
+ * @param {{pool: Object, fetchImpl?: Function, now?: Function}} deps
+ */
+export function createEbayAuthService({ pool, fetchImpl = (...args) => fetch(...args), now = () => Date.now() }) {
+  // In-flight refreshes keyed by user so concurrent requests share one token call
+  const pendingRefreshes = new Map();
+
+  function stateSecret(credentials) {
+    return process.env.ENCRYPTION_KEY || credentials.clientSecret;
+  }
+
+  function signState(payload, secret) {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+    return `${body}.${signature}`;
+  }
+
+  function verifyState(state, secret) {
+    const [body, signature] = String(state || '').split('.');
+    if (!body || !signature) return null;
+
+    const expected = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+    const a = Buffer.from(signature);
+    const b = Buffer.from(expected);
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+
+    try {
+      const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+      if (!payload.userId || now() - payload.issuedAt > STATE_TTL_MS) return null;
+      return payload;
+    } catch {
+      return null;
+    }
+  }
+
+  async function getConfiguredCredentials() {
+    const credentials = await getEbayCredentials(pool);
+    if (!credentials.clientId || !credentials.clientSecret || !credentials.ruName) {
+      throw new EbayAuthError('eBay app credentials are not configured');
+    }
+    return credentials;
+  }
+
+  /**
+   * POST to the eBay token endpoint and log the call (without token values)
+   */
+  async function requestToken(userId, action, credentials, params) {
+    const { apiBaseUrl } = getEbayBaseUrls();
+    const basic = Buffer.from(`${credentials.clientId}:${credentials.clientSecret}`).toString('base64');
+
+    try {
+      const response = await fetchImpl(`${apiBaseUrl}/identity/v1/oauth2/token`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Basic ${basic}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams(params).toString()
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok || !data.access_token) {
+        throw new Error(data.error_description || data.error || `Token request failed with status ${response.status}`);
+      }
+
+      await logEbaySync(pool, {
+        userId,
+        action,
+        request: { grant_type: params.grant_type },
+        response: { expires_in: data.expires_in, refresh_token_expires_in: data.refresh_token_expires_in }
+      });
+      return data;
+    } catch (err) {
+      await logEbaySync(pool, { userId, action, request: { grant_type: params.grant_type }, error: err.message });
+      throw new EbayAuthError(`eBay token request failed: ${err.message}`, 502);
+    }
+  }
+
+  /**
+   * Look up the eBay username for a freshly issued token. Failure is not fatal.
+   */
+  async function fetchEbayUserId(userId, accessToken) {
+    const { identityBaseUrl } = getEbayBaseUrls();
+
+    try {
+      const response = await fetchImpl(`${identityBaseUrl}/commerce/identity/v1/user/`, {
+        headers: { 'Authorization': `Bearer ${accessToken}` }
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(`Identity request failed with status ${response.status}`);
+      }
+
+      await logEbaySync(pool, { userId, action: 'identity', response: { username: data.username } });
+      return data.username || data.userId || null;
+    } catch (err) {
+      await logEbaySync(pool, { userId, action: 'identity', error: err.message });
+      logger.warn('Could not fetch eBay user identity', { error: err.message });
+      return null;
+    }
+  }
+
+  /**
+   * Whether app credentials are available
+   */
+  async function isConfigured() {
+    const { clientId, clientSecret, ruName } = await getEbayCredentials(pool);
+    return Boolean(clientId && clientSecret && ruName);
+  }
+
+  /**
+   * Build the eBay consent URL for a user. The signed state carries the user ID
+   * back through the unauthenticated callback.
+   * @param {string} userId
+   */
+  async function getAuthorizationUrl(userId) {
+    const credentials = await getConfiguredCredentials();
+    const { authBaseUrl } = getEbayBaseUrls();
+
+    const state = signState(
+      { userId, nonce: crypto.randomBytes(8).toString('hex'), issuedAt: now() },
+      stateSecret(credentials)
+    );
+
+    const params = new URLSearchParams({
+      client_id: credentials.clientId,
+      redirect_uri: credentials.ruName,
+      response_type: 'code',
+      scope: EBAY_OAUTH_SCOPES.join(' '),
+      state
+    });
+    return `${authBaseUrl}/oauth2/authorize?${params.toString()}`;
+  }
+
+  /**
+   * Complete the OAuth callback: verify state, exchange the code and store tokens
+   * @param {{code: string, state: string}} params
+   * @returns {Promise<{userId: string, ebayUserId: string|null}>}
+   */
+  async function handleCallback({ code, state }) {
+    const credentials = await getConfiguredCredentials();
+
+    const payload = verifyState(state, stateSecret(credentials));
+    if (!payload) {
+      throw new EbayAuthError('Invalid or expired authorization state');
+    }
+    if (!code) {
+      throw new EbayAuthError('Missing authorization code');
+    }
+
+    const { userId } = payload;
+    const tokens = await requestToken(userId, 'oauth_connect', credentials, {
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: credentials.ruName
+    });
+    const ebayUserId = await fetchEbayUserId(userId, tokens.access_token);
+
+    await pool.query(
+      `INSERT INTO ebay_connections (user_id, ebay_user_id, access_token, refresh_token, token_expires_at, scope, connected_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+       ON CONFLICT (user_id) DO UPDATE SET
+         ebay_user_id = EXCLUDED.ebay_user_id,
+         access_token = EXCLUDED.access_token,
+         refresh_token = EXCLUDED.refresh_token,
+         token_expires_at = EXCLUDED.token_expires_at,
+         scope = EXCLUDED.scope,
+         connected_at = NOW(),
+         updated_at = NOW()`,
+      [
+        userId,
+        ebayUserId,
+        encrypt(tokens.access_token, 'eBay access token'),
+        encrypt(tokens.refresh_token, 'eBay refresh token'),
+        new Date(now() + (tokens.expires_in || 0) * 1000),
+        EBAY_OAUTH_SCOPES.join(' ')
+      ]
+    );
+
+    return { userId, ebayUserId };
+  }
+
+  async function refreshConnection(userId, connection) {
+    const credentials = await getConfiguredCredentials();
+    const refreshToken = decrypt(connection.refresh_token);
+    if (!refreshToken) {
+      throw new EbayAuthError('eBay connection has no refresh token; reconnect your account', 401);
+    }
+
+    const tokens = await requestToken(userId, 'oauth_refresh', credentials, {
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+      scope: connection.scope || EBAY_OAUTH_SCOPES.join(' ')
+    });
+
+    await pool.query(
+      `UPDATE ebay_connections
+       SET access_token = $1, token_expires_at = $2, updated_at = NOW()
+       WHERE user_id = $3`,
+      [encrypt(tokens.access_token, 'eBay access token'), new Date(now() + (tokens.expires_in || 0) * 1000), userId]
+    );
+
+    return tokens.access_token;
+  }
+
+  /**
+   * Get a usable access token for a user, refreshing it first when it is about to expire
+   * @param {string} userId
+   * @returns {Promise<string|null>} Access token, or null if the user has not connected eBay
+   */
+  async function getValidAccessToken(userId) {
+    const result = await pool.query(
+      'SELECT access_token, refresh_token, token_expires_at, scope FROM ebay_connections WHERE user_id = $1',
+      [userId]
+    );
+    const connection = result.rows[0];
+    if (!connection) return null;
+
+    const expiresAt = connection.token_expires_at ? new Date(connection.token_expires_at).getTime() : 0;
+    if (expiresAt - now() > TOKEN_REFRESH_MARGIN_MS) {
+      return decrypt(connection.access_token);
+    }
+
+    if (!pendingRefreshes.has(userId)) {
+      pendingRefreshes.set(
+        userId,
+        refreshConnection(userId, connection).finally(() => pendingRefreshes.delete(userId))
+      );
+    }
+    return pendingRefreshes.get(userId);
+  }
+
+  /**
+   * Remove a user's eBay connection
+   * @param {string} userId
+   */
+  async function disconnect(userId) {
+    const result = await pool.query('DELETE FROM ebay_connections WHERE user_id = $1 RETURNING ebay_user_id', [userId]);
+    await logEbaySync(pool, {
+      userId,
+      action: 'oauth_disconnect',
+      response: { removed: result.rows.length > 0 }
+    });
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Connection summary for the settings panel
+   * @param {string} userId
+   */
+  async function getStatus(userId) {
+    const [configured, result] = await Promise.all([
+      isConfigured(),
+      pool.query(
+        'SELECT ebay_user_id, connected_at, token_expires_at FROM ebay_connections WHERE user_id = $1',
+        [userId]
+      )
+    ]);
+    const connection = result.rows[0];
+
+    return {
+      configured,
+      connected: Boolean(connection),
+      ebayUserId: connection?.ebay_user_id || null,
+      connectedAt: connection?.connected_at || null,
+      tokenExpiresAt: connection?.token_expires_at || null
+    };
+  }
+
+  return {
+    isConfigured,
+    getAuthorizationUrl,
+    handleCallback,
+    getValidAccessToken,
+    disconnect,
+    getStatus
+  };
+}
+
+export default createEbayAuthService;
@@ -0,0 +1,138 @@
+/**
+ * eBay Client
+ * Publishes and withdraws fixed-price listings through the eBay Sell Inventory API.
+ * Use createEbayClient() to get the configured implementation; set EBAY_CLIENT=fake
+ * to swap in the in-memory FakeEbayClient for local development.
+ */
+
+import { logger } from '../../utils/logger.js';
+import { FakeEbayClient } from './fakeEbayClient.js';
+import { getEbayBaseUrls } from './config.js';
+
+// CCG Individual Cards; override with EBAY_CATEGORY_ID for a different category
+const DEFAULT_CATEGORY_ID = '183454';
+
+export class EbayClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.apiBaseUrl] - Defaults to the configured eBay API base URL
+   * @param {string} [options.itemBaseUrl] - Base for public listing URLs
+   * @param {string} [options.marketplaceId]
+   * @param {Object} [options.policies] - Business policy IDs for offers
+   */
+  constructor({
+    apiBaseUrl = getEbayBaseUrls().apiBaseUrl,
+    itemBaseUrl = getEbayBaseUrls().itemBaseUrl,
+    marketplaceId = process.env.EBAY_MARKETPLACE_ID || 'EBAY_US',
+    categoryId = process.env.EBAY_CATEGORY_ID || DEFAULT_CATEGORY_ID,
+    merchantLocationKey = process.env.EBAY_MERCHANT_LOCATION_KEY,
+    policies = {
+      fulfillmentPolicyId: process.env.EBAY_FULFILLMENT_POLICY_ID,
+      paymentPolicyId: process.env.EBAY_PAYMENT_POLICY_ID,
+      returnPolicyId: process.env.EBAY_RETURN_POLICY_ID
+    }
+  } = {}) {
+    this.requiresAuth = true;
+    this.baseUrl = apiBaseUrl;
+    this.itemBaseUrl = itemBaseUrl;
+    this.marketplaceId = marketplaceId;
+    this.categoryId = categoryId;
+    this.merchantLocationKey = merchantLocationKey;
+    this.policies = policies;
+  }
+
+  /**
+   * Make an authenticated request to the Sell Inventory API
+   */
+  async request(method, path, accessToken, body) {
+    const url = `${this.baseUrl}/sell/inventory/v1${path}`;
+
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+        'Content-Language': 'en-US'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    // inventory_item PUT returns 204 No Content
+    const text = await response.text();
+    const data = text ? JSON.parse(text) : {};
+
+    if (!response.ok) {
+      const message = data.errors?.[0]?.message || response.statusText;
+      logger.error(`eBay API request failed: ${method} ${path}`, { status: response.status, message });
+      throw new Error(`eBay API error: ${response.status} ${message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Create the inventory item and offer for a listing, then publish it
+   * @param {Object} params
+   * @param {string} params.accessToken - User OAuth token
+   * @param {string} params.sku - Stable SKU for this listing
+   * @param {Object} params.listing - Row from ebay_listings
+   * @returns {Promise<{offerId: string, listingId: string, listingUrl: string}>}
+   */
+  async publishListing({ accessToken, sku, listing }) {
+    const quantity = listing.quantity || 1;
+
+    await this.request('PUT', `/inventory_item/${encodeURIComponent(sku)}`, accessToken, {
+      availability: { shipToLocationAvailability: { quantity } },
+      condition: 'USED_EXCELLENT',
+      product: {
+        title: listing.title,
+        description: listing.description || listing.title,
+        imageUrls: listing.image_urls || []
+      }
+    });
+
+    const offer = await this.request('POST', '/offer', accessToken, {
+      sku,
+      marketplaceId: this.marketplaceId,
+      format: 'FIXED_PRICE',
+      availableQuantity: quantity,
+      categoryId: this.categoryId,
+      listingDescription: listing.description || listing.title,
+      merchantLocationKey: this.merchantLocationKey,
+      listingPolicies: this.policies,
+      pricingSummary: {
+        price: { value: String(listing.price), currency: 'USD' }
+      }
+    });
+
+    const published = await this.request('POST', `/offer/${offer.offerId}/publish`, accessToken);
+
+    return {
+      offerId: offer.offerId,
+      listingId: published.listingId,
+      listingUrl: `${this.itemBaseUrl}/${published.listingId}`
+    };
+  }
+
+  /**
+   * End a published listing
+   * @param {Object} params
+   * @param {string} params.accessToken
+   * @param {string} params.offerId
+   */
+  async withdrawListing({ accessToken, offerId }) {
+    return this.request('POST', `/offer/${offerId}/withdraw`, accessToken);
+  }
+}
+
+/**
+ * Create the eBay client selected by EBAY_CLIENT ('live' by default, or 'fake')
+ */
+export function createEbayClient(options = {}) {
+  if ((process.env.EBAY_CLIENT || '').toLowerCase() === 'fake') {
+    return new FakeEbayClient();
+  }
+  return new EbayClient(options);
+}
+
+export default createEbayClient;
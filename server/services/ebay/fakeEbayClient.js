@@ -0,0 +1,45 @@
+/**
+ * Fake eBay Client
+ * In-memory stand-in for EbayClient used in local development and tests.
+ * Listing and offer IDs are deterministic so test assertions stay stable.
+ */
+
+export class FakeEbayClient {
+  constructor() {
+    this.requiresAuth = false;
+    this.reset();
+  }
+
+  /**
+   * Clear all published offers and restart ID sequences
+   */
+  reset() {
+    this.offers = new Map();
+    this.nextId = 1;
+  }
+
+  async publishListing({ sku, listing }) {
+    const id = this.nextId++;
+    const offerId = `FAKE-OFFER-${id}`;
+    const listingId = `FAKE-LISTING-${id}`;
+
+    this.offers.set(offerId, { sku, listingId, listing, status: 'PUBLISHED' });
+
+    return {
+      offerId,
+      listingId,
+      listingUrl: `https://www.ebay.com/itm/${listingId}`
+    };
+  }
+
+  async withdrawListing({ offerId }) {
+    const offer = this.offers.get(offerId);
+    if (!offer) {
+      throw new Error(`Offer ${offerId} not found`);
+    }
+    offer.status = 'ENDED';
+    return { offerId, listingId: offer.listingId };
+  }
+}
+
+export default FakeEbayClient;
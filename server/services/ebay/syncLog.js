@@ -0,0 +1,42 @@
+/**
+ * eBay Sync Log
+ * Records every call made to eBay in ebay_sync_log for debugging and audit
+ */
+
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Write one entry to ebay_sync_log. Failures are logged and swallowed so
+ * a logging problem never masks the result of the eBay call itself.
+ * @param {Object} db - Database pool or transaction client
+ * @param {Object} entry
+ * @param {string} entry.userId
+ * @param {string} entry.action - e.g. 'publish', 'withdraw'
+ * @param {string} [entry.ebayListingId]
+ * @param {number} [entry.deckId]
+ * @param {Object} [entry.request]
+ * @param {Object} [entry.response]
+ * @param {string} [entry.error]
+ */
+export async function logEbaySync(db, { userId, action, ebayListingId = null, deckId = null, request = null, response = null, error = null }) {
+  try {
+    await db.query(
+      `INSERT INTO ebay_sync_log (user_id, action, ebay_listing_id, deck_id, request_payload, response_payload, error_message, success)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        userId,
+        action,
+        ebayListingId,
+        deckId,
+        request ? JSON.stringify(request) : null,
+        response ? JSON.stringify(response) : null,
+        error,
+        !error
+      ]
+    );
+  } catch (err) {
+    logger.warn('Failed to write eBay sync log', { action, error: err.message });
+  }
+}
+
+export default { logEbaySync };
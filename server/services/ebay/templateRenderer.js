@@ -0,0 +1,60 @@
+/**
+ * eBay Template Renderer
+ * Fills {placeholder} tokens in user-configurable listing templates
+ */
+
+export const EBAY_TITLE_MAX_LENGTH = 80;
+
+/**
+ * Build the placeholder values available to templates for a deck
+ * @param {Object} deck - Row from the decks table
+ * @param {Object} [extra] - Additional values such as theme
+ */
+export function buildTemplateContext(deck, extra = {}) {
+  const cards = Array.isArray(deck?.cards) ? deck.cards : [];
+  return {
+    commander: deck?.commander || '',
+    deckName: deck?.name || '',
+    format: deck?.format || '',
+    cardCount: cards.reduce((sum, c) => sum + (c.quantity || 1), 0),
+    theme: extra.theme || '',
+    ...extra
+  };
+}
+
+/**
+ * Replace {placeholder} tokens with context values.
+ * Unknown placeholders are left untouched. For titles, empty values collapse the
+ * surrounding " - " separator so they don't end up with "Atraxa -  - 100 Card";
+ * other templates keep their line breaks and "- " list items.
+ * @param {string} content - Template text
+ * @param {Object} context - Placeholder values
+ * @param {{maxLength?: number, title?: boolean}} [options]
+ */
+export function renderTemplate(content, context = {}, { maxLength, title = false } = {}) {
+  let rendered = String(content || '').replace(/\{(\w+)\}/g, (match, key) => {
+    if (!Object.prototype.hasOwnProperty.call(context, key)) return match;
+    const value = context[key];
+    return value === null || value === undefined ? '' : String(value);
+  });
+
+  if (title) {
+    rendered = rendered
+      .replace(/(\s*-\s*){2,}/g, ' - ')
+      .replace(/^\s*-\s*|\s*-\s*$/g, '')
+      .replace(/\s{2,}/g, ' ');
+  }
+  rendered = rendered.trim();
+
+  if (maxLength && rendered.length > maxLength) {
+    rendered = rendered.slice(0, maxLength).trim();
+  }
+
+  return rendered;
+}
+
+export default {
+  EBAY_TITLE_MAX_LENGTH,
+  buildTemplateContext,
+  renderTemplate
+};
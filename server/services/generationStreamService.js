@@ -0,0 +1,105 @@
+/**
+ * Generation Streams
+ * Runs long jobs (AI deck generation) detached from the request that started them and keeps
+ * every event they emit, so a client whose connection drops can reconnect by stream id and
+ * pick up after the last event it saw. Finished streams are kept for `ttlMs`, then forgotten.
+ * Streams live in this process only; a restart loses them.
+ *
+ * Events are numbered from 1. A stream starts with `started` { id } and ends with exactly one of
+ * `deck` (the job's result), `error` { error, statusCode, ... } or `cancelled`.
+ */
+
+import crypto from 'crypto';
+
+export const TERMINAL_EVENTS = ['deck', 'error', 'cancelled'];
+
+const DEFAULT_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * @param {{ttlMs?: number, createId?: Function}} [options]
+ */
+export function createGenerationStreams({ ttlMs = DEFAULT_TTL_MS, createId = () => crypto.randomUUID() } = {}) {
+  const streams = new Map();
+
+  function emit(stream, event, data) {
+    if (stream.done) return;
+    const entry = { id: stream.events.length + 1, event, data };
+    stream.events.push(entry);
+    if (TERMINAL_EVENTS.includes(event)) {
+      stream.done = true;
+      stream.finishedAt = Date.now();
+      setTimeout(() => streams.delete(stream.id), ttlMs).unref?.();
+    }
+    for (const listener of [...stream.listeners]) listener(entry);
+  }
+
+  /**
+   * Start a job. `run({ signal, emit })` resolves to the result sent as the `deck` event;
+   * `emit(event, data)` adds a progress event. A rejection becomes an `error` event.
+   * @returns {Object} The stream
+   */
+  function start(userId, run) {
+    const stream = {
+      id: createId(),
+      userId,
+      events: [],
+      listeners: new Set(),
+      controller: new AbortController(),
+      done: false,
+      startedAt: Date.now(),
+      finishedAt: null
+    };
+    streams.set(stream.id, stream);
+    emit(stream, 'started', { id: stream.id });
+
+    Promise.resolve()
+      .then(() => run({ signal: stream.controller.signal, emit: (event, data) => emit(stream, event, data) }))
+      .then(result => emit(stream, 'deck', result))
+      .catch(error => {
+        if (stream.controller.signal.aborted) return;
+        if (!error.statusCode) console.error('[AI-STREAM] Generation failed:', error);
+        emit(stream, 'error', {
+          error: error.statusCode ? error.message : 'Failed to generate deck',
+          statusCode: error.statusCode || 500,
+          ...(error.details || {})
+        });
+      });
+
+    return stream;
+  }
+
+  /**
+   * A user's stream, or null when it doesn't exist, has expired or belongs to someone else
+   */
+  function get(id, userId) {
+    const stream = streams.get(id);
+    return stream && stream.userId === userId ? stream : null;
+  }
+
+  /**
+   * Replay the events after `afterId`, then deliver new ones as they happen
+   * @returns {Function} Unsubscribe
+   */
+  function subscribe(stream, listener, afterId = 0) {
+    for (const entry of stream.events) {
+      if (entry.id > afterId) listener(entry);
+    }
+    if (stream.done) return () => {};
+    stream.listeners.add(listener);
+    return () => stream.listeners.delete(listener);
+  }
+
+  /**
+   * Abort a running stream's upstream calls; false if it had already finished
+   */
+  function cancel(stream) {
+    if (stream.done) return false;
+    stream.controller.abort();
+    emit(stream, 'cancelled', {});
+    return true;
+  }
+
+  return { start, get, subscribe, cancel };
+}
+
+export default { TERMINAL_EVENTS, createGenerationStreams };
@@ -0,0 +1,548 @@
+/**
+ * Import jobs
+ * Server-side file imports. An uploaded file is parsed into import_job_rows, rows are
+ * resolved against Scryfall through the rate-limited queue, a dry run shows which rows
+ * would add new inventory rows, merge into existing ones or couldn't be matched, and the
+ * commit runs in chunks of rows. Row status records the job's progress and each commit
+ * chunk is its own transaction, so an interrupted job carries on with the rows still
+ * pending. Functions take a db handle (pool or transaction client).
+ */
+
+import { parseImportFile } from '../utils/collectionCsvParser.js';
+import { scryfallServerClient } from '../utils/scryfallClient.server.js';
+import { itemAddedChanges, recordChanges } from './changeHistoryService.js';
+
+export const IMPORT_JOB_STATUSES = ['resolving', 'ready', 'committing', 'completed', 'failed', 'cancelled'];
+
+// Scryfall's /cards/collection takes at most 75 identifiers per request
+export const IMPORT_RESOLVE_CHUNK_SIZE = 75;
+export const IMPORT_COMMIT_CHUNK_SIZE = 200;
+
+const ROW_STATUSES = ['pending', 'resolved', 'unresolved', 'imported', 'skipped'];
+const ROW_INSERT_BATCH_SIZE = 1000;
+
+/**
+ * Error raised for jobs that are missing or in the wrong state, carrying an HTTP status for the route layer
+ */
+export class ImportJobError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ImportJobError';
+    this.statusCode = statusCode;
+  }
+}
+
+const parsePrice = (value) => {
+  const price = parseFloat(String(value ?? '').replace(/[$,]/g, ''));
+  return Number.isFinite(price) && price >= 0 ? price : null;
+};
+
+const truncate = (value, length) => (value ? String(value).slice(0, length) : null);
+
+function toJobRow(row, index) {
+  const valid = row.quantity > 0;
+  return {
+    row_number: index + 1,
+    name: truncate(row.name, 255),
+    set_code: truncate(row.set, 20),
+    set_name: truncate(row.set_name, 255),
+    collector_number: truncate(row.collector_number, 20),
+    quantity: row.quantity,
+    quality: row.condition,
+    foil: row.foil,
+    purchase_price: parsePrice(row.price),
+    scryfall_id: truncate(row.scryfall_id, 255),
+    status: valid ? 'pending' : 'skipped',
+    error: valid ? null : 'Quantity must be positive'
+  };
+}
+
+function toProgress(counts = {}) {
+  const progress = Object.fromEntries(ROW_STATUSES.map(status => [status, Number(counts[status] || 0)]));
+  progress.total = ROW_STATUSES.reduce((sum, status) => sum + progress[status], 0);
+  return progress;
+}
+
+function toImportJob(row, counts) {
+  return {
+    id: row.id,
+    title: row.title,
+    format: row.format,
+    folder: row.folder,
+    status: row.status,
+    error: row.error ?? null,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    progress: toProgress(counts)
+  };
+}
+
+const JOB_COLUMNS = 'id, user_id, title, format, folder, status, error, created_at, updated_at';
+
+async function loadJob(db, userId, jobId, { forUpdate = false } = {}) {
+  const result = await db.query(
+    `SELECT ${JOB_COLUMNS} FROM imports
+     WHERE id = $1 AND user_id = $2 AND format IS NOT NULL${forUpdate ? ' FOR UPDATE' : ''}`,
+    [jobId, userId]
+  );
+  if (!result.rows[0]) throw new ImportJobError('Import job not found', 404);
+  return result.rows[0];
+}
+
+async function countRows(db, jobId) {
+  const result = await db.query(
+    'SELECT status, COUNT(*)::int AS count FROM import_job_rows WHERE import_id = $1 GROUP BY status',
+    [jobId]
+  );
+  return Object.fromEntries(result.rows.map(row => [row.status, row.count]));
+}
+
+/**
+ * Parse an uploaded file and store it as a job waiting for Scryfall resolution
+ * @param {{fileName: string, content: string, format: string, folder: string}} upload
+ * @returns {Promise<Object>} The job
+ */
+export async function createImportJob(db, userId, { fileName, content, format = 'auto', folder = 'Uncategorized' }) {
+  const parsed = parseImportFile(content, format);
+  if (parsed.error) throw new ImportJobError(parsed.error);
+  if (parsed.rows.length === 0) throw new ImportJobError('No cards found in file');
+
+  const jobResult = await db.query(
+    `INSERT INTO imports (title, card_list, source, status, format, folder, user_id, created_at, updated_at)
+     VALUES ($1, $2, 'other', 'resolving', $3, $4, $5, NOW(), NOW())
+     RETURNING ${JOB_COLUMNS}`,
+    [fileName, content, parsed.format, folder, userId]
+  );
+  const job = jobResult.rows[0];
+
+  const rows = parsed.rows.map(toJobRow);
+  for (let i = 0; i < rows.length; i += ROW_INSERT_BATCH_SIZE) {
+    await db.query(`
+      INSERT INTO import_job_rows (
+        import_id, row_number, name, set_code, set_name, collector_number, quantity, quality, foil, purchase_price, scryfall_id, status, error
+      )
+      SELECT $1, r.row_number, r.name, r.set_code, r.set_name, r.collector_number, r.quantity, r.quality, r.foil,
+             r.purchase_price, r.scryfall_id, r.status, r.error
+      FROM jsonb_to_recordset($2::jsonb) AS r(
+        row_number INTEGER, name VARCHAR, set_code VARCHAR, set_name VARCHAR, collector_number VARCHAR, quantity INTEGER,
+        quality VARCHAR, foil BOOLEAN, purchase_price REAL, scryfall_id VARCHAR, status VARCHAR, error TEXT
+      )
+    `, [job.id, JSON.stringify(rows.slice(i, i + ROW_INSERT_BATCH_SIZE))]);
+  }
+
+  const counts = {};
+  for (const row of rows) counts[row.status] = (counts[row.status] || 0) + 1;
+  return toImportJob(job, counts);
+}
+
+/**
+ * A user's import jobs, newest first
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listImportJobs(db, userId, { limit = 20 } = {}) {
+  const result = await db.query(
+    `SELECT j.id, j.title, j.format, j.folder, j.status, j.error, j.created_at, j.updated_at,
+            COALESCE((
+              SELECT jsonb_object_agg(c.status, c.count)
+              FROM (SELECT status, COUNT(*)::int AS count FROM import_job_rows WHERE import_id = j.id GROUP BY status) c
+            ), '{}'::jsonb) AS counts
+     FROM imports j
+     WHERE j.user_id = $1 AND j.format IS NOT NULL
+     ORDER BY j.created_at DESC, j.id DESC
+     LIMIT $2`,
+    [userId, limit]
+  );
+  return result.rows.map(row => toImportJob(row, row.counts));
+}
+
+/**
+ * One import job with its progress
+ * @returns {Promise<Object>}
+ */
+export async function getImportJob(db, userId, jobId) {
+  const job = await loadJob(db, userId, jobId);
+  return toImportJob(job, await countRows(db, jobId));
+}
+
+// An import row merges into an inventory row in the job's folder with the same card,
+// printing, finish, condition and cost. $2 is the user, $3 the job's folder.
+const MERGE_MATCH = `
+  i.user_id = $2
+  AND COALESCE(i.folder, 'Uncategorized') = $3
+  AND LOWER(i.name) = LOWER(r.name)
+  AND UPPER(COALESCE(i.set, '')) = UPPER(COALESCE(r.set_code, ''))
+  AND COALESCE(i.foil, false) = r.foil
+  AND COALESCE(i.quality, 'NM') = r.quality
+  AND i.purchase_price IS NOT DISTINCT FROM r.purchase_price`;
+
+// Same comparison as MERGE_MATCH, for rows of one file merging into each other
+const mergeKey = (row) => [
+  row.name.toLowerCase(),
+  (row.set_code || '').toUpperCase(),
+  Boolean(row.foil),
+  row.quality,
+  row.purchase_price === null || row.purchase_price === undefined ? '' : Number(row.purchase_price)
+].join('|');
+
+function toDiffRow(row) {
+  return {
+    row_number: row.row_number,
+    name: row.name,
+    set_code: row.set_code,
+    set_name: row.set_name,
+    quantity: row.quantity,
+    quality: row.quality,
+    foil: row.foil,
+    purchase_price: row.purchase_price,
+    scryfall_id: row.scryfall_id,
+    error: row.error ?? null
+  };
+}
+
+/**
+ * Dry run of committing a job: rows that would become new inventory rows, rows that would
+ * merge into an existing row (or an earlier row of the same file), and rows left out
+ * @returns {Promise<{job, summary, new, merges, unresolved, skipped}>}
+ */
+export async function getImportJobDiff(db, userId, jobId) {
+  const job = await loadJob(db, userId, jobId);
+  if (job.status === 'resolving') throw new ImportJobError('Cards are still being resolved', 409);
+
+  const result = await db.query(
+    `SELECT r.*, m.id AS match_id, m.quantity AS match_quantity
+     FROM import_job_rows r
+     LEFT JOIN LATERAL (
+       SELECT i.id, i.quantity FROM inventory i
+       WHERE ${MERGE_MATCH}
+       ORDER BY i.id
+       LIMIT 1
+     ) m ON true
+     WHERE r.import_id = $1
+     ORDER BY r.row_number`,
+    [jobId, userId, job.folder]
+  );
+
+  const diff = { new: [], merges: [], unresolved: [], skipped: [] };
+  const firstNewRow = new Map();
+  let imported = 0;
+
+  for (const row of result.rows) {
+    if (row.status === 'imported') {
+      imported++;
+    } else if (row.status === 'skipped') {
+      diff.skipped.push(toDiffRow(row));
+    } else if (row.status === 'unresolved') {
+      diff.unresolved.push(toDiffRow(row));
+    } else if (row.match_id) {
+      diff.merges.push({ ...toDiffRow(row), inventory_id: row.match_id, current_quantity: row.match_quantity });
+    } else {
+      const key = mergeKey(row);
+      if (firstNewRow.has(key)) {
+        diff.merges.push({ ...toDiffRow(row), merges_into_row: firstNewRow.get(key) });
+      } else {
+        firstNewRow.set(key, row.row_number);
+        diff.new.push(toDiffRow(row));
+      }
+    }
+  }
+
+  const cards = (rows) => rows.reduce((sum, row) => sum + row.quantity, 0);
+  return {
+    job: toImportJob(job, await countRows(db, jobId)),
+    summary: {
+      newRows: diff.new.length,
+      mergeRows: diff.merges.length,
+      unresolvedRows: diff.unresolved.length,
+      skippedRows: diff.skipped.length,
+      importedRows: imported,
+      cardsToAdd: cards(diff.new) + cards(diff.merges)
+    },
+    ...diff
+  };
+}
+
+// Scryfall identifier for a row: its Scryfall ID when the file had one, else name and set
+function toIdentifier(row) {
+  if (row.scryfall_id) return { id: row.scryfall_id };
+  if (row.set_code) return { name: row.name, set: row.set_code.toLowerCase() };
+  return { name: row.name };
+}
+
+function findResolvedCard(row, cards) {
+  if (row.scryfall_id) {
+    const byId = cards.find(card => card.scryfall_id === row.scryfall_id);
+    if (byId) return byId;
+  }
+  const name = row.name.toLowerCase().trim();
+  const set = (row.set_code || '').toLowerCase();
+  return cards.find(card => {
+    const cardName = (card.name || '').toLowerCase();
+    // Double-faced cards come back as "Front // Back"
+    const sameName = cardName === name || cardName.startsWith(`${name} // `);
+    return sameName && (!set || (card.set || '').toLowerCase() === set);
+  }) || null;
+}
+
+/**
+ * Resolve the next chunk of a job's pending rows against Scryfall. When none are left the
+ * job moves on to 'ready' for its dry run.
+ * @param {{resolver?, chunkSize?}} options - resolver provides batchResolve (scryfallServerClient)
+ * @returns {Promise<number>} Rows resolved in this chunk; 0 when there's nothing more to do
+ */
+export async function resolveImportChunk(db, jobId, { resolver = scryfallServerClient, chunkSize = IMPORT_RESOLVE_CHUNK_SIZE } = {}) {
+  const jobResult = await db.query('SELECT status FROM imports WHERE id = $1', [jobId]);
+  if (jobResult.rows[0]?.status !== 'resolving') return 0;
+
+  const pending = await db.query(
+    `SELECT id, name, set_code, scryfall_id FROM import_job_rows
+     WHERE import_id = $1 AND status = 'pending'
+     ORDER BY row_number
+     LIMIT $2`,
+    [jobId, chunkSize]
+  );
+  if (pending.rows.length === 0) {
+    await db.query(`UPDATE imports SET status = 'ready', updated_at = NOW() WHERE id = $1 AND status = 'resolving'`, [jobId]);
+    return 0;
+  }
+
+  const identifiers = [...new Map(pending.rows.map(row => {
+    const identifier = toIdentifier(row);
+    return [JSON.stringify(identifier), identifier];
+  })).values()];
+  const resolved = await resolver.batchResolve(identifiers);
+  const cards = Object.values(resolved || {}).filter(Boolean);
+
+  const updates = pending.rows.map(row => {
+    const card = findResolvedCard(row, cards);
+    if (!card) return { id: row.id, status: 'unresolved', error: 'No Scryfall match' };
+    return {
+      id: row.id,
+      status: 'resolved',
+      // Without a set in the file Scryfall picks a printing, so its set isn't recorded
+      set_name: row.set_code ? card.set_name : null,
+      scryfall_id: card.scryfall_id,
+      image_url: card.image_uris?.normal || null,
+      error: null
+    };
+  });
+
+  await db.query(`
+    UPDATE import_job_rows r
+    SET status = u.status,
+        set_name = COALESCE(r.set_name, u.set_name),
+        scryfall_id = COALESCE(u.scryfall_id, r.scryfall_id),
+        image_url = u.image_url,
+        error = u.error
+    FROM jsonb_to_recordset($1::jsonb) AS u(id INTEGER, status VARCHAR, set_name VARCHAR, scryfall_id VARCHAR, image_url TEXT, error TEXT)
+    WHERE r.id = u.id AND r.status = 'pending'
+  `, [JSON.stringify(updates)]);
+  await db.query('UPDATE imports SET updated_at = NOW() WHERE id = $1', [jobId]);
+
+  return pending.rows.length;
+}
+
+/**
+ * Start committing a job after its dry run. Unresolved rows are skipped unless included,
+ * in which case they're imported without a Scryfall ID like the browser importer does.
+ * @returns {Promise<Object>} The job
+ */
+export async function startImportCommit(db, userId, jobId, { includeUnresolved = false } = {}) {
+  const job = await loadJob(db, userId, jobId, { forUpdate: true });
+  if (job.status === 'resolving') throw new ImportJobError('Cards are still being resolved', 409);
+  if (job.status !== 'ready') throw new ImportJobError(`Import job is ${job.status}`, 409);
+
+  if (!includeUnresolved) {
+    await db.query(`UPDATE import_job_rows SET status = 'skipped' WHERE import_id = $1 AND status = 'unresolved'`, [jobId]);
+  }
+  const updated = await db.query(
+    `UPDATE imports SET status = 'committing', error = NULL, updated_at = NOW() WHERE id = $1 RETURNING ${JOB_COLUMNS}`,
+    [jobId]
+  );
+  return toImportJob(updated.rows[0], await countRows(db, jobId));
+}
+
+// Add one resolved row to inventory, merging into a matching row when there is one
+async function addImportRow(client, job, row) {
+  const match = await client.query(
+    `SELECT i.* FROM inventory i
+     JOIN import_job_rows r ON r.id = $1
+     WHERE ${MERGE_MATCH}
+     ORDER BY i.id
+     LIMIT 1
+     FOR UPDATE OF i`,
+    [row.id, job.user_id, job.folder]
+  );
+  const context = { importId: job.id };
+
+  if (match.rows[0]) {
+    const before = match.rows[0];
+    const merged = await client.query(
+      'UPDATE inventory SET quantity = COALESCE(quantity, 0) + $1 WHERE id = $2 RETURNING *',
+      [row.quantity, before.id]
+    );
+    const item = merged.rows[0];
+    return {
+      item,
+      merged: true,
+      changes: [{ cardId: item.id, cardName: item.name, field: 'quantity', oldValue: before.quantity, newValue: item.quantity, action: 'import', context }]
+    };
+  }
+
+  const inserted = await client.query(
+    `INSERT INTO inventory (user_id, name, set, set_name, quantity, purchase_price, reorder_type, image_url, scryfall_id, folder, foil, quality, printing_id, oracle_id, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, 'normal', $7, $8, $9, $10, $11,
+       (SELECT p.id FROM printings p WHERE p.scryfall_id = $8),
+       (SELECT c.oracle_id FROM printings p JOIN cards c ON c.id = p.card_id WHERE p.scryfall_id = $8),
+       NOW())
+     RETURNING *`,
+    [
+      job.user_id, row.name, row.set_code || null, row.set_name || null, row.quantity, row.purchase_price,
+      row.image_url || null, row.scryfall_id || null, job.folder, row.foil, row.quality
+    ]
+  );
+  const item = inserted.rows[0];
+  return { item, merged: false, changes: itemAddedChanges(item, 'import', context) };
+}
+
+/**
+ * Commit the next chunk of a job's rows in one transaction. When none are left the job
+ * is completed.
+ * @param {Object} pool - Needs connect(); each chunk runs on its own client
+ * @returns {Promise<number>} Rows committed in this chunk; 0 when there's nothing more to do
+ */
+export async function commitImportChunk(pool, jobId, { chunkSize = IMPORT_COMMIT_CHUNK_SIZE } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Locking the job keeps two runners from committing the same rows
+    const jobResult = await client.query('SELECT id, user_id, folder, status FROM imports WHERE id = $1 FOR UPDATE', [jobId]);
+    const job = jobResult.rows[0];
+    if (job?.status !== 'committing') {
+      await client.query('ROLLBACK');
+      return 0;
+    }
+
+    const rowsResult = await client.query(
+      `SELECT * FROM import_job_rows
+       WHERE import_id = $1 AND status IN ('resolved', 'unresolved')
+       ORDER BY row_number
+       LIMIT $2`,
+      [jobId, chunkSize]
+    );
+    if (rowsResult.rows.length === 0) {
+      await client.query(`UPDATE imports SET status = 'completed', updated_at = NOW() WHERE id = $1`, [jobId]);
+      await client.query('COMMIT');
+      return 0;
+    }
+
+    const changes = [];
+    const committed = [];
+    for (const row of rowsResult.rows) {
+      const { item, merged, changes: rowChanges } = await addImportRow(client, job, row);
+      changes.push(...rowChanges);
+      committed.push({ id: row.id, inventory_id: item.id, merged });
+
+      // Record PURCHASE transaction for analytics
+      if (row.purchase_price) {
+        await client.query(
+          `INSERT INTO inventory_transactions (card_name, transaction_type, quantity, purchase_price, transaction_date, user_id)
+           VALUES ($1, $2, $3, $4, CURRENT_DATE, $5)`,
+          [row.name, 'PURCHASE', row.quantity, row.purchase_price, job.user_id]
+        );
+      }
+    }
+
+    await recordChanges(client, job.user_id, changes);
+    await client.query(`
+      UPDATE import_job_rows r
+      SET status = 'imported', inventory_id = c.inventory_id, merged = c.merged, error = NULL
+      FROM jsonb_to_recordset($1::jsonb) AS c(id INTEGER, inventory_id INTEGER, merged BOOLEAN)
+      WHERE r.id = c.id
+    `, [JSON.stringify(committed)]);
+    await client.query('UPDATE imports SET updated_at = NOW() WHERE id = $1', [jobId]);
+
+    await client.query('COMMIT');
+    return rowsResult.rows.length;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(rollbackError => {
+      console.error('[IMPORT-JOB] ROLLBACK failed:', rollbackError.message);
+    });
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Mark a running job as failed. Its rows keep their status, so resuming carries on from there.
+ */
+export async function failImportJob(db, jobId, message) {
+  await db.query(
+    `UPDATE imports SET status = 'failed', error = $2, updated_at = NOW()
+     WHERE id = $1 AND status IN ('resolving', 'committing')`,
+    [jobId, message]
+  );
+}
+
+/**
+ * Put a failed job back to the stage it failed in: resolving while rows are still pending,
+ * committing otherwise
+ * @returns {Promise<Object>} The job
+ */
+export async function resumeImportJob(db, userId, jobId) {
+  const job = await loadJob(db, userId, jobId, { forUpdate: true });
+  if (job.status !== 'failed') throw new ImportJobError(`Only failed import jobs can be resumed (this one is ${job.status})`, 409);
+
+  const counts = await countRows(db, jobId);
+  const status = counts.pending ? 'resolving' : 'committing';
+  const updated = await db.query(
+    `UPDATE imports SET status = $2, error = NULL, updated_at = NOW() WHERE id = $1 RETURNING ${JOB_COLUMNS}`,
+    [jobId, status]
+  );
+  return toImportJob(updated.rows[0], counts);
+}
+
+/**
+ * Stop a job. Rows already committed stay in inventory.
+ * @returns {Promise<Object>} The job
+ */
+export async function cancelImportJob(db, userId, jobId) {
+  const job = await loadJob(db, userId, jobId, { forUpdate: true });
+  if (job.status === 'completed' || job.status === 'cancelled') {
+    throw new ImportJobError(`Import job is already ${job.status}`, 409);
+  }
+
+  const updated = await db.query(
+    `UPDATE imports SET status = 'cancelled', updated_at = NOW() WHERE id = $1 RETURNING ${JOB_COLUMNS}`,
+    [jobId]
+  );
+  return toImportJob(updated.rows[0], await countRows(db, jobId));
+}
+
+/**
+ * Jobs a previous server process left resolving or committing
+ * @returns {Promise<Array<number>>} Job ids
+ */
+export async function listInterruptedImportJobs(db) {
+  const result = await db.query(
+    `SELECT id FROM imports WHERE format IS NOT NULL AND status IN ('resolving', 'committing') ORDER BY id`
+  );
+  return result.rows.map(row => row.id);
+}
+
+export default {
+  IMPORT_JOB_STATUSES,
+  ImportJobError,
+  createImportJob,
+  listImportJobs,
+  getImportJob,
+  getImportJobDiff,
+  resolveImportChunk,
+  startImportCommit,
+  commitImportChunk,
+  failImportJob,
+  resumeImportJob,
+  cancelImportJob,
+  listInterruptedImportJobs
+};
@@ -0,0 +1,283 @@
+import crypto from 'crypto';
+import {
+  sameFieldValue,
+  itemAddedChanges,
+  itemDeletedChanges,
+  recordChanges
+} from './changeHistoryService.js';
+
+/**
+ * Bulk inventory operations
+ * Applies one operation (move, set condition, set foil, adjust quantity, trash or delete)
+ * to many inventory rows and stores what it changed under an undo token, so the whole
+ * operation can be reversed in one step. Functions take a db handle; routes run them in a
+ * transaction so a failure part-way leaves nothing changed.
+ */
+
+export const UNDO_TOKEN_TTL_HOURS = 24;
+
+// The inventory column each field-setting operation writes
+const OPERATION_FIELDS = {
+  move: 'folder',
+  trash: 'folder',
+  setCondition: 'quality',
+  setFoil: 'foil',
+  adjustQuantity: 'quantity'
+};
+
+// Column types for reading values back out of a JSON parameter
+const FIELD_TYPES = { folder: 'VARCHAR', quality: 'VARCHAR', foil: 'BOOLEAN', quantity: 'INTEGER' };
+
+/**
+ * Error raised for operations that can't be applied or undone, carrying an HTTP status for the route layer
+ */
+export class InventoryBulkError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'InventoryBulkError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * The value an operation writes to an item's field
+ */
+export function bulkFieldValue(operation, item) {
+  switch (operation.type) {
+    case 'move': return operation.folder;
+    case 'trash': return 'Trash';
+    case 'setCondition': return operation.quality;
+    case 'setFoil': return operation.foil;
+    case 'adjustQuantity': return Number(item.quantity || 0) + operation.delta;
+    default: throw new InventoryBulkError(`Unknown bulk operation: ${operation.type}`);
+  }
+}
+
+const listNames = (items) => {
+  const names = [...new Set(items.map(item => item.name))];
+  return names.length > 5 ? `${names.slice(0, 5).join(', ')} and ${names.length - 5} more` : names.join(', ');
+};
+
+async function lockItems(db, userId, ids) {
+  const result = await db.query(
+    `SELECT i.*,
+            COALESCE((SELECT SUM(dr.quantity_reserved) FROM deck_reservations dr WHERE dr.inventory_item_id = i.id), 0)::int
+              AS reserved_quantity
+     FROM inventory i
+     WHERE i.id = ANY($1::int[]) AND i.user_id = $2
+     ORDER BY i.id
+     FOR UPDATE`,
+    [ids, userId]
+  );
+  return result.rows;
+}
+
+async function writeField(db, userId, field, values) {
+  // field comes from OPERATION_FIELDS, so it is safe to interpolate
+  const result = await db.query(
+    `UPDATE inventory i SET ${field} = r.value
+     FROM jsonb_to_recordset($1::jsonb) AS r(id INTEGER, value ${FIELD_TYPES[field]})
+     WHERE i.id = r.id AND i.user_id = $2
+     RETURNING i.*`,
+    [JSON.stringify(values), userId]
+  );
+  return result.rows;
+}
+
+async function updateItems(db, userId, items, operation) {
+  const field = OPERATION_FIELDS[operation.type];
+  const targets = items.map(item => ({ item, value: bulkFieldValue(operation, item) }));
+
+  if (field === 'quantity') {
+    const short = targets.filter(({ item, value }) => value < item.reserved_quantity || value < 0);
+    if (short.length > 0) {
+      throw new InventoryBulkError(
+        `Not enough unreserved copies to remove ${-operation.delta} from: ${listNames(short.map(t => t.item))}`,
+        409
+      );
+    }
+  }
+
+  const changed = targets.filter(({ item, value }) => !sameFieldValue(field, item[field], value));
+  if (changed.length === 0) return { items: [], undo: null };
+
+  const updated = await writeField(db, userId, field, changed.map(({ item, value }) => ({ id: item.id, value })));
+
+  await recordChanges(db, userId, changed.map(({ item, value }) => ({
+    cardId: item.id,
+    cardName: item.name,
+    field,
+    oldValue: item[field],
+    newValue: value,
+    action: 'update',
+    context: { bulkOperation: operation.type }
+  })));
+
+  return {
+    items: updated,
+    undo: {
+      field,
+      items: changed.map(({ item, value }) => ({ id: item.id, name: item.name, before: item[field] ?? null, after: value }))
+    }
+  };
+}
+
+async function deleteItems(db, userId, items) {
+  const ids = items.map(item => item.id);
+  // Deleting cascades to these, so keep them to put back on undo
+  const reservations = await db.query('SELECT * FROM deck_reservations WHERE inventory_item_id = ANY($1::int[]) ORDER BY id', [ids]);
+  const containerItems = await db.query('SELECT * FROM container_items WHERE inventory_id = ANY($1::int[]) ORDER BY id', [ids]);
+
+  let deleted;
+  try {
+    deleted = await db.query('DELETE FROM inventory WHERE id = ANY($1::int[]) AND user_id = $2 RETURNING *', [ids, userId]);
+  } catch (error) {
+    // purchase_history rows restrict deletes
+    if (error.code === '23503') {
+      throw new InventoryBulkError('Some of these cards have purchase history and can\'t be deleted', 409);
+    }
+    throw error;
+  }
+
+  await recordChanges(db, userId, deleted.rows.flatMap(item => itemDeletedChanges(item, { bulkOperation: 'delete' })));
+
+  return {
+    items: deleted.rows,
+    undo: { items: deleted.rows, reservations: reservations.rows, containerItems: containerItems.rows }
+  };
+}
+
+async function createUndoToken(db, userId, operation, payload) {
+  await db.query('DELETE FROM inventory_undo_tokens WHERE user_id = $1 AND expires_at < NOW()', [userId]);
+  const result = await db.query(
+    `INSERT INTO inventory_undo_tokens (token, user_id, operation, payload, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(hours => $5))
+     RETURNING token, expires_at`,
+    [crypto.randomBytes(24).toString('base64url'), userId, operation, JSON.stringify(payload), UNDO_TOKEN_TTL_HOURS]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Apply one operation to many of a user's inventory rows
+ * @param {{ids: number[], operation: {type: string, folder?, quality?, foil?, delta?}}} request - Parsed bulkInventorySchema
+ * @returns {Promise<{operation: string, count: number, items: Array<Object>, undoToken: string|null, undoExpiresAt: Date|null}>}
+ *   items are the rows after the change (or the deleted rows); no token is issued when nothing changed
+ */
+export async function applyBulkOperation(db, userId, { ids, operation }) {
+  const items = await lockItems(db, userId, ids);
+  const found = new Set(items.map(item => item.id));
+  const missing = ids.filter(id => !found.has(id));
+  if (missing.length > 0) {
+    throw new InventoryBulkError(`Inventory items not found: ${missing.join(', ')}`, 404);
+  }
+
+  const result = operation.type === 'delete'
+    ? await deleteItems(db, userId, items)
+    : await updateItems(db, userId, items, operation);
+  const token = result.undo ? await createUndoToken(db, userId, operation.type, result.undo) : null;
+
+  return {
+    operation: operation.type,
+    count: result.items.length,
+    items: result.items,
+    undoToken: token?.token ?? null,
+    undoExpiresAt: token?.expires_at ?? null
+  };
+}
+
+async function restoreFields(db, userId, operation, { field, items }) {
+  const current = await db.query(
+    `SELECT id, name, ${field} FROM inventory WHERE id = ANY($1::int[]) AND user_id = $2 ORDER BY id FOR UPDATE`,
+    [items.map(item => item.id), userId]
+  );
+  const byId = new Map(current.rows.map(row => [row.id, row]));
+
+  // Refuse if anything was edited since, so undo can't overwrite newer changes
+  const stale = items.filter(item => !byId.has(item.id) || !sameFieldValue(field, byId.get(item.id)[field], item.after));
+  if (stale.length > 0) {
+    throw new InventoryBulkError(`Some cards have changed since, so this can't be undone: ${listNames(stale)}`, 409);
+  }
+
+  const restored = await writeField(db, userId, field, items.map(item => ({ id: item.id, value: item.before })));
+  await recordChanges(db, userId, items.map(item => ({
+    cardId: item.id,
+    cardName: item.name,
+    field,
+    oldValue: item.after,
+    newValue: item.before,
+    action: 'revert',
+    context: { undoneBulkOperation: operation }
+  })));
+  return restored;
+}
+
+async function restoreDeleted(db, userId, { items, reservations, containerItems }) {
+  // Rows go back with their original ids so anything still pointing at them lines up again
+  const restored = await db.query(
+    `INSERT INTO inventory
+     SELECT * FROM jsonb_populate_recordset(NULL::inventory, $1::jsonb)
+     RETURNING *`,
+    [JSON.stringify(items)]
+  );
+  if (reservations.length > 0) {
+    await db.query(
+      `INSERT INTO deck_reservations
+       SELECT r.* FROM jsonb_populate_recordset(NULL::deck_reservations, $1::jsonb) AS r
+       WHERE EXISTS (SELECT 1 FROM decks d WHERE d.id = r.deck_id)`,
+      [JSON.stringify(reservations)]
+    );
+  }
+  if (containerItems.length > 0) {
+    await db.query(
+      `INSERT INTO container_items
+       SELECT c.* FROM jsonb_populate_recordset(NULL::container_items, $1::jsonb) AS c
+       WHERE EXISTS (SELECT 1 FROM containers ct WHERE ct.id = c.container_id)`,
+      [JSON.stringify(containerItems)]
+    );
+  }
+
+  await recordChanges(db, userId, restored.rows.flatMap(item => itemAddedChanges(item, 'create', { undoneBulkOperation: 'delete' })));
+  return restored.rows;
+}
+
+/**
+ * Reverse a bulk operation. Each token can be used once, until it expires.
+ * @returns {Promise<{operation: string, count: number, items: Array<Object>}>} Rows as they are after the undo
+ */
+export async function undoBulkOperation(db, userId, undoToken) {
+  const tokenResult = await db.query(
+    `SELECT *, expires_at < NOW() AS expired FROM inventory_undo_tokens
+     WHERE token = $1 AND user_id = $2
+     FOR UPDATE`,
+    [undoToken, userId]
+  );
+  const token = tokenResult.rows[0];
+  if (!token) throw new InventoryBulkError('Undo token not found', 404);
+  if (token.used_at) throw new InventoryBulkError('This operation has already been undone', 409);
+  if (token.expired) throw new InventoryBulkError('Undo token has expired', 410);
+
+  let items;
+  try {
+    items = token.operation === 'delete'
+      ? await restoreDeleted(db, userId, token.payload)
+      : await restoreFields(db, userId, token.operation, token.payload);
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new InventoryBulkError('Some of the deleted cards have already been restored', 409);
+    }
+    throw error;
+  }
+
+  await db.query('UPDATE inventory_undo_tokens SET used_at = NOW() WHERE token = $1', [undoToken]);
+
+  return { operation: token.operation, count: items.length, items };
+}
+
+export default {
+  UNDO_TOKEN_TTL_HOURS,
+  InventoryBulkError,
+  bulkFieldValue,
+  applyBulkOperation,
+  undoBulkOperation
+};
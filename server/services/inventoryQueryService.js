@@ -0,0 +1,263 @@
+/**
+ * Inventory query
+ * Filtered, sorted, cursor-paginated inventory grouped by card name, the same shape
+ * the inventory views build client-side. Sort keys match src/utils/sortCards.js and
+ * the first page carries facet counts for the filter bar.
+ */
+
+// Group-level sort expressions over the filtered rows. Each is compared as `cast` when
+// paging so the cursor's text value round-trips exactly.
+const SORT_EXPRESSIONS = {
+  name: { expr: 'LOWER(name)', cast: 'text' },
+  price: { expr: 'AVG(COALESCE(purchase_price, 0))::float8', cast: 'float8' },
+  quantity: { expr: 'SUM(COALESCE(quantity, 0))::int', cast: 'int' },
+  // sortCards uses the first item's set code
+  set: { expr: "(ARRAY_AGG(LOWER(COALESCE(set, '')) ORDER BY id))[1]", cast: 'text' },
+  dateAdded: { expr: "COALESCE(MAX(created_at), 'epoch'::timestamp)", cast: 'timestamp' }
+};
+
+// Color identity as the client's getColorKey builds it: WUBRG order, 'C' when empty
+const COLOR_KEY_SQL = `CASE
+  WHEN c.color_identity IS NULL THEN NULL
+  WHEN cardinality(c.color_identity) = 0 THEN 'C'
+  ELSE array_to_string(ARRAY(
+    SELECT ci FROM unnest(c.color_identity) AS ci ORDER BY array_position(ARRAY['W','U','B','R','G'], ci)
+  ), '')
+END`;
+
+/**
+ * Error raised for malformed cursors, carrying an HTTP status for the route layer
+ */
+export class InventoryQueryError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'InventoryQueryError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Opaque cursor for the position after a card group. It records the sort it was made
+ * for so it can't be replayed against a different ordering.
+ */
+export function encodeCursor({ sort, direction, value, name }) {
+  return Buffer.from(JSON.stringify({ s: sort, d: direction, v: value, n: name })).toString('base64url');
+}
+
+export function decodeCursor(cursor, sort, direction) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new InventoryQueryError('Invalid cursor');
+  }
+  if (!parsed || typeof parsed.n !== 'string' || typeof parsed.v !== 'string') {
+    throw new InventoryQueryError('Invalid cursor');
+  }
+  if (parsed.s !== sort || parsed.d !== direction) {
+    throw new InventoryQueryError('Cursor was created for a different sort');
+  }
+  return { value: parsed.v, name: parsed.n };
+}
+
+/**
+ * WHERE conditions and parameters for the row-level filters. $1 is always the user id.
+ */
+export function buildInventoryFilters(userId, filters = {}) {
+  const params = [userId];
+  const conditions = ['i.user_id = $1'];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (filters.search) {
+    conditions.push(`i.name ILIKE ${param(`%${filters.search}%`)}`);
+  }
+  if (filters.folder) {
+    conditions.push(`COALESCE(i.folder, 'Uncategorized') = ${param(filters.folder)}`);
+  }
+  if (filters.excludeFolder) {
+    conditions.push(`COALESCE(i.folder, 'Uncategorized') <> ${param(filters.excludeFolder)}`);
+  }
+  if (filters.set) {
+    conditions.push(`LOWER(i.set) = LOWER(${param(filters.set)})`);
+  }
+  if (filters.foil !== undefined) {
+    conditions.push(`COALESCE(i.foil, false) = ${param(filters.foil)}`);
+  }
+  if (filters.quality?.length) {
+    conditions.push(`COALESCE(i.quality, 'NM') = ANY(${param(filters.quality)}::text[])`);
+  }
+  if (filters.colors?.length) {
+    conditions.push(`(${COLOR_KEY_SQL}) = ANY(${param(filters.colors)}::text[])`);
+  }
+  if (filters.type) {
+    conditions.push(`c.type_line ILIKE ${param(`%${filters.type}%`)}`);
+  }
+  if (filters.minPrice !== undefined) {
+    conditions.push(`COALESCE(i.purchase_price, 0) >= ${param(filters.minPrice)}`);
+  }
+  if (filters.maxPrice !== undefined) {
+    conditions.push(`COALESCE(i.purchase_price, 0) <= ${param(filters.maxPrice)}`);
+  }
+  if (filters.status === 'reserved') {
+    conditions.push('COALESCE(r.reserved, 0) > 0');
+  } else if (filters.status === 'available') {
+    conditions.push('COALESCE(i.quantity, 0) - COALESCE(r.reserved, 0) > 0');
+  } else if (filters.status === 'inStock') {
+    conditions.push('COALESCE(i.quantity, 0) > 0');
+  }
+
+  return { conditions, params, param };
+}
+
+/**
+ * The filtered rows as a CTE body, with reservations and catalog data attached
+ */
+function filteredRowsSql(conditions) {
+  return `
+    SELECT i.id, i.name, i.set, i.set_name, i.quantity, i.purchase_price, i.purchase_date,
+           i.reorder_type, i.image_url, i.scryfall_id, i.folder, i.created_at,
+           i.foil, i.quality, i.oracle_id,
+           COALESCE(r.reserved, 0)::int AS reserved_quantity,
+           c.type_line, c.color_identity,
+           ${COLOR_KEY_SQL} AS color_key
+    FROM inventory i
+    LEFT JOIN (
+      SELECT dr.inventory_item_id, SUM(dr.quantity_reserved) AS reserved
+      FROM deck_reservations dr
+      JOIN inventory ri ON ri.id = dr.inventory_item_id AND ri.user_id = $1
+      GROUP BY dr.inventory_item_id
+    ) r ON r.inventory_item_id = i.id
+    LEFT JOIN cards c ON c.oracle_id = i.oracle_id
+    WHERE ${conditions.join('\n      AND ')}
+  `;
+}
+
+/**
+ * Facet counts over every filtered row: distinct card names per value
+ */
+async function getFacets(db, filteredSql, params) {
+  const result = await db.query(`
+    WITH filtered AS (${filteredSql})
+    SELECT
+      (SELECT COUNT(DISTINCT name) FROM filtered)::int AS cards,
+      (SELECT COUNT(*) FROM filtered)::int AS items,
+      (SELECT COALESCE(SUM(quantity), 0) FROM filtered)::int AS quantity,
+      (SELECT json_object_agg(k, n) FROM (
+        SELECT COALESCE(folder, 'Uncategorized') AS k, COUNT(DISTINCT name) AS n FROM filtered GROUP BY 1
+      ) x) AS folders,
+      (SELECT json_object_agg(k, n) FROM (
+        SELECT UPPER(set) AS k, COUNT(DISTINCT name) AS n FROM filtered WHERE set IS NOT NULL GROUP BY 1
+      ) x) AS sets,
+      (SELECT json_object_agg(k, n) FROM (
+        SELECT COALESCE(quality, 'NM') AS k, COUNT(DISTINCT name) AS n FROM filtered GROUP BY 1
+      ) x) AS qualities,
+      (SELECT json_object_agg(k, n) FROM (
+        SELECT CASE WHEN COALESCE(foil, false) THEN 'foil' ELSE 'nonfoil' END AS k, COUNT(DISTINCT name) AS n FROM filtered GROUP BY 1
+      ) x) AS foil,
+      (SELECT json_object_agg(k, n) FROM (
+        SELECT color_key AS k, COUNT(DISTINCT name) AS n FROM filtered WHERE color_key IS NOT NULL GROUP BY 1
+      ) x) AS colors,
+      (SELECT COUNT(DISTINCT name) FROM filtered WHERE reserved_quantity > 0)::int AS reserved,
+      (SELECT COUNT(DISTINCT name) FROM filtered WHERE COALESCE(quantity, 0) - reserved_quantity > 0)::int AS available
+  `, params);
+
+  const row = result.rows[0] || {};
+  return {
+    total: { cards: row.cards || 0, items: row.items || 0, quantity: row.quantity || 0 },
+    facets: {
+      folders: row.folders || {},
+      sets: row.sets || {},
+      qualities: row.qualities || {},
+      foil: row.foil || {},
+      colors: row.colors || {},
+      status: { reserved: row.reserved || 0, available: row.available || 0 }
+    }
+  };
+}
+
+/**
+ * One page of the user's inventory grouped by card name
+ * @param {Object} options - Parsed inventoryQuerySchema values
+ * @returns {Promise<{cards: Array<Object>, nextCursor: string|null, total: Object|null, facets: Object|null}>}
+ *   total and facets are only computed for the first page (no cursor)
+ */
+export async function queryInventory(db, userId, { sort = 'name', direction = 'asc', limit = 100, cursor, ...filters } = {}) {
+  const { expr, cast } = SORT_EXPRESSIONS[sort];
+  const { conditions, params, param } = buildInventoryFilters(userId, filters);
+  const filteredSql = filteredRowsSql(conditions);
+  // Facets only use the filter parameters, not the cursor and limit added below
+  const filterParams = [...params];
+  const comparator = direction === 'desc' ? '<' : '>';
+  const order = direction === 'desc' ? 'DESC' : 'ASC';
+
+  let afterCursor = '';
+  if (cursor) {
+    const { value, name } = decodeCursor(cursor, sort, direction);
+    afterCursor = `WHERE (sort_value, name) ${comparator} (${param(value)}::${cast}, ${param(name)})`;
+  }
+  const limitParam = param(limit + 1);
+
+  const pageResult = await db.query(`
+    WITH filtered AS (${filteredSql}),
+    groups AS (
+      SELECT name,
+             ${expr} AS sort_value,
+             SUM(COALESCE(quantity, 0))::int AS total_quantity,
+             SUM(reserved_quantity)::int AS reserved_quantity,
+             AVG(COALESCE(purchase_price, 0))::float8 AS average_price,
+             SUM(COALESCE(purchase_price, 0) * COALESCE(quantity, 0))::float8 AS total_value,
+             MAX(created_at) AS date_added
+      FROM filtered
+      GROUP BY name
+    ),
+    page AS (
+      SELECT * FROM groups
+      ${afterCursor}
+      ORDER BY sort_value ${order}, name ${order}
+      LIMIT ${limitParam}
+    )
+    SELECT p.*, p.sort_value::text AS cursor_value,
+           (SELECT json_agg(row_to_json(f) ORDER BY f.id) FROM filtered f WHERE f.name = p.name) AS items
+    FROM page p
+    ORDER BY p.sort_value ${order}, p.name ${order}
+  `, params);
+
+  const rows = pageResult.rows || [];
+  const hasMore = rows.length > limit;
+  const pageRows = hasMore ? rows.slice(0, limit) : rows;
+  const last = pageRows[pageRows.length - 1];
+
+  const cards = pageRows.map(row => {
+    const items = (row.items || []).map(({ color_key: _colorKey, ...item }) => item);
+    return {
+      name: row.name,
+      items,
+      totalQuantity: row.total_quantity,
+      reservedQuantity: row.reserved_quantity,
+      averagePrice: row.average_price,
+      totalValue: row.total_value,
+      dateAdded: row.date_added,
+      colorIdentity: items[0]?.color_identity ?? null,
+      typeLine: items[0]?.type_line ?? null
+    };
+  });
+
+  const firstPage = cursor ? { total: null, facets: null } : await getFacets(db, filteredSql, filterParams);
+
+  return {
+    cards,
+    nextCursor: hasMore ? encodeCursor({ sort, direction, value: last.cursor_value, name: last.name }) : null,
+    ...firstPage
+  };
+}
+
+export default {
+  InventoryQueryError,
+  encodeCursor,
+  decodeCursor,
+  buildInventoryFilters,
+  queryInventory
+};
@@ -0,0 +1,56 @@
+/**
+ * Fake Provider
+ * A deterministic stand-in for local development and tests: the same request always gets
+ * the same reply, and no network call is made. By default it echoes the last user message
+ * (or returns a small JSON object in JSON mode); pass `respond` to script replies, returning
+ * either a string or { content, toolCalls: [{ name, arguments }] }.
+ * Token counts are estimated at four characters per token.
+ */
+
+import crypto from 'crypto';
+
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+function defaultReply({ messages, json }, hash) {
+  if (json) return JSON.stringify({ fake: true, promptHash: hash.slice(0, 12) });
+  const lastUser = [...messages].reverse().find(message => message.role === 'user');
+  return `[fake ${hash.slice(0, 8)}] ${String(lastUser?.content ?? '').slice(0, 200)}`;
+}
+
+/**
+ * @param {{respond?: Function, defaultModel?: string}} [options]
+ */
+export function createFakeProvider({ respond = null, defaultModel = 'fake' } = {}) {
+  const calls = [];
+  return {
+    name: 'fake',
+    defaultModel,
+    calls,
+    async complete(request) {
+      const { messages, tools = [], json = false } = request;
+      calls.push(structuredClone({ ...request, signal: undefined }));
+      const hash = crypto.createHash('sha256').update(JSON.stringify({ messages, tools, json })).digest('hex');
+
+      const reply = respond ? await respond(request, calls.length) : defaultReply(request, hash);
+      const { content = null, toolCalls = [] } = typeof reply === 'string' ? { content: reply } : reply;
+      const tool_calls = toolCalls.map((call, index) => ({
+        id: call.id || `call_${calls.length}_${index}`,
+        type: 'function',
+        function: {
+          name: call.name,
+          arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+        }
+      }));
+
+      return {
+        message: { role: 'assistant', content, ...(tool_calls.length > 0 ? { tool_calls } : {}) },
+        usage: {
+          inputTokens: estimateTokens(messages.map(message => message.content ?? '').join('\n')),
+          outputTokens: estimateTokens(content)
+        }
+      };
+    }
+  };
+}
+
+export default { createFakeProvider };
@@ -0,0 +1,122 @@
+/**
+ * Gemini Provider
+ * Adapts the Google Generative AI SDK to the LLM provider interface. Callers speak OpenAI's
+ * message format, so system messages become the system instruction, assistant tool calls
+ * become functionCall parts and tool results become functionResponse parts.
+ */
+
+// JSON schema keywords Gemini's function declarations accept
+const SCHEMA_KEYS = ['type', 'description', 'enum', 'format', 'nullable', 'required'];
+
+function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  const result = {};
+  for (const key of SCHEMA_KEYS) {
+    if (schema[key] !== undefined) result[key] = schema[key];
+  }
+  if (schema.properties) {
+    result.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([name, value]) => [name, toGeminiSchema(value)])
+    );
+  }
+  if (schema.items) result.items = toGeminiSchema(schema.items);
+  return result;
+}
+
+function parseJson(text, fallback) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Split OpenAI-format messages into Gemini's system instruction and contents
+ */
+export function toGeminiContents(messages) {
+  const system = [];
+  const contents = [];
+  const toolNames = new Map();
+
+  for (const message of messages) {
+    if (message.role === 'system') {
+      system.push(message.content);
+    } else if (message.role === 'assistant') {
+      const parts = [];
+      if (message.content) parts.push({ text: message.content });
+      for (const call of message.tool_calls || []) {
+        toolNames.set(call.id, call.function.name);
+        parts.push({ functionCall: { name: call.function.name, args: parseJson(call.function.arguments || '{}', {}) } });
+      }
+      contents.push({ role: 'model', parts });
+    } else if (message.role === 'tool') {
+      const part = {
+        functionResponse: {
+          name: toolNames.get(message.tool_call_id) || 'unknown',
+          response: { content: parseJson(message.content, message.content) }
+        }
+      };
+      // Results of one round's calls go back together
+      const last = contents[contents.length - 1];
+      if (last?.role === 'function') last.parts.push(part);
+      else contents.push({ role: 'function', parts: [part] });
+    } else {
+      contents.push({ role: 'user', parts: [{ text: message.content ?? '' }] });
+    }
+  }
+
+  return { systemInstruction: system.length > 0 ? system.join('\n\n') : undefined, contents };
+}
+
+/**
+ * @param {{client: Object}} options - client is a GoogleGenerativeAI instance
+ */
+export function createGeminiProvider({ client }) {
+  return {
+    name: 'gemini',
+    defaultModel: 'gemini-2.5-flash',
+    async complete({ model, messages, tools = [], json = false, temperature, maxTokens, signal }) {
+      const { systemInstruction, contents } = toGeminiContents(messages);
+      const generativeModel = client.getGenerativeModel({
+        model,
+        systemInstruction,
+        tools: tools.length > 0 ? [{
+          functionDeclarations: tools.map(tool => ({
+            name: tool.function.name,
+            description: tool.function.description,
+            parameters: toGeminiSchema(tool.function.parameters)
+          }))
+        }] : undefined,
+        generationConfig: {
+          temperature,
+          maxOutputTokens: maxTokens,
+          responseMimeType: json ? 'application/json' : undefined
+        }
+      });
+
+      const { response } = await generativeModel.generateContent({ contents }, { signal });
+      const parts = response.candidates?.[0]?.content?.parts || [];
+      const text = parts.filter(part => part.text).map(part => part.text).join('');
+      const toolCalls = parts.filter(part => part.functionCall).map((part, index) => ({
+        id: `call_${messages.length}_${index}`,
+        type: 'function',
+        function: { name: part.functionCall.name, arguments: JSON.stringify(part.functionCall.args || {}) }
+      }));
+
+      return {
+        message: {
+          role: 'assistant',
+          content: text || null,
+          ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {})
+        },
+        usage: {
+          inputTokens: response.usageMetadata?.promptTokenCount ?? 0,
+          outputTokens: response.usageMetadata?.candidatesTokenCount ?? 0
+        }
+      };
+    }
+  };
+}
+
+export default { createGeminiProvider, toGeminiContents };
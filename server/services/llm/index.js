@@ -0,0 +1,288 @@
+/**
+ * LLM Service
+ * The one way AI features reach a language model. Each feature (deck generation, strategy
+ * descriptions, chat) is routed to a provider and model from configuration, so they can be
+ * switched independently. Calls are retried with a per-attempt timeout, responses to cacheable
+ * prompts are reused by prompt hash, and every call's tokens and cost are recorded for the user.
+ *
+ * Requests and replies use OpenAI's message format whichever provider serves them:
+ *   complete('generation', { messages, json: true, cache: true }, { userId })
+ *     -> { content, message, usage: {inputTokens, outputTokens}, costUsd, cached, provider, model }
+ */
+
+import crypto from 'crypto';
+import OpenAI from 'openai';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { createOpenAIProvider } from './openaiProvider.js';
+import { createGeminiProvider } from './geminiProvider.js';
+import { createFakeProvider } from './fakeProvider.js';
+import { MODEL_PRICING, estimateCost, recordUsage } from './usage.js';
+
+export const LLM_FEATURES = ['generation', 'description', 'chat'];
+export const LLM_PROVIDERS = ['openai', 'gemini', 'fake'];
+
+export const DEFAULT_TIMEOUT_MS = 60000;
+export const DEFAULT_MAX_RETRIES = 2;
+export const DEFAULT_CACHE_TTL_HOURS = 24;
+
+/**
+ * Error raised when a model call can't be made or fails, carrying an HTTP status for the route layer
+ */
+export class LLMError extends Error {
+  constructor(message, statusCode = 502) {
+    super(message);
+    this.name = 'LLMError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Provider and model per feature. AI_PROVIDER sets the default provider ('openai', 'gemini'
+ * or 'fake'); AI_PROVIDER_<FEATURE> and AI_MODEL_<FEATURE> override it for one feature,
+ * e.g. AI_PROVIDER_CHAT=gemini. Without a model the provider's default is used.
+ */
+export function resolveFeatureConfig(env = process.env) {
+  const fallback = (env.AI_PROVIDER || 'openai').toLowerCase();
+  return Object.fromEntries(LLM_FEATURES.map(feature => {
+    const key = feature.toUpperCase();
+    return [feature, {
+      provider: (env[`AI_PROVIDER_${key}`] || fallback).toLowerCase(),
+      model: env[`AI_MODEL_${key}`] || null
+    }];
+  }));
+}
+
+/**
+ * Providers that can be used with the configured credentials; the fake is always available
+ */
+export function createConfiguredProviders(env = process.env) {
+  const providers = { fake: createFakeProvider() };
+  if (env.OPENAI_API_KEY) {
+    // Retries are handled by the service so every provider follows the same policy
+    providers.openai = createOpenAIProvider({ client: new OpenAI({ apiKey: env.OPENAI_API_KEY, maxRetries: 0 }) });
+  }
+  if (env.GEMINI_API_KEY) {
+    providers.gemini = createGeminiProvider({ client: new GoogleGenerativeAI(env.GEMINI_API_KEY) });
+  }
+  return providers;
+}
+
+// Rate limits, conflicts, timeouts and server errors are worth another try; network errors have no status
+function isRetryable(error) {
+  if (error instanceof LLMError) return false;
+  const status = error.status ?? error.statusCode;
+  if (!status) return true;
+  return status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+/**
+ * Hash identifying a prompt for the response cache
+ */
+export function hashPrompt({ provider, model, messages, tools = [], json = false, temperature, maxTokens }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ provider, model, messages, tools, json, temperature: temperature ?? null, maxTokens: maxTokens ?? null }))
+    .digest('hex');
+}
+
+/**
+ * @param {Object} options
+ * @param {Object} options.db - Database pool for usage rows and the response cache
+ * @param {Object} options.providers - Provider name -> provider ({name, defaultModel, complete})
+ * @param {Object} [options.features] - Feature -> {provider, model}; see resolveFeatureConfig
+ * @param {number} [options.timeoutMs] - Per-attempt timeout
+ * @param {number} [options.maxRetries] - Extra attempts after a retryable failure
+ * @param {number} [options.cacheTtlHours] - How long cached responses are reused; 0 turns caching off
+ */
+export function createLLMService({
+  db,
+  providers,
+  features = resolveFeatureConfig(),
+  pricing = MODEL_PRICING,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  retryDelayMs = 500,
+  cacheTtlHours = DEFAULT_CACHE_TTL_HOURS,
+  sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+}) {
+  function route(feature) {
+    const config = features[feature];
+    if (!config) throw new LLMError(`Unknown AI feature: ${feature}`, 500);
+    const provider = providers[config.provider];
+    return provider ? { provider, model: config.model || provider.defaultModel } : null;
+  }
+
+  async function callProvider(provider, request, signal) {
+    for (let attempt = 0; ; attempt++) {
+      if (signal?.aborted) throw new LLMError('AI request was cancelled', 499);
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      const cancel = () => controller.abort();
+      signal?.addEventListener('abort', cancel);
+      try {
+        return await provider.complete({ ...request, signal: controller.signal });
+      } catch (error) {
+        if (signal?.aborted) throw new LLMError('AI request was cancelled', 499);
+        const timedOut = controller.signal.aborted;
+        if (attempt >= maxRetries || !(timedOut || isRetryable(error))) {
+          if (timedOut) throw new LLMError('The AI provider took too long to respond', 504);
+          if (error instanceof LLMError) throw error;
+          console.error(`[LLM] ${provider.name} error:`, error.message);
+          throw new LLMError('The AI provider failed to respond', 502);
+        }
+        console.warn(`[LLM] ${provider.name} attempt ${attempt + 1} failed, retrying:`, timedOut ? 'timeout' : error.message);
+        await sleep(retryDelayMs * 2 ** attempt);
+      } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', cancel);
+      }
+    }
+  }
+
+  async function readCache(hash) {
+    try {
+      const result = await db.query(
+        'SELECT response FROM ai_response_cache WHERE prompt_hash = $1 AND expires_at > NOW()',
+        [hash]
+      );
+      return result.rows[0]?.response ?? null;
+    } catch (error) {
+      console.warn('[LLM] Cache read failed:', error.message);
+      return null;
+    }
+  }
+
+  async function writeCache(hash, provider, model, response) {
+    try {
+      await db.query(
+        `INSERT INTO ai_response_cache (prompt_hash, provider, model, response, expires_at)
+         VALUES ($1, $2, $3, $4, NOW() + make_interval(hours => $5::int))
+         ON CONFLICT (prompt_hash) DO UPDATE
+         SET response = EXCLUDED.response, created_at = NOW(), expires_at = EXCLUDED.expires_at`,
+        [hash, provider, model, JSON.stringify(response), cacheTtlHours]
+      );
+    } catch (error) {
+      console.warn('[LLM] Cache write failed:', error.message);
+    }
+  }
+
+  async function record(entry) {
+    try {
+      await recordUsage(db, entry);
+    } catch (error) {
+      console.warn('[LLM] Usage accounting failed:', error.message);
+    }
+  }
+
+  /**
+   * Whether a feature has a provider with credentials
+   */
+  function isAvailable(feature) {
+    return route(feature) !== null;
+  }
+
+  /**
+   * The provider and model a feature uses, or null when it's unavailable
+   */
+  function describe(feature) {
+    const target = route(feature);
+    return target ? { provider: target.provider.name, model: target.model } : null;
+  }
+
+  /**
+   * Run one model call for a feature
+   * @param {string} feature - One of LLM_FEATURES
+   * @param {Object} request
+   * @param {Array<Object>} request.messages - OpenAI-format messages
+   * @param {Array<Object>} [request.tools] - OpenAI-format function tools
+   * @param {boolean} [request.json] - Ask for a JSON object reply
+   * @param {boolean} [request.cache] - Reuse an earlier reply to the identical prompt
+   * @param {number} [request.temperature]
+   * @param {number} [request.maxTokens]
+   * @param {AbortSignal} [request.signal] - Cancels the call without retrying
+   * @param {{userId?: string}} [context] - Who the call is accounted to
+   */
+  async function complete(feature, request, { userId = null } = {}) {
+    const target = route(feature);
+    if (!target) throw new LLMError('AI is not configured', 503);
+    const { provider, model } = target;
+
+    const { messages, tools = [], json = false, cache = false, temperature, maxTokens, signal } = request;
+    const call = { model, messages, tools, json, temperature, maxTokens };
+    const usageEntry = { userId, feature, provider: provider.name, model };
+
+    const useCache = cache && cacheTtlHours > 0;
+    const hash = useCache ? hashPrompt({ provider: provider.name, ...call }) : null;
+    if (useCache) {
+      const hit = await readCache(hash);
+      if (hit) {
+        await record({ ...usageEntry, ...hit.usage, costUsd: 0, cached: true, latencyMs: 0 });
+        return { content: hit.message.content, message: hit.message, usage: hit.usage, costUsd: 0, cached: true, provider: provider.name, model };
+      }
+    }
+
+    const startedAt = Date.now();
+    const { message, usage } = await callProvider(provider, call, signal);
+    const costUsd = estimateCost(model, usage, pricing);
+    await record({ ...usageEntry, ...usage, costUsd, cached: false, latencyMs: Date.now() - startedAt });
+    if (useCache) await writeCache(hash, provider.name, model, { message, usage });
+
+    return { content: message.content, message, usage, costUsd, cached: false, provider: provider.name, model };
+  }
+
+  /**
+   * A chat model for runChatTurn that sends every turn through this service
+   */
+  function chatModel(feature, { userId = null } = {}) {
+    const target = route(feature);
+    if (!target) return null;
+    return {
+      name: target.model,
+      provider: target.provider.name,
+      async complete({ messages, tools }) {
+        const result = await complete(feature, { messages, tools, temperature: 0.4 }, { userId });
+        return result.message;
+      }
+    };
+  }
+
+  return { isAvailable, describe, complete, chatModel };
+}
+
+function envInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+let defaultService = null;
+
+/**
+ * The service configured from the environment (see resolveFeatureConfig). AI_TIMEOUT_MS,
+ * AI_MAX_RETRIES and AI_CACHE_TTL_HOURS tune the call policy.
+ * @param {Object} db - Database pool
+ */
+export function getLLMService(db) {
+  if (!defaultService) {
+    defaultService = createLLMService({
+      db,
+      providers: createConfiguredProviders(),
+      features: resolveFeatureConfig(),
+      timeoutMs: envInt(process.env.AI_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+      maxRetries: envInt(process.env.AI_MAX_RETRIES, DEFAULT_MAX_RETRIES),
+      cacheTtlHours: envInt(process.env.AI_CACHE_TTL_HOURS, DEFAULT_CACHE_TTL_HOURS)
+    });
+  }
+  return defaultService;
+}
+
+export default {
+  LLM_FEATURES,
+  LLM_PROVIDERS,
+  LLMError,
+  resolveFeatureConfig,
+  createConfiguredProviders,
+  hashPrompt,
+  createLLMService,
+  getLLMService
+};
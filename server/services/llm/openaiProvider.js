@@ -0,0 +1,48 @@
+/**
+ * OpenAI Provider
+ * Adapts the OpenAI chat completions API to the LLM provider interface:
+ * complete({model, messages, tools, json, temperature, maxTokens, signal}) resolves to
+ * { message: {role, content, tool_calls?}, usage: {inputTokens, outputTokens} }.
+ * Messages and tools are already in OpenAI format, so they pass through unchanged.
+ */
+
+/**
+ * @param {{client: Object}} options - client is an OpenAI SDK instance; retries are left to the LLM service
+ */
+export function createOpenAIProvider({ client }) {
+  return {
+    name: 'openai',
+    defaultModel: 'gpt-4o',
+    async complete({ model, messages, tools = [], json = false, temperature, maxTokens, signal }) {
+      const completion = await client.chat.completions.create({
+        model,
+        messages,
+        tools: tools.length > 0 ? tools : undefined,
+        response_format: json ? { type: 'json_object' } : undefined,
+        temperature,
+        max_tokens: maxTokens
+      }, { signal });
+
+      const message = completion.choices[0]?.message || {};
+      return {
+        message: {
+          role: 'assistant',
+          content: message.content ?? null,
+          ...(message.tool_calls?.length ? {
+            tool_calls: message.tool_calls.map(call => ({
+              id: call.id,
+              type: 'function',
+              function: { name: call.function.name, arguments: call.function.arguments }
+            }))
+          } : {})
+        },
+        usage: {
+          inputTokens: completion.usage?.prompt_tokens ?? 0,
+          outputTokens: completion.usage?.completion_tokens ?? 0
+        }
+      };
+    }
+  };
+}
+
+export default { createOpenAIProvider };
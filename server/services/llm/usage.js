@@ -0,0 +1,89 @@
+/**
+ * LLM Usage Accounting
+ * Prices model calls and records one ai_usage row per call, so spend can be reported
+ * per user, feature and provider.
+ */
+
+// USD per million tokens; dated model versions match their base name
+export const MODEL_PRICING = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  fake: { input: 0, output: 0 }
+};
+
+const round6 = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Price for a model, matching the longest known name it starts with; null if unknown
+ */
+export function findModelPricing(model, pricing = MODEL_PRICING) {
+  const match = Object.keys(pricing)
+    .filter(name => model === name || model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? pricing[match] : null;
+}
+
+/**
+ * Cost in USD of a call's tokens; unknown models cost 0
+ * @param {string} model
+ * @param {{inputTokens: number, outputTokens: number}} usage
+ */
+export function estimateCost(model, { inputTokens = 0, outputTokens = 0 }, pricing = MODEL_PRICING) {
+  const price = findModelPricing(model, pricing);
+  if (!price) return 0;
+  return round6((inputTokens * price.input + outputTokens * price.output) / 1e6);
+}
+
+/**
+ * Record one model call
+ * @param {Object} db - Database pool
+ * @param {{userId, feature, provider, model, inputTokens, outputTokens, costUsd, cached, latencyMs}} entry
+ */
+export async function recordUsage(db, { userId = null, feature, provider, model, inputTokens = 0, outputTokens = 0, costUsd = 0, cached = false, latencyMs = null }) {
+  await db.query(
+    `INSERT INTO ai_usage (user_id, feature, provider, model, input_tokens, output_tokens, cost_usd, cached, latency_ms)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [userId, feature, provider, model, inputTokens, outputTokens, costUsd, cached, latencyMs]
+  );
+}
+
+/**
+ * A user's calls, tokens and cost per feature, provider and model over the last `days` days
+ */
+export async function getUsageSummary(db, userId, { days = null } = {}) {
+  const result = await db.query(
+    `SELECT feature, provider, model, COUNT(*) AS requests, COUNT(*) FILTER (WHERE cached) AS cached_requests,
+            SUM(input_tokens) AS input_tokens, SUM(output_tokens) AS output_tokens, SUM(cost_usd) AS cost_usd
+     FROM ai_usage
+     WHERE user_id = $1
+       AND ($2::int IS NULL OR created_at >= NOW() - make_interval(days => $2::int))
+     GROUP BY feature, provider, model
+     ORDER BY SUM(cost_usd) DESC, feature`,
+    [userId, days]
+  );
+
+  const totals = { requests: 0, cachedRequests: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+  const breakdown = (result.rows || []).map(row => {
+    const entry = {
+      feature: row.feature,
+      provider: row.provider,
+      model: row.model,
+      requests: Number(row.requests),
+      cachedRequests: Number(row.cached_requests || 0),
+      inputTokens: Number(row.input_tokens || 0),
+      outputTokens: Number(row.output_tokens || 0),
+      costUsd: round6(Number(row.cost_usd || 0))
+    };
+    for (const key of Object.keys(totals)) totals[key] += entry[key];
+    return entry;
+  });
+
+  return { days, totals: { ...totals, costUsd: round6(totals.costUsd) }, breakdown };
+}
+
+export default { MODEL_PRICING, findModelPricing, estimateCost, recordUsage, getUsageSummary };
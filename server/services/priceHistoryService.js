@@ -0,0 +1,149 @@
+/**
+ * Price history
+ * Stores a daily snapshot of MTGJSON prices for every card held in any inventory and
+ * answers per-card and portfolio history queries from those snapshots.
+ * Functions take a db handle (pool or transaction client).
+ */
+
+export const PRICE_SOURCES = ['tcg', 'ck'];
+
+// Rows per upsert statement; each batch is sent as a single JSON parameter
+const SNAPSHOT_BATCH_SIZE = 1000;
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Build snapshot rows from a price source for the given Scryfall ids
+ * @param {Array<string>} scryfallIds
+ * @param {{getPriceSnapshotByScryfallId: Function}} priceSource - mtgjsonService
+ * @returns {Array<Object>} Rows for ids that have at least one price
+ */
+export function buildSnapshotRows(scryfallIds, priceSource) {
+  const rows = [];
+  for (const scryfallId of scryfallIds) {
+    const snapshot = priceSource.getPriceSnapshotByScryfallId(scryfallId);
+    if (!snapshot) continue;
+    rows.push({
+      scryfall_id: scryfallId,
+      snapshot_date: snapshot.date,
+      tcg_retail: snapshot.tcgRetail,
+      tcg_retail_foil: snapshot.tcgRetailFoil,
+      tcg_buylist: snapshot.tcgBuylist,
+      ck_retail: snapshot.ckRetail,
+      ck_retail_foil: snapshot.ckRetailFoil,
+      ck_buylist: snapshot.ckBuylist
+    });
+  }
+  return rows;
+}
+
+/**
+ * Upsert snapshot rows; re-running on the same price date overwrites that day's row
+ * @returns {Promise<number>} Rows written
+ */
+export async function storePriceSnapshots(db, rows) {
+  let stored = 0;
+  for (let i = 0; i < rows.length; i += SNAPSHOT_BATCH_SIZE) {
+    const batch = rows.slice(i, i + SNAPSHOT_BATCH_SIZE);
+    const result = await db.query(`
+      INSERT INTO price_snapshots (scryfall_id, snapshot_date, tcg_retail, tcg_retail_foil, tcg_buylist, ck_retail, ck_retail_foil, ck_buylist)
+      SELECT r.scryfall_id, r.snapshot_date, r.tcg_retail, r.tcg_retail_foil, r.tcg_buylist, r.ck_retail, r.ck_retail_foil, r.ck_buylist
+      FROM jsonb_to_recordset($1::jsonb) AS r(
+        scryfall_id VARCHAR, snapshot_date DATE, tcg_retail NUMERIC, tcg_retail_foil NUMERIC,
+        tcg_buylist NUMERIC, ck_retail NUMERIC, ck_retail_foil NUMERIC, ck_buylist NUMERIC
+      )
+      ON CONFLICT (scryfall_id, snapshot_date) DO UPDATE SET
+        tcg_retail = EXCLUDED.tcg_retail,
+        tcg_retail_foil = EXCLUDED.tcg_retail_foil,
+        tcg_buylist = EXCLUDED.tcg_buylist,
+        ck_retail = EXCLUDED.ck_retail,
+        ck_retail_foil = EXCLUDED.ck_retail_foil,
+        ck_buylist = EXCLUDED.ck_buylist
+    `, [JSON.stringify(batch)]);
+    stored += result.rowCount ?? batch.length;
+  }
+  return stored;
+}
+
+/**
+ * Snapshot today's prices for every Scryfall id in any user's inventory
+ * @returns {Promise<{cards: number, stored: number, dates: Array<string>}>}
+ */
+export async function snapshotInventoryPrices(db, priceSource) {
+  const result = await db.query(`
+    SELECT DISTINCT scryfall_id FROM inventory
+    WHERE scryfall_id IS NOT NULL AND scryfall_id <> ''
+  `);
+  const scryfallIds = (result.rows || []).map(row => row.scryfall_id);
+  const rows = buildSnapshotRows(scryfallIds, priceSource);
+  const stored = await storePriceSnapshots(db, rows);
+  return { cards: scryfallIds.length, stored, dates: [...new Set(rows.map(r => r.snapshot_date))].sort() };
+}
+
+/**
+ * Daily prices for one card, oldest first
+ * @param {{days?: number}} [options] - Limit to the last N days
+ */
+export async function getPriceHistory(db, scryfallId, { days = null } = {}) {
+  const result = await db.query(`
+    SELECT TO_CHAR(snapshot_date, 'YYYY-MM-DD') AS snapshot_date, tcg_retail, tcg_retail_foil, tcg_buylist, ck_retail, ck_retail_foil, ck_buylist
+    FROM price_snapshots
+    WHERE scryfall_id = $1
+      AND ($2::int IS NULL OR snapshot_date >= CURRENT_DATE - $2::int)
+    ORDER BY snapshot_date ASC
+  `, [scryfallId, days]);
+
+  return (result.rows || []).map(row => ({
+    date: row.snapshot_date,
+    tcgRetail: toNumber(row.tcg_retail),
+    tcgRetailFoil: toNumber(row.tcg_retail_foil),
+    tcgBuylist: toNumber(row.tcg_buylist),
+    ckRetail: toNumber(row.ck_retail),
+    ckRetailFoil: toNumber(row.ck_retail_foil),
+    ckBuylist: toNumber(row.ck_buylist)
+  }));
+}
+
+/**
+ * Portfolio value per snapshot day: each day's prices applied to the inventory rows
+ * the user had added by that day. Foil rows use the foil price when there is one.
+ * @param {{days?: number, source?: 'tcg'|'ck'}} [options]
+ * @returns {Promise<Array<{date, value: number, costBasis: number, cards: number, pricedCards: number}>>}
+ */
+export async function getPortfolioHistory(db, userId, { days = null, source = 'tcg' } = {}) {
+  const retail = source === 'ck' ? 'ck_retail' : 'tcg_retail';
+
+  const result = await db.query(`
+    SELECT TO_CHAR(s.snapshot_date, 'YYYY-MM-DD') AS snapshot_date,
+      SUM(i.quantity * COALESCE(CASE WHEN i.foil THEN s.${retail}_foil END, s.${retail}, 0)) AS value,
+      SUM(i.quantity * COALESCE(i.purchase_price, 0)) AS cost_basis,
+      SUM(i.quantity) AS cards,
+      SUM(CASE WHEN s.${retail} IS NOT NULL OR (i.foil AND s.${retail}_foil IS NOT NULL) THEN i.quantity ELSE 0 END) AS priced_cards
+    FROM inventory i
+    JOIN price_snapshots s ON s.scryfall_id = i.scryfall_id
+    WHERE i.user_id = $1
+      AND COALESCE(i.quantity, 0) > 0
+      AND i.created_at::date <= s.snapshot_date
+      AND ($2::int IS NULL OR s.snapshot_date >= CURRENT_DATE - $2::int)
+    GROUP BY s.snapshot_date
+    ORDER BY s.snapshot_date ASC
+  `, [userId, days]);
+
+  return (result.rows || []).map(row => ({
+    date: row.snapshot_date,
+    value: round2(Number(row.value || 0)),
+    costBasis: round2(Number(row.cost_basis || 0)),
+    cards: Number(row.cards || 0),
+    pricedCards: Number(row.priced_cards || 0)
+  }));
+}
+
+export default {
+  PRICE_SOURCES,
+  buildSnapshotRows,
+  storePriceSnapshots,
+  snapshotInventoryPrices,
+  getPriceHistory,
+  getPortfolioHistory
+};
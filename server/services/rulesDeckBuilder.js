@@ -0,0 +1,446 @@
+/**
+ * Rules-based Deck Builder
+ * Builds a Commander deck from a pool of Scryfall cards without a language model: category
+ * quotas, a mana curve target, a land base weighted by the deck's color pips, inventory-first
+ * picks and a budget cap. The same inputs always give the same 100 cards, each with the
+ * reason it was picked, so decks can be built offline and in tests.
+ */
+
+import { validateDeck } from './deckLegalityService.js';
+import { extractCardRules } from '../utils/cardRulesMetadata.js';
+
+// Cards per category besides the commander; synergy takes whatever the others leave
+export const DEFAULT_QUOTAS = { lands: 37, ramp: 10, draw: 10, removal: 8, wipes: 3, synergy: 31 };
+
+// Nonland cards wanted at each mana value (1 includes 0, 6 includes everything above),
+// scaled to the deck's nonland count
+export const DEFAULT_CURVE = { 1: 8, 2: 14, 3: 14, 4: 11, 5: 8, 6: 7 };
+
+export const DEFAULT_MAX_NONBASIC_LANDS = 15;
+
+const MAIN_DECK_SIZE = 99;
+
+// Staple roles, filled scarcest first so a card that fits several lands where it's needed most
+const STAPLE_ROLES = ['wipes', 'removal', 'ramp', 'draw'];
+
+const ROLE_LABELS = { ramp: 'Ramp', draw: 'Card draw', removal: 'Removal', wipes: 'Board wipe', synergy: 'Synergy', lands: 'Land' };
+const ROLE_CATEGORIES = { ramp: 'Ramp', draw: 'Draw', removal: 'Removal', wipes: 'Board Wipe', synergy: 'Synergy', lands: 'Land' };
+
+// Oracle text patterns for each staple role, checked with reminder text removed
+const ROLE_PATTERNS = {
+  wipes: /\b(destroy|exile) (all|each) (other )?(nonland permanents?|permanents?|creatures?|artifacts?|enchantments?|planeswalkers?)\b|\ball (other )?creatures get -(\d+|X)\/-(\d+|X)|\bdeals? \d+ damage to each (other )?creature|\breturn all (nonland permanents|creatures)/i,
+  removal: /\b(destroy|exile) (target|up to one target)\b|\breturn target (nonland permanent|creature|permanent)[^.]* to (its|their) owner's hand|\bcounter target\b|\bdeals? \d+ damage to (any target|target creature)|\btarget (player|opponent) sacrifices|\bfights? (target|up to one target)/i,
+  ramp: /\badd (\{[WUBRGC]\}|one mana|two mana|three mana|\w+ mana of any)|\bsearch your library for (a|up to \w+) (basic )?(land|plains|island|swamp|mountain|forest)|\bput (a|up to \w+) (basic )?land cards? from your hand onto the battlefield|\bcreate (a|two|three) treasure tokens?/i,
+  draw: /\bdraws? (a|an additional|one|two|three|four|five|x|that many)\b[^.]*?\bcards?\b|\bdraws? cards\b/i
+};
+
+const CARD_TYPES = ['Artifact', 'Battle', 'Creature', 'Enchantment', 'Instant', 'Kindred', 'Land', 'Planeswalker', 'Sorcery', 'Tribal'];
+
+const COLORS = ['W', 'U', 'B', 'R', 'G'];
+const COLOR_NAMES = { W: 'white', U: 'blue', B: 'black', R: 'red', G: 'green' };
+const BASIC_LANDS = { W: 'Plains', U: 'Island', B: 'Swamp', R: 'Mountain', G: 'Forest', C: 'Wastes' };
+
+// Scoring: recommendation rank dominates, owning the card outweighs a few places of rank
+const RANK_WEIGHT = 100;
+const INVENTORY_BONUS = 60;
+const CURVE_WEIGHT = 15;
+const PRICE_PENALTY = 25;
+const COMMANDER_PIP_WEIGHT = 3;
+
+/**
+ * Error raised for builder options that can't make a deck, carrying an HTTP status for the route layer
+ */
+export class DeckBuilderError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DeckBuilderError';
+    this.statusCode = statusCode;
+  }
+}
+
+const frontFace = (card) => card.card_faces?.[0] || card;
+const frontTypeLine = (card) => (card.type_line || frontFace(card).type_line || '').split(' // ')[0];
+const manaCostOf = (card) => card.mana_cost || frontFace(card).mana_cost || '';
+const oracleTextOf = (card) => (card.oracle_text ?? (card.card_faces || []).map(face => face.oracle_text || '').join('\n'))
+  .replace(/\([^)]*\)/g, '');
+const isLandCard = (card) => /\bLand\b/.test(frontTypeLine(card));
+const isBasicLand = (card) => isLandCard(card) && /\bBasic\b/.test(frontTypeLine(card));
+const fitsIdentity = (card, identity) => (card.color_identity || []).every(color => identity.includes(color));
+const scryfallPrice = (card) => parseFloat(card.prices?.usd) || parseFloat(card.prices?.usd_foil) || 0;
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Resolve quota overrides against DEFAULT_QUOTAS. Unless given, synergy is whatever the
+ * other categories leave of the 99 cards besides the commander.
+ * @param {Object} [overrides] - Any of { lands, ramp, draw, removal, wipes, synergy }
+ * @returns {Object} Every quota
+ */
+export function resolveQuotas(overrides = {}) {
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (!(key in DEFAULT_QUOTAS)) throw new DeckBuilderError(`Unknown quota "${key}"`);
+    if (!Number.isInteger(value) || value < 0) throw new DeckBuilderError(`Quota "${key}" must be a whole number of cards`);
+  }
+  const quotas = { ...DEFAULT_QUOTAS, ...overrides };
+  const fixed = quotas.lands + quotas.ramp + quotas.draw + quotas.removal + quotas.wipes;
+  if (overrides?.synergy === undefined) quotas.synergy = MAIN_DECK_SIZE - fixed;
+
+  const total = fixed + Math.max(quotas.synergy, 0);
+  if (total !== MAIN_DECK_SIZE) {
+    throw new DeckBuilderError(`Quotas add up to ${total} cards; a Commander deck has ${MAIN_DECK_SIZE} besides the commander`);
+  }
+  return quotas;
+}
+
+/**
+ * Resolve a mana curve target against DEFAULT_CURVE
+ * @param {Object} [overrides] - Relative weights by mana value, 1 to 6
+ * @returns {Object} Weights for every mana value
+ */
+export function resolveCurve(overrides = {}) {
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (!(key in DEFAULT_CURVE)) throw new DeckBuilderError(`Curve mana values run from 1 to 6, not "${key}"`);
+    if (typeof value !== 'number' || !(value >= 0)) throw new DeckBuilderError(`Curve weight for ${key} must be a non-negative number`);
+  }
+  const curve = { ...DEFAULT_CURVE, ...overrides };
+  if (Object.values(curve).every(weight => weight === 0)) {
+    throw new DeckBuilderError('The curve needs at least one mana value with a weight');
+  }
+  return curve;
+}
+
+/**
+ * Staple role a card plays, from its type line and oracle text
+ * @param {Object} card - Scryfall card
+ * @returns {'lands'|'wipes'|'removal'|'ramp'|'draw'|'synergy'}
+ */
+export function classifyCard(card) {
+  if (isLandCard(card)) return 'lands';
+  const text = oracleTextOf(card);
+  return STAPLE_ROLES.find(role => ROLE_PATTERNS[role].test(text)) || 'synergy';
+}
+
+// Mana value bucket on the curve: 0 counts as 1 and everything from 6 up as 6
+const curveBucket = (card) => String(Math.min(Math.max(Math.floor(card.cmc || 0), 1), 6));
+
+/**
+ * Split `total` across keys in proportion to their weights (largest remainder, ties to the
+ * earlier key)
+ */
+function apportion(weights, total) {
+  const entries = Object.entries(weights);
+  const sum = entries.reduce((acc, [, weight]) => acc + weight, 0);
+  if (sum === 0) return Object.fromEntries(entries.map(([key]) => [key, 0]));
+
+  const shares = entries.map(([key, weight], index) => {
+    const exact = (weight / sum) * total;
+    return { key, index, count: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+  const left = total - shares.reduce((acc, share) => acc + share.count, 0);
+  [...shares]
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+    .slice(0, left)
+    .forEach(share => { share.count += 1; });
+  return Object.fromEntries(shares.map(share => [share.key, share.count]));
+}
+
+/**
+ * Add a mana cost's colored pips to `totals`; a hybrid pip counts half for each color
+ */
+function addPips(totals, manaCost, weight) {
+  for (const [, symbol] of manaCost.matchAll(/\{([^}]+)\}/g)) {
+    const colors = COLORS.filter(color => symbol.includes(color) && color in totals);
+    colors.forEach(color => { totals[color] += weight / colors.length; });
+  }
+}
+
+/**
+ * Basic lands for the colors the deck's spells actually ask for. Nonbasic lands aren't
+ * counted as sources; every color with pips gets at least one basic when there's room.
+ */
+function buildBasics(count, identity, spells, commander) {
+  const colors = COLORS.filter(color => identity.includes(color));
+  if (count <= 0) return [];
+  if (colors.length === 0) {
+    return [{ name: BASIC_LANDS.C, quantity: count, color: 'C', reason: `Basic land: ${count} Wastes for a colorless commander` }];
+  }
+
+  const pips = Object.fromEntries(colors.map(color => [color, 0]));
+  addPips(pips, manaCostOf(commander), COMMANDER_PIP_WEIGHT);
+  spells.forEach(card => addPips(pips, manaCostOf(card), 1));
+  const totalPips = Object.values(pips).reduce((acc, value) => acc + value, 0);
+
+  const counts = apportion(totalPips > 0 ? pips : Object.fromEntries(colors.map(color => [color, 1])), count);
+  for (const color of colors) {
+    if (counts[color] > 0 || pips[color] === 0 || count < colors.length) continue;
+    const richest = colors.reduce((best, other) => (counts[other] > counts[best] ? other : best));
+    counts[richest] -= 1;
+    counts[color] = 1;
+  }
+
+  return colors.filter(color => counts[color] > 0).map(color => ({
+    name: BASIC_LANDS[color],
+    quantity: counts[color],
+    color,
+    reason: totalPips > 0
+      ? `Basic land: ${counts[color]} of ${count} basics, for the ${Math.round((pips[color] / totalPips) * 100)}% of the deck's colored pips that are ${COLOR_NAMES[color]}`
+      : `Basic land: ${counts[color]} of ${count} basics, split evenly since no spell has colored pips`
+  }));
+}
+
+/**
+ * Card data in the shape deckLegalityService expects, from a Scryfall card. Cards without
+ * legalities come back unknown rather than assumed legal.
+ */
+function legalityData(card) {
+  if (!card.legalities) return null;
+  const typeLine = frontTypeLine(card);
+  const text = oracleTextOf(card);
+  const legalities = Object.fromEntries(Object.entries(card.legalities).filter(([, status]) => status !== 'not_legal'));
+  const canLead = (/\bLegendary\b/.test(typeLine) && /\bCreature\b/.test(typeLine)) || /can be your commander/i.test(text);
+  return {
+    types: typeLine.split(' — ')[0].split(/\s+/).filter(type => CARD_TYPES.includes(type)),
+    typeLine,
+    cmc: card.cmc || 0,
+    manaCost: manaCostOf(card),
+    colorIdentity: card.color_identity || [],
+    ...extractCardRules({ text, legalities, keywords: card.keywords, leadershipSkills: { commander: canLead } })
+  };
+}
+
+function basicLandData(color) {
+  return {
+    types: ['Land'],
+    typeLine: `Basic Land — ${BASIC_LANDS[color]}`,
+    cmc: 0,
+    manaCost: '',
+    colorIdentity: color === 'C' ? [] : [color],
+    legalities: { commander: 'legal' },
+    canBeCommander: false,
+    companion: false,
+    partner: null,
+    partnerWith: null,
+    deckLimit: null
+  };
+}
+
+/**
+ * Build a 100-card Commander deck
+ * @param {Object} options
+ * @param {Object} options.commander - Scryfall card
+ * @param {Array<Object>} options.candidates - Scryfall cards, most recommended first
+ * @param {Object} [options.quotas] - Overrides for DEFAULT_QUOTAS
+ * @param {Object} [options.curve] - Overrides for DEFAULT_CURVE
+ * @param {number|null} [options.budget] - Most to spend on cards not already owned; basics are free
+ * @param {Function} [options.ownedQuantity] - name => copies available in the user's inventory
+ * @param {boolean} [options.preferInventory=true] - Score owned cards above unowned ones
+ * @param {boolean} [options.inventoryOnly=false] - Use owned cards only (plus basics)
+ * @param {Function} [options.priceOf] - card => USD price; Scryfall's by default
+ * @param {number} [options.maxNonbasicLands]
+ * @returns {{cards: Array<Object>, stats: Object, legality: Object, warnings: string[]}} cards are
+ *   { name, quantity, category, reason, scryfallId, cmc, price, fromInventory }, commander first
+ */
+export function buildRulesDeck({
+  commander,
+  candidates = [],
+  quotas: quotaOverrides,
+  curve: curveOverrides,
+  budget = null,
+  ownedQuantity = () => 0,
+  preferInventory = true,
+  inventoryOnly = false,
+  priceOf = scryfallPrice,
+  maxNonbasicLands = DEFAULT_MAX_NONBASIC_LANDS
+}) {
+  if (!commander?.name) throw new DeckBuilderError('A commander is required');
+  const quotas = resolveQuotas(quotaOverrides);
+  const curve = resolveCurve(curveOverrides);
+  const identity = commander.color_identity || [];
+  const warnings = [];
+  const excluded = { colorIdentity: 0, notLegal: 0, notOwned: 0 };
+
+  // Candidate pool: one entry per legal, in-identity card, scored by rank and ownership
+  const seen = new Set([commander.name.toLowerCase()]);
+  const pool = [];
+  candidates.forEach((card, index) => {
+    const key = card?.name?.toLowerCase();
+    if (!key || seen.has(key) || isBasicLand(card)) return;
+    seen.add(key);
+    if (!fitsIdentity(card, identity)) { excluded.colorIdentity += 1; return; }
+    if (card.legalities && card.legalities.commander !== 'legal') { excluded.notLegal += 1; return; }
+    const owned = ownedQuantity(card.name) > 0;
+    if (inventoryOnly && !owned) { excluded.notOwned += 1; return; }
+
+    const price = priceOf(card) || 0;
+    pool.push({
+      card,
+      name: card.name,
+      rank: index + 1,
+      role: classifyCard(card),
+      bucket: curveBucket(card),
+      price,
+      cost: owned ? 0 : price,
+      owned,
+      baseScore: RANK_WEIGHT * (1 - index / candidates.length) + (owned && preferInventory ? INVENTORY_BONUS : 0)
+    });
+  });
+
+  const nonlandSlots = MAIN_DECK_SIZE - quotas.lands;
+  const nonbasicTarget = Math.min(quotas.lands, maxNonbasicLands);
+  const curveTargets = apportion(curve, nonlandSlots);
+  const curveCounts = Object.fromEntries(Object.keys(curve).map(key => [key, 0]));
+  const used = new Set();
+  const picks = [];
+  let budgetLeft = budget ?? Infinity;
+
+  const slotsLeft = () => Math.max(nonlandSlots + nonbasicTarget - picks.length, 1);
+  const score = (entry, { useCurve }) => {
+    let value = entry.baseScore;
+    if (useCurve) {
+      const room = curveTargets[entry.bucket] - curveCounts[entry.bucket];
+      value += room > 0 ? CURVE_WEIGHT : CURVE_WEIGHT * (room - 1);
+    }
+    // Under a budget, a card costing several times its share of what's left has to earn it
+    if (Number.isFinite(budgetLeft) && entry.cost > (budgetLeft / slotsLeft()) * 3) value -= PRICE_PENALTY;
+    return value;
+  };
+
+  // Take the best-scoring unused, affordable entries passing `filter`, one at a time so the
+  // curve and budget shape each next pick
+  const take = (filter, count, { useCurve = true } = {}) => {
+    const taken = [];
+    while (taken.length < count) {
+      let best = null;
+      let bestScore = -Infinity;
+      for (const entry of pool) {
+        if (used.has(entry.name) || entry.cost > budgetLeft || !filter(entry)) continue;
+        const value = score(entry, { useCurve });
+        if (value > bestScore || (value === bestScore && entry.name < best.name)) {
+          best = entry;
+          bestScore = value;
+        }
+      }
+      if (!best) break;
+      used.add(best.name);
+      budgetLeft -= best.cost;
+      if (useCurve) curveCounts[best.bucket] += 1;
+      taken.push(best);
+    }
+    return taken;
+  };
+
+  const explain = (entry, label, slot, of, note) => {
+    const parts = [`recommendation #${entry.rank}`];
+    if (entry.owned) parts.push('already in your collection');
+    else if (entry.price > 0) parts.push(`$${entry.price.toFixed(2)}`);
+    if (entry.role !== 'lands') parts.push(`mana value ${entry.card.cmc || 0}`);
+    return `${label} (${slot} of ${of}): ${parts.join(', ')}${note ? `; ${note}` : ''}`;
+  };
+  const record = (entries, role, of, note) => {
+    entries.forEach((entry, index) => {
+      picks.push({ entry, role, category: ROLE_CATEGORIES[role], reason: explain(entry, ROLE_LABELS[role], index + 1, of, note?.(entry)) });
+    });
+  };
+
+  // Staples first, then synergy: on-plan cards before leftover staples
+  for (const role of STAPLE_ROLES) {
+    const taken = take(entry => entry.role === role, quotas[role]);
+    if (taken.length < quotas[role]) {
+      warnings.push(`Only ${taken.length} of ${quotas[role]} ${ROLE_LABELS[role].toLowerCase()} cards fit; the rest went to synergy`);
+    }
+    record(taken, role, quotas[role]);
+  }
+  const synergySlots = nonlandSlots - picks.length;
+  const synergy = take(entry => entry.role === 'synergy', synergySlots);
+  synergy.push(...take(entry => entry.role !== 'lands', synergySlots - synergy.length));
+  record(synergy, 'synergy', synergySlots, entry => (entry.role === 'synergy' ? null : `an extra ${ROLE_LABELS[entry.role].toLowerCase()} card`));
+
+  const spellsShort = nonlandSlots - picks.length;
+  if (spellsShort > 0) {
+    warnings.push(`Only ${picks.length} of ${nonlandSlots} nonland cards fit; ${spellsShort} more basic lands fill the deck`);
+  }
+
+  const nonbasics = take(entry => entry.role === 'lands', nonbasicTarget, { useCurve: false });
+  record(nonbasics, 'lands', quotas.lands);
+
+  const spells = picks.filter(pick => pick.role !== 'lands').map(pick => pick.entry.card);
+  const basics = buildBasics(quotas.lands - nonbasics.length + spellsShort, identity, spells, commander);
+
+  const cards = [
+    {
+      name: commander.name,
+      quantity: 1,
+      category: 'Commander',
+      reason: `Commander: its color identity (${COLORS.filter(color => identity.includes(color)).join('') || 'colorless'}) limits every other card`,
+      scryfallId: commander.id || null,
+      cmc: commander.cmc || 0,
+      price: roundPrice(priceOf(commander) || 0),
+      fromInventory: ownedQuantity(commander.name) > 0
+    },
+    ...picks.map(({ entry, category, reason }) => ({
+      name: entry.name,
+      quantity: 1,
+      category,
+      reason,
+      scryfallId: entry.card.id || null,
+      cmc: entry.card.cmc || 0,
+      price: roundPrice(entry.price),
+      fromInventory: entry.owned
+    })),
+    ...basics.map(basic => ({
+      name: basic.name,
+      quantity: basic.quantity,
+      category: 'Land',
+      reason: basic.reason,
+      scryfallId: null,
+      cmc: 0,
+      price: 0,
+      fromInventory: false
+    }))
+  ];
+
+  const byName = new Map([commander, ...candidates].filter(card => card?.name).map(card => [card.name.toLowerCase(), card]));
+  const basicColors = new Map(basics.map(basic => [basic.name.toLowerCase(), basic.color]));
+  const legality = validateDeck({ format: 'commander', commander: commander.name, cards }, (name) => {
+    const key = name.toLowerCase();
+    if (basicColors.has(key)) return basicLandData(basicColors.get(key));
+    return byName.has(key) ? legalityData(byName.get(key)) : null;
+  });
+
+  const curveCountsFinal = Object.fromEntries(Object.keys(curve).map(key => [key, 0]));
+  spells.forEach(card => { curveCountsFinal[curveBucket(card)] += 1; });
+  const roles = Object.fromEntries(Object.keys(ROLE_CATEGORIES).map(role => [role, 0]));
+  picks.forEach(pick => { roles[pick.role] += 1; });
+  roles.lands += basics.reduce((acc, basic) => acc + basic.quantity, 0);
+
+  return {
+    cards,
+    stats: {
+      totalCards: cards.reduce((acc, card) => acc + card.quantity, 0),
+      lands: roles.lands,
+      basicLands: basics.reduce((acc, basic) => acc + basic.quantity, 0),
+      roles,
+      curve: curveCountsFinal,
+      curveTarget: curveTargets,
+      averageManaValue: spells.length > 0
+        ? Math.round((spells.reduce((acc, card) => acc + (card.cmc || 0), 0) / spells.length) * 100) / 100
+        : 0,
+      fromInventory: picks.filter(pick => pick.entry.owned).length,
+      purchaseCost: roundPrice(picks.reduce((acc, pick) => acc + pick.entry.cost, 0)),
+      budget,
+      excluded
+    },
+    legality,
+    warnings
+  };
+}
+
+export default {
+  DEFAULT_QUOTAS,
+  DEFAULT_CURVE,
+  DEFAULT_MAX_NONBASIC_LANDS,
+  DeckBuilderError,
+  resolveQuotas,
+  resolveCurve,
+  classifyCard,
+  buildRulesDeck
+};
@@ -0,0 +1,406 @@
+import { normalizeCardName } from '../utils/cardHelpers.js';
+import { resolveOracleIds } from './cardCatalogService.js';
+import { recordChanges } from './changeHistoryService.js';
+
+/**
+ * Sales
+ * Records sales of single cards, whole deck instances and purchase lots. A sale takes
+ * copies out of inventory, releases any deck reservations on them, and costs each copy
+ * FIFO: open purchase_history layers first, then the row's purchase price, then its
+ * lot's per-card cost. Each sale writes a header to sales, one 'card' line per inventory
+ * row to sales_history and a SALE row per line to inventory_transactions.
+ * Functions take a db handle (pool or transaction client) so routes control transactions.
+ */
+
+export const SALE_TYPES = ['card', 'deck', 'lot'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Error raised for sales that can't be recorded, carrying an HTTP status for the route layer
+ */
+export class SaleError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SaleError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Pick which inventory rows a sale of `quantity` copies draws from. Rows are taken in
+ * the order given (oldest first); unreserved copies are used before reserved ones.
+ * @param {Array<{id, quantity, reserved_quantity}>} rows
+ * @returns {{takes: Array<{row, quantity}>, shortfall: number}}
+ */
+export function planFifoSale(rows, quantity) {
+  const taken = new Map();
+  let remaining = quantity;
+
+  for (const fromReserved of [false, true]) {
+    for (const row of rows) {
+      if (remaining <= 0) break;
+      const held = Number(row.quantity || 0);
+      const reserved = Math.min(Number(row.reserved_quantity || 0), held);
+      const free = fromReserved ? reserved : held - reserved;
+      const take = Math.min(free, remaining);
+      if (take <= 0) continue;
+      taken.set(row, (taken.get(row) || 0) + take);
+      remaining -= take;
+    }
+  }
+
+  const takes = rows.filter(row => taken.has(row)).map(row => ({ row, quantity: taken.get(row) }));
+  return { takes, shortfall: remaining };
+}
+
+/**
+ * Cost `quantity` units FIFO against purchase layers, falling back to a flat unit cost
+ * for units no layer covers.
+ * @param {Array<{id, quantity, quantity_sold, purchase_price}>} layers - Oldest first
+ * @param {number} fallbackUnitCost
+ * @returns {{costBasis: number, consumed: Array<{id, quantity}>}}
+ */
+export function costFifoUnits(layers, fallbackUnitCost, quantity) {
+  const consumed = [];
+  let remaining = quantity;
+  let cost = 0;
+
+  for (const layer of layers) {
+    if (remaining <= 0) break;
+    const open = Number(layer.quantity || 0) - Number(layer.quantity_sold || 0);
+    const take = Math.min(open, remaining);
+    if (take <= 0) continue;
+    cost += take * Number(layer.purchase_price || 0);
+    consumed.push({ id: layer.id, quantity: take });
+    remaining -= take;
+  }
+
+  cost += remaining * (fallbackUnitCost || 0);
+  return { costBasis: round2(cost), consumed };
+}
+
+/**
+ * Split a sale's total price across its lines in proportion to cost basis, or to
+ * quantity when nothing has a cost. The last line absorbs rounding.
+ */
+export function allocateSalePrice(lines, salePrice) {
+  const totalCost = lines.reduce((sum, line) => sum + line.costBasis, 0);
+  const totalQuantity = lines.reduce((sum, line) => sum + line.quantity, 0);
+  const weight = (line) => (totalCost > 0 ? line.costBasis / totalCost : line.quantity / totalQuantity);
+
+  let allocated = 0;
+  return lines.map((line, index) => {
+    const sellPrice = index === lines.length - 1
+      ? round2(salePrice - allocated)
+      : round2(salePrice * weight(line));
+    allocated += sellPrice;
+    return { ...line, sellPrice, profit: round2(sellPrice - line.costBasis) };
+  });
+}
+
+const INVENTORY_COLUMNS = `
+  i.id, i.name, i.quantity, i.purchase_price, i.lot_id, l.per_card_cost,
+  COALESCE((SELECT SUM(dr.quantity_reserved) FROM deck_reservations dr WHERE dr.inventory_item_id = i.id), 0) AS reserved_quantity
+`;
+
+// Oldest acquisitions first
+const FIFO_ORDER = 'ORDER BY COALESCE(i.purchase_date, TO_CHAR(i.created_at, \'YYYY-MM-DD\')) ASC, i.id ASC';
+
+/**
+ * Take `quantity` copies out of one inventory row and cost them. When the row drops
+ * below what decks have reserved, the newest reservations on it are released.
+ * The quantity change is pushed onto `changes` for recordSale to log against the sale.
+ */
+async function takeFromInventory(db, row, quantity, changes) {
+  const layersResult = await db.query(
+    `SELECT id, quantity, quantity_sold, purchase_price
+     FROM purchase_history
+     WHERE inventory_id = $1 AND quantity > quantity_sold
+     ORDER BY purchase_date ASC, id ASC
+     FOR UPDATE`,
+    [row.id]
+  );
+  const fallbackUnitCost = Number(row.purchase_price ?? row.per_card_cost ?? 0);
+  const { costBasis, consumed } = costFifoUnits(layersResult.rows || [], fallbackUnitCost, quantity);
+
+  for (const layer of consumed) {
+    await db.query('UPDATE purchase_history SET quantity_sold = quantity_sold + $1 WHERE id = $2', [layer.quantity, layer.id]);
+  }
+
+  const remaining = Number(row.quantity || 0) - quantity;
+  await db.query('UPDATE inventory SET quantity = $1 WHERE id = $2', [remaining, row.id]);
+  changes.push({ cardId: row.id, cardName: row.name, field: 'quantity', oldValue: Number(row.quantity || 0), newValue: remaining, action: 'sale' });
+
+  const excess = Number(row.reserved_quantity || 0) - remaining;
+  if (excess > 0) await releaseReservations(db, row.id, excess);
+
+  return { inventoryId: row.id, name: row.name, quantity, costBasis };
+}
+
+/**
+ * Give back `quantity` reserved copies of an inventory row, newest reservation first
+ */
+async function releaseReservations(db, inventoryId, quantity) {
+  const result = await db.query(
+    `SELECT id, quantity_reserved FROM deck_reservations
+     WHERE inventory_item_id = $1
+     ORDER BY reserved_at DESC, id DESC`,
+    [inventoryId]
+  );
+
+  let remaining = quantity;
+  for (const reservation of result.rows || []) {
+    if (remaining <= 0) break;
+    const reserved = Number(reservation.quantity_reserved);
+    if (reserved <= remaining) {
+      await db.query('DELETE FROM deck_reservations WHERE id = $1', [reservation.id]);
+      remaining -= reserved;
+    } else {
+      await db.query('UPDATE deck_reservations SET quantity_reserved = $1 WHERE id = $2', [reserved - remaining, reservation.id]);
+      remaining = 0;
+    }
+  }
+}
+
+/**
+ * Write the sale header, its sales_history lines, SALE transactions and the inventory changes
+ */
+async function recordSale(db, userId, { saleType, itemName, deckId = null, lotId = null, salePrice, saleDate, notes }, lines, changes) {
+  const pricedLines = allocateSalePrice(lines, salePrice);
+  const quantity = pricedLines.reduce((sum, line) => sum + line.quantity, 0);
+  const costBasis = round2(pricedLines.reduce((sum, line) => sum + line.costBasis, 0));
+  const profit = round2(salePrice - costBasis);
+
+  const saleResult = await db.query(
+    `INSERT INTO sales (user_id, sale_type, item_name, quantity, sale_price, cost_basis, profit, deck_id, lot_id, sale_date, notes)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10, TO_CHAR(CURRENT_DATE, 'YYYY-MM-DD')), $11)
+     RETURNING *`,
+    [userId, saleType, itemName, quantity, salePrice, costBasis, profit, deckId, lotId, saleDate ?? null, notes ?? null]
+  );
+  const sale = saleResult.rows[0];
+
+  for (const line of pricedLines) {
+    // sales_history holds line totals; inventory_transactions holds unit prices like the PURCHASE rows
+    const unitCost = round2(line.costBasis / line.quantity);
+    const unitSellPrice = round2(line.sellPrice / line.quantity);
+    await db.query(
+      `INSERT INTO sales_history (user_id, sale_id, inventory_id, item_type, item_id, item_name, purchase_price, sell_price, profit, quantity)
+       VALUES ($1, $2, $3, 'card', $3, $4, $5, $6, $7, $8)`,
+      [userId, sale.id, line.inventoryId, line.name, line.costBasis, line.sellPrice, line.profit, line.quantity]
+    );
+    await db.query(
+      `INSERT INTO inventory_transactions (user_id, sale_id, card_name, transaction_type, quantity, purchase_price, sale_price, transaction_date)
+       VALUES ($1, $2, $3, 'SALE', $4, $5, $6, COALESCE($7::date, CURRENT_DATE))`,
+      [userId, sale.id, line.name, line.quantity, unitCost, unitSellPrice, saleDate ?? null]
+    );
+  }
+
+  await recordChanges(db, userId, changes.map(change => ({ ...change, context: { saleId: sale.id } })));
+
+  return {
+    id: sale.id,
+    saleType,
+    itemName,
+    quantity,
+    salePrice,
+    costBasis,
+    profit,
+    saleDate: sale.sale_date,
+    lines: pricedLines
+  };
+}
+
+/**
+ * Sell copies of one card, chosen by inventory row or by name (any printing, oldest first)
+ * @param {{inventoryId?: number, name?: string, quantity: number, salePrice: number, saleDate?: string, notes?: string}} sale
+ */
+export async function sellCards(db, userId, { inventoryId, name, quantity, salePrice, saleDate, notes }) {
+  let rows;
+  if (inventoryId) {
+    const result = await db.query(
+      `SELECT ${INVENTORY_COLUMNS}
+       FROM inventory i LEFT JOIN purchase_lots l ON l.id = i.lot_id
+       WHERE i.id = $1 AND i.user_id = $2
+       FOR UPDATE OF i`,
+      [inventoryId, userId]
+    );
+    rows = result.rows || [];
+    if (rows.length === 0) throw new SaleError('Inventory item not found', 404);
+  } else {
+    const oracleId = (await resolveOracleIds(db, [name])).get(normalizeCardName(name)) || null;
+    const result = await db.query(
+      `SELECT ${INVENTORY_COLUMNS}
+       FROM inventory i LEFT JOIN purchase_lots l ON l.id = i.lot_id
+       WHERE i.user_id = $1
+         AND COALESCE(i.quantity, 0) > 0
+         AND (i.oracle_id = $2 OR (i.oracle_id IS NULL AND LOWER(TRIM(i.name)) = LOWER(TRIM($3))))
+       ${FIFO_ORDER}
+       FOR UPDATE OF i`,
+      [userId, oracleId, name]
+    );
+    rows = result.rows || [];
+  }
+
+  const { takes, shortfall } = planFifoSale(rows, quantity);
+  if (shortfall > 0) {
+    throw new SaleError(`Only ${quantity - shortfall} of ${quantity} copies are in inventory`, 409);
+  }
+
+  const lines = [];
+  const changes = [];
+  for (const take of takes) lines.push(await takeFromInventory(db, take.row, take.quantity, changes));
+
+  return recordSale(db, userId, { saleType: 'card', itemName: rows[0].name, salePrice, saleDate, notes }, lines, changes);
+}
+
+/**
+ * Sell a deck instance: every reserved copy leaves inventory and the instance is deleted
+ */
+export async function sellDeckInstance(db, userId, deckId, { salePrice, saleDate, notes }) {
+  const deckResult = await db.query(
+    'SELECT id, name FROM decks WHERE id = $1 AND user_id = $2 AND is_deck_instance = TRUE FOR UPDATE',
+    [deckId, userId]
+  );
+  const deck = deckResult.rows[0];
+  if (!deck) throw new SaleError('Deck instance not found', 404);
+
+  // One row per inventory item: a deck can hold several reservations on the same copy
+  // (a card listed twice, or a substitute reusing a reserved item)
+  const result = await db.query(
+    `SELECT i.id, i.name, i.quantity, i.purchase_price, i.lot_id, l.per_card_cost, dr.deck_quantity
+     FROM (
+       SELECT inventory_item_id, SUM(quantity_reserved) AS deck_quantity
+       FROM deck_reservations
+       WHERE deck_id = $1
+       GROUP BY inventory_item_id
+     ) dr
+     JOIN inventory i ON i.id = dr.inventory_item_id
+     LEFT JOIN purchase_lots l ON l.id = i.lot_id
+     WHERE dr.deck_id = $1 AND i.user_id = $2
+     ${FIFO_ORDER}
+     FOR UPDATE OF i`,
+    [deckId, userId]
+  );
+  const rows = result.rows || [];
+  if (rows.length === 0) throw new SaleError('Deck instance has no reserved cards to sell', 409);
+
+  // This deck's reservations go away with the deck, so nothing else needs releasing
+  await db.query('DELETE FROM deck_reservations WHERE deck_id = $1', [deckId]);
+
+  const lines = [];
+  const changes = [];
+  for (const row of rows) {
+    const quantity = Math.min(Number(row.deck_quantity), Number(row.quantity || 0));
+    if (quantity <= 0) continue;
+    lines.push(await takeFromInventory(db, { ...row, reserved_quantity: 0 }, quantity, changes));
+  }
+
+  await db.query('DELETE FROM deck_missing_cards WHERE deck_id = $1', [deckId]);
+  await db.query('DELETE FROM decks WHERE id = $1 AND is_deck_instance = TRUE', [deckId]);
+
+  return recordSale(db, userId, { saleType: 'deck', itemName: deck.name, deckId, salePrice, saleDate, notes }, lines, changes);
+}
+
+/**
+ * Sell every copy still held from a purchase lot, including copies reserved by decks
+ */
+export async function sellLot(db, userId, lotId, { salePrice, saleDate, notes }) {
+  const result = await db.query(
+    `SELECT ${INVENTORY_COLUMNS}, COALESCE(l.name, i.lot_name) AS lot_name
+     FROM inventory i LEFT JOIN purchase_lots l ON l.id = i.lot_id
+     WHERE i.lot_id = $1 AND i.user_id = $2 AND COALESCE(i.quantity, 0) > 0
+     ${FIFO_ORDER}
+     FOR UPDATE OF i`,
+    [lotId, userId]
+  );
+  const rows = result.rows || [];
+  if (rows.length === 0) throw new SaleError('Lot not found or has no cards left to sell', 404);
+
+  const lines = [];
+  const changes = [];
+  for (const row of rows) lines.push(await takeFromInventory(db, row, Number(row.quantity), changes));
+
+  return recordSale(db, userId, { saleType: 'lot', itemName: rows[0].lot_name || `Lot #${lotId}`, lotId, salePrice, saleDate, notes }, lines, changes);
+}
+
+/**
+ * Card sale lines, newest first, in the shape the threshold calculator reads
+ * @param {{days?: number, limit?: number}} [options]
+ */
+export async function listSales(db, userId, { days = null, limit = 500 } = {}) {
+  const result = await db.query(
+    `SELECT sh.id, sh.sale_id, s.sale_type, sh.inventory_id, sh.item_name, sh.quantity,
+            sh.purchase_price, sh.sell_price, sh.profit, sh.created_at
+     FROM sales_history sh
+     LEFT JOIN sales s ON s.id = sh.sale_id
+     WHERE sh.user_id = $1
+       AND sh.item_type = 'card'
+       AND ($2::int IS NULL OR sh.created_at >= NOW() - make_interval(days => $2::int))
+     ORDER BY sh.created_at DESC, sh.id DESC
+     LIMIT $3`,
+    [userId, days, limit]
+  );
+
+  return (result.rows || []).map(row => ({
+    id: row.id,
+    sale_id: row.sale_id,
+    sale_type: row.sale_type ?? null,
+    inventory_id: row.inventory_id,
+    card_name: row.item_name,
+    quantity: Number(row.quantity),
+    purchase_price: Number(row.purchase_price),
+    sell_price: Number(row.sell_price),
+    profit: Number(row.profit),
+    created_at: row.created_at
+  }));
+}
+
+/**
+ * Realized revenue, cost and profit per sale type over the last `days` days
+ */
+export async function getSalesSummary(db, userId, { days = null } = {}) {
+  const result = await db.query(
+    `SELECT sale_type, COUNT(*) AS sales, SUM(quantity) AS cards,
+            SUM(sale_price) AS revenue, SUM(cost_basis) AS cost_basis, SUM(profit) AS profit
+     FROM sales
+     WHERE user_id = $1
+       AND sale_type IS NOT NULL
+       AND ($2::int IS NULL OR created_at >= NOW() - make_interval(days => $2::int))
+     GROUP BY sale_type`,
+    [userId, days]
+  );
+
+  const totals = { sales: 0, cards: 0, revenue: 0, costBasis: 0, profit: 0 };
+  const byType = {};
+  for (const row of result.rows || []) {
+    const entry = {
+      sales: Number(row.sales),
+      cards: Number(row.cards || 0),
+      revenue: round2(Number(row.revenue || 0)),
+      costBasis: round2(Number(row.cost_basis || 0)),
+      profit: round2(Number(row.profit || 0))
+    };
+    byType[row.sale_type] = entry;
+    for (const key of Object.keys(totals)) totals[key] += entry[key];
+  }
+
+  return {
+    days,
+    totals: { ...totals, revenue: round2(totals.revenue), costBasis: round2(totals.costBasis), profit: round2(totals.profit) },
+    byType
+  };
+}
+
+export default {
+  SALE_TYPES,
+  SaleError,
+  planFifoSale,
+  costFifoUnits,
+  allocateSalePrice,
+  sellCards,
+  sellDeckInstance,
+  sellLot,
+  listSales,
+  getSalesSummary
+};
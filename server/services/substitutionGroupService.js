@@ -0,0 +1,221 @@
+/**
+ * Substitution Group Service
+ * A user's groups of interchangeable cards (budget dual lands, alternative mana rocks),
+ * matched by card name. When a deck is filled with substitutes allowed, a missing card can
+ * be covered by a spare copy of another card in its group. A card belongs to at most one
+ * of a user's groups. Groups without an owner are the shared autobuy groups, which this
+ * service never lists or changes.
+ */
+
+// Matches LOWER(TRIM(card_name)) in the queries below
+const normalizeKey = (name) => String(name || '').toLowerCase().trim();
+
+/**
+ * Error raised for invalid group changes, carrying an HTTP status for the route layer
+ */
+export class SubstitutionGroupError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SubstitutionGroupError';
+    this.statusCode = statusCode;
+  }
+}
+
+const toGroup = (row, cardRows) => ({
+  id: row.id,
+  name: row.name,
+  description: row.description ?? null,
+  cards: cardRows.map(card => ({ id: card.id, name: card.card_name })),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+async function loadCards(db, groupIds) {
+  if (groupIds.length === 0) return new Map();
+  const result = await db.query(
+    'SELECT id, group_id, card_name FROM substitution_group_cards WHERE group_id = ANY($1::int[]) ORDER BY card_name',
+    [groupIds]
+  );
+  const byGroup = new Map();
+  for (const card of result.rows) {
+    if (!byGroup.has(card.group_id)) byGroup.set(card.group_id, []);
+    byGroup.get(card.group_id).push(card);
+  }
+  return byGroup;
+}
+
+async function findGroupRow(db, userId, groupId) {
+  const result = await db.query(
+    'SELECT * FROM substitution_groups WHERE id = $1 AND user_id = $2',
+    [groupId, userId]
+  );
+  if (result.rows.length === 0) throw new SubstitutionGroupError('Substitution group not found', 404);
+  return result.rows[0];
+}
+
+/**
+ * Reject cards that are repeated or already in another of the user's groups
+ */
+async function assertUngrouped(db, userId, names, exceptGroupId = null) {
+  const normalized = names.map(normalizeKey);
+  const repeated = names.filter((name, index) => normalized.indexOf(normalized[index]) !== index);
+  if (repeated.length > 0) {
+    throw new SubstitutionGroupError(`Cards listed more than once: ${[...new Set(repeated)].join(', ')}`);
+  }
+
+  const result = await db.query(
+    `SELECT sgc.card_name, g.id AS group_id, g.name AS group_name
+     FROM substitution_group_cards sgc
+     JOIN substitution_groups g ON g.id = sgc.group_id
+     WHERE g.user_id = $1 AND LOWER(TRIM(sgc.card_name)) = ANY($2::text[])`,
+    [userId, normalized]
+  );
+  const conflicts = result.rows.filter(row => row.group_id !== exceptGroupId);
+  if (conflicts.length > 0) {
+    const list = conflicts.map(row => `${row.card_name} (${row.group_name})`).join(', ');
+    throw new SubstitutionGroupError(`Cards already in another group: ${list}`, 409);
+  }
+  const sameGroup = result.rows.filter(row => row.group_id === exceptGroupId);
+  if (sameGroup.length > 0) {
+    throw new SubstitutionGroupError(`Already in this group: ${sameGroup.map(row => row.card_name).join(', ')}`, 409);
+  }
+}
+
+async function insertCards(db, groupId, names) {
+  if (names.length === 0) return;
+  const params = [];
+  const placeholders = names.map(name => {
+    params.push(groupId, name);
+    return `($${params.length - 1}, $${params.length})`;
+  });
+  await db.query(
+    `INSERT INTO substitution_group_cards (group_id, card_name) VALUES ${placeholders.join(', ')}`,
+    params
+  );
+}
+
+/**
+ * A user's groups with their cards, ordered by name
+ */
+export async function listSubstitutionGroups(db, userId) {
+  const result = await db.query(
+    'SELECT * FROM substitution_groups WHERE user_id = $1 ORDER BY name, id',
+    [userId]
+  );
+  const cards = await loadCards(db, result.rows.map(row => row.id));
+  return result.rows.map(row => toGroup(row, cards.get(row.id) || []));
+}
+
+export async function getSubstitutionGroup(db, userId, groupId) {
+  const row = await findGroupRow(db, userId, groupId);
+  const cards = await loadCards(db, [row.id]);
+  return toGroup(row, cards.get(row.id) || []);
+}
+
+/**
+ * Create a group. Run inside a transaction.
+ * @param {{name: string, description?: string|null, cards?: Array<string>}} group - Parsed substitutionGroupSchema
+ */
+export async function createSubstitutionGroup(db, userId, { name, description = null, cards = [] }) {
+  await assertUngrouped(db, userId, cards);
+  const result = await db.query(
+    'INSERT INTO substitution_groups (user_id, name, description) VALUES ($1, $2, $3) RETURNING *',
+    [userId, name, description]
+  );
+  await insertCards(db, result.rows[0].id, cards);
+  return getSubstitutionGroup(db, userId, result.rows[0].id);
+}
+
+/**
+ * Rename or re-describe a group
+ */
+export async function updateSubstitutionGroup(db, userId, groupId, { name, description }) {
+  await findGroupRow(db, userId, groupId);
+  const sets = [];
+  const params = [];
+  if (name !== undefined) {
+    params.push(name);
+    sets.push(`name = $${params.length}`);
+  }
+  if (description !== undefined) {
+    params.push(description);
+    sets.push(`description = $${params.length}`);
+  }
+  if (sets.length > 0) {
+    params.push(groupId);
+    await db.query(
+      `UPDATE substitution_groups SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $${params.length}`,
+      params
+    );
+  }
+  return getSubstitutionGroup(db, userId, groupId);
+}
+
+export async function deleteSubstitutionGroup(db, userId, groupId) {
+  const result = await db.query(
+    'DELETE FROM substitution_groups WHERE id = $1 AND user_id = $2 RETURNING id',
+    [groupId, userId]
+  );
+  if (result.rows.length === 0) throw new SubstitutionGroupError('Substitution group not found', 404);
+}
+
+/**
+ * Add cards to a group. Run inside a transaction.
+ */
+export async function addSubstitutionGroupCards(db, userId, groupId, cards) {
+  await findGroupRow(db, userId, groupId);
+  await assertUngrouped(db, userId, cards, groupId);
+  await insertCards(db, groupId, cards);
+  await db.query('UPDATE substitution_groups SET updated_at = NOW() WHERE id = $1', [groupId]);
+  return getSubstitutionGroup(db, userId, groupId);
+}
+
+export async function removeSubstitutionGroupCard(db, userId, groupId, cardId) {
+  await findGroupRow(db, userId, groupId);
+  const result = await db.query(
+    'DELETE FROM substitution_group_cards WHERE id = $1 AND group_id = $2 RETURNING id',
+    [cardId, groupId]
+  );
+  if (result.rows.length === 0) throw new SubstitutionGroupError('Card is not in this group', 404);
+  await db.query('UPDATE substitution_groups SET updated_at = NOW() WHERE id = $1', [groupId]);
+  return getSubstitutionGroup(db, userId, groupId);
+}
+
+/**
+ * The other cards in each named card's group, in group order
+ * @param {Array<string>} names - Decklist card names
+ * @returns {Promise<Map<string, Array<string>>>} normalized name -> substitute card names
+ */
+export async function findSubstitutes(db, userId, names) {
+  const normalized = [...new Set((names || []).map(normalizeKey).filter(Boolean))];
+  if (normalized.length === 0) return new Map();
+
+  const result = await db.query(
+    `SELECT LOWER(TRIM(member.card_name)) AS wanted, other.card_name AS substitute
+     FROM substitution_group_cards member
+     JOIN substitution_groups g ON g.id = member.group_id AND g.user_id = $1
+     JOIN substitution_group_cards other ON other.group_id = member.group_id AND other.id <> member.id
+     WHERE LOWER(TRIM(member.card_name)) = ANY($2::text[])
+     ORDER BY other.id`,
+    [userId, normalized]
+  );
+
+  const substitutes = new Map();
+  for (const { wanted, substitute } of result.rows) {
+    if (!substitutes.has(wanted)) substitutes.set(wanted, []);
+    substitutes.get(wanted).push(substitute);
+  }
+  return substitutes;
+}
+
+export default {
+  SubstitutionGroupError,
+  listSubstitutionGroups,
+  getSubstitutionGroup,
+  createSubstitutionGroup,
+  updateSubstitutionGroup,
+  deleteSubstitutionGroup,
+  addSubstitutionGroupCards,
+  removeSubstitutionGroupCard,
+  findSubstitutes
+};
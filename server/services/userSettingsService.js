@@ -0,0 +1,95 @@
+/**
+ * Per-user settings
+ * Reads and writes user_settings rows. Every key has a zod schema and a default in
+ * server/utils/validation.js; reads fill in defaults for keys the user never stored,
+ * and stored values that no longer match their schema fall back to the default.
+ */
+
+import { USER_SETTING_SCHEMAS, USER_SETTING_DEFAULTS } from '../utils/validation.js';
+
+export const USER_SETTING_KEYS = Object.keys(USER_SETTING_SCHEMAS);
+
+/**
+ * Whether a key names a per-user setting
+ */
+export function isUserSettingKey(key) {
+  return Object.prototype.hasOwnProperty.call(USER_SETTING_SCHEMAS, key);
+}
+
+/**
+ * A stored value if it still matches the key's schema, otherwise the key's default
+ */
+function resolveValue(key, value) {
+  const result = USER_SETTING_SCHEMAS[key].safeParse(value);
+  return result.success ? result.data : USER_SETTING_DEFAULTS[key];
+}
+
+/**
+ * All of a user's settings, with defaults for anything not stored
+ * @returns {Promise<{settings: Object, updatedAt: Object}>} updatedAt holds only the keys the user has stored
+ */
+export async function getUserSettings(db, userId) {
+  const result = await db.query(
+    'SELECT key, value, updated_at FROM user_settings WHERE user_id = $1 AND key = ANY($2::text[])',
+    [userId, USER_SETTING_KEYS]
+  );
+
+  const settings = { ...USER_SETTING_DEFAULTS };
+  const updatedAt = {};
+  for (const row of result.rows || []) {
+    settings[row.key] = resolveValue(row.key, row.value);
+    updatedAt[row.key] = row.updated_at;
+  }
+  return { settings, updatedAt };
+}
+
+/**
+ * One of a user's settings, or its default
+ */
+export async function getUserSetting(db, userId, key) {
+  const result = await db.query(
+    'SELECT value FROM user_settings WHERE user_id = $1 AND key = $2',
+    [userId, key]
+  );
+  return result.rows.length > 0 ? resolveValue(key, result.rows[0].value) : USER_SETTING_DEFAULTS[key];
+}
+
+/**
+ * Store settings that have already been validated against their schemas
+ * @param {Object} values - Setting values by key
+ * @param {{onlyMissing?: boolean}} [options] - Skip keys the user already has a value for
+ * @returns {Promise<Array<string>>} Keys that were written
+ */
+export async function setUserSettings(db, userId, values, { onlyMissing = false } = {}) {
+  const rows = Object.entries(values).map(([key, value]) => ({ key, value }));
+  if (rows.length === 0) return [];
+
+  // A null setting value comes out of the recordset as SQL NULL, so it is stored as JSON null
+
+  const result = await db.query(`
+    INSERT INTO user_settings (user_id, key, value)
+    SELECT $1, r.key, COALESCE(r.value, 'null'::jsonb)
+    FROM jsonb_to_recordset($2::jsonb) AS r(key VARCHAR, value JSONB)
+    ON CONFLICT (user_id, key) DO ${onlyMissing ? 'NOTHING' : 'UPDATE SET value = EXCLUDED.value, updated_at = NOW()'}
+    RETURNING key
+  `, [userId, JSON.stringify(rows)]);
+
+  return (result.rows || []).map(row => row.key);
+}
+
+/**
+ * Forget a stored setting so it reads as its default again
+ */
+export async function resetUserSetting(db, userId, key) {
+  await db.query('DELETE FROM user_settings WHERE user_id = $1 AND key = $2', [userId, key]);
+  return USER_SETTING_DEFAULTS[key];
+}
+
+export default {
+  USER_SETTING_KEYS,
+  isUserSettingKey,
+  getUserSettings,
+  getUserSetting,
+  setUserSettings,
+  resetUserSetting
+};
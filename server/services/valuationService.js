@@ -0,0 +1,197 @@
+/**
+ * Inventory valuation
+ * Values a user's inventory against current MTGJSON prices and attributes cost basis,
+ * unrealized gain and reserved/available value to each card, folder and purchase lot.
+ * Functions take a db handle (pool or transaction client).
+ */
+
+import { PRICE_SOURCES } from './priceHistoryService.js';
+
+export const VALUATION_SOURCES = PRICE_SOURCES;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+/**
+ * Current unit prices for an inventory row from each source.
+ * Foil rows use the foil price when the source has one.
+ * @param {{scryfall_id: string, foil: boolean}} row
+ * @param {{getPriceSnapshotByScryfallId: Function}} priceSource - mtgjsonService
+ * @returns {{tcg: number|null, ck: number|null}}
+ */
+export function getUnitPrices(row, priceSource) {
+  const snapshot = row.scryfall_id ? priceSource.getPriceSnapshotByScryfallId(row.scryfall_id) : null;
+  if (!snapshot) return { tcg: null, ck: null };
+  return {
+    tcg: (row.foil ? snapshot.tcgRetailFoil : null) ?? snapshot.tcgRetail ?? null,
+    ck: (row.foil ? snapshot.ckRetailFoil : null) ?? snapshot.ckRetail ?? null
+  };
+}
+
+/**
+ * Value one inventory row. Cost basis is the row's purchase price, falling back to
+ * the lot's per-card cost; gain is only reported when both cost and price are known.
+ */
+export function valueInventoryRow(row, priceSource, source = 'tcg') {
+  const quantity = Number(row.quantity || 0);
+  const reserved = Math.min(Number(row.reserved_quantity || 0), quantity);
+  const unitCost = toNumber(row.purchase_price) ?? toNumber(row.per_card_cost);
+  const prices = getUnitPrices(row, priceSource);
+  const unitPrice = prices[source];
+
+  const costBasis = unitCost === null ? null : round2(unitCost * quantity);
+  const marketValue = unitPrice === null ? null : round2(unitPrice * quantity);
+
+  return {
+    id: row.id,
+    name: row.name,
+    set: row.set,
+    foil: !!row.foil,
+    quality: row.quality,
+    folder: row.folder || 'Uncategorized',
+    lotId: row.lot_id ?? null,
+    lotName: row.lot_name ?? null,
+    quantity,
+    reservedQuantity: reserved,
+    availableQuantity: quantity - reserved,
+    unitCost,
+    unitPrices: prices,
+    unitPrice,
+    costBasis,
+    marketValue,
+    unrealizedGain: costBasis === null || marketValue === null ? null : round2(marketValue - costBasis),
+    reservedValue: unitPrice === null ? null : round2(unitPrice * reserved),
+    availableValue: unitPrice === null ? null : round2(unitPrice * (quantity - reserved))
+  };
+}
+
+function emptyTotals() {
+  return {
+    cards: 0,
+    pricedCards: 0,
+    costedCards: 0,
+    costBasis: 0,
+    marketValue: 0,
+    unrealizedGain: 0,
+    reservedValue: 0,
+    availableValue: 0
+  };
+}
+
+function addToTotals(totals, item) {
+  totals.cards += item.quantity;
+  if (item.marketValue !== null) {
+    totals.pricedCards += item.quantity;
+    totals.marketValue += item.marketValue;
+    totals.reservedValue += item.reservedValue;
+    totals.availableValue += item.availableValue;
+  }
+  if (item.costBasis !== null) {
+    totals.costedCards += item.quantity;
+    totals.costBasis += item.costBasis;
+  }
+  if (item.unrealizedGain !== null) totals.unrealizedGain += item.unrealizedGain;
+}
+
+function finishTotals(totals) {
+  const finished = {
+    ...totals,
+    costBasis: round2(totals.costBasis),
+    marketValue: round2(totals.marketValue),
+    unrealizedGain: round2(totals.unrealizedGain),
+    reservedValue: round2(totals.reservedValue),
+    availableValue: round2(totals.availableValue)
+  };
+  // Return on cost, as a fraction; null when nothing has a known cost
+  finished.returnOnCost = finished.costBasis > 0 ? Math.round((finished.unrealizedGain / finished.costBasis) * 10000) / 10000 : null;
+  return finished;
+}
+
+/**
+ * Roll valued rows up into totals, per-folder and per-lot summaries.
+ * Lots are sorted by unrealized gain so the best performing lots come first.
+ */
+export function summarizeValuation(items) {
+  const totals = emptyTotals();
+  const folders = new Map();
+  const lots = new Map();
+
+  for (const item of items) {
+    addToTotals(totals, item);
+
+    if (!folders.has(item.folder)) folders.set(item.folder, { folder: item.folder, ...emptyTotals() });
+    addToTotals(folders.get(item.folder), item);
+
+    if (item.lotId !== null) {
+      if (!lots.has(item.lotId)) lots.set(item.lotId, { lotId: item.lotId, lotName: item.lotName, ...emptyTotals() });
+      addToTotals(lots.get(item.lotId), item);
+    }
+  }
+
+  return {
+    totals: finishTotals(totals),
+    byFolder: [...folders.values()].map(finishTotals).sort((a, b) => b.marketValue - a.marketValue),
+    byLot: [...lots.values()].map(finishTotals).sort((a, b) => b.unrealizedGain - a.unrealizedGain)
+  };
+}
+
+/**
+ * Valuation report for a user's inventory
+ * @param {{source?: 'tcg'|'ck', folder?: string, lotId?: number, search?: string}} [options]
+ * @param {{getPriceSnapshotByScryfallId: Function}} priceSource - mtgjsonService
+ * @returns {Promise<{source, totals, byFolder, byLot, items}>} Items sorted by market value, highest first
+ */
+export async function getInventoryValuation(db, userId, { source = 'tcg', folder = null, lotId = null, search = null } = {}, priceSource) {
+  const result = await db.query(`
+    SELECT i.id, i.name, i.set, i.foil, i.quality, i.folder, i.quantity, i.scryfall_id,
+      i.purchase_price, i.lot_id, COALESCE(l.name, i.lot_name) AS lot_name, l.per_card_cost,
+      COALESCE(r.reserved_quantity, 0) AS reserved_quantity
+    FROM inventory i
+    LEFT JOIN purchase_lots l ON l.id = i.lot_id
+    LEFT JOIN (
+      SELECT inventory_item_id, SUM(quantity_reserved) AS reserved_quantity
+      FROM deck_reservations
+      GROUP BY inventory_item_id
+    ) r ON r.inventory_item_id = i.id
+    WHERE i.user_id = $1
+      AND COALESCE(i.quantity, 0) > 0
+      AND ($2::text IS NULL OR i.folder = $2)
+      AND ($3::int IS NULL OR i.lot_id = $3)
+      AND ($4::text IS NULL OR i.name ILIKE '%' || $4 || '%')
+    ORDER BY i.name ASC, i.id ASC
+  `, [userId, folder, lotId, search]);
+
+  const items = (result.rows || [])
+    .map(row => valueInventoryRow(row, priceSource, source))
+    .sort((a, b) => (b.marketValue ?? -1) - (a.marketValue ?? -1));
+
+  return { source, ...summarizeValuation(items), items };
+}
+
+export const VALUATION_CSV_COLUMNS = [
+  { key: 'id', header: 'Inventory ID' },
+  { key: 'name', header: 'Name' },
+  { key: 'set', header: 'Set' },
+  { key: 'foil', header: 'Foil' },
+  { key: 'quality', header: 'Condition' },
+  { key: 'folder', header: 'Folder' },
+  { key: 'lotName', header: 'Lot' },
+  { key: 'quantity', header: 'Quantity' },
+  { key: 'reservedQuantity', header: 'Reserved' },
+  { key: 'unitCost', header: 'Unit Cost' },
+  { key: 'unitPrice', header: 'Unit Price' },
+  { key: 'costBasis', header: 'Cost Basis' },
+  { key: 'marketValue', header: 'Market Value' },
+  { key: 'unrealizedGain', header: 'Unrealized Gain' },
+  { key: 'reservedValue', header: 'Reserved Value' },
+  { key: 'availableValue', header: 'Available Value' }
+];
+
+export default {
+  VALUATION_SOURCES,
+  VALUATION_CSV_COLUMNS,
+  getUnitPrices,
+  valueInventoryRow,
+  summarizeValuation,
+  getInventoryValuation
+};
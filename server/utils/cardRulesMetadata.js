@@ -0,0 +1,62 @@
+/**
+ * Deckbuilding rules metadata pulled from MTGJSON card entries
+ * Kept alongside the card metadata cache so deck legality checks don't need oracle text at request time
+ */
+
+// Formats the deck legality validator understands
+export const LEGALITY_FORMATS = ['commander', 'standard', 'modern', 'pioneer', 'pauper'];
+
+const NUMBER_WORDS = { two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+/**
+ * Legality per checked format, lowercased ('legal', 'banned', 'restricted').
+ * Formats missing from MTGJSON's legalities mean the card isn't legal there.
+ */
+function pickLegalities(legalities = {}) {
+  const picked = {};
+  for (const format of LEGALITY_FORMATS) {
+    if (legalities[format]) picked[format] = legalities[format].toLowerCase();
+  }
+  return picked;
+}
+
+/**
+ * Which partner-style ability lets this card share the command zone
+ * @returns {{partner: string|null, partnerWith: string|null}}
+ */
+function partnerAbility(text) {
+  const partnerWith = text.match(/Partner with ([^(\n]+?)\s*(?:\(|\n|$)/);
+  if (partnerWith) return { partner: 'partner-with', partnerWith: partnerWith[1].trim() };
+  if (/^Partner\s*(?:\(|$)/m.test(text)) return { partner: 'partner', partnerWith: null };
+  if (/^Friends forever/m.test(text)) return { partner: 'friends-forever', partnerWith: null };
+  if (/Choose a Background/.test(text)) return { partner: 'background', partnerWith: null };
+  if (/Doctor's companion/.test(text)) return { partner: 'doctors-companion', partnerWith: null };
+  return { partner: null, partnerWith: null };
+}
+
+/**
+ * Copies allowed by the card's own text ("any number of cards named", "up to seven cards named")
+ * @returns {'any'|number|null} null when the format's normal limit applies
+ */
+function deckLimit(text) {
+  if (/A deck can have any number of cards named/.test(text)) return 'any';
+  const upTo = text.match(/A deck can have up to (\w+) cards named/);
+  return upTo ? NUMBER_WORDS[upTo[1].toLowerCase()] || null : null;
+}
+
+/**
+ * Rules fields merged into each cardDataByName entry
+ * @param {Object} cardData - MTGJSON AllIdentifiers card entry
+ */
+export function extractCardRules(cardData) {
+  const text = cardData.text || '';
+  return {
+    legalities: pickLegalities(cardData.legalities),
+    canBeCommander: Boolean(cardData.leadershipSkills?.commander),
+    companion: (cardData.keywords || []).includes('Companion'),
+    ...partnerAbility(text),
+    deckLimit: deckLimit(text)
+  };
+}
+
+export default { LEGALITY_FORMATS, extractCardRules };
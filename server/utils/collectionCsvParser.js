@@ -0,0 +1,283 @@
+/**
+ * Collection file parser (Server-side)
+ * Mirrors the parsing and format detection in src/hooks/useFileImport.js so server-side
+ * import jobs read Moxfield, Deckbox, TCGPlayer, Archidekt, Manabox and plain text
+ * lists exactly as the browser importer does.
+ */
+
+export const IMPORT_FORMATS = ['moxfield', 'deckbox', 'tcgplayer', 'archidekt', 'manabox', 'simple'];
+
+/**
+ * Column mappings for different CSV formats
+ */
+const COLUMN_MAPPINGS = {
+  moxfield: {
+    quantity: ['count', 'quantity'],
+    name: ['name'],
+    set: ['edition', 'set'],
+    condition: ['condition'],
+    foil: ['foil'],
+    price: ['purchase price', 'price'],
+    collector_number: ['collector number'],
+  },
+  deckbox: {
+    quantity: ['count'],
+    name: ['name'],
+    set: ['edition'],
+    condition: ['condition'],
+    foil: ['foil'],
+    language: ['language'],
+    price: ['price'],
+  },
+  tcgplayer: {
+    quantity: ['quantity'],
+    name: ['card name', 'name'],
+    set_name: ['set name'],
+    condition: ['condition'],
+    foil: ['printing'],
+    price: ['tcg marketplace price', 'price'],
+  },
+  archidekt: {
+    quantity: ['count', 'quantity'],
+    name: ['name'],
+    set: ['edition', 'set'],
+    condition: ['condition'],
+    foil: ['foil'],
+    price: ['purchase price', 'price'],
+    collector_number: ['collector number'],
+  },
+  manabox: {
+    quantity: ['quantity'],
+    name: ['name'],
+    set: ['set code'],
+    set_name: ['set name'],
+    condition: ['condition'],
+    foil: ['foil'],
+    price: ['purchase price'],
+    collector_number: ['collector number'],
+    language: ['language'],
+    scryfall_id: ['scryfall id'],
+  },
+};
+
+/**
+ * Condition mapping to normalize different formats
+ */
+const CONDITION_MAP = {
+  'near mint': 'NM',
+  'near_mint': 'NM',
+  'nm': 'NM',
+  'lightly played': 'LP',
+  'lightly_played': 'LP',
+  'lp': 'LP',
+  'moderately played': 'MP',
+  'moderately_played': 'MP',
+  'mp': 'MP',
+  'heavily played': 'HP',
+  'heavily_played': 'HP',
+  'hp': 'HP',
+  'damaged': 'DMG',
+  'dmg': 'DMG',
+};
+
+const normalizeCondition = (condition) => {
+  if (!condition) return 'NM';
+  return CONDITION_MAP[condition.toLowerCase().trim()] || 'NM';
+};
+
+const parseFoil = (value) => {
+  if (!value) return false;
+  return ['yes', 'true', 'foil', '1', 'etched'].includes(value.toLowerCase().trim());
+};
+
+/**
+ * Parse a CSV line handling quoted fields with commas
+ * @param {string} line - CSV line to parse
+ * @returns {string[]} Parsed fields
+ */
+export function parseCSVLine(line) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (char === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (char === ',' && !inQuotes) {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  fields.push(current.trim());
+  return fields;
+}
+
+/**
+ * Parse simple text format: "4x Card Name", "4 Card Name", "Card Name", "4x Card Name (SET)"
+ * @param {string} text
+ * @returns {Array<Object>} Parsed rows
+ */
+export function parseSimpleText(text) {
+  const rows = [];
+
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('//')) continue;
+
+    const match = trimmed.match(/^(\d+)\s*x?\s+(.+)$/i);
+    const quantity = match ? parseInt(match[1], 10) : 1;
+    const cardPart = match ? match[2].trim() : trimmed;
+    const setMatch = cardPart.match(/^(.+?)\s*\(\s*([A-Za-z0-9]{2,5})\s*\)(?:\s+\d+)?$/);
+
+    rows.push({
+      name: setMatch ? setMatch[1].trim() : cardPart,
+      set: setMatch ? setMatch[2].toUpperCase() : '',
+      set_name: '',
+      quantity,
+      condition: 'NM',
+      foil: false,
+      price: '',
+      collector_number: '',
+      scryfall_id: '',
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Detect CSV format from headers
+ * @param {string[]} headers - CSV header row
+ * @returns {string} One of IMPORT_FORMATS
+ */
+export function detectFormat(headers) {
+  const lowerHeaders = headers.map(h => h.toLowerCase().trim());
+
+  if (lowerHeaders.includes('set code') &&
+      (lowerHeaders.includes('manabox id') || lowerHeaders.includes('scryfall id'))) {
+    return 'manabox';
+  }
+
+  if (lowerHeaders.includes('tcg marketplace price') ||
+      (lowerHeaders.includes('set name') && lowerHeaders.includes('card name'))) {
+    return 'tcgplayer';
+  }
+
+  if (lowerHeaders.includes('language') && !lowerHeaders.includes('set code')) {
+    return 'deckbox';
+  }
+
+  if (lowerHeaders.includes('edition') || lowerHeaders.includes('purchase price')) {
+    return lowerHeaders.includes('collector number') ? 'archidekt' : 'moxfield';
+  }
+
+  if ((lowerHeaders.includes('count') || lowerHeaders.includes('quantity')) &&
+      lowerHeaders.includes('name')) {
+    return 'moxfield';
+  }
+
+  return 'simple';
+}
+
+/**
+ * Parse CSV content using detected or specified format
+ * @param {string} content - CSV content
+ * @param {string} format - Format to use (or 'auto' for detection)
+ * @returns {{rows: Array<Object>, format: string, error?: string}}
+ */
+export function parseCSV(content, format = 'auto') {
+  const lines = content.split('\n').filter(line => line.trim());
+
+  if (lines.length === 0) {
+    return { rows: [], format: 'unknown', error: 'Empty file' };
+  }
+
+  const headers = parseCSVLine(lines[0]);
+  const lowerHeaders = headers.map(h => h.toLowerCase().trim());
+  const detectedFormat = format === 'auto' ? detectFormat(headers) : format;
+
+  if (detectedFormat === 'simple') {
+    return { rows: parseSimpleText(content), format: 'simple' };
+  }
+
+  const mapping = COLUMN_MAPPINGS[detectedFormat] || COLUMN_MAPPINGS.moxfield;
+  const getColumnIndex = (possibleNames = []) => {
+    for (const name of possibleNames) {
+      const idx = lowerHeaders.indexOf(name);
+      if (idx !== -1) return idx;
+    }
+    return -1;
+  };
+
+  const indices = Object.fromEntries(
+    ['quantity', 'name', 'set', 'set_name', 'condition', 'foil', 'price', 'collector_number', 'scryfall_id']
+      .map(field => [field, getColumnIndex(mapping[field])])
+  );
+
+  if (indices.name === -1) {
+    return { rows: [], format: detectedFormat, error: 'Could not find card name column' };
+  }
+
+  const rows = [];
+  for (let i = 1; i < lines.length; i++) {
+    const fields = parseCSVLine(lines[i]);
+    if (fields.length === 0 || !fields[0]) continue;
+
+    const getValue = (index) => (index >= 0 && index < fields.length ? fields[index] : '');
+    const name = getValue(indices.name);
+    if (!name) continue;
+
+    const quantityStr = getValue(indices.quantity);
+    rows.push({
+      name,
+      set: getValue(indices.set).toUpperCase(),
+      set_name: getValue(indices.set_name),
+      quantity: quantityStr ? parseInt(quantityStr, 10) || 1 : 1,
+      condition: normalizeCondition(getValue(indices.condition)),
+      foil: parseFoil(getValue(indices.foil)),
+      price: getValue(indices.price),
+      collector_number: getValue(indices.collector_number),
+      scryfall_id: getValue(indices.scryfall_id),
+    });
+  }
+
+  return { rows, format: detectedFormat };
+}
+
+/**
+ * Parse an uploaded file the way the browser importer does: headerless lists as simple
+ * text, everything else as CSV
+ * @param {string} text - File content
+ * @param {string} [format='auto'] - One of IMPORT_FORMATS, or 'auto'
+ * @returns {{rows: Array<Object>, format: string, error?: string}}
+ */
+export function parseImportFile(text, format = 'auto') {
+  // Browsers hand the importer \n line endings; uploads keep whatever the exporter wrote
+  const content = text.replace(/\r\n?/g, '\n');
+  const firstLine = content.split('\n')[0].trim();
+  const looksLikeSimple = !firstLine.includes(',') || /^\d+\s*x?\s+/i.test(firstLine);
+
+  if ((format === 'auto' && looksLikeSimple) || format === 'simple') {
+    return { rows: parseSimpleText(content), format: 'simple' };
+  }
+  return parseCSV(content, format);
+}
+
+export default {
+  IMPORT_FORMATS,
+  parseCSVLine,
+  parseSimpleText,
+  detectFormat,
+  parseCSV,
+  parseImportFile,
+};
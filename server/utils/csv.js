@@ -0,0 +1,32 @@
+/**
+ * CSV helpers (Server-side)
+ * RFC 4180 output for report downloads
+ */
+
+/**
+ * Quote a value when it contains a delimiter, quote or line break.
+ * null/undefined become empty cells.
+ *
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+export function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows to CSV with a header line.
+ *
+ * @param {Array<{key: string, header: string}>} columns - Column order and header labels
+ * @param {Array<Object>} rows - Row objects keyed by column key
+ * @returns {string} - CSV text with CRLF line endings
+ */
+export function toCsv(columns, rows) {
+  const lines = [columns.map(column => escapeCsvValue(column.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCsvValue(row[column.key])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
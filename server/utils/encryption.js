@@ -0,0 +1,49 @@
+import crypto from 'crypto';
+
+// ========== AT-REST ENCRYPTION ==========
+// AES-256-CBC keyed by ENCRYPTION_KEY (first 32 chars). Values are stored as "ivHex:cipherHex".
+// Without a usable key, values pass through unchanged so local setups keep working.
+
+const hasUsableKey = (key) => Boolean(key) && key.length >= 32;
+
+/**
+ * Encrypt a secret before storing it
+ * @param {string} text
+ * @param {string} [label] - Used in the warning when no key is configured
+ */
+export function encrypt(text, label = 'value') {
+  if (!text) return null;
+  const key = process.env.ENCRYPTION_KEY;
+  if (!hasUsableKey(key)) {
+    console.warn(`[ENCRYPTION] ENCRYPTION_KEY not set or too short, storing ${label} unencrypted`);
+    return text;
+  }
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(key.slice(0, 32)), iv);
+  let encrypted = cipher.update(text, 'utf8', 'hex');
+  encrypted += cipher.final('hex');
+  return iv.toString('hex') + ':' + encrypted;
+}
+
+/**
+ * Decrypt a secret produced by encrypt(). Unencrypted values are returned as-is.
+ * @param {string} encryptedText
+ */
+export function decrypt(encryptedText) {
+  if (!encryptedText) return null;
+  const key = process.env.ENCRYPTION_KEY;
+  if (!hasUsableKey(key) || !encryptedText.includes(':')) {
+    return encryptedText; // Return as-is if not encrypted
+  }
+  try {
+    const [ivHex, encrypted] = encryptedText.split(':');
+    const iv = Buffer.from(ivHex, 'hex');
+    const decipher = crypto.createDecipheriv('aes-256-cbc', Buffer.from(key.slice(0, 32)), iv);
+    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+    return decrypted;
+  } catch (err) {
+    console.error('[ENCRYPTION] Decryption failed:', err.message);
+    return null;
+  }
+}
@@ -9,6 +9,13 @@ export const VALID_REORDER_TYPES = ['normal', 'foil', 'none'];
 // Valid sale item types
 export const VALID_ITEM_TYPES = ['folder', 'deck', 'card'];
 
+// Where a new inventory item came from, for the change history
+export const INVENTORY_ITEM_SOURCES = ['manual', 'import'];
+
+// Deck reservation allocation rules
+export const FOIL_PREFERENCES = ['any', 'nonfoil', 'foil'];
+export const ALLOCATION_STRATEGIES = ['cheapest', 'oldest'];
+
 // Date validation pattern (YYYY-MM-DD format)
 const dateSchema = z.string()
   .regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format')
@@ -30,6 +37,7 @@ export const createInventoryItemSchema = z.object({
   folder: z.string().max(100).optional().default('Uncategorized'),
   foil: z.boolean().optional().default(false),
   quality: z.enum(VALID_QUALITIES).optional().default('NM'),
+  source: z.enum(INVENTORY_ITEM_SOURCES).optional().default('manual'),
 });
 
 /**
@@ -53,6 +61,96 @@ export const updateInventoryItemSchema = z.object({
   { message: 'At least one field must be provided for update' }
 );
 
+// Sort keys for the inventory query, matching sortCards on the client
+export const INVENTORY_SORT_FIELDS = ['name', 'price', 'quantity', 'set', 'dateAdded'];
+// inStock: rows with copies left, as the All Cards view shows them
+export const INVENTORY_STATUS_FILTERS = ['reserved', 'available', 'inStock'];
+
+// Comma-separated query parameter parsed into a list of `item`
+const commaList = (item) => z.string()
+  .transform(value => value.split(',').map(part => part.trim()).filter(Boolean))
+  .pipe(z.array(item).max(50));
+
+/**
+ * Schema for the paginated inventory query string
+ */
+export const inventoryQuerySchema = z.object({
+  search: z.string().trim().max(255).optional(),
+  folder: z.string().max(100).optional(),
+  excludeFolder: z.string().max(100).optional(),
+  set: z.string().trim().max(10).optional(),
+  foil: z.enum(['true', 'false']).transform(value => value === 'true').optional(),
+  quality: commaList(z.enum(VALID_QUALITIES)).optional(),
+  // Color identity keys in WUBRG order as produced by getColorKey ('C' for colorless), matched exactly
+  colors: commaList(z.string().regex(/^(C|W?U?B?R?G?)$/, 'Colors must be color identity keys like C, R or WU')).optional(),
+  type: z.string().trim().max(100).optional(),
+  minPrice: z.coerce.number().nonnegative().optional(),
+  maxPrice: z.coerce.number().nonnegative().optional(),
+  status: z.enum(INVENTORY_STATUS_FILTERS).optional(),
+  sort: z.enum(INVENTORY_SORT_FIELDS).optional().default('name'),
+  direction: z.enum(['asc', 'desc']).optional().default('asc'),
+  limit: z.coerce.number().int().min(1).max(500).optional().default(100),
+  cursor: z.string().max(1000).optional(),
+}).refine(
+  data => data.minPrice === undefined || data.maxPrice === undefined || data.minPrice <= data.maxPrice,
+  { message: 'minPrice cannot be greater than maxPrice', path: ['minPrice'] }
+);
+
+// Operations POST /inventory/bulk can apply, and how many rows one request may touch
+export const INVENTORY_BULK_OPERATIONS = ['move', 'setCondition', 'setFoil', 'adjustQuantity', 'trash', 'delete'];
+export const MAX_BULK_INVENTORY_IDS = 1000;
+
+/**
+ * Schema for one operation applied to many inventory rows at once
+ */
+export const bulkInventorySchema = z.object({
+  ids: z.array(z.number().int().positive())
+    .min(1, 'At least one inventory id is required')
+    .max(MAX_BULK_INVENTORY_IDS, `At most ${MAX_BULK_INVENTORY_IDS} items can be changed at once`)
+    .transform(ids => [...new Set(ids)]),
+  operation: z.discriminatedUnion('type', [
+    z.object({ type: z.literal('move'), folder: z.string().trim().min(1, 'Folder is required').max(100) }),
+    z.object({ type: z.literal('setCondition'), quality: z.enum(VALID_QUALITIES) }),
+    z.object({ type: z.literal('setFoil'), foil: z.boolean() }),
+    z.object({
+      type: z.literal('adjustQuantity'),
+      delta: z.number().int().refine(delta => delta !== 0, 'Delta must not be zero'),
+    }),
+    z.object({ type: z.literal('trash') }),
+    z.object({ type: z.literal('delete') }),
+  ]),
+});
+
+/**
+ * Schema for undoing a bulk operation with the token it returned
+ */
+export const undoBulkInventorySchema = z.object({
+  undoToken: z.string().min(1, 'Undo token is required').max(64),
+});
+
+// File formats an import job can parse; 'auto' detects from the header row like the browser importer
+export const IMPORT_JOB_FORMATS = ['auto', 'moxfield', 'deckbox', 'tcgplayer', 'archidekt', 'manabox', 'simple'];
+export const MAX_IMPORT_FILE_LENGTH = 10 * 1024 * 1024;
+
+/**
+ * Schema for uploading a file as a server-side import job
+ */
+export const createImportJobSchema = z.object({
+  fileName: z.string().trim().min(1, 'File name is required').max(255),
+  content: z.string()
+    .refine(content => content.trim().length > 0, 'File is empty')
+    .refine(content => content.length <= MAX_IMPORT_FILE_LENGTH, 'File is too large (maximum 10 MB)'),
+  format: z.enum(IMPORT_JOB_FORMATS).optional().default('auto'),
+  folder: z.string().trim().min(1).max(100).optional().default('Uncategorized'),
+});
+
+/**
+ * Schema for committing an import job after its dry run
+ */
+export const commitImportJobSchema = z.object({
+  includeUnresolved: z.boolean().optional().default(false),
+});
+
 /**
  * Schema for creating a sale record
  */
@@ -67,6 +165,30 @@ export const createSaleSchema = z.object({
   quantity: z.number().int().positive('Quantity must be a positive integer').optional().default(1),
 });
 
+const saleDetailsSchema = {
+  salePrice: z.number().nonnegative('Sale price must be a non-negative number'),
+  saleDate: dateSchema,
+  notes: z.string().max(2000).optional().nullable(),
+};
+
+/**
+ * Schema for selling copies of a card, by inventory row or by name
+ */
+export const sellCardsSchema = z.object({
+  inventoryId: z.coerce.number().int().positive().optional(),
+  name: z.string().min(1).max(255).optional(),
+  quantity: z.number().int().positive('Quantity must be a positive integer').optional().default(1),
+  ...saleDetailsSchema,
+}).refine(
+  data => data.inventoryId !== undefined || data.name !== undefined,
+  { message: 'Either inventoryId or name is required' }
+);
+
+/**
+ * Schema for selling a whole deck instance or purchase lot
+ */
+export const sellBundleSchema = z.object(saleDetailsSchema);
+
 /**
  * Schema for setting low inventory threshold
  */
@@ -77,6 +199,250 @@ export const setThresholdSchema = z.object({
     .max(10000, 'Threshold cannot exceed 10,000'),
 });
 
+// eBay listing lifecycle statuses
+export const EBAY_LISTING_STATUSES = ['draft', 'active', 'sold', 'shipped', 'completed', 'ended'];
+
+// eBay template types
+export const EBAY_TEMPLATE_TYPES = ['title', 'description', 'condition', 'includes'];
+
+/**
+ * Schema for creating a draft eBay listing
+ */
+export const createEbayListingSchema = z.object({
+  deckId: z.coerce.number().int().positive('Deck ID must be a positive integer'),
+  title: z.string().min(1, 'Title is required').max(80, 'eBay titles cannot exceed 80 characters'),
+  description: z.string().max(500000).optional().nullable(),
+  price: z.number().positive('Price must be a positive number'),
+  quantity: z.number().int().positive().optional().default(1),
+  theme: z.string().max(100).optional().nullable(),
+  imageUrls: z.array(z.string().url().max(500)).max(24).optional().default([]),
+});
+
+/**
+ * Schema for editing a draft eBay listing
+ */
+export const updateEbayListingSchema = createEbayListingSchema
+  .omit({ deckId: true })
+  .partial()
+  .refine(
+    data => Object.keys(data).length > 0,
+    { message: 'At least one field must be provided for update' }
+  );
+
+/**
+ * Schema for creating drafts for several decks at once
+ */
+export const bulkCreateEbayListingsSchema = z.object({
+  deckIds: z.array(z.coerce.number().int().positive()).min(1, 'At least one deck is required').max(100),
+  defaultPrice: z.number().positive().optional(),
+});
+
+/**
+ * Schema for creating an eBay template
+ */
+export const createEbayTemplateSchema = z.object({
+  template_type: z.enum(EBAY_TEMPLATE_TYPES, {
+    errorMap: () => ({ message: `Template type must be one of: ${EBAY_TEMPLATE_TYPES.join(', ')}` })
+  }),
+  template_name: z.string().min(1, 'Template name is required').max(100),
+  template_content: z.string().min(1, 'Template content is required').max(10000),
+  is_default: z.boolean().optional().default(false),
+});
+
+/**
+ * Schema for updating an eBay template
+ */
+export const updateEbayTemplateSchema = createEbayTemplateSchema
+  .omit({ template_type: true })
+  .partial()
+  .refine(
+    data => Object.keys(data).length > 0,
+    { message: 'At least one field must be provided for update' }
+  );
+
+/**
+ * Schema for rendering a template against a deck
+ */
+export const renderEbayTemplateSchema = z.object({
+  templateId: z.coerce.number().int().positive(),
+  deckId: z.coerce.number().int().positive(),
+  theme: z.string().max(100).optional(),
+});
+
+/**
+ * Schema for recording an autobuy optimizer run with its per-card predictions
+ */
+export const createAutobuyRunSchema = z.object({
+  predictedTotal: z.number().nonnegative().optional(),
+  notes: z.string().max(2000).optional().nullable(),
+  items: z.array(z.object({
+    cardId: z.string().min(1, 'Card ID is required').max(255),
+    cardName: z.string().max(255).optional().nullable(),
+    predictedPrice: z.number().nonnegative('Predicted price must be a non-negative number'),
+    quantity: z.number().int().positive('Quantity must be a positive integer').optional().default(1),
+    sellerId: z.string().max(255).optional().nullable(),
+    marketplace: z.string().max(50).optional().nullable(),
+  })).min(1, 'At least one item is required').max(2000),
+});
+
+/**
+ * Schema for marking autobuy run items as purchased
+ */
+export const recordAutobuyPurchasesSchema = z.object({
+  purchases: z.array(z.object({
+    itemId: z.coerce.number().int().positive(),
+    actualPrice: z.number().nonnegative('Actual price must be a non-negative number'),
+  })).min(1, 'At least one purchase is required').max(2000),
+});
+
+/**
+ * Schema for closing an autobuy run
+ */
+export const closeAutobuyRunSchema = z.object({
+  cancel: z.boolean().optional().default(false),
+});
+
+/**
+ * Schema for a deck's inventory allocation preferences; omitted fields keep the deck's current value
+ */
+export const allocationPreferencesSchema = z.object({
+  foil: z.enum(FOIL_PREFERENCES).optional(),
+  minCondition: z.enum(VALID_QUALITIES).nullable().optional(),
+  preferDecklistSet: z.boolean().optional(),
+  strategy: z.enum(ALLOCATION_STRATEGIES).optional(),
+  strict: z.boolean().optional(),
+  allowSubstitutes: z.boolean().optional(),
+}).strict();
+
+/**
+ * Schema for reoptimizing a deck instance, optionally with new allocation preferences
+ */
+export const reoptimizeDeckSchema = z.object({
+  preferences: allocationPreferencesSchema.optional(),
+}).optional().default({});
+
+/**
+ * Schema for copying a decklist into a deck instance; preferences are saved on the new instance
+ */
+export const copyDeckToInventorySchema = z.object({
+  name: z.string().trim().max(255).optional(),
+  preferences: allocationPreferencesSchema.optional(),
+}).optional().default({});
+
+/**
+ * Schema for the allocation preferences on a decklist; its deck instances start from these rules
+ */
+export const decklistAllocationSchema = z.object({
+  allocationPreferences: allocationPreferencesSchema.optional(),
+}).passthrough();
+
+/**
+ * Schema for comparing two deck revisions; without `to` the revision is compared with the current list
+ */
+export const deckRevisionDiffQuerySchema = z.object({
+  from: z.coerce.number().int().min(1),
+  to: z.coerce.number().int().min(1).optional(),
+});
+
+/**
+ * Schema for importing a deck from a deck site URL (Archidekt, Moxfield, MTGGoldfish, TappedOut, Scryfall)
+ */
+export const deckImportSchema = z.object({
+  url: z.string().trim().min(1, 'Enter a deck URL').max(500),
+});
+
+/**
+ * Schema for a message to the AI chat; conversationId continues an existing conversation
+ */
+export const aiChatMessageSchema = z.object({
+  message: z.string().trim().min(1, 'Enter a message').max(2000),
+  conversationId: z.number().int().positive().optional(),
+});
+
+const substitutionCardNamesSchema = z.array(z.string().trim().min(1).max(255)).max(50);
+
+/**
+ * Schema for creating a substitution group of interchangeable cards
+ */
+export const createSubstitutionGroupSchema = z.object({
+  name: z.string().trim().min(1, 'Enter a group name').max(255),
+  description: z.string().trim().max(1000).nullable().optional(),
+  cards: substitutionCardNamesSchema.optional().default([]),
+});
+
+/**
+ * Schema for renaming or re-describing a substitution group
+ */
+export const updateSubstitutionGroupSchema = createSubstitutionGroupSchema
+  .omit({ cards: true })
+  .partial()
+  .refine(data => Object.keys(data).length > 0, { message: 'Nothing to update' });
+
+/**
+ * Schema for adding cards to a substitution group
+ */
+export const addSubstitutionGroupCardsSchema = z.object({
+  cards: substitutionCardNamesSchema.min(1, 'Add at least one card'),
+});
+
+// Client-side choices mirrored by user settings
+export const MARKETPLACE_KEYS = ['tcgplayer', 'manapool', 'cardkingdom'];
+export const THEME_NAMES = ['dark', 'parchment'];
+
+/**
+ * Schemas for each per-user setting, keyed by setting name. A key not listed here
+ * is not a user setting.
+ */
+export const USER_SETTING_SCHEMAS = {
+  // Inventory reorder thresholds; ranges match the sliders in ThresholdSettings
+  thresholdSettings: z.object({
+    baseStock: z.number().int().min(1).max(50),
+    landMultiplier: z.number().int().min(1).max(20),
+    velocityWeeks: z.number().int().min(1).max(8),
+  }).strict(),
+  // null means the user hasn't chosen to remember a marketplace
+  preferredMarketplace: z.enum(MARKETPLACE_KEYS).nullable(),
+  // null means follow the system color scheme
+  theme: z.enum(THEME_NAMES).nullable(),
+  // How long cached card prices are served before being refreshed
+  priceCache: z.object({
+    softTtlMinutes: z.number().int().min(1).max(1440),
+    hardTtlMinutes: z.number().int().min(1).max(10080),
+  }).strict().refine(
+    data => data.hardTtlMinutes >= data.softTtlMinutes,
+    { message: 'hardTtlMinutes must be at least softTtlMinutes', path: ['hardTtlMinutes'] }
+  ),
+};
+
+/**
+ * Value of each user setting when the user hasn't stored one
+ */
+export const USER_SETTING_DEFAULTS = {
+  thresholdSettings: { baseStock: 10, landMultiplier: 10, velocityWeeks: 4 },
+  preferredMarketplace: null,
+  theme: null,
+  priceCache: { softTtlMinutes: 10, hardTtlMinutes: 60 },
+};
+
+/**
+ * Schema for storing one user setting; the value is checked against the key's schema by the route
+ */
+export const setUserSettingSchema = z.object({
+  value: z.unknown().refine(value => value !== undefined, { message: 'Value is required' }),
+});
+
+/**
+ * Schema for storing several user settings at once. With onlyMissing, keys the user
+ * already has a stored value for are left alone (used to migrate local preferences).
+ */
+export const updateUserSettingsSchema = z.object({
+  settings: z.object(USER_SETTING_SCHEMAS).partial().strict().refine(
+    data => Object.keys(data).length > 0,
+    { message: 'At least one setting must be provided' }
+  ),
+  onlyMissing: z.boolean().optional().default(false),
+});
+
 /**
  * Middleware factory for validating request body with a Zod schema
  * @param {z.ZodSchema} schema - The Zod schema to validate against
@@ -5,6 +5,7 @@ import { ToastProvider, useToast, TOAST_TYPES } from "./context/ToastContext";
 import { ConfirmProvider } from "./context/ConfirmContext";
 import { InventoryProvider, useInventory } from "./context/InventoryContext";
 import { UndoProvider } from "./context/UndoContext";
+import { SettingsProvider } from "./context/SettingsContext";
 import { LoginForm } from "./components/LoginForm";
 import ErrorBoundary from "./components/ErrorBoundary";
 import ErrorBoundaryWithRetry from "./components/ErrorBoundaryWithRetry";
@@ -29,6 +30,8 @@ const DashboardTab = lazy(() => import("./components/DashboardTab"));
 const DeckTab = lazy(() => import("./components/DeckTab"));
 const DeckBuilderTab = lazy(() => import("./components/aidbuilder/AIDeckBuilder"));
 const SettingsTab = lazy(() => import("./components/SettingsTab"));
+const SalesTab = lazy(() => import("./components/SalesTab"));
+const AnalyticsTab = lazy(() => import("./components/AnalyticsTab"));
 
 
 function MTGInventoryTrackerContent() {
@@ -251,6 +254,22 @@ function MTGInventoryTrackerContent() {
               </Suspense>
             )}
 
+            {activeTab === "sales" && (
+              <ErrorBoundaryWithRetry>
+                <Suspense fallback={<TabLoadingSpinner />}>
+                  <SalesTab />
+                </Suspense>
+              </ErrorBoundaryWithRetry>
+            )}
+
+            {activeTab === "analytics" && (
+              <ErrorBoundaryWithRetry>
+                <Suspense fallback={<TabLoadingSpinner />}>
+                  <AnalyticsTab inventory={inventory} />
+                </Suspense>
+              </ErrorBoundaryWithRetry>
+            )}
+
             {activeTab === "settings" && (
               <Suspense fallback={<TabLoadingSpinner />}>
                 <SettingsTab inventory={inventory} />
@@ -304,7 +323,9 @@ export default function App() {
     <ThemeProvider>
       <ErrorBoundary>
         <AuthProvider>
-          <MTGInventoryTracker />
+          <SettingsProvider>
+            <MTGInventoryTracker />
+          </SettingsProvider>
         </AuthProvider>
       </ErrorBoundary>
     </ThemeProvider>
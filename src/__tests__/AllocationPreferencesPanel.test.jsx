@@ -0,0 +1,44 @@
+/**
+ * Component tests for the deck allocation rules panel
+ */
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { AllocationPreferencesPanel } from '../components/inventory/AllocationPreferencesPanel';
+
+const preferences = {
+  foil: 'any',
+  minCondition: null,
+  preferDecklistSet: true,
+  strategy: 'cheapest',
+  strict: false,
+  allowSubstitutes: false
+};
+
+describe('AllocationPreferencesPanel', () => {
+  it('should apply the edited finish, condition, set and strategy rules', () => {
+    const onApply = vi.fn();
+    render(<AllocationPreferencesPanel preferences={preferences} onApply={onApply} />);
+
+    const apply = screen.getByRole('button', { name: 'Save & reallocate' });
+    expect(apply).toBeDisabled();
+
+    fireEvent.change(screen.getByLabelText('Finish'), { target: { value: 'nonfoil' } });
+    fireEvent.change(screen.getByLabelText('Minimum condition'), { target: { value: 'LP' } });
+    fireEvent.change(screen.getByLabelText('Copies'), { target: { value: 'oldest' } });
+    fireEvent.click(screen.getByLabelText('Prefer the set named in the decklist'));
+    fireEvent.click(apply);
+
+    expect(onApply).toHaveBeenCalledWith({ foil: 'nonfoil', minCondition: 'LP', preferDecklistSet: false, strategy: 'oldest' });
+  });
+
+  it('should clear the minimum condition back to any', () => {
+    const onApply = vi.fn();
+    render(<AllocationPreferencesPanel preferences={{ ...preferences, minCondition: 'NM' }} onApply={onApply} />);
+
+    fireEvent.change(screen.getByLabelText('Minimum condition'), { target: { value: '' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save & reallocate' }));
+
+    expect(onApply).toHaveBeenCalledWith(expect.objectContaining({ minCondition: null }));
+  });
+});
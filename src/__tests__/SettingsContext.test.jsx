@@ -0,0 +1,137 @@
+import React from 'react';
+import { render, screen, waitFor, act } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { AuthContext } from '../context/AuthContext';
+import { ThemeProvider } from '../context/ThemeContext';
+
+const mockGet = vi.fn();
+const mockPost = vi.fn();
+const mockPatch = vi.fn();
+
+vi.mock('../utils/apiClient', () => ({
+  api: {
+    get: (...args) => mockGet(...args),
+    post: (...args) => mockPost(...args),
+    patch: (...args) => mockPatch(...args),
+  },
+}));
+
+import { SettingsProvider, useSettings, DEFAULT_USER_SETTINGS } from '../context/SettingsContext';
+
+function TestComponent() {
+  const { settings, loaded, updateSetting } = useSettings();
+  return (
+    <div>
+      <span data-testid="loaded">{loaded ? 'true' : 'false'}</span>
+      <span data-testid="marketplace">{settings.preferredMarketplace ?? 'none'}</span>
+      <span data-testid="base-stock">{settings.thresholdSettings.baseStock}</span>
+      <button onClick={() => updateSetting('preferredMarketplace', 'cardkingdom').catch(() => {})}>Use Card Kingdom</button>
+    </div>
+  );
+}
+
+function renderWithUser(user = { id: 'user-1' }) {
+  return render(
+    <ThemeProvider>
+      <AuthContext.Provider value={{ user }}>
+        <SettingsProvider>
+          <TestComponent />
+        </SettingsProvider>
+      </AuthContext.Provider>
+    </ThemeProvider>
+  );
+}
+
+const serverResponse = (settings = {}, updatedAt = {}) => ({
+  settings: { ...DEFAULT_USER_SETTINGS, ...settings },
+  updatedAt,
+});
+
+describe('SettingsContext', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+  });
+
+  it('migrates local preferences the server does not have on first login', async () => {
+    localStorage.setItem('preferredMarketplace', 'manapool');
+    localStorage.setItem('thresholdSettings', JSON.stringify({ baseStock: 20, landMultiplier: 15, velocityWeeks: 6 }));
+    mockGet.mockResolvedValue(serverResponse(
+      { thresholdSettings: { baseStock: 12, landMultiplier: 10, velocityWeeks: 4 } },
+      { thresholdSettings: '2026-10-01T00:00:00.000Z' }
+    ));
+    mockPatch.mockResolvedValue(serverResponse(
+      { thresholdSettings: { baseStock: 12, landMultiplier: 10, velocityWeeks: 4 }, preferredMarketplace: 'manapool' }
+    ));
+
+    renderWithUser();
+
+    await waitFor(() => expect(screen.getByTestId('loaded').textContent).toBe('true'));
+    expect(mockPatch).toHaveBeenCalledWith('/settings', {
+      settings: { preferredMarketplace: 'manapool', theme: expect.any(String) },
+      onlyMissing: true,
+    });
+    expect(screen.getByTestId('marketplace').textContent).toBe('manapool');
+    // The value stored on the server wins over the local one and is mirrored back
+    expect(screen.getByTestId('base-stock').textContent).toBe('12');
+    expect(JSON.parse(localStorage.getItem('thresholdSettings')).baseStock).toBe(12);
+    expect(localStorage.getItem('bigdeck-settings-migrated:user-1')).not.toBeNull();
+  });
+
+  it('does not migrate again once a user has been migrated', async () => {
+    localStorage.setItem('bigdeck-settings-migrated:user-1', '2026-10-01T00:00:00.000Z');
+    localStorage.setItem('preferredMarketplace', 'manapool');
+    mockGet.mockResolvedValue(serverResponse());
+
+    renderWithUser();
+
+    await waitFor(() => expect(screen.getByTestId('loaded').textContent).toBe('true'));
+    expect(mockPatch).not.toHaveBeenCalled();
+    expect(screen.getByTestId('marketplace').textContent).toBe('none');
+    expect(localStorage.getItem('preferredMarketplace')).toBeNull();
+  });
+
+  it('saves changes and refreshes when the window regains focus', async () => {
+    localStorage.setItem('bigdeck-settings-migrated:user-1', '2026-10-01T00:00:00.000Z');
+    mockGet.mockResolvedValue(serverResponse());
+    mockPost.mockResolvedValue({ success: true });
+
+    renderWithUser();
+    await waitFor(() => expect(screen.getByTestId('loaded').textContent).toBe('true'));
+
+    await act(async () => {
+      screen.getByText('Use Card Kingdom').click();
+    });
+    expect(mockPost).toHaveBeenCalledWith('/settings/preferredMarketplace', { value: 'cardkingdom' });
+    expect(localStorage.getItem('preferredMarketplace')).toBe('cardkingdom');
+
+    // Another device picked Manapool
+    mockGet.mockResolvedValue(serverResponse({ preferredMarketplace: 'manapool' }, { preferredMarketplace: '2026-10-19T00:00:00.000Z' }));
+    await act(async () => {
+      window.dispatchEvent(new Event('focus'));
+    });
+    await waitFor(() => expect(screen.getByTestId('marketplace').textContent).toBe('manapool'));
+  });
+
+  it('puts the old value back when the server refuses a change', async () => {
+    localStorage.setItem('bigdeck-settings-migrated:user-1', '2026-10-01T00:00:00.000Z');
+    mockGet.mockResolvedValue(serverResponse({ preferredMarketplace: 'manapool' }));
+    mockPost.mockRejectedValue(new Error('Invalid value'));
+
+    renderWithUser();
+    await waitFor(() => expect(screen.getByTestId('marketplace').textContent).toBe('manapool'));
+
+    await act(async () => {
+      screen.getByText('Use Card Kingdom').click();
+    });
+    expect(mockPost).toHaveBeenCalledWith('/settings/preferredMarketplace', { value: 'cardkingdom' });
+    expect(screen.getByTestId('marketplace').textContent).toBe('manapool');
+    expect(localStorage.getItem('preferredMarketplace')).toBe('manapool');
+  });
+
+  it('stays on defaults without a signed-in user', () => {
+    renderWithUser(null);
+    expect(mockGet).not.toHaveBeenCalled();
+    expect(screen.getByTestId('loaded').textContent).toBe('false');
+  });
+});
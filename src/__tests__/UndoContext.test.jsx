@@ -1,6 +1,15 @@
 import React from 'react';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const mockPost = vi.fn();
+
+vi.mock('../utils/apiClient', () => ({
+  api: {
+    post: (...args) => mockPost(...args),
+  },
+}));
+
 import { UndoProvider, useUndo, UNDO_ACTION_TYPES } from '../context/UndoContext';
 import { ToastProvider } from '../context/ToastContext';
 import { ToastContainer } from '../components/ToastContainer';
@@ -158,6 +167,60 @@ describe('UndoContext', () => {
     expect(UNDO_ACTION_TYPES.RESTORE_ITEM).toBe('RESTORE_ITEM');
     expect(UNDO_ACTION_TYPES.BULK_DELETE).toBe('BULK_DELETE');
     expect(UNDO_ACTION_TYPES.BULK_MOVE).toBe('BULK_MOVE');
+    expect(UNDO_ACTION_TYPES.BULK_UPDATE).toBe('BULK_UPDATE');
+  });
+});
+
+describe('UndoContext bulk operations', () => {
+  const onChange = vi.fn();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  function BulkComponent() {
+    const { registerBulkOperation, undo, redo, canUndo } = useUndo();
+    return (
+      <div>
+        <button
+          onClick={() => registerBulkOperation({
+            type: UNDO_ACTION_TYPES.BULK_MOVE,
+            description: 'Moved 2 cards to Binder',
+            undoToken: 'token-1',
+            request: { ids: [1, 2], operation: { type: 'move', folder: 'Binder' } },
+            onChange,
+          })}
+        >
+          Register Bulk
+        </button>
+        <button onClick={undo}>Undo</button>
+        <button onClick={redo}>Redo</button>
+        <span data-testid="can-undo">{canUndo ? 'true' : 'false'}</span>
+      </div>
+    );
+  }
+
+  it('undoes with the server token and keeps the new token from redo', async () => {
+    mockPost.mockResolvedValue({ undoToken: 'token-2' });
+    renderWithProviders(<BulkComponent />);
+
+    fireEvent.click(screen.getByText('Register Bulk'));
+    await waitFor(() => expect(screen.getByTestId('can-undo')).toHaveTextContent('true'));
+
+    fireEvent.click(screen.getByText('Undo'));
+    await waitFor(() => expect(mockPost).toHaveBeenCalledWith('/inventory/bulk/undo', { undoToken: 'token-1' }));
+    await waitFor(() => expect(screen.getByTestId('can-undo')).toHaveTextContent('false'));
+
+    fireEvent.click(screen.getByText('Redo'));
+    await waitFor(() => expect(mockPost).toHaveBeenCalledWith('/inventory/bulk', {
+      ids: [1, 2],
+      operation: { type: 'move', folder: 'Binder' },
+    }));
+    await waitFor(() => expect(screen.getByTestId('can-undo')).toHaveTextContent('true'));
+
+    fireEvent.click(screen.getByText('Undo'));
+    await waitFor(() => expect(mockPost).toHaveBeenLastCalledWith('/inventory/bulk/undo', { undoToken: 'token-2' }));
+    expect(onChange).toHaveBeenCalled();
   });
 });
 
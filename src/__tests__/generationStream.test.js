@@ -0,0 +1,112 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { parseEventStream, streamDeckGeneration, cancelDeckGeneration } from '../utils/generationStream';
+
+const sse = (id, event, data) => `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// A streaming response whose body yields `chunks`, then ends (or fails with `failWith`)
+const createStreamResponse = (chunks, { failWith = null } = {}) => {
+  const encoder = new TextEncoder();
+  const queue = [...chunks];
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      getReader: () => ({
+        read: async () => {
+          if (queue.length > 0) return { done: false, value: encoder.encode(queue.shift()) };
+          if (failWith) throw failWith;
+          return { done: true };
+        }
+      })
+    }
+  };
+};
+
+const deck = { commander: { name: 'Atraxa' }, deck: { cards: [] } };
+
+describe('generationStream', () => {
+  beforeEach(() => {
+    global.fetch = vi.fn();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('parseEventStream', () => {
+    it('parses complete events and keeps the unfinished rest', () => {
+      const { events, rest } = parseEventStream(`: keep-alive\n\n${sse(1, 'started', { id: 'g1' })}id: 2\nevent: comm`);
+
+      expect(events).toEqual([{ id: 1, event: 'started', data: { id: 'g1' } }]);
+      expect(rest).toBe('id: 2\nevent: comm');
+    });
+  });
+
+  describe('streamDeckGeneration', () => {
+    it('reports events across chunk boundaries and resolves with the deck', async () => {
+      const body = sse(1, 'started', { id: 'g1' }) + sse(2, 'commander', { commander: deck.commander }) + sse(3, 'deck', deck);
+      global.fetch.mockResolvedValueOnce(createStreamResponse([body.slice(0, 30), body.slice(30, 90), body.slice(90)]));
+      const onEvent = vi.fn();
+
+      const result = await streamDeckGeneration({ commanderMode: 'random' }, { onEvent });
+
+      expect(result).toEqual(deck);
+      expect(onEvent.mock.calls.map(([entry]) => entry.event)).toEqual(['started', 'commander', 'deck']);
+      expect(global.fetch).toHaveBeenCalledWith('/api/ai/generate/stream', expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({ commanderMode: 'random' })
+      }));
+    });
+
+    it('resumes after the last event when the connection drops', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      global.fetch
+        .mockResolvedValueOnce(createStreamResponse([sse(1, 'started', { id: 'g1' }) + sse(2, 'commander', {})], { failWith: new TypeError('network error') }))
+        .mockResolvedValueOnce(createStreamResponse([sse(3, 'draft', { cards: [] }) + sse(4, 'deck', deck)]));
+      const onEvent = vi.fn();
+
+      const result = await streamDeckGeneration({ commanderMode: 'random' }, { onEvent });
+
+      expect(result).toEqual(deck);
+      expect(global.fetch.mock.calls[1][0]).toBe('/api/ai/generate/stream/g1?after=2');
+      expect(onEvent.mock.calls.map(([entry]) => entry.id)).toEqual([1, 2, 3, 4]);
+    });
+
+    it('rejects with the server\'s error', async () => {
+      global.fetch.mockResolvedValueOnce(createStreamResponse([
+        sse(1, 'started', { id: 'g1' }) + sse(2, 'error', { error: 'Not enough cards', statusCode: 400, requiredCount: 50, availableCount: 12 })
+      ]));
+
+      await expect(streamDeckGeneration({})).rejects.toMatchObject({
+        message: 'Not enough cards',
+        status: 400,
+        data: expect.objectContaining({ requiredCount: 50 })
+      });
+    });
+
+    it('rejects a cancelled generation as cancelled', async () => {
+      global.fetch.mockResolvedValueOnce(createStreamResponse([sse(1, 'started', { id: 'g1' }) + sse(2, 'cancelled', {})]));
+
+      await expect(streamDeckGeneration({})).rejects.toMatchObject({ cancelled: true });
+    });
+
+    it('rejects a request the server refuses before streaming', async () => {
+      global.fetch.mockResolvedValueOnce({ ok: false, status: 400, json: async () => ({ error: 'Commander mode is required (random or specific)' }) });
+
+      await expect(streamDeckGeneration({})).rejects.toMatchObject({ status: 400, message: 'Commander mode is required (random or specific)' });
+    });
+  });
+
+  it('cancels by stream id', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      status: 200,
+      headers: { get: () => 'application/json' },
+      text: async () => JSON.stringify({ id: 'g1', cancelled: true })
+    });
+
+    expect(await cancelDeckGeneration('g1')).toEqual({ id: 'g1', cancelled: true });
+    expect(global.fetch.mock.calls[0][0]).toBe('/api/ai/generate/stream/g1');
+    expect(global.fetch.mock.calls[0][1].method).toBe('DELETE');
+  });
+});
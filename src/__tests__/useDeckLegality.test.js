@@ -0,0 +1,42 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, waitFor } from '@testing-library/react';
+
+const mockGet = vi.fn();
+
+vi.mock('../utils/apiClient', () => ({
+  api: {
+    get: (...args) => mockGet(...args),
+  },
+}));
+
+import { useDeckLegality } from '../hooks/useDeckLegality';
+
+describe('useDeckLegality', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('validates the deck and checks again when its commander changes', async () => {
+    mockGet.mockResolvedValue({ supported: true, legal: false, format: 'Commander', violations: [] });
+    const cards = [{ name: 'Forest', quantity: 100 }];
+
+    const { result, rerender } = renderHook((props) => useDeckLegality(props), {
+      initialProps: { id: 3, format: 'Commander', cards, commander: '' },
+    });
+
+    await waitFor(() => expect(result.current.legality).not.toBeNull());
+    expect(mockGet).toHaveBeenCalledWith('/decks/3/validate');
+
+    rerender({ id: 3, format: 'Commander', cards, commander: 'Marwyn, the Nurturer' });
+    await waitFor(() => expect(mockGet).toHaveBeenCalledTimes(2));
+  });
+
+  it('keeps the error when validation fails', async () => {
+    mockGet.mockRejectedValue(new Error('Card data is still loading, try again shortly'));
+
+    const { result } = renderHook(() => useDeckLegality({ id: 3, format: 'Modern', cards: [] }));
+
+    await waitFor(() => expect(result.current.error).toBe('Card data is still loading, try again shortly'));
+    expect(result.current.legality).toBeNull();
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+
+const mockGet = vi.fn();
+const mockPost = vi.fn();
+
+vi.mock('../utils/apiClient', () => ({
+  api: {
+    get: (...args) => mockGet(...args),
+    post: (...args) => mockPost(...args),
+  },
+}));
+
+import { useImportJob } from '../hooks/useImportJob';
+
+const progress = (counts) => ({ pending: 0, resolved: 0, unresolved: 0, imported: 0, skipped: 0, total: 2, ...counts });
+
+describe('useImportJob', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('picks up the latest unfinished job and loads its dry run', async () => {
+    const readyJob = { id: 4, status: 'ready', progress: progress({ resolved: 2 }) };
+    mockGet.mockImplementation(async (url) => {
+      if (url === '/import-jobs') return [{ id: 5, status: 'completed' }, readyJob];
+      if (url === '/import-jobs/4/diff') return { summary: { newRows: 2 }, new: [], merges: [], unresolved: [], skipped: [] };
+      return null;
+    });
+
+    const { result } = renderHook(() => useImportJob());
+
+    await waitFor(() => expect(result.current.diff).not.toBeNull());
+    expect(result.current.job).toEqual(readyJob);
+    expect(result.current.diff.summary.newRows).toBe(2);
+  });
+
+  it('uploads the file and polls until the commit completes', async () => {
+    const onCompleted = vi.fn();
+    mockGet.mockImplementation(async (url) => {
+      if (url === '/import-jobs') return [];
+      return { id: 7, status: 'completed', progress: progress({ imported: 2 }) };
+    });
+    mockPost.mockResolvedValue({ id: 7, status: 'committing', progress: progress({ resolved: 2 }) });
+
+    const { result } = renderHook(() => useImportJob({ onCompleted, pollInterval: 10 }));
+    const file = { name: 'cards.csv', size: 40, text: async () => 'Count,Name\n2,Sol Ring' };
+
+    await act(async () => {
+      await result.current.upload(file, { folder: 'Binder' });
+    });
+
+    expect(mockPost).toHaveBeenCalledWith('/import-jobs', {
+      fileName: 'cards.csv', content: 'Count,Name\n2,Sol Ring', format: 'auto', folder: 'Binder'
+    });
+    expect(result.current.isRunning).toBe(true);
+
+    await waitFor(() => expect(result.current.job.status).toBe('completed'));
+    expect(onCompleted).toHaveBeenCalledWith(expect.objectContaining({ id: 7 }));
+    expect(result.current.isRunning).toBe(false);
+  });
+
+  it('refuses files over 10 MB without uploading', async () => {
+    mockGet.mockResolvedValue([]);
+    const { result } = renderHook(() => useImportJob());
+
+    await act(async () => {
+      await result.current.upload({ name: 'huge.csv', size: 11 * 1024 * 1024, text: async () => '' });
+    });
+
+    expect(mockPost).not.toHaveBeenCalled();
+    expect(result.current.error).toContain('Maximum allowed size is 10 MB');
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+
+const mockGet = vi.fn();
+
+vi.mock('../utils/apiClient', () => ({
+  api: {
+    get: (...args) => mockGet(...args),
+  },
+}));
+
+import { useInventoryQuery, buildInventoryQueryString, mergeInventoryRows } from '../hooks/useInventoryQuery';
+
+describe('buildInventoryQueryString', () => {
+  it('joins arrays and skips empty values', () => {
+    const query = buildInventoryQueryString(
+      { search: 'bolt', colors: ['R', 'WU'], quality: [], folder: '', foil: false, minPrice: null },
+      { sort: 'price', limit: 50, cursor: undefined }
+    );
+    expect(query).toBe('search=bolt&colors=R%2CWU&foil=false&sort=price&limit=50');
+  });
+});
+
+describe('mergeInventoryRows', () => {
+  it('swaps in current rows and drops the ones that left the list', () => {
+    const cards = [
+      { name: 'Counterspell', items: [{ id: 1, quantity: 2 }, { id: 2, quantity: 1 }] },
+      { name: 'Sol Ring', items: [{ id: 3, quantity: 1 }] }
+    ];
+    const rowsById = new Map([[1, { id: 1, quantity: 4 }]]);
+
+    expect(mergeInventoryRows(cards, rowsById)).toEqual([['Counterspell', [{ id: 1, quantity: 4 }]]]);
+  });
+});
+
+describe('useInventoryQuery', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('loads the first page and appends the next one', async () => {
+    mockGet
+      .mockResolvedValueOnce({
+        cards: [{ name: 'Counterspell' }],
+        nextCursor: 'abc',
+        total: { cards: 2, items: 2, quantity: 3 },
+        facets: { folders: { Binder: 2 } },
+      })
+      .mockResolvedValueOnce({ cards: [{ name: 'Sol Ring' }], nextCursor: null, total: null, facets: null });
+
+    const { result } = renderHook(() => useInventoryQuery({ filters: { folder: 'Binder' }, pageSize: 1 }));
+
+    await waitFor(() => expect(result.current.cards).toHaveLength(1));
+    expect(mockGet).toHaveBeenCalledWith('/inventory/query?folder=Binder&sort=name&direction=asc&limit=1');
+    expect(result.current.hasMore).toBe(true);
+    expect(result.current.total.cards).toBe(2);
+
+    await act(async () => {
+      await result.current.loadMore();
+    });
+    expect(mockGet).toHaveBeenLastCalledWith('/inventory/query?folder=Binder&sort=name&direction=asc&limit=1&cursor=abc');
+    expect(result.current.cards.map(c => c.name)).toEqual(['Counterspell', 'Sol Ring']);
+    expect(result.current.hasMore).toBe(false);
+    // Facets from the first page are kept
+    expect(result.current.facets).toEqual({ folders: { Binder: 2 } });
+  });
+
+  it('does not refetch when filters are an equal new object', async () => {
+    mockGet.mockResolvedValue({ cards: [], nextCursor: null, total: null, facets: null });
+
+    const { rerender } = renderHook(({ filters }) => useInventoryQuery({ filters }), {
+      initialProps: { filters: { set: 'lea' } },
+    });
+    await waitFor(() => expect(mockGet).toHaveBeenCalledTimes(1));
+
+    rerender({ filters: { set: 'lea' } });
+    rerender({ filters: { set: 'leb' } });
+    await waitFor(() => expect(mockGet).toHaveBeenCalledTimes(2));
+    expect(mockGet).toHaveBeenLastCalledWith(expect.stringContaining('set=leb'));
+  });
+});
@@ -7,11 +7,12 @@ import React, { useState, useRef, useEffect, useCallback } from 'react';
 import PropTypes from 'prop-types';
 import { Bot, X, Send, Minimize2, Maximize2, Loader2 } from 'lucide-react';
 import { useAIChat } from '../hooks/useAIChat';
+import { AIChatActionCard } from './ui/AIChatActionCard';
 
 /**
  * Chat message component
  */
-function ChatMessage({ message }) {
+function ChatMessage({ message, onApplyAction, onDismissAction }) {
   const isUser = message.role === 'user';
 
   return (
@@ -29,6 +30,14 @@ function ChatMessage({ message }) {
           </div>
         )}
         <p className="text-base sm:text-sm whitespace-pre-wrap leading-relaxed">{message.content}</p>
+        {message.actions?.map(action => (
+          <AIChatActionCard
+            key={action.id}
+            action={action}
+            onApply={onApplyAction}
+            onDismiss={onDismissAction}
+          />
+        ))}
       </div>
     </div>
   );
@@ -38,7 +47,10 @@ ChatMessage.propTypes = {
   message: PropTypes.shape({
     role: PropTypes.string.isRequired,
     content: PropTypes.string.isRequired,
+    actions: PropTypes.arrayOf(PropTypes.object),
   }).isRequired,
+  onApplyAction: PropTypes.func,
+  onDismissAction: PropTypes.func,
 };
 
 /**
@@ -56,6 +68,8 @@ export function AIChatWidget({ isAuthenticated }) {
     isLoading,
     error,
     sendMessage,
+    applyAction,
+    dismissAction,
     clearError,
   } = useAIChat();
 
@@ -172,7 +186,12 @@ export function AIChatWidget({ isAuthenticated }) {
                   </div>
                 ) : (
                   messages.map((msg, idx) => (
-                    <ChatMessage key={idx} message={msg} />
+                    <ChatMessage
+                      key={idx}
+                      message={msg}
+                      onApplyAction={applyAction}
+                      onDismissAction={dismissAction}
+                    />
                   ))
                 )}
 
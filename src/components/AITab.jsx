@@ -136,6 +136,8 @@ export function AITab() {
     isTyping,
     error,
     sendMessage,
+    applyAction,
+    dismissAction,
     clearConversation,
     clearError
   } = useAIChat();
@@ -211,6 +213,8 @@ export function AITab() {
         onSendMessage={sendMessage}
         onClearConversation={clearConversation}
         onRetry={(msg) => sendMessage(msg.content)}
+        onApplyAction={applyAction}
+        onDismissAction={dismissAction}
       />
     </div>
   );
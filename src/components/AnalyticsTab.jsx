@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
-import { BarChart3, TrendingUp, Package, DollarSign, Filter, Activity, Shield, Bell, Library, ShoppingCart, Fingerprint, History, Inbox, Tag, ShoppingBag } from 'lucide-react';
+import { BarChart3, TrendingUp, Package, DollarSign, Filter, Activity, Shield, Bell, Library, ShoppingCart, Fingerprint, History, Inbox, Tag, ShoppingBag, Download } from 'lucide-react';
 import { ChangeLogTab } from './ChangeLogTab';
 import { ActivityFeed } from './ActivityFeed';
 import { AuditLog } from './AuditLog';
@@ -27,6 +27,10 @@ export const AnalyticsTab = ({ inventory }) => {
     lifetimeTotalCards: 0,
     lifetimeTotalValue: 0
   });
+  const [portfolioHistory, setPortfolioHistory] = useState([]);
+  const [portfolioPeriod, setPortfolioPeriod] = useState('30d');
+  const [hasPortfolioHistory, setHasPortfolioHistory] = useState(false);
+  const [lotPerformance, setLotPerformance] = useState([]);
   const [showHistory, setShowHistory] = useState(false);
   const [historyTab, setHistoryTab] = useState('alerts');
 
@@ -54,6 +58,50 @@ export const AnalyticsTab = ({ inventory }) => {
     fetchAnalytics();
   }, []);
 
+  // Portfolio market value over time, replayed from daily price snapshots
+  useEffect(() => {
+    const fetchPortfolioHistory = async () => {
+      try {
+        const days = portfolioPeriod === 'all' ? 'all' : parseInt(portfolioPeriod, 10);
+        const res = await fetchWithAuth(`/api/prices/portfolio-history?days=${days}`);
+        if (!res.ok) return;
+        const data = await res.json();
+        const history = (data.history || []).map(point => ({ label: point.date, value: point.value }));
+        setPortfolioHistory(history);
+        // Keep the chart (and its period selector) once there is any history at all
+        if (history.length > 0) setHasPortfolioHistory(true);
+      } catch (error) { }
+    };
+    fetchPortfolioHistory();
+  }, [portfolioPeriod]);
+
+  // Cost basis vs. market value per purchase lot
+  useEffect(() => {
+    const fetchValuation = async () => {
+      try {
+        const res = await fetchWithAuth('/api/analytics/valuation');
+        if (!res.ok) return;
+        const data = await res.json();
+        setLotPerformance(data.byLot || []);
+      } catch (_error) { }
+    };
+    fetchValuation();
+  }, []);
+
+  const exportValuation = async () => {
+    try {
+      const res = await fetchWithAuth('/api/analytics/valuation?format=csv');
+      if (!res.ok) return;
+      const blob = await res.blob();
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `inventory-valuation-${new Date().toISOString().split('T')[0]}.csv`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (_error) { }
+  };
+
   // Calculate analytics
   const totalCards = inventory.reduce((sum, item) => sum + (item.quantity || 0), 0);
   const totalAvailable = inventory.reduce((sum, item) => {
@@ -224,6 +272,22 @@ export const AnalyticsTab = ({ inventory }) => {
                 subtitle="Current market value"
               />
             </div>
+            {hasPortfolioHistory && (
+              <div className="mt-4">
+                <TrendChart
+                  data={portfolioHistory}
+                  dataKey="value"
+                  labelKey="label"
+                  title="Portfolio Value"
+                  subtitle="TCGPlayer market value from daily price snapshots"
+                  format="currency"
+                  color="purple"
+                  defaultPeriod={portfolioPeriod}
+                  onPeriodChange={setPortfolioPeriod}
+                  height={180}
+                />
+              </div>
+            )}
           </div>
 
           {/* Cards by Folder */}
@@ -263,6 +327,40 @@ export const AnalyticsTab = ({ inventory }) => {
             </div>
           </div>
 
+          {/* Lot Performance */}
+          <div className="bg-[var(--bda-surface)] border border-[var(--bda-border)] rounded-lg p-4 mb-8">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-[var(--bda-heading)] flex items-center gap-2">
+                <ShoppingCart className="w-4 h-4 text-[var(--bda-primary)]" />
+                Lot Performance
+              </h3>
+              <button
+                onClick={exportValuation}
+                className="px-3 py-1.5 rounded-lg text-sm font-medium flex items-center gap-2 bg-[var(--surface)] text-[var(--text-muted)] hover:bg-[var(--muted-surface)] transition-all"
+              >
+                <Download className="w-4 h-4" />
+                Export Valuation CSV
+              </button>
+            </div>
+            {lotPerformance.length === 0 ? (
+              <div className="text-sm text-[var(--bda-muted)]">No purchase lots in inventory</div>
+            ) : (
+              <div className="space-y-2">
+                {lotPerformance.map(lot => (
+                  <div key={lot.lotId} className="flex justify-between items-center text-sm p-2 bg-white/5 rounded border border-white/5 hover:bg-white/10 transition-colors">
+                    <span className="text-[var(--bda-muted)]">{lot.lotName || `Lot #${lot.lotId}`}</span>
+                    <div className="flex gap-3">
+                      <span className="text-[var(--bda-text)]">${lot.costBasis.toFixed(2)} → ${lot.marketValue.toFixed(2)}</span>
+                      <span className={`font-semibold ${lot.unrealizedGain >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>
+                        {lot.unrealizedGain >= 0 ? '+' : '-'}${Math.abs(lot.unrealizedGain).toFixed(2)}
+                      </span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
           {/* Value by Set */}
           <div className="bg-[var(--bda-surface)] border border-[var(--bda-border)] rounded-lg p-4">
             <h3 className="text-lg font-semibold text-[var(--bda-heading)] mb-4 flex items-center gap-2">
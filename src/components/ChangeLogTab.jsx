@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { Filter, ArrowRight, RefreshCw } from 'lucide-react';
+import { Filter, ArrowRight, RefreshCw, Undo2 } from 'lucide-react';
 import { useApi } from '../hooks/useApi';
+import { useToast, TOAST_TYPES } from '../context/ToastContext';
 
 /**
  * Format a field name for display
@@ -12,6 +13,7 @@ const formatFieldName = (field) => {
     folder: 'Folder',
     quality: 'Condition',
     foil: 'Foil',
+    reserved: 'Reserved',
     set: 'Set',
     set_name: 'Set Name'
   };
@@ -65,9 +67,23 @@ const getFieldColorClass = (field) => {
   return colors[field] || 'text-[var(--text-muted)]';
 };
 
+const ACTION_LABELS = {
+  create: 'Added',
+  update: 'Edited',
+  delete: 'Deleted',
+  import: 'Imported',
+  lot_add: 'Lot',
+  reserve: 'Reserved',
+  release: 'Released',
+  sale: 'Sold',
+  revert: 'Reverted'
+};
+
 export const ChangeLogTab = () => {
-  const { get } = useApi();
+  const { get, post } = useApi();
+  const { showToast } = useToast();
   const [changes, setChanges] = useState([]);
+  const [revertingId, setRevertingId] = useState(null);
   const [loading, setLoading] = useState(true);
   const [filterType, setFilterType] = useState('all');
   const [total, setTotal] = useState(0);
@@ -78,7 +94,8 @@ export const ChangeLogTab = () => {
     { value: 'purchase_price', label: 'Price Changes' },
     { value: 'folder', label: 'Folder Changes' },
     { value: 'quality', label: 'Condition Changes' },
-    { value: 'foil', label: 'Foil Changes' }
+    { value: 'foil', label: 'Foil Changes' },
+    { value: 'reserved', label: 'Deck Reservations' }
   ];
 
   const loadChanges = useCallback(async () => {
@@ -86,9 +103,9 @@ export const ChangeLogTab = () => {
     try {
       const params = new URLSearchParams({ limit: '100' });
       if (filterType !== 'all') {
-        params.append('field_changed', filterType);
+        params.append('field', filterType);
       }
-      const data = await get(`/history/changes?${params.toString()}`);
+      const data = await get(`/inventory/history?${params.toString()}`);
       setChanges(data.changes || []);
       setTotal(data.total || 0);
     } catch (error) {
@@ -103,6 +120,19 @@ export const ChangeLogTab = () => {
     loadChanges();
   }, [loadChanges]);
 
+  const handleRevert = async (change) => {
+    setRevertingId(change.id);
+    try {
+      await post(`/inventory/history/${change.id}/revert`);
+      showToast(`Reverted ${formatFieldName(change.field_changed).toLowerCase()} on ${change.card_name}`, TOAST_TYPES.SUCCESS);
+      await loadChanges();
+    } catch (error) {
+      showToast(error.message || 'Failed to revert change', TOAST_TYPES.ERROR);
+    } finally {
+      setRevertingId(null);
+    }
+  };
+
   return (
     <div className="space-y-4">
       {/* Filters */}
@@ -146,7 +176,12 @@ export const ChangeLogTab = () => {
             >
               <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
                 <div className="flex-1">
-                  <div className="font-bold text-teal-300 text-lg mb-2">{change.card_name}</div>
+                  <div className="font-bold text-teal-300 text-lg mb-2">
+                    {change.card_name}
+                    {ACTION_LABELS[change.action] && (
+                      <span className="ml-2 text-xs font-medium uppercase text-[var(--text-muted)]">{ACTION_LABELS[change.action]}</span>
+                    )}
+                  </div>
                   <div className="flex items-center gap-2 flex-wrap text-sm">
                     <span className={`font-semibold ${getFieldColorClass(change.field_changed)}`}>
                       {formatFieldName(change.field_changed)}:
@@ -166,6 +201,18 @@ export const ChangeLogTab = () => {
                   <div className="text-xs text-[var(--text-muted)]">
                     {new Date(change.changed_at).toLocaleString()}
                   </div>
+                  {change.reverted_at ? (
+                    <div className="text-xs text-[var(--text-muted)] mt-1">Reverted</div>
+                  ) : change.revertible && (
+                    <button
+                      onClick={() => handleRevert(change)}
+                      disabled={revertingId === change.id}
+                      className="mt-2 px-2 py-1 text-xs bg-[var(--muted-surface)] hover:bg-slate-600 text-white rounded flex items-center gap-1 md:ml-auto transition-colors disabled:opacity-50"
+                    >
+                      <Undo2 className="w-3 h-3" />
+                      Revert
+                    </button>
+                  )}
                 </div>
               </div>
             </div>
@@ -0,0 +1,139 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { Download, Loader2 } from 'lucide-react';
+import { fetchWithAuth } from '../utils/apiClient';
+import { EXPORT_FORMATS, EXPORT_SCOPES, downloadCollectionExport } from '../utils/collectionExport';
+import { useToast, TOAST_TYPES } from '../context/ToastContext';
+
+const SELECT_CLASS = 'w-full bg-ui-surface border border-ui-border rounded-lg px-3 py-2 text-sm text-ui-text focus:outline-none focus:ring-1 focus:ring-ui-primary';
+
+/**
+ * CollectionExportSection - Download inventory, a folder, a lot or a deck as CSV
+ * for Moxfield, Deckbox, TCGPlayer, Archidekt or Manabox
+ */
+export const CollectionExportSection = ({ createdFolders = [] }) => {
+  const { showToast } = useToast();
+  const [scope, setScope] = useState('inventory');
+  const [format, setFormat] = useState('moxfield');
+  const [folder, setFolder] = useState('');
+  const [targetId, setTargetId] = useState('');
+  const [lots, setLots] = useState([]);
+  const [decks, setDecks] = useState([]);
+  const [isExporting, setIsExporting] = useState(false);
+
+  // Lots and decks are only loaded once they can be picked
+  useEffect(() => {
+    setTargetId('');
+    if (scope !== 'lot' && scope !== 'deck') return;
+
+    let cancelled = false;
+    const load = async () => {
+      try {
+        if (scope === 'lot') {
+          const response = await fetchWithAuth('/api/lots');
+          if (response.ok && !cancelled) setLots(await response.json());
+        } else {
+          const [decklists, instances] = await Promise.all([
+            fetchWithAuth('/api/decks'),
+            fetchWithAuth('/api/deck-instances'),
+          ]);
+          const lists = decklists.ok ? await decklists.json() : [];
+          const built = instances.ok ? await instances.json() : [];
+          if (!cancelled) setDecks([...built, ...lists]);
+        }
+      } catch (error) {
+        console.error('[EXPORT] Error loading export targets:', error);
+      }
+    };
+    load();
+    return () => { cancelled = true; };
+  }, [scope]);
+
+  const canExport = scope === 'inventory'
+    || (scope === 'folder' && folder)
+    || ((scope === 'lot' || scope === 'deck') && targetId);
+
+  const handleExport = useCallback(async () => {
+    if (!canExport || isExporting) return;
+    setIsExporting(true);
+    try {
+      await downloadCollectionExport({ scope, format, folder, id: targetId });
+    } catch (error) {
+      showToast(`Export failed: ${error.message}`, TOAST_TYPES.ERROR);
+    } finally {
+      setIsExporting(false);
+    }
+  }, [canExport, isExporting, scope, format, folder, targetId, showToast]);
+
+  return (
+    <div className="flex flex-wrap items-end gap-4">
+      <div className="flex-1 min-w-[180px]">
+        <label htmlFor="export-scope-select" className="block text-xs text-ui-muted mb-1">
+          Export
+        </label>
+        <select id="export-scope-select" value={scope} onChange={(e) => setScope(e.target.value)} className={SELECT_CLASS}>
+          {EXPORT_SCOPES.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {scope === 'folder' && (
+        <div className="flex-1 min-w-[180px]">
+          <label htmlFor="export-folder-select" className="block text-xs text-ui-muted mb-1">
+            Folder
+          </label>
+          <select id="export-folder-select" value={folder} onChange={(e) => setFolder(e.target.value)} className={SELECT_CLASS}>
+            <option value="">Select folder...</option>
+            {['Uncategorized', ...createdFolders.filter(name => name !== 'Uncategorized')].map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {(scope === 'lot' || scope === 'deck') && (
+        <div className="flex-1 min-w-[180px]">
+          <label htmlFor="export-target-select" className="block text-xs text-ui-muted mb-1">
+            {scope === 'lot' ? 'Lot' : 'Deck'}
+          </label>
+          <select id="export-target-select" value={targetId} onChange={(e) => setTargetId(e.target.value)} className={SELECT_CLASS}>
+            <option value="">Select {scope === 'lot' ? 'lot' : 'deck'}...</option>
+            {(scope === 'lot' ? lots : decks).map(item => (
+              <option key={item.id} value={item.id}>
+                {item.name}{item.is_deck_instance ? ' (built)' : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <div className="flex-1 min-w-[180px]">
+        <label htmlFor="export-format-select" className="block text-xs text-ui-muted mb-1">
+          Format
+        </label>
+        <select id="export-format-select" value={format} onChange={(e) => setFormat(e.target.value)} className={SELECT_CLASS}>
+          {EXPORT_FORMATS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <button
+        type="button"
+        onClick={handleExport}
+        disabled={!canExport || isExporting}
+        className="flex items-center gap-2 px-4 py-2 bg-[var(--bda-primary)] hover:opacity-90 disabled:bg-[var(--muted-surface)] disabled:text-[var(--bda-muted)] text-[var(--bda-primary-foreground)] rounded-lg transition-colors text-sm font-medium"
+      >
+        {isExporting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+        Download CSV
+      </button>
+    </div>
+  );
+};
+
+CollectionExportSection.propTypes = {
+  createdFolders: PropTypes.array,
+};
+
+export default CollectionExportSection;
@@ -1,18 +1,18 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import PropTypes from 'prop-types';
-import { BookOpen, Download, BarChart3, CheckSquare, Square } from 'lucide-react';
+import { BookOpen, Download, Link2, BarChart3, CheckSquare, Square } from 'lucide-react';
 import { useDeckOperations } from '../hooks/useDeckOperations';
-import { useArchidektImport } from '../hooks/useArchidektImport';
+import { useDeckUrlImport } from '../hooks/useDeckUrlImport';
 import { fetchWithAuth } from '../utils/apiClient';
 import {
   DeckCard,
   DeckDetailsView,
-  ImportArchidektModal,
+  ImportDeckUrlModal,
   ImportDecklistModal,
   CopyToDeckModal,
   DeckEditorModal,
   DeckAnalysisView,
-  ArchidektSyncModal
+  DeckSyncModal
 } from './decks';
 import { DeckCardTile } from './ui';
 import { normalizeName, computeCompletion } from '../utils/deckHelpers';
@@ -21,7 +21,7 @@ import { normalizeName, computeCompletion } from '../utils/deckHelpers';
 export const DeckTab = ({ onDeckCreatedOrDeleted, onInventoryUpdate, decks: externalDecks, onReloadDecks }) => {
   // Import modals visibility state
   const [showImportDecklist, setShowImportDecklist] = useState(false);
-  const [showImportArchidekt, setShowImportArchidekt] = useState(false);
+  const [showImportUrl, setShowImportUrl] = useState(false);
 
   // Analysis mode state
   const [showAnalysis, setShowAnalysis] = useState(false);
@@ -30,7 +30,7 @@ export const DeckTab = ({ onDeckCreatedOrDeleted, onInventoryUpdate, decks: exte
   // Deck editor state
   const [editingDeckForModal, setEditingDeckForModal] = useState(null);
 
-  // Archidekt sync state
+  // Source URL sync state
   const [syncingDeck, setSyncingDeck] = useState(null);
 
   // Decklist import form state
@@ -52,6 +52,8 @@ export const DeckTab = ({ onDeckCreatedOrDeleted, onInventoryUpdate, decks: exte
     copyingDeck,
     copyDeckName,
     setCopyDeckName,
+    copyAllowSubstitutes,
+    setCopyAllowSubstitutes,
     isCopying,
     loadDecks,
     deleteDeck,
@@ -68,17 +70,17 @@ export const DeckTab = ({ onDeckCreatedOrDeleted, onInventoryUpdate, decks: exte
     onReloadDecks
   });
 
-  // Archidekt import hook
+  // Deck URL import hook
   const {
-    archidektUrl,
-    setArchidektUrl,
+    deckUrl,
+    setDeckUrl,
     isImporting,
-    importFromArchidekt,
+    importFromUrl,
     resetImport
-  } = useArchidektImport({
+  } = useDeckUrlImport({
     onSuccess: () => {
       loadDecks();
-      setShowImportArchidekt(false);
+      setShowImportUrl(false);
     },
     onInventoryUpdate
   });
@@ -132,9 +134,9 @@ export const DeckTab = ({ onDeckCreatedOrDeleted, onInventoryUpdate, decks: exte
     setNewDeckFormat('Standard');
   };
 
-  // Handle cancel Archidekt import
-  const handleCancelArchidektImport = () => {
-    setShowImportArchidekt(false);
+  // Handle cancel URL import
+  const handleCancelUrlImport = () => {
+    setShowImportUrl(false);
     resetImport();
   };
 
@@ -155,7 +157,7 @@ export const DeckTab = ({ onDeckCreatedOrDeleted, onInventoryUpdate, decks: exte
     }
   };
 
-  // Handle Archidekt sync complete
+  // Handle a completed sync or a restored revision
   const handleSyncComplete = async (updatedDeck) => {
     await loadDecks();
     // If we're viewing the synced deck, update the selected deck
@@ -207,7 +209,7 @@ export const DeckTab = ({ onDeckCreatedOrDeleted, onInventoryUpdate, decks: exte
                   <button
                     onClick={() => {
                       setShowImportDecklist(!showImportDecklist);
-                      setShowImportArchidekt(false);
+                      setShowImportUrl(false);
                     }}
                     className={`px-3 sm:px-4 py-2 rounded-lg flex items-center justify-center sm:justify-start gap-2 transition-colors text-[var(--bda-primary-foreground)] text-sm ${showImportDecklist
                       ? 'bg-purple-500 shadow-lg shadow-purple-500/50'
@@ -218,6 +220,20 @@ export const DeckTab = ({ onDeckCreatedOrDeleted, onInventoryUpdate, decks: exte
                     <span className="hidden sm:inline">Import Decklist</span>
                     <span className="sm:hidden">Decklist</span>
                   </button>
+                  <button
+                    onClick={() => {
+                      setShowImportUrl(!showImportUrl);
+                      setShowImportDecklist(false);
+                    }}
+                    className={`px-3 sm:px-4 py-2 rounded-lg flex items-center justify-center sm:justify-start gap-2 transition-colors text-[var(--bda-primary-foreground)] text-sm ${showImportUrl
+                      ? 'bg-blue-500 shadow-lg shadow-blue-500/50'
+                      : 'bg-blue-600 hover:bg-blue-700'
+                      }`}
+                  >
+                    <Link2 className="w-4 h-4 flex-shrink-0" />
+                    <span className="hidden sm:inline">Import from URL</span>
+                    <span className="sm:hidden">URL</span>
+                  </button>
                 </>
               )}
               {decks.length > 0 && (
@@ -225,7 +241,7 @@ export const DeckTab = ({ onDeckCreatedOrDeleted, onInventoryUpdate, decks: exte
                   onClick={() => {
                     setShowAnalysis(!showAnalysis);
                     setShowImportDecklist(false);
-                    setShowImportArchidekt(false);
+                    setShowImportUrl(false);
                     if (showAnalysis) {
                       setSelectedDeckIds([]);
                     }
@@ -242,13 +258,13 @@ export const DeckTab = ({ onDeckCreatedOrDeleted, onInventoryUpdate, decks: exte
             </div>
           </div>
 
-          {showImportArchidekt && (
-            <ImportArchidektModal
-              archidektUrl={archidektUrl}
-              onUrlChange={setArchidektUrl}
+          {showImportUrl && (
+            <ImportDeckUrlModal
+              deckUrl={deckUrl}
+              onUrlChange={setDeckUrl}
               isImporting={isImporting}
-              onImport={importFromArchidekt}
-              onCancel={handleCancelArchidektImport}
+              onImport={importFromUrl}
+              onCancel={handleCancelUrlImport}
             />
           )}
 
@@ -386,7 +402,7 @@ export const DeckTab = ({ onDeckCreatedOrDeleted, onInventoryUpdate, decks: exte
                     onCopy={previewCopyToDeck}
                     onEdit={(id) => setEditingDeck(id)}
                     onEditCards={() => setEditingDeckForModal(deck)}
-                    onArchidektSync={() => setSyncingDeck(deck)}
+                    onSync={() => setSyncingDeck(deck)}
                     onDelete={deleteDeck}
                     onUpdateName={updateDeckName}
                     onCancelEdit={() => setEditingDeck(null)}
@@ -404,7 +420,8 @@ export const DeckTab = ({ onDeckCreatedOrDeleted, onInventoryUpdate, decks: exte
           onDelete={deleteDeck}
           onUpdateDescription={updateDeckDescription}
           onEditCards={setEditingDeckForModal}
-          onArchidektSync={setSyncingDeck}
+          onSync={setSyncingDeck}
+          onDeckUpdated={handleSyncComplete}
         />
       )}
 
@@ -413,6 +430,8 @@ export const DeckTab = ({ onDeckCreatedOrDeleted, onInventoryUpdate, decks: exte
           deck={copyingDeck}
           copyDeckName={copyDeckName}
           onCopyDeckNameChange={setCopyDeckName}
+          allowSubstitutes={copyAllowSubstitutes}
+          onAllowSubstitutesChange={setCopyAllowSubstitutes}
           isCopying={isCopying}
           onCopy={executeCopyToDeck}
           onCancel={cancelCopyToDeck}
@@ -428,7 +447,7 @@ export const DeckTab = ({ onDeckCreatedOrDeleted, onInventoryUpdate, decks: exte
       )}
 
       {syncingDeck && (
-        <ArchidektSyncModal
+        <DeckSyncModal
           deck={syncingDeck}
           onClose={() => setSyncingDeck(null)}
           onSyncComplete={handleSyncComplete}
@@ -0,0 +1,266 @@
+import React, { useState, useRef, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { Upload, Loader2, AlertTriangle, Check, RotateCcw, X } from 'lucide-react';
+import { useImportJob } from '../hooks/useImportJob';
+import { useInventory } from '../context/InventoryContext';
+import { useToast, TOAST_TYPES } from '../context/ToastContext';
+import { SUPPORTED_FORMATS } from '../utils/csvTemplates';
+
+const SELECT_CLASS = 'w-full bg-ui-surface border border-ui-border rounded-lg px-3 py-2 text-sm text-ui-text focus:outline-none focus:ring-1 focus:ring-ui-primary';
+
+// Rows shown per dry-run group; the counts cover the rest
+const PREVIEW_ROWS = 50;
+
+const STATUS_LABELS = {
+  resolving: 'Matching cards on Scryfall...',
+  ready: 'Ready to import',
+  committing: 'Adding cards to inventory...',
+  completed: 'Import complete',
+  failed: 'Import stopped',
+  cancelled: 'Import cancelled',
+};
+
+/**
+ * Progress through the current stage: rows resolved while resolving, rows imported while committing
+ */
+const stageProgress = (job) => {
+  const { progress } = job;
+  if (job.status === 'resolving') {
+    return { done: progress.total - progress.pending, total: progress.total };
+  }
+  return { done: progress.imported, total: progress.imported + progress.resolved + progress.unresolved };
+};
+
+const DiffGroup = ({ title, rows, count, className, describe }) => {
+  if (count === 0) return null;
+  return (
+    <details className="border border-ui-border rounded-lg">
+      <summary className={`px-3 py-2 cursor-pointer text-sm font-medium ${className}`}>
+        {title} ({count})
+      </summary>
+      <ul className="px-3 pb-2 text-sm text-ui-text divide-y divide-ui-border">
+        {rows.slice(0, PREVIEW_ROWS).map(row => (
+          <li key={row.row_number} className="py-1 flex justify-between gap-4">
+            <span>
+              {row.quantity}x {row.name}
+              {row.set_code && <span className="text-ui-muted ml-1">({row.set_code})</span>}
+              {row.foil && <span className="text-amber-400 ml-1">✦</span>}
+            </span>
+            <span className="text-xs text-ui-muted">{describe(row)}</span>
+          </li>
+        ))}
+        {count > PREVIEW_ROWS && (
+          <li className="py-1 text-xs text-ui-muted">…and {count - PREVIEW_ROWS} more</li>
+        )}
+      </ul>
+    </details>
+  );
+};
+
+DiffGroup.propTypes = {
+  title: PropTypes.string.isRequired,
+  rows: PropTypes.array.isRequired,
+  count: PropTypes.number.isRequired,
+  className: PropTypes.string,
+  describe: PropTypes.func.isRequired,
+};
+
+/**
+ * ImportJobPanel - Imports a file on the server: upload, watch Scryfall matching, review
+ * the dry run, then commit. The job keeps running if the tab closes.
+ */
+export const ImportJobPanel = ({ createdFolders = [] }) => {
+  const { showToast } = useToast();
+  const { loadInventory } = useInventory();
+  const fileInputRef = useRef(null);
+  const [format, setFormat] = useState('auto');
+  const [folder, setFolder] = useState('Uncategorized');
+  const [includeUnresolved, setIncludeUnresolved] = useState(false);
+
+  const handleCompleted = useCallback((completed) => {
+    showToast(`Imported ${completed.progress.imported} rows from ${completed.title}`, TOAST_TYPES.SUCCESS);
+    loadInventory();
+  }, [showToast, loadInventory]);
+
+  const { job, diff, isUploading, isRunning, error, upload, commit, resume, cancel, reset } = useImportJob({
+    onCompleted: handleCompleted,
+  });
+
+  const handleInputChange = useCallback((e) => {
+    const file = e.target.files?.[0];
+    if (file) upload(file, { format, folder });
+    // Reset input so same file can be selected again
+    e.target.value = '';
+  }, [upload, format, folder]);
+
+  const folders = ['Uncategorized', ...createdFolders.filter(name => name !== 'Uncategorized')];
+  const stage = job && isRunning ? stageProgress(job) : null;
+
+  return (
+    <div className="space-y-4">
+      {!job && (
+        <div className="flex flex-wrap items-end gap-4">
+          <div className="flex-1 min-w-[180px]">
+            <label htmlFor="job-format-select" className="block text-xs text-ui-muted mb-1">
+              Import Format
+            </label>
+            <select id="job-format-select" value={format} onChange={(e) => setFormat(e.target.value)} className={SELECT_CLASS}>
+              {SUPPORTED_FORMATS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex-1 min-w-[180px]">
+            <label htmlFor="job-folder-select" className="block text-xs text-ui-muted mb-1">
+              Destination Folder
+            </label>
+            <select id="job-folder-select" value={folder} onChange={(e) => setFolder(e.target.value)} className={SELECT_CLASS}>
+              {folders.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </div>
+          <input ref={fileInputRef} type="file" accept=".csv,.txt" onChange={handleInputChange} className="hidden" />
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isUploading}
+            className="flex items-center gap-2 px-4 py-2 bg-[var(--bda-primary)] hover:opacity-90 text-[var(--bda-primary-foreground)] rounded-lg transition-colors text-sm font-medium"
+          >
+            {isUploading ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+            Upload File
+          </button>
+        </div>
+      )}
+
+      {error && (
+        <div className="flex items-center gap-2 p-3 bg-ui-accent/20 border border-ui-accent rounded-lg text-ui-accent-foreground">
+          <AlertTriangle className="w-5 h-5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {job && (
+        <div className="space-y-3">
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <div>
+              <p className="font-medium text-ui-text">{job.title}</p>
+              <p className="text-sm text-ui-muted">
+                {STATUS_LABELS[job.status] || job.status} · {job.progress.total} rows ({job.format}) → {job.folder}
+              </p>
+            </div>
+            <div className="flex items-center gap-2">
+              {job.status === 'failed' && (
+                <button type="button" onClick={resume} className="flex items-center gap-1 px-3 py-1.5 bg-ui-surface hover:bg-ui-surface/90 rounded-lg text-sm text-ui-text">
+                  <RotateCcw className="w-4 h-4" /> Resume
+                </button>
+              )}
+              {['resolving', 'ready', 'committing', 'failed'].includes(job.status) && (
+                <button type="button" onClick={cancel} className="flex items-center gap-1 px-3 py-1.5 bg-ui-surface hover:bg-ui-surface/90 rounded-lg text-sm text-ui-text">
+                  <X className="w-4 h-4" /> Cancel
+                </button>
+              )}
+              {['completed', 'cancelled'].includes(job.status) && (
+                <button type="button" onClick={reset} className="px-3 py-1.5 bg-ui-surface hover:bg-ui-surface/90 rounded-lg text-sm text-ui-text">
+                  Import another file
+                </button>
+              )}
+            </div>
+          </div>
+
+          {job.status === 'failed' && job.error && (
+            <p className="text-sm text-red-400">{job.error}</p>
+          )}
+
+          {stage && (
+            <div className="space-y-2">
+              <div className="flex items-center justify-between text-sm">
+                <span className="text-ui-muted">{STATUS_LABELS[job.status]}</span>
+                <span className="text-[var(--bda-primary)]">{stage.done} / {stage.total}</span>
+              </div>
+              <div className="h-2 bg-ui-surface rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-[var(--bda-primary)] transition-all duration-300"
+                  style={{ width: `${stage.total > 0 ? (stage.done / stage.total) * 100 : 0}%` }}
+                />
+              </div>
+            </div>
+          )}
+
+          {job.status === 'completed' && (
+            <p className="flex items-center gap-2 text-sm text-emerald-400">
+              <Check className="w-4 h-4" />
+              {job.progress.imported} rows imported{job.progress.skipped > 0 ? `, ${job.progress.skipped} skipped` : ''}
+            </p>
+          )}
+
+          {job.status === 'ready' && diff && (
+            <div className="space-y-2">
+              <p className="text-sm text-ui-text">
+                {diff.summary.cardsToAdd} cards: {diff.summary.newRows} new rows, {diff.summary.mergeRows} merged into existing rows,
+                {' '}{diff.summary.unresolvedRows} unmatched{diff.summary.skippedRows > 0 ? `, ${diff.summary.skippedRows} skipped` : ''}
+              </p>
+              <DiffGroup
+                title="New"
+                rows={diff.new}
+                count={diff.summary.newRows}
+                className="text-emerald-400"
+                describe={row => (row.purchase_price !== null ? `$${Number(row.purchase_price).toFixed(2)}` : '')}
+              />
+              <DiffGroup
+                title="Merges"
+                rows={diff.merges}
+                count={diff.summary.mergeRows}
+                className="text-cyan-400"
+                describe={row => (row.merges_into_row
+                  ? `with row ${row.merges_into_row}`
+                  : `${row.current_quantity} → ${row.current_quantity + row.quantity}`)}
+              />
+              <DiffGroup
+                title="Unmatched"
+                rows={diff.unresolved}
+                count={diff.summary.unresolvedRows}
+                className="text-amber-400"
+                describe={row => row.error || ''}
+              />
+              <DiffGroup
+                title="Skipped"
+                rows={diff.skipped}
+                count={diff.summary.skippedRows}
+                className="text-ui-muted"
+                describe={row => row.error || ''}
+              />
+
+              <div className="flex flex-wrap items-center justify-between gap-4 pt-2">
+                <label className="flex items-center gap-2 text-sm text-ui-text">
+                  <input
+                    type="checkbox"
+                    checked={includeUnresolved}
+                    onChange={(e) => setIncludeUnresolved(e.target.checked)}
+                    disabled={diff.summary.unresolvedRows === 0}
+                    className="w-4 h-4 rounded border-ui-border bg-ui-surface text-[var(--bda-primary)] focus:ring-[var(--bda-primary)]"
+                  />
+                  Import unmatched rows anyway
+                </label>
+                <button
+                  type="button"
+                  onClick={() => commit({ includeUnresolved })}
+                  className="flex items-center gap-2 px-6 py-2 rounded-lg font-medium text-sm bg-[var(--bda-primary)] hover:opacity-90 text-[var(--bda-primary-foreground)]"
+                >
+                  <Upload className="w-4 h-4" />
+                  Import {diff.summary.newRows + diff.summary.mergeRows + (includeUnresolved ? diff.summary.unresolvedRows : 0)} rows
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+ImportJobPanel.propTypes = {
+  createdFolders: PropTypes.array,
+};
+
+export default ImportJobPanel;
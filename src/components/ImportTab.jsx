@@ -1,7 +1,9 @@
 import React, { useState, useEffect } from 'react';
-import { Layers, Upload } from 'lucide-react';
+import { Layers, Upload, Download, Server } from 'lucide-react';
 import { RapidEntryTable } from './rapid-entry/RapidEntryTable';
 import { FileImportSection } from './FileImportSection';
+import { CollectionExportSection } from './CollectionExportSection';
+import { ImportJobPanel } from './ImportJobPanel';
 import { fetchWithAuth } from '../utils/apiClient';
 
 export const ImportTab = ({ 
@@ -82,6 +84,30 @@ export const ImportTab = ({
           createdFolders={createdFolders}
         />
       </div>
+
+      {/* Server Import Section */}
+      <div className="card rounded-lg p-4 sm:p-6 border border-[var(--border)]">
+        <div className="flex items-center gap-3 mb-4">
+          <Server className="w-6 h-6 text-indigo-400" />
+          <h2 className="text-lg sm:text-xl font-bold">Large File Import</h2>
+        </div>
+        <p className="text-sm text-[var(--text-muted)] mb-4">
+          For big collection files. The import runs on the server, so it keeps going if you close this tab, and you can review what will be added or merged before committing.
+        </p>
+        <ImportJobPanel createdFolders={createdFolders} />
+      </div>
+
+      {/* Export Section */}
+      <div className="card rounded-lg p-4 sm:p-6 border border-[var(--border)]">
+        <div className="flex items-center gap-3 mb-4">
+          <Download className="w-6 h-6 text-cyan-400" />
+          <h2 className="text-lg sm:text-xl font-bold">Export to Another Service</h2>
+        </div>
+        <p className="text-sm text-[var(--text-muted)] mb-4">
+          Download your inventory, a folder, a purchase lot or a deck as a Moxfield, Deckbox, TCGPlayer, Archidekt or Manabox CSV.
+        </p>
+        <CollectionExportSection createdFolders={createdFolders} />
+      </div>
     </div>
   );
 };
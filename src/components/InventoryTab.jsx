@@ -1,23 +1,26 @@
-import React, { useEffect, useMemo, useState, useCallback } from 'react';
+import React, { useEffect, useMemo, useState, useCallback, useRef } from 'react';
 import PropTypes from 'prop-types';
 import { X, Menu, Trash2, CheckSquare, Square, FolderInput, ListFilter, Library, Download, ArrowRight } from 'lucide-react';
 import {
   Breadcrumb,
   CardGrid,
+  CardGroup,
   InventorySearchBar,
   InventoryTabs,
   DeckDetailView,
   FolderSidebar,
   FolderView
 } from './inventory';
+import { VirtualizedView, VIEW_MODES } from './ui';
 import { useFolderOperations } from '../hooks/useFolderOperations';
 import { useDeckReservations } from '../hooks/useDeckReservations';
 import { useConfirm } from '../context/ConfirmContext';
 import { useApi } from '../hooks/useApi';
 import { useInventory } from '../context/InventoryContext';
+import { useInventoryQuery, mergeInventoryRows } from '../hooks/useInventoryQuery';
+import { useDebounce } from '../utils/useDebounce';
 import { sortCards } from '../utils/sortCards';
-import { useToast, TOAST_TYPES } from '../context/ToastContext';
-import { fetchWithAuth } from '../utils/apiClient';
+import { QUALITY_OPTIONS } from '../hooks/useRowState';
 
 /**
  * InventoryTab - Main inventory management component
@@ -34,7 +37,6 @@ export const InventoryTab = ({
 }) => {
   const { confirm } = useConfirm();
   const { post } = useApi();
-  const { showToast } = useToast();
 
   // Get inventory state and operations from context
   const {
@@ -46,6 +48,7 @@ export const InventoryTab = ({
     startEditingItem,
     updateInventoryItem,
     deleteInventoryItem,
+    bulkUpdateInventory,
     permanentlyDeleteItem,
     restoreFromTrash,
     emptyTrash,
@@ -232,6 +235,32 @@ export const InventoryTab = ({
     };
   }, [groupedInventory, inventorySearch, sortField, sortDirection, decklistFilter, decklistCardNames]);
 
+  // All Cards streams its list from /inventory/query a page at a time. The decklist filter
+  // depends on the loaded deck instances, so while it is on the list is built locally instead.
+  const streamAllCards = activeTab === 'all' && decklistFilter === 'all';
+  const debouncedSearch = useDebounce(inventorySearch.trim(), 250);
+  const allCardsQuery = useInventoryQuery({
+    filters: { search: debouncedSearch, excludeFolder: 'Trash', status: 'inStock' },
+    sort: sortField,
+    direction: sortDirection,
+    enabled: streamAllCards
+  });
+  const { reload: reloadAllCards } = allCardsQuery;
+
+  // Edits and removals are patched into the loaded pages from the inventory context.
+  // New rows can land anywhere in the sort order, so those reload from the first page.
+  const inventoryCountRef = useRef(inventory.length);
+  useEffect(() => {
+    const grew = inventory.length > inventoryCountRef.current;
+    inventoryCountRef.current = inventory.length;
+    if (grew && streamAllCards) reloadAllCards();
+  }, [inventory.length, streamAllCards, reloadAllCards]);
+
+  const streamedCards = useMemo(() => {
+    const rowsById = new Map(Object.values(groupedInventory).flat().map(item => [item.id, item]));
+    return mergeInventoryRows(allCardsQuery.cards, rowsById);
+  }, [allCardsQuery.cards, groupedInventory]);
+
   // Get all card IDs for All Cards tab
   const allCardIds = useMemo(() => {
     if (activeTab !== 'all') return [];
@@ -258,62 +287,55 @@ export const InventoryTab = ({
     setIsMoving(true);
 
     try {
-      // Show loading toast
-      showToast(
-        `Moving ${totalCards} card${totalCards === 1 ? '' : 's'} to ${targetFolder}...`,
-        TOAST_TYPES.INFO
+      // One request moves every card or none of them
+      const result = await bulkUpdateInventory(
+        Array.from(selectedCardIds),
+        { type: 'move', folder: targetFolder },
+        `Moved ${totalCards} card${totalCards === 1 ? '' : 's'} to ${targetFolder}`
       );
+      if (result) {
+        setShowBulkMove(false);
+        setSelectedCardIds(new Set());
+        setTargetFolder('');
+      }
+    } finally {
+      setIsMoving(false);
+    }
+  }, [targetFolder, selectedCardIds, isMoving, bulkUpdateInventory]);
 
-      // Disable the move button during operation
-      setShowBulkMove(false);
-
-      // Prepare all API calls
-      const movePromises = Array.from(selectedCardIds).map(cardId =>
-        fetchWithAuth(`/api/inventory/${cardId}`, {
-          method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ folder: targetFolder })
-        }).then(response => {
-          if (!response.ok) throw new Error(`Failed to move card ${cardId}`);
-          return cardId;
-        })
-      );
-
-      // Execute all moves in parallel
-      const results = await Promise.allSettled(movePromises);
-
-      // Count successes and failures
-      const successCount = results.filter(r => r.status === 'fulfilled').length;
-      const failureCount = results.filter(r => r.status === 'rejected').length;
+  const handleBulkCondition = useCallback(async (quality) => {
+    if (!quality || selectedCardIds.size === 0 || isMoving) return;
 
-      // Refresh inventory once after all moves
-      if (loadInventory) {
-        await loadInventory();
-      }
+    const totalCards = selectedCardIds.size;
+    setIsMoving(true);
+    try {
+      const result = await bulkUpdateInventory(
+        Array.from(selectedCardIds),
+        { type: 'setCondition', quality },
+        `Set ${totalCards} card${totalCards === 1 ? '' : 's'} to ${quality}`
+      );
+      if (result) setSelectedCardIds(new Set());
+    } finally {
+      setIsMoving(false);
+    }
+  }, [selectedCardIds, isMoving, bulkUpdateInventory]);
 
-      // Show final result
-      if (failureCount === 0) {
-        showToast(
-          `Successfully moved ${successCount} card${successCount === 1 ? '' : 's'} to ${targetFolder}`,
-          TOAST_TYPES.SUCCESS
-        );
-      } else {
-        showToast(
-          `Moved ${successCount} card${successCount === 1 ? '' : 's'}, ${failureCount} failed`,
-          TOAST_TYPES.WARNING
-        );
-      }
+  const handleBulkTrash = useCallback(async () => {
+    if (selectedCardIds.size === 0 || isMoving) return;
 
-      // Reset selection
-      setSelectedCardIds(new Set());
-      setTargetFolder('');
-    } catch (error) {
-      showToast(`Failed to move cards: ${error.message}`, TOAST_TYPES.ERROR);
-      setShowBulkMove(true); // Re-enable on error
+    const totalCards = selectedCardIds.size;
+    setIsMoving(true);
+    try {
+      const result = await bulkUpdateInventory(
+        Array.from(selectedCardIds),
+        { type: 'trash' },
+        `Moved ${totalCards} card${totalCards === 1 ? '' : 's'} to Trash`
+      );
+      if (result) setSelectedCardIds(new Set());
     } finally {
       setIsMoving(false);
     }
-  }, [targetFolder, selectedCardIds, isMoving, showToast, loadInventory]);
+  }, [selectedCardIds, isMoving, bulkUpdateInventory]);
 
   // Calculate selection stats
   const { isAllSelected, uniqueCardsSelected, totalCardsSelected } = useMemo(() => {
@@ -387,6 +409,26 @@ export const InventoryTab = ({
     onSetThreshold: setThresholdHandler
   };
 
+  const renderStreamedGrid = (cards) => (
+    <CardGrid
+      cards={cards}
+      {...cardGridProps}
+      selectedCardIds={selectedCardIds}
+      setSelectedCardIds={setSelectedCardIds}
+    />
+  );
+
+  const renderStreamedCard = ([cardName, items]) => (
+    <CardGroup
+      key={cardName}
+      cardName={cardName}
+      items={items}
+      {...cardGridProps}
+      selectedCardIds={selectedCardIds}
+      setSelectedCardIds={setSelectedCardIds}
+    />
+  );
+
   // Get current deck for deck detail view (non-hook logic)
   const currentDeckId = deckOps.openDecks.find(id => `deck-${id}` === activeTab);
   const currentDeck = deckOps.deckInstances.find(d => d.id === currentDeckId);
@@ -502,6 +544,7 @@ export const InventoryTab = ({
             sortDirection={sortDirection}
             autoFillMissingCards={deckOps.autoFillMissingCards}
             autoFillSingleCard={deckOps.autoFillSingleCard}
+            reoptimizeDeck={deckOps.reoptimizeDeck}
             releaseDeck={handleReleaseDeck}
             moveCardSkuToDeck={deckOps.moveCardSkuToDeck}
           />
@@ -542,13 +585,35 @@ export const InventoryTab = ({
                     {selectedCardIds.size > 0 && (
                       <div className="flex items-center gap-2">
                         {!showBulkMove ? (
-                          <button
-                            onClick={() => setShowBulkMove(true)}
-                            className="flex items-center gap-2 px-3 py-1.5 bg-[var(--bda-primary)] hover:opacity-90 text-[var(--bda-primary-foreground)] rounded-md transition-colors text-sm font-medium"
-                          >
-                            <FolderInput className="w-4 h-4" />
-                            Move to Folder
-                          </button>
+                          <>
+                            <button
+                              onClick={() => setShowBulkMove(true)}
+                              className="flex items-center gap-2 px-3 py-1.5 bg-[var(--bda-primary)] hover:opacity-90 text-[var(--bda-primary-foreground)] rounded-md transition-colors text-sm font-medium"
+                            >
+                              <FolderInput className="w-4 h-4" />
+                              Move to Folder
+                            </button>
+                            <select
+                              value=""
+                              onChange={(e) => handleBulkCondition(e.target.value)}
+                              disabled={isMoving}
+                              aria-label="Set condition of selected cards"
+                              className="px-3 py-1.5 bg-[var(--muted-surface)] border border-[var(--border)] text-[var(--bda-text)] rounded-md text-sm focus:outline-none focus:border-[var(--bda-primary)]"
+                            >
+                              <option value="">Set condition...</option>
+                              {QUALITY_OPTIONS.map(quality => (
+                                <option key={quality} value={quality}>{quality}</option>
+                              ))}
+                            </select>
+                            <button
+                              onClick={handleBulkTrash}
+                              disabled={isMoving}
+                              className="flex items-center gap-2 px-3 py-1.5 bg-[var(--muted-surface)] hover:bg-[var(--surface)] disabled:opacity-50 text-[var(--bda-text)] rounded-md transition-colors text-sm font-medium"
+                            >
+                              <Trash2 className="w-4 h-4" />
+                              Move to Trash
+                            </button>
+                          </>
                         ) : (
                           <div className="flex items-center gap-2">
                             <select
@@ -600,30 +665,49 @@ export const InventoryTab = ({
                     </div>
                   </div>
 
-                  <CardGrid
-                    cards={inStockCards}
-                    {...cardGridProps}
-                    selectedCardIds={selectedCardIds}
-                    setSelectedCardIds={setSelectedCardIds}
-                  />
-                  {inStockCards.length > 0 && outOfStockCards.length > 0 && (
-                    <div className="border-t border-[var(--border)] pt-4">
-                      <h3 className="text-sm font-semibold text-[var(--text-muted)] mb-3">Out of Stock</h3>
+                  {streamAllCards ? (
+                    <>
+                      {allCardsQuery.error && (
+                        <p className="text-sm text-red-400 mb-3">{allCardsQuery.error}</p>
+                      )}
+                      <VirtualizedView
+                        cards={streamedCards}
+                        viewMode={viewMode === 'list' ? VIEW_MODES.LIST : VIEW_MODES.GALLERY}
+                        renderCard={renderStreamedCard}
+                        renderFallback={renderStreamedGrid}
+                        hasMore={allCardsQuery.hasMore}
+                        onLoadMore={allCardsQuery.loadMore}
+                        loadingMore={allCardsQuery.loading}
+                      />
+                    </>
+                  ) : (
+                    <>
                       <CardGrid
-                        cards={outOfStockCards}
+                        cards={inStockCards}
                         {...cardGridProps}
                         selectedCardIds={selectedCardIds}
                         setSelectedCardIds={setSelectedCardIds}
                       />
-                    </div>
-                  )}
-                  {outOfStockCards.length > 0 && inStockCards.length === 0 && (
-                    <CardGrid
-                      cards={outOfStockCards}
-                      {...cardGridProps}
-                      selectedCardIds={selectedCardIds}
-                      setSelectedCardIds={setSelectedCardIds}
-                    />
+                      {inStockCards.length > 0 && outOfStockCards.length > 0 && (
+                        <div className="border-t border-[var(--border)] pt-4">
+                          <h3 className="text-sm font-semibold text-[var(--text-muted)] mb-3">Out of Stock</h3>
+                          <CardGrid
+                            cards={outOfStockCards}
+                            {...cardGridProps}
+                            selectedCardIds={selectedCardIds}
+                            setSelectedCardIds={setSelectedCardIds}
+                          />
+                        </div>
+                      )}
+                      {outOfStockCards.length > 0 && inStockCards.length === 0 && (
+                        <CardGrid
+                          cards={outOfStockCards}
+                          {...cardGridProps}
+                          selectedCardIds={selectedCardIds}
+                          setSelectedCardIds={setSelectedCardIds}
+                        />
+                      )}
+                    </>
                   )}
                 </>
               ) : (
@@ -14,6 +14,8 @@ import {
   ChevronLeft,
   ChevronRight,
   Sparkles,
+  TrendingUp,
+  BarChart3,
 } from 'lucide-react';
 import { UserDropdown } from './UserDropdown';
 
@@ -26,6 +28,8 @@ const NAV_ITEMS = [
   { id: 'imports', icon: Download, label: 'Add Cards' },
   { id: 'inventory', icon: Layers, label: 'Inventory' },
   { id: 'decks', icon: BookOpen, label: 'Decks' },
+  { id: 'sales', icon: TrendingUp, label: 'Sales' },
+  { id: 'analytics', icon: BarChart3, label: 'Analytics' },
 
 ];
 
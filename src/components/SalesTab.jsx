@@ -0,0 +1,169 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { TrendingUp, DollarSign, Package, Tag } from 'lucide-react';
+import { api } from '../utils/apiClient';
+import { API_ENDPOINTS } from '../config/api';
+import { useToast, TOAST_TYPES } from '../context/ToastContext';
+import { useInventory } from '../context/InventoryContext';
+import { StatsCard } from './ui';
+
+const PERIODS = [
+  { id: '30', label: '30 days' },
+  { id: '90', label: '90 days' },
+  { id: 'all', label: 'All time' }
+];
+
+const formatCurrency = (value) => `$${(Number(value) || 0).toFixed(2)}`;
+
+/**
+ * Sales tab - realized profit summary, recent card sales and a quick form to record a sale.
+ * Deck and lot sales are recorded from their own screens through /api/sales.
+ */
+export const SalesTab = () => {
+  const { showToast } = useToast();
+  const { loadInventory } = useInventory();
+  const [period, setPeriod] = useState('90');
+  const [summary, setSummary] = useState(null);
+  const [sales, setSales] = useState([]);
+  const [form, setForm] = useState({ name: '', quantity: 1, salePrice: '' });
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadSales = useCallback(async () => {
+    const query = period === 'all' ? '' : `?days=${period}`;
+    try {
+      const [summaryData, salesData] = await Promise.all([
+        api.get(`${API_ENDPOINTS.SALES}/summary${query}`),
+        api.get(`${API_ENDPOINTS.SALES}${query}`)
+      ]);
+      setSummary(summaryData);
+      setSales(salesData || []);
+    } catch (error) {
+      console.warn('[Sales] Error fetching sales:', error);
+    }
+  }, [period]);
+
+  useEffect(() => {
+    loadSales();
+  }, [loadSales]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const salePrice = parseFloat(form.salePrice);
+    if (!form.name.trim() || isNaN(salePrice)) return;
+
+    setSubmitting(true);
+    try {
+      const sale = await api.post(`${API_ENDPOINTS.SALES}/cards`, {
+        name: form.name.trim(),
+        quantity: parseInt(form.quantity, 10) || 1,
+        salePrice
+      });
+      showToast(`Sold ${sale.quantity}x ${sale.itemName} for ${formatCurrency(sale.profit)} profit`, TOAST_TYPES.SUCCESS);
+      setForm({ name: '', quantity: 1, salePrice: '' });
+      await Promise.all([loadSales(), loadInventory()]);
+    } catch (error) {
+      showToast(error.message || 'Failed to record sale', TOAST_TYPES.ERROR);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const totals = summary?.totals || { sales: 0, cards: 0, revenue: 0, costBasis: 0, profit: 0 };
+
+  return (
+    <div className="flex-1 p-6 bg-[var(--bg-page)] overflow-y-auto">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-2xl font-bold text-[var(--bda-primary)] flex items-center gap-2">
+          <TrendingUp className="w-6 h-6" />
+          Sales
+        </h2>
+        <div className="bg-[var(--surface)] rounded-lg p-1 flex gap-1">
+          {PERIODS.map(p => (
+            <button
+              key={p.id}
+              onClick={() => setPeriod(p.id)}
+              className={`px-3 py-1.5 rounded-md text-sm font-medium transition-all ${period === p.id
+                ? 'bg-[var(--bda-primary)] text-[var(--bda-primary-foreground)] shadow-md'
+                : 'text-[var(--bda-muted)] hover:text-[var(--bda-text)]'
+                }`}
+            >
+              {p.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+        <StatsCard title="Revenue" value={formatCurrency(totals.revenue)} icon={DollarSign} color="teal" subtitle={`${totals.sales} sales`} />
+        <StatsCard title="Cost Basis" value={formatCurrency(totals.costBasis)} icon={Package} color="slate" subtitle="FIFO" />
+        <StatsCard title="Realized Profit" value={formatCurrency(totals.profit)} icon={TrendingUp} color={totals.profit >= 0 ? 'emerald' : 'red'} />
+        <StatsCard title="Cards Sold" value={Number(totals.cards).toLocaleString()} icon={Tag} color="amber" />
+      </div>
+
+      <form onSubmit={handleSubmit} className="bg-[var(--bda-surface)] border border-[var(--bda-border)] rounded-lg p-4 mb-8 flex flex-wrap items-end gap-3">
+        <label className="flex-1 min-w-[12rem] text-sm text-[var(--bda-muted)]">
+          Card
+          <input
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="Card name"
+            className="mt-1 w-full px-3 py-2 rounded-lg bg-[var(--input-bg)] border border-[var(--bda-border)] text-[var(--bda-text)]"
+          />
+        </label>
+        <label className="w-24 text-sm text-[var(--bda-muted)]">
+          Qty
+          <input
+            type="number"
+            min="1"
+            value={form.quantity}
+            onChange={(e) => setForm({ ...form, quantity: e.target.value })}
+            className="mt-1 w-full px-3 py-2 rounded-lg bg-[var(--input-bg)] border border-[var(--bda-border)] text-[var(--bda-text)]"
+          />
+        </label>
+        <label className="w-32 text-sm text-[var(--bda-muted)]">
+          Total price
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={form.salePrice}
+            onChange={(e) => setForm({ ...form, salePrice: e.target.value })}
+            className="mt-1 w-full px-3 py-2 rounded-lg bg-[var(--input-bg)] border border-[var(--bda-border)] text-[var(--bda-text)]"
+          />
+        </label>
+        <button
+          type="submit"
+          disabled={submitting}
+          className="px-4 py-2 rounded-lg font-semibold bg-[var(--bda-primary)] text-[var(--bda-primary-foreground)] disabled:opacity-50"
+        >
+          {submitting ? 'Recording...' : 'Record Sale'}
+        </button>
+      </form>
+
+      <div className="bg-[var(--bda-surface)] border border-[var(--bda-border)] rounded-lg p-4">
+        <h3 className="text-lg font-semibold text-[var(--bda-heading)] mb-4">Recent Sales</h3>
+        {sales.length === 0 ? (
+          <div className="text-sm text-[var(--bda-muted)]">No sales recorded in this period</div>
+        ) : (
+          <div className="space-y-2">
+            {sales.map(sale => (
+              <div key={sale.id} className="flex justify-between items-center text-sm p-2 bg-white/5 rounded border border-white/5">
+                <span className="text-[var(--bda-muted)]">
+                  {sale.quantity}x {sale.card_name}
+                  {sale.sale_type && sale.sale_type !== 'card' && <span className="ml-2 text-xs uppercase">({sale.sale_type})</span>}
+                </span>
+                <div className="flex gap-3">
+                  <span className="text-[var(--bda-text)]">{formatCurrency(sale.sell_price)}</span>
+                  <span className={`font-semibold ${sale.profit >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>
+                    {sale.profit >= 0 ? '+' : '-'}{formatCurrency(Math.abs(sale.profit))}
+                  </span>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SalesTab;
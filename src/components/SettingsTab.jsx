@@ -1,8 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
-import { Target, Zap, Settings } from 'lucide-react';
+import { Target, Zap, Settings, Replace } from 'lucide-react';
 import { useThresholdSettings } from '../hooks/useThresholdSettings';
-import { ThresholdSettings, PresetManager, AccountSettings } from './settings';
+import { ThresholdSettings, PresetManager, AccountSettings, SubstitutionGroupSettings } from './settings';
 import AppearanceSettings from './settings/AppearanceSettings';
 import { api } from '../utils/apiClient';
 import { API_ENDPOINTS } from '../config/api';
@@ -72,6 +72,15 @@ export const SettingsTab = ({ inventory = [] }) => {
             Presets
           </span>
         </button>
+        <button
+          onClick={() => setActiveTab('substitutions')}
+          className={getTabClassName('substitutions', 'border-[var(--bda-primary)] text-[var(--bda-primary)]')}
+        >
+          <span className="flex items-center gap-1.5">
+            <Replace className="w-4 h-4" />
+            Substitutions
+          </span>
+        </button>
         <button
           onClick={() => setActiveTab('appearance')}
           className={getTabClassName('appearance', 'border-amber-500 text-amber-400')}
@@ -112,6 +121,11 @@ export const SettingsTab = ({ inventory = [] }) => {
         />
       )}
 
+      {/* Substitution Groups Tab */}
+      {activeTab === 'substitutions' && (
+        <SubstitutionGroupSettings />
+      )}
+
       {/* Appearance Tab */}
       {activeTab === 'appearance' && (
         <AppearanceSettings />
@@ -14,17 +14,9 @@ import Card from '../ui/Card';
 import Button from '../ui/Button';
 import MysticOrb from '../ui/MysticOrb';
 import WizardOptionCard from './WizardOptionCard';
+import GenerationProgress from './GenerationProgress';
 import { ChevronLeft } from 'lucide-react';
-
-const LOADING_STEPS = [
-    { step: 0, msg: 'Identifying Commander...', icon: '🔮' },
-    { step: 1, msg: 'Fetching EDHREC data...', icon: '📊' },
-    { step: 2, msg: 'Analyzing MTGGoldfish decks...', icon: '🐟' },
-    { step: 3, msg: 'Pondering Orbs...', icon: '🔮' },
-    { step: 4, msg: 'Building synergies...', icon: '⚡' },
-    { step: 5, msg: 'Optimizing mana curve...', icon: '📈' },
-    { step: 6, msg: 'Finalizing deck...', icon: '✨' },
-];
+import { GENERATION_STAGES, streamDeckGeneration, cancelDeckGeneration } from '../../utils/generationStream';
 
 export default function AIDeckBuilder({ onComplete, isGuest = false, onAuthSuccess }) {
     const { login, signup } = useAuth();
@@ -47,6 +39,9 @@ export default function AIDeckBuilder({ onComplete, isGuest = false, onAuthSucce
     });
 
     const [loadingStep, setLoadingStep] = useState(0);
+    const [generationProgress, setGenerationProgress] = useState({}); // Stage -> what it reported
+    const [generationId, setGenerationId] = useState(null);
+    const [cancellingGeneration, setCancellingGeneration] = useState(false);
     const [result, setResult] = useState(null);
     const [viewMode, setViewMode] = useState('grid');
     const [activeMobileTab, setActiveMobileTab] = useState('deck');
@@ -89,36 +84,38 @@ export default function AIDeckBuilder({ onComplete, isGuest = false, onAuthSucce
 
     const [hiddenCommanderId, setHiddenCommanderId] = useState(null);
 
-    // Update loading effect to track wizardState
-    useEffect(() => {
-        if (wizardState !== 'generating') {
-            setLoadingStep(0);
-            return;
-        }
-        const interval = setInterval(() => {
-            setLoadingStep(prev => (prev < LOADING_STEPS.length - 1 ? prev + 1 : prev));
-        }, 2500);
-        return () => clearInterval(interval);
-    }, [wizardState]);
-
-    // Handle deck generation (API Call only)
+    // Handle deck generation, following the server's stage events as they stream in
     const generateDeck = async () => {
         setWizardState('generating');
         setResult(null);
+        setLoadingStep(0);
+        setGenerationProgress({});
 
         try {
-            const data = await post('/ai/generate', {
+            const data = await streamDeckGeneration({
                 commanderMode: deckConfig.commanderMode, // 'random' or 'specific'
                 commander: deckConfig.commanderMode === 'specific' ? deckConfig.commander?.name : null,
                 theme: deckConfig.prompt,
                 budget: deckConfig.budget === 'Unlimited' ? null : deckConfig.budget,
                 bracket: 3,
                 inventoryOnly: deckConfig.source === 'inventory'
+            }, {
+                onEvent: ({ event, data: payload }) => {
+                    if (event === 'started') setGenerationId(payload.id);
+                    const step = GENERATION_STAGES.findIndex(stage => stage.stage === event);
+                    if (step === -1) return;
+                    setLoadingStep(step);
+                    setGenerationProgress(prev => ({ ...prev, [event]: payload }));
+                }
             });
 
             setResult(data);
             setWizardState('ready');
         } catch (error) {
+            if (error.cancelled) {
+                setWizardState('step_final_input');
+                return;
+            }
             console.error('Generation failed', error);
 
             // Check for specific error types
@@ -135,6 +132,21 @@ export default function AIDeckBuilder({ onComplete, isGuest = false, onAuthSucce
             }
 
             setWizardState('step_final_input'); // Go back to input step on error
+        } finally {
+            setGenerationId(null);
+            setCancellingGeneration(false);
+        }
+    };
+
+    // Stop the generation on the server; the stream then ends and generateDeck returns to input
+    const handleCancelGeneration = async () => {
+        if (!generationId) return;
+        setCancellingGeneration(true);
+        try {
+            await cancelDeckGeneration(generationId);
+        } catch (error) {
+            console.error('Failed to cancel generation', error);
+            setCancellingGeneration(false);
         }
     };
 
@@ -276,7 +288,8 @@ export default function AIDeckBuilder({ onComplete, isGuest = false, onAuthSucce
 
             await put(`/decks/${newDeck.id}`, {
                 ...newDeck,
-                cards: cardList
+                cards: cardList,
+                source: 'ai'
             });
 
             showToast(`Deck "${deckName}" saved successfully!`, TOAST_TYPES.SUCCESS);
@@ -481,8 +494,8 @@ export default function AIDeckBuilder({ onComplete, isGuest = false, onAuthSucce
                                         setWizardState('cracking');
                                     }
                                 }}
-                                loadingText={LOADING_STEPS[loadingStep]?.msg}
-                                loadingIcon={LOADING_STEPS[loadingStep]?.icon}
+                                loadingText={GENERATION_STAGES[loadingStep]?.msg}
+                                loadingIcon={GENERATION_STAGES[loadingStep]?.icon}
                                 onCrackComplete={() => {
                                     // Animation finished, check result
                                     if (result && !result.error) {
@@ -514,6 +527,15 @@ export default function AIDeckBuilder({ onComplete, isGuest = false, onAuthSucce
                             />
                         </div>
                     </div>
+
+                    {/* What the generator has worked out so far */}
+                    {wizardState === 'generating' && (
+                        <GenerationProgress
+                            progress={generationProgress}
+                            onCancel={generationId ? handleCancelGeneration : null}
+                            cancelling={cancellingGeneration}
+                        />
+                    )}
                 </div>
             )}
             {/* Step Title with Back Button */}
@@ -0,0 +1,97 @@
+/**
+ * Generation Progress
+ * Shows what the deck generator has worked out so far, stage by stage, while the orb spins
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { X } from 'lucide-react';
+
+const DRAFT_PREVIEW_SIZE = 12;
+
+export default function GenerationProgress({ progress, onCancel, cancelling = false }) {
+  const commander = progress.commander?.commander;
+  const recommendations = progress.recommendations;
+  const inventory = progress.inventory;
+  const draft = progress.draft;
+  const validation = progress.validation;
+
+  const draftCards = (draft?.cards || []).filter(card => card.category !== 'Commander');
+  const draftCount = (draft?.cards || []).reduce((sum, card) => sum + (card.quantity || 1), 0);
+  const commanderImage = commander?.image_uris?.art_crop || commander?.card_faces?.[0]?.image_uris?.art_crop;
+
+  return (
+    <div className="w-full max-w-md flex flex-col gap-3 text-sm animate-in fade-in duration-500">
+      {commander && (
+        <div className="flex items-center gap-3 bg-white/5 border border-white/10 rounded-lg p-3">
+          {commanderImage && (
+            <img src={commanderImage} alt="" className="w-12 h-12 rounded object-cover" />
+          )}
+          <div className="min-w-0">
+            <div className="text-white font-semibold truncate">{commander.name}</div>
+            <div className="text-gray-400 text-xs truncate">{commander.type_line}</div>
+          </div>
+        </div>
+      )}
+
+      {recommendations && recommendations.archetypes.length > 0 && (
+        <div className="flex flex-wrap gap-1.5">
+          {recommendations.archetypes.slice(0, 6).map(archetype => (
+            <span key={archetype} className="px-2 py-0.5 rounded-full bg-purple-500/20 text-purple-200 text-xs">
+              {archetype}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {inventory && (
+        <div className="text-gray-300">
+          {inventory.owned.length > 0
+            ? `${inventory.owned.length} recommended cards are already in your collection`
+            : 'None of the recommended cards are in your collection yet'}
+        </div>
+      )}
+
+      {draft && (
+        <div className="bg-white/5 border border-white/10 rounded-lg p-3">
+          {draft.description && <p className="text-gray-300 italic mb-2">{draft.description}</p>}
+          <div className="text-xs text-gray-400 mb-1">Draft: {draftCount} cards</div>
+          <div className="text-gray-200 text-xs leading-relaxed">
+            {draftCards.slice(0, DRAFT_PREVIEW_SIZE).map(card => card.name).join(' · ')}
+            {draftCards.length > DRAFT_PREVIEW_SIZE && ` · +${draftCards.length - DRAFT_PREVIEW_SIZE} more`}
+          </div>
+        </div>
+      )}
+
+      {validation && (
+        <div className="text-gray-300">
+          {validation.totalCards} cards, ${validation.totalPrice.toFixed(2)}
+          {!validation.withinBudget && <span className="text-amber-400"> (over budget)</span>}
+        </div>
+      )}
+
+      {onCancel && (
+        <button
+          onClick={onCancel}
+          disabled={cancelling}
+          className="self-center flex items-center gap-1 text-gray-400 hover:text-white disabled:opacity-50 transition-colors"
+        >
+          <X className="w-4 h-4" />
+          <span>{cancelling ? 'Cancelling...' : 'Cancel'}</span>
+        </button>
+      )}
+    </div>
+  );
+}
+
+GenerationProgress.propTypes = {
+  progress: PropTypes.shape({
+    commander: PropTypes.object,
+    recommendations: PropTypes.object,
+    inventory: PropTypes.object,
+    draft: PropTypes.object,
+    validation: PropTypes.object
+  }).isRequired,
+  onCancel: PropTypes.func,
+  cancelling: PropTypes.bool
+};
@@ -9,6 +9,8 @@ export function CopyToDeckModal({
   deck,
   copyDeckName,
   onCopyDeckNameChange,
+  allowSubstitutes = false,
+  onAllowSubstitutesChange,
   isCopying,
   onCopy,
   onCancel
@@ -46,6 +48,21 @@ export function CopyToDeckModal({
             autoFocus
           />
         </div>
+
+        {onAllowSubstitutesChange && (
+          <label className="flex items-start gap-2 mb-4 text-sm text-[var(--text-muted)] cursor-pointer">
+            <input
+              type="checkbox"
+              checked={allowSubstitutes}
+              onChange={(e) => onAllowSubstitutesChange(e.target.checked)}
+              className="mt-0.5"
+            />
+            <span>
+              Fill missing cards from substitutes
+              <span className="block text-xs">Uses spare copies from your substitution groups in Settings.</span>
+            </span>
+          </label>
+        )}
         
         <div className="bg-[var(--bg-page)] rounded p-3 mb-4">
           <p className="text-sm text-[var(--text-muted)]">
@@ -89,6 +106,8 @@ CopyToDeckModal.propTypes = {
   }).isRequired,
   copyDeckName: PropTypes.string.isRequired,
   onCopyDeckNameChange: PropTypes.func.isRequired,
+  allowSubstitutes: PropTypes.bool,
+  onAllowSubstitutesChange: PropTypes.func,
   isCopying: PropTypes.bool.isRequired,
   onCopy: PropTypes.func.isRequired,
   onCancel: PropTypes.func.isRequired
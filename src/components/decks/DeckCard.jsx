@@ -16,7 +16,7 @@ export function DeckCard({
   onCopy,
   onEdit,
   onEditCards,
-  onArchidektSync,
+  onSync,
   onDelete,
   onUpdateName,
   onCancelEdit
@@ -214,16 +214,16 @@ export function DeckCard({
           </button>
         )}
 
-        {onArchidektSync && (
+        {onSync && (
           <button
             onClick={(e) => {
               e.stopPropagation();
-              onArchidektSync(deck);
+              onSync(deck);
             }}
             className="w-full mt-2 bg-blue-600 hover:bg-blue-500 text-white px-3 py-1 rounded text-sm transition-colors flex items-center justify-center gap-2"
           >
             <Link2 className="w-4 h-4" />
-            Archidekt Sync
+            Sync from Source
           </button>
         )}
       </div>
@@ -254,7 +254,7 @@ DeckCard.propTypes = {
   onCopy: PropTypes.func.isRequired,
   onEdit: PropTypes.func.isRequired,
   onEditCards: PropTypes.func,
-  onArchidektSync: PropTypes.func,
+  onSync: PropTypes.func,
   onDelete: PropTypes.func.isRequired,
   onUpdateName: PropTypes.func.isRequired,
   onCancelEdit: PropTypes.func.isRequired
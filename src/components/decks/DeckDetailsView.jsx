@@ -1,6 +1,6 @@
 import React, { useState, useMemo } from 'react';
 import PropTypes from 'prop-types';
-import { X, Trash2, ChevronDown, FileEdit, Link2, ShoppingCart, Tag, Crown } from 'lucide-react';
+import { X, Trash2, ChevronDown, FileEdit, Link2, ShoppingCart, Tag, Crown, ShieldAlert } from 'lucide-react';
 
 import { getSetDisplayName } from '../../utils/cardHelpers';
 import { normalizeName, computeCompletion } from '../../utils/deckHelpers';
@@ -8,6 +8,8 @@ import { BuyButton } from '../buy/BuyButton';
 import { BuyCardsModal } from '../buy/BuyCardsModal';
 import { ManaCurveChart, DeckColorPie, DeckStatsPanel } from '../ui';
 import { useCardMetadata } from '../../hooks/useCardMetadata';
+import { useDeckLegality } from '../../hooks/useDeckLegality';
+import { DeckRevisionsPanel } from './DeckRevisionsPanel';
 
 /**
  * DeckDetailsView component - Displays detailed view of a single deck
@@ -19,15 +21,25 @@ export function DeckDetailsView({
   onDelete,
   onUpdateDescription,
   onEditCards,
-  onArchidektSync
+  onSync,
+  onDeckUpdated
 }) {
   const [showMissing, setShowMissing] = useState(false);
   const [showBuyModal, setShowBuyModal] = useState(false);
 
   const [commanderLocal, setCommanderLocal] = useState(deck.commander || '');
+  const [companionLocal, setCompanionLocal] = useState(deck.companion || '');
   const [settingCommanderFor, setSettingCommanderFor] = useState(null);
   const [enrichedCards, setEnrichedCards] = useState([]);
   const { fetchMetadata, loading: metadataLoading } = useCardMetadata();
+  const { legality } = useDeckLegality({
+    id: deck.id,
+    format: deck.format,
+    cards: deck.cards,
+    commander: commanderLocal,
+    companion: companionLocal
+  });
+  const isCommanderFormat = String(deck.format || '').toLowerCase() === 'commander';
 
   // Load metadata for cards to enable charts
   React.useEffect(() => {
@@ -49,7 +61,9 @@ export function DeckDetailsView({
             colors: metadata.colors,
             color_identity: metadata.colorIdentity || metadata.colors,
             type_line: metadata.typeLine,
-            mana_cost: metadata.manaCost
+            mana_cost: metadata.manaCost,
+            partner: metadata.partner,
+            companion: metadata.companion
           };
         }
         return card;
@@ -64,6 +78,37 @@ export function DeckDetailsView({
   // Compute missing cards using shared helpers
   const cards = Array.isArray(deck.cards) ? deck.cards : [];
   const { totalCards, totalMissing } = computeCompletion(cards, inventoryByName || {});
+  const metadataByName = useMemo(
+    () => new Map(enrichedCards.map(card => [card.name, card])),
+    [enrichedCards]
+  );
+
+  /**
+   * Save the deck's commander or companion from a card row
+   */
+  const saveDeckRole = async (cardName, field, value, onSaved) => {
+    if (settingCommanderFor) return;
+    setSettingCommanderFor(cardName);
+    try {
+      const res = await fetch(`/api/decks/${deck.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: deck.name || '', [field]: value }),
+      });
+      if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.error || `Failed to set ${field}`);
+      }
+      const json = await res.json();
+      onSaved(json[field] ?? value);
+    } catch (err) {
+      console.error(`Set ${field} failed`, err);
+      alert(`Failed to set ${field}: ` + (err.message || 'unknown'));
+    } finally {
+      setSettingCommanderFor(null);
+    }
+  };
+
   const missingEntries = cards.map((card) => {
     const nameKey = normalizeName(card.name);
     const available = inventoryByName?.[nameKey] || 0;
@@ -97,6 +142,13 @@ export function DeckDetailsView({
                 <span className="text-white ml-1">{commanderLocal}</span>
               </p>
             ) : null}
+            {companionLocal ? (
+              <p className="text-[var(--text-muted)] mt-1 flex items-center gap-2">
+                <Tag className="w-4 h-4 text-purple-300" />
+                <span className="font-medium">Companion:</span>
+                <span className="text-white ml-1">{companionLocal}</span>
+              </p>
+            ) : null}
           </div>
           <div className="flex gap-2">
             {totalMissing > 0 && (
@@ -119,6 +171,16 @@ export function DeckDetailsView({
                 Edit Cards
               </button>
             )}
+            {onSync && (
+              <button
+                onClick={() => onSync(deck)}
+                className="text-slate-100 bg-blue-600 hover:bg-blue-500 transition-colors px-3 py-2 rounded-lg flex items-center gap-2 font-medium"
+                title={deck.source_url || deck.archidekt_url ? 'Sync from the deck\'s source URL' : 'Link a deck URL to sync from'}
+              >
+                <Link2 className="w-4 h-4" />
+                Sync
+              </button>
+            )}
             <button
               onClick={() => onDelete(deck.id)}
               className="text-[var(--text-muted)] hover:text-red-400 transition-colors"
@@ -156,6 +218,7 @@ export function DeckDetailsView({
                 ownedCount={ownedCount}
                 averageCmc={averageCmc}
                 typeBreakdown={typeBreakdown}
+                legality={legality}
                 compact={true}
               />
               {/* Charts row */}
@@ -183,6 +246,25 @@ export function DeckDetailsView({
           );
         })()}
 
+        {legality?.supported && legality.violations.length > 0 && (
+          <div className="mb-4 rounded-lg p-3 border border-red-700/30 bg-red-900/20 space-y-2">
+            <h3 className="text-sm font-semibold text-red-300 flex items-center gap-2">
+              <ShieldAlert className="w-4 h-4" />
+              {legality.legal ? `${legality.format} checks` : `Not legal in ${legality.format}`}
+            </h3>
+            <ul className="space-y-1 text-sm">
+              {legality.violations.map((violation, i) => (
+                <li key={i} className={violation.severity === 'error' ? 'text-red-200' : 'text-amber-200'}>
+                  {violation.message}
+                  {violation.cards.length > 0 && (
+                    <span className="text-[var(--text-muted)]">: {violation.cards.join(', ')}</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         <div className="mb-4">
           <label className="block text-sm text-[var(--text-muted)] mb-2">Description</label>
           <textarea
@@ -223,34 +305,32 @@ export function DeckDetailsView({
                       <span className="text-[var(--text-muted)]">{getSetDisplayName(card.set, true)}</span>
                       {/* Set as commander action */}
                       <button
-                        onClick={async () => {
-                          if (settingCommanderFor) return;
-                          const cardName = typeof card === 'string' ? card : card.name || '';
-                          setSettingCommanderFor(cardName);
-                          try {
-                            const res = await fetch(`/api/decks/${deck.id}`, {
-                              method: 'PUT',
-                              headers: { 'Content-Type': 'application/json' },
-                              body: JSON.stringify({ name: deck.name || '', commander: cardName }),
-                            });
-                            if (!res.ok) {
-                              const err = await res.json().catch(() => ({}));
-                              throw new Error(err.error || 'Failed to set commander');
-                            }
-                            const json = await res.json();
-                            setCommanderLocal(json.commander || cardName);
-                          } catch (err) {
-                            console.error('Set commander failed', err);
-                            alert('Failed to set commander: ' + (err.message || 'unknown'));
-                          } finally {
-                            setSettingCommanderFor(null);
-                          }
-                        }}
+                        onClick={() => saveDeckRole(card.name || '', 'commander', card.name || '', setCommanderLocal)}
                         className="ml-2 text-xs bg-[var(--bg-page)] border border-[var(--border)] hover:bg-[var(--muted-surface)] px-2 py-1 rounded text-[var(--text-muted)]"
                         title="Set as commander"
                       >
-                        {settingCommanderFor === (typeof card === 'string' ? card : card.name || '') ? 'Saving...' : 'Set as commander'}
+                        {settingCommanderFor === (card.name || '') ? 'Saving...' : 'Set as commander'}
                       </button>
+                      {/* Second commander for partners, backgrounds and Doctor's companions; stored as "First + Second" */}
+                      {isCommanderFormat && commanderLocal && !commanderLocal.includes(' + ') && commanderLocal !== card.name
+                        && (metadataByName.get(card.name)?.partner || metadataByName.get(card.name)?.type_line?.includes('Background')) && (
+                        <button
+                          onClick={() => saveDeckRole(card.name, 'commander', `${commanderLocal} + ${card.name}`, setCommanderLocal)}
+                          className="text-xs bg-[var(--bg-page)] border border-[var(--border)] hover:bg-[var(--muted-surface)] px-2 py-1 rounded text-[var(--text-muted)]"
+                          title="Add as a second commander"
+                        >
+                          Add as partner
+                        </button>
+                      )}
+                      {metadataByName.get(card.name)?.companion && (
+                        <button
+                          onClick={() => saveDeckRole(card.name, 'companion', companionLocal === card.name ? null : card.name, value => setCompanionLocal(value || ''))}
+                          className="text-xs bg-[var(--bg-page)] border border-[var(--border)] hover:bg-[var(--muted-surface)] px-2 py-1 rounded text-[var(--text-muted)]"
+                          title="Companions sit outside the main deck"
+                        >
+                          {companionLocal === card.name ? 'Remove companion' : 'Set as companion'}
+                        </button>
+                      )}
                     </div>
                     <div />
                   </div>
@@ -285,6 +365,8 @@ export function DeckDetailsView({
           </div>
         )}
 
+        <DeckRevisionsPanel deck={deck} onReverted={onDeckUpdated} />
+
         <p className="text-xs text-[var(--text-muted)] mt-4">
           Created: {new Date(deck.created_at).toLocaleDateString()}
         </p>
@@ -308,9 +390,12 @@ DeckDetailsView.propTypes = {
     id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
     name: PropTypes.string.isRequired,
     commander: PropTypes.string,
+    companion: PropTypes.string,
     format: PropTypes.string,
     description: PropTypes.string,
     created_at: PropTypes.string,
+    source_url: PropTypes.string,
+    archidekt_url: PropTypes.string,
     cards: PropTypes.arrayOf(PropTypes.shape({
       quantity: PropTypes.number,
       name: PropTypes.string,
@@ -331,7 +416,8 @@ DeckDetailsView.propTypes = {
   onDelete: PropTypes.func.isRequired,
   onUpdateDescription: PropTypes.func.isRequired,
   onEditCards: PropTypes.func,
-  onArchidektSync: PropTypes.func
+  onSync: PropTypes.func,
+  onDeckUpdated: PropTypes.func
 };
 
 export default DeckDetailsView;
@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { History, ChevronDown, RotateCcw, GitCompare } from 'lucide-react';
+import { useDeckRevisions } from '../../hooks/useDeckRevisions';
+import { useConfirm } from '../../context/ConfirmContext';
+import { useToast, TOAST_TYPES } from '../../context/ToastContext';
+
+const SOURCE_LABELS = {
+  manual: 'Edited',
+  archidekt: 'Archidekt sync',
+  ai: 'AI builder',
+  import: 'Imported',
+  revert: 'Restored',
+};
+
+const diffSummary = (diff) => {
+  const parts = [];
+  if (diff.added?.length) parts.push(`+${diff.added.length}`);
+  if (diff.removed?.length) parts.push(`−${diff.removed.length}`);
+  if (diff.changed?.length) parts.push(`~${diff.changed.length}`);
+  return parts.join(' ') || 'no changes';
+};
+
+/**
+ * Card-level diff: added, removed and quantity changes
+ */
+const DiffList = ({ diff }) => (
+  <ul className="text-xs space-y-0.5">
+    {diff.added.map(card => (
+      <li key={`+${card.name}`} className="text-emerald-300">+ {card.quantity}x {card.name}</li>
+    ))}
+    {diff.removed.map(card => (
+      <li key={`-${card.name}`} className="text-red-300">− {card.quantity}x {card.name}</li>
+    ))}
+    {diff.changed.map(card => (
+      <li key={`~${card.name}`} className="text-amber-300">~ {card.name}: {card.from} → {card.to}</li>
+    ))}
+    {diff.added.length + diff.removed.length + diff.changed.length === 0 && (
+      <li className="text-[var(--text-muted)]">Same cards</li>
+    )}
+  </ul>
+);
+
+DiffList.propTypes = {
+  diff: PropTypes.shape({
+    added: PropTypes.array.isRequired,
+    removed: PropTypes.array.isRequired,
+    changed: PropTypes.array.isRequired,
+  }).isRequired,
+};
+
+/**
+ * DeckRevisionsPanel - Collapsible revision history for a deck with compare and restore
+ */
+export function DeckRevisionsPanel({ deck, onReverted }) {
+  const { confirm } = useConfirm();
+  const { showToast } = useToast();
+  const [isOpen, setIsOpen] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+  const { revisions, comparison, error, compare, revert, clearComparison } = useDeckRevisions(
+    { id: deck.id, cards: deck.cards },
+    { onReverted }
+  );
+
+  const handleRevert = async (revision) => {
+    const confirmed = await confirm({
+      title: 'Restore Revision',
+      message: `Replace the current card list with revision ${revision.revision_number}? Deck instances built from this deck will be reallocated.`,
+      confirmText: 'Restore',
+    });
+    if (!confirmed) return;
+
+    const result = await revert(revision.revision_number);
+    if (result) {
+      showToast(result.revision ? `Restored revision ${revision.revision_number}` : 'Deck already matches that revision', TOAST_TYPES.SUCCESS);
+    }
+  };
+
+  return (
+    <div className="mt-4">
+      <button
+        onClick={() => setIsOpen(prev => !prev)}
+        className="w-full flex items-center justify-between p-3 bg-[var(--surface)] hover:bg-[var(--muted-surface)] rounded-lg text-sm font-semibold text-[var(--text-muted)] border border-[var(--border)]"
+      >
+        <span className="flex items-center gap-2">
+          <History className="w-4 h-4" />
+          Revision History ({revisions.length})
+        </span>
+        <ChevronDown className={`w-5 h-5 transition-transform ${isOpen ? 'rotate-180' : ''}`} />
+      </button>
+
+      {isOpen && (
+        <div className="mt-2 bg-[var(--bg-page)] rounded-lg p-3 max-h-96 overflow-y-auto border border-[var(--border)] space-y-2">
+          {error && <p className="text-sm text-red-400">{error}</p>}
+          {revisions.length === 0 && !error && (
+            <p className="text-sm text-[var(--text-muted)]">No revisions yet. Changes to the card list are recorded from now on.</p>
+          )}
+
+          {comparison && (
+            <div className="p-2 rounded border border-cyan-700/40 bg-cyan-900/20">
+              <div className="flex justify-between items-center mb-1 text-xs text-cyan-200">
+                <span>
+                  Revision {comparison.from.revision_number} → {comparison.to ? `revision ${comparison.to.revision_number}` : 'current list'}
+                </span>
+                <button onClick={clearComparison} className="hover:text-white">Close</button>
+              </div>
+              <DiffList diff={comparison.diff} />
+            </div>
+          )}
+
+          {revisions.map((revision, index) => (
+            <div key={revision.id} className="rounded bg-[var(--surface)] text-sm">
+              <button
+                onClick={() => setExpanded(prev => (prev === revision.id ? null : revision.id))}
+                className="w-full flex justify-between items-center gap-3 px-3 py-2 text-left"
+              >
+                <span className="text-[var(--text-muted)]">
+                  <span className="text-white font-medium">#{revision.revision_number}</span>
+                  {' '}{SOURCE_LABELS[revision.source] || revision.source}
+                  {revision.reverted_to ? ` to #${revision.reverted_to}` : ''}
+                  {revision.author_email ? ` by ${revision.author_email}` : ''}
+                </span>
+                <span className="text-xs text-[var(--text-muted)] whitespace-nowrap">
+                  {diffSummary(revision.diff)} · {new Date(revision.created_at).toLocaleString()}
+                </span>
+              </button>
+              {expanded === revision.id && (
+                <div className="px-3 pb-3 space-y-2">
+                  <DiffList diff={revision.diff} />
+                  {index > 0 && (
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => compare(revision.revision_number)}
+                        className="flex items-center gap-1 text-xs bg-[var(--bg-page)] border border-[var(--border)] hover:bg-[var(--muted-surface)] px-2 py-1 rounded text-[var(--text-muted)]"
+                      >
+                        <GitCompare className="w-3 h-3" /> Compare with current
+                      </button>
+                      <button
+                        onClick={() => handleRevert(revision)}
+                        className="flex items-center gap-1 text-xs bg-[var(--bg-page)] border border-[var(--border)] hover:bg-[var(--muted-surface)] px-2 py-1 rounded text-[var(--text-muted)]"
+                      >
+                        <RotateCcw className="w-3 h-3" /> Restore this version
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+DeckRevisionsPanel.propTypes = {
+  deck: PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    cards: PropTypes.array,
+  }).isRequired,
+  onReverted: PropTypes.func,
+};
+
+export default DeckRevisionsPanel;
@@ -4,25 +4,23 @@ import { X, RefreshCw, Link2, Check, AlertCircle, ArrowRight } from 'lucide-reac
 import { useToast, TOAST_TYPES } from '../../context/ToastContext';
 import { getSetDisplayName } from '../../utils/cardHelpers';
 
+// Same printing key the server diffs with; set codes are compared case-insensitively
+const printingKey = (card) => `${card.name}|${String(card.set || '').toUpperCase()}|${card.collector_number || ''}`;
+
 /**
- * ArchidektSyncModal - Link Archidekt URL and sync deck changes
+ * DeckSyncModal - Link a deck site URL (Archidekt, Moxfield, MTGGoldfish, TappedOut, Scryfall) and sync deck changes
  */
-export function ArchidektSyncModal({ deck, onClose, onSyncComplete }) {
-  const [archidektUrl, setArchidektUrl] = useState(deck.archidekt_url || '');
+export function DeckSyncModal({ deck, onClose, onSyncComplete }) {
+  const [sourceUrl, setSourceUrl] = useState(deck.source_url || deck.archidekt_url || '');
   const [syncData, setSyncData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [syncing, setSyncing] = useState(false);
   const { showToast } = useToast();
 
-  // Validate Archidekt URL format
-  const isValidUrl = useCallback((url) => {
-    return /archidekt\.com\/decks\/\d+/.test(url);
-  }, []);
-
   // Fetch sync preview
   const handleFetchSync = useCallback(async () => {
-    if (!isValidUrl(archidektUrl)) {
-      showToast('Please enter a valid Archidekt deck URL', 'error');
+    if (!sourceUrl.trim()) {
+      showToast('Please enter a deck URL', 'error');
       return;
     }
 
@@ -30,25 +28,26 @@ export function ArchidektSyncModal({ deck, onClose, onSyncComplete }) {
     setSyncData(null);
 
     try {
-      // First, update the deck with the Archidekt URL
+      // First, link the deck to the URL; the server rejects sites it can't import from
       const updateResponse = await fetch(`/api/decks/${deck.id}`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ archidekt_url: archidektUrl })
+        body: JSON.stringify({ source_url: sourceUrl.trim() })
       });
 
       if (!updateResponse.ok) {
-        throw new Error('Failed to save Archidekt URL');
+        const errorData = await updateResponse.json().catch(() => ({}));
+        throw new Error(errorData.error || 'Failed to save deck URL');
       }
 
       // Then fetch sync data
-      const syncResponse = await fetch(`/api/decks/${deck.id}/sync-archidekt`, {
+      const syncResponse = await fetch(`/api/decks/${deck.id}/sync`, {
         method: 'POST'
       });
 
       if (!syncResponse.ok) {
-        const errorData = await syncResponse.json();
-        throw new Error(errorData.error || 'Failed to fetch deck from Archidekt');
+        const errorData = await syncResponse.json().catch(() => ({}));
+        throw new Error(errorData.error || 'Failed to fetch deck from its source');
       }
 
       const data = await syncResponse.json();
@@ -63,7 +62,7 @@ export function ArchidektSyncModal({ deck, onClose, onSyncComplete }) {
     } finally {
       setLoading(false);
     }
-  }, [deck.id, archidektUrl, isValidUrl, showToast]);
+  }, [deck.id, sourceUrl, showToast]);
 
   // Apply sync changes
   const handleApplySync = useCallback(async () => {
@@ -72,37 +71,16 @@ export function ArchidektSyncModal({ deck, onClose, onSyncComplete }) {
     setSyncing(true);
 
     try {
-      // Build new cards array based on sync data
-      const localCards = deck.cards || [];
-      const localCardMap = new Map();
-      localCards.forEach(card => {
-        const key = `${card.name}|${card.set}|${card.collector_number}`;
-        localCardMap.set(key, card);
-      });
+      const removed = new Set(syncData.changes.removed.map(printingKey));
+      const modified = new Map(syncData.changes.modified.map(change => [printingKey(change.card), change]));
 
       // Start with local cards, apply modifications and removals
       const updatedCards = [];
-      
-      localCards.forEach(card => {
-        const key = `${card.name}|${card.set}|${card.collector_number}`;
-        
-        // Check if card was removed
-        const isRemoved = syncData.changes.removed.some(r => 
-          `${r.name}|${r.set}|${r.collector_number}` === key
-        );
-        
-        if (!isRemoved) {
-          // Check if card was modified
-          const modified = syncData.changes.modified.find(m => 
-            `${m.card.name}|${m.card.set}|${m.card.collector_number}` === key
-          );
-          
-          if (modified) {
-            updatedCards.push({ ...card, quantity: modified.newQuantity });
-          } else {
-            updatedCards.push(card);
-          }
-        }
+      (deck.cards || []).forEach(card => {
+        const key = printingKey(card);
+        if (removed.has(key)) return;
+        const change = modified.get(key);
+        updatedCards.push(change ? { ...card, quantity: change.newQuantity } : card);
       });
 
       // Add new cards
@@ -115,9 +93,13 @@ export function ArchidektSyncModal({ deck, onClose, onSyncComplete }) {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           cards: updatedCards,
-          name: syncData.archidektName,
-          format: syncData.archidektFormat,
-          description: syncData.archidektDescription
+          name: syncData.name,
+          format: syncData.format,
+          description: syncData.description,
+          commander: syncData.commander,
+          companion: syncData.companion,
+          sideboard: syncData.sideboard,
+          maybeboard: syncData.maybeboard
         })
       });
 
@@ -145,7 +127,7 @@ export function ArchidektSyncModal({ deck, onClose, onSyncComplete }) {
         <div className="flex items-center justify-between p-4 border-b border-ui-border">
           <div className="flex items-center gap-2">
             <Link2 className="w-5 h-5 text-ui-accent" />
-            <h2 className="text-xl font-bold text-ui-heading">Archidekt Sync</h2>
+            <h2 className="text-xl font-bold text-ui-heading">Deck Sync</h2>
           </div>
           <button
             onClick={onClose}
@@ -161,60 +143,71 @@ export function ArchidektSyncModal({ deck, onClose, onSyncComplete }) {
           {/* URL Input */}
           <div>
             <label className="block text-sm text-ui-muted mb-2">
-              Archidekt Deck URL
+              Deck URL
             </label>
             <div className="flex gap-2">
               <input
                 type="text"
-                value={archidektUrl}
-                onChange={(e) => setArchidektUrl(e.target.value)}
-                placeholder="https://archidekt.com/decks/123456"
+                value={sourceUrl}
+                onChange={(e) => setSourceUrl(e.target.value)}
+                placeholder="https://moxfield.com/decks/AbCdEf123"
                 className="flex-1 bg-ui-card border border-ui-border rounded px-3 py-2 text-ui-text placeholder:text-ui-muted"
                 disabled={loading || syncing}
               />
               <button
                 onClick={handleFetchSync}
-                disabled={loading || syncing || !archidektUrl}
+                disabled={loading || syncing || !sourceUrl.trim()}
                 className="bg-ui-accent hover:bg-ui-accent/90 text-ui-primary-foreground px-4 py-2 rounded font-medium flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
                 {loading ? 'Fetching...' : 'Fetch Changes'}
               </button>
             </div>
-            {archidektUrl && !isValidUrl(archidektUrl) && (
-              <p className="text-red-400 text-xs mt-1">
-                Please enter a valid Archidekt URL (e.g., https://archidekt.com/decks/123456)
-              </p>
-            )}
+            <p className="text-ui-muted text-xs mt-1">
+              Archidekt, Moxfield, MTGGoldfish, TappedOut and Scryfall decks can be synced
+            </p>
           </div>
 
           {/* Sync Preview */}
           {syncData && (
             <div className="space-y-4">
               {/* Deck Info Changes */}
-              {(syncData.archidektName !== deck.name || 
-                syncData.archidektFormat !== deck.format || 
-                syncData.archidektDescription !== deck.description) && (
+              {(syncData.name !== deck.name ||
+                syncData.format !== deck.format ||
+                syncData.boardsChanged) && (
                 <div className="bg-blue-900/20 border border-blue-700/30 rounded-lg p-4">
                   <h3 className="text-blue-300 font-semibold mb-2 flex items-center gap-2">
                     <AlertCircle className="w-4 h-4" />
                     Deck Information Changes
                   </h3>
                   <div className="space-y-2 text-sm">
-                    {syncData.archidektName !== deck.name && (
+                    {syncData.name !== deck.name && (
                       <div className="flex items-center gap-2">
                             <span className="text-ui-muted">Name:</span>
                             <span className="text-ui-text">{deck.name}</span>
                         <ArrowRight className="w-3 h-3 text-ui-muted" />
-                        <span className="text-blue-300 font-medium">{syncData.archidektName}</span>
+                        <span className="text-blue-300 font-medium">{syncData.name}</span>
                       </div>
                     )}
-                    {syncData.archidektFormat !== deck.format && (
+                    {syncData.format !== deck.format && (
                       <div className="flex items-center gap-2">
                             <span className="text-ui-muted">Format:</span>
                             <span className="text-ui-text">{deck.format}</span>
                         <ArrowRight className="w-3 h-3 text-ui-muted" />
-                        <span className="text-blue-300 font-medium">{syncData.archidektFormat}</span>
+                        <span className="text-blue-300 font-medium">{syncData.format}</span>
+                      </div>
+                    )}
+                    {(syncData.commander || null) !== (deck.commander || null) && (
+                      <div className="flex items-center gap-2">
+                        <span className="text-ui-muted">Commander:</span>
+                        <span className="text-ui-text">{deck.commander || 'None'}</span>
+                        <ArrowRight className="w-3 h-3 text-ui-muted" />
+                        <span className="text-blue-300 font-medium">{syncData.commander || 'None'}</span>
+                      </div>
+                    )}
+                    {syncData.boardsChanged && (
+                      <div className="text-ui-muted">
+                        {syncData.importerLabel} sideboard: {syncData.sideboard.length} cards, maybeboard: {syncData.maybeboard.length} cards
                       </div>
                     )}
                   </div>
@@ -324,13 +317,16 @@ export function ArchidektSyncModal({ deck, onClose, onSyncComplete }) {
   );
 }
 
-ArchidektSyncModal.propTypes = {
+DeckSyncModal.propTypes = {
   deck: PropTypes.shape({
     id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
     name: PropTypes.string.isRequired,
     format: PropTypes.string,
     description: PropTypes.string,
     archidekt_url: PropTypes.string,
+    source_url: PropTypes.string,
+    commander: PropTypes.string,
+    companion: PropTypes.string,
     cards: PropTypes.arrayOf(PropTypes.shape({
       name: PropTypes.string,
       quantity: PropTypes.number,
@@ -343,4 +339,4 @@ ArchidektSyncModal.propTypes = {
   onSyncComplete: PropTypes.func.isRequired
 };
 
-export default ArchidektSyncModal;
+export default DeckSyncModal;
@@ -2,10 +2,10 @@ import React from 'react';
 import PropTypes from 'prop-types';
 
 /**
- * ImportArchidektModal component - Modal for importing decks from Archidekt
+ * ImportDeckUrlModal component - Modal for importing decks from a deck site URL
  */
-export function ImportArchidektModal({
-  archidektUrl,
+export function ImportDeckUrlModal({
+  deckUrl,
   onUrlChange,
   isImporting,
   onImport,
@@ -13,21 +13,23 @@ export function ImportArchidektModal({
 }) {
   return (
     <div className="bg-[var(--surface)] rounded-lg border border-blue-500/50 p-4 mb-4">
-      <h3 className="text-lg font-semibold text-blue-300 mb-4">Import Deck from Archidekt</h3>
+      <h3 className="text-lg font-semibold text-blue-300 mb-4">Import Deck from URL</h3>
       <div className="space-y-3">
         <div>
-          <label className="block text-sm text-[var(--text-muted)] mb-1">Archidekt Deck URL</label>
+          <label className="block text-sm text-[var(--text-muted)] mb-1">Deck URL</label>
           <input
             type="text"
-            placeholder="e.g., https://archidekt.com/decks/1234567"
-            value={archidektUrl}
+            placeholder="e.g., https://moxfield.com/decks/AbCdEf123"
+            value={deckUrl}
             onChange={(e) => onUrlChange(e.target.value)}
             className="w-full bg-[var(--muted-surface)] border border-[var(--border)] rounded px-3 py-2 text-white placeholder-slate-500"
             onKeyDown={(e) => e.key === 'Enter' && onImport()}
             autoFocus
             disabled={isImporting}
           />
-          <p className="text-xs text-[var(--text-muted)] mt-1">Paste the full URL of any public Archidekt deck</p>
+          <p className="text-xs text-[var(--text-muted)] mt-1">
+            Paste the full URL of any public deck on Archidekt, Moxfield, MTGGoldfish, TappedOut or Scryfall
+          </p>
         </div>
         <div className="flex gap-2 pt-2">
           <button
@@ -50,12 +52,12 @@ export function ImportArchidektModal({
   );
 }
 
-ImportArchidektModal.propTypes = {
-  archidektUrl: PropTypes.string.isRequired,
+ImportDeckUrlModal.propTypes = {
+  deckUrl: PropTypes.string.isRequired,
   onUrlChange: PropTypes.func.isRequired,
   isImporting: PropTypes.bool.isRequired,
   onImport: PropTypes.func.isRequired,
   onCancel: PropTypes.func.isRequired
 };
 
-export default ImportArchidektModal;
+export default ImportDeckUrlModal;
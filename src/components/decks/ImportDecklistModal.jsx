@@ -1,7 +1,7 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 
-const FORMATS = ['Standard', 'Modern', 'Commander', 'Casual', 'Limited', 'Pioneer'];
+const FORMATS = ['Standard', 'Modern', 'Commander', 'Casual', 'Limited', 'Pioneer', 'Pauper'];
 
 /**
  * ImportDecklistModal component - Modal for importing decks from text
@@ -1,8 +1,9 @@
 export { DeckCard } from './DeckCard';
 export { DeckDetailsView } from './DeckDetailsView';
-export { ImportArchidektModal } from './ImportArchidektModal';
+export { DeckRevisionsPanel } from './DeckRevisionsPanel';
+export { ImportDeckUrlModal } from './ImportDeckUrlModal';
 export { ImportDecklistModal } from './ImportDecklistModal';
 export { CopyToDeckModal } from './CopyToDeckModal';
 export { DeckEditorModal } from './DeckEditorModal';
 export { DeckAnalysisView } from './DeckAnalysisView';
-export { ArchidektSyncModal } from './ArchidektSyncModal';
+export { DeckSyncModal } from './DeckSyncModal';
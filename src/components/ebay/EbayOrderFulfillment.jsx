@@ -1,6 +1,6 @@
 import React, { memo, useEffect, useState, useCallback } from 'react';
 import PropTypes from 'prop-types';
-import { ArrowLeft, Package, Truck, CheckCircle, AlertTriangle, MapPin, DollarSign } from 'lucide-react';
+import { ArrowLeft, Package, Truck, CheckCircle, AlertTriangle, MapPin, DollarSign, Replace } from 'lucide-react';
 import { useAuthFetch } from '../../hooks/useAuthFetch';
 
 export const EbayOrderFulfillment = memo(function EbayOrderFulfillment({ listing, onBack, onComplete }) {
@@ -172,6 +172,26 @@ export const EbayOrderFulfillment = memo(function EbayOrderFulfillment({ listing
         </div>
       )}
 
+      {/* Substitutions */}
+      {picklist.substitutions?.length > 0 && (
+        <div className="mb-6 p-4 bg-amber-500/10 border border-amber-500/30 rounded-lg">
+          <h3 className="font-semibold text-amber-400 flex items-center gap-2 mb-2">
+            <Replace size={16} />
+            Substitutions ({picklist.substitutions.length})
+          </h3>
+          <div className="text-sm space-y-1">
+            {picklist.substitutions.map((sub, i) => (
+              <div key={i} className="text-amber-200">
+                {sub.quantity}x {sub.substitute} <span className="text-amber-400/60">instead of</span> {sub.card}
+              </div>
+            ))}
+          </div>
+          <div className="text-xs text-amber-400/60 mt-2">
+            Let the buyer know about these swaps before shipping.
+          </div>
+        </div>
+      )}
+
       {/* Pick List by Folder */}
       <div className="mb-6">
         <h3 className="font-semibold mb-3 flex items-center gap-2">
@@ -198,7 +218,12 @@ export const EbayOrderFulfillment = memo(function EbayOrderFulfillment({ listing
                 <tbody>
                   {groupedByFolder[folder].map((r, i) => (
                     <tr key={i} className="border-b border-[var(--border)] last:border-0 hover:bg-[var(--surface)]">
-                      <td className="p-2">{r.name}</td>
+                      <td className="p-2">
+                        {r.name}
+                        {r.substitute_for && (
+                          <span className="ml-2 text-xs text-amber-400">for {r.substitute_for}</span>
+                        )}
+                      </td>
                       <td className="p-2 text-[var(--text-muted)]">{r.set || '-'}</td>
                       <td className="p-2 text-center">{r.quantity_reserved}</td>
                       <td className="p-2 text-right">{formatPrice(r.purchase_price)}</td>
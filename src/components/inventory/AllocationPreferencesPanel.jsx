@@ -0,0 +1,108 @@
+import React, { memo, useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+
+const FOIL_OPTIONS = [
+  { value: 'any', label: 'Any finish' },
+  { value: 'nonfoil', label: 'Non-foil' },
+  { value: 'foil', label: 'Foil' }
+];
+
+const CONDITIONS = ['NM', 'LP', 'MP', 'HP', 'DMG'];
+
+const STRATEGY_OPTIONS = [
+  { value: 'cheapest', label: 'Cheapest first' },
+  { value: 'oldest', label: 'Oldest acquired first' }
+];
+
+// The rules this panel edits; strict and substitute settings stay as the deck has them
+const EDITABLE_KEYS = ['foil', 'minCondition', 'preferDecklistSet', 'strategy'];
+
+const selectClassName = 'w-full px-2 py-1.5 bg-[var(--input-bg)] border border-[var(--border)] text-[var(--text)] rounded-md text-sm focus:outline-none focus:border-teal-500';
+
+/**
+ * AllocationPreferencesPanel - Edits which inventory copies a deck instance reserves
+ * Applying saves the rules on the deck and reallocates its cards with them
+ */
+export const AllocationPreferencesPanel = memo(function AllocationPreferencesPanel({ preferences, onApply }) {
+  const [draft, setDraft] = useState(preferences);
+
+  // Start over from the saved rules whenever the deck is reloaded
+  useEffect(() => {
+    setDraft(preferences);
+  }, [preferences]);
+
+  const update = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+  const changed = EDITABLE_KEYS.some(key => draft[key] !== preferences[key]);
+
+  const handleApply = () => {
+    onApply(EDITABLE_KEYS.reduce((acc, key) => ({ ...acc, [key]: draft[key] }), {}));
+  };
+
+  return (
+    <div className="bg-[var(--surface)] rounded-lg border border-[var(--border)] p-3 space-y-3">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 text-xs">
+        <label className="space-y-1">
+          <span className="block text-[var(--text-muted)] font-semibold uppercase">Finish</span>
+          <select value={draft.foil} onChange={(e) => update('foil', e.target.value)} className={selectClassName}>
+            {FOIL_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="space-y-1">
+          <span className="block text-[var(--text-muted)] font-semibold uppercase">Minimum condition</span>
+          <select
+            value={draft.minCondition || ''}
+            onChange={(e) => update('minCondition', e.target.value || null)}
+            className={selectClassName}
+          >
+            <option value="">Any condition</option>
+            {CONDITIONS.map(condition => (
+              <option key={condition} value={condition}>{condition} or better</option>
+            ))}
+          </select>
+        </label>
+        <label className="space-y-1">
+          <span className="block text-[var(--text-muted)] font-semibold uppercase">Copies</span>
+          <select value={draft.strategy} onChange={(e) => update('strategy', e.target.value)} className={selectClassName}>
+            {STRATEGY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <div className="flex items-center justify-between gap-3">
+        <label className="flex items-center gap-2 text-xs text-[var(--text-muted)] cursor-pointer">
+          <input
+            type="checkbox"
+            checked={Boolean(draft.preferDecklistSet)}
+            onChange={(e) => update('preferDecklistSet', e.target.checked)}
+            className="w-4 h-4 rounded"
+          />
+          Prefer the set named in the decklist
+        </label>
+        <button
+          onClick={handleApply}
+          disabled={!changed}
+          className="px-3 py-1.5 bg-teal-600 hover:bg-teal-500 disabled:bg-[var(--muted-surface)] disabled:text-[var(--text-muted)] text-white rounded-md transition-colors text-sm font-medium"
+        >
+          Save &amp; reallocate
+        </button>
+      </div>
+    </div>
+  );
+});
+
+AllocationPreferencesPanel.propTypes = {
+  /** The deck's resolved rules, as GET /deck-instances/:id/details returns them */
+  preferences: PropTypes.shape({
+    foil: PropTypes.oneOf(['any', 'nonfoil', 'foil']),
+    minCondition: PropTypes.oneOf([...CONDITIONS, null]),
+    preferDecklistSet: PropTypes.bool,
+    strategy: PropTypes.oneOf(['cheapest', 'oldest'])
+  }).isRequired,
+  /** Called with the edited rules */
+  onApply: PropTypes.func.isRequired
+};
+
+export default AllocationPreferencesPanel;
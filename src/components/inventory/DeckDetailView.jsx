@@ -1,10 +1,15 @@
 import React, { memo, useState, useMemo } from 'react';
 import PropTypes from 'prop-types';
-import { Trash2, X, ChevronDown, Wand2, ShoppingCart } from 'lucide-react';
+import { Trash2, X, ChevronDown, Wand2, ShoppingCart, Replace, SlidersHorizontal } from 'lucide-react';
 import { getSetDisplayName } from '../../utils/cardHelpers';
 import { BuyCardsModal } from '../buy/BuyCardsModal';
 import { BuyButton } from '../buy/BuyButton';
+import { AllocationPreferencesPanel } from './AllocationPreferencesPanel';
 import { sortDeckCards } from '../../utils/sortCards';
+
+// A substitute reservation counts toward the decklist card it stands in for
+const coveredCardName = (reservation) => reservation.substitute_for || reservation.name;
+
 /**
  * DeckDetailView - Renders the deck detail view with reserved and missing cards
  * Extracted from InventoryTab for better component organization
@@ -22,19 +27,21 @@ export const DeckDetailView = memo(function DeckDetailView({
   removeCardFromDeck,
   autoFillMissingCards,
   autoFillSingleCard,
+  reoptimizeDeck,
   releaseDeck,
   moveCardSkuToDeck,
   sortField = 'name',
   sortDirection = 'asc'
 }) {
   const [showBuyModal, setShowBuyModal] = useState(false);
+  const [showPreferences, setShowPreferences] = useState(false);
 
   // Calculate missing cards for the buy modal - memoized to avoid recalculation on every render
   const missingCards = useMemo(() => {
     if (!deck || !deckDetails) return [];
     return (deck.cards || []).map((card) => {
       const reservedQty = (deckDetails.reservations || [])
-        .filter(r => r.name.toLowerCase() === card.name.toLowerCase())
+        .filter(r => coveredCardName(r).toLowerCase() === card.name.toLowerCase())
         .reduce((sum, r) => sum + parseInt(r.quantity_reserved || 0), 0);
       const needed = Math.max(0, (card.quantity || 1) - reservedQty);
       if (needed === 0) return null;
@@ -245,7 +252,10 @@ export const DeckDetailView = memo(function DeckDetailView({
                         e.dataTransfer.setData('deckCardData', JSON.stringify(deckCardData));
                       }}
                       className="text-[9px] text-[var(--text-muted)] bg-slate-600/50 rounded px-1.5 py-0.5 flex justify-between items-center group hover:bg-slate-600 transition-colors cursor-grab active:cursor-grabbing">
-                      <span>{item.quantity_reserved}x @ ${parseFloat(item.purchase_price || 0).toFixed(2)}</span>
+                      <span>
+                        {item.quantity_reserved}x @ ${parseFloat(item.purchase_price || 0).toFixed(2)}
+                        {item.substitute_for && <span className="ml-1 text-amber-400">for {item.substitute_for}</span>}
+                      </span>
                       <div className="flex items-center gap-1">
                         <span className="text-[var(--text-muted)]">{item.original_folder}</span>
                         <button
@@ -333,6 +343,24 @@ export const DeckDetailView = memo(function DeckDetailView({
               >
                 <Wand2 className="w-4 h-4" />
               </button>
+              {reoptimizeDeck && deckDetails.preferences && (
+                <button
+                  onClick={() => setShowPreferences(prev => !prev)}
+                  className={`${showPreferences ? 'from-teal-500 to-teal-600' : 'from-slate-700 to-slate-800'} bg-gradient-to-br hover:from-teal-600 hover:to-teal-700 text-white p-2 rounded-lg transition-all duration-200 flex items-center`}
+                  title="Allocation rules: finish, condition, set and which copies to reserve first"
+                >
+                  <SlidersHorizontal className="w-4 h-4" />
+                </button>
+              )}
+              {reoptimizeDeck && missingCards.length > 0 && (
+                <button
+                  onClick={() => reoptimizeDeck(deck.id, { allowSubstitutes: true })}
+                  className="bg-gradient-to-br from-amber-600 to-amber-700 hover:from-amber-500 hover:to-amber-600 text-white p-2 rounded-lg transition-all duration-200 hover:shadow-lg hover:shadow-amber-500/30 flex items-center"
+                  title="Reoptimize, filling missing cards from your substitution groups"
+                >
+                  <Replace className="w-4 h-4" />
+                </button>
+              )}
               <button
                 onClick={() => releaseDeck(deck.id)}
                 className="bg-gradient-to-br from-slate-700 to-slate-800 hover:from-red-600 hover:to-red-700 text-[var(--text-muted)] hover:text-white p-2 rounded-lg transition-all duration-200 hover:shadow-lg hover:shadow-red-500/30 flex items-center"
@@ -344,6 +372,13 @@ export const DeckDetailView = memo(function DeckDetailView({
           </div>
         </div>
 
+        {showPreferences && reoptimizeDeck && deckDetails.preferences && (
+          <AllocationPreferencesPanel
+            preferences={deckDetails.preferences}
+            onApply={(preferences) => reoptimizeDeck(deck.id, preferences)}
+          />
+        )}
+
         {/* Reserved Cards Grid */}
         {reservationEntries.length > 0 && (
           <div>
@@ -380,7 +415,7 @@ export const DeckDetailView = memo(function DeckDetailView({
                   {(deck.cards || []).map((card, idx) => {
                     // Find how many of this card are reserved
                     const reservedQty = (deckDetails.reservations || [])
-                      .filter(r => r.name.toLowerCase() === card.name.toLowerCase())
+                      .filter(r => coveredCardName(r).toLowerCase() === card.name.toLowerCase())
                       .reduce((sum, r) => sum + parseInt(r.quantity_reserved || 0), 0);
                     const needed = Math.max(0, (card.quantity || 1) - reservedQty);
                     if (needed === 0) return null;
@@ -436,6 +471,8 @@ DeckDetailView.propTypes = {
   activeTab: PropTypes.string.isRequired,
   removeCardFromDeck: PropTypes.func.isRequired,
   autoFillMissingCards: PropTypes.func.isRequired,
+  /** Reallocate the deck with updated preferences; drives the allocation rules panel and substitute fills */
+  reoptimizeDeck: PropTypes.func,
   autoFillSingleCard: PropTypes.func.isRequired,
   releaseDeck: PropTypes.func.isRequired,
   moveCardSkuToDeck: PropTypes.func.isRequired,
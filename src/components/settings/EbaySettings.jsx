@@ -15,6 +15,8 @@ export const EbaySettings = () => {
   const [isConnecting, setIsConnecting] = useState(false);
   const [isDisconnecting, setIsDisconnecting] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
+  // App credentials are shared by every user, so only admins can see or change them
+  const [canConfigure, setCanConfigure] = useState(true);
   const [config, setConfig] = useState({
     ebay_client_id: '',
     ebay_client_secret: '',
@@ -68,6 +70,10 @@ export const EbaySettings = () => {
         // Don't fetch secret for security, user re-enters if changing
       }));
     } catch (error) {
+      if (error.status === 403) {
+        setCanConfigure(false);
+        return;
+      }
       console.error('[eBay] Failed to fetch config:', error);
     }
   };
@@ -157,68 +163,70 @@ export const EbaySettings = () => {
       <div className="space-y-6">
 
         {/* API Configuration Section */}
-        <div className="glass-panel p-5 bg-[var(--background-secondary)]/30 rounded-xl border border-[var(--border-color)]">
-          <h4 className="font-semibold text-[var(--text-primary)] mb-3 flex items-center gap-2">
-            <Key className="w-4 h-4 text-blue-400" />
-            Application Configuration
-          </h4>
-          <p className="text-sm text-[var(--text-muted)] mb-4">
-            Enter your eBay App credentials from the <a href="https://developer.ebay.com/" target="_blank" rel="noopener noreferrer" className="text-blue-400 hover:underline">eBay Developer Portal</a>.
-          </p>
-
-          <div className="space-y-4">
-            <div>
-              <label className="block text-xs font-medium text-[var(--text-secondary)] mb-1">App ID (Client ID)</label>
-              <input
-                type="text"
-                value={config.ebay_client_id}
-                onChange={(e) => handleConfigChange('ebay_client_id', e.target.value)}
-                placeholder="Ex: MyName-MyApp-PRD-..."
-                className="w-full px-3 py-2 bg-[var(--background-tertiary)] border border-[var(--border-color)] rounded-lg text-sm text-[var(--text-primary)] focus:ring-2 focus:ring-blue-500/50 outline-none"
-              />
-            </div>
+        {canConfigure && (
+          <div className="glass-panel p-5 bg-[var(--background-secondary)]/30 rounded-xl border border-[var(--border-color)]">
+            <h4 className="font-semibold text-[var(--text-primary)] mb-3 flex items-center gap-2">
+              <Key className="w-4 h-4 text-blue-400" />
+              Application Configuration
+            </h4>
+            <p className="text-sm text-[var(--text-muted)] mb-4">
+              Enter your eBay App credentials from the <a href="https://developer.ebay.com/" target="_blank" rel="noopener noreferrer" className="text-blue-400 hover:underline">eBay Developer Portal</a>.
+            </p>
 
-            <div>
-              <label className="block text-xs font-medium text-[var(--text-secondary)] mb-1">Cert ID (Client Secret)</label>
-              <div className="relative">
+            <div className="space-y-4">
+              <div>
+                <label className="block text-xs font-medium text-[var(--text-secondary)] mb-1">App ID (Client ID)</label>
                 <input
-                  type="password"
-                  value={config.ebay_client_secret}
-                  onChange={(e) => handleConfigChange('ebay_client_secret', e.target.value)}
-                  placeholder={config.ebay_client_id ? "(Unchanged)" : "Ex: PRD-1234..."}
-                  className="w-full px-3 py-2 bg-[var(--background-tertiary)] border border-[var(--border-color)] rounded-lg text-sm text-[var(--text-primary)] focus:ring-2 focus:ring-blue-500/50 outline-none pr-8"
+                  type="text"
+                  value={config.ebay_client_id}
+                  onChange={(e) => handleConfigChange('ebay_client_id', e.target.value)}
+                  placeholder="Ex: MyName-MyApp-PRD-..."
+                  className="w-full px-3 py-2 bg-[var(--background-tertiary)] border border-[var(--border-color)] rounded-lg text-sm text-[var(--text-primary)] focus:ring-2 focus:ring-blue-500/50 outline-none"
                 />
-                <Shield className="absolute right-3 top-2.5 w-4 h-4 text-[var(--text-muted)] opacity-50" />
               </div>
-            </div>
 
-            <div>
-              <label className="block text-xs font-medium text-[var(--text-secondary)] mb-1">RuName (Redirect URI Name)</label>
-              <input
-                type="text"
-                value={config.ebay_runame}
-                onChange={(e) => handleConfigChange('ebay_runame', e.target.value)}
-                placeholder="Ex: My_Name-MyName-MyApp-..."
-                className="w-full px-3 py-2 bg-[var(--background-tertiary)] border border-[var(--border-color)] rounded-lg text-sm text-[var(--text-primary)] focus:ring-2 focus:ring-blue-500/50 outline-none"
-              />
-              <p className="text-[10px] text-[var(--text-muted)] mt-1">Must match the RuName configured in your eBay account.</p>
-            </div>
+              <div>
+                <label className="block text-xs font-medium text-[var(--text-secondary)] mb-1">Cert ID (Client Secret)</label>
+                <div className="relative">
+                  <input
+                    type="password"
+                    value={config.ebay_client_secret}
+                    onChange={(e) => handleConfigChange('ebay_client_secret', e.target.value)}
+                    placeholder={config.ebay_client_id ? "(Unchanged)" : "Ex: PRD-1234..."}
+                    className="w-full px-3 py-2 bg-[var(--background-tertiary)] border border-[var(--border-color)] rounded-lg text-sm text-[var(--text-primary)] focus:ring-2 focus:ring-blue-500/50 outline-none pr-8"
+                  />
+                  <Shield className="absolute right-3 top-2.5 w-4 h-4 text-[var(--text-muted)] opacity-50" />
+                </div>
+              </div>
 
-            <div className="flex justify-end pt-2">
-              <button
-                onClick={handleSaveConfig}
-                disabled={isSaving}
-                className={`px-4 py-2 rounded-lg font-medium text-sm flex items-center gap-2 transition-all ${isSaving
-                    ? 'bg-[var(--muted-surface)] text-[var(--text-muted)] cursor-not-allowed'
-                    : 'bg-[var(--primary)] hover:bg-[var(--primary-hover)] text-white shadow-lg shadow-blue-500/20'
-                  }`}
-              >
-                {isSaving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
-                Save Configuration
-              </button>
+              <div>
+                <label className="block text-xs font-medium text-[var(--text-secondary)] mb-1">RuName (Redirect URI Name)</label>
+                <input
+                  type="text"
+                  value={config.ebay_runame}
+                  onChange={(e) => handleConfigChange('ebay_runame', e.target.value)}
+                  placeholder="Ex: My_Name-MyName-MyApp-..."
+                  className="w-full px-3 py-2 bg-[var(--background-tertiary)] border border-[var(--border-color)] rounded-lg text-sm text-[var(--text-primary)] focus:ring-2 focus:ring-blue-500/50 outline-none"
+                />
+                <p className="text-[10px] text-[var(--text-muted)] mt-1">Must match the RuName configured in your eBay account.</p>
+              </div>
+
+              <div className="flex justify-end pt-2">
+                <button
+                  onClick={handleSaveConfig}
+                  disabled={isSaving}
+                  className={`px-4 py-2 rounded-lg font-medium text-sm flex items-center gap-2 transition-all ${isSaving
+                      ? 'bg-[var(--muted-surface)] text-[var(--text-muted)] cursor-not-allowed'
+                      : 'bg-[var(--primary)] hover:bg-[var(--primary-hover)] text-white shadow-lg shadow-blue-500/20'
+                    }`}
+                >
+                  {isSaving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                  Save Configuration
+                </button>
+              </div>
             </div>
           </div>
-        </div>
+        )}
 
         {/* Connection Status Section */}
         {status?.configured ? (
@@ -294,7 +302,11 @@ export const EbaySettings = () => {
             <AlertCircle className="w-5 h-5 text-yellow-500 shrink-0 mt-0.5" />
             <div>
               <h5 className="font-medium text-yellow-500 mb-1">Configuration Required</h5>
-              <p className="text-sm text-yellow-200/60">Please fill out the Application Configuration section above to enable eBay integration.</p>
+              <p className="text-sm text-yellow-200/60">
+                {canConfigure
+                  ? 'Please fill out the Application Configuration section above to enable eBay integration.'
+                  : 'An admin needs to enter the eBay app credentials before accounts can be connected.'}
+              </p>
             </div>
           </div>
         )}
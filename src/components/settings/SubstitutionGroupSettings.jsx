@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Replace, Plus, Trash2, X, Loader2 } from 'lucide-react';
+import { api } from '../../utils/apiClient';
+import { API_ENDPOINTS } from '../../config/api';
+import { useToast, TOAST_TYPES } from '../../context/ToastContext';
+
+// One card name per line or comma-separated
+const parseCardNames = (text) => text.split(/[\n,]/).map(name => name.trim()).filter(Boolean);
+
+/**
+ * SubstitutionGroupSettings - Manage groups of interchangeable cards.
+ * When a deck is copied or reoptimized with substitutes allowed, a missing card
+ * can be filled from a spare copy of another card in its group.
+ */
+export const SubstitutionGroupSettings = () => {
+  const { showToast } = useToast();
+  const [groups, setGroups] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [newGroup, setNewGroup] = useState({ name: '', cards: '' });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [cardDrafts, setCardDrafts] = useState({});
+
+  const loadGroups = useCallback(async () => {
+    try {
+      const data = await api.get(API_ENDPOINTS.SUBSTITUTION_GROUPS);
+      setGroups(data?.groups || []);
+    } catch (error) {
+      console.error('Failed to load substitution groups:', error);
+      showToast('Failed to load substitution groups', TOAST_TYPES.ERROR);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [showToast]);
+
+  useEffect(() => {
+    loadGroups();
+  }, [loadGroups]);
+
+  const replaceGroup = (group) => {
+    setGroups(prev => prev.map(g => (g.id === group.id ? group : g)));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const data = await api.post(API_ENDPOINTS.SUBSTITUTION_GROUPS, {
+        name: newGroup.name,
+        cards: parseCardNames(newGroup.cards)
+      });
+      setGroups(prev => [...prev, data.group].sort((a, b) => a.name.localeCompare(b.name)));
+      setNewGroup({ name: '', cards: '' });
+      showToast('Substitution group created', TOAST_TYPES.SUCCESS);
+    } catch (error) {
+      showToast(error.message || 'Failed to create group', TOAST_TYPES.ERROR);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (group) => {
+    if (!confirm(`Delete the "${group.name}" substitution group?`)) return;
+    try {
+      await api.delete(`${API_ENDPOINTS.SUBSTITUTION_GROUPS}/${group.id}`);
+      setGroups(prev => prev.filter(g => g.id !== group.id));
+    } catch (error) {
+      showToast(error.message || 'Failed to delete group', TOAST_TYPES.ERROR);
+    }
+  };
+
+  const handleAddCards = async (group) => {
+    const cards = parseCardNames(cardDrafts[group.id] || '');
+    if (cards.length === 0) return;
+    try {
+      const data = await api.post(`${API_ENDPOINTS.SUBSTITUTION_GROUPS}/${group.id}/cards`, { cards });
+      replaceGroup(data.group);
+      setCardDrafts(prev => ({ ...prev, [group.id]: '' }));
+    } catch (error) {
+      showToast(error.message || 'Failed to add cards', TOAST_TYPES.ERROR);
+    }
+  };
+
+  const handleRemoveCard = async (group, card) => {
+    try {
+      const data = await api.delete(`${API_ENDPOINTS.SUBSTITUTION_GROUPS}/${group.id}/cards/${card.id}`);
+      replaceGroup(data.group);
+    } catch (error) {
+      showToast(error.message || 'Failed to remove card', TOAST_TYPES.ERROR);
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      <div className="flex items-center gap-3">
+        <div className="p-2 bg-[var(--bda-primary)]/10 rounded-lg">
+          <Replace className="w-5 h-5 text-[var(--bda-primary)]" />
+        </div>
+        <div>
+          <h3 className="text-lg font-semibold text-[var(--bda-heading)]">Substitutions</h3>
+          <p className="text-sm text-[var(--bda-muted)]">
+            Groups of interchangeable cards, such as budget dual lands or alternative mana rocks. Decks copied or
+            reoptimized with substitutes allowed fill a missing card from a spare copy of another card in its group.
+          </p>
+        </div>
+      </div>
+
+      <form onSubmit={handleCreate} className="glass-panel rounded-xl p-6 space-y-3">
+        <h4 className="text-sm font-medium text-[var(--bda-heading)]">New group</h4>
+        <input
+          type="text"
+          value={newGroup.name}
+          onChange={(e) => setNewGroup(prev => ({ ...prev, name: e.target.value }))}
+          placeholder="Group name (e.g. Budget U/B duals)"
+          className="w-full bg-[var(--muted-surface)] border border-[var(--border)] rounded px-3 py-2 text-white"
+        />
+        <textarea
+          value={newGroup.cards}
+          onChange={(e) => setNewGroup(prev => ({ ...prev, cards: e.target.value }))}
+          placeholder={'Card names, one per line\nDrowned Catacomb\nDarkslick Shores'}
+          rows={4}
+          className="w-full bg-[var(--muted-surface)] border border-[var(--border)] rounded px-3 py-2 text-white"
+        />
+        <button
+          type="submit"
+          disabled={isSubmitting || !newGroup.name.trim()}
+          className="flex items-center gap-2 bg-[var(--bda-primary)] hover:opacity-90 disabled:bg-slate-600 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg transition-colors"
+        >
+          {isSubmitting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+          Create Group
+        </button>
+      </form>
+
+      {isLoading ? (
+        <div className="flex justify-center p-4">
+          <Loader2 className="w-6 h-6 animate-spin text-[var(--bda-primary)]" />
+        </div>
+      ) : groups.length === 0 ? (
+        <p className="text-center text-sm text-[var(--bda-muted)] p-6 border border-dashed border-[var(--border)] rounded-lg">
+          No substitution groups yet.
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {groups.map(group => (
+            <div key={group.id} className="glass-panel rounded-xl p-4 space-y-3">
+              <div className="flex items-center justify-between">
+                <h4 className="font-medium text-[var(--bda-heading)]">{group.name}</h4>
+                <button
+                  onClick={() => handleDelete(group)}
+                  className="p-2 text-slate-500 hover:text-red-400 transition-colors"
+                  title="Delete group"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {group.cards.map(card => (
+                  <span key={card.id} className="flex items-center gap-1 bg-[var(--muted-surface)] rounded px-2 py-1 text-sm text-[var(--bda-text)]">
+                    {card.name}
+                    <button
+                      onClick={() => handleRemoveCard(group, card)}
+                      className="text-slate-500 hover:text-red-400"
+                      title={`Remove ${card.name}`}
+                    >
+                      <X className="w-3 h-3" />
+                    </button>
+                  </span>
+                ))}
+                {group.cards.length < 2 && (
+                  <span className="text-xs text-amber-400 self-center">Add at least two cards to substitute between them</span>
+                )}
+              </div>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={cardDrafts[group.id] || ''}
+                  onChange={(e) => setCardDrafts(prev => ({ ...prev, [group.id]: e.target.value }))}
+                  onKeyDown={(e) => { if (e.key === 'Enter') handleAddCards(group); }}
+                  placeholder="Add cards (comma-separated)"
+                  className="flex-1 bg-[var(--muted-surface)] border border-[var(--border)] rounded px-3 py-1.5 text-sm text-white"
+                />
+                <button
+                  onClick={() => handleAddCards(group)}
+                  disabled={!(cardDrafts[group.id] || '').trim()}
+                  className="px-3 py-1.5 rounded bg-[var(--muted-surface)] hover:bg-slate-600 disabled:opacity-50 text-white text-sm transition-colors"
+                >
+                  Add
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SubstitutionGroupSettings;
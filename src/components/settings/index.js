@@ -4,3 +4,4 @@ export { AccountSettings } from './AccountSettings';
 export { AppearanceSettings } from './AppearanceSettings';
 export { EbaySettings } from './EbaySettings';
 export { TcgPlayerSettings } from './TcgPlayerSettings';
+export { SubstitutionGroupSettings } from './SubstitutionGroupSettings';
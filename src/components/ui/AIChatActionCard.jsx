@@ -0,0 +1,101 @@
+/**
+ * AIChatActionCard - A change the AI assistant proposed, for the user to apply or dismiss
+ * @module components/ui/AIChatActionCard
+ */
+
+import React, { memo, useState, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { Layers, FolderInput, Check, X, Loader2 } from 'lucide-react';
+
+const ACTION_ICONS = {
+  deck_edit: Layers,
+  folder_move: FolderInput,
+};
+
+/**
+ * Short description of what an applied action changed
+ */
+const describeResult = (action) => {
+  if (action.type === 'folder_move') {
+    const count = action.result?.count ?? 0;
+    return `Moved ${count} ${count === 1 ? 'card' : 'cards'} to ${action.result?.folder}`;
+  }
+  const skipped = action.result?.notInDeck || [];
+  return skipped.length > 0 ? `Deck updated; not in deck: ${skipped.join(', ')}` : 'Deck updated';
+};
+
+export const AIChatActionCard = memo(function AIChatActionCard({ action, onApply, onDismiss }) {
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState(null);
+  const Icon = ACTION_ICONS[action.type] || Layers;
+
+  const run = useCallback(async (which, handler) => {
+    setPending(which);
+    setError(null);
+    try {
+      await handler(action.id);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPending(null);
+    }
+  }, [action.id]);
+
+  return (
+    <div className="mt-2 rounded-lg border border-purple-500/30 bg-purple-900/10 p-3 text-left text-sm">
+      <div className="flex items-start gap-2">
+        <Icon className="w-4 h-4 mt-0.5 flex-shrink-0 text-purple-300" />
+        <div className="flex-1 min-w-0">
+          <p className="text-slate-100 break-words">{action.summary}</p>
+          {action.payload?.reason && (
+            <p className="mt-1 text-xs text-[var(--text-muted)]">{action.payload.reason}</p>
+          )}
+        </div>
+      </div>
+
+      {action.status === 'pending' ? (
+        <div className="mt-2 flex gap-2">
+          <button
+            onClick={() => run('apply', onApply)}
+            disabled={!!pending || !onApply}
+            className="flex items-center gap-1 px-2.5 py-1 rounded bg-purple-600 hover:bg-purple-700 disabled:bg-slate-600 text-white text-xs font-semibold transition-colors"
+          >
+            {pending === 'apply' ? <Loader2 className="w-3 h-3 animate-spin" /> : <Check className="w-3 h-3" />}
+            Apply
+          </button>
+          <button
+            onClick={() => run('dismiss', onDismiss)}
+            disabled={!!pending || !onDismiss}
+            className="flex items-center gap-1 px-2.5 py-1 rounded bg-[var(--muted-surface)] hover:bg-slate-600 disabled:opacity-50 text-white text-xs transition-colors"
+          >
+            <X className="w-3 h-3" />
+            Dismiss
+          </button>
+        </div>
+      ) : (
+        <p className={`mt-2 text-xs ${action.status === 'applied' ? 'text-emerald-400' : 'text-[var(--text-muted)]'}`}>
+          {action.status === 'applied' ? describeResult(action) : 'Dismissed'}
+        </p>
+      )}
+
+      {error && <p className="mt-2 text-xs text-red-400">{error}</p>}
+    </div>
+  );
+});
+
+AIChatActionCard.propTypes = {
+  action: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    type: PropTypes.oneOf(['deck_edit', 'folder_move']).isRequired,
+    summary: PropTypes.string.isRequired,
+    payload: PropTypes.object,
+    status: PropTypes.oneOf(['pending', 'applied', 'dismissed']).isRequired,
+    result: PropTypes.object,
+  }).isRequired,
+  /** Called with the action id to apply it */
+  onApply: PropTypes.func,
+  /** Called with the action id to dismiss it */
+  onDismiss: PropTypes.func,
+};
+
+export default AIChatActionCard;
@@ -18,6 +18,7 @@ import {
   ChevronDown,
   Lightbulb,
 } from 'lucide-react';
+import { AIChatActionCard } from './AIChatActionCard';
 
 /**
  * Format timestamp for display
@@ -66,7 +67,7 @@ CopyButton.propTypes = {
 /**
  * Individual chat message
  */
-const ChatMessage = memo(function ChatMessage({ message, onRetry }) {
+const ChatMessage = memo(function ChatMessage({ message, onRetry, onApplyAction, onDismissAction }) {
   const isUser = message.role === 'user';
   const isError = message.status === 'error';
 
@@ -148,6 +149,16 @@ const ChatMessage = memo(function ChatMessage({ message, onRetry }) {
             ))}
           </div>
         )}
+
+        {/* Proposed actions */}
+        {message.actions?.map(action => (
+          <AIChatActionCard
+            key={action.id}
+            action={action}
+            onApply={onApplyAction}
+            onDismiss={onDismissAction}
+          />
+        ))}
       </div>
     </div>
   );
@@ -161,8 +172,11 @@ ChatMessage.propTypes = {
     timestamp: PropTypes.string.isRequired,
     status: PropTypes.string,
     suggestions: PropTypes.arrayOf(PropTypes.string),
+    actions: PropTypes.arrayOf(PropTypes.object),
   }).isRequired,
   onRetry: PropTypes.func,
+  onApplyAction: PropTypes.func,
+  onDismissAction: PropTypes.func,
 };
 
 /**
@@ -304,6 +318,8 @@ export const AIChatPanel = memo(function AIChatPanel({
   onSendMessage,
   onClearConversation,
   onRetry,
+  onApplyAction,
+  onDismissAction,
   suggestions = DEFAULT_SUGGESTIONS,
   placeholder = 'Ask BigDeckAI about deck building...',
   title = 'BigDeckAI',
@@ -405,7 +421,13 @@ export const AIChatPanel = memo(function AIChatPanel({
         ) : (
           <div className="p-4 space-y-4">
             {messages.map((message) => (
-              <ChatMessage key={message.id} message={message} onRetry={onRetry} />
+              <ChatMessage
+                key={message.id}
+                message={message}
+                onRetry={onRetry}
+                onApplyAction={onApplyAction}
+                onDismissAction={onDismissAction}
+              />
             ))}
             {isTyping && <TypingIndicator />}
             <div ref={messagesEndRef} />
@@ -493,6 +515,10 @@ AIChatPanel.propTypes = {
   onClearConversation: PropTypes.func,
   /** Callback to retry a failed message */
   onRetry: PropTypes.func,
+  /** Callback with an action id to apply a proposed action */
+  onApplyAction: PropTypes.func,
+  /** Callback with an action id to dismiss a proposed action */
+  onDismissAction: PropTypes.func,
   /** Initial suggestions to show */
   suggestions: PropTypes.arrayOf(PropTypes.string),
   /** Input placeholder text */
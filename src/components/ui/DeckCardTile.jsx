@@ -154,7 +154,7 @@ export const DeckCardTile = memo(function DeckCardTile({
   onEdit,
   onEditCards,
   onDelete,
-  onArchidektSync,
+  onSync,
   onBuyMissing,
   onUpdateName,
   onCancelEdit,
@@ -374,6 +374,15 @@ export const DeckCardTile = memo(function DeckCardTile({
                       Edit Cards
                     </button>
                   )}
+                  {onSync && (
+                    <button
+                      onClick={handleAction(onSync)}
+                      className="w-full flex items-center gap-2 px-4 py-2 text-sm text-slate-300 hover:bg-slate-700 hover:text-white"
+                    >
+                      <Link2 className="w-4 h-4" />
+                      Sync from Source
+                    </button>
+                  )}
                   {onCopy && (
                     <button
                       onClick={handleAction(onCopy)}
@@ -532,8 +541,8 @@ DeckCardTile.propTypes = {
   onEditCards: PropTypes.func,
   /** Callback to delete deck */
   onDelete: PropTypes.func,
-  /** Callback for Archidekt sync */
-  onArchidektSync: PropTypes.func,
+  /** Callback to sync the deck from its source URL */
+  onSync: PropTypes.func,
   /** Callback to buy missing cards */
   onBuyMissing: PropTypes.func,
   /** Callback when deck name is updated */
@@ -16,6 +16,8 @@ import {
   Zap,
   Shield,
   Target,
+  ShieldCheck,
+  ShieldAlert,
 } from 'lucide-react';
 
 /**
@@ -84,6 +86,34 @@ StatCard.propTypes = {
   size: PropTypes.oneOf(['sm', 'md', 'lg']),
 };
 
+/**
+ * Format legality stat, from the server's deck validation result
+ */
+const LegalityStatCard = memo(function LegalityStatCard({ legality, size = 'md' }) {
+  const errors = legality.violations.filter((violation) => violation.severity === 'error').length;
+  const warnings = legality.violations.length - errors;
+
+  return (
+    <StatCard
+      icon={legality.legal ? ShieldCheck : ShieldAlert}
+      label={legality.format}
+      value={legality.legal ? 'Legal' : `${errors} ${errors === 1 ? 'issue' : 'issues'}`}
+      subValue={warnings > 0 ? `${warnings} ${warnings === 1 ? 'warning' : 'warnings'}` : undefined}
+      color={legality.legal ? (warnings > 0 ? 'amber' : 'emerald') : 'red'}
+      size={size}
+    />
+  );
+});
+
+LegalityStatCard.propTypes = {
+  legality: PropTypes.shape({
+    format: PropTypes.string,
+    legal: PropTypes.bool,
+    violations: PropTypes.array.isRequired,
+  }).isRequired,
+  size: PropTypes.oneOf(['sm', 'md', 'lg']),
+};
+
 /**
  * Progress bar component
  */
@@ -197,6 +227,7 @@ export const DeckStatsPanel = memo(function DeckStatsPanel({
   ownedCount = 0,
   averageCmc = 0,
   typeBreakdown = {},
+  legality = null,
   showTypeBreakdown = true,
   showValueStats = true,
   compact = false,
@@ -231,9 +262,12 @@ export const DeckStatsPanel = memo(function DeckStatsPanel({
     };
   }, [cards, typeBreakdown]);
 
+  // Casual and other unchecked formats have no legality to show
+  const showLegality = Boolean(legality?.supported);
+
   if (compact) {
     return (
-      <div className={`grid grid-cols-2 sm:grid-cols-4 gap-3 ${className}`}>
+      <div className={`grid grid-cols-2 ${showLegality ? 'sm:grid-cols-5' : 'sm:grid-cols-4'} gap-3 ${className}`}>
         <StatCard
           icon={Layers}
           label="Cards"
@@ -264,6 +298,7 @@ export const DeckStatsPanel = memo(function DeckStatsPanel({
             size="sm"
           />
         )}
+        {showLegality && <LegalityStatCard legality={legality} size="sm" />}
       </div>
     );
   }
@@ -271,7 +306,7 @@ export const DeckStatsPanel = memo(function DeckStatsPanel({
   return (
     <div className={`space-y-6 ${className}`}>
       {/* Main stats grid */}
-      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+      <div className={`grid grid-cols-2 ${showLegality ? 'md:grid-cols-5' : 'md:grid-cols-4'} gap-4`}>
         <StatCard
           icon={Layers}
           label="Total Cards"
@@ -302,6 +337,7 @@ export const DeckStatsPanel = memo(function DeckStatsPanel({
             color="emerald"
           />
         )}
+        {showLegality && <LegalityStatCard legality={legality} />}
       </div>
 
       {/* Completion progress */}
@@ -390,6 +426,13 @@ DeckStatsPanel.propTypes = {
   averageCmc: PropTypes.number,
   /** Type breakdown object { type: count } */
   typeBreakdown: PropTypes.object,
+  /** Format legality from GET /decks/:id/validate */
+  legality: PropTypes.shape({
+    format: PropTypes.string,
+    supported: PropTypes.bool,
+    legal: PropTypes.bool,
+    violations: PropTypes.array,
+  }),
   /** Whether to show type breakdown */
   showTypeBreakdown: PropTypes.bool,
   /** Whether to show value statistics */
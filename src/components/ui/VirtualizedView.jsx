@@ -1,6 +1,7 @@
 /**
  * VirtualizedView - Wrapper for virtualized rendering of card views
- * Supports gallery, list, and table modes with automatic virtualization for large datasets
+ * Supports gallery, list, and table modes with automatic virtualization for large datasets.
+ * Pass hasMore/onLoadMore to stream further pages (e.g. from useInventoryQuery) as the user scrolls.
  * @module components/ui/VirtualizedView
  */
 
@@ -14,6 +15,11 @@ import { VIEW_MODES } from './ViewModeToggle';
  */
 const VIRTUALIZATION_THRESHOLD = 300;
 
+/**
+ * How many cards from the end of the loaded list to ask for the next page
+ */
+const LOAD_MORE_THRESHOLD = 20;
+
 /**
  * Default row heights by view mode
  */
@@ -70,6 +76,7 @@ const VirtualizedGallery = memo(function VirtualizedGallery({
   height,
   width,
   rowHeight,
+  onNearEnd,
 }) {
   const columnCount = getColumnsForWidth(width);
   const rowCount = Math.ceil(cards.length / columnCount);
@@ -87,6 +94,10 @@ const VirtualizedGallery = memo(function VirtualizedGallery({
     );
   }, [cards, columnCount, renderCard]);
 
+  const handleItemsRendered = useCallback(({ visibleRowStopIndex }) => {
+    onNearEnd?.((visibleRowStopIndex + 1) * columnCount - 1);
+  }, [onNearEnd, columnCount]);
+
   return (
     <Grid
       columnCount={columnCount}
@@ -95,6 +106,7 @@ const VirtualizedGallery = memo(function VirtualizedGallery({
       rowCount={rowCount}
       rowHeight={rowHeight}
       width={width}
+      onItemsRendered={handleItemsRendered}
       className="virtualized-gallery"
     >
       {Cell}
@@ -108,6 +120,7 @@ VirtualizedGallery.propTypes = {
   height: PropTypes.number.isRequired,
   width: PropTypes.number.isRequired,
   rowHeight: PropTypes.number.isRequired,
+  onNearEnd: PropTypes.func,
 };
 
 /**
@@ -119,6 +132,7 @@ const VirtualizedList = memo(function VirtualizedList({
   height,
   width,
   rowHeight,
+  onNearEnd,
 }) {
   const Row = useCallback(({ index, style }) => {
     const card = cards[index];
@@ -129,12 +143,17 @@ const VirtualizedList = memo(function VirtualizedList({
     );
   }, [cards, renderCard]);
 
+  const handleItemsRendered = useCallback(({ visibleStopIndex }) => {
+    onNearEnd?.(visibleStopIndex);
+  }, [onNearEnd]);
+
   return (
     <List
       height={height}
       width={width}
       itemCount={cards.length}
       itemSize={rowHeight}
+      onItemsRendered={handleItemsRendered}
       className="virtualized-list"
     >
       {Row}
@@ -148,6 +167,7 @@ VirtualizedList.propTypes = {
   height: PropTypes.number.isRequired,
   width: PropTypes.number.isRequired,
   rowHeight: PropTypes.number.isRequired,
+  onNearEnd: PropTypes.func,
 };
 
 /**
@@ -163,10 +183,20 @@ export const VirtualizedView = memo(function VirtualizedView({
   rowHeight: customRowHeight,
   threshold = VIRTUALIZATION_THRESHOLD,
   className = '',
+  hasMore = false,
+  onLoadMore,
+  loadingMore = false,
 }) {
   const containerRef = useRef(null);
   const { width, height: containerHeight } = useContainerSize(containerRef);
 
+  // Ask for the next page once the last visible card is close to the end of what's loaded
+  const handleNearEnd = useCallback((lastVisibleIndex) => {
+    if (hasMore && !loadingMore && onLoadMore && lastVisibleIndex >= cards.length - LOAD_MORE_THRESHOLD) {
+      onLoadMore();
+    }
+  }, [hasMore, loadingMore, onLoadMore, cards.length]);
+
   // Determine if virtualization should be used
   const shouldVirtualize = cards.length > threshold;
   const rowHeight = customRowHeight || DEFAULT_ROW_HEIGHTS[viewMode];
@@ -177,6 +207,17 @@ export const VirtualizedView = memo(function VirtualizedView({
     return (
       <div ref={containerRef} className={className}>
         {renderFallback(cards)}
+        {hasMore && onLoadMore && (
+          <div className="flex justify-center py-4">
+            <button
+              onClick={onLoadMore}
+              disabled={loadingMore}
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-[var(--surface)] text-[var(--bda-muted)] hover:text-[var(--bda-text)] hover:bg-[var(--muted-surface)] disabled:opacity-50"
+            >
+              {loadingMore ? 'Loading...' : 'Load more'}
+            </button>
+          </div>
+        )}
       </div>
     );
   }
@@ -195,6 +236,7 @@ export const VirtualizedView = memo(function VirtualizedView({
             height={height}
             width={width}
             rowHeight={rowHeight}
+            onNearEnd={handleNearEnd}
           />
         ) : (
           <VirtualizedList
@@ -203,6 +245,7 @@ export const VirtualizedView = memo(function VirtualizedView({
             height={height}
             width={width}
             rowHeight={rowHeight}
+            onNearEnd={handleNearEnd}
           />
         )
       )}
@@ -229,6 +272,12 @@ VirtualizedView.propTypes = {
   threshold: PropTypes.number,
   /** Additional CSS classes */
   className: PropTypes.string,
+  /** Whether more cards can be loaded after the current ones */
+  hasMore: PropTypes.bool,
+  /** Called to load the next page when scrolling nears the end */
+  onLoadMore: PropTypes.func,
+  /** Whether a page is currently loading */
+  loadingMore: PropTypes.bool,
 };
 
 export default VirtualizedView;
@@ -57,6 +57,7 @@ export { ImportWizard } from './ImportWizard';
 
 // AI components
 export { AIChatPanel } from './AIChatPanel';
+export { AIChatActionCard } from './AIChatActionCard';
 
 // Deck components
 export { DeckCardTile } from './DeckCardTile';
@@ -31,11 +31,15 @@ export const API_ENDPOINTS = {
   SALES: '/sales',
   SETTINGS: '/settings',
   IMPORTS: '/imports',
+  IMPORT_JOBS: '/import-jobs',
+  DECK_IMPORTS: '/deck-imports',
   AUTH: '/auth',
   ANALYTICS: '/analytics',
   PRICES: '/prices',
   HEALTH: '/health',
   LOTS: '/lots',
+  SUBSTITUTION_GROUPS: '/substitution-groups',
+  AI_GENERATE_STREAM: '/ai/generate/stream',
 };
 
 /**
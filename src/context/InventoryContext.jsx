@@ -12,6 +12,13 @@ import { useUndoSafe, UNDO_ACTION_TYPES } from './UndoContext';
 
 const InventoryContext = createContext(null);
 
+// Undo action type for each bulk operation; the rest are BULK_UPDATE
+const BULK_UNDO_TYPES = {
+  move: UNDO_ACTION_TYPES.BULK_MOVE,
+  trash: UNDO_ACTION_TYPES.BULK_DELETE,
+  delete: UNDO_ACTION_TYPES.BULK_DELETE,
+};
+
 /**
  * InventoryProvider component that wraps the application
  * and provides inventory state and operations
@@ -161,6 +168,40 @@ export function InventoryProvider({ children }) {
     }
   }, [put, loadInventory, showToast, inventory, undoContext]);
 
+  /**
+   * Apply one operation to many items in a single request. The server runs it in one
+   * transaction, so either every item changes or none do, and hands back an undo token
+   * that reverses the whole operation.
+   * @param {number[]} ids - Item IDs to change
+   * @param {Object} operation - e.g. { type: 'move', folder }, { type: 'setCondition', quality },
+   *   { type: 'setFoil', foil }, { type: 'adjustQuantity', delta }, { type: 'trash' } or { type: 'delete' }
+   * @param {string} description - Toast and undo description, e.g. "Moved 12 cards to Binder"
+   * @returns {Promise<Object|null>} The server's result, or null if the operation failed
+   */
+  const bulkUpdateInventory = useCallback(async (ids, operation, description) => {
+    const request = { ids, operation };
+    try {
+      const result = await post('/inventory/bulk', request);
+      await loadInventory();
+
+      if (undoContext?.registerBulkOperation && result.undoToken) {
+        undoContext.registerBulkOperation({
+          type: BULK_UNDO_TYPES[operation.type] || UNDO_ACTION_TYPES.BULK_UPDATE,
+          description,
+          undoToken: result.undoToken,
+          request,
+          onChange: () => loadInventory(),
+        });
+      } else {
+        showToast(description, TOAST_TYPES.SUCCESS);
+      }
+      return result;
+    } catch (error) {
+      showToast(`Failed to update cards: ${error.message}`, TOAST_TYPES.ERROR);
+      return null;
+    }
+  }, [post, loadInventory, showToast, undoContext]);
+
   /**
    * Permanently delete - actually removes the item from database
    * @param {number} id - Item ID to permanently delete
@@ -245,6 +286,7 @@ export function InventoryProvider({ children }) {
     addInventoryItem,
     updateInventoryItem,
     deleteInventoryItem,
+    bulkUpdateInventory,
     permanentlyDeleteItem,
     restoreFromTrash,
     emptyTrash,
@@ -259,6 +301,7 @@ export function InventoryProvider({ children }) {
     addInventoryItem,
     updateInventoryItem,
     deleteInventoryItem,
+    bulkUpdateInventory,
     permanentlyDeleteItem,
     restoreFromTrash,
     emptyTrash,
@@ -1,5 +1,6 @@
 import { createContext, useState, useContext, useRef, useEffect } from "react";
 import PropTypes from "prop-types";
+import { useSettingsSafe } from "./SettingsContext";
 
 const PriceCacheContext = createContext();
 
@@ -10,7 +11,7 @@ async function fetchCardPrices(name, setCode) {
   return response.json();
 }
 
-// Cache TTL configuration
+// Cache TTL defaults, overridden by the user's priceCache setting
 const SOFT_TTL_MS = 1000 * 60 * 10; // 10 minutes - return cached, refresh in background
 const HARD_TTL_MS = 1000 * 60 * 60; // 1 hour - always fetch from backend
 const STORAGE_KEY = "mtg-card-price-cache";
@@ -25,6 +26,9 @@ export function PriceCacheProvider({ children }) {
   const [cache, setCache] = useState({});
   const inflightRef = useRef({});
   const backgroundRefreshRef = useRef(new Set());
+  const ttlSettings = useSettingsSafe()?.settings.priceCache;
+  const softTtlMs = ttlSettings ? ttlSettings.softTtlMinutes * 60 * 1000 : SOFT_TTL_MS;
+  const hardTtlMs = ttlSettings ? ttlSettings.hardTtlMinutes * 60 * 1000 : HARD_TTL_MS;
 
   // Hydrate cache from localStorage on mount
   useEffect(() => {
@@ -80,12 +84,12 @@ export function PriceCacheProvider({ children }) {
       const age = now - (fetchedAt || 0);
 
       // Soft TTL: return cached, refresh in background if stale
-      if (age < SOFT_TTL_MS) {
+      if (age < softTtlMs) {
         return Promise.resolve({ tcg, ck });
       }
 
       // Between soft and hard TTL: return cached but trigger background refresh
-      if (age < HARD_TTL_MS) {
+      if (age < hardTtlMs) {
         if (!backgroundRefreshRef.current.has(key)) {
           backgroundRefreshRef.current.add(key);
           fetchCardPrices(name, setCode)
@@ -0,0 +1,227 @@
+/**
+ * Settings Context for per-user settings stored by /api/settings
+ * @module context/SettingsContext
+ */
+
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { api } from '../utils/apiClient';
+import { API_ENDPOINTS } from '../config/api';
+import { useAuth } from './AuthContext';
+import { useTheme } from './ThemeContext';
+
+const SettingsContext = createContext(null);
+
+/**
+ * Values used until the server's settings load (mirrors USER_SETTING_DEFAULTS on the server)
+ */
+export const DEFAULT_USER_SETTINGS = {
+  thresholdSettings: { baseStock: 10, landMultiplier: 10, velocityWeeks: 4 },
+  preferredMarketplace: null,
+  theme: null,
+  priceCache: { softTtlMinutes: 10, hardTtlMinutes: 60 },
+};
+
+// Set per user once their localStorage preferences have been offered to the server
+const MIGRATED_KEY_PREFIX = 'bigdeck-settings-migrated:';
+
+/**
+ * localStorage keys the app kept these preferences under before settings were stored per user.
+ * They are still written so code that reads localStorage directly sees the synced value.
+ */
+const LOCAL_MIRRORS = {
+  thresholdSettings: { storageKey: 'thresholdSettings', json: true },
+  preferredMarketplace: { storageKey: 'preferredMarketplace', json: false },
+  theme: { storageKey: 'bigdeck-theme', json: false },
+};
+
+/**
+ * Preferences found in localStorage, by setting key
+ */
+function readLocalSettings() {
+  const local = {};
+  for (const [key, { storageKey, json }] of Object.entries(LOCAL_MIRRORS)) {
+    try {
+      const raw = localStorage.getItem(storageKey);
+      if (raw !== null) local[key] = json ? JSON.parse(raw) : raw;
+    } catch (_error) {
+      // Unreadable values are left behind rather than migrated
+    }
+  }
+  return local;
+}
+
+function writeLocalSetting(key, value) {
+  const mirror = LOCAL_MIRRORS[key];
+  if (!mirror) return;
+  try {
+    if (value === null || value === undefined) {
+      localStorage.removeItem(mirror.storageKey);
+    } else {
+      localStorage.setItem(mirror.storageKey, mirror.json ? JSON.stringify(value) : value);
+    }
+  } catch (_error) {
+    // Storage can be full or disabled; the server copy is still authoritative
+  }
+}
+
+/**
+ * SettingsProvider loads the signed-in user's settings, migrates their localStorage
+ * preferences on first login, and refreshes when the window regains focus so changes
+ * made on another device show up.
+ */
+export function SettingsProvider({ children }) {
+  const { user } = useAuth();
+  const userId = user?.id ?? null;
+  const { theme, setTheme } = useTheme() || {};
+  const [settings, setSettings] = useState(DEFAULT_USER_SETTINGS);
+  const [loaded, setLoaded] = useState(false);
+  const settingsRef = useRef(settings);
+  const loadedRef = useRef(false);
+
+  const applySettings = useCallback((next) => {
+    settingsRef.current = next;
+    setSettings(next);
+    Object.entries(next).forEach(([key, value]) => writeLocalSetting(key, value));
+  }, []);
+
+  const markLoaded = useCallback((value) => {
+    loadedRef.current = value;
+    setLoaded(value);
+  }, []);
+
+  /**
+   * Fetch the latest settings from the server
+   */
+  const refresh = useCallback(async () => {
+    if (!userId) return;
+    try {
+      const data = await api.get(API_ENDPOINTS.SETTINGS);
+      applySettings({ ...DEFAULT_USER_SETTINGS, ...data.settings });
+    } catch (error) {
+      console.warn('[Settings] Error refreshing settings:', error.message);
+    }
+  }, [userId, applySettings]);
+
+  // Load on login, offering any local preferences the server doesn't have yet
+  useEffect(() => {
+    if (!userId) {
+      markLoaded(false);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const load = async () => {
+      try {
+        let data = await api.get(API_ENDPOINTS.SETTINGS);
+
+        const migratedKey = `${MIGRATED_KEY_PREFIX}${userId}`;
+        if (!localStorage.getItem(migratedKey)) {
+          const missing = Object.fromEntries(
+            Object.entries(readLocalSettings()).filter(([key]) => !data.updatedAt?.[key])
+          );
+          if (Object.keys(missing).length > 0) {
+            try {
+              data = await api.patch(API_ENDPOINTS.SETTINGS, { settings: missing, onlyMissing: true });
+            } catch (error) {
+              // Local values the server rejects will never migrate, so don't retry them
+              if (error.status !== 400) throw error;
+              console.warn('[Settings] Local preferences were not valid settings:', error.message);
+            }
+          }
+          localStorage.setItem(migratedKey, new Date().toISOString());
+        }
+
+        if (!cancelled) applySettings({ ...DEFAULT_USER_SETTINGS, ...data.settings });
+      } catch (error) {
+        console.warn('[Settings] Error loading settings:', error.message);
+      } finally {
+        if (!cancelled) markLoaded(true);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, applySettings, markLoaded]);
+
+  // Pick up changes made on other devices
+  useEffect(() => {
+    if (!userId) return undefined;
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') refresh();
+    };
+    window.addEventListener('focus', refresh);
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => {
+      window.removeEventListener('focus', refresh);
+      document.removeEventListener('visibilitychange', handleVisibility);
+    };
+  }, [userId, refresh]);
+
+  /**
+   * Change a setting locally and save it for the user
+   * @param {string} key - Setting key
+   * @param {*} value - New value
+   * @returns {Promise<void>} Rejects if the server refuses the value, after putting the old value back
+   */
+  const updateSetting = useCallback(async (key, value) => {
+    const previous = settingsRef.current[key];
+    applySettings({ ...settingsRef.current, [key]: value });
+    if (!userId) return;
+    try {
+      await api.post(`${API_ENDPOINTS.SETTINGS}/${key}`, { value });
+    } catch (error) {
+      applySettings({ ...settingsRef.current, [key]: previous });
+      throw error;
+    }
+  }, [userId, applySettings]);
+
+  // Apply the stored theme, and store theme changes made through the theme toggle
+  useEffect(() => {
+    if (loaded && settings.theme && setTheme && settings.theme !== theme) {
+      setTheme(settings.theme);
+    }
+    // Only a change in the stored theme should re-apply it
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [loaded, settings.theme]);
+
+  useEffect(() => {
+    if (!loadedRef.current || !theme || theme === settingsRef.current.theme) return;
+    updateSetting('theme', theme).catch(error => {
+      console.warn('[Settings] Error saving theme:', error.message);
+    });
+  }, [theme, updateSetting]);
+
+  return (
+    <SettingsContext.Provider value={{ settings, loaded, updateSetting, refresh }}>
+      {children}
+    </SettingsContext.Provider>
+  );
+}
+
+SettingsProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+/**
+ * Hook to safely get the settings context (returns null outside a SettingsProvider)
+ */
+export function useSettingsSafe() {
+  return useContext(SettingsContext);
+}
+
+/**
+ * Hook to access per-user settings
+ * @returns {{settings: Object, loaded: boolean, updateSetting: Function, refresh: Function}}
+ */
+export function useSettings() {
+  const context = useContext(SettingsContext);
+  if (!context) {
+    throw new Error('useSettings must be used within a SettingsProvider');
+  }
+  return context;
+}
+
+export default SettingsContext;
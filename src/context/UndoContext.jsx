@@ -7,6 +7,8 @@ import React, { createContext, useContext, useCallback, useEffect } from 'react'
 import PropTypes from 'prop-types';
 import { useUndoRedo } from '../hooks/useUndoRedo';
 import { useToast, TOAST_TYPES } from './ToastContext';
+import { api } from '../utils/apiClient';
+import { API_ENDPOINTS } from '../config/api';
 
 const UndoContext = createContext(null);
 
@@ -28,6 +30,7 @@ export const UNDO_ACTION_TYPES = {
   RESTORE_ITEM: 'RESTORE_ITEM',
   BULK_DELETE: 'BULK_DELETE',
   BULK_MOVE: 'BULK_MOVE',
+  BULK_UPDATE: 'BULK_UPDATE',
 };
 
 /**
@@ -119,6 +122,36 @@ export function UndoProvider({ children }) {
     }
   }, [addAction, showToast, undoAction]);
 
+  /**
+   * Register a server-side bulk inventory operation. Undo sends the operation's undo
+   * token back so the server reverses all of it in one transaction; redo applies the
+   * operation again and keeps its new token for the next undo.
+   * @param {Object} options
+   * @param {string} options.type - One of UNDO_ACTION_TYPES
+   * @param {string} options.description - Human-readable description
+   * @param {string} options.undoToken - Token returned by POST /inventory/bulk
+   * @param {Object} options.request - The { ids, operation } body, sent again on redo
+   * @param {Function} [options.onChange] - Called after undo or redo, e.g. to reload inventory
+   * @param {boolean} showUndoToast - Whether to show the undo toast
+   */
+  const registerBulkOperation = useCallback(({ type, description, undoToken, request, onChange }, showUndoToast = true) => {
+    let token = undoToken;
+    registerAction({
+      type,
+      description,
+      data: { request },
+      undoFn: async () => {
+        await api.post(`${API_ENDPOINTS.INVENTORY}/bulk/undo`, { undoToken: token });
+        await onChange?.();
+      },
+      redoFn: async () => {
+        const result = await api.post(`${API_ENDPOINTS.INVENTORY}/bulk`, request);
+        token = result.undoToken;
+        await onChange?.();
+      },
+    }, showUndoToast);
+  }, [registerAction]);
+
   /**
    * Handle keyboard shortcuts for undo/redo
    */
@@ -163,6 +196,7 @@ export function UndoProvider({ children }) {
 
     // Functions
     registerAction,
+    registerBulkOperation,
     undo,
     redo,
     clearHistory,
@@ -1,4 +1,4 @@
-import { useState, useCallback, useRef } from 'react';
+import { useState, useCallback, useRef, useEffect } from 'react';
 import { useApi } from './useApi';
 
 /**
@@ -11,14 +11,46 @@ function generateMessageId() {
 }
 
 /**
- * Custom hook for managing AI chat interactions
+ * Shape a stored conversation message for display
+ */
+function toChatMessage(message) {
+  return {
+    id: generateMessageId(),
+    role: message.role,
+    content: message.content,
+    actions: message.actions || [],
+    timestamp: message.timestamp || new Date().toISOString()
+  };
+}
+
+/**
+ * Custom hook for managing AI chat interactions. The conversation is kept on the server:
+ * the latest one is loaded on mount, and the assistant may attach proposed actions
+ * (deck edits, folder moves) to its replies, which the user applies or dismisses.
  * @returns {Object} Chat state and methods
  */
 export function useAIChat() {
-  const { post, get, isLoading, error, clearError } = useApi();
+  const { post, get, del, isLoading, error, clearError } = useApi();
   const [messages, setMessages] = useState([]);
+  const [conversationId, setConversationId] = useState(null);
   const [isTyping, setIsTyping] = useState(false);
   const abortControllerRef = useRef(null);
+  const hasLoadedRef = useRef(false);
+
+  // Pick up the conversation the user last talked in
+  useEffect(() => {
+    if (hasLoadedRef.current) return;
+    hasLoadedRef.current = true;
+
+    get('/ai/chat/conversation')
+      .then(data => {
+        const conversation = data?.conversation;
+        if (!conversation) return;
+        setConversationId(conversation.id);
+        setMessages(prev => (prev.length > 0 ? prev : conversation.messages.map(toChatMessage)));
+      })
+      .catch(err => console.error('[AI] Failed to load conversation:', err));
+  }, [get]);
 
   /**
    * Send a message to the AI and get a response
@@ -48,14 +80,9 @@ export function useAIChat() {
     setIsTyping(true);
 
     try {
-      const conversationHistory = messages.map(m => ({
-        role: m.role,
-        content: m.content
-      }));
-
       const response = await post('/ai/chat', {
         message: message.trim(),
-        conversationHistory
+        ...(conversationId ? { conversationId } : {})
       }, { signal: abortControllerRef.current.signal });
 
       // Add AI response to the conversation
@@ -63,10 +90,13 @@ export function useAIChat() {
         id: generateMessageId(),
         role: 'assistant',
         content: response.response,
-        suggestions: response.suggestions || [],
+        actions: response.actions || [],
         timestamp: response.timestamp || new Date().toISOString()
       };
 
+      if (response.conversationId) {
+        setConversationId(response.conversationId);
+      }
       setMessages(prev => [...prev, aiMessage]);
       return response;
     } catch (err) {
@@ -78,15 +108,53 @@ export function useAIChat() {
     } finally {
       setIsTyping(false);
     }
-  }, [messages, post]);
+  }, [conversationId, post]);
 
   /**
-   * Clear the conversation history
+   * Replace an action on whichever message carries it
+   */
+  const updateAction = useCallback((action) => {
+    setMessages(prev => prev.map(message => (
+      message.actions?.some(existing => existing.id === action.id)
+        ? { ...message, actions: message.actions.map(existing => (existing.id === action.id ? action : existing)) }
+        : message
+    )));
+  }, []);
+
+  /**
+   * Apply an action the assistant proposed
+   * @param {number} actionId
+   * @returns {Promise<Object>} The applied action, with what changed in result
+   */
+  const applyAction = useCallback(async (actionId) => {
+    const { action } = await post(`/ai/chat/actions/${actionId}/apply`, {});
+    updateAction(action);
+    return action;
+  }, [post, updateAction]);
+
+  /**
+   * Decline an action the assistant proposed
+   * @param {number} actionId
+   * @returns {Promise<Object>} The dismissed action
+   */
+  const dismissAction = useCallback(async (actionId) => {
+    const { action } = await post(`/ai/chat/actions/${actionId}/dismiss`, {});
+    updateAction(action);
+    return action;
+  }, [post, updateAction]);
+
+  /**
+   * Clear the conversation history, deleting it on the server
    */
   const clearConversation = useCallback(() => {
+    if (conversationId) {
+      del(`/ai/chat/conversations/${conversationId}`)
+        .catch(err => console.error('[AI] Failed to delete conversation:', err));
+    }
+    setConversationId(null);
     setMessages([]);
     clearError();
-  }, [clearError]);
+  }, [conversationId, del, clearError]);
 
   /**
    * Check the AI service status
@@ -115,10 +183,13 @@ export function useAIChat() {
 
   return {
     messages,
+    conversationId,
     isLoading,
     isTyping,
     error,
     sendMessage,
+    applyAction,
+    dismissAction,
     clearConversation,
     checkStatus,
     cancelRequest,
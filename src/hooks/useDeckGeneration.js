@@ -1,21 +1,13 @@
 /**
  * Deck Generation Hook
- * Handles AI deck generation API calls with loading states
+ * Handles AI deck generation over the server's stage event stream, keeping what each
+ * stage reported so partial results can render before the deck is finished
  */
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useCallback } from 'react';
 import { useApi } from './useApi';
 import { useToast, TOAST_TYPES } from '../context/ToastContext';
-
-const LOADING_STEPS = [
-  { step: 0, msg: 'Identifying Commander...', icon: '🔮' },
-  { step: 1, msg: 'Fetching EDHREC data...', icon: '📊' },
-  { step: 2, msg: 'Analyzing MTGGoldfish decks...', icon: '🐟' },
-  { step: 3, msg: 'Pondering Orbs...', icon: '🔮' },
-  { step: 4, msg: 'Building synergies...', icon: '⚡' },
-  { step: 5, msg: 'Optimizing mana curve...', icon: '📈' },
-  { step: 6, msg: 'Finalizing deck...', icon: '✨' }
-];
+import { GENERATION_STAGES, streamDeckGeneration, cancelDeckGeneration } from '../utils/generationStream';
 
 /**
  * Hook for managing deck generation process
@@ -29,24 +21,21 @@ export function useDeckGeneration(options = {}) {
 
   const [isGenerating, setIsGenerating] = useState(false);
   const [loadingStep, setLoadingStep] = useState(0);
+  const [progress, setProgress] = useState({});
+  const [generationId, setGenerationId] = useState(null);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
 
   /**
-   * Auto-progress loading steps during generation
+   * Follow a stage event: advance the loading step and keep its partial result
    */
-  useEffect(() => {
-    if (!isGenerating) {
-      setLoadingStep(0);
-      return;
-    }
-
-    const interval = setInterval(() => {
-      setLoadingStep(prev => (prev < LOADING_STEPS.length - 1 ? prev + 1 : prev));
-    }, 2500); // 2.5 seconds per step
-
-    return () => clearInterval(interval);
-  }, [isGenerating]);
+  const handleEvent = useCallback(({ event, data }) => {
+    if (event === 'started') setGenerationId(data.id);
+    const step = GENERATION_STAGES.findIndex(stage => stage.stage === event);
+    if (step === -1) return;
+    setLoadingStep(step);
+    setProgress(prev => ({ ...prev, [event]: data }));
+  }, []);
 
   /**
    * Generate a new deck
@@ -60,6 +49,8 @@ export function useDeckGeneration(options = {}) {
    */
   const generateDeck = useCallback(async (config) => {
     setIsGenerating(true);
+    setLoadingStep(0);
+    setProgress({});
     setResult(null);
     setError(null);
 
@@ -73,10 +64,11 @@ export function useDeckGeneration(options = {}) {
         inventoryOnly: config.source === 'inventory'
       };
 
-      const data = await post('/ai/generate', requestData);
+      const data = await streamDeckGeneration(requestData, { onEvent: handleEvent });
 
       setResult(data);
       setIsGenerating(false);
+      setGenerationId(null);
 
       if (onSuccess) {
         onSuccess(data);
@@ -85,6 +77,12 @@ export function useDeckGeneration(options = {}) {
       return data;
     } catch (err) {
       setIsGenerating(false);
+      setGenerationId(null);
+
+      // A cancelled generation isn't an error
+      if (err.cancelled) {
+        return null;
+      }
       setError(err);
 
       // Handle specific error types
@@ -104,7 +102,19 @@ export function useDeckGeneration(options = {}) {
 
       throw err;
     }
-  }, [post, showToast, onSuccess, onError]);
+  }, [handleEvent, showToast, onSuccess, onError]);
+
+  /**
+   * Cancel the running generation; generateDeck then resolves to null
+   */
+  const cancelGeneration = useCallback(async () => {
+    if (!generationId) return;
+    try {
+      await cancelDeckGeneration(generationId);
+    } catch (err) {
+      console.error('Failed to cancel generation', err);
+    }
+  }, [generationId]);
 
   /**
    * Save generated deck to user's collection
@@ -136,7 +146,8 @@ export function useDeckGeneration(options = {}) {
 
       const updatedDeck = await put(`/decks/${newDeck.id}`, {
         ...newDeck,
-        cards: cardList
+        cards: cardList,
+        source: 'ai'
       });
 
       showToast(`Deck "${deckName}" saved successfully!`, TOAST_TYPES.SUCCESS);
@@ -155,6 +166,8 @@ export function useDeckGeneration(options = {}) {
   const reset = useCallback(() => {
     setIsGenerating(false);
     setLoadingStep(0);
+    setProgress({});
+    setGenerationId(null);
     setResult(null);
     setError(null);
   }, []);
@@ -163,23 +176,25 @@ export function useDeckGeneration(options = {}) {
    * Get current loading step info
    */
   const getCurrentLoadingStep = useCallback(() => {
-    return LOADING_STEPS[loadingStep] || LOADING_STEPS[0];
+    return GENERATION_STAGES[loadingStep] || GENERATION_STAGES[0];
   }, [loadingStep]);
 
   return {
     // State
     isGenerating,
     loadingStep,
+    progress,
     result,
     error,
 
     // Actions
     generateDeck,
+    cancelGeneration,
     saveDeck,
     reset,
 
     // Helpers
     getCurrentLoadingStep,
-    loadingSteps: LOADING_STEPS
+    loadingSteps: GENERATION_STAGES
   };
 }
@@ -0,0 +1,39 @@
+import { useState, useCallback, useEffect } from 'react';
+import { api } from '../utils/apiClient';
+import { API_ENDPOINTS } from '../config/api';
+
+/**
+ * useDeckLegality - Checks a deck against its format on the server (deck size, copy limits,
+ * banned cards, commander and companion rules) and re-checks whenever the deck changes
+ * @param {{id, format, cards, commander, companion}} deck - Current deck state
+ */
+export function useDeckLegality({ id, format, cards, commander, companion }) {
+  const [legality, setLegality] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const revalidate = useCallback(async () => {
+    if (!id) return null;
+    setIsLoading(true);
+    setError(null);
+    try {
+      const result = await api.get(`${API_ENDPOINTS.DECKS}/${id}/validate`);
+      setLegality(result);
+      return result;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [id]);
+
+  // The server reads the saved deck, so check again after each saved change
+  useEffect(() => {
+    revalidate();
+  }, [revalidate, format, cards, commander, companion]);
+
+  return { legality, isLoading, error, revalidate };
+}
+
+export default useDeckLegality;
@@ -30,6 +30,7 @@ export function useDeckOperations({ onDeckCreatedOrDeleted, onInventoryUpdate, e
   const [showCopyModal, setShowCopyModal] = useState(false);
   const [copyingDeck, setCopyingDeck] = useState(null);
   const [copyDeckName, setCopyDeckName] = useState('');
+  const [copyAllowSubstitutes, setCopyAllowSubstitutes] = useState(false);
   const [isCopying, setIsCopying] = useState(false);
 
   // Load decks from API (if no external loader provided)
@@ -171,7 +172,7 @@ export function useDeckOperations({ onDeckCreatedOrDeleted, onInventoryUpdate, e
       const updateResponse = await fetchWithAuth(`${API_BASE}/decks/${newDeck.id}`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ cards })
+        body: JSON.stringify({ cards, source: 'import' })
       });
 
       if (!updateResponse.ok) throw new Error('Failed to add cards');
@@ -191,6 +192,7 @@ export function useDeckOperations({ onDeckCreatedOrDeleted, onInventoryUpdate, e
   const previewCopyToDeck = useCallback((deck) => {
     setCopyingDeck(deck);
     setCopyDeckName(deck.name);
+    setCopyAllowSubstitutes(false);
     setShowCopyModal(true);
   }, []);
 
@@ -202,7 +204,10 @@ export function useDeckOperations({ onDeckCreatedOrDeleted, onInventoryUpdate, e
       const response = await fetchWithAuth(`${API_BASE}/decks/${copyingDeck.id}/copy-to-inventory`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ name: copyDeckName })
+        body: JSON.stringify({
+          name: copyDeckName,
+          ...(copyAllowSubstitutes ? { preferences: { allowSubstitutes: true } } : {})
+        })
       });
 
       if (!response.ok) throw new Error('Failed to copy deck');
@@ -212,7 +217,9 @@ export function useDeckOperations({ onDeckCreatedOrDeleted, onInventoryUpdate, e
       setShowCopyModal(false);
       setCopyingDeck(null);
       setCopyDeckName('');
-      setSuccessMessage(`Deck created! ${result.reservedCount} cards reserved, ${result.missingCount} cards missing.`);
+      const substitutedCount = (result.allocation || []).filter(a => a.substitutes?.length > 0).length;
+      const substitutedNote = substitutedCount > 0 ? ` ${substitutedCount} filled from substitutes.` : '';
+      setSuccessMessage(`Deck created! ${result.reservedCount} cards reserved, ${result.missingCount} cards missing.${substitutedNote}`);
       setTimeout(() => setSuccessMessage(''), 5000);
 
       onDeckCreatedOrDeleted?.();
@@ -223,7 +230,7 @@ export function useDeckOperations({ onDeckCreatedOrDeleted, onInventoryUpdate, e
     } finally {
       setIsCopying(false);
     }
-  }, [copyingDeck, copyDeckName, showToast, onDeckCreatedOrDeleted, onInventoryUpdate]);
+  }, [copyingDeck, copyDeckName, copyAllowSubstitutes, showToast, onDeckCreatedOrDeleted, onInventoryUpdate]);
 
   const cancelCopyToDeck = useCallback(() => {
     setShowCopyModal(false);
@@ -246,6 +253,8 @@ export function useDeckOperations({ onDeckCreatedOrDeleted, onInventoryUpdate, e
     copyingDeck,
     copyDeckName,
     setCopyDeckName,
+    copyAllowSubstitutes,
+    setCopyAllowSubstitutes,
     isCopying,
 
     // Operations
@@ -140,17 +140,23 @@ export function useDeckReservations({ inventory, onLoadInventory }) {
     }
   }, [loadDeckDetails, refreshDeckInstances, debouncedLoadInventory]);
 
-  // Reoptimize deck to find cheapest cards
-  const reoptimizeDeck = useCallback(async (deckId) => {
+  // Reoptimize deck using its allocation preferences (optionally replacing them)
+  const reoptimizeDeck = useCallback(async (deckId, preferences = null) => {
     try {
       const response = await fetchWithAuth(`/api/deck-instances/${deckId}/reoptimize`, {
-        method: 'POST'
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(preferences ? { preferences } : {})
       });
       if (response.ok) {
         const result = await response.json();
         await loadDeckDetails(deckId);
         await refreshDeckInstances();
-        showToast(`Deck reoptimized! ${result.reservedCount} cards reserved.`, TOAST_TYPES.SUCCESS);
+        const relaxedCount = (result.allocation || []).filter(a => a.relaxed.length > 0).length;
+        const relaxedNote = relaxedCount > 0 ? ` ${relaxedCount} card${relaxedCount === 1 ? '' : 's'} didn't meet every preference.` : '';
+        const substitutedCount = (result.allocation || []).filter(a => a.substitutes?.length > 0).length;
+        const substitutedNote = substitutedCount > 0 ? ` ${substitutedCount} card${substitutedCount === 1 ? '' : 's'} filled from substitutes.` : '';
+        showToast(`Deck reoptimized! ${result.reservedCount} cards reserved.${relaxedNote}${substitutedNote}`, TOAST_TYPES.SUCCESS);
       } else {
         showToast('Failed to reoptimize deck', TOAST_TYPES.ERROR);
       }
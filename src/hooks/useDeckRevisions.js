@@ -0,0 +1,77 @@
+import { useState, useCallback, useEffect } from 'react';
+import { api } from '../utils/apiClient';
+import { API_ENDPOINTS } from '../config/api';
+
+/**
+ * useDeckRevisions - A deck's revision history: list revisions, compare one with another
+ * (or with the current list) and restore an old list
+ * @param {{id, cards}} deck - Current deck state; the list reloads whenever the cards change
+ * @param {Object} [options]
+ * @param {Function} [options.onReverted] - Called with the updated deck after a restore
+ */
+export function useDeckRevisions({ id, cards }, { onReverted } = {}) {
+  const [revisions, setRevisions] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!id) return;
+    setIsLoading(true);
+    setError(null);
+    try {
+      setRevisions(await api.get(`${API_ENDPOINTS.DECKS}/${id}/revisions`) || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    load();
+  }, [load, cards]);
+
+  /**
+   * Compare two revisions; without `to` the revision is compared with the current list
+   * @param {number} from
+   * @param {number} [to]
+   */
+  const compare = useCallback(async (from, to) => {
+    setError(null);
+    try {
+      const params = new URLSearchParams({ from: String(from) });
+      if (to) params.set('to', String(to));
+      const result = await api.get(`${API_ENDPOINTS.DECKS}/${id}/revisions/diff?${params}`);
+      setComparison(result);
+      return result;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  }, [id]);
+
+  /**
+   * Restore the card list from a revision
+   * @param {number} revisionNumber
+   */
+  const revert = useCallback(async (revisionNumber) => {
+    setError(null);
+    try {
+      const result = await api.post(`${API_ENDPOINTS.DECKS}/${id}/revisions/${revisionNumber}/revert`);
+      setComparison(null);
+      await load();
+      onReverted?.(result.deck);
+      return result;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  }, [id, load, onReverted]);
+
+  const clearComparison = useCallback(() => setComparison(null), []);
+
+  return { revisions, comparison, isLoading, error, reload: load, compare, revert, clearComparison };
+}
+
+export default useDeckRevisions;
@@ -0,0 +1,60 @@
+import { useState, useCallback } from 'react';
+import { useToast, TOAST_TYPES } from '../context/ToastContext';
+import { api } from '../utils/apiClient';
+import { API_ENDPOINTS } from '../config/api';
+
+/**
+ * Custom hook for importing decks from a deck site URL (Archidekt, Moxfield, MTGGoldfish,
+ * TappedOut, Scryfall). The server fetches and normalizes the deck and links it for later syncs.
+ * @param {Object} options
+ * @param {Function} options.onSuccess - Callback when import succeeds, with the new deck
+ * @param {Function} options.onInventoryUpdate - Callback to refresh inventory
+ * @returns {Object} - Hook state and functions
+ */
+export function useDeckUrlImport({ onSuccess, onInventoryUpdate }) {
+  const { showToast } = useToast();
+  const [deckUrl, setDeckUrl] = useState('');
+  const [isImporting, setIsImporting] = useState(false);
+
+  const importFromUrl = useCallback(async () => {
+    if (!deckUrl.trim()) {
+      showToast('Please enter a deck URL', TOAST_TYPES.WARNING);
+      return;
+    }
+
+    setIsImporting(true);
+    try {
+      const { deck, source } = await api.post(API_ENDPOINTS.DECK_IMPORTS, { url: deckUrl.trim() });
+      const cardCount = (deck.cards || []).reduce((sum, card) => sum + (card.quantity || 1), 0);
+
+      setDeckUrl('');
+      showToast(`Imported "${deck.name}" from ${source.label}: ${cardCount} cards.`, TOAST_TYPES.SUCCESS);
+
+      if (onSuccess) {
+        onSuccess(deck);
+      }
+
+      if (onInventoryUpdate) {
+        onInventoryUpdate();
+      }
+    } catch (error) {
+      showToast(`Error importing deck: ${error.message}`, TOAST_TYPES.ERROR);
+    } finally {
+      setIsImporting(false);
+    }
+  }, [deckUrl, showToast, onSuccess, onInventoryUpdate]);
+
+  const resetImport = useCallback(() => {
+    setDeckUrl('');
+  }, []);
+
+  return {
+    deckUrl,
+    setDeckUrl,
+    isImporting,
+    importFromUrl,
+    resetImport
+  };
+}
+
+export default useDeckUrlImport;
@@ -468,6 +468,7 @@ export function useFileImport({ addInventoryItem, showToast }) {
           // include scryfall id when available to help server-side processing
           scryfall_id: resolved?.scryfall_id || null,
           image_uris: resolved?.image_uris || null,
+          source: 'import',
         };
 
         await addInventoryItem(item);
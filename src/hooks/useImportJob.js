@@ -0,0 +1,142 @@
+import { useState, useCallback, useEffect } from 'react';
+import { api } from '../utils/apiClient';
+import { API_ENDPOINTS } from '../config/api';
+
+// Maximum file size: 10 MB, same as the browser importer
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const POLL_INTERVAL_MS = 1500;
+
+// Statuses the server is still working through
+export const RUNNING_IMPORT_STATUSES = ['resolving', 'committing'];
+
+// Statuses worth coming back to after the tab was closed
+const OPEN_IMPORT_STATUSES = [...RUNNING_IMPORT_STATUSES, 'ready', 'failed'];
+
+/**
+ * useImportJob - Runs a file import as a server-side job. The server parses the file,
+ * resolves cards against Scryfall and commits in chunks, so the import keeps going if
+ * the tab closes; reopening the tab picks the latest unfinished job back up.
+ * @param {Object} [options]
+ * @param {Function} [options.onCompleted] - Called with the job once it's committed
+ * @param {number} [options.pollInterval] - Milliseconds between progress checks
+ */
+export function useImportJob({ onCompleted, pollInterval = POLL_INTERVAL_MS } = {}) {
+  const [job, setJob] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Reattach to the latest job that still needs attention
+  useEffect(() => {
+    let cancelled = false;
+    api.get(API_ENDPOINTS.IMPORT_JOBS)
+      .then(jobs => {
+        const open = (jobs || []).find(candidate => OPEN_IMPORT_STATUSES.includes(candidate.status));
+        if (open && !cancelled) setJob(current => current || open);
+      })
+      .catch(err => console.error('[IMPORT] Error loading import jobs:', err.message));
+    return () => { cancelled = true; };
+  }, []);
+
+  const jobId = job?.id;
+  const status = job?.status;
+
+  // Poll while the server is resolving or committing; each new job object schedules the next check
+  useEffect(() => {
+    if (!job || !RUNNING_IMPORT_STATUSES.includes(job.status)) return undefined;
+    const timer = setTimeout(async () => {
+      try {
+        const updated = await api.get(`${API_ENDPOINTS.IMPORT_JOBS}/${job.id}`);
+        setJob(updated);
+        if (updated.status === 'completed') onCompleted?.(updated);
+      } catch (err) {
+        setError(err.message);
+      }
+    }, pollInterval);
+    return () => clearTimeout(timer);
+  }, [job, pollInterval, onCompleted]);
+
+  // The dry run is available once every row has been resolved
+  useEffect(() => {
+    if (!jobId || status !== 'ready') return undefined;
+    let cancelled = false;
+    api.get(`${API_ENDPOINTS.IMPORT_JOBS}/${jobId}/diff`)
+      .then(result => { if (!cancelled) setDiff(result); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [jobId, status]);
+
+  /**
+   * Upload a file and start resolving it
+   * @param {File} file
+   * @param {{format?: string, folder?: string}} [options]
+   */
+  const upload = useCallback(async (file, { format = 'auto', folder = 'Uncategorized' } = {}) => {
+    setError(null);
+    setDiff(null);
+    if (file.size > MAX_FILE_SIZE) {
+      setError(`File is too large (${(file.size / (1024 * 1024)).toFixed(2)} MB). Maximum allowed size is 10 MB.`);
+      return null;
+    }
+
+    setIsUploading(true);
+    try {
+      const content = await file.text();
+      const created = await api.post(API_ENDPOINTS.IMPORT_JOBS, { fileName: file.name, content, format, folder });
+      setJob(created);
+      return created;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setIsUploading(false);
+    }
+  }, []);
+
+  // POST an action for the current job and take the job it returns
+  const runAction = useCallback(async (action, body) => {
+    if (!jobId) return null;
+    setError(null);
+    try {
+      const updated = await api.post(`${API_ENDPOINTS.IMPORT_JOBS}/${jobId}/${action}`, body);
+      setJob(updated);
+      return updated;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  }, [jobId]);
+
+  /**
+   * Commit the dry run to inventory
+   * @param {{includeUnresolved?: boolean}} [options] - Import unmatched rows without Scryfall data
+   */
+  const commit = useCallback(({ includeUnresolved = false } = {}) => {
+    return runAction('commit', { includeUnresolved });
+  }, [runAction]);
+
+  const resume = useCallback(() => runAction('resume'), [runAction]);
+  const cancel = useCallback(() => runAction('cancel'), [runAction]);
+
+  // Put the job aside to start another
+  const reset = useCallback(() => {
+    setJob(null);
+    setDiff(null);
+    setError(null);
+  }, []);
+
+  return {
+    job,
+    diff,
+    isUploading,
+    isRunning: RUNNING_IMPORT_STATUSES.includes(status),
+    error,
+    upload,
+    commit,
+    resume,
+    cancel,
+    reset,
+  };
+}
+
+export default useImportJob;
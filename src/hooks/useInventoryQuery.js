@@ -0,0 +1,138 @@
+import { useState, useCallback, useEffect, useRef, useMemo } from 'react';
+import { api } from '../utils/apiClient';
+import { API_ENDPOINTS } from '../config/api';
+
+const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * Build the /inventory/query string. Array filters are sent comma-separated and
+ * empty values are left out.
+ * @param {Object} filters - search, folder, set, foil, quality[], colors[], type, minPrice, maxPrice, status
+ * @param {{sort?: string, direction?: string, limit?: number, cursor?: string}} paging
+ * @returns {string}
+ */
+export function buildInventoryQueryString(filters = {}, paging = {}) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries({ ...filters, ...paging })) {
+    if (value === undefined || value === null || value === '') continue;
+    if (Array.isArray(value)) {
+      if (value.length > 0) params.set(key, value.join(','));
+    } else {
+      params.set(key, String(value));
+    }
+  }
+  return params.toString();
+}
+
+/**
+ * Bring streamed card groups up to date with the inventory rows the app already holds.
+ * Edited rows replace the copies that came with the page; rows that are gone or no longer
+ * belong in the list are dropped, along with any group left empty.
+ * @param {Array<Object>} cards - Card groups from useInventoryQuery
+ * @param {Map<number, Object>} rowsById - Current rows that belong in the list, by id
+ * @returns {Array<[string, Array<Object>]>} [cardName, items] entries, as CardGrid takes them
+ */
+export function mergeInventoryRows(cards, rowsById) {
+  return cards.reduce((entries, card) => {
+    const items = card.items.filter(item => rowsById.has(item.id)).map(item => rowsById.get(item.id));
+    if (items.length > 0) entries.push([card.name, items]);
+    return entries;
+  }, []);
+}
+
+/**
+ * useInventoryQuery - Streams the user's inventory from /api/inventory/query one page
+ * at a time. Cards come back grouped by name ({ name, items, totalQuantity, ... }),
+ * already filtered and sorted; mergeInventoryRows turns them into the entries
+ * VirtualizedView and CardGrid render.
+ * @param {Object} options
+ * @param {Object} [options.filters] - Server-side filters
+ * @param {string} [options.sort] - 'name', 'price', 'quantity', 'set' or 'dateAdded'
+ * @param {string} [options.direction] - 'asc' or 'desc'
+ * @param {number} [options.pageSize] - Cards per page (max 500)
+ * @param {boolean} [options.enabled] - Set false to hold off loading
+ */
+export function useInventoryQuery({
+  filters = {},
+  sort = 'name',
+  direction = 'asc',
+  pageSize = DEFAULT_PAGE_SIZE,
+  enabled = true
+} = {}) {
+  const [cards, setCards] = useState([]);
+  const [facets, setFacets] = useState(null);
+  const [total, setTotal] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Bumped on every new query so responses for an outdated query are dropped
+  const queryIdRef = useRef(0);
+  const loadingRef = useRef(false);
+
+  // Filters usually arrive as a fresh object each render; key the query on their contents
+  const filtersKey = JSON.stringify(filters);
+  const stableFilters = useMemo(() => JSON.parse(filtersKey), [filtersKey]);
+
+  const fetchPage = useCallback(async (cursor) => {
+    const queryId = queryIdRef.current;
+    loadingRef.current = true;
+    setLoading(true);
+    setError(null);
+    try {
+      const query = buildInventoryQueryString(stableFilters, { sort, direction, limit: pageSize, cursor });
+      const data = await api.get(`${API_ENDPOINTS.INVENTORY}/query?${query}`);
+      if (queryId !== queryIdRef.current) return;
+
+      setCards(prev => (cursor ? [...prev, ...data.cards] : data.cards));
+      setNextCursor(data.nextCursor);
+      if (!cursor) {
+        setFacets(data.facets);
+        setTotal(data.total);
+      }
+    } catch (err) {
+      if (queryId !== queryIdRef.current) return;
+      console.error('[InventoryQuery] Error loading inventory page:', err);
+      setError(err.message || 'Failed to load inventory');
+    } finally {
+      if (queryId === queryIdRef.current) {
+        loadingRef.current = false;
+        setLoading(false);
+      }
+    }
+  }, [stableFilters, sort, direction, pageSize]);
+
+  /**
+   * Start over from the first page
+   */
+  const reload = useCallback(() => {
+    queryIdRef.current += 1;
+    setNextCursor(null);
+    return fetchPage(null);
+  }, [fetchPage]);
+
+  /**
+   * Append the next page, if there is one and nothing is already loading
+   */
+  const loadMore = useCallback(() => {
+    if (!nextCursor || loadingRef.current) return Promise.resolve();
+    return fetchPage(nextCursor);
+  }, [nextCursor, fetchPage]);
+
+  useEffect(() => {
+    if (enabled) reload();
+  }, [enabled, reload]);
+
+  return {
+    cards,
+    facets,
+    total,
+    loading,
+    error,
+    hasMore: nextCursor !== null,
+    loadMore,
+    reload
+  };
+}
+
+export default useInventoryQuery;
@@ -1,32 +1,53 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect } from 'react';
 import { getPreferredMarketplace, setPreferredMarketplace as savePreference } from '../utils/marketplaceUrls';
+import { useSettingsSafe } from '../context/SettingsContext';
 
 /**
- * Hook for managing marketplace preferences in localStorage
+ * Hook for managing marketplace preferences in localStorage, saved to the user's
+ * settings when a SettingsProvider is available
  * @returns {Object} - { preferredMarketplace, setPreferredMarketplace, rememberPreference, setRememberPreference }
  */
 export function useMarketplacePreferences() {
+  const settingsContext = useSettingsSafe();
+  const storedMarketplace = settingsContext?.settings.preferredMarketplace ?? null;
   const [preferredMarketplace, setMarketplace] = useState(() => getPreferredMarketplace());
   // Initialize rememberPreference based on whether a preference exists in localStorage
   const [rememberPreference, setRememberPreference] = useState(() => {
     return localStorage.getItem('preferredMarketplace') !== null;
   });
 
+  // Follow a preference remembered on another device
+  useEffect(() => {
+    if (storedMarketplace) {
+      setMarketplace(storedMarketplace);
+      setRememberPreference(true);
+    }
+  }, [storedMarketplace]);
+
+  const syncPreference = useCallback((marketplace) => {
+    settingsContext?.updateSetting('preferredMarketplace', marketplace).catch(error => {
+      console.warn('[Settings] Error saving marketplace preference:', error.message);
+    });
+  }, [settingsContext]);
+
   const setPreferredMarketplace = useCallback((marketplace) => {
     setMarketplace(marketplace);
     if (rememberPreference) {
       savePreference(marketplace);
+      syncPreference(marketplace);
     }
-  }, [rememberPreference]);
+  }, [rememberPreference, syncPreference]);
 
   const handleRememberChange = useCallback((remember) => {
     setRememberPreference(remember);
     if (remember) {
       savePreference(preferredMarketplace);
+      syncPreference(preferredMarketplace);
     } else {
       localStorage.removeItem('preferredMarketplace');
+      syncPreference(null);
     }
-  }, [preferredMarketplace]);
+  }, [preferredMarketplace, syncPreference]);
 
   return {
     preferredMarketplace,
@@ -1,22 +1,21 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
-import { useApi } from './useApi';
+import { useSettings } from '../context/SettingsContext';
 import { DEFAULT_SETTINGS } from '../constants/thresholds';
 
 /**
- * Custom hook for managing threshold settings with auto-save functionality
+ * Custom hook for managing threshold settings with auto-save functionality.
+ * Settings are stored per user through SettingsContext.
  * @returns {Object} Threshold settings state and handlers
  */
 export function useThresholdSettings() {
-  const { post, get } = useApi();
-  const [thresholdSettings, setThresholdSettings] = useState(DEFAULT_SETTINGS);
+  const { settings, updateSetting } = useSettings();
+  const savedSettings = settings.thresholdSettings;
+  const [thresholdSettings, setThresholdSettings] = useState(savedSettings);
   
   // Auto-save status indicator
   const [saveStatus, setSaveStatus] = useState(''); // '', 'saving', 'saved'
   const saveTimeoutRef = useRef(null);
   const debounceTimeoutRef = useRef(null);
-  
-  // Flag to skip auto-save during initial load
-  const isInitializedRef = useRef(false);
 
   // Cleanup timeouts on unmount to prevent memory leaks
   useEffect(() => {
@@ -26,12 +25,16 @@ export function useThresholdSettings() {
     };
   }, []);
 
+  // Follow the stored value when it loads or changes on another device
+  useEffect(() => {
+    setThresholdSettings(savedSettings);
+  }, [savedSettings]);
+
   // Auto-save with debounce (500ms)
-  const saveSettingsToBackend = useCallback(async (settings) => {
+  const saveSettingsToBackend = useCallback(async (value) => {
     setSaveStatus('saving');
     try {
-      localStorage.setItem('thresholdSettings', JSON.stringify(settings));
-      await post('/settings/thresholdSettings', { value: settings });
+      await updateSetting('thresholdSettings', value);
       setSaveStatus('saved');
       // Clear saved status after 2 seconds
       if (saveTimeoutRef.current) clearTimeout(saveTimeoutRef.current);
@@ -40,12 +43,11 @@ export function useThresholdSettings() {
       console.error('[Settings] Error saving to backend:', err);
       setSaveStatus('');
     }
-  }, [post]);
+  }, [updateSetting]);
 
-  // Debounced save effect (500ms) - skips during initial load
+  // Debounced save effect (500ms) - skips values that are already stored
   useEffect(() => {
-    // Skip auto-save during initial load
-    if (!isInitializedRef.current) {
+    if (thresholdSettings === savedSettings) {
       return;
     }
     
@@ -59,46 +61,7 @@ export function useThresholdSettings() {
     return () => {
       if (debounceTimeoutRef.current) clearTimeout(debounceTimeoutRef.current);
     };
-  }, [thresholdSettings, saveSettingsToBackend]);
-
-  // Helper function to load settings from localStorage
-  const loadFromLocalStorage = useCallback(() => {
-    const saved = localStorage.getItem('thresholdSettings');
-    if (saved) {
-      try {
-        const parsed = JSON.parse(saved);
-        setThresholdSettings(parsed);
-        console.log('[Settings] Threshold settings loaded from localStorage:', parsed);
-        return true;
-      } catch (err) {
-        console.error('[Settings] Failed to parse saved threshold settings:', err);
-      }
-    }
-    return false;
-  }, []);
-
-  // Load threshold settings from localStorage/backend on mount
-  useEffect(() => {
-    // Try to load from backend first using useApi's get method
-    get('/settings/thresholdSettings')
-      .then(data => {
-        if (data) {
-          setThresholdSettings(data);
-          console.log('[Settings] Threshold settings loaded from backend:', data);
-        } else {
-          // Fallback to localStorage if backend has no data
-          loadFromLocalStorage();
-        }
-      })
-      .catch(err => {
-        console.error('[Settings] Error loading from backend, falling back to localStorage:', err);
-        loadFromLocalStorage();
-      })
-      .finally(() => {
-        // Mark as initialized after initial load completes
-        isInitializedRef.current = true;
-      });
-  }, [get, loadFromLocalStorage]);
+  }, [thresholdSettings, savedSettings, saveSettingsToBackend]);
 
   // Handler to update slider values
   const handleSliderChange = useCallback((key, value) => {
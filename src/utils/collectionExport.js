@@ -0,0 +1,80 @@
+/**
+ * Collection export helpers
+ * Downloads inventory, a folder, a purchase lot or a deck as CSV in the format of
+ * another collection service, via /api/exports.
+ * @module utils/collectionExport
+ */
+
+import { fetchWithAuth } from './apiClient';
+
+/**
+ * Formats the server can write, with their display names
+ */
+export const EXPORT_FORMATS = [
+  { value: 'moxfield', label: 'Moxfield' },
+  { value: 'deckbox', label: 'Deckbox' },
+  { value: 'tcgplayer', label: 'TCGPlayer' },
+  { value: 'archidekt', label: 'Archidekt' },
+  { value: 'manabox', label: 'Manabox' },
+];
+
+/**
+ * What can be exported
+ */
+export const EXPORT_SCOPES = [
+  { value: 'inventory', label: 'Whole inventory' },
+  { value: 'folder', label: 'Folder' },
+  { value: 'lot', label: 'Purchase lot' },
+  { value: 'deck', label: 'Deck' },
+];
+
+/**
+ * Build the export URL
+ * @param {Object} options
+ * @param {string} options.scope - 'inventory', 'folder', 'lot' or 'deck'
+ * @param {string} options.format - One of EXPORT_FORMATS
+ * @param {string} [options.folder] - Folder name, for the 'folder' scope
+ * @param {number} [options.id] - Lot or deck ID
+ * @returns {string}
+ */
+export const buildExportUrl = ({ scope, format, folder, id }) => {
+  const params = new URLSearchParams({ format });
+  switch (scope) {
+    case 'folder':
+      params.set('folder', folder);
+      return `/api/exports/inventory?${params}`;
+    case 'lot':
+      return `/api/exports/lots/${id}?${params}`;
+    case 'deck':
+      return `/api/exports/decks/${id}?${params}`;
+    default:
+      return `/api/exports/inventory?${params}`;
+  }
+};
+
+/**
+ * Fetch an export and save it under the file name the server suggests
+ * @param {Object} options - Same as buildExportUrl
+ * @throws {Error} With the server's message when the export fails
+ */
+export const downloadCollectionExport = async (options) => {
+  const response = await fetchWithAuth(buildExportUrl(options));
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Export failed');
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `${options.scope}-${options.format}.csv`;
+  const blob = await response.blob();
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  try {
+    link.click();
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
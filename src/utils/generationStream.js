@@ -0,0 +1,134 @@
+/**
+ * AI Deck Generation Stream
+ * Client for POST /ai/generate/stream, which reports each generation stage as a Server-Sent
+ * Event. If the connection drops before the deck arrives, it reconnects by stream id and
+ * carries on after the last event it saw.
+ */
+
+import { API_BASE, API_ENDPOINTS } from '../config/api';
+import { api, fetchWithAuth, ApiError } from './apiClient';
+
+// What the orb says while waiting for the stage after each one
+export const GENERATION_STAGES = [
+  { stage: 'started', msg: 'Identifying Commander...', icon: '🔮' },
+  { stage: 'commander', msg: 'Fetching EDHREC & MTGGoldfish data...', icon: '📊' },
+  { stage: 'recommendations', msg: 'Matching your inventory...', icon: '📦' },
+  { stage: 'inventory', msg: 'Building synergies...', icon: '⚡' },
+  { stage: 'draft', msg: 'Checking budget & color identity...', icon: '📈' },
+  { stage: 'validation', msg: 'Finalizing deck...', icon: '✨' }
+];
+
+const TERMINAL_EVENTS = ['deck', 'error', 'cancelled'];
+const MAX_RECONNECTS = 3;
+
+/**
+ * Split complete events off the front of a Server-Sent Events buffer
+ * @param {string} buffer - Text received so far
+ * @returns {{events: Array<{id: number, event: string, data: *}>, rest: string}} rest is an unfinished event
+ */
+export function parseEventStream(buffer) {
+  const blocks = buffer.replace(/\r\n/g, '\n').split('\n\n');
+  const rest = blocks.pop();
+  const events = [];
+
+  for (const block of blocks) {
+    let id = null;
+    let event = 'message';
+    const data = [];
+    for (const line of block.split('\n')) {
+      if (!line || line.startsWith(':')) continue; // Keep-alive comment
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+      if (field === 'id') id = Number(value);
+      else if (field === 'event') event = value;
+      else if (field === 'data') data.push(value);
+    }
+    if (data.length > 0) {
+      events.push({ id, event, data: JSON.parse(data.join('\n')) });
+    }
+  }
+
+  return { events, rest };
+}
+
+async function openStream(endpoint, options) {
+  const response = await fetchWithAuth(`${API_BASE}${endpoint}`, options);
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new ApiError(errorData.error || `Request failed with status ${response.status}`, response.status, errorData);
+  }
+  return response;
+}
+
+async function readEvents(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return;
+    buffer += decoder.decode(value, { stream: true });
+    const { events, rest } = parseEventStream(buffer);
+    buffer = rest;
+    events.forEach(onEvent);
+  }
+}
+
+/**
+ * Generate a deck over the event stream
+ * @param {Object} request - Same body as POST /ai/generate
+ * @param {Object} [options]
+ * @param {Function} [options.onEvent] - Called with every {id, event, data} as it arrives
+ * @param {AbortSignal} [options.signal] - Stops listening; use cancelDeckGeneration to stop the server
+ * @returns {Promise<Object>} The generated { commander, deck }. Rejects with an ApiError for a
+ *   failed generation; a cancelled one rejects with `cancelled: true`.
+ */
+export async function streamDeckGeneration(request, { onEvent = () => {}, signal } = {}) {
+  let streamId = null;
+  let lastEventId = 0;
+  let outcome = null;
+
+  const handleEvent = (entry) => {
+    lastEventId = entry.id ?? lastEventId;
+    if (entry.event === 'started') streamId = entry.data.id;
+    if (TERMINAL_EVENTS.includes(entry.event)) outcome = entry;
+    onEvent(entry);
+  };
+
+  let response = await openStream(API_ENDPOINTS.AI_GENERATE_STREAM, {
+    method: 'POST',
+    body: JSON.stringify(request),
+    signal
+  });
+
+  for (let reconnects = 0; ; reconnects++) {
+    try {
+      await readEvents(response, handleEvent);
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      console.warn('[AI] Generation stream interrupted:', err.message);
+    }
+    if (outcome) break;
+    if (!streamId || reconnects >= MAX_RECONNECTS) {
+      throw new ApiError('Lost connection to the deck generator', 0, { streamId });
+    }
+    response = await openStream(`${API_ENDPOINTS.AI_GENERATE_STREAM}/${streamId}?after=${lastEventId}`, { signal });
+  }
+
+  if (outcome.event === 'error') {
+    throw new ApiError(outcome.data.error, outcome.data.statusCode, outcome.data);
+  }
+  if (outcome.event === 'cancelled') {
+    throw Object.assign(new Error('Deck generation cancelled'), { cancelled: true });
+  }
+  return outcome.data;
+}
+
+/**
+ * Stop a generation on the server; its stream then ends with `cancelled`
+ * @param {string} streamId - From the `started` event
+ */
+export function cancelDeckGeneration(streamId) {
+  return api.delete(`${API_ENDPOINTS.AI_GENERATE_STREAM}/${streamId}`);
+}